@@ -262,6 +262,11 @@ class AsyncQueue {
     }
 }
 
+// AsyncQueue is concurrency 1 with no priorities, retries or cancellation.
+// For real batch work use TaskScheduler (lanes, per-key and rate limits,
+// backoff, timeouts, AbortSignal) from
+// docs/javascript/29-machine-coding/08-async-parallel-series.js
+
 // Demo
 async function queueDemo() {
     console.log("Queue demo (sequential processing):");
@@ -409,46 +414,15 @@ console.log("\n═══ SECTION 7: PUB/SUB ═══\n");
  * └─────────────────────────────────────────────────────────────────────────────┘
  */
 
-class AsyncEventEmitter {
-    constructor() {
-        this.events = new Map();
-    }
-
-    on(event, handler) {
-        if (!this.events.has(event)) {
-            this.events.set(event, []);
-        }
-        this.events.get(event).push(handler);
-        return () => this.off(event, handler);
-    }
-
-    off(event, handler) {
-        const handlers = this.events.get(event);
-        if (handlers) {
-            const index = handlers.indexOf(handler);
-            if (index > -1) handlers.splice(index, 1);
-        }
-    }
-
-    async emit(event, data) {
-        const handlers = this.events.get(event) || [];
-        await Promise.all(handlers.map(h => h(data)));
-    }
-
-    once(event) {
-        return new Promise(resolve => {
-            const unsubscribe = this.on(event, (data) => {
-                unsubscribe();
-                resolve(data);
-            });
-        });
-    }
-}
+// One emitter for sync and async listeners - Node-compatible on/once/off,
+// plus emitAsync (parallel), emitAsyncSerial and EventEmitter.once().
+// Built in docs/javascript/29-machine-coding/00-event-emitter.js
+const EventEmitter = require("../../docs/javascript/29-machine-coding/00-event-emitter");
 
 // Demo
 async function pubsubDemo() {
     console.log("Pub/Sub demo:");
-    const emitter = new AsyncEventEmitter();
+    const emitter = new EventEmitter();
 
     emitter.on('data', async (data) => {
         console.log("  Handler 1:", data);
@@ -459,8 +433,19 @@ async function pubsubDemo() {
         console.log("  Handler 2:", data);
     });
 
-    await emitter.emit('data', { message: "Hello!" });
+    // emitAsync waits for every handler; emit() would not
+    await emitter.emitAsync('data', { message: "Hello!" });
     console.log("  All handlers done");
+
+    // Serial: the next handler starts after the previous one finished
+    emitter.on('job', async (n) => { await delay(20); console.log(`  job ${n}: step 1`); });
+    emitter.on('job', async (n) => console.log(`  job ${n}: step 2`));
+    await emitter.emitAsyncSerial('job', 1);
+
+    // Await a single event as a promise (resolves with the argument list)
+    setTimeout(() => emitter.emit('ready', 'v1'), 10);
+    const [version] = await EventEmitter.once(emitter, 'ready');
+    console.log("  ready:", version);
 }
 
 setTimeout(() => pubsubDemo(), 2100);
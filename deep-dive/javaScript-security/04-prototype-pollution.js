@@ -420,50 +420,54 @@ console.log("");
 // ============================================================================
 // SECURE: Deep Clone Without Pollution
 // ============================================================================
-function safeDeepClone(obj, seen = new WeakMap()) {
-    // Handle primitives and null
-    if (obj === null || typeof obj !== 'object') {
-        return obj;
+// The copying itself is the structured clone algorithm from
+// docs/javascript/29-machine-coding/04-deep-clone.js (cycles, Dates,
+// Maps, Sets; a function anywhere throws a DataCloneError). That clone
+// DEFINES keys instead of assigning them, but an own "__proto__" key
+// survives it, and the next naive merge that copies the clone with
+// target[key] = ... walks straight into Object.prototype. So the result
+// is post-processed: plain objects lose their prototype and the
+// dangerous keys are removed.
+const { deepClone } = require('../../docs/javascript/29-machine-coding/04-deep-clone');
+
+const DANGEROUS_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function stripDangerousKeys(value, seen = new WeakSet()) {
+    if (value === null || typeof value !== 'object' || seen.has(value)) {
+        return value;
     }
-
-    // Handle circular references
-    if (seen.has(obj)) {
-        return seen.get(obj);
+    seen.add(value);
+
+    if (value instanceof Map || value instanceof Set) {
+        // Object keys of a Map carry user data too (for a Set, key === item)
+        value.forEach((item, key) => {
+            stripDangerousKeys(key, seen);
+            stripDangerousKeys(item, seen);
+        });
+        return value;
     }
 
-    // Handle arrays
-    if (Array.isArray(obj)) {
-        const clone = [];
-        seen.set(obj, clone);
-        for (let i = 0; i < obj.length; i++) {
-            clone[i] = safeDeepClone(obj[i], seen);
-        }
-        return clone;
+    if (Object.getPrototypeOf(value) === Object.prototype) {
+        Object.setPrototypeOf(value, null);  // No prototype!
+        DANGEROUS_KEYS.forEach((key) => delete value[key]);
+    } else if (!Array.isArray(value)) {
+        return value;  // Dates, RegExps, typed arrays... hold no user keys
     }
 
-    // Handle objects
-    const clone = Object.create(null);  // No prototype!
-    seen.set(obj, clone);
-
-    for (const key of Object.keys(obj)) {
-        // Skip dangerous keys
-        if (['__proto__', 'constructor', 'prototype'].includes(key)) {
-            continue;
-        }
-
-        // Only copy own properties
-        if (Object.prototype.hasOwnProperty.call(obj, key)) {
-            clone[key] = safeDeepClone(obj[key], seen);
-        }
-    }
+    Object.keys(value).forEach((key) => stripDangerousKeys(value[key], seen));
+    return value;
+}
 
-    return clone;
+function safeDeepClone(obj) {
+    // deepClone's output is brand new, so cleaning it in place is safe
+    return stripDangerousKeys(deepClone(obj));
 }
 
 console.log("─── Safe Deep Clone ───");
 const malicious = JSON.parse('{"__proto__": {"polluted": true}, "safe": "value"}');
 const cloned = safeDeepClone(malicious);
-console.log("Cloned object:", cloned);
+console.log("Cloned object:", cloned);  // [Object: null prototype] { safe: 'value' }
+console.log("Own keys:", Object.keys(cloned));  // [ 'safe' ]
 console.log("Pollution check:", ({}).polluted, "\n");  // undefined
 
 // ============================================================================
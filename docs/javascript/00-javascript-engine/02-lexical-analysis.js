@@ -389,67 +389,71 @@ const formatTokens = (tokens) => {
 //                              TEST CASES
 // ═══════════════════════════════════════════════════════════════════════════════
 
-console.log('═'.repeat(70));
-console.log('TEST A: Simple Variable Declaration');
-console.log('═'.repeat(70));
-const code1 = 'var x = 10;';
-console.log(`Input: "${code1}"`);
-console.log('─'.repeat(70));
-console.log(formatTokens(createLexer(code1)));
-console.log();
+module.exports = { createLexer, formatTokens };
 
-console.log('═'.repeat(70));
-console.log('TEST B: Function with Multiple Data Types');
-console.log('═'.repeat(70));
-const code2 = 'function greet(name) { return "Hello " + name; }';
-console.log(`Input: "${code2}"`);
-console.log('─'.repeat(70));
-const tokens2 = createLexer(code2);
-console.log(`Total tokens: ${tokens2.length}`);
-console.log(`Keywords: ${tokens2.filter(t => t.type === 'KEYWORD').map(t => t.value).join(', ')}`);
-console.log(`Identifiers: ${tokens2.filter(t => t.type === 'IDENTIFIER').map(t => t.value).join(', ')}`);
-console.log();
+if (require.main === module) {
+  console.log('═'.repeat(70));
+  console.log('TEST A: Simple Variable Declaration');
+  console.log('═'.repeat(70));
+  const code1 = 'var x = 10;';
+  console.log(`Input: "${code1}"`);
+  console.log('─'.repeat(70));
+  console.log(formatTokens(createLexer(code1)));
+  console.log();
 
-console.log('═'.repeat(70));
-console.log('TEST C: All Number Formats (ES6: 0o octal, 0b binary, BigInt n)');
-console.log('═'.repeat(70));
-const code3 = 'const decimal = 42; const hex = 0xFF; const octal = 0o77; const binary = 0b1010; const bigint = 123n; const float = 3.14; const scientific = 1e10;';
-console.log(`Input: ${code3.substring(0, 50)}...`);
-console.log('─'.repeat(70));
-const tokens3 = createLexer(code3);
-console.log(`Numbers found: ${tokens3.filter(t => t.type === 'NUMBER').map(t => t.value).join(', ')}`);
-console.log();
+  console.log('═'.repeat(70));
+  console.log('TEST B: Function with Multiple Data Types');
+  console.log('═'.repeat(70));
+  const code2 = 'function greet(name) { return "Hello " + name; }';
+  console.log(`Input: "${code2}"`);
+  console.log('─'.repeat(70));
+  const tokens2 = createLexer(code2);
+  console.log(`Total tokens: ${tokens2.length}`);
+  console.log(`Keywords: ${tokens2.filter(t => t.type === 'KEYWORD').map(t => t.value).join(', ')}`);
+  console.log(`Identifiers: ${tokens2.filter(t => t.type === 'IDENTIFIER').map(t => t.value).join(', ')}`);
+  console.log();
 
-console.log('═'.repeat(70));
-console.log('TEST D: All Comparison Operators');
-console.log('═'.repeat(70));
-const code4 = 'a == b; a === b; a != b; a !== b; a < b; a > b; a <= b; a >= b;';
-console.log(`Input: "${code4}"`);
-console.log('─'.repeat(70));
-const tokens4 = createLexer(code4);
-console.log(`Operators found: ${tokens4.filter(t => t.type === 'OPERATOR').map(t => t.value).join(', ')}`);
-console.log();
+  console.log('═'.repeat(70));
+  console.log('TEST C: All Number Formats (ES6: 0o octal, 0b binary, BigInt n)');
+  console.log('═'.repeat(70));
+  const code3 = 'const decimal = 42; const hex = 0xFF; const octal = 0o77; const binary = 0b1010; const bigint = 123n; const float = 3.14; const scientific = 1e10;';
+  console.log(`Input: ${code3.substring(0, 50)}...`);
+  console.log('─'.repeat(70));
+  const tokens3 = createLexer(code3);
+  console.log(`Numbers found: ${tokens3.filter(t => t.type === 'NUMBER').map(t => t.value).join(', ')}`);
+  console.log();
 
-console.log('═'.repeat(70));
-console.log('TEST E: ES6+ Features (arrow =>, async/await, ?., ??)');
-console.log('═'.repeat(70));
-const code5 = 'const fn = async () => { await fetch(); }; const x = obj?.prop ?? fallback;';
-console.log(`Input: "${code5}"`);
-console.log('─'.repeat(70));
-const tokens5 = createLexer(code5);
-console.log(`Keywords: ${tokens5.filter(t => t.type === 'KEYWORD').map(t => t.value).join(', ')}`);
-console.log(`Operators: ${tokens5.filter(t => t.type === 'OPERATOR').map(t => t.value).join(', ')}`);
-console.log();
+  console.log('═'.repeat(70));
+  console.log('TEST D: All Comparison Operators');
+  console.log('═'.repeat(70));
+  const code4 = 'a == b; a === b; a != b; a !== b; a < b; a > b; a <= b; a >= b;';
+  console.log(`Input: "${code4}"`);
+  console.log('─'.repeat(70));
+  const tokens4 = createLexer(code4);
+  console.log(`Operators found: ${tokens4.filter(t => t.type === 'OPERATOR').map(t => t.value).join(', ')}`);
+  console.log();
 
-console.log('═'.repeat(70));
-console.log('TEST F: String Escape Sequences');
-console.log('═'.repeat(70));
-const code6 = 'const msg = "Hello\\nWorld\\tTab";';
-console.log(`Input: "${code6}"`);
-console.log('─'.repeat(70));
-const tokens6 = createLexer(code6);
-console.log(`String value: ${JSON.stringify(tokens6.find(t => t.type === 'STRING').value)}`);
-console.log();
+  console.log('═'.repeat(70));
+  console.log('TEST E: ES6+ Features (arrow =>, async/await, ?., ??)');
+  console.log('═'.repeat(70));
+  const code5 = 'const fn = async () => { await fetch(); }; const x = obj?.prop ?? fallback;';
+  console.log(`Input: "${code5}"`);
+  console.log('─'.repeat(70));
+  const tokens5 = createLexer(code5);
+  console.log(`Keywords: ${tokens5.filter(t => t.type === 'KEYWORD').map(t => t.value).join(', ')}`);
+  console.log(`Operators: ${tokens5.filter(t => t.type === 'OPERATOR').map(t => t.value).join(', ')}`);
+  console.log();
+
+  console.log('═'.repeat(70));
+  console.log('TEST F: String Escape Sequences');
+  console.log('═'.repeat(70));
+  const code6 = 'const msg = "Hello\\nWorld\\tTab";';
+  console.log(`Input: "${code6}"`);
+  console.log('─'.repeat(70));
+  const tokens6 = createLexer(code6);
+  console.log(`String value: ${JSON.stringify(tokens6.find(t => t.type === 'STRING').value)}`);
+  console.log();
+}
 
 /**
  * ╔════════════════════════════════════════════════════════════════════════════╗
@@ -115,6 +115,8 @@
 //                    BUILDING A SIMPLE AST PARSER
 // ═══════════════════════════════════════════════════════════════════════════════
 
+const { createLexer } = require('./02-lexical-analysis');
+
 // First, let's create a simple tokenizer (from previous lesson)
 function tokenize(code) {
   const tokens = [];
@@ -174,25 +176,62 @@ function tokenize(code) {
 }
 
 // Now let's build the parser
+//
+// It reads tokens from either tokenizer above or createLexer from lesson 02.
+// parse() uses createLexer, because it knows ===, =>, ++, comments and line
+// numbers. Every statement node remembers its source line in a hidden
+// (non-enumerable) `line` property, so printAST output stays the same while
+// the interpreter in 06-interpreter.js can say which line it is running.
 function createParser(tokens) {
   let current = 0;
 
+  const ASSIGNMENT_OPERATORS = ['=', '+=', '-=', '*=', '/=', '%=', '**=', '&&=', '||=', '??='];
+
   function peek(offset) {
     return tokens[current + (offset || 0)];
   }
 
+  function where(token) {
+    return token.line ? ` at line ${token.line}` : '';
+  }
+
   function consume(type, value) {
     const token = peek();
     if (type && token.type !== type) {
-      throw new Error(`Expected ${type} but got ${token.type}`);
+      throw new Error(`Expected ${type} but got ${token.type}${where(token)}`);
     }
     if (value && token.value !== value) {
-      throw new Error(`Expected "${value}" but got "${token.value}"`);
+      throw new Error(`Expected "${value}" but got "${token.value}"${where(token)}`);
     }
     current++;
     return token;
   }
 
+  // Is the next token this operator / punctuator / keyword? Lesson 02's
+  // lexer calls "." an OPERATOR, the tokenizer above calls it a PUNCTUATOR,
+  // so only the value is compared (never for strings or templates).
+  function check(value, offset) {
+    const token = peek(offset);
+    return token.type !== 'STRING' && token.type !== 'TEMPLATE' && token.value === value;
+  }
+
+  function checkAny(values) {
+    return values.some((value) => check(value));
+  }
+
+  function eatSemicolon() {
+    if (check(';')) consume(null, ';');
+  }
+
+  function located(node, token) {
+    Object.defineProperty(node, 'line', { value: token.line, enumerable: false });
+    return node;
+  }
+
+  function identifier() {
+    return { type: 'Identifier', name: consume('IDENTIFIER').value };
+  }
+
   function parseProgram() {
     const body = [];
     while (peek().type !== 'EOF') {
@@ -203,6 +242,15 @@ function createParser(tokens) {
 
   function parseStatement() {
     const token = peek();
+    return located(parseStatementAt(token), token);
+  }
+
+  function parseStatementAt(token) {
+    if (check('{')) return parseBlockStatement();
+    if (check(';')) {
+      consume(null, ';');
+      return { type: 'EmptyStatement' };
+    }
 
     if (token.type === 'KEYWORD') {
       if (token.value === 'var' || token.value === 'let' || token.value === 'const') {
@@ -217,17 +265,32 @@ function createParser(tokens) {
       if (token.value === 'if') {
         return parseIfStatement();
       }
+      if (token.value === 'for') return parseForStatement();
+      if (token.value === 'while') return parseWhileStatement();
+      if (token.value === 'do') return parseDoWhileStatement();
+      if (token.value === 'try') return parseTryStatement();
+      if (token.value === 'throw') {
+        consume('KEYWORD', 'throw');
+        const argument = parseExpression();
+        eatSemicolon();
+        return { type: 'ThrowStatement', argument };
+      }
+      if (token.value === 'break' || token.value === 'continue') {
+        consume('KEYWORD');
+        eatSemicolon();
+        return { type: token.value === 'break' ? 'BreakStatement' : 'ContinueStatement' };
+      }
     }
 
     // Expression statement
     const expr = parseExpression();
-    if (peek().type === 'PUNCTUATOR' && peek().value === ';') {
-      consume('PUNCTUATOR', ';');
-    }
+    eatSemicolon();
     return { type: 'ExpressionStatement', expression: expr };
   }
 
-  function parseVariableDeclaration() {
+  // inForHead: `for (let i = 0; ...)` and `for (const x of xs)` end
+  // without a semicolon, and a for-of/in declarator has no initializer
+  function parseVariableDeclaration(inForHead) {
     const kind = consume('KEYWORD').value; // var, let, or const
     const declarations = [];
 
@@ -246,34 +309,47 @@ function createParser(tokens) {
         init
       });
 
-      if (peek().type === 'PUNCTUATOR' && peek().value === ',') {
-        consume('PUNCTUATOR', ',');
+      if (check(',')) {
+        consume(null, ',');
       } else {
         break;
       }
     } while (true);
 
-    if (peek().type === 'PUNCTUATOR' && peek().value === ';') {
-      consume('PUNCTUATOR', ';');
-    }
+    if (!inForHead) eatSemicolon();
 
     return { type: 'VariableDeclaration', kind, declarations };
   }
 
-  function parseFunctionDeclaration() {
-    consume('KEYWORD', 'function');
-    const id = consume('IDENTIFIER');
-    consume('PUNCTUATOR', '(');
-
+  // (a, b = 1, ...rest)
+  function parseParams() {
+    consume(null, '(');
     const params = [];
-    while (peek().type !== 'PUNCTUATOR' || peek().value !== ')') {
-      params.push({ type: 'Identifier', name: consume('IDENTIFIER').value });
-      if (peek().type === 'PUNCTUATOR' && peek().value === ',') {
-        consume('PUNCTUATOR', ',');
+    while (!check(')')) {
+      if (check('...')) {
+        consume(null, '...');
+        params.push({ type: 'RestElement', argument: identifier() });
+      } else {
+        const param = identifier();
+        if (check('=')) {
+          consume(null, '=');
+          params.push({ type: 'AssignmentPattern', left: param, right: parseAssignment() });
+        } else {
+          params.push(param);
+        }
+      }
+      if (check(',')) {
+        consume(null, ',');
       }
     }
-    consume('PUNCTUATOR', ')');
+    consume(null, ')');
+    return params;
+  }
 
+  function parseFunctionDeclaration() {
+    consume('KEYWORD', 'function');
+    const id = consume('IDENTIFIER');
+    const params = parseParams();
     const body = parseBlockStatement();
 
     return {
@@ -284,67 +360,200 @@ function createParser(tokens) {
     };
   }
 
+  function parseFunctionExpression() {
+    consume('KEYWORD', 'function');
+    const id = peek().type === 'IDENTIFIER' ? identifier() : null;
+    const params = parseParams();
+    return { type: 'FunctionExpression', id, params, body: parseBlockStatement() };
+  }
+
+  // x => ..., (a, b) => ...: look past the matching ")" for an "=>"
+  function isArrowAhead() {
+    if (peek().type === 'IDENTIFIER') return check('=>', 1);
+    if (!check('(')) return false;
+    let depth = 0;
+    for (let i = current; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.type === 'STRING' || token.type === 'TEMPLATE') continue;
+      if (token.value === '(') depth++;
+      if (token.value === ')' && --depth === 0) {
+        const next = tokens[i + 1];
+        return next.type !== 'STRING' && next.value === '=>';
+      }
+    }
+    return false;
+  }
+
+  function parseArrowFunction() {
+    const params = peek().type === 'IDENTIFIER' ? [identifier()] : parseParams();
+    consume(null, '=>');
+    if (check('{')) {
+      return { type: 'ArrowFunctionExpression', params, body: parseBlockStatement(), expression: false };
+    }
+    return { type: 'ArrowFunctionExpression', params, body: parseAssignment(), expression: true };
+  }
+
   function parseBlockStatement() {
-    consume('PUNCTUATOR', '{');
+    consume(null, '{');
     const body = [];
-    while (peek().type !== 'PUNCTUATOR' || peek().value !== '}') {
+    while (!check('}')) {
       body.push(parseStatement());
     }
-    consume('PUNCTUATOR', '}');
+    consume(null, '}');
     return { type: 'BlockStatement', body };
   }
 
   function parseReturnStatement() {
-    consume('KEYWORD', 'return');
+    const keyword = consume('KEYWORD', 'return');
     let argument = null;
-    if (peek().type !== 'PUNCTUATOR' || peek().value !== ';') {
+    // ASI: `return` followed by a line break returns undefined
+    const sameLine = !keyword.line || peek().line === keyword.line;
+    if (sameLine && !check(';') && !check('}') && peek().type !== 'EOF') {
       argument = parseExpression();
     }
-    if (peek().type === 'PUNCTUATOR' && peek().value === ';') {
-      consume('PUNCTUATOR', ';');
-    }
+    eatSemicolon();
     return { type: 'ReturnStatement', argument };
   }
 
   function parseIfStatement() {
     consume('KEYWORD', 'if');
-    consume('PUNCTUATOR', '(');
+    consume(null, '(');
     const test = parseExpression();
-    consume('PUNCTUATOR', ')');
+    consume(null, ')');
 
-    const consequent = peek().value === '{' ? parseBlockStatement() : parseStatement();
+    const consequent = parseStatement();
     let alternate = null;
 
     if (peek().type === 'KEYWORD' && peek().value === 'else') {
       consume('KEYWORD', 'else');
-      alternate = peek().value === '{' ? parseBlockStatement() : parseStatement();
+      alternate = parseStatement();
     }
 
     return { type: 'IfStatement', test, consequent, alternate };
   }
 
+  function parseForStatement() {
+    consume('KEYWORD', 'for');
+    consume(null, '(');
+
+    let init = null;
+    if (checkAny(['var', 'let', 'const'])) {
+      init = parseVariableDeclaration(true);
+    } else if (peek().type === 'IDENTIFIER' && (check('of', 1) || check('in', 1))) {
+      init = identifier();
+    } else if (!check(';')) {
+      init = parseExpression();
+    }
+
+    if (check('of') || check('in')) {
+      const type = consume().value === 'of' ? 'ForOfStatement' : 'ForInStatement';
+      const right = parseExpression();
+      consume(null, ')');
+      return { type, left: init, right, body: parseStatement() };
+    }
+
+    consume(null, ';');
+    const test = check(';') ? null : parseExpression();
+    consume(null, ';');
+    const update = check(')') ? null : parseExpression();
+    consume(null, ')');
+    return { type: 'ForStatement', init, test, update, body: parseStatement() };
+  }
+
+  function parseWhileStatement() {
+    consume('KEYWORD', 'while');
+    consume(null, '(');
+    const test = parseExpression();
+    consume(null, ')');
+    return { type: 'WhileStatement', test, body: parseStatement() };
+  }
+
+  function parseDoWhileStatement() {
+    consume('KEYWORD', 'do');
+    const body = parseStatement();
+    consume('KEYWORD', 'while');
+    consume(null, '(');
+    const test = parseExpression();
+    consume(null, ')');
+    eatSemicolon();
+    return { type: 'DoWhileStatement', body, test };
+  }
+
+  function parseTryStatement() {
+    consume('KEYWORD', 'try');
+    const block = parseBlockStatement();
+    let handler = null;
+    let finalizer = null;
+    if (check('catch')) {
+      const token = consume();
+      let param = null;
+      if (check('(')) {
+        consume(null, '(');
+        param = identifier();
+        consume(null, ')');
+      }
+      handler = located({ type: 'CatchClause', param, body: parseBlockStatement() }, token);
+    }
+    if (check('finally')) {
+      consume();
+      finalizer = parseBlockStatement();
+    }
+    return { type: 'TryStatement', block, handler, finalizer };
+  }
+
   function parseExpression() {
     return parseAssignment();
   }
 
   function parseAssignment() {
-    const left = parseComparison();
+    if (isArrowAhead()) return parseArrowFunction();
 
-    if (peek().type === 'OPERATOR' && peek().value === '=') {
-      consume('OPERATOR', '=');
+    const left = parseConditional();
+
+    if (peek().type === 'OPERATOR' && ASSIGNMENT_OPERATORS.includes(peek().value)) {
+      const operator = consume('OPERATOR').value;
       const right = parseAssignment();
-      return { type: 'AssignmentExpression', operator: '=', left, right };
+      return { type: 'AssignmentExpression', operator, left, right };
     }
 
     return left;
   }
 
+  function parseConditional() {
+    const test = parseLogicalOr();
+    if (!check('?')) return test;
+    consume(null, '?');
+    const consequent = parseAssignment();
+    consume(null, ':');
+    const alternate = parseAssignment();
+    return { type: 'ConditionalExpression', test, consequent, alternate };
+  }
+
+  // || and ?? share a level here (mixing them without parens is a
+  // SyntaxError in real JS anyway)
+  function parseLogicalOr() {
+    let left = parseLogicalAnd();
+    while (checkAny(['||', '??'])) {
+      const operator = consume().value;
+      left = { type: 'LogicalExpression', operator, left, right: parseLogicalAnd() };
+    }
+    return left;
+  }
+
+  function parseLogicalAnd() {
+    let left = parseComparison();
+    while (check('&&')) {
+      consume();
+      left = { type: 'LogicalExpression', operator: '&&', left, right: parseComparison() };
+    }
+    return left;
+  }
+
   function parseComparison() {
     let left = parseAdditive();
 
-    while (peek().type === 'OPERATOR' &&
-           ['==', '===', '!=', '!==', '<', '>', '<=', '>='].includes(peek().value)) {
-      const operator = consume('OPERATOR').value;
+    while (checkAny(['==', '===', '!=', '!==', '<', '>', '<=', '>=', 'instanceof', 'in'])) {
+      const operator = consume().value;
       const right = parseAdditive();
       left = { type: 'BinaryExpression', operator, left, right };
     }
@@ -377,38 +586,88 @@ function createParser(tokens) {
   }
 
   function parseUnary() {
-    if (peek().type === 'OPERATOR' && ['!', '-', '+'].includes(peek().value)) {
-      const operator = consume('OPERATOR').value;
+    if (peek().type === 'OPERATOR' && ['!', '-', '+', '~'].includes(peek().value) ||
+        peek().type === 'KEYWORD' && ['typeof', 'void', 'delete'].includes(peek().value)) {
+      const operator = consume().value;
       const argument = parseUnary();
       return { type: 'UnaryExpression', operator, prefix: true, argument };
     }
-    return parseCallMember();
+    if (checkAny(['++', '--'])) {
+      const operator = consume().value;
+      return { type: 'UpdateExpression', operator, prefix: true, argument: parseUnary() };
+    }
+    const base = parsePostfix();
+    if (check('**')) {
+      consume();
+      return { type: 'BinaryExpression', operator: '**', left: base, right: parseUnary() };
+    }
+    return base;
+  }
+
+  function parsePostfix() {
+    const start = peek();
+    const argument = parseCallMember();
+    // i++ only counts on the same line (ASI otherwise)
+    if (checkAny(['++', '--']) && (!start.line || peek().line === tokens[current - 1].line)) {
+      return { type: 'UpdateExpression', operator: consume().value, prefix: false, argument };
+    }
+    return argument;
+  }
+
+  function parseArguments() {
+    consume(null, '(');
+    const args = [];
+    while (!check(')')) {
+      args.push(parseElement());
+      if (check(',')) {
+        consume(null, ',');
+      }
+    }
+    consume(null, ')');
+    return args;
+  }
+
+  // an array element or call argument: value or ...spread
+  function parseElement() {
+    if (!check('...')) return parseExpression();
+    consume(null, '...');
+    return { type: 'SpreadElement', argument: parseAssignment() };
+  }
+
+  // after "." any name is fine - obj.default, promise.catch, x.new
+  function parseMember(object) {
+    if (check('.')) {
+      consume(null, '.');
+      const property = consume();
+      if (property.type !== 'IDENTIFIER' && property.type !== 'KEYWORD') {
+        throw new Error(`Unexpected token: ${property.type} ${property.value}${where(property)}`);
+      }
+      return { type: 'MemberExpression', object, property: { type: 'Identifier', name: property.value }, computed: false };
+    }
+    consume(null, '[');
+    const property = parseExpression();
+    consume(null, ']');
+    return { type: 'MemberExpression', object, property, computed: true };
+  }
+
+  // new Foo.Bar(args) - the callee is a member chain without calls
+  function parseNew() {
+    consume('KEYWORD', 'new');
+    let callee = check('new') ? parseNew() : parsePrimary();
+    while (checkAny(['.', '['])) callee = parseMember(callee);
+    const args = check('(') ? parseArguments() : [];
+    return { type: 'NewExpression', callee, arguments: args };
   }
 
   function parseCallMember() {
-    let object = parsePrimary();
+    let object = check('new') && peek().type === 'KEYWORD' ? parseNew() : parsePrimary();
 
     while (true) {
-      if (peek().type === 'PUNCTUATOR' && peek().value === '(') {
-        consume('PUNCTUATOR', '(');
-        const args = [];
-        while (peek().type !== 'PUNCTUATOR' || peek().value !== ')') {
-          args.push(parseExpression());
-          if (peek().type === 'PUNCTUATOR' && peek().value === ',') {
-            consume('PUNCTUATOR', ',');
-          }
-        }
-        consume('PUNCTUATOR', ')');
+      if (check('(')) {
+        const args = parseArguments();
         object = { type: 'CallExpression', callee: object, arguments: args };
-      } else if (peek().type === 'PUNCTUATOR' && peek().value === '.') {
-        consume('PUNCTUATOR', '.');
-        const property = consume('IDENTIFIER');
-        object = { type: 'MemberExpression', object, property: { type: 'Identifier', name: property.value }, computed: false };
-      } else if (peek().type === 'PUNCTUATOR' && peek().value === '[') {
-        consume('PUNCTUATOR', '[');
-        const property = parseExpression();
-        consume('PUNCTUATOR', ']');
-        object = { type: 'MemberExpression', object, property, computed: true };
+      } else if (checkAny(['.', '['])) {
+        object = parseMember(object);
       } else {
         break;
       }
@@ -417,12 +676,87 @@ function createParser(tokens) {
     return object;
   }
 
+  // { a: 1, b, c() {}, get d() {}, [key]: v, 'e-f': 2, ...rest }
+  function parseObject() {
+    consume(null, '{');
+    const properties = [];
+    while (!check('}')) {
+      if (check('...')) {
+        properties.push(parseElement());
+      } else {
+        let kind = 'init';
+        if ((check('get') || check('set')) && !check(',', 1) && !check(':', 1) && !check('(', 1) && !check('}', 1)) {
+          kind = consume().value;
+        }
+        let key;
+        const computed = check('[');
+        if (computed) {
+          consume(null, '[');
+          key = parseAssignment();
+          consume(null, ']');
+        } else {
+          const token = consume();
+          key = token.type === 'STRING' || token.type === 'NUMBER'
+            ? { type: 'Literal', value: token.type === 'NUMBER' ? Number(token.value) : token.value, raw: token.value }
+            : { type: 'Identifier', name: token.value };
+        }
+        if (check('(')) {
+          const params = parseParams();
+          const value = { type: 'FunctionExpression', id: null, params, body: parseBlockStatement() };
+          properties.push({ type: 'Property', key, value, kind, computed, method: kind === 'init', shorthand: false });
+        } else if (check(':')) {
+          consume(null, ':');
+          properties.push({ type: 'Property', key, value: parseAssignment(), kind, computed, method: false, shorthand: false });
+        } else {
+          properties.push({ type: 'Property', key, value: { type: 'Identifier', name: key.name }, kind, computed, method: false, shorthand: true });
+        }
+      }
+      if (check(',')) {
+        consume(null, ',');
+      }
+    }
+    consume(null, '}');
+    return { type: 'ObjectExpression', properties };
+  }
+
+  // `a ${b} c` - lesson 02 keeps the raw text, so split it here and parse
+  // each ${...} with a fresh lexer + parser
+  function parseTemplate(raw) {
+    const quasis = [];
+    const expressions = [];
+    let text = '';
+    for (let i = 0; i < raw.length; i++) {
+      if (raw[i] === '\\') {
+        const next = raw[++i];
+        text += { n: '\n', t: '\t', r: '\r', '0': '\0' }[next] || next;
+      } else if (raw[i] === '$' && raw[i + 1] === '{') {
+        let depth = 1;
+        let j = i + 2;
+        while (j < raw.length && depth > 0) {
+          if (raw[j] === '{') depth++;
+          if (raw[j] === '}') depth--;
+          j++;
+        }
+        quasis.push(text);
+        text = '';
+        const program = createParser(createLexer(`(${raw.slice(i + 2, j - 1)});`));
+        expressions.push(program.body[0].expression);
+        i = j - 1;
+      } else {
+        text += raw[i];
+      }
+    }
+    quasis.push(text);
+    return { type: 'TemplateLiteral', quasis, expressions };
+  }
+
   function parsePrimary() {
     const token = peek();
 
     if (token.type === 'NUMBER') {
       consume('NUMBER');
-      return { type: 'Literal', value: parseFloat(token.value), raw: token.value };
+      const value = token.value.endsWith('n') ? BigInt(token.value.slice(0, -1)) : Number(token.value);
+      return { type: 'Literal', value, raw: token.value };
     }
 
     if (token.type === 'STRING') {
@@ -430,6 +764,11 @@ function createParser(tokens) {
       return { type: 'Literal', value: token.value, raw: `"${token.value}"` };
     }
 
+    if (token.type === 'TEMPLATE') {
+      consume('TEMPLATE');
+      return parseTemplate(token.value);
+    }
+
     if (token.type === 'KEYWORD' && ['true', 'false'].includes(token.value)) {
       consume('KEYWORD');
       return { type: 'Literal', value: token.value === 'true', raw: token.value };
@@ -440,32 +779,44 @@ function createParser(tokens) {
       return { type: 'Literal', value: null, raw: 'null' };
     }
 
-    if (token.type === 'IDENTIFIER') {
-      consume('IDENTIFIER');
+    if (token.type === 'KEYWORD' && token.value === 'this') {
+      consume('KEYWORD');
+      return { type: 'ThisExpression' };
+    }
+
+    if (token.type === 'KEYWORD' && token.value === 'function') {
+      return parseFunctionExpression();
+    }
+
+    // lesson 02 lists `undefined` as a keyword, but it's a global variable
+    if (token.type === 'IDENTIFIER' || token.type === 'KEYWORD' && token.value === 'undefined') {
+      consume();
       return { type: 'Identifier', name: token.value };
     }
 
-    if (token.type === 'PUNCTUATOR' && token.value === '(') {
-      consume('PUNCTUATOR', '(');
+    if (check('(')) {
+      consume(null, '(');
       const expr = parseExpression();
-      consume('PUNCTUATOR', ')');
+      consume(null, ')');
       return expr;
     }
 
-    if (token.type === 'PUNCTUATOR' && token.value === '[') {
-      consume('PUNCTUATOR', '[');
+    if (check('{')) return parseObject();
+
+    if (check('[')) {
+      consume(null, '[');
       const elements = [];
-      while (peek().type !== 'PUNCTUATOR' || peek().value !== ']') {
-        elements.push(parseExpression());
-        if (peek().type === 'PUNCTUATOR' && peek().value === ',') {
-          consume('PUNCTUATOR', ',');
+      while (!check(']')) {
+        elements.push(parseElement());
+        if (check(',')) {
+          consume(null, ',');
         }
       }
-      consume('PUNCTUATOR', ']');
+      consume(null, ']');
       return { type: 'ArrayExpression', elements };
     }
 
-    throw new Error(`Unexpected token: ${token.type} ${token.value}`);
+    throw new Error(`Unexpected token: ${token.type} ${token.value}${where(token)}`);
   }
 
   return parseProgram();
@@ -473,7 +824,7 @@ function createParser(tokens) {
 
 // Helper to parse code to AST
 function parse(code) {
-  const tokens = tokenize(code);
+  const tokens = createLexer(code);
   return createParser(tokens);
 }
 
@@ -518,47 +869,51 @@ function printAST(node, indent) {
 //                              TEST CASES
 // ═══════════════════════════════════════════════════════════════════════════════
 
-console.log('═'.repeat(70));
-console.log('TEST A: Simple Variable Declaration');
-console.log('═'.repeat(70));
-const code1 = 'var x = 10;';
-console.log(`Input: "${code1}"`);
-console.log('─'.repeat(70));
-console.log(printAST(parse(code1)));
-
-console.log('═'.repeat(70));
-console.log('TEST B: Binary Expression with Precedence');
-console.log('═'.repeat(70));
-const code2 = 'var result = 2 + 3 * 4;';
-console.log(`Input: "${code2}"`);
-console.log('─'.repeat(70));
-const ast2 = parse(code2);
-console.log('Result shows: 2 + (3 * 4) due to operator precedence');
-console.log(printAST(ast2));
-
-console.log('═'.repeat(70));
-console.log('TEST C: Function Declaration');
-console.log('═'.repeat(70));
-const code3 = 'function add(a, b) { return a + b; }';
-console.log(`Input: "${code3}"`);
-console.log('─'.repeat(70));
-console.log(printAST(parse(code3)));
-
-console.log('═'.repeat(70));
-console.log('TEST D: Function Call');
-console.log('═'.repeat(70));
-const code4 = 'console.log("Hello");';
-console.log(`Input: "${code4}"`);
-console.log('─'.repeat(70));
-console.log(printAST(parse(code4)));
-
-console.log('═'.repeat(70));
-console.log('TEST E: If Statement');
-console.log('═'.repeat(70));
-const code5 = 'if (x > 10) { return true; } else { return false; }';
-console.log(`Input: "${code5}"`);
-console.log('─'.repeat(70));
-console.log(printAST(parse(code5)));
+module.exports = { tokenize, createParser, parse, printAST };
+
+if (require.main === module) {
+  console.log('═'.repeat(70));
+  console.log('TEST A: Simple Variable Declaration');
+  console.log('═'.repeat(70));
+  const code1 = 'var x = 10;';
+  console.log(`Input: "${code1}"`);
+  console.log('─'.repeat(70));
+  console.log(printAST(parse(code1)));
+
+  console.log('═'.repeat(70));
+  console.log('TEST B: Binary Expression with Precedence');
+  console.log('═'.repeat(70));
+  const code2 = 'var result = 2 + 3 * 4;';
+  console.log(`Input: "${code2}"`);
+  console.log('─'.repeat(70));
+  const ast2 = parse(code2);
+  console.log('Result shows: 2 + (3 * 4) due to operator precedence');
+  console.log(printAST(ast2));
+
+  console.log('═'.repeat(70));
+  console.log('TEST C: Function Declaration');
+  console.log('═'.repeat(70));
+  const code3 = 'function add(a, b) { return a + b; }';
+  console.log(`Input: "${code3}"`);
+  console.log('─'.repeat(70));
+  console.log(printAST(parse(code3)));
+
+  console.log('═'.repeat(70));
+  console.log('TEST D: Function Call');
+  console.log('═'.repeat(70));
+  const code4 = 'console.log("Hello");';
+  console.log(`Input: "${code4}"`);
+  console.log('─'.repeat(70));
+  console.log(printAST(parse(code4)));
+
+  console.log('═'.repeat(70));
+  console.log('TEST E: If Statement');
+  console.log('═'.repeat(70));
+  const code5 = 'if (x > 10) { return true; } else { return false; }';
+  console.log(`Input: "${code5}"`);
+  console.log('─'.repeat(70));
+  console.log(printAST(parse(code5)));
+}
 
 /**
  * ╔════════════════════════════════════════════════════════════════════════════╗
@@ -714,7 +1069,7 @@ console.log(printAST(parse(code5)));
  * ║                                                                            ║
  * ║ A: The parser uses precedence climbing (recursive descent). It has        ║
  * ║    separate functions for each precedence level — parseAdditive for +/-,  ║
- * ║    parseMultiplicative for *//%. Since parseMultiplicative is called      ║
+ * ║    parseMultiplicative for * / %. Since parseMultiplicative is called     ║
  * ║    inside parseAdditive, * binds tighter. So `2 + 3 * 4` becomes         ║
  * ║    `2 + (3 * 4)` in the AST, giving 14 not 20.                           ║
  * ║                                                                            ║
@@ -0,0 +1,1245 @@
+/**
+ * LESSON 06: A Tree-Walking Interpreter - RUNNING THE AST
+ *
+ * ╔════════════════════════════════════════════════════════════════════════════╗
+ * ║ STORY: THE STAGE MANAGER WITH A CLIPBOARD                                  ║
+ * ╠════════════════════════════════════════════════════════════════════════════╣
+ * ║                                                                            ║
+ * ║ Lesson 02 cut the script into words (tokens). Lesson 03 drew the           ║
+ * ║ blueprint (AST). This lesson finally PERFORMS it.                          ║
+ * ║                                                                            ║
+ * ║ The interpreter is a stage manager walking the blueprint node by node.     ║
+ * ║ Before each scene (function call) they set up a fresh room (Execution      ║
+ * ║ Context): every `var` gets an empty chair (undefined), every function      ║
+ * ║ declaration gets its actor already seated, every let/const chair is        ║
+ * ║ roped off (TDZ) until its line is reached. Then the scene plays.           ║
+ * ║                                                                            ║
+ * ║ And they write EVERYTHING on a clipboard (the trace): which room was       ║
+ * ║ opened, what `this` was and why, which room each new function remembers.  ║
+ * ║ Reading the clipboard answers every hoisting / closure / this puzzle.      ║
+ * ║                                                                            ║
+ * ╚════════════════════════════════════════════════════════════════════════════╝
+ *
+ *
+ * ╔════════════════════════════════════════════════════════════════════════════╗
+ * ║ HOW THE PIECES MAP TO THE SPEC                                             ║
+ * ╠════════════════════════════════════════════════════════════════════════════╣
+ * ║                                                                            ║
+ * ║   Environment          { bindings: Map, outer, label }  (Environment       ║
+ * ║                        Record + [[OuterEnv]] link = the scope chain)       ║
+ * ║                                                                            ║
+ * ║   Creation phase       instantiate(): var → undefined, function → ƒ,      ║
+ * ║                        let/const → UNINITIALIZED (reading it = TDZ error)  ║
+ * ║                                                                            ║
+ * ║   Execution phase      execute(statement) / evaluate(expression)           ║
+ * ║                                                                            ║
+ * ║   Closure              a REAL JS function wrapping { node, env } - the     ║
+ * ║                        env it was created in is kept alive by the wrapper  ║
+ * ║                                                                            ║
+ * ║   this                 decided per CALL: new > bind > call/apply >         ║
+ * ║                        method call > plain call (global or undefined in   ║
+ * ║                        strict mode); arrows read it from their scope       ║
+ * ║                                                                            ║
+ * ║   for (let i ...)      a NEW environment per iteration, copied from the   ║
+ * ║                        previous one - why let fixes the setTimeout loop    ║
+ * ║                                                                            ║
+ * ╚════════════════════════════════════════════════════════════════════════════╝
+ *
+ *
+ * ╔════════════════════════════════════════════════════════════════════════════╗
+ * ║ WHAT THE SUBSET COVERS                                                     ║
+ * ╠════════════════════════════════════════════════════════════════════════════╣
+ * ║                                                                            ║
+ * ║  var/let/const, function declarations + expressions, arrows, default and   ║
+ * ║  rest params, arguments, objects (methods, getters, spread), arrays,       ║
+ * ║  template literals, if/for/for-of/for-in/while/do, break/continue,         ║
+ * ║  try/catch/finally, throw, new, typeof/delete, ?: && || ??, "use strict".  ║
+ * ║  Hosts: setTimeout/setInterval/queueMicrotask on a virtual clock.          ║
+ * ║                                                                            ║
+ * ║  NOT covered: classes, switch, destructuring, async/await, generators,     ║
+ * ║  Promise (the event-loop simulator in 04-event-loop covers ordering).      ║
+ * ║                                                                            ║
+ * ║  Two hosts:  'node'    - code runs inside the CommonJS module wrapper:     ║
+ * ║                          top-level var is NOT on the global object and     ║
+ * ║                          top-level this is module.exports ({})             ║
+ * ║              'browser' - classic script: top-level var IS a property of   ║
+ * ║                          window and top-level this is window               ║
+ * ║                                                                            ║
+ * ╚════════════════════════════════════════════════════════════════════════════╝
+ *
+ * RUN:   node docs/javascript/00-javascript-engine/06-interpreter.js
+ *        node docs/javascript/00-javascript-engine/06-interpreter.js <file.js> [--trace] [--browser]
+ *        node docs/javascript/00-javascript-engine/06-interpreter.js --check <files or dirs...>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { spawnSync } = require('child_process');
+const { parse } = require('./03-parsing-ast');
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//                    ENVIRONMENTS + THE INTERPRETER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// The value a let/const/class binding holds between the creation phase and
+// its declaration line. Reading it throws - that window is the TDZ.
+const UNINITIALIZED = Symbol('uninitialized');
+
+// Host functions the program gets on its global object
+const BUILTINS = [
+  'Object', 'Array', 'String', 'Number', 'Boolean', 'Symbol', 'BigInt', 'Function', 'Math', 'JSON',
+  'Date', 'RegExp', 'Map', 'Set', 'WeakMap', 'WeakSet', 'Reflect', 'Proxy',
+  'Error', 'TypeError', 'ReferenceError', 'RangeError', 'SyntaxError',
+  'parseInt', 'parseFloat', 'isNaN', 'isFinite', 'NaN', 'Infinity'
+];
+
+function createEnvironment(outer, kind, label) {
+  return {
+    outer,
+    kind, // 'global' | 'module' | 'function' | 'block'
+    label,
+    bindings: new Map(), // name -> { value, kind }
+    object: null, // global env only: var/function live on the global object
+    declared: [], // names this env put on `object` (for the trace)
+    hasThis: false,
+    thisValue: undefined,
+    strict: outer ? outer.strict : false,
+  };
+}
+
+function isStrictBody(statements) {
+  const first = statements[0];
+  return Boolean(first && first.type === 'ExpressionStatement' &&
+    first.expression.type === 'Literal' && first.expression.value === 'use strict');
+}
+
+// `var` names anywhere in a body except nested functions. In sloppy mode a
+// function declared inside a block also gets a var binding (Annex B) - that
+// is why `if (true) { function f() {} }` makes f visible after the block.
+function collectVarNames(node, names, annexB) {
+  if (!node) return;
+  switch (node.type) {
+    case 'VariableDeclaration':
+      if (node.kind === 'var') node.declarations.forEach((d) => names.add(d.id.name));
+      break;
+    case 'BlockStatement':
+      node.body.forEach((statement) => {
+        if (statement.type === 'FunctionDeclaration') {
+          if (annexB) names.add(statement.id.name);
+        } else {
+          collectVarNames(statement, names, annexB);
+        }
+      });
+      break;
+    case 'IfStatement':
+      collectVarNames(node.consequent, names, annexB);
+      collectVarNames(node.alternate, names, annexB);
+      break;
+    case 'ForStatement':
+      collectVarNames(node.init, names, annexB);
+      collectVarNames(node.body, names, annexB);
+      break;
+    case 'ForOfStatement':
+    case 'ForInStatement':
+      collectVarNames(node.left, names, annexB);
+      collectVarNames(node.body, names, annexB);
+      break;
+    case 'WhileStatement':
+    case 'DoWhileStatement':
+      collectVarNames(node.body, names, annexB);
+      break;
+    case 'TryStatement':
+      collectVarNames(node.block, names, annexB);
+      if (node.handler) collectVarNames(node.handler.body, names, annexB);
+      collectVarNames(node.finalizer, names, annexB);
+      break;
+  }
+}
+
+function lexicalDeclarations(statements) {
+  const names = [];
+  for (const statement of statements) {
+    if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+      statement.declarations.forEach((d) => names.push([d.id.name, statement.kind]));
+    }
+  }
+  return names;
+}
+
+const isAnonymousFunction = (node) =>
+  (node.type === 'FunctionExpression' && !node.id) || node.type === 'ArrowFunctionExpression';
+
+// foo, obj.foo, obj[...] - used in "x is not a function" messages like V8's
+function calleeText(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'ThisExpression') return 'this';
+  if (node.type === 'MemberExpression') {
+    return `${calleeText(node.object)}${node.computed ? '[...]' : `.${node.property.name}`}`;
+  }
+  return 'expression';
+}
+
+function createInterpreter(options = {}) {
+  const { host = 'node', print = false, maxCallDepth = 1000, filename = 'script.js' } = options;
+
+  const logs = [];
+  const trace = [];
+  const closures = new WeakMap(); // wrapper function -> closure record
+  const boundTargets = new WeakMap(); // bound function -> target (for the trace)
+  const callCounts = new Map();
+  const timers = [];
+  const microtasks = [];
+  let timerSeq = 0;
+  let now = 0;
+  let depth = 0;
+  let currentLine = 0;
+  let pendingCall = null; // how the next interpreted call was made
+
+  // ─── Global object + host functions ───────────────────────────────────
+
+  const globalObject = {};
+  const define = (name, value) =>
+    Object.defineProperty(globalObject, name, { value, writable: true, configurable: true, enumerable: false });
+  for (const name of BUILTINS) define(name, globalThis[name]);
+  Object.defineProperty(globalObject, 'undefined', { value: undefined });
+  define('globalThis', globalObject);
+  define(host === 'browser' ? 'window' : 'global', globalObject);
+  // console.log(this) in a sloppy function prints like the host's global:
+  // Node's own enumerable globals, then whatever the program put there
+  define(util.inspect.custom, (depth, opts, inspect) => {
+    if (host === 'browser') return `Window ${inspect({ ...globalObject }, opts)}`;
+    const view = {};
+    for (const [key, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(globalThis))) {
+      if (descriptor.enumerable) Object.defineProperty(view, key, descriptor);
+    }
+    Object.assign(view, { global: view }, globalObject);
+    Object.defineProperty(view, Symbol.toStringTag, { value: 'global' });
+    return inspect(view, opts);
+  });
+
+  const write = (...args) => {
+    const text = util.format(...args);
+    logs.push(text);
+    trace.push({ type: 'log', text, depth, line: currentLine });
+    if (print) console.log(text);
+  };
+  define('console', { log: write, info: write, warn: write, error: write, debug: write });
+
+  // Node calls timer callbacks with this = the Timeout object, browsers
+  // with this = window
+  class Timeout {
+    constructor(delay) {
+      this._idleTimeout = delay;
+    }
+  }
+  const addTimer = (fn, delay, args, repeat) => {
+    const ms = Math.max(1, Number(delay) || 0);
+    const timer = { id: ++timerSeq, fn, args, ms, time: now + ms, repeat };
+    timers.push(timer);
+    return host === 'browser' ? timer.id : Object.assign(new Timeout(ms), { id: timer.id });
+  };
+  const clearTimer = (handle) => {
+    const id = handle && typeof handle === 'object' ? handle.id : handle;
+    const at = timers.findIndex((timer) => timer.id === id);
+    if (at !== -1) timers.splice(at, 1);
+  };
+  define('setTimeout', (fn, delay, ...args) => addTimer(fn, delay, args, false));
+  define('setInterval', (fn, delay, ...args) => addTimer(fn, delay, args, true));
+  define('clearTimeout', clearTimer);
+  define('clearInterval', clearTimer);
+  define('queueMicrotask', (fn) => microtasks.push(fn));
+
+  // ─── Global / module environment ─────────────────────────────────────
+
+  const globalEnv = createEnvironment(null, 'global', 'Global');
+  globalEnv.object = globalObject;
+  globalEnv.hasThis = true;
+  globalEnv.thisValue = globalObject;
+
+  const moduleExports = {};
+  let topEnv = globalEnv;
+  if (host === 'node') {
+    // (function (exports, require, module, __filename, __dirname) { ...your file... })
+    topEnv = createEnvironment(globalEnv, 'module', 'Global');
+    topEnv.hasThis = true;
+    topEnv.thisValue = moduleExports;
+    const module = { exports: moduleExports };
+    const require = (id) => {
+      throw new Error(`require('${id}') is not supported by the interpreter`);
+    };
+    for (const [name, value] of Object.entries({ exports: moduleExports, require, module, __filename: filename, __dirname: path.dirname(filename) })) {
+      topEnv.bindings.set(name, { value, kind: 'module' });
+    }
+  }
+
+  // ─── Trace helpers ───────────────────────────────────────────────────
+
+  function describe(value) {
+    if (value === UNINITIALIZED) return '<uninitialized>';
+    if (value === globalObject) return host === 'browser' ? 'window' : 'globalThis';
+    if (value === moduleExports && host === 'node') return 'module.exports {}';
+    if (typeof value === 'function') return `ƒ ${value.name || 'anonymous'}`;
+    if (value instanceof Error) return `${value.name}: ${value.message}`;
+    return util.inspect(value, { depth: 0, breakLength: Infinity, compact: true });
+  }
+
+  function snapshot(env) {
+    const rows = [...env.bindings].filter(([, record]) => record.kind !== 'module').map(([name, record]) => ({ name, kind: record.kind, value: describe(record.value) }));
+    for (const name of env.declared) {
+      rows.push({ name, kind: env.declaredKinds[name], value: describe(env.object[name]) });
+    }
+    return rows;
+  }
+
+  function emit(event) {
+    trace.push({ depth, line: currentLine, ...event });
+  }
+
+  // ─── Bindings ────────────────────────────────────────────────────────
+
+  function resolve(env, name) {
+    for (let e = env; e; e = e.outer) {
+      if (e.bindings.has(name)) return { env: e, record: e.bindings.get(name) };
+      if (e.object && name in e.object) return { env: e };
+    }
+    return null;
+  }
+
+  function readRecord(name, record) {
+    if (record.value === UNINITIALIZED) {
+      emit({ type: 'tdz', name });
+      throw new ReferenceError(`Cannot access '${name}' before initialization`);
+    }
+    return record.value;
+  }
+
+  function getValue(env, name) {
+    const ref = resolve(env, name);
+    if (!ref) throw new ReferenceError(`${name} is not defined`);
+    return ref.record ? readRecord(name, ref.record) : ref.env.object[name];
+  }
+
+  function setValue(env, name, value) {
+    const ref = resolve(env, name);
+    if (!ref) {
+      if (env.strict) throw new ReferenceError(`${name} is not defined`);
+      // Sloppy mode: assigning an undeclared name creates a global property
+      globalObject[name] = value;
+      emit({ type: 'assign', name, value: describe(value), scope: 'Global', implicitGlobal: true });
+      return;
+    }
+    if (ref.record) {
+      readRecord(name, ref.record);
+      if (ref.record.kind === 'const') throw new TypeError('Assignment to constant variable.');
+      if (ref.record.kind === 'function-name') {
+        if (env.strict) throw new TypeError('Assignment to constant variable.');
+        return; // a named function expression's own name is read-only
+      }
+      ref.record.value = value;
+    } else {
+      ref.env.object[name] = value;
+    }
+    emit({ type: 'assign', name, value: describe(value), scope: ref.env.label });
+  }
+
+  // var and function bindings: on the global object for a browser script
+  function declareVar(env, name, value, kind) {
+    if (env.object) {
+      if (!env.declared.includes(name)) {
+        env.declared.push(name);
+        env.declaredKinds = env.declaredKinds || {};
+      }
+      env.declaredKinds[name] = kind;
+      if (kind === 'function' || !(name in env.object)) env.object[name] = value;
+      return;
+    }
+    const existing = env.bindings.get(name);
+    if (existing && kind === 'var') return; // a param or function with this name wins
+    env.bindings.set(name, { value, kind });
+  }
+
+  // ─── Creation phase ──────────────────────────────────────────────────
+
+  function instantiate(statements, varEnv, lexEnv) {
+    const varNames = new Set();
+    statements.forEach((statement) => collectVarNames(statement, varNames, !varEnv.strict));
+    for (const name of varNames) declareVar(varEnv, name, undefined, 'var');
+    for (const statement of statements) {
+      if (statement.type === 'FunctionDeclaration') {
+        declareVar(varEnv, statement.id.name, makeFunction(statement, lexEnv, statement.id.name, { hoisted: true }), 'function');
+      }
+    }
+    for (const [name, kind] of lexicalDeclarations(statements)) {
+      lexEnv.bindings.set(name, { value: UNINITIALIZED, kind });
+    }
+  }
+
+  // Blocks only get their own environment when they declare something
+  function enterBlock(statements, env, label) {
+    const lexical = lexicalDeclarations(statements);
+    const functions = statements.filter((statement) => statement.type === 'FunctionDeclaration');
+    if (!lexical.length && !functions.length) return env;
+    const blockEnv = createEnvironment(env, 'block', label);
+    for (const [name, kind] of lexical) blockEnv.bindings.set(name, { value: UNINITIALIZED, kind });
+    for (const fn of functions) {
+      blockEnv.bindings.set(fn.id.name, { value: makeFunction(fn, blockEnv, fn.id.name, { hoisted: true }), kind: 'function' });
+    }
+    emit({ type: 'scope', label, bindings: snapshot(blockEnv) });
+    return blockEnv;
+  }
+
+  // ─── Functions ───────────────────────────────────────────────────────
+
+  function makeFunction(node, env, name = '', { method = false, hoisted = false } = {}) {
+    const closure = { node, env, name, arrow: node.type === 'ArrowFunctionExpression', fn: null };
+    closure.strict = env.strict || (node.body.type === 'BlockStatement' && isStrictBody(node.body.body));
+    const invoke = (thisArg, args, newTarget) => callFunction(closure, thisArg, args, newTarget);
+
+    // The wrappers are strict so the host passes `this` through untouched -
+    // callFunction applies the sloppy-mode rules itself
+    let fn;
+    if (closure.arrow) {
+      fn = (...args) => invoke(undefined, args, undefined);
+    } else if (method) {
+      fn = { [name]() { 'use strict'; return invoke(this, [...arguments], undefined); } }[name]; // methods can't be new'ed
+    } else {
+      fn = function () { 'use strict'; return invoke(this, [...arguments], new.target); };
+    }
+    const length = node.params.findIndex((p) => p.type !== 'Identifier');
+    Object.defineProperty(fn, 'name', { value: name, configurable: true });
+    Object.defineProperty(fn, 'length', { value: length === -1 ? node.params.length : length, configurable: true });
+    closure.fn = fn;
+    closures.set(fn, closure);
+    // Hoisted declarations show up in the creation-phase bindings instead
+    if (!hoisted) emit({ type: 'closure', name: name || 'anonymous', scope: env.label, arrow: closure.arrow });
+    return fn;
+  }
+
+  function thisEnvironment(env) {
+    let e = env;
+    while (!e.hasThis) e = e.outer;
+    return e;
+  }
+
+  function callFunction(closure, thisArg, args, newTarget) {
+    const { node } = closure;
+    const how = pendingCall && pendingCall.fn === closure.fn ? pendingCall.how : 'called by host code (a callback)';
+    pendingCall = null;
+    if (depth >= maxCallDepth) throw new RangeError('Maximum call stack size exceeded');
+
+    const name = closure.name || 'anonymous';
+    const count = (callCounts.get(name) || 0) + 1;
+    callCounts.set(name, count);
+    const label = `${name}()${count > 1 ? ` #${count}` : ''}`;
+    const env = createEnvironment(closure.env, 'function', label);
+    env.strict = closure.strict;
+
+    let thisNote;
+    if (closure.arrow) {
+      const source = thisEnvironment(closure.env);
+      thisNote = `arrow: no own this, uses ${source.label}'s`;
+    } else {
+      env.hasThis = true;
+      if (newTarget || closure.strict || (thisArg !== undefined && thisArg !== null)) {
+        env.thisValue = thisArg;
+        thisNote = how;
+      } else {
+        env.thisValue = globalObject;
+        thisNote = `${how}, sloppy mode: undefined → global object`;
+      }
+      if (!closure.strict && typeof env.thisValue !== 'object' && typeof env.thisValue !== 'function') {
+        env.thisValue = Object(env.thisValue);
+      }
+    }
+
+    const callerLine = currentLine;
+    depth++;
+    try {
+      node.params.forEach((param, i) => {
+        if (param.type === 'RestElement') {
+          env.bindings.set(param.argument.name, { value: args.slice(i), kind: 'param' });
+        } else if (param.type === 'AssignmentPattern') {
+          const value = args[i] === undefined ? evaluateNamed(param.right, env, param.left.name) : args[i];
+          env.bindings.set(param.left.name, { value, kind: 'param' });
+        } else {
+          env.bindings.set(param.name, { value: args[i], kind: 'param' });
+        }
+      });
+      if (!closure.arrow && !env.bindings.has('arguments')) {
+        env.bindings.set('arguments', { value: (function () { return arguments; })(...args), kind: 'arguments' });
+      }
+
+      let completion;
+      if (node.body.type === 'BlockStatement') {
+        instantiate(node.body.body, env, env);
+        emit({ type: 'enter', label, outer: closure.env.label, this: describe(thisEnvironment(env).thisValue), how: thisNote, bindings: snapshot(env) });
+        completion = executeStatements(node.body.body, env);
+      } else {
+        emit({ type: 'enter', label, outer: closure.env.label, this: describe(thisEnvironment(env).thisValue), how: thisNote, bindings: snapshot(env) });
+        completion = { type: 'return', value: evaluate(node.body, env) };
+      }
+      const value = completion && completion.type === 'return' ? completion.value : undefined;
+      emit({ type: 'exit', label, value: describe(value) });
+      return value;
+    } catch (error) {
+      emit({ type: 'exit', label, threw: describe(error) });
+      throw error;
+    } finally {
+      depth--;
+      currentLine = callerLine;
+    }
+  }
+
+  // `const f = function () {}` / `f: () => {}` get the name "f"
+  function evaluateNamed(node, env, name) {
+    if (isAnonymousFunction(node)) return makeFunction(node, env, name);
+    return evaluate(node, env);
+  }
+
+  // ─── Statements ──────────────────────────────────────────────────────
+
+  const BREAK = { type: 'break' };
+  const CONTINUE = { type: 'continue' };
+
+  function executeStatements(statements, env) {
+    for (const statement of statements) {
+      const completion = execute(statement, env);
+      if (completion) return completion;
+    }
+    return undefined;
+  }
+
+  // Runs a loop body; returns true when the loop must stop
+  function loopBody(body, env, result) {
+    const completion = execute(body, env);
+    if (!completion || completion === CONTINUE) return false;
+    if (completion !== BREAK) result.completion = completion;
+    return true;
+  }
+
+  function execute(node, env) {
+    if (node.line) currentLine = node.line;
+
+    switch (node.type) {
+      case 'EmptyStatement':
+        return undefined;
+
+      case 'ExpressionStatement':
+        evaluate(node.expression, env);
+        return undefined;
+
+      case 'VariableDeclaration':
+        for (const declarator of node.declarations) {
+          const name = declarator.id.name;
+          if (node.kind === 'var') {
+            if (!declarator.init) continue; // `var x;` does nothing at run time
+            setValue(env, name, evaluateNamed(declarator.init, env, name));
+          } else {
+            const value = declarator.init ? evaluateNamed(declarator.init, env, name) : undefined;
+            const ref = resolve(env, name);
+            ref.record.value = value; // leaves the TDZ here
+            emit({ type: 'assign', name, value: describe(value), scope: ref.env.label, kind: node.kind });
+          }
+        }
+        return undefined;
+
+      case 'FunctionDeclaration': {
+        // Hoisted already. Annex B: reaching a block-level declaration in
+        // sloppy mode copies it to the function-level var binding.
+        if (env.kind === 'block' && !env.strict) {
+          const ref = resolve(env.outer, node.id.name);
+          if (ref && (!ref.record || ref.record.kind === 'var' || ref.record.kind === 'function')) {
+            const value = env.bindings.get(node.id.name).value;
+            if (ref.record) ref.record.value = value;
+            else ref.env.object[node.id.name] = value;
+          }
+        }
+        return undefined;
+      }
+
+      case 'ReturnStatement':
+        return { type: 'return', value: node.argument ? evaluate(node.argument, env) : undefined };
+
+      case 'IfStatement':
+        if (evaluate(node.test, env)) return execute(node.consequent, env);
+        return node.alternate ? execute(node.alternate, env) : undefined;
+
+      case 'BlockStatement':
+        return executeStatements(node.body, enterBlock(node.body, env, `block@L${node.line || currentLine}`));
+
+      case 'ForStatement':
+        return executeFor(node, env);
+
+      case 'ForOfStatement':
+      case 'ForInStatement': {
+        const iterable = evaluate(node.right, env);
+        const values = node.type === 'ForOfStatement' ? iterable : (function* keys() { for (const key in iterable) yield key; })();
+        const result = {};
+        let iteration = 0;
+        for (const value of values) {
+          iteration++;
+          let iterEnv = env;
+          const { left } = node;
+          if (left.type === 'VariableDeclaration' && left.kind !== 'var') {
+            iterEnv = createEnvironment(env, 'block', `for-iteration #${iteration}@L${node.line}`);
+            iterEnv.bindings.set(left.declarations[0].id.name, { value, kind: left.kind });
+            emit({ type: 'scope', label: iterEnv.label, bindings: snapshot(iterEnv) });
+          } else {
+            setValue(env, left.type === 'Identifier' ? left.name : left.declarations[0].id.name, value);
+          }
+          if (loopBody(node.body, iterEnv, result)) break;
+        }
+        return result.completion;
+      }
+
+      case 'WhileStatement': {
+        const result = {};
+        while (evaluate(node.test, env)) {
+          if (loopBody(node.body, env, result)) break;
+        }
+        return result.completion;
+      }
+
+      case 'DoWhileStatement': {
+        const result = {};
+        do {
+          if (loopBody(node.body, env, result)) break;
+        } while (evaluate(node.test, env));
+        return result.completion;
+      }
+
+      case 'BreakStatement':
+        return BREAK;
+
+      case 'ContinueStatement':
+        return CONTINUE;
+
+      case 'ThrowStatement':
+        throw evaluate(node.argument, env);
+
+      case 'TryStatement': {
+        // JS's own try/finally gives the right semantics for free: a
+        // `return` from finally overrides whatever the try/catch did
+        const savedDepth = depth;
+        try {
+          return execute(node.block, env);
+        } catch (error) {
+          if (!node.handler) throw error;
+          depth = savedDepth;
+          currentLine = node.handler.line || currentLine;
+          const catchEnv = createEnvironment(env, 'block', `catch@L${currentLine}`);
+          if (node.handler.param) catchEnv.bindings.set(node.handler.param.name, { value: error, kind: 'catch' });
+          return execute(node.handler.body, catchEnv);
+        } finally {
+          if (node.finalizer) {
+            const completion = execute(node.finalizer, env);
+            if (completion) return completion; // eslint-disable-line no-unsafe-finally
+          }
+        }
+      }
+
+      default:
+        throw new SyntaxError(`${node.type} is not supported by the interpreter`);
+    }
+  }
+
+  // for (let i = 0; ...) gets a fresh copy of `i` for every iteration
+  // (spec: CreatePerIterationEnvironment); for (var i ...) shares one
+  function executeFor(node, env) {
+    let loopEnv = env;
+    let perIteration = [];
+    const { init } = node;
+    if (init && init.type === 'VariableDeclaration' && init.kind !== 'var') {
+      loopEnv = createEnvironment(env, 'block', `for@L${node.line}`);
+      for (const [name, kind] of lexicalDeclarations([init])) loopEnv.bindings.set(name, { value: UNINITIALIZED, kind });
+      if (init.kind === 'let') perIteration = [...loopEnv.bindings.keys()];
+    }
+    if (init && init.type === 'VariableDeclaration') execute(init, loopEnv);
+    else if (init) evaluate(init, loopEnv);
+
+    let iteration = 0;
+    const copyIteration = (previous) => {
+      if (!perIteration.length) return previous;
+      iteration++;
+      const next = createEnvironment(previous.outer, 'block', `for-iteration #${iteration}@L${node.line}`);
+      for (const name of perIteration) next.bindings.set(name, { ...previous.bindings.get(name) });
+      return next;
+    };
+
+    const result = {};
+    let iterEnv = copyIteration(loopEnv);
+    if (iterEnv !== loopEnv) emit({ type: 'scope', label: iterEnv.label, bindings: snapshot(iterEnv) });
+    while (true) {
+      if (node.test && !evaluate(node.test, iterEnv)) break;
+      if (loopBody(node.body, iterEnv, result)) break;
+      currentLine = node.line;
+      iterEnv = copyIteration(iterEnv);
+      if (node.update) evaluate(node.update, iterEnv);
+      if (perIteration.length) emit({ type: 'scope', label: iterEnv.label, bindings: snapshot(iterEnv) });
+    }
+    return result.completion;
+  }
+
+  // ─── Expressions ─────────────────────────────────────────────────────
+
+  function propertyKey(node, env, computed) {
+    if (computed) {
+      const key = evaluate(node, env);
+      return typeof key === 'symbol' ? key : String(key);
+    }
+    return node.type === 'Identifier' ? node.name : String(node.value);
+  }
+
+  // Evaluates obj / key once, so `obj[i++] += 1` only increments once
+  function reference(node, env) {
+    if (node.type === 'Identifier') {
+      return { get: () => getValue(env, node.name), set: (value) => setValue(env, node.name, value), name: node.name };
+    }
+    if (node.type === 'MemberExpression') {
+      const object = evaluate(node.object, env);
+      const key = propertyKey(node.property, env, node.computed);
+      return {
+        get: () => object[key],
+        set: (value) => {
+          if (object === null || object === undefined) {
+            throw new TypeError(`Cannot set properties of ${object} (setting '${String(key)}')`);
+          }
+          if (!Reflect.set(Object(object), key, value, object) && env.strict) {
+            throw new TypeError(`Cannot assign to read only property '${String(key)}' of object`);
+          }
+        },
+      };
+    }
+    if (node.type === 'ArrayExpression' || node.type === 'ObjectExpression') {
+      throw new SyntaxError('Destructuring is not supported by the interpreter');
+    }
+    throw new SyntaxError('Invalid left-hand side in assignment');
+  }
+
+  function binary(operator, left, right) {
+    switch (operator) {
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/': return left / right;
+      case '%': return left % right;
+      case '**': return left ** right;
+      case '==': return left == right; // eslint-disable-line eqeqeq
+      case '!=': return left != right; // eslint-disable-line eqeqeq
+      case '===': return left === right;
+      case '!==': return left !== right;
+      case '<': return left < right;
+      case '>': return left > right;
+      case '<=': return left <= right;
+      case '>=': return left >= right;
+      case 'instanceof': return left instanceof right;
+      case 'in': return left in right;
+      default: throw new SyntaxError(`Operator ${operator} is not supported by the interpreter`);
+    }
+  }
+
+  function evaluateList(nodes, env) {
+    const values = [];
+    for (const node of nodes) {
+      if (node.type === 'SpreadElement') values.push(...evaluate(node.argument, env));
+      else values.push(evaluate(node, env));
+    }
+    return values;
+  }
+
+  function evaluate(node, env) {
+    switch (node.type) {
+      case 'Literal':
+        return node.value;
+
+      case 'Identifier':
+        return getValue(env, node.name);
+
+      case 'ThisExpression':
+        return thisEnvironment(env).thisValue;
+
+      case 'TemplateLiteral':
+        return node.quasis.reduce((text, quasi, i) =>
+          text + quasi + (i < node.expressions.length ? String(evaluate(node.expressions[i], env)) : ''), '');
+
+      case 'ArrayExpression':
+        return evaluateList(node.elements, env);
+
+      case 'ObjectExpression': {
+        const object = {};
+        for (const property of node.properties) {
+          if (property.type === 'SpreadElement') {
+            Object.assign(object, evaluate(property.argument, env));
+            continue;
+          }
+          const key = propertyKey(property.key, env, property.computed);
+          const name = typeof key === 'symbol' ? '' : key;
+          if (property.kind === 'get' || property.kind === 'set') {
+            const accessor = makeFunction(property.value, env, `${property.kind} ${name}`, { method: true });
+            Object.defineProperty(object, key, { [property.kind]: accessor, enumerable: true, configurable: true });
+          } else if (property.method) {
+            object[key] = makeFunction(property.value, env, name, { method: true });
+          } else {
+            object[key] = evaluateNamed(property.value, env, name);
+          }
+        }
+        return object;
+      }
+
+      case 'FunctionExpression': {
+        if (!node.id) return makeFunction(node, env, '');
+        // A named function expression sees its own name (and nothing else
+        // outside does) through one extra environment
+        const nameEnv = createEnvironment(env, 'block', env.label);
+        const fn = makeFunction(node, nameEnv, node.id.name);
+        nameEnv.bindings.set(node.id.name, { value: fn, kind: 'function-name' });
+        return fn;
+      }
+
+      case 'ArrowFunctionExpression':
+        return makeFunction(node, env, '');
+
+      case 'UnaryExpression': {
+        const { operator, argument } = node;
+        if (operator === 'typeof' && argument.type === 'Identifier' && !resolve(env, argument.name)) {
+          return 'undefined'; // the one place an undeclared name doesn't throw
+        }
+        if (operator === 'delete') {
+          if (argument.type !== 'MemberExpression') return false;
+          const object = evaluate(argument.object, env);
+          const deleted = Reflect.deleteProperty(Object(object), propertyKey(argument.property, env, argument.computed));
+          if (!deleted && env.strict) throw new TypeError('Cannot delete property');
+          return deleted;
+        }
+        const value = evaluate(argument, env);
+        switch (operator) {
+          case 'typeof': return typeof value;
+          case 'void': return undefined;
+          case '!': return !value;
+          case '-': return -value;
+          case '+': return +value;
+          case '~': return ~value;
+        }
+        throw new SyntaxError(`Operator ${operator} is not supported by the interpreter`);
+      }
+
+      case 'UpdateExpression': {
+        const ref = reference(node.argument, env);
+        const old = Number(ref.get());
+        const next = node.operator === '++' ? old + 1 : old - 1;
+        ref.set(next);
+        return node.prefix ? next : old;
+      }
+
+      case 'BinaryExpression':
+        return binary(node.operator, evaluate(node.left, env), evaluate(node.right, env));
+
+      case 'LogicalExpression': {
+        const left = evaluate(node.left, env);
+        if (node.operator === '&&') return left ? evaluate(node.right, env) : left;
+        if (node.operator === '||') return left ? left : evaluate(node.right, env);
+        return left !== null && left !== undefined ? left : evaluate(node.right, env);
+      }
+
+      case 'ConditionalExpression':
+        return evaluate(node.test, env) ? evaluate(node.consequent, env) : evaluate(node.alternate, env);
+
+      case 'AssignmentExpression': {
+        const ref = reference(node.left, env);
+        const { operator } = node;
+        let value;
+        if (operator === '=') {
+          value = ref.name ? evaluateNamed(node.right, env, ref.name) : evaluate(node.right, env);
+        } else if (operator === '&&=' || operator === '||=' || operator === '??=') {
+          const current = ref.get();
+          const keep = operator === '&&=' ? !current : operator === '||=' ? current : current !== null && current !== undefined;
+          if (keep) return current;
+          value = evaluate(node.right, env);
+        } else {
+          value = binary(operator.slice(0, -1), ref.get(), evaluate(node.right, env));
+        }
+        ref.set(value);
+        return value;
+      }
+
+      case 'CallExpression':
+        return evaluateCall(node, env);
+
+      case 'NewExpression': {
+        const callee = evaluate(node.callee, env);
+        const args = evaluateList(node.arguments, env);
+        if (typeof callee !== 'function' || closures.get(callee)?.arrow || !isConstructor(callee)) {
+          throw new TypeError(`${calleeText(node.callee)} is not a constructor`);
+        }
+        pendingCall = { fn: callee, how: 'new → this = a fresh object linked to the prototype' };
+        return Reflect.construct(callee, args);
+      }
+
+      case 'MemberExpression': {
+        const object = evaluate(node.object, env);
+        const key = propertyKey(node.property, env, node.computed);
+        if (object === null || object === undefined) {
+          throw new TypeError(`Cannot read properties of ${object} (reading '${String(key)}')`);
+        }
+        return object[key];
+      }
+
+      default:
+        throw new SyntaxError(`${node.type} is not supported by the interpreter`);
+    }
+  }
+
+  function isConstructor(fn) {
+    try {
+      Reflect.construct(String, [], fn);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  function evaluateCall(node, env) {
+    const { callee } = node;
+    let thisArg;
+    let fn;
+    let how;
+    if (callee.type === 'MemberExpression') {
+      thisArg = evaluate(callee.object, env);
+      const key = propertyKey(callee.property, env, callee.computed);
+      if (thisArg === null || thisArg === undefined) {
+        throw new TypeError(`Cannot read properties of ${thisArg} (reading '${String(key)}')`);
+      }
+      fn = thisArg[key];
+      how = `method call ${calleeText(callee)}() → this = ${calleeText(callee.object)}`;
+    } else {
+      fn = evaluate(callee, env);
+      how = `plain call ${calleeText(callee)}() → no receiver`;
+    }
+    const args = evaluateList(node.arguments, env);
+    if (typeof fn !== 'function') throw new TypeError(`${calleeText(callee)} is not a function`);
+
+    // .call / .apply / bound functions pass `this` explicitly - note that
+    // for the trace, the actual binding is done by the real Function.prototype
+    if ((fn === Function.prototype.call || fn === Function.prototype.apply) && typeof thisArg === 'function') {
+      pendingCall = { fn: thisArg, how: `.${fn.name}() → this = its first argument` };
+    } else if (boundTargets.has(fn)) {
+      pendingCall = { fn: boundTargets.get(fn), how: 'bound function → this fixed by .bind()' };
+    } else {
+      pendingCall = { fn, how };
+    }
+    const result = Reflect.apply(fn, thisArg, args);
+    if (fn === Function.prototype.bind && closures.has(thisArg)) boundTargets.set(result, thisArg);
+    return result;
+  }
+
+  // ─── Running a program ───────────────────────────────────────────────
+
+  function runTask(label, fn, thisArg, args) {
+    emit({ type: 'task', label });
+    pendingCall = null;
+    Reflect.apply(fn, thisArg, args);
+    drainMicrotasks();
+  }
+
+  function drainMicrotasks() {
+    while (microtasks.length) runTask('microtask', microtasks.shift(), undefined, []);
+  }
+
+  function run(source) {
+    let error = null;
+    try {
+      const program = parse(source);
+      topEnv.strict = isStrictBody(program.body);
+      instantiate(program.body, topEnv, topEnv);
+      emit({ type: 'enter', label: 'Global', outer: null, this: describe(topEnv.thisValue), how: host === 'node' ? 'module wrapper: this = module.exports' : 'script: this = window', bindings: snapshot(topEnv) });
+      executeStatements(program.body, topEnv);
+      emit({ type: 'exit', label: 'Global', value: 'undefined', script: true });
+      drainMicrotasks();
+
+      // The event loop: always the earliest timer next (ties: first scheduled)
+      while (timers.length) {
+        timers.sort((a, b) => a.time - b.time || a.id - b.id);
+        const timer = timers.shift();
+        now = timer.time;
+        if (timer.repeat) timers.push({ ...timer, time: now + timer.ms });
+        const thisArg = host === 'browser' ? globalObject : Object.assign(new Timeout(timer.ms), { id: timer.id });
+        runTask(`${timer.repeat ? 'setInterval' : 'setTimeout'} callback (t=${now}ms)`, timer.fn, thisArg, timer.args);
+      }
+    } catch (err) {
+      error = err;
+      depth = 0;
+      emit({ type: 'error', message: err instanceof Error ? `${err.name}: ${err.message}` : `Uncaught ${describe(err)}` });
+    }
+    return { logs, trace, error, globalObject };
+  }
+
+  return { run };
+}
+
+// run(source, { host: 'node' | 'browser', print, maxCallDepth, filename })
+// -> { logs, trace, error, globalObject }
+function run(source, options) {
+  return createInterpreter(options).run(source);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//                    FORMATTING THE TRACE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function formatBindings(bindings) {
+  if (!bindings.length) return '(nothing declared)';
+  return bindings
+    .filter((b) => b.kind !== 'arguments' || b.value !== '[Arguments] []')
+    .map((b) => `${b.name} = ${b.value}${b.kind === 'param' || b.kind === 'arguments' ? '' : ` (${b.kind})`}`)
+    .join(', ');
+}
+
+// One line per event, indented by call depth - the same story
+// 01-execution-context/09-visualize-ec.js tells in boxes
+function formatTrace(trace, { closures = true, assignments = true } = {}) {
+  const lines = [];
+  for (const event of trace) {
+    const pad = '│  '.repeat(event.depth);
+    const at = event.line ? `L${event.line}`.padEnd(5) : '     ';
+    switch (event.type) {
+      case 'enter':
+        lines.push(`${pad}┌─ ${event.label} EC created${event.outer ? ` (outer: ${event.outer})` : ''}`);
+        lines.push(`${pad}│  creation phase: ${formatBindings(event.bindings)}`);
+        lines.push(`${pad}│  this = ${event.this}   ← ${event.how}`);
+        break;
+      case 'exit':
+        if (event.script) lines.push(`${pad}└─ Global code done (timers and callbacks run next)`);
+        else lines.push(`${pad}└─ ${event.label} ${event.threw ? `threw ${event.threw}` : `returns ${event.value}`} (EC popped)`);
+        break;
+      case 'assign':
+        if (!assignments) break;
+        if (event.implicitGlobal) lines.push(`${pad}${at}${event.name} = ${event.value}   ← undeclared: created on the global object`);
+        else lines.push(`${pad}${at}${event.name} = ${event.value}${event.kind ? `   (${event.kind} leaves the TDZ)` : ''}${event.scope !== 'Global' && event.depth === 0 ? `   [in ${event.scope}]` : ''}`);
+        break;
+      case 'closure':
+        if (closures) lines.push(`${pad}${at}ƒ ${event.name} created, remembers ${event.scope}`);
+        break;
+      case 'scope':
+        lines.push(`${pad}${at}new scope ${event.label}: ${formatBindings(event.bindings)}`);
+        break;
+      case 'tdz':
+        lines.push(`${pad}${at}✗ '${event.name}' read while still in its TDZ`);
+        break;
+      case 'log':
+        lines.push(`${pad}${at}console.log → ${event.text}`);
+        break;
+      case 'task':
+        lines.push(`── event loop: ${event.label} ──`);
+        break;
+      case 'error':
+        lines.push(`✗ Uncaught ${event.message.replace(/^Uncaught /, '')}`);
+        break;
+    }
+  }
+  return lines.join('\n');
+}
+
+module.exports = { run, createInterpreter, formatTrace, UNINITIALIZED };
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//                    COMPARING WITH REAL NODE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Runs each file in real Node and in the interpreter (host 'node') and
+// compares stdout + the uncaught error line
+function checkFiles(targets) {
+  const files = targets.flatMap((target) =>
+    fs.statSync(target).isDirectory()
+      ? fs.readdirSync(target).filter((f) => f.endsWith('.js')).sort().map((f) => path.join(target, f))
+      : [target]);
+  const counts = { same: 0, different: 0, unsupported: 0 };
+  for (const file of files) {
+    const real = spawnSync(process.execPath, [file], { encoding: 'utf8', timeout: 10000 });
+    const realError = (real.stderr.match(/^(\w*Error|Uncaught .*?): .*$/m) || [''])[0];
+    const expected = real.stdout.trimEnd() + (realError ? `\n! ${realError}` : '');
+
+    const { logs, error } = run(fs.readFileSync(file, 'utf8'), { host: 'node', filename: path.resolve(file) });
+    const unsupported = error instanceof Error && /not supported|^Unexpected token|^Expected /.test(error.message) && error.name !== 'TypeError';
+    const actual = logs.join('\n').trimEnd() + (error ? `\n! ${error instanceof Error ? `${error.name}: ${error.message}` : `Uncaught ${util.inspect(error)}`}` : '');
+    const name = path.relative(process.cwd(), file);
+    if (unsupported) {
+      counts.unsupported++;
+      console.log(`  skip  ${name}  (${error.message})`);
+    } else if (actual === expected) {
+      counts.same++;
+      console.log(`  same  ${name}`);
+    } else {
+      counts.different++;
+      console.log(`  DIFF  ${name}`);
+      const a = actual.split('\n');
+      const e = expected.split('\n');
+      const at = a.findIndex((line, i) => line !== e[i]);
+      const i = at === -1 ? a.length : at;
+      console.log(`        first difference at output line ${i + 1}:\n        node: ${e[i]}\n        ours: ${a[i]}`);
+    }
+  }
+  console.log(`\n${counts.same} same, ${counts.different} different, ${counts.unsupported} use syntax outside the subset`);
+  return counts;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//                              TEST CASES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function demo(title, source, options = {}) {
+  console.log('═'.repeat(70));
+  console.log(title);
+  console.log('═'.repeat(70));
+  console.log(source.trim());
+  console.log('─'.repeat(70));
+  const { trace } = run(source, options);
+  console.log(formatTrace(trace, options));
+  console.log();
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args[0] === '--check') {
+    const counts = checkFiles(args.slice(1));
+    process.exitCode = counts.different ? 1 : 0;
+  } else if (args.length) {
+    const file = args.find((arg) => !arg.startsWith('--'));
+    const host = args.includes('--browser') ? 'browser' : 'node';
+    const { trace, error } = run(fs.readFileSync(file, 'utf8'), { host, print: !args.includes('--trace'), filename: path.resolve(file) });
+    if (args.includes('--trace')) console.log(formatTrace(trace));
+    else if (error) console.error(error instanceof Error ? `${error.name}: ${error.message}` : `Uncaught ${util.inspect(error)}`);
+  } else {
+    demo('TEST A: The program from 01-execution-context/09-visualize-ec.js', `
+var x = 10;
+
+function add(a, b) {
+  var result = a + b;
+  return result;
+}
+
+var sum = add(3, 4);
+console.log(sum);
+`, { closures: false });
+
+    demo('TEST B: Hoisting - why the first log is undefined (00-var-hoisting.js)', `
+var a = 1;
+function outer() {
+  console.log(a);
+  var a = 2;
+  console.log(a);
+}
+outer();
+`, { closures: false });
+
+    demo('TEST C: The TDZ - b exists from the start, but is roped off (13-combined-tricky.js)', `
+var a = 10;
+function outer() {
+  console.log(a);
+  console.log(b);
+  var a = 20;
+  let b = 30;
+}
+outer();
+`, { closures: false });
+
+    demo('TEST D: var vs let in a loop with setTimeout (14-loop-var-settimeout.js)', `
+for (var i = 0; i < 2; i++) {
+  setTimeout(function () { console.log('var', i); }, 100);
+}
+for (let j = 0; j < 2; j++) {
+  setTimeout(function () { console.log('let', j); }, 100);
+}
+`, { assignments: false });
+
+    demo('TEST E: Closures keep their environment alive (counter)', `
+function makeCounter() {
+  let count = 0;
+  return function increment() {
+    count = count + 1;
+    return count;
+  };
+}
+const counter = makeCounter();
+counter();
+console.log(counter());
+`);
+
+    demo('TEST F: this - plain, method, call, bind, new and arrow (20-ultimate-this-test.js)', `
+var obj = {
+  name: 'Object',
+  regular: function () {
+    var inner = function () { return this.name; };
+    var arrow = () => this.name;
+    console.log(inner(), arrow());
+  }
+};
+obj.regular();
+function who() { return this.name; }
+console.log(who.call({ name: 'call' }), who.bind({ name: 'bind' })());
+function Person(name) { this.name = name; }
+console.log(new Person('new').name);
+`, { closures: false, assignments: false });
+
+    console.log('═'.repeat(70));
+    console.log('TEST G: Same code, two hosts (12-this-binding.js)');
+    console.log('═'.repeat(70));
+    const thisSource = `
+var name = 'Global';
+function sayName() { console.log(this.name); }
+var person = { name: 'John', sayName: sayName };
+sayName();
+person.sayName();
+`;
+    console.log(thisSource.trim());
+    console.log('─'.repeat(70));
+    console.log('node   :', run(thisSource, { host: 'node' }).logs.join(', '));
+    console.log('browser:', run(thisSource, { host: 'browser' }).logs.join(', '));
+    // Expected: node   : undefined, John
+    //           browser: Global, John
+    console.log();
+
+    console.log('═'.repeat(70));
+    console.log('TEST H: Every puzzle in 01-execution-context and 02-closures vs real Node');
+    console.log('═'.repeat(70));
+    checkFiles([path.join(__dirname, '../01-execution-context'), path.join(__dirname, '../02-closures')]);
+  }
+}
+
+/**
+ * ╔════════════════════════════════════════════════════════════════════════════╗
+ * ║ INTERVIEW QUESTIONS                                                       ║
+ * ╠════════════════════════════════════════════════════════════════════════════╣
+ * ║                                                                            ║
+ * ║ Q1: "What is hoisting, really?"                                           ║
+ * ║                                                                            ║
+ * ║ A: Nothing moves. Before a function body runs, the engine scans it once   ║
+ * ║    (the creation phase) and creates every binding up front: var as       ║
+ * ║    undefined, function declarations as ready functions, let/const as     ║
+ * ║    UNINITIALIZED. TEST B shows `a = undefined (var)` in outer()'s        ║
+ * ║    creation phase - that is the whole trick.                             ║
+ * ║                                                                            ║
+ * ║ Q2: "Why does `let` fix the setTimeout loop but `var` doesn't?"           ║
+ * ║                                                                            ║
+ * ║ A: `var i` is one binding in the function's environment, so all three    ║
+ * ║    callbacks remember the same one. `for (let i ...)` creates a new       ║
+ * ║    environment per iteration and copies i into it; each callback         ║
+ * ║    remembers its own "for-iteration #n" scope (TEST D).                   ║
+ * ║                                                                            ║
+ * ║ Q3: "How does an interpreter implement `this`?"                           ║
+ * ║                                                                            ║
+ * ║ A: The CALL site decides: `obj.m()` passes obj, `f()` passes undefined    ║
+ * ║    (sloppy functions swap it for the global object), call/apply/bind     ║
+ * ║    pass it explicitly, `new` passes a fresh object. Arrow functions      ║
+ * ║    have no this binding at all - looking up `this` walks out to the      ║
+ * ║    nearest environment that has one, exactly like a variable lookup.     ║
+ * ║                                                                            ║
+ * ║ Q4: "Tree-walking interpreter vs. V8?"                                    ║
+ * ║                                                                            ║
+ * ║ A: Same semantics, different speed. V8 compiles the AST to bytecode       ║
+ * ║    (Ignition) and hot code to machine code (TurboFan), and resolves most ║
+ * ║    variables to fixed slots at parse time instead of walking a chain of  ║
+ * ║    Maps by name at run time (see 04-compilation-jit.js).                 ║
+ * ║                                                                            ║
+ * ╚════════════════════════════════════════════════════════════════════════════╝
+ */
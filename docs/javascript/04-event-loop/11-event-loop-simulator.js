@@ -0,0 +1,611 @@
+/**
+ * TOOL 11: Deterministic Event Loop Simulator
+ *
+ * ╔════════════════════════════════════════════════════════════════════════════╗
+ * ║ THE GOLDEN RULE                                                            ║
+ * ╠════════════════════════════════════════════════════════════════════════════╣
+ * ║                                                                            ║
+ * ║ Every "what prints?" question is answered by the same loop:                ║
+ * ║                                                                            ║
+ * ║   1. Run the script until the call stack is empty                          ║
+ * ║   2. Drain process.nextTick queue, then the microtask queue (repeat)       ║
+ * ║   3. Timers phase: run every due timer, draining (2) after EACH one        ║
+ * ║   4. Check phase: run every setImmediate, draining (2) after EACH one      ║
+ * ║   5. Advance the clock to the next timer and go back to 3                  ║
+ * ║                                                                            ║
+ * ╚════════════════════════════════════════════════════════════════════════════╝
+ *
+ * The simulator runs a snippet inside a `vm` context where every scheduling
+ * primitive is replaced by an instrumented one:
+ *
+ *   setTimeout / setInterval / clear*   ──> virtual-clock timer queue
+ *   setImmediate / clearImmediate       ──> check-phase queue
+ *   process.nextTick                    ──> nextTick queue
+ *   queueMicrotask, Promise             ──> microtask queue
+ *   async / await                       ──> rewritten onto Promise + generators
+ *   Date.now / performance.now          ──> virtual clock (ms)
+ *
+ * `Promise` inside the sandbox IS the A+ polyfill from
+ * docs/javascript/29-machine-coding/01-promise-polyfill.js, loaded into the
+ * context so its jobs land on OUR microtask queue. Its job ordering matches
+ * native Promise tick for tick (see 01-promise-aplus-conformance.js), and
+ * async functions are rewritten so `await` costs exactly the ticks V8 spends.
+ *
+ * Because the clock is virtual, the result is deterministic — even for the
+ * setTimeout(0)-vs-setImmediate race that real Node leaves to chance. The
+ * `startupMs` option decides that race (default 1: the timer is already due
+ * when the loop starts, which is what Node prints on most machines).
+ *
+ * ┌─────────────────────────────────────────────────────────────────────────────┐
+ * │ USAGE                                                                       │
+ * ├─────────────────────────────────────────────────────────────────────────────┤
+ * │                                                                             │
+ * │   const { simulate, formatTrace } = require('./11-event-loop-simulator');   │
+ * │   const { logs, trace } = simulate(source);                                 │
+ * │   console.log(formatTrace(trace));                                          │
+ * │                                                                             │
+ * │   node docs/javascript/04-event-loop/11-event-loop-simulator.js [file.js]   │
+ * │                                                                             │
+ * └─────────────────────────────────────────────────────────────────────────────┘
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const vm = require('vm');
+
+const POLYFILL_PATH = path.join(__dirname, '../29-machine-coding/01-promise-polyfill.js');
+
+// ===================== async/await REWRITER =====================
+//
+// The sandbox Promise is a polyfill, but `async function` always uses the
+// engine's built-in Promise. So async functions are rewritten into generators
+// driven by __async (same trick Babel's regenerator/asyncToGenerator uses):
+//
+//   async function f(a) { const x = await p; }
+//     ──> function f(a) { return __async(function* () { const x = (yield p); }, this, arguments); }
+//
+//   async (a) => expr   ──> (a) => __async(function* () { return expr; }, this)
+
+const PUNCTUATORS = [
+  '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+  '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--', '+=', '-=',
+  '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>',
+];
+const REGEX_ALLOWED_AFTER = new Set(['return', 'typeof', 'case', 'do', 'else', 'in', 'of', 'new', 'delete', 'void', 'throw', 'yield', 'await']);
+
+function tokenize(src) {
+  const tokens = [];
+  let i = 0;
+  const regexCanFollow = () => {
+    const prev = tokens[tokens.length - 1];
+    if (!prev) return true;
+    if (prev.type === 'punct') return !/^[)\]}]$/.test(prev.value);
+    return prev.type === 'ident' && REGEX_ALLOWED_AFTER.has(prev.value);
+  };
+  while (i < src.length) {
+    const ch = src[i];
+    const start = i;
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (src.startsWith('//', i)) {
+      while (i < src.length && src[i] !== '\n') i++;
+    } else if (src.startsWith('/*', i)) {
+      i = src.indexOf('*/', i + 2);
+      i = i === -1 ? src.length : i + 2;
+    } else if (ch === '"' || ch === "'") {
+      i++;
+      while (i < src.length && src[i] !== ch) i += src[i] === '\\' ? 2 : 1;
+      tokens.push({ type: 'string', value: src.slice(start, ++i), start, end: i });
+    } else if (ch === '`') {
+      i = skipTemplate(src, i);
+      tokens.push({ type: 'template', value: src.slice(start, i), start, end: i });
+    } else if (ch === '/' && regexCanFollow()) {
+      let inClass = false;
+      i++;
+      while (i < src.length && (src[i] !== '/' || inClass)) {
+        if (src[i] === '\\') i++;
+        else if (src[i] === '[') inClass = true;
+        else if (src[i] === ']') inClass = false;
+        i++;
+      }
+      i++;
+      while (/[a-z]/i.test(src[i] || '')) i++;
+      tokens.push({ type: 'regex', value: src.slice(start, i), start, end: i });
+    } else if (/[A-Za-z_$]/.test(ch)) {
+      while (/[\w$]/.test(src[i] || '')) i++;
+      tokens.push({ type: 'ident', value: src.slice(start, i), start, end: i });
+    } else if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(src[i + 1]))) {
+      while (/[\w.]/.test(src[i] || '')) i++;
+      tokens.push({ type: 'number', value: src.slice(start, i), start, end: i });
+    } else {
+      const punct = PUNCTUATORS.find((p) => src.startsWith(p, i)) || ch;
+      i += punct.length;
+      tokens.push({ type: 'punct', value: punct, start, end: i });
+    }
+  }
+  return tokens;
+}
+
+// Skip a template literal, including `${ ... }` holes that may nest templates
+function skipTemplate(src, i) {
+  i++;
+  while (i < src.length && src[i] !== '`') {
+    if (src[i] === '\\') i += 2;
+    else if (src.startsWith('${', i)) {
+      let depth = 1;
+      i += 2;
+      while (i < src.length && depth > 0) {
+        if (src[i] === '`') i = skipTemplate(src, i);
+        else {
+          if (src[i] === '{') depth++;
+          if (src[i] === '}') depth--;
+          i++;
+        }
+      }
+    } else i++;
+  }
+  return i + 1;
+}
+
+function matchBrackets(tokens) {
+  const match = new Map();
+  const stack = [];
+  const pairs = { ')': '(', ']': '[', '}': '{' };
+  tokens.forEach((t, k) => {
+    if (t.type !== 'punct') return;
+    if (t.value === '(' || t.value === '[' || t.value === '{') stack.push(k);
+    else if (pairs[t.value]) {
+      const open = stack.pop();
+      if (open === undefined) return;
+      match.set(open, k);
+      match.set(k, open);
+    }
+  });
+  return match;
+}
+
+// Index of the last token of the unary operand starting at token k
+function operandEnd(tokens, match, k) {
+  const UNARY = new Set(['!', '-', '+', '~', 'typeof', 'void', 'delete', 'await']);
+  while (tokens[k] && UNARY.has(tokens[k].value)) k++;
+  if (tokens[k] && tokens[k].value === 'new') return operandEnd(tokens, match, k + 1);
+  const first = tokens[k];
+  if (!first) return k - 1;
+  if (first.type === 'punct' && match.has(k)) k = match.get(k);
+  else if (first.value === 'function' || first.value === 'class') {
+    while (tokens[k] && tokens[k].value !== '{') k++;
+    k = match.get(k);
+  }
+  while (tokens[k + 1]) {
+    const next = tokens[k + 1];
+    if (next.value === '.' || next.value === '?.') {
+      k += tokens[k + 2] && match.has(k + 2) ? match.get(k + 2) - k : 2;
+    } else if ((next.value === '(' || next.value === '[') && match.has(k + 1)) {
+      k = match.get(k + 1);
+    } else if (next.type === 'template') {
+      k++;
+    } else break;
+  }
+  return k;
+}
+
+// Index of the last token of an arrow's expression body starting at token k
+function expressionEnd(tokens, match, k) {
+  let last = k - 1;
+  while (tokens[k]) {
+    const t = tokens[k];
+    if (t.type === 'punct' && /^[,;)\]}]$/.test(t.value)) break;
+    if (match.has(k) && /^[([{]$/.test(t.value)) k = match.get(k);
+    last = k;
+    k++;
+  }
+  return last;
+}
+
+function transformAsync(src) {
+  const tokens = tokenize(src);
+  const match = matchBrackets(tokens);
+  const edits = []; // { pos, text, remove } applied back to front
+  const asyncBodies = []; // [startPos, endPos] ranges whose `await`s become `yield`
+
+  const insert = (pos, text, order = 0) => edits.push({ pos, text, remove: 0, order });
+  // Left alone, these would run on Node's real microtask queue after the
+  // simulation ended and their output would vanish without an error
+  const unsupported = (t, what) => {
+    const line = src.slice(0, t.start).split('\n').length;
+    throw new SyntaxError(`Unsupported syntax at line ${line}: ${what} can't run in the simulator`);
+  };
+  const removeToken = (t) => edits.push({ pos: t.start, text: '', remove: t.end - t.start, order: 0 });
+
+  tokens.forEach((t, k) => {
+    if (t.type !== 'ident' || t.value !== 'async') return;
+    const next = tokens[k + 1];
+    if (!next) return;
+    const prev = tokens[k - 1];
+    if (prev && (prev.value === '.' || prev.value === '?.')) return; // obj.async
+
+    // async function [name] (...) { ... }
+    if (next.value === 'function') {
+      let j = k + 2;
+      if (tokens[j] && tokens[j].value === '*') unsupported(t, 'async generator function');
+      while (tokens[j] && tokens[j].value !== '(') j++;
+      const bodyOpen = match.get(j) + 1;
+      wrapBlock(t, bodyOpen, 'arguments');
+      return;
+    }
+
+    // async (a, b) => ...   |   async x => ...
+    let arrow = null;
+    if (next.value === '(' && match.has(k + 1) && tokens[match.get(k + 1) + 1]?.value === '=>') {
+      arrow = match.get(k + 1) + 1;
+    } else if (next.type === 'ident' && tokens[k + 2]?.value === '=>') {
+      arrow = k + 2;
+    }
+    if (arrow !== null) {
+      removeToken(t);
+      const bodyStart = arrow + 1;
+      if (tokens[bodyStart].value === '{') {
+        const close = match.get(bodyStart);
+        insert(tokens[arrow].end, ' __async(function* () ');
+        insert(tokens[close].end, ', this)', 1);
+        asyncBodies.push([tokens[bodyStart].start, tokens[close].end]);
+      } else {
+        const last = expressionEnd(tokens, match, bodyStart);
+        insert(tokens[arrow].end, ' __async(function* () { return ');
+        insert(tokens[last].end, '; }, this)', 1);
+        asyncBodies.push([tokens[bodyStart].start, tokens[last].end]);
+      }
+      return;
+    }
+
+    if (next.value === '*') unsupported(t, 'async generator method');
+
+    // async method(...) { ... }  (object literals and classes), with the
+    // name as ident, 'string', 123, [computed] or #private
+    let nameEnd = null;
+    if (next.type === 'ident' || next.type === 'string' || next.type === 'number') nameEnd = k + 1;
+    else if (next.value === '[' && match.has(k + 1)) nameEnd = match.get(k + 1);
+    else if (next.value === '#' && tokens[k + 2]?.type === 'ident') nameEnd = k + 2;
+    if (nameEnd !== null && tokens[nameEnd + 1]?.value === '(' && match.has(nameEnd + 1)) {
+      const bodyOpen = match.get(nameEnd + 1) + 1;
+      if (tokens[bodyOpen]?.value === '{') wrapBlock(t, bodyOpen, 'arguments');
+    }
+  });
+
+  function wrapBlock(asyncToken, bodyOpen, argsExpr) {
+    const close = match.get(bodyOpen);
+    removeToken(asyncToken);
+    insert(tokens[bodyOpen].end, ' return __async(function* () {');
+    insert(tokens[close].start, `}, this, ${argsExpr}); `, -1);
+    asyncBodies.push([tokens[bodyOpen].start, tokens[close].end]);
+  }
+
+  // await X  ──>  (yield X)   — parenthesised because yield binds looser than await
+  tokens.forEach((t, k) => {
+    if (t.type !== 'ident' || t.value !== 'await') return;
+    if (!asyncBodies.some(([s, e]) => t.start > s && t.start < e)) return;
+    const last = operandEnd(tokens, match, k + 1);
+    edits.push({ pos: t.start, text: '(yield', remove: t.end - t.start, order: 0 });
+    insert(tokens[last].end, ')', 2);
+  });
+
+  edits.sort((a, b) => b.pos - a.pos || b.order - a.order);
+  let out = src;
+  for (const e of edits) out = out.slice(0, e.pos) + e.text + out.slice(e.pos + e.remove);
+  return out;
+}
+
+// Runs inside the sandbox so it picks up the sandbox's Promise
+const ASYNC_RUNTIME = `
+function __async(genFn, self, args) {
+  return new Promise(function (resolve, reject) {
+    var gen = genFn.apply(self, args);
+    function step(method, arg) {
+      var result;
+      try {
+        result = gen[method](arg);
+      } catch (err) {
+        reject(err);
+        return;
+      }
+      if (result.done) {
+        resolve(result.value);
+        return;
+      }
+      Promise.resolve(result.value).then(
+        function (value) { step('next', value); },
+        function (err) { step('throw', err); }
+      );
+    }
+    step('next');
+  });
+}
+`;
+
+// ===================== THE LOOP =====================
+
+const preview = (fn) => {
+  if (typeof fn !== 'function') return String(fn);
+  if (fn.name) return fn.name;
+  const src = fn.toString().replace(/\s+/g, ' ');
+  return src.length > 40 ? `${src.slice(0, 37)}...` : src;
+};
+
+function createEventLoop(options = {}) {
+  const { startupMs = 1, maxTasks = 10000, maxTime = 60 * 1000 } = options;
+
+  let now = 0;
+  let seq = 0;
+  let step = 0;
+  let taskCount = 0;
+  const ids = { timer: 0, immediate: 0, tick: 0, microtask: 0 };
+
+  const stack = [];
+  const nextTicks = [];
+  const microtasks = [];
+  const timers = new Map(); // id -> { id, due, delay, seq, fn, args, repeat }
+  const immediates = [];
+  const logs = [];
+  const trace = [];
+  let phase = 'script';
+  let crashed = null;
+
+  const record = (event, detail) => {
+    trace.push({
+      step: ++step,
+      time: now,
+      phase,
+      event,
+      detail,
+      stack: stack.slice(),
+      queues: {
+        nextTick: nextTicks.length,
+        microtask: microtasks.length,
+        timers: timers.size,
+        immediate: immediates.length,
+      },
+    });
+  };
+
+  // Run one task on an otherwise EMPTY stack — the loop never interleaves
+  const runTask = (label, fn, args = []) => {
+    if (crashed) return;
+    if (++taskCount > maxTasks) throw new Error(`Simulation exceeded ${maxTasks} tasks`);
+    stack.push(label);
+    record('run', label);
+    try {
+      fn(...args);
+    } catch (err) {
+      crashed = err;
+      record('uncaught', err && err.stack ? err.stack.split('\n')[0] : String(err));
+    }
+    stack.pop();
+  };
+
+  // process._tickCallback: ticks first, then ALL microtasks, repeat
+  const drain = () => {
+    const outerPhase = phase;
+    do {
+      phase = 'nextTick';
+      while (nextTicks.length && !crashed) {
+        const tick = nextTicks.shift();
+        runTask(tick.label, tick.fn, tick.args);
+      }
+      phase = 'microtask';
+      while (microtasks.length && !crashed) {
+        const job = microtasks.shift();
+        runTask(job.label, job.fn);
+      }
+    } while (nextTicks.length && !crashed);
+    phase = outerPhase;
+  };
+
+  const api = {
+    setTimeout(fn, delay, ...args) {
+      return addTimer(fn, delay, args, false);
+    },
+    setInterval(fn, delay, ...args) {
+      return addTimer(fn, delay, args, true);
+    },
+    clearTimeout(id) {
+      if (timers.delete(id)) record('clear', `timer#${id}`);
+    },
+    clearInterval(id) {
+      api.clearTimeout(id);
+    },
+    setImmediate(fn, ...args) {
+      const id = ++ids.immediate;
+      immediates.push({ id, fn, args, label: `immediate#${id} ${preview(fn)}` });
+      record('schedule', `immediate#${id} -> check queue`);
+      return id;
+    },
+    clearImmediate(id) {
+      const i = immediates.findIndex((im) => im.id === id);
+      if (i !== -1) {
+        immediates.splice(i, 1);
+        record('clear', `immediate#${id}`);
+      }
+    },
+    queueMicrotask(fn) {
+      const id = ++ids.microtask;
+      microtasks.push({ id, fn, label: `microtask#${id}` });
+      record('schedule', `microtask#${id} -> microtask queue`);
+    },
+    nextTick(fn, ...args) {
+      const id = ++ids.tick;
+      nextTicks.push({ id, fn, args, label: `tick#${id} ${preview(fn)}` });
+      record('schedule', `tick#${id} -> nextTick queue`);
+    },
+    log(...args) {
+      const line = util.format(...args);
+      logs.push(line);
+      record('log', line);
+    },
+  };
+
+  function addTimer(fn, delay, args, repeat) {
+    // Node clamps anything outside [1, 2^31 - 1] to 1ms
+    let ms = Number(delay);
+    if (!(ms >= 1 && ms <= 2 ** 31 - 1)) ms = 1;
+    ms = Math.trunc(ms);
+    const id = ++ids.timer;
+    timers.set(id, { id, due: now + ms, delay: ms, seq: ++seq, fn, args, repeat });
+    record('schedule', `timer#${id} ${repeat ? 'interval' : 'timeout'} ${ms}ms -> due @${now + ms}ms`);
+    return id;
+  }
+
+  const dueTimers = () =>
+    [...timers.values()].filter((t) => t.due <= now).sort((a, b) => a.due - b.due || a.seq - b.seq);
+
+  function runLoop() {
+    drain();
+    now += startupMs;
+    while (!crashed && (timers.size || immediates.length)) {
+      if (now > maxTime) throw new Error(`Simulation exceeded ${maxTime}ms of virtual time`);
+
+      phase = 'timers';
+      for (const timer of dueTimers()) {
+        if (!timers.has(timer.id) || crashed) continue; // cleared by an earlier callback
+        if (timer.repeat) {
+          timer.due = now + timer.delay;
+          timer.seq = ++seq;
+        } else {
+          timers.delete(timer.id);
+        }
+        runTask(`timer#${timer.id} ${preview(timer.fn)}`, timer.fn, timer.args);
+        drain();
+      }
+
+      phase = 'check';
+      const batch = immediates.splice(0, immediates.length);
+      for (const im of batch) {
+        runTask(im.label, im.fn, im.args);
+        drain();
+      }
+
+      // Nothing runnable right now -> jump the virtual clock to the next timer
+      if (!immediates.length && timers.size) {
+        const next = Math.min(...[...timers.values()].map((t) => t.due));
+        if (next > now) {
+          now = next;
+          phase = 'clock';
+          record('advance', `clock -> ${now}ms`);
+        }
+      }
+    }
+    phase = 'done';
+  }
+
+  return {
+    api,
+    stack,
+    logs,
+    trace,
+    record,
+    runTask,
+    runLoop,
+    setPhase: (p) => (phase = p),
+    get now() {
+      return now;
+    },
+    get crashed() {
+      return crashed;
+    },
+  };
+}
+
+const VIRTUAL_EPOCH = Date.UTC(2024, 0, 1);
+
+function createSandbox(loop) {
+  const { api } = loop;
+  const console = { log: api.log, info: api.log, warn: api.log, error: api.log, debug: api.log };
+  const sandbox = {
+    console,
+    setTimeout: api.setTimeout,
+    setInterval: api.setInterval,
+    clearTimeout: api.clearTimeout,
+    clearInterval: api.clearInterval,
+    setImmediate: api.setImmediate,
+    clearImmediate: api.clearImmediate,
+    queueMicrotask: api.queueMicrotask,
+    performance: { now: () => loop.now },
+    process: { nextTick: api.nextTick, env: {}, argv: [], platform: 'sim' },
+    module: { exports: {} },
+    require: { main: null }, // the polyfill's `require.main === module` demo guard
+  };
+  // console.log(this) at the top level prints like Node's global, not the sandbox internals
+  Object.defineProperty(sandbox, util.inspect.custom, { value: () => 'Object [global]' });
+  const context = vm.createContext(sandbox);
+  // Elapsed-time checks (Date.now() - start) see the virtual clock. It starts
+  // at a fixed real-looking epoch so `now - lastCall >= limit` with lastCall = 0
+  // behaves like it does in Node.
+  vm.runInContext('Date', context).now = () => VIRTUAL_EPOCH + loop.now;
+  vm.runInContext(fs.readFileSync(POLYFILL_PATH, 'utf8'), context, { filename: '01-promise-polyfill.js' });
+  context.Promise = context.module.exports.MyPromise;
+  vm.runInContext(ASYNC_RUNTIME, context, { filename: 'async-runtime.js' });
+  delete context.module;
+  delete context.require;
+  return context;
+}
+
+/**
+ * Run `source` through the simulated loop.
+ * Returns { logs, trace, error } — `logs` is the final output order,
+ * `trace` the step-by-step record, `error` any uncaught exception.
+ */
+function simulate(source, options = {}) {
+  const loop = createEventLoop(options);
+  const context = createSandbox(loop);
+  // Transformed inside the task, so unsupported syntax is reported as the
+  // script's uncaught error like any other
+  loop.runTask('<script>', () =>
+    vm.runInContext(transformAsync(source), context, { filename: options.filename || 'snippet.js', timeout: 1000 })
+  );
+  loop.runLoop();
+  return { logs: loop.logs, trace: loop.trace, error: loop.crashed };
+}
+
+function formatTrace(trace) {
+  const rows = trace.map((t) => {
+    const q = t.queues;
+    const queues = `tick:${q.nextTick} micro:${q.microtask} timers:${q.timers} imm:${q.immediate}`;
+    const stack = t.stack.length ? t.stack.map((f) => f.split(' ')[0]).join(' > ') : '(empty)';
+    const detail = t.event === 'log' ? `"${t.detail}"` : t.detail;
+    return `${String(t.step).padStart(4)}  @${String(t.time).padEnd(5)} ${t.phase.padEnd(9)} ${t.event.padEnd(8)} ${detail}\n` +
+      `${' '.repeat(6)}stack: ${stack.padEnd(30)} ${queues}`;
+  });
+  return rows.join('\n');
+}
+
+module.exports = { simulate, formatTrace, transformAsync, createEventLoop };
+
+// ===================== DEMO / CLI =====================
+
+if (require.main === module) {
+  const file = process.argv[2] || path.join(__dirname, '10-ultimate-event-loop-challenge.js');
+  const source = fs.readFileSync(file, 'utf8');
+  const { logs, trace, error } = simulate(source, { filename: path.basename(file) });
+
+  console.log(`=== Simulating ${path.relative(process.cwd(), file)} ===\n`);
+  console.log(formatTrace(trace));
+  console.log('\nFINAL OUTPUT:');
+  logs.forEach((line) => console.log(`  ${line}`));
+  if (error) console.log(`\nUNCAUGHT: ${error}`);
+}
+
+/**
+ * ┌─────────────────────────────────────────────────────────────────────────────┐
+ * │ INTERVIEW ANSWER                                                            │
+ * ├─────────────────────────────────────────────────────────────────────────────┤
+ * │                                                                             │
+ * │ "Node runs the script, then drains nextTick and microtask queues. Each      │
+ * │  loop turn runs due timers, then setImmediate callbacks, and after EVERY    │
+ * │  single callback it drains nextTicks and microtasks again. await costs one  │
+ * │  microtask per step; returning a promise from then() or an async function  │
+ * │  costs two more because the engine adopts it via a thenable job."           │
+ * │                                                                             │
+ * └─────────────────────────────────────────────────────────────────────────────┘
+ */
+
+// RUN: node docs/javascript/04-event-loop/11-event-loop-simulator.js [snippet.js]
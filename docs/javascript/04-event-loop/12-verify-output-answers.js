@@ -0,0 +1,142 @@
+/**
+ * TOOL 12: Verify "What Prints?" Answers with the Simulator
+ *
+ * ╔════════════════════════════════════════════════════════════════════════════╗
+ * ║ THE GOLDEN RULE                                                            ║
+ * ╠════════════════════════════════════════════════════════════════════════════╣
+ * ║                                                                            ║
+ * ║ An answer key is only trustworthy if three things agree:                   ║
+ * ║                                                                            ║
+ * ║   • the written answer ("// Output: ..." or the OUTPUT: block)             ║
+ * ║   • the simulator (11-event-loop-simulator.js)                             ║
+ * ║   • real Node running the same snippet                                     ║
+ * ║                                                                            ║
+ * ╚════════════════════════════════════════════════════════════════════════════╝
+ *
+ * Sources checked:
+ *   js-output-questions/answers/41-55-async-promises.js   one snippet per question
+ *   docs/javascript/04-event-loop/00-10 challenge files  one snippet per file
+ *
+ * Answer lines like "// Output: Start, End, Timeout" abbreviate the logs, so
+ * both sides are normalised before comparing: the "Q41: " label and quotes
+ * are dropped and whitespace is ignored ("[ 1, 2, 3 ]" == "[1, 2, 3]").
+ *
+ * Pass --trace to print the full simulator trace for every snippet.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { simulate, formatTrace } = require('./11-event-loop-simulator');
+
+const ROOT = path.join(__dirname, '../../..');
+const ANSWERS_FILE = path.join(ROOT, 'js-output-questions/answers/41-55-async-promises.js');
+const CHALLENGE_DIR = __dirname;
+
+// ===================== PARSERS =====================
+
+// "// Question 42: Promise vs setTimeout\n// Output: Start, End, ...\n<code>\n/**"
+function parseAnswerFile(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n');
+  const snippets = [];
+  let current = null;
+  for (const line of lines) {
+    const q = line.match(/^\/\/ Question (\d+): (.*)$/);
+    if (q) {
+      current = { id: `Q${q[1]}`, title: q[2], expected: null, code: [], open: true };
+      snippets.push(current);
+      continue;
+    }
+    if (!current || !current.open) continue;
+    const out = line.match(/^\/\/ Output: (.*)$/);
+    if (out && current.expected === null) current.expected = out[1];
+    else if (line.startsWith('/**')) current.open = false;
+    else current.code.push(line);
+  }
+  return snippets.map(({ id, title, expected, code }) => ({
+    id,
+    title,
+    code: code.join('\n'),
+    expected,
+    compare: (logs) => normalise(expected) === normalise(logs.join(', ')),
+  }));
+}
+
+// "<code>\n/**\n * OUTPUT:\n *   D\n *   A\n *\n" — the code is everything above
+function parseChallengeFile(file) {
+  const src = fs.readFileSync(file, 'utf8');
+  const at = src.search(/\/\*\*\s*\n\s*\* OUTPUT[^:\n]*:/);
+  if (at === -1) return null;
+  const expected = [];
+  for (const line of src.slice(at).split('\n').slice(2)) {
+    const m = line.match(/^ \*\s{2,}(.*)$/);
+    if (!m) break;
+    expected.push(m[1]);
+  }
+  return {
+    id: path.basename(file, '.js').slice(0, 2),
+    title: path.basename(file, '.js').slice(3),
+    code: src.slice(0, at),
+    expected: expected.join(', '),
+    compare: (logs) => logs.join('\n') === expected.join('\n'),
+  };
+}
+
+const normalise = (text) =>
+  text
+    .replace(/Q\d+:\s*/g, '')
+    .replace(/["']/g, '')
+    .replace(/\s+/g, '');
+
+// ===================== REAL NODE =====================
+
+function runInNode(code) {
+  const result = spawnSync(process.execPath, ['-e', code], { encoding: 'utf8', timeout: 10000 });
+  return result.stdout.split('\n').filter((line, i, all) => i < all.length - 1 || line !== '');
+}
+
+// ===================== RUN =====================
+
+function check(snippets, label, showTrace) {
+  console.log(`\n=== ${label} ===`);
+  let failures = 0;
+  for (const snippet of snippets) {
+    const { logs, trace, error } = simulate(snippet.code, { filename: `${snippet.id}.js` });
+    const node = runInNode(snippet.code);
+    const matchesAnswer = snippet.compare(logs);
+    const matchesNode = logs.join('\n') === node.join('\n');
+    if (!matchesAnswer || !matchesNode || error) failures++;
+    const mark = (ok) => (ok ? 'ok  ' : 'FAIL');
+    console.log(`  answer:${mark(matchesAnswer)} node:${mark(matchesNode)} ${snippet.id} ${snippet.title}`);
+    if (!matchesAnswer) {
+      console.log(`      expected:  ${snippet.expected}`);
+      console.log(`      simulator: ${logs.join(', ')}`);
+    }
+    if (!matchesNode) console.log(`      node:      ${node.join(', ')}`);
+    if (error) console.log(`      uncaught:  ${error}`);
+    if (showTrace) console.log(`${formatTrace(trace)}\n`);
+  }
+  return failures;
+}
+
+if (require.main === module) {
+  const showTrace = process.argv.includes('--trace');
+  const answers = parseAnswerFile(ANSWERS_FILE);
+  const challenges = fs
+    .readdirSync(CHALLENGE_DIR)
+    .filter((f) => /^\d\d-.*\.js$/.test(f))
+    .map((f) => parseChallengeFile(path.join(CHALLENGE_DIR, f)))
+    .filter(Boolean);
+
+  const failures =
+    check(answers, 'js-output-questions/answers/41-55-async-promises.js', showTrace) +
+    check(challenges, 'docs/javascript/04-event-loop challenges', showTrace);
+
+  const total = answers.length + challenges.length;
+  console.log(`\n${total - failures}/${total} snippets: simulator == answer == node`);
+  process.exitCode = failures ? 1 : 0;
+}
+
+module.exports = { parseAnswerFile, parseChallengeFile };
+
+// RUN: node docs/javascript/04-event-loop/12-verify-output-answers.js [--trace]
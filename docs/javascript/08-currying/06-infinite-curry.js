@@ -14,6 +14,10 @@
  * ║ This is a CLASSIC interview question testing closure understanding!        ║
  * ║                                                                            ║
  * ╚════════════════════════════════════════════════════════════════════════════╝
+ *
+ * SEE ALSO: a curry that stops at fn.length can't be infinite, but
+ * curryN(n, fn) in docs/javascript/29-machine-coding/06-curry-function.js
+ * curries a variadic function once you state how many arguments to wait for.
  */
 
 // Infinite curry with valueOf
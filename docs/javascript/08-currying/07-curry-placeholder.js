@@ -14,6 +14,11 @@
  * ║ This is an ADVANCED interview question found in Lodash/Ramda!              ║
  * ║                                                                            ║
  * ╚════════════════════════════════════════════════════════════════════════════╝
+ *
+ * SEE ALSO: curry/curryN in docs/javascript/29-machine-coding/06-curry-function.js
+ * is the shared version of this: placeholders in any position, and each step's
+ * length says how many slots are still open. 06-curry-properties.js checks it
+ * against random placeholder mixes.
  */
 
 var _ = Symbol('placeholder');
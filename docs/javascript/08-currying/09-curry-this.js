@@ -13,6 +13,10 @@
  * ║ with currying - they capture 'this' from the enclosing scope.              ║
  * ║                                                                            ║
  * ╚════════════════════════════════════════════════════════════════════════════╝
+ *
+ * SEE ALSO: curry in docs/javascript/29-machine-coding/06-curry-function.js
+ * keeps the method call's 'this' without bind(), because curried.bind(...)
+ * reports length 0 - the shared version's steps report the arity still left.
  */
 
 // Currying with this context
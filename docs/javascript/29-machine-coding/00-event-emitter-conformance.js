@@ -0,0 +1,260 @@
+/**
+ * TOPIC: EventEmitter vs Node's `events` — Side-by-Side Conformance
+ *
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  GOLDEN RULE: Every scenario runs twice - once against      ║
+ * ║  require("events") and once against our EventEmitter - and  ║
+ * ║  records what happened. The two recordings must be equal.   ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  STORY: A stunt double has to move exactly like the star.   │
+ * │  Film both doing the same scene and compare frame by frame. │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  VISUAL:                                                    │
+ * │                                                             │
+ * │   scenario(E, log) ──┬─► E = node:events  ─► log A ─┐       │
+ * │                      └─► E = ours         ─► log B ─┴ A==B? │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * Only behaviour the two share is compared. Wildcards, priorities and
+ * emitAsync are ours alone and are covered by 00-event-emitter.js.
+ * Warnings are captured through process.on("warning").
+ */
+
+const NodeEventEmitter = require("events");
+const OurEventEmitter = require("./00-event-emitter");
+
+// ===================== HARNESS =====================
+
+const scenarios = [];
+const scenario = (title, fn) => scenarios.push({ title, fn });
+
+// Errors are recorded by their observable shape, not identity
+const shape = (err) => ({ name: err.name, code: err.code, message: err.message });
+
+async function record(E, fn) {
+  const log = [];
+  const onWarning = (w) => log.push(["warning", w.name, w.message, w.count, String(w.type)]);
+  process.on("warning", onWarning);
+  try {
+    await fn(E, log);
+  } catch (err) {
+    log.push(["threw", shape(err)]);
+  } finally {
+    // warnings are delivered on process.nextTick
+    await new Promise((resolve) => setImmediate(resolve));
+    process.off("warning", onWarning);
+  }
+  return log;
+}
+
+// ===================== SCENARIOS =====================
+
+scenario("on/emit: order, arguments, this, return value", (E, log) => {
+  const e = new E();
+  e.on("x", function (a, b) { log.push(["first", a, b, this === e]); });
+  e.addListener("x", (...args) => log.push(["second", args.length]));
+  log.push(["emit", e.emit("x", 1, 2)]);
+  log.push(["emit none", e.emit("nothing")]);
+});
+
+scenario("once: removed before it is called", (E, log) => {
+  const e = new E();
+  e.once("x", () => {
+    log.push(["inside", e.listenerCount("x")]);
+    e.emit("x"); // re-entrant emit must not call it again
+  });
+  e.emit("x");
+  e.emit("x");
+  log.push(["after", e.listenerCount("x")]);
+});
+
+scenario("off removes only the most recently added duplicate", (E, log) => {
+  const e = new E();
+  const a = () => log.push("a");
+  const b = () => log.push("b");
+  e.on("x", a).on("x", b).on("x", a);
+  e.off("x", a);
+  e.emit("x");
+  log.push(["names", e.eventNames()]);
+  e.off("x", a).off("x", b);
+  log.push(["names", e.eventNames()]);
+});
+
+scenario("removing and adding during emit don't change the current emit", (E, log) => {
+  const e = new E();
+  const b = () => log.push("b");
+  e.on("x", () => {
+    log.push("a");
+    e.off("x", b);
+    e.on("x", () => log.push("late"));
+  });
+  e.on("x", b);
+  e.emit("x");
+  e.emit("x");
+});
+
+scenario("prependListener / prependOnceListener", (E, log) => {
+  const e = new E();
+  e.on("x", () => log.push("on"));
+  e.prependListener("x", () => log.push("prepend"));
+  e.prependOnceListener("x", () => log.push("prependOnce"));
+  e.emit("x");
+  e.emit("x");
+});
+
+scenario("newListener fires before adding, with the raw listener", (E, log) => {
+  const e = new E();
+  const fn = () => {};
+  e.on("newListener", (event, listener) => {
+    log.push(["newListener", String(event), listener === fn, e.listenerCount(event)]);
+  });
+  e.on("x", fn);
+  e.once("y", fn);
+  e.on(Symbol.for("z"), fn);
+});
+
+scenario("removeListener event and removeAllListeners order", (E, log) => {
+  const e = new E();
+  const named = (name) => Object.defineProperty(() => {}, "name", { value: name });
+  // A once-listener may be reported as its wrapper; record which one we got
+  const who = (listener) => (listener.listener ? `wrapper of ${listener.listener.name}` : listener.name);
+  e.on("removeListener", (event, listener) => log.push(["removed", String(event), who(listener)]));
+  e.on("x", named("x1")).once("x", named("x2")).on("y", named("y1"));
+  e.removeAllListeners("x");
+  e.removeAllListeners();
+  log.push(["left", e.eventNames()]);
+});
+
+scenario("listeners() unwraps once, rawListeners() keeps the wrapper", (E, log) => {
+  const e = new E();
+  const fn = () => log.push("called");
+  e.once("x", fn);
+  const [raw] = e.rawListeners("x");
+  log.push(["listeners", e.listeners("x")[0] === fn, "raw", raw === fn, raw.listener === fn]);
+  log.push(["count by listener", e.listenerCount("x", fn)]);
+  raw(); // calling the wrapper removes it
+  log.push(["after raw()", e.listenerCount("x")]);
+  e.emit("x");
+});
+
+scenario("'error' without a listener throws", (E, log) => {
+  const e = new E();
+  try {
+    e.emit("error", new Error("boom"));
+  } catch (err) {
+    log.push(["Error", shape(err)]);
+  }
+  try {
+    e.emit("error", "just a string");
+  } catch (err) {
+    log.push(["string", err.code, err.context]);
+  }
+  e.on("error", (err) => log.push(["handled", err.message]));
+  log.push(["emit", e.emit("error", new Error("ok now"))]);
+});
+
+scenario("eventNames: strings in insertion order, then symbols", (E, log) => {
+  const e = new E();
+  const s = Symbol("s");
+  e.on("b", () => {}).on(s, () => {}).on("a", () => {});
+  log.push(e.eventNames().map(String));
+});
+
+scenario("maxListeners: warn once per event, 0 = unlimited", (E, log) => {
+  const e = new E();
+  log.push(["default", e.getMaxListeners(), E.defaultMaxListeners]);
+  for (let i = 0; i < 12; i++) e.on("leak", () => {});
+  e.setMaxListeners(2);
+  e.on("other", () => {}).on("other", () => {}).on("other", () => {});
+  const unlimited = new E().setMaxListeners(0);
+  for (let i = 0; i < 20; i++) unlimited.on("fine", () => {});
+  log.push(["max", e.getMaxListeners()]);
+});
+
+scenario("setMaxListeners rejects bad values", (E, log) => {
+  try {
+    new E().setMaxListeners(-1);
+  } catch (err) {
+    log.push([err.name]);
+  }
+});
+
+scenario("non-function listener is a TypeError", (E, log) => {
+  try {
+    new E().on("x", "not a function");
+  } catch (err) {
+    log.push([err.name, err.code]);
+  }
+});
+
+scenario("static once resolves with the argument list", async (E, log) => {
+  const e = new E();
+  setTimeout(() => e.emit("ready", 1, "two"), 1);
+  log.push(["args", await E.once(e, "ready")]);
+  log.push(["left", e.listenerCount("ready"), e.listenerCount("error")]);
+});
+
+scenario("static once rejects on 'error'", async (E, log) => {
+  const e = new E();
+  setTimeout(() => e.emit("error", new Error("nope")), 1);
+  await E.once(e, "ready").catch((err) => log.push(["rejected", err.message]));
+  log.push(["left", e.listenerCount("ready"), e.listenerCount("error")]);
+});
+
+scenario("static once waiting for 'error' resolves with it", async (E, log) => {
+  const e = new E();
+  setTimeout(() => e.emit("error", new Error("wanted")), 1);
+  const [err] = await E.once(e, "error");
+  log.push(["resolved", err.message]);
+});
+
+scenario("static once + AbortSignal (already aborted / aborted later)", async (E, log) => {
+  const e = new E();
+  await E.once(e, "x", { signal: AbortSignal.abort() }).catch((err) => log.push(["pre", shape(err)]));
+  const ac = new AbortController();
+  setTimeout(() => ac.abort(), 1);
+  await E.once(e, "x", { signal: ac.signal }).catch((err) => log.push(["later", shape(err)]));
+  log.push(["left", e.listenerCount("x"), e.listenerCount("error")]);
+});
+
+// ===================== RUN =====================
+
+async function main() {
+  console.log("=== EventEmitter conformance: node:events vs ours ===\n");
+  let failures = 0;
+  for (const { title, fn } of scenarios) {
+    const expected = JSON.stringify(await record(NodeEventEmitter, fn));
+    const actual = JSON.stringify(await record(OurEventEmitter, fn));
+    const same = expected === actual;
+    if (!same) failures++;
+    console.log(`  ${same ? "same" : "DIFF"}  ${title}`);
+    if (!same) {
+      console.log(`      node: ${expected}`);
+      console.log(`      ours: ${actual}`);
+    }
+  }
+  console.log(`\n${scenarios.length - failures}/${scenarios.length} scenarios behave like node:events`);
+  process.exitCode = failures ? 1 : 0;
+}
+
+// Keep Node's default "(node:123) MaxListenersExceededWarning" printer quiet
+process.removeAllListeners("warning");
+
+main();
+
+/**
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  INTERVIEW ANSWER:                                         ║
+ * ║  The details that usually differ from a hand-rolled        ║
+ * ║  emitter: once removes itself before running, off removes  ║
+ * ║  the LAST duplicate, newListener fires before the add,     ║
+ * ║  removeAllListeners goes LIFO, 'error' throws when nobody  ║
+ * ║  listens, and the leak warning fires once per event name.  ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ */
+
+// RUN: node docs/javascript/29-machine-coding/00-event-emitter-conformance.js
@@ -4,12 +4,17 @@
  * ╔══════════════════════════════════════════════════════════════╗
  * ║  GOLDEN RULE: An EventEmitter is a pub-sub registry —      ║
  * ║  a Map of event names to arrays of callback functions.      ║
+ * ║  Where it overlaps with Node's EventEmitter, it must behave ║
+ * ║  exactly the same (see 00-event-emitter-conformance.js).    ║
  * ╚══════════════════════════════════════════════════════════════╝
  *
  * ┌──────────────────────────────────────────────────────────────┐
  * │  STORY: Think of a radio station (emitter). Listeners tune  │
  * │  in (on), some listen once then leave (once), some turn     │
  * │  off (off), and the station broadcasts (emit) to all tuned. │
+ * │  Some radios scan a whole band ("news.*"), VIP listeners    │
+ * │  hear it first (priority), and if more than 10 radios tune  │
+ * │  into one channel, somebody forgot to switch theirs off.    │
  * └──────────────────────────────────────────────────────────────┘
  *
  * ┌──────────────────────────────────────────────────────────────┐
@@ -22,137 +27,586 @@
  * │                                                             │
  * │  emit("data", val)                                          │
  * │    --> fn1(val), fn2(val), fn3(val) then remove fn3         │
+ * │                                                             │
+ * │  WILDCARDS (new EventEmitter({ wildcard: true }))           │
+ * │                                                             │
+ * │  emit("order.eu.paid")                                      │
+ * │    "order.eu.paid"  exact              ✓                    │
+ * │    "order.*.paid"   * = one segment    ✓                    │
+ * │    "order.**"       ** = zero or more  ✓                    │
+ * │    "order.*"        one segment only   ✗                    │
+ * │  matches run by priority (high first), then by the order    │
+ * │  they were added                                            │
  * └──────────────────────────────────────────────────────────────┘
  *
- * PROBLEM: Build an EventEmitter with on, off, emit, once.
+ * PROBLEM: Build an EventEmitter with on, off, emit, once. Then make it
+ *          a drop-in for Node's: prependListener, rawListeners,
+ *          newListener/removeListener events, 'error' semantics and a
+ *          maxListeners leak warning. On top: "a.*.c" and "**" topics,
+ *          listener priorities, emitAsync (parallel) / emitAsyncSerial
+ *          with AggregateError, and EventEmitter.once(emitter, name,
+ *          { signal }) returning a promise.
  *
  * APPROACH:
- *  1. Store events in a Map<string, Array<{cb, once}>>
- *  2. on()   — push callback entry
- *  3. off()  — filter out matching callback
- *  4. emit() — iterate listeners, call each, remove once-flagged
+ *  1. Store events in a Map<string | symbol, Array<record>>; a record is
+ *     { listener, fn, once, priority, order }. `fn` is what emit calls
+ *     (a self-removing wrapper for once, like Node's rawListeners()).
+ *  2. on()   — insert after every record with priority >= its own
+ *  3. off()  — remove the LAST matching record (Node does the same)
+ *  4. emit() — snapshot the matching records, call each in order; a
+ *              once-wrapper removes itself BEFORE calling the listener
  *  5. once() — delegate to on() with once flag
+ *  6. Wildcard patterns live in the same Map under their pattern string;
+ *     emit() merges exact + matching-pattern records by
+ *     (priority desc, order asc). Which patterns match a name is cached
+ *     until a pattern is added or its last listener removed.
+ *
+ * TRADE-OFF: wildcards are opt-in. In Node "a.*" is just a name, so a
+ *  default emitter must treat it as one to stay compatible.
  */
 
 // ===================== IMPLEMENTATION =====================
 
+// Our own frames at the top of a leak warning's stack
+const SUBSCRIBE_FRAME = /^\s+at \w+\.(_addListener|addListener|on|once|prependListener|prependOnceListener) /;
+
+function checkListener(listener) {
+  if (typeof listener !== "function") {
+    const err = new TypeError(
+      `The "listener" argument must be of type function. Received ${describe(listener)}`
+    );
+    err.code = "ERR_INVALID_ARG_TYPE";
+    throw err;
+  }
+}
+
+function describe(value) {
+  if (value === null || value === undefined) return String(value);
+  if (typeof value === "object") return `an instance of ${value.constructor ? value.constructor.name : "Object"}`;
+  return `type ${typeof value} (${String(value)})`;
+}
+
+class AbortError extends Error {
+  constructor(message = "The operation was aborted", options = undefined) {
+    super(message, options);
+    this.name = "AbortError";
+    this.code = "ABORT_ERR";
+  }
+}
+
 class EventEmitter {
-  constructor() {
+  static defaultMaxListeners = 10;
+
+  constructor(options = {}) {
     this._events = new Map();
+    this._maxListeners = undefined;
+    this._warned = new Set();
+    this._order = 0; // on() counts up, prepend counts down
+    this._prependOrder = 0;
+    this._wildcard = Boolean(options.wildcard);
+    this._delimiter = options.delimiter || ".";
+    this._patterns = new Map(); // pattern string -> segments
+    this._matchCache = new Map(); // event name -> matching pattern strings
   }
 
-  on(event, cb) {
+  // ---------- subscribe ----------
+
+  on(event, cb, options) {
+    return this._addListener(event, cb, options, false, false);
+  }
+
+  addListener(event, cb, options) {
+    return this._addListener(event, cb, options, false, false);
+  }
+
+  prependListener(event, cb, options) {
+    return this._addListener(event, cb, options, false, true);
+  }
+
+  once(event, cb, options) {
+    return this._addListener(event, cb, options, true, false);
+  }
+
+  prependOnceListener(event, cb, options) {
+    return this._addListener(event, cb, options, true, true);
+  }
+
+  _addListener(event, listener, options = {}, once, prepend) {
+    checkListener(listener);
+    const priority = options.priority || 0;
+
+    // Node fires 'newListener' BEFORE adding (so it doesn't hear itself)
+    if (this._events.has("newListener")) this.emit("newListener", event, listener);
+
+    const record = {
+      listener,
+      fn: listener,
+      once,
+      priority,
+      order: prepend ? --this._prependOrder : ++this._order,
+    };
+    if (once) {
+      const emitter = this;
+      record.fn = function onceWrapper(...args) {
+        emitter.removeListener(event, onceWrapper);
+        return listener.apply(this, args);
+      };
+      record.fn.listener = listener;
+    }
+
     if (!this._events.has(event)) {
       this._events.set(event, []);
+      if (this._isPattern(event)) {
+        this._patterns.set(event, event.split(this._delimiter));
+        this._matchCache.clear();
+      }
     }
-    this._events.get(event).push({ cb, once: false });
+    const list = this._events.get(event);
+    let index;
+    if (prepend) {
+      index = list.findIndex((r) => r.priority <= priority);
+      if (index === -1) index = list.length;
+    } else {
+      index = list.length;
+      while (index > 0 && list[index - 1].priority < priority) index--;
+    }
+    list.splice(index, 0, record);
+
+    this._checkLeak(event, list.length);
     return this; // allow chaining
   }
 
-  once(event, cb) {
-    if (!this._events.has(event)) {
-      this._events.set(event, []);
-    }
-    this._events.get(event).push({ cb, once: true });
-    return this;
+  _checkLeak(event, count) {
+    const max = this.getMaxListeners();
+    if (max <= 0 || count <= max || this._warned.has(event)) return;
+    this._warned.add(event);
+    const warning = new Error(
+      `Possible EventEmitter memory leak detected. ${count} ${String(event)} listeners ` +
+        `added to [${this.constructor.name}]. MaxListeners is ${max}. ` +
+        "Use emitter.setMaxListeners() to increase limit"
+    );
+    warning.name = "MaxListenersExceededWarning";
+    warning.emitter = this;
+    warning.type = event;
+    warning.count = count;
+    // warning.stack starts at the caller's on()/once(): that's the line
+    // that keeps adding listeners. `--trace-warnings` prints it.
+    Error.captureStackTrace(warning, this._checkLeak);
+    const frames = warning.stack.split("\n").slice(1);
+    while (frames.length && SUBSCRIBE_FRAME.test(frames[0])) frames.shift();
+    warning.subscriptionStack = frames.join("\n");
+    if (typeof process !== "undefined" && process.emitWarning) process.emitWarning(warning);
+    else console.warn(warning);
   }
 
+  // ---------- unsubscribe ----------
+
   off(event, cb) {
-    if (!this._events.has(event)) return this;
-    const listeners = this._events.get(event).filter((l) => l.cb !== cb);
-    if (listeners.length === 0) {
-      this._events.delete(event);
-    } else {
-      this._events.set(event, listeners);
+    return this.removeListener(event, cb);
+  }
+
+  removeListener(event, cb) {
+    checkListener(cb);
+    const list = this._events.get(event);
+    if (!list) return this;
+    // Node removes the most recently added match
+    let index = list.length - 1;
+    while (index >= 0 && list[index].listener !== cb && list[index].fn !== cb) index--;
+    if (index === -1) return this;
+
+    const [record] = list.splice(index, 1);
+    const wasLast = list.length === 0;
+    if (wasLast) this._deleteEvent(event);
+    // Node quirk: it reports the unwrapped listener only when it removed
+    // the last one; otherwise it reports exactly what you passed in
+    if (this._events.has("removeListener")) this.emit("removeListener", event, wasLast ? record.listener : cb);
+    return this;
+  }
+
+  removeAllListeners(event) {
+    if (arguments.length === 0) {
+      // 'removeListener' goes last so it hears everyone else leave
+      for (const name of this.eventNames()) {
+        if (name !== "removeListener") this.removeAllListeners(name);
+      }
+      this.removeAllListeners("removeListener");
+      return this;
     }
+    const list = this._events.get(event);
+    if (!list) return this;
+    if (!this._events.has("removeListener")) {
+      this._deleteEvent(event);
+      return this;
+    }
+    // LIFO, one removeListener event each - like Node
+    for (let i = list.length - 1; i >= 0; i--) this.removeListener(event, list[i].fn);
     return this;
   }
 
+  _deleteEvent(event) {
+    this._events.delete(event);
+    this._warned.delete(event);
+    if (this._patterns.delete(event)) this._matchCache.clear();
+  }
+
+  // ---------- emit ----------
+
   emit(event, ...args) {
-    if (!this._events.has(event)) return false;
-    const listeners = this._events.get(event);
+    const records = this._matching(event);
+    if (records.length === 0) {
+      if (event === "error") throw unhandledError(args[0]);
+      return false;
+    }
     // iterate over a copy so removal during iteration is safe
-    const snapshot = [...listeners];
-    snapshot.forEach((listener) => {
-      listener.cb(...args);
+    records.forEach((record) => {
+      record.fn.apply(this, args);
     });
-    // remove once listeners after calling
-    this._events.set(
-      event,
-      listeners.filter((l) => !l.once)
-    );
     return true;
   }
 
-  listenerCount(event) {
-    return this._events.has(event) ? this._events.get(event).length : 0;
+  // All listeners run at once; resolves with their results in order.
+  // Failures don't stop the others - they're collected into one
+  // AggregateError after everybody settled.
+  emitAsync(event, ...args) {
+    return this._emitAsync(event, args, false);
+  }
+
+  // Same, but each listener is awaited before the next one starts
+  emitAsyncSerial(event, ...args) {
+    return this._emitAsync(event, args, true);
   }
+
+  async _emitAsync(event, args, serial) {
+    const records = this._matching(event);
+    if (records.length === 0) {
+      if (event === "error") throw unhandledError(args[0]);
+      return [];
+    }
+    const call = (record) => {
+      try {
+        return Promise.resolve(record.fn.apply(this, args));
+      } catch (err) {
+        return Promise.reject(err); // a sync throw is just another failure
+      }
+    };
+    let settled;
+    if (serial) {
+      settled = [];
+      for (const record of records) {
+        settled.push(await call(record).then(
+          (value) => ({ status: "fulfilled", value }),
+          (reason) => ({ status: "rejected", reason })
+        ));
+      }
+    } else {
+      settled = await Promise.allSettled(records.map(call));
+    }
+    const errors = settled.filter((r) => r.status === "rejected").map((r) => r.reason);
+    if (errors.length) {
+      throw new AggregateError(errors, `${errors.length} of ${records.length} "${String(event)}" listeners failed`);
+    }
+    return settled.map((r) => r.value);
+  }
+
+  // Snapshot of the records emit() should call for `event`
+  _matching(event) {
+    const exact = this._events.get(event);
+    if (!this._wildcard || typeof event !== "string" || this._patterns.size === 0) {
+      return exact ? [...exact] : [];
+    }
+    let patterns = this._matchCache.get(event);
+    if (!patterns) {
+      const segments = event.split(this._delimiter);
+      patterns = [...this._patterns].filter(([pattern, parts]) => pattern !== event && matchSegments(parts, segments)).map(([pattern]) => pattern);
+      this._matchCache.set(event, patterns);
+    }
+    if (patterns.length === 0) return exact ? [...exact] : [];
+    const records = exact ? [...exact] : [];
+    patterns.forEach((pattern) => records.push(...this._events.get(pattern)));
+    return records.sort((a, b) => b.priority - a.priority || a.order - b.order);
+  }
+
+  _isPattern(event) {
+    return this._wildcard && typeof event === "string" && event.split(this._delimiter).some((s) => s === "*" || s === "**");
+  }
+
+  // ---------- introspection ----------
+
+  listenerCount(event, listener) {
+    const list = this._events.get(event);
+    if (!list) return 0;
+    if (listener === undefined) return list.length;
+    return list.filter((r) => r.listener === listener || r.fn === listener).length;
+  }
+
+  listeners(event) {
+    const list = this._events.get(event);
+    return list ? list.map((r) => r.listener) : [];
+  }
+
+  rawListeners(event) {
+    const list = this._events.get(event);
+    return list ? list.map((r) => r.fn) : [];
+  }
+
+  // Strings first, then symbols - Node keeps events on a plain object
+  eventNames() {
+    const names = [...this._events.keys()];
+    return [...names.filter((n) => typeof n !== "symbol"), ...names.filter((n) => typeof n === "symbol")];
+  }
+
+  setMaxListeners(n) {
+    if (typeof n !== "number" || n < 0 || Number.isNaN(n)) {
+      throw new RangeError(`The value of "n" is out of range. It must be a non-negative number. Received ${n}`);
+    }
+    this._maxListeners = n;
+    return this;
+  }
+
+  getMaxListeners() {
+    return this._maxListeners === undefined ? EventEmitter.defaultMaxListeners : this._maxListeners;
+  }
+
+  // ---------- events.once() ----------
+
+  // await EventEmitter.once(server, "listening", { signal }) -> args array.
+  // Rejects if 'error' fires first (unless you're waiting for 'error'), or
+  // with an AbortError when the signal aborts. Listeners are always removed.
+  static once(emitter, name, options = {}) {
+    const { signal } = options;
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new AbortError(undefined, { cause: signal.reason }));
+        return;
+      }
+      const cleanup = () => {
+        emitter.removeListener(name, onEvent);
+        if (name !== "error") emitter.removeListener("error", onError);
+        if (signal) signal.removeEventListener("abort", onAbort);
+      };
+      const onEvent = (...args) => {
+        cleanup();
+        resolve(args);
+      };
+      const onError = (err) => {
+        cleanup();
+        reject(err);
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(new AbortError(undefined, { cause: signal.reason }));
+      };
+      emitter.once(name, onEvent);
+      if (name !== "error") emitter.once("error", onError);
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+}
+
+// '*' matches exactly one segment, '**' any number (including none)
+function matchSegments(pattern, segments, p = 0, s = 0) {
+  while (p < pattern.length) {
+    if (pattern[p] === "**") {
+      if (p === pattern.length - 1) return true;
+      for (let skip = s; skip <= segments.length; skip++) {
+        if (matchSegments(pattern, segments, p + 1, skip)) return true;
+      }
+      return false;
+    }
+    if (s >= segments.length) return false;
+    if (pattern[p] !== "*" && pattern[p] !== segments[s]) return false;
+    p++;
+    s++;
+  }
+  return s === segments.length;
 }
 
+// emit('error') with nobody listening throws - Node's rule
+function unhandledError(err) {
+  if (err instanceof Error) return err;
+  const wrapped = new Error(`Unhandled error. (${typeof err === "string" ? `'${err}'` : String(err)})`);
+  wrapped.code = "ERR_UNHANDLED_ERROR";
+  wrapped.context = err;
+  return wrapped;
+}
+
+EventEmitter.EventEmitter = EventEmitter;
+EventEmitter.AbortError = AbortError;
+EventEmitter.matchSegments = matchSegments;
+
+module.exports = EventEmitter;
+
 // ===================== TEST CASES =====================
 
-console.log("=== EventEmitter Machine Coding ===\n");
-
-// A: Basic on + emit
-const ee = new EventEmitter();
-ee.on("greet", (name) => console.log(`A: Hello, ${name}!`));
-ee.emit("greet", "Alice");
-// Expected: A: Hello, Alice!
-
-// B: Multiple listeners
-ee.on("greet", (name) => console.log(`B: Hi there, ${name}!`));
-ee.emit("greet", "Bob");
-// Expected: A: Hello, Bob!  then  B: Hi there, Bob!
-
-// C: once fires only once
-ee.once("login", (user) => console.log(`C: ${user} logged in (once)`));
-ee.emit("login", "Charlie");
-ee.emit("login", "Charlie"); // should NOT print
-console.log(`C: listener count after once fired = ${ee.listenerCount("login")}`);
-// Expected: C: Charlie logged in (once) then count = 0
-
-// D: off removes a specific listener
-const handler = (x) => console.log(`D: value = ${x}`);
-ee.on("data", handler);
-ee.emit("data", 42);
-ee.off("data", handler);
-ee.emit("data", 99); // should NOT print
-console.log(`D: listener count after off = ${ee.listenerCount("data")}`);
-// Expected: D: value = 42 then count = 0
-
-// E: Multiple args
-ee.on("sum", (a, b) => console.log(`E: ${a} + ${b} = ${a + b}`));
-ee.emit("sum", 3, 7);
-// Expected: E: 3 + 7 = 10
-
-// F: Chaining
-const ee2 = new EventEmitter();
-ee2.on("a", () => console.log("F: event a")).on("b", () => console.log("F: event b"));
-ee2.emit("a");
-ee2.emit("b");
-
-// G: Emit non-existent event returns false
-console.log(`G: emit unknown = ${ee.emit("unknown")}`);
-// Expected: G: emit unknown = false
-
-// H: once among regular listeners
-const ee3 = new EventEmitter();
-ee3.on("tick", () => console.log("H: regular tick"));
-ee3.once("tick", () => console.log("H: once tick"));
-ee3.on("tick", () => console.log("H: another regular tick"));
-console.log("H: --- first emit ---");
-ee3.emit("tick");
-console.log("H: --- second emit ---");
-ee3.emit("tick");
-// Second emit should NOT show "once tick"
+if (require.main === module) {
+  console.log("=== EventEmitter Machine Coding ===\n");
+
+  // A: Basic on + emit
+  const ee = new EventEmitter();
+  ee.on("greet", (name) => console.log(`A: Hello, ${name}!`));
+  ee.emit("greet", "Alice");
+  // Expected: A: Hello, Alice!
+
+  // B: Multiple listeners
+  ee.on("greet", (name) => console.log(`B: Hi there, ${name}!`));
+  ee.emit("greet", "Bob");
+  // Expected: A: Hello, Bob!  then  B: Hi there, Bob!
+
+  // C: once fires only once
+  ee.once("login", (user) => console.log(`C: ${user} logged in (once)`));
+  ee.emit("login", "Charlie");
+  ee.emit("login", "Charlie"); // should NOT print
+  console.log(`C: listener count after once fired = ${ee.listenerCount("login")}`);
+  // Expected: C: Charlie logged in (once) then count = 0
+
+  // D: off removes a specific listener
+  const handler = (x) => console.log(`D: value = ${x}`);
+  ee.on("data", handler);
+  ee.emit("data", 42);
+  ee.off("data", handler);
+  ee.emit("data", 99); // should NOT print
+  console.log(`D: listener count after off = ${ee.listenerCount("data")}`);
+  // Expected: D: value = 42 then count = 0
+
+  // E: Multiple args
+  ee.on("sum", (a, b) => console.log(`E: ${a} + ${b} = ${a + b}`));
+  ee.emit("sum", 3, 7);
+  // Expected: E: 3 + 7 = 10
+
+  // F: Chaining
+  const ee2 = new EventEmitter();
+  ee2.on("a", () => console.log("F: event a")).on("b", () => console.log("F: event b"));
+  ee2.emit("a");
+  ee2.emit("b");
+
+  // G: Emit non-existent event returns false
+  console.log(`G: emit unknown = ${ee.emit("unknown")}`);
+  // Expected: G: emit unknown = false
+
+  // H: once among regular listeners
+  const ee3 = new EventEmitter();
+  ee3.on("tick", () => console.log("H: regular tick"));
+  ee3.once("tick", () => console.log("H: once tick"));
+  ee3.on("tick", () => console.log("H: another regular tick"));
+  console.log("H: --- first emit ---");
+  ee3.emit("tick");
+  console.log("H: --- second emit ---");
+  ee3.emit("tick");
+  // Second emit should NOT show "once tick"
+
+  // I: prependListener + priorities
+  const ee4 = new EventEmitter();
+  const order = [];
+  ee4.on("save", () => order.push("normal"));
+  ee4.on("save", () => order.push("audit (priority 10)"), { priority: 10 });
+  ee4.prependListener("save", () => order.push("prepended"));
+  ee4.on("save", () => order.push("cleanup (priority -1)"), { priority: -1 });
+  ee4.emit("save");
+  console.log("I:", order.join(" -> "));
+  // Expected: I: audit (priority 10) -> prepended -> normal -> cleanup (priority -1)
+
+  // J: wildcard topics
+  const bus = new EventEmitter({ wildcard: true });
+  const heard = [];
+  bus.on("order.*.paid", (id) => heard.push(`order.*.paid(${id})`));
+  bus.on("order.**", function (id) { heard.push(`order.**(${id})`); });
+  bus.on("order.*", (id) => heard.push(`order.*(${id})`));
+  bus.on("**", () => heard.push("**"), { priority: 5 });
+  bus.emit("order.eu.paid", 7);
+  console.log("J1:", heard.join(", "));
+  // Expected: J1: **, order.*.paid(7), order.**(7)
+  heard.length = 0;
+  bus.emit("order", 8);
+  console.log("J2:", heard.join(", "));
+  // Expected: J2: **, order.**(8)   (** also matches zero segments)
+  const literal = new EventEmitter();
+  literal.on("order.*", () => console.log("J3: never - wildcards are opt-in"));
+  console.log("J3: default emitter treats 'order.*' as a name:", literal.emit("order.eu"));
+  // Expected: J3: default emitter treats 'order.*' as a name: false
+
+  // K: 'error' with nobody listening throws, like Node
+  try {
+    new EventEmitter().emit("error", new Error("disk full"));
+  } catch (err) {
+    console.log("K:", err.message);
+  }
+  // Expected: K: disk full
+
+  // L: maxListeners leak warning with the subscribing stack
+  const leaky = new EventEmitter();
+  const onWarning = (warning) => {
+    if (warning.name !== "MaxListenersExceededWarning") return;
+    console.log("L:", warning.message);
+    console.log("L: leak comes from", warning.subscriptionStack.split("\n")[0].trim());
+  };
+  process.removeAllListeners("warning"); // keep the default stderr printer quiet for the demo
+  process.on("warning", onWarning);
+  function subscribeOnEveryRequest() {
+    leaky.on("request", () => {});
+  }
+  for (let i = 0; i < 12; i++) subscribeOnEveryRequest();
+  // Expected: L: Possible EventEmitter memory leak detected. 11 request listeners added to [EventEmitter]. ...
+  //           L: leak comes from at subscribeOnEveryRequest (.../00-event-emitter.js:...)
+
+  // M: emitAsync - parallel vs serial, failures aggregated
+  const jobs = new EventEmitter();
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+  const log = [];
+  jobs.on("deploy", async (env) => { await sleep(30); log.push(`slow ${env}`); return "slow"; });
+  jobs.on("deploy", async (env) => { await sleep(5); log.push(`fast ${env}`); return "fast"; });
+
+  const failing = new EventEmitter();
+  failing.on("sync", () => { throw new Error("db offline"); });
+  failing.on("sync", async () => "ok");
+  failing.on("sync", async () => { throw new Error("cache offline"); });
+
+  (async () => {
+    console.log("M1: parallel results:", await jobs.emitAsync("deploy", "prod"), log.join(", "));
+    // Expected: M1: parallel results: [ 'slow', 'fast' ] fast prod, slow prod
+    log.length = 0;
+    await jobs.emitAsyncSerial("deploy", "staging");
+    console.log("M2: serial order:", log.join(", "));
+    // Expected: M2: serial order: slow staging, fast staging
+    try {
+      await failing.emitAsync("sync");
+    } catch (err) {
+      console.log("M3:", err.name, "-", err.message, "-", err.errors.map((e) => e.message));
+    }
+    // Expected: M3: AggregateError - 2 of 3 "sync" listeners failed - [ 'db offline', 'cache offline' ]
+
+    // N: EventEmitter.once -> promise, with AbortSignal
+    const server = new EventEmitter();
+    setTimeout(() => server.emit("listening", 3000, "localhost"), 5);
+    console.log("N1: resolved with", await EventEmitter.once(server, "listening"));
+    // Expected: N1: resolved with [ 3000, 'localhost' ]
+    const ac = new AbortController();
+    setTimeout(() => ac.abort(), 5);
+    try {
+      await EventEmitter.once(server, "never", { signal: ac.signal });
+    } catch (err) {
+      console.log("N2:", err.name, err.code, "listeners left:", server.listenerCount("never"), server.listenerCount("error"));
+    }
+    // Expected: N2: AbortError ABORT_ERR listeners left: 0 0
+    setTimeout(() => server.emit("error", new Error("EADDRINUSE")), 5);
+    await EventEmitter.once(server, "listening").catch((err) => console.log("N3: rejected by 'error':", err.message));
+    // Expected: N3: rejected by 'error': EADDRINUSE
+  })();
+}
 
 /**
  * FOLLOW-UP QUESTIONS:
  * 1. How would you add a removeAllListeners(event?) method?
+ *    -> done; with a 'removeListener' listener it removes one by one (LIFO)
  * 2. How would you limit max listeners to prevent memory leaks?
+ *    -> warn once per event past getMaxListeners(); the warning's stack
+ *       points at the code that keeps subscribing (TEST L)
  * 3. How does Node.js EventEmitter handle errors on 'error' event?
+ *    -> no 'error' listener = emit throws the error (TEST K)
  * 4. How would you make emit async (wait for async listeners)?
+ *    -> emitAsync / emitAsyncSerial + AggregateError (TEST M)
  * 5. How do you handle listener exceptions without breaking other listeners?
+ * 6. Why are wildcards opt-in?
+ *    -> Node treats "a.*" as a plain name; default behaviour must match
  */
 
 /**
@@ -162,7 +616,11 @@ ee3.emit("tick");
  * ║  on() pushes, off() filters out, emit() calls all and      ║
  * ║  removes once-flagged listeners. once() is on() with a     ║
  * ║  flag. Always iterate a snapshot to handle mid-emit edits. ║
+ * ║  Node details worth knowing: once removes itself BEFORE    ║
+ * ║  calling, off removes the last match, 'error' with no      ║
+ * ║  listener throws, and >10 listeners on one event warns.    ║
  * ╚══════════════════════════════════════════════════════════════╝
  */
 
 // RUN: node docs/javascript/29-machine-coding/00-event-emitter.js
+// CONFORMANCE: node docs/javascript/29-machine-coding/00-event-emitter-conformance.js
@@ -0,0 +1,728 @@
+/**
+ * TOPIC: Promises/A+ Conformance Runner for MyPromise
+ *
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  GOLDEN RULE: A polyfill is only "correct" when the SAME    ║
+ * ║  test cases pass against it AND against native Promise.     ║
+ * ║  Run both side by side — any difference is a bug.           ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  STORY: Like a driving test. The examiner (this runner)     │
+ * │  uses one checklist for every car. The factory car (native  │
+ * │  Promise) shows the checklist is fair; then your home-built │
+ * │  car (MyPromise) has to tick every box too.                 │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  VISUAL:                                                    │
+ * │                                                             │
+ * │   adapter = { resolved, rejected, deferred }                │
+ * │        │                                                    │
+ * │   ┌────┴─────┐     same test case      ┌──────────┐         │
+ * │   │ MyPromise│ <──────────────────────>│ Promise  │         │
+ * │   └────┬─────┘                         └────┬─────┘         │
+ * │        └──── pass/fail per clause ──────────┘               │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * The cases mirror the official promises-aplus-tests suite clause by
+ * clause (2.1 states, 2.2 then, 2.3 resolution procedure). Each value
+ * under test is produced three ways like the official suite does:
+ * already-settled, settled synchronously, and settled later.
+ *
+ * The runner also checks the statics (all/allSettled/race/any/
+ * withResolvers) and that microtask ORDER matches native exactly.
+ */
+
+const { MyPromise } = require("./01-promise-polyfill");
+
+// ===================== ADAPTERS =====================
+
+const makeAdapter = (P) => ({
+  name: P.name,
+  P,
+  resolved: (value) => P.resolve(value),
+  rejected: (reason) => P.reject(reason),
+  deferred: () => {
+    let resolve, reject;
+    const promise = new P((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  },
+});
+
+// ===================== HARNESS =====================
+
+const TIMEOUT = 100;
+const dummy = { dummy: "dummy" };
+const sentinel = { sentinel: "sentinel" };
+const other = { other: "other" };
+
+const tests = [];
+const test = (clause, title, fn) => tests.push({ clause, title, fn });
+
+// Passed to done() when the native build is too old for a feature
+// (e.g. Promise.withResolvers needs Node 22+)
+const SKIP = Symbol("skip");
+
+class AssertionError extends Error {}
+const assert = (cond, message) => {
+  if (!cond) throw new AssertionError(message);
+};
+
+// Every test gets `done(err?)`; the harness turns it into a native promise
+// that fails on timeout, on thrown assertions or on a second `done` call.
+function runOne(fn, adapter) {
+  return new Promise((resolve) => {
+    let finished = false;
+    const done = (err) => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      if (err === SKIP) resolve(SKIP);
+      else resolve(err ? err.message || String(err) : null);
+    };
+    const timer = setTimeout(() => done(new Error(`timed out after ${TIMEOUT}ms`)), TIMEOUT);
+    const guard = (cb) => (...args) => {
+      try {
+        return cb(...args);
+      } catch (err) {
+        done(err);
+      }
+    };
+    try {
+      fn(adapter, done, guard);
+    } catch (err) {
+      done(err);
+    }
+  });
+}
+
+// Build a promise fulfilled with `value` in the three official ways
+function fulfilledVariants(adapter, value) {
+  return [
+    ["already-fulfilled", () => adapter.resolved(value)],
+    ["immediately-fulfilled", () => {
+      const d = adapter.deferred();
+      d.resolve(value);
+      return d.promise;
+    }],
+    ["eventually-fulfilled", () => {
+      const d = adapter.deferred();
+      setTimeout(() => d.resolve(value), 20);
+      return d.promise;
+    }],
+  ];
+}
+
+function rejectedVariants(adapter, reason) {
+  return [
+    ["already-rejected", () => adapter.rejected(reason)],
+    ["immediately-rejected", () => {
+      const d = adapter.deferred();
+      d.reject(reason);
+      return d.promise;
+    }],
+    ["eventually-rejected", () => {
+      const d = adapter.deferred();
+      setTimeout(() => d.reject(reason), 20);
+      return d.promise;
+    }],
+  ];
+}
+
+// Register `fn` once per variant so each shows up as its own row
+const testFulfilled = (clause, title, value, fn) => {
+  ["already-fulfilled", "immediately-fulfilled", "eventually-fulfilled"].forEach((kind, i) =>
+    test(clause, `${title} (${kind})`, (adapter, done, guard) =>
+      fn(fulfilledVariants(adapter, value)[i][1](), adapter, done, guard)
+    )
+  );
+};
+
+const testRejected = (clause, title, reason, fn) => {
+  ["already-rejected", "immediately-rejected", "eventually-rejected"].forEach((kind, i) =>
+    test(clause, `${title} (${kind})`, (adapter, done, guard) =>
+      fn(rejectedVariants(adapter, reason)[i][1](), adapter, done, guard)
+    )
+  );
+};
+
+// ===================== 2.1 PROMISE STATES =====================
+
+testFulfilled("2.1.2.1", "fulfilled: cannot transition to rejected", dummy, (p, adapter, done, guard) => {
+  let onFulfilledCalled = false;
+  p.then(() => {
+    onFulfilledCalled = true;
+  }, guard(() => assert(!onFulfilledCalled, "onRejected called after fulfill")));
+  setTimeout(() => done(onFulfilledCalled ? null : new Error("never fulfilled")), 50);
+});
+
+test("2.1.2.1", "fulfill then reject immediately keeps fulfilled", (adapter, done) => {
+  const d = adapter.deferred();
+  let fulfilled = false;
+  d.promise.then(() => (fulfilled = true), () => done(new Error("rejected")));
+  d.resolve(dummy);
+  d.reject(dummy);
+  setTimeout(() => done(fulfilled ? null : new Error("not fulfilled")), 30);
+});
+
+test("2.1.3.1", "reject then fulfill immediately keeps rejected", (adapter, done) => {
+  const d = adapter.deferred();
+  let rejected = false;
+  d.promise.then(() => done(new Error("fulfilled")), () => (rejected = true));
+  d.reject(dummy);
+  d.resolve(dummy);
+  setTimeout(() => done(rejected ? null : new Error("not rejected")), 30);
+});
+
+test("2.1.3.1", "reject then fulfill later keeps rejected", (adapter, done) => {
+  const d = adapter.deferred();
+  let rejected = false;
+  d.promise.then(() => done(new Error("fulfilled")), () => (rejected = true));
+  setTimeout(() => {
+    d.reject(dummy);
+    d.resolve(dummy);
+  }, 10);
+  setTimeout(() => done(rejected ? null : new Error("not rejected")), 40);
+});
+
+// ===================== 2.2.1 OPTIONAL ARGUMENTS =====================
+
+const nonFunctions = [undefined, null, false, 5, {}];
+nonFunctions.forEach((nonFunction) => {
+  test("2.2.1.1", `onFulfilled=${String(nonFunction)} is ignored`, (adapter, done) => {
+    adapter.rejected(dummy).then(nonFunction, () => done());
+  });
+});
+nonFunctions.forEach((nonFunction) => {
+  test("2.2.1.2", `onRejected=${String(nonFunction)} is ignored`, (adapter, done) => {
+    adapter.resolved(dummy).then(() => done(), nonFunction);
+  });
+});
+
+// ===================== 2.2.2 / 2.2.3 HANDLER CALLS =====================
+
+testFulfilled("2.2.2.1", "onFulfilled called with the value", sentinel, (p, adapter, done, guard) => {
+  p.then(guard((value) => {
+    assert(value === sentinel, "wrong value");
+    done();
+  }));
+});
+
+testFulfilled("2.2.2.3", "onFulfilled called only once", dummy, (p, adapter, done) => {
+  let count = 0;
+  p.then(() => count++);
+  setTimeout(() => done(count === 1 ? null : new Error(`called ${count} times`)), 50);
+});
+
+test("2.2.2.3", "onFulfilled once when resolve called twice", (adapter, done) => {
+  const d = adapter.deferred();
+  let count = 0;
+  d.promise.then(() => count++);
+  d.resolve(dummy);
+  d.resolve(dummy);
+  setTimeout(() => done(count === 1 ? null : new Error(`called ${count} times`)), 30);
+});
+
+testRejected("2.2.3.1", "onRejected called with the reason", sentinel, (p, adapter, done, guard) => {
+  p.then(null, guard((reason) => {
+    assert(reason === sentinel, "wrong reason");
+    done();
+  }));
+});
+
+testRejected("2.2.3.3", "onRejected called only once", dummy, (p, adapter, done) => {
+  let count = 0;
+  p.then(null, () => count++);
+  setTimeout(() => done(count === 1 ? null : new Error(`called ${count} times`)), 50);
+});
+
+// ===================== 2.2.4 ASYNC HANDLERS =====================
+
+testFulfilled("2.2.4", "onFulfilled not called before then returns", dummy, (p, adapter, done) => {
+  let thenHasReturned = false;
+  p.then(() => done(thenHasReturned ? null : new Error("called synchronously")));
+  thenHasReturned = true;
+});
+
+testRejected("2.2.4", "onRejected not called before then returns", dummy, (p, adapter, done) => {
+  let thenHasReturned = false;
+  p.then(null, () => done(thenHasReturned ? null : new Error("called synchronously")));
+  thenHasReturned = true;
+});
+
+test("2.2.4", "then inside onFulfilled runs after the outer handler", (adapter, done) => {
+  const p = adapter.resolved();
+  let firstDone = false;
+  p.then(() => {
+    p.then(() => done(firstDone ? null : new Error("inner ran first")));
+    firstDone = true;
+  });
+});
+
+test("2.2.4", "resolve inside executor does not run handlers synchronously", (adapter, done) => {
+  let handlerRan = false;
+  const d = adapter.deferred();
+  d.promise.then(() => (handlerRan = true));
+  d.resolve(dummy);
+  done(handlerRan ? new Error("handler ran synchronously") : null);
+});
+
+// ===================== 2.2.5 CALLED AS FUNCTIONS =====================
+
+test("2.2.5", "onFulfilled called without this (strict)", (adapter, done) => {
+  adapter.resolved(dummy).then(function () {
+    "use strict";
+    done(this === undefined ? null : new Error("this was bound"));
+  });
+});
+
+test("2.2.5", "onRejected called without this (strict)", (adapter, done) => {
+  adapter.rejected(dummy).then(null, function () {
+    "use strict";
+    done(this === undefined ? null : new Error("this was bound"));
+  });
+});
+
+// ===================== 2.2.6 MULTIPLE THEN =====================
+
+testFulfilled("2.2.6.1", "multiple onFulfilled run in then-order", sentinel, (p, adapter, done) => {
+  const order = [];
+  p.then(() => order.push(1));
+  p.then(() => {
+    throw other;
+  });
+  p.then(() => order.push(3));
+  p.then(() => done(order.join() === "1,3" ? null : new Error(`order ${order}`)));
+});
+
+testRejected("2.2.6.2", "multiple onRejected run in then-order", sentinel, (p, adapter, done) => {
+  const order = [];
+  p.then(null, () => order.push(1));
+  p.then(null, () => order.push(2));
+  p.then(null, () => done(order.join() === "1,2" ? null : new Error(`order ${order}`)));
+});
+
+// ===================== 2.2.7 THEN RETURNS A PROMISE =====================
+
+test("2.2.7", "then returns a promise", (adapter, done) => {
+  const p2 = adapter.resolved().then();
+  done(typeof p2.then === "function" ? null : new Error("not thenable"));
+});
+
+[undefined, null, false, 0, "", sentinel].forEach((value) => {
+  test("2.2.7.1", `onFulfilled returns ${JSON.stringify(value)} -> promise2 fulfills`, (adapter, done) => {
+    adapter.resolved().then(() => value).then((v) =>
+      done(v === value ? null : new Error(`got ${v}`))
+    );
+  });
+});
+
+testFulfilled("2.2.7.2", "onFulfilled throws -> promise2 rejects", dummy, (p, adapter, done) => {
+  p.then(() => {
+    throw sentinel;
+  }).then(null, (r) => done(r === sentinel ? null : new Error("wrong reason")));
+});
+
+testRejected("2.2.7.2", "onRejected throws -> promise2 rejects", dummy, (p, adapter, done) => {
+  p.then(null, () => {
+    throw sentinel;
+  }).then(null, (r) => done(r === sentinel ? null : new Error("wrong reason")));
+});
+
+testFulfilled("2.2.7.3", "onFulfilled missing -> value passes through", sentinel, (p, adapter, done) => {
+  p.then(undefined).then((v) => done(v === sentinel ? null : new Error("wrong value")));
+});
+
+testRejected("2.2.7.4", "onRejected missing -> reason passes through", sentinel, (p, adapter, done) => {
+  p.then(() => {}, undefined).then(null, (r) => done(r === sentinel ? null : new Error("wrong reason")));
+});
+
+// ===================== 2.3.1 SELF RESOLUTION =====================
+
+test("2.3.1", "returning promise2 from onFulfilled -> TypeError", (adapter, done) => {
+  const p2 = adapter.resolved(dummy).then(() => p2);
+  p2.then(null, (r) => done(r instanceof TypeError ? null : new Error(`got ${r}`)));
+});
+
+test("2.3.1", "returning promise2 from onRejected -> TypeError", (adapter, done) => {
+  const p2 = adapter.rejected(dummy).then(null, () => p2);
+  p2.then(null, (r) => done(r instanceof TypeError ? null : new Error(`got ${r}`)));
+});
+
+// ===================== 2.3.2 X IS A PROMISE =====================
+
+test("2.3.2.1", "x pending -> promise2 stays pending", (adapter, done) => {
+  const x = adapter.deferred().promise;
+  let settled = false;
+  adapter.resolved().then(() => x).then(() => (settled = true), () => (settled = true));
+  setTimeout(() => done(settled ? new Error("settled") : null), 50);
+});
+
+testFulfilled("2.3.2.2", "x fulfills -> promise2 fulfills with same value", sentinel, (x, adapter, done) => {
+  adapter.resolved().then(() => x).then((v) => done(v === sentinel ? null : new Error("wrong value")));
+});
+
+testRejected("2.3.2.3", "x rejects -> promise2 rejects with same reason", sentinel, (x, adapter, done) => {
+  adapter.resolved().then(() => x).then(null, (r) => done(r === sentinel ? null : new Error("wrong reason")));
+});
+
+// ===================== 2.3.3 X IS A THENABLE =====================
+
+// Resolve promise2 with `x` from onFulfilled and check the outcome
+function viaThen(adapter, x) {
+  return adapter.resolved(dummy).then(() => x);
+}
+
+test("2.3.3.1", "x.then is read exactly once", (adapter, done) => {
+  let reads = 0;
+  const x = Object.create(null, {
+    then: {
+      get() {
+        reads++;
+        return (resolve) => resolve();
+      },
+    },
+  });
+  viaThen(adapter, x).then(() => done(reads === 1 ? null : new Error(`read ${reads} times`)));
+});
+
+test("2.3.3.2", "reading x.then throws -> reject with that error", (adapter, done) => {
+  const x = Object.create(null, {
+    then: {
+      get() {
+        throw sentinel;
+      },
+    },
+  });
+  viaThen(adapter, x).then(null, (r) => done(r === sentinel ? null : new Error("wrong reason")));
+});
+
+test("2.3.3.3", "then is called with x as this", (adapter, done) => {
+  const x = {
+    then(resolve) {
+      done(this === x ? null : new Error("wrong this"));
+      resolve();
+    },
+  };
+  viaThen(adapter, x);
+});
+
+test("2.3.3.3", "function thenables are adopted too", (adapter, done) => {
+  const x = () => {};
+  x.then = (resolve) => resolve(sentinel);
+  viaThen(adapter, x).then((v) => done(v === sentinel ? null : new Error("wrong value")));
+});
+
+// Ways a thenable can hand back a value `y` (a subset of the official factories)
+const yFactories = {
+  "plain value": () => sentinel,
+  "thenable fulfilling sync": () => ({ then: (res) => res(sentinel) }),
+  "thenable fulfilling async": () => ({ then: (res) => setTimeout(() => res(sentinel), 0) }),
+  "already-fulfilled promise": (adapter) => adapter.resolved(sentinel),
+  "eventually-fulfilled promise": (adapter) => {
+    const d = adapter.deferred();
+    setTimeout(() => d.resolve(sentinel), 10);
+    return d.promise;
+  },
+  "thenable -> thenable -> value": () => ({ then: (res) => res({ then: (res2) => res2(sentinel) }) }),
+  "thenable fulfilling then throwing": () => ({
+    then(res) {
+      res(sentinel);
+      throw other;
+    },
+  }),
+  "thenable fulfilling twice": () => ({
+    then(res) {
+      res(sentinel);
+      res(other);
+    },
+  }),
+};
+
+Object.entries(yFactories).forEach(([kind, makeY]) => {
+  test("2.3.3.3.1", `resolvePromise(y), y = ${kind}`, (adapter, done) => {
+    const x = { then: (resolvePromise) => resolvePromise(makeY(adapter)) };
+    viaThen(adapter, x).then((v) => done(v === sentinel ? null : new Error(`got ${v}`)));
+  });
+});
+
+test("2.3.3.3.2", "rejectPromise(r) rejects with r (r is a thenable)", (adapter, done) => {
+  const r = { then: (res) => res(other) };
+  const x = { then: (_, rejectPromise) => rejectPromise(r) };
+  viaThen(adapter, x).then(null, (reason) => done(reason === r ? null : new Error("reason was unwrapped")));
+});
+
+[
+  ["resolve, resolve", (res) => { res(sentinel); res(other); }],
+  ["resolve, reject", (res, rej) => { res(sentinel); rej(other); }],
+  ["resolve async, reject sync", (res, rej) => { setTimeout(() => res(other), 0); rej(sentinel); }],
+  ["reject, resolve", (res, rej) => { rej(sentinel); res(other); }],
+  ["resolve, then throw", (res) => { res(sentinel); throw other; }],
+].forEach(([title, thenImpl]) => {
+  test("2.3.3.3.3", `first call wins: ${title}`, (adapter, done) => {
+    const x = { then: thenImpl };
+    const check = (value) => done(value === sentinel ? null : new Error(`got ${value}`));
+    viaThen(adapter, x).then(check, check);
+  });
+});
+
+test("2.3.3.3.3", "resolvePromise called with self-resolving thenable once", (adapter, done) => {
+  let calls = 0;
+  const x = {
+    then(res) {
+      calls++;
+      res({ then: (res2) => res2(sentinel) });
+      res(other);
+    },
+  };
+  viaThen(adapter, x).then((v) =>
+    done(v === sentinel && calls === 1 ? null : new Error(`value ${v}, calls ${calls}`))
+  );
+});
+
+test("2.3.3.3.4", "then throws before calling -> reject", (adapter, done) => {
+  const x = {
+    then() {
+      throw sentinel;
+    },
+  };
+  viaThen(adapter, x).then(null, (r) => done(r === sentinel ? null : new Error("wrong reason")));
+});
+
+test("2.3.3.3.4", "then throws after rejecting -> first reason kept", (adapter, done) => {
+  const x = {
+    then(_, rej) {
+      rej(sentinel);
+      throw other;
+    },
+  };
+  viaThen(adapter, x).then(null, (r) => done(r === sentinel ? null : new Error("wrong reason")));
+});
+
+[5, "str", true, { then: 5 }, [1, 2], () => {}].forEach((x) => {
+  const label = typeof x === "function" ? "function without then" : JSON.stringify(x);
+  test("2.3.3.4 / 2.3.4", `non-thenable ${label} fulfills as-is`, (adapter, done) => {
+    viaThen(adapter, x).then((v) => done(v === x ? null : new Error("value changed")));
+  });
+});
+
+// ===================== STATICS =====================
+
+test("static", "resolve(p) returns p for own promises", (adapter, done) => {
+  const p = adapter.resolved(1);
+  done(adapter.P.resolve(p) === p ? null : new Error("wrapped again"));
+});
+
+test("static", "all: keeps order, unwraps thenables, accepts iterables", (adapter, done) => {
+  const d = adapter.deferred();
+  setTimeout(() => d.resolve("slow"), 10);
+  const input = new Set([d.promise, 2, { then: (res) => res(3) }]);
+  adapter.P.all(input).then((v) => done(v.join() === "slow,2,3" ? null : new Error(`got ${v}`)));
+});
+
+test("static", "all: empty iterable resolves []", (adapter, done) => {
+  adapter.P.all([]).then((v) => done(Array.isArray(v) && v.length === 0 ? null : new Error("not []")));
+});
+
+test("static", "all: rejects with first rejection", (adapter, done) => {
+  adapter.P.all([adapter.resolved(1), adapter.rejected(sentinel)]).then(null, (r) =>
+    done(r === sentinel ? null : new Error("wrong reason"))
+  );
+});
+
+test("static", "all: non-iterable rejects with TypeError", (adapter, done) => {
+  adapter.P.all(5).then(null, (r) => done(r instanceof TypeError ? null : new Error(`got ${r}`)));
+});
+
+test("static", "allSettled: reports every outcome", (adapter, done) => {
+  adapter.P.allSettled([adapter.resolved(1), adapter.rejected(2)]).then((r) => {
+    const ok =
+      r[0].status === "fulfilled" && r[0].value === 1 && r[1].status === "rejected" && r[1].reason === 2;
+    done(ok ? null : new Error(JSON.stringify(r)));
+  });
+});
+
+test("static", "race: first settled wins", (adapter, done) => {
+  const slow = adapter.deferred();
+  setTimeout(() => slow.resolve("slow"), 20);
+  adapter.P.race([slow.promise, adapter.rejected(sentinel)]).then(null, (r) =>
+    done(r === sentinel ? null : new Error("wrong winner"))
+  );
+});
+
+test("static", "race: empty iterable stays pending", (adapter, done) => {
+  let settled = false;
+  adapter.P.race([]).then(() => (settled = true), () => (settled = true));
+  setTimeout(() => done(settled ? new Error("settled") : null), 30);
+});
+
+test("static", "any: first fulfilled wins", (adapter, done) => {
+  adapter.P.any([adapter.rejected(1), adapter.resolved(sentinel)]).then((v) =>
+    done(v === sentinel ? null : new Error("wrong value"))
+  );
+});
+
+test("static", "any: all rejected -> AggregateError in input order", (adapter, done) => {
+  const late = adapter.deferred();
+  setTimeout(() => late.reject("a"), 10);
+  adapter.P.any([late.promise, adapter.rejected("b")]).then(null, (e) =>
+    done(e instanceof AggregateError && e.errors.join() === "a,b" ? null : new Error(`got ${e}`))
+  );
+});
+
+test("static", "any: empty iterable -> AggregateError", (adapter, done) => {
+  adapter.P.any([]).then(null, (e) => done(e instanceof AggregateError ? null : new Error(`got ${e}`)));
+});
+
+test("static", "withResolvers exposes resolve/reject", (adapter, done) => {
+  if (typeof adapter.P.withResolvers !== "function") return done(SKIP);
+  const { promise, resolve } = adapter.P.withResolvers();
+  promise.then((v) => done(v === sentinel ? null : new Error("wrong value")));
+  resolve(sentinel);
+});
+
+test("static", "finally waits for returned promise and keeps value", (adapter, done) => {
+  const order = [];
+  adapter
+    .resolved(sentinel)
+    .finally(() => {
+      const d = adapter.deferred();
+      setTimeout(() => {
+        order.push("finally-settled");
+        d.resolve(other);
+      }, 10);
+      return d.promise;
+    })
+    .then((v) => done(v === sentinel && order.length === 1 ? null : new Error(`got ${v}`)));
+});
+
+test("static", "finally throwing overrides the reason", (adapter, done) => {
+  adapter
+    .rejected(other)
+    .finally(() => {
+      throw sentinel;
+    })
+    .then(null, (r) => done(r === sentinel ? null : new Error("wrong reason")));
+});
+
+test("ctor", "non-function executor throws TypeError", (adapter, done) => {
+  try {
+    new adapter.P(5);
+    done(new Error("did not throw"));
+  } catch (e) {
+    done(e instanceof TypeError ? null : new Error(`threw ${e}`));
+  }
+});
+
+// ===================== MICROTASK ORDER =====================
+// Not required by A+, but "behaves exactly like the real thing" means the
+// job ordering must match native tick for tick.
+
+const orderScenarios = {
+  "interleaved chains": (P, log) => {
+    P.resolve().then(() => log("a1")).then(() => log("a2")).then(() => log("a3"));
+    P.resolve().then(() => log("b1")).then(() => log("b2")).then(() => log("b3"));
+  },
+  "returning a promise costs 2 extra ticks": (P, log) => {
+    P.resolve().then(() => P.resolve("x")).then(() => log("returned-promise"));
+    P.resolve().then(() => log("t1")).then(() => log("t2")).then(() => log("t3")).then(() => log("t4"));
+  },
+  "thenable adoption costs 1 extra tick": (P, log) => {
+    P.resolve().then(() => ({ then: (r) => r() })).then(() => log("thenable"));
+    P.resolve().then(() => log("t1")).then(() => log("t2")).then(() => log("t3"));
+  },
+  "resolve(promise) in executor": (P, log) => {
+    new P((res) => res(P.resolve())).then(() => log("adopted"));
+    P.resolve().then(() => log("t1")).then(() => log("t2")).then(() => log("t3"));
+  },
+  "finally adds ticks": (P, log) => {
+    P.resolve().finally(() => log("finally")).then(() => log("after-finally"));
+    P.resolve().then(() => log("t1")).then(() => log("t2")).then(() => log("t3")).then(() => log("t4"));
+  },
+  "all with mixed inputs": (P, log) => {
+    P.all([1, P.resolve(2)]).then(() => log("all"));
+    P.resolve().then(() => log("t1")).then(() => log("t2")).then(() => log("t3"));
+  },
+  "microtask vs setTimeout": (P, log) => {
+    setTimeout(() => log("timeout"), 0);
+    P.resolve().then(() => log("micro"));
+    log("sync");
+  },
+};
+
+function recordOrder(P, scenario) {
+  return new Promise((resolve) => {
+    const events = [];
+    scenario(P, (e) => events.push(e));
+    setTimeout(() => resolve(events), 20);
+  });
+}
+
+// ===================== RUN =====================
+
+// Like the official suite, several cases leave derived promises rejected on
+// purpose (e.g. a throwing handler nobody listens to). Don't crash on them.
+process.on("unhandledRejection", () => {});
+
+async function main() {
+  const adapters = [makeAdapter(MyPromise), makeAdapter(Promise)];
+  console.log("=== Promises/A+ Conformance: MyPromise vs native Promise ===\n");
+
+  const failures = { MyPromise: 0, Promise: 0 };
+  let skips = 0;
+  let lastClause = null;
+  for (const { clause, title, fn } of tests) {
+    const results = [];
+    for (const adapter of adapters) {
+      const err = await runOne(fn, adapter);
+      if (err === SKIP) skips++;
+      else if (err) failures[adapter.name]++;
+      results.push(err);
+    }
+    if (clause !== lastClause) {
+      console.log(`\n[${clause}]`);
+      lastClause = clause;
+    }
+    const mark = (err) => (err === SKIP ? "skip" : err ? "FAIL" : "pass");
+    console.log(`  ${mark(results[0])} | ${mark(results[1])}  ${title}`);
+    results.forEach((err, i) => err && err !== SKIP && console.log(`      ${adapters[i].name}: ${err}`));
+  }
+
+  console.log("\n[microtask order]  (MyPromise | native)");
+  for (const [name, scenario] of Object.entries(orderScenarios)) {
+    const [mine, native] = await Promise.all([
+      recordOrder(MyPromise, scenario),
+      recordOrder(Promise, scenario),
+    ]);
+    const same = mine.join() === native.join();
+    if (!same) failures.MyPromise++;
+    console.log(`  ${same ? "same" : "DIFF"}  ${name}: ${native.join(" ")}`);
+    if (!same) console.log(`      MyPromise: ${mine.join(" ")}`);
+  }
+
+  const total = tests.length;
+  console.log(`\nMyPromise: ${total - failures.MyPromise}/${total} A+ cases, order checks included above`);
+  console.log(`Promise:   ${total - failures.Promise - skips}/${total} A+ cases${skips ? ` (${skips} skipped)` : ""}`);
+  console.log(failures.MyPromise === 0 ? "\n=== MyPromise is conformant ===" : "\n=== MyPromise has failures ===");
+  process.exitCode = failures.MyPromise === 0 && failures.Promise === 0 ? 0 : 1;
+}
+
+main();
+
+/**
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  INTERVIEW ANSWER:                                         ║
+ * ║  A+ pins down then() only: async handlers, pass-through,    ║
+ * ║  and the resolution procedure (self -> TypeError, read     ║
+ * ║  `then` once, adopt thenables, first call wins). Running    ║
+ * ║  the same cases against native Promise proves the tests     ║
+ * ║  themselves are right; the order checks go beyond A+ and    ║
+ * ║  pin down the ECMAScript job scheduling.                    ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ */
+
+// RUN: node docs/javascript/29-machine-coding/01-promise-aplus-conformance.js
@@ -20,22 +20,33 @@
  * │   new MyPromise(executor)                                   │
  * │     state: PENDING                                          │
  * │     value: undefined                                        │
- * │     callbacks: []                                           │
+ * │     reactions: []                                           │
  * │         │                                                   │
- * │    resolve(val) ──> state=FULFILLED, flush onFulfilled      │
- * │    reject(err)  ──> state=REJECTED,  flush onRejected       │
+ * │    resolve(x) ──> [[Resolve]](promise, x)   (A+ 2.3)        │
+ * │         │           x === promise  -> reject TypeError      │
+ * │         │           x is thenable  -> adopt via x.then      │
+ * │         │           otherwise      -> fulfill with x        │
+ * │    reject(err)  ──> state=REJECTED, queue onRejected jobs   │
  * │         │                                                   │
  * │   .then(onF, onR) returns new MyPromise                     │
  * └──────────────────────────────────────────────────────────────┘
  *
- * PROBLEM: Build MyPromise with then, catch, finally, resolve, reject.
+ * PROBLEM: Build a Promises/A+ compliant MyPromise with then, catch,
+ *          finally and the static resolve, reject, all, allSettled,
+ *          race, any and withResolvers.
  *
  * APPROACH:
  *  1. Constructor runs executor(resolve, reject) immediately
- *  2. resolve/reject transition state and flush queued callbacks
- *  3. then() returns a new MyPromise, queues callbacks if pending
- *  4. Use queueMicrotask for async execution of callbacks
- *  5. catch = then(null, onRejected), finally = then(cb, cb) style
+ *  2. resolve/reject share ONE "already called" flag (call-once guard)
+ *  3. resolve runs the Promise Resolution Procedure: self-resolution is
+ *     a TypeError, `then` is read exactly once, thenables are adopted
+ *     in a microtask (like the engine's PromiseResolveThenableJob)
+ *  4. then() returns a new MyPromise; every reaction runs in its own
+ *     microtask, so ordering matches native Promise job-for-job
+ *  5. catch = then(null, fn); finally passes the value/reason through
+ *     after waiting for whatever onFinally returns
+ *
+ * CONFORMANCE: node docs/javascript/29-machine-coding/01-promise-aplus-conformance.js
  */
 
 // ===================== IMPLEMENTATION =====================
@@ -44,157 +55,318 @@ const PENDING = "pending";
 const FULFILLED = "fulfilled";
 const REJECTED = "rejected";
 
+const isObjectOrFunction = (x) =>
+  x !== null && (typeof x === "object" || typeof x === "function");
+
 class MyPromise {
   constructor(executor) {
+    if (typeof executor !== "function") {
+      throw new TypeError(`Promise resolver ${executor} is not a function`);
+    }
     this._state = PENDING;
     this._value = undefined;
-    this._callbacks = [];
+    this._reactions = [];
 
+    const { resolve, reject } = this._createResolvingFunctions();
+    try {
+      executor(resolve, reject);
+    } catch (err) {
+      reject(err);
+    }
+  }
+
+  // A+ 2.3.3.3.3: resolve and reject are a PAIR — whichever runs first
+  // wins, every later call to either of them is ignored.
+  _createResolvingFunctions() {
+    let alreadyCalled = false;
     const resolve = (value) => {
-      if (this._state !== PENDING) return;
-      // If value is a thenable, adopt its state
-      if (value && typeof value.then === "function") {
-        value.then(resolve, reject);
-        return;
-      }
-      this._state = FULFILLED;
-      this._value = value;
-      this._flush();
+      if (alreadyCalled) return;
+      alreadyCalled = true;
+      this._resolve(value);
     };
-
     const reject = (reason) => {
-      if (this._state !== PENDING) return;
-      this._state = REJECTED;
-      this._value = reason;
-      this._flush();
+      if (alreadyCalled) return;
+      alreadyCalled = true;
+      this._settle(REJECTED, reason);
     };
+    return { resolve, reject };
+  }
 
-    try {
-      executor(resolve, reject);
-    } catch (err) {
-      reject(err);
+  // The Promise Resolution Procedure [[Resolve]](promise, x) — A+ 2.3
+  _resolve(x) {
+    // 2.3.1: a promise can never be resolved with itself
+    if (x === this) {
+      this._settle(REJECTED, new TypeError("Chaining cycle detected for promise #<MyPromise>"));
+      return;
+    }
+    if (isObjectOrFunction(x)) {
+      let then;
+      try {
+        then = x.then; // 2.3.3.1: read `then` exactly once
+      } catch (err) {
+        this._settle(REJECTED, err); // 2.3.3.2
+        return;
+      }
+      if (typeof then === "function") {
+        // 2.3.3.3: call then with x as `this` and a fresh resolving pair
+        const { resolve, reject } = this._createResolvingFunctions();
+        queueMicrotask(() => {
+          try {
+            then.call(x, resolve, reject);
+          } catch (err) {
+            reject(err); // 2.3.3.3.4: ignored if resolve/reject already ran
+          }
+        });
+        return;
+      }
     }
+    this._settle(FULFILLED, x); // 2.3.3.4 / 2.3.4
+  }
+
+  _settle(state, value) {
+    if (this._state !== PENDING) return;
+    this._state = state;
+    this._value = value;
+    const reactions = this._reactions;
+    this._reactions = [];
+    reactions.forEach((reaction) => this._scheduleReaction(reaction));
   }
 
-  _flush() {
+  // A+ 2.2.4: handlers only run once the stack holds platform code only
+  _scheduleReaction({ onFulfilled, onRejected, resolve, reject }) {
     queueMicrotask(() => {
-      this._callbacks.forEach(({ onFulfilled, onRejected, resolve, reject }) => {
-        const handler = this._state === FULFILLED ? onFulfilled : onRejected;
-        if (!handler) {
-          (this._state === FULFILLED ? resolve : reject)(this._value);
-          return;
-        }
-        try {
-          const result = handler(this._value);
-          resolve(result);
-        } catch (err) {
-          reject(err);
-        }
-      });
-      this._callbacks = [];
+      const handler = this._state === FULFILLED ? onFulfilled : onRejected;
+      if (!handler) {
+        // 2.2.7.3 / 2.2.7.4: pass the value or reason straight through
+        (this._state === FULFILLED ? resolve : reject)(this._value);
+        return;
+      }
+      try {
+        resolve(handler(this._value)); // 2.2.5: called as plain function
+      } catch (err) {
+        reject(err);
+      }
     });
   }
 
   then(onFulfilled, onRejected) {
     return new MyPromise((resolve, reject) => {
-      const cb = {
+      const reaction = {
         onFulfilled: typeof onFulfilled === "function" ? onFulfilled : null,
         onRejected: typeof onRejected === "function" ? onRejected : null,
         resolve,
         reject,
       };
       if (this._state === PENDING) {
-        this._callbacks.push(cb);
+        this._reactions.push(reaction);
       } else {
-        // already settled — still queue async
-        this._callbacks.push(cb);
-        this._flush();
+        // already settled — still run async
+        this._scheduleReaction(reaction);
       }
     });
   }
 
   catch(onRejected) {
-    return this.then(null, onRejected);
+    return this.then(undefined, onRejected);
   }
 
   finally(onFinally) {
+    if (typeof onFinally !== "function") return this.then(onFinally, onFinally);
+    const C = this.constructor;
     return this.then(
-      (value) => {
-        onFinally();
-        return value;
-      },
-      (reason) => {
-        onFinally();
-        throw reason;
-      }
+      (value) => C.resolve(onFinally()).then(() => value),
+      (reason) =>
+        C.resolve(onFinally()).then(() => {
+          throw reason;
+        })
     );
   }
 
+  get [Symbol.toStringTag]() {
+    return "MyPromise";
+  }
+
   static resolve(value) {
-    return new MyPromise((res) => res(value));
+    // Promise.resolve(p) returns p itself when p was built by this constructor
+    if (value instanceof MyPromise && value.constructor === this) return value;
+    return new this((res) => res(value));
   }
 
   static reject(reason) {
-    return new MyPromise((_, rej) => rej(reason));
+    return new this((_, rej) => rej(reason));
+  }
+
+  static withResolvers() {
+    let resolve, reject;
+    const promise = new this((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  }
+
+  static all(iterable) {
+    return new this((resolve, reject) => {
+      const results = [];
+      let remaining = 1; // held open until iteration finishes
+      let index = 0;
+      for (const item of iterable) {
+        const i = index++;
+        remaining++;
+        this.resolve(item).then((value) => {
+          results[i] = value;
+          if (--remaining === 0) resolve(results);
+        }, reject);
+      }
+      if (--remaining === 0) resolve(results);
+    });
+  }
+
+  static allSettled(iterable) {
+    return new this((resolve) => {
+      const results = [];
+      let remaining = 1;
+      let index = 0;
+      for (const item of iterable) {
+        const i = index++;
+        remaining++;
+        this.resolve(item).then(
+          (value) => {
+            results[i] = { status: FULFILLED, value };
+            if (--remaining === 0) resolve(results);
+          },
+          (reason) => {
+            results[i] = { status: REJECTED, reason };
+            if (--remaining === 0) resolve(results);
+          }
+        );
+      }
+      if (--remaining === 0) resolve(results);
+    });
+  }
+
+  static race(iterable) {
+    return new this((resolve, reject) => {
+      // Empty iterable -> stays pending forever (per spec)
+      for (const item of iterable) {
+        this.resolve(item).then(resolve, reject);
+      }
+    });
+  }
+
+  static any(iterable) {
+    return new this((resolve, reject) => {
+      const errors = [];
+      let remaining = 1;
+      let index = 0;
+      const rejectAll = () =>
+        reject(new AggregateError(errors, "All promises were rejected"));
+      for (const item of iterable) {
+        const i = index++;
+        remaining++;
+        this.resolve(item).then(resolve, (reason) => {
+          errors[i] = reason;
+          if (--remaining === 0) rejectAll();
+        });
+      }
+      if (--remaining === 0) rejectAll();
+    });
   }
 }
 
+module.exports = { MyPromise };
+
 // ===================== TEST CASES =====================
 
-console.log("=== MyPromise Polyfill Machine Coding ===\n");
-
-// A: Sync resolve
-new MyPromise((res) => res(10)).then((v) => console.log(`A: resolved = ${v}`));
-// Expected: A: resolved = 10
-
-// B: Async resolve
-new MyPromise((res) => setTimeout(() => res(20), 50)).then((v) =>
-  console.log(`B: async resolved = ${v}`)
-);
-
-// C: Chaining
-MyPromise.resolve(1)
-  .then((v) => v + 1)
-  .then((v) => v * 3)
-  .then((v) => console.log(`C: chain result = ${v}`));
-// Expected: C: chain result = 6
-
-// D: Error handling with catch
-new MyPromise((_, rej) => rej("oops"))
-  .catch((e) => {
-    console.log(`D: caught = ${e}`);
-    return "recovered";
-  })
-  .then((v) => console.log(`D: after catch = ${v}`));
-
-// E: Executor throws
-new MyPromise(() => {
-  throw new Error("boom");
-}).catch((e) => console.log(`E: executor error = ${e.message}`));
-
-// F: finally runs on success
-MyPromise.resolve("ok").finally(() => console.log("F: finally ran (success)"));
-
-// G: finally runs on error
-MyPromise.reject("fail")
-  .finally(() => console.log("G: finally ran (error)"))
-  .catch(() => {}); // swallow
-
-// H: Resolve with thenable (promise-like)
-new MyPromise((res) => res(MyPromise.resolve(99))).then((v) =>
-  console.log(`H: thenable resolved = ${v}`)
-);
-
-// I: Static reject
-MyPromise.reject("nope").catch((e) => console.log(`I: static reject = ${e}`));
-
-// J: Multiple thens on same promise
-const p = MyPromise.resolve(42);
-p.then((v) => console.log(`J1: ${v}`));
-p.then((v) => console.log(`J2: ${v}`));
-
-// Wait for async test B
-setTimeout(() => console.log("\n=== All tests complete ==="), 200);
+if (require.main === module) {
+  console.log("=== MyPromise Polyfill Machine Coding ===\n");
+
+  // A: Sync resolve
+  new MyPromise((res) => res(10)).then((v) => console.log(`A: resolved = ${v}`));
+  // Expected: A: resolved = 10
+
+  // B: Async resolve
+  new MyPromise((res) => setTimeout(() => res(20), 50)).then((v) =>
+    console.log(`B: async resolved = ${v}`)
+  );
+
+  // C: Chaining
+  MyPromise.resolve(1)
+    .then((v) => v + 1)
+    .then((v) => v * 3)
+    .then((v) => console.log(`C: chain result = ${v}`));
+  // Expected: C: chain result = 6
+
+  // D: Error handling with catch
+  new MyPromise((_, rej) => rej("oops"))
+    .catch((e) => {
+      console.log(`D: caught = ${e}`);
+      return "recovered";
+    })
+    .then((v) => console.log(`D: after catch = ${v}`));
+
+  // E: Executor throws
+  new MyPromise(() => {
+    throw new Error("boom");
+  }).catch((e) => console.log(`E: executor error = ${e.message}`));
+
+  // F: finally runs on success
+  MyPromise.resolve("ok").finally(() => console.log("F: finally ran (success)"));
+
+  // G: finally runs on error
+  MyPromise.reject("fail")
+    .finally(() => console.log("G: finally ran (error)"))
+    .catch(() => {}); // swallow
+
+  // H: Resolve with thenable (promise-like)
+  new MyPromise((res) => res(MyPromise.resolve(99))).then((v) =>
+    console.log(`H: thenable resolved = ${v}`)
+  );
+
+  // I: Static reject
+  MyPromise.reject("nope").catch((e) => console.log(`I: static reject = ${e}`));
+
+  // J: Multiple thens on same promise
+  const p = MyPromise.resolve(42);
+  p.then((v) => console.log(`J1: ${v}`));
+  p.then((v) => console.log(`J2: ${v}`));
+
+  // K: Returning the derived promise from its own handler -> TypeError
+  const k = MyPromise.resolve().then(() => k);
+  k.catch((e) => console.log(`K: self-resolution = ${e.constructor.name}`));
+  // Expected: K: self-resolution = TypeError
+
+  // L: Thenable that calls resolve twice and then throws — only first call counts
+  MyPromise.resolve({
+    then(res, rej) {
+      res("first");
+      res("second");
+      rej("third");
+      throw new Error("ignored");
+    },
+  }).then((v) => console.log(`L: call-once guard = ${v}`));
+  // Expected: L: call-once guard = first
+
+  // M: Statics
+  MyPromise.all([1, MyPromise.resolve(2), { then: (r) => r(3) }]).then((v) =>
+    console.log(`M1: all = [${v}]`)
+  );
+  MyPromise.allSettled([MyPromise.resolve("ok"), MyPromise.reject("bad")]).then((r) =>
+    console.log(`M2: allSettled = ${r.map((x) => x.status).join(",")}`)
+  );
+  MyPromise.race([new MyPromise((res) => setTimeout(res, 30, "slow")), "fast"]).then((v) =>
+    console.log(`M3: race = ${v}`)
+  );
+  MyPromise.any([MyPromise.reject("e1"), MyPromise.reject("e2")]).catch((e) =>
+    console.log(`M4: any -> ${e.constructor.name} [${e.errors}]`)
+  );
+  const { promise, resolve } = MyPromise.withResolvers();
+  promise.then((v) => console.log(`M5: withResolvers = ${v}`));
+  resolve("resolved from outside");
+
+  // Wait for async test B
+  setTimeout(() => console.log("\n=== All tests complete ==="), 200);
+}
 
 /**
  * FOLLOW-UP QUESTIONS:
@@ -203,6 +375,7 @@ setTimeout(() => console.log("\n=== All tests complete ==="), 200);
  * 3. How would you implement Promise.all using MyPromise?
  * 4. Why must resolve/reject only transition once?
  * 5. How does unhandled rejection detection work in Node.js?
+ * 6. Why does resolving with a native promise cost two extra microtask ticks?
  */
 
 /**
@@ -210,8 +383,10 @@ setTimeout(() => console.log("\n=== All tests complete ==="), 200);
  * ║  INTERVIEW ANSWER:                                         ║
  * ║  A Promise is a state machine (pending/fulfilled/rejected). ║
  * ║  Constructor runs executor immediately. resolve/reject      ║
- * ║  transition state once and flush queued callbacks via       ║
- * ║  microtask. then() returns a new Promise, enabling chains. ║
+ * ║  share a call-once flag. resolve(x) rejects with TypeError  ║
+ * ║  when x is the promise itself, reads x.then ONCE and adopts ║
+ * ║  thenables in a microtask. then() returns a new Promise and ║
+ * ║  each reaction runs as its own microtask job.               ║
  * ║  catch = then(null, fn). finally runs on both outcomes.     ║
  * ╚══════════════════════════════════════════════════════════════╝
  */
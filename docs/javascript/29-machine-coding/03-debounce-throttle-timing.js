@@ -0,0 +1,427 @@
+/**
+ * TOPIC: Debounce & Throttle Timing Tables on a Fake Clock
+ *
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  GOLDEN RULE: Timing code is tested by owning time. Replace ║
+ * ║  setTimeout, Date.now and requestAnimationFrame with a      ║
+ * ║  clock that only moves when the test says so.               ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  STORY: A referee with a stopwatch calls out every whistle. │
+ * │  The real-timer tests in 03-debounce-throttle.js print      │
+ * │  "fired at ~190ms" and hope; here every call and every fire │
+ * │  must land on the exact millisecond in the table.           │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  VISUAL:                                                    │
+ * │                                                             │
+ * │   table row       [  30, "call",  30 ]   ← we do this       │
+ * │                   [ 190, "fire",  90 ]   ← fn must run now  │
+ * │                                                             │
+ * │   clock.advanceTo(30) → due timers fire first → call(30)    │
+ * │   actual rows == table rows ?  PASS : show both             │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * Rows: [time, "call", arg, returns?]  [time, "flush" | "cancel" | "pending", _, returns?]
+ *       [time, "fire", arg]
+ * A 4th element is only checked when the row has one. Timers due at the
+ * same millisecond as an action fire BEFORE the action, like a real timer
+ * that was scheduled earlier. A fire caused by the action itself (leading
+ * edge, flush) is listed right AFTER it.
+ */
+
+const { debounce, throttle, debounceAsync } = require("./03-debounce-throttle");
+
+// ===================== FAKE CLOCK =====================
+
+const FRAME_MS = 16;
+
+class FakeClock {
+  constructor() {
+    this.now = 0;
+    this.nextId = 1;
+    this.timers = new Map();
+    this.saved = null;
+  }
+
+  add(fn, at, args) {
+    const id = this.nextId++;
+    this.timers.set(id, { id, at, fn, args });
+    return id;
+  }
+
+  // Swap the globals the implementation reads on every call
+  install() {
+    this.saved = {
+      setTimeout: globalThis.setTimeout,
+      clearTimeout: globalThis.clearTimeout,
+      requestAnimationFrame: globalThis.requestAnimationFrame,
+      cancelAnimationFrame: globalThis.cancelAnimationFrame,
+      dateNow: Date.now,
+    };
+    globalThis.setTimeout = (fn, ms = 0, ...args) => this.add(fn, this.now + Math.max(0, Number(ms) || 0), args);
+    globalThis.clearTimeout = (id) => this.timers.delete(id);
+    // A frame callback runs at the next frame boundary with its timestamp
+    globalThis.requestAnimationFrame = (fn) => {
+      const at = (Math.floor(this.now / FRAME_MS) + 1) * FRAME_MS;
+      return this.add(fn, at, [at]);
+    };
+    globalThis.cancelAnimationFrame = (id) => this.timers.delete(id);
+    Date.now = () => this.now;
+    return this;
+  }
+
+  uninstall() {
+    globalThis.setTimeout = this.saved.setTimeout;
+    globalThis.clearTimeout = this.saved.clearTimeout;
+    // Node has no rAF: put back exactly what was there, including "nothing"
+    if (this.saved.requestAnimationFrame) globalThis.requestAnimationFrame = this.saved.requestAnimationFrame;
+    else delete globalThis.requestAnimationFrame;
+    if (this.saved.cancelAnimationFrame) globalThis.cancelAnimationFrame = this.saved.cancelAnimationFrame;
+    else delete globalThis.cancelAnimationFrame;
+    Date.now = this.saved.dateNow;
+  }
+
+  nextDue(end) {
+    let due = null;
+    for (const timer of this.timers.values()) {
+      if (timer.at > end) continue;
+      if (!due || timer.at < due.at || (timer.at === due.at && timer.id < due.id)) due = timer;
+    }
+    return due;
+  }
+
+  // Fire everything due up to `end`, in time order, then stop at `end`.
+  // Between timers, let promise callbacks run (needs the real setImmediate).
+  async advanceTo(end) {
+    await settle();
+    for (let timer = this.nextDue(end); timer; timer = this.nextDue(end)) {
+      this.now = timer.at;
+      this.timers.delete(timer.id);
+      timer.fn(...timer.args);
+      await settle();
+    }
+    this.now = end;
+  }
+}
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+// ===================== TIMING TABLES =====================
+
+// `make(fn)` wraps the recording function; the wrapped fn returns "r<arg>"
+const tables = [
+  {
+    title: "A: debounce(100) trailing — one fire, 100ms after the last call",
+    make: (fn) => debounce(fn, 100),
+    rows: [
+      [0, "call", 0],
+      [30, "call", 30],
+      [60, "call", 60],
+      [90, "call", 90],
+      [190, "fire", 90],
+    ],
+  },
+  {
+    title: "B: debounce(100) leading only — first call fires, the rest extend the wait",
+    make: (fn) => debounce(fn, 100, { leading: true, trailing: false }),
+    rows: [
+      [0, "call", 0, "r0"],
+      [0, "fire", 0],
+      [30, "call", 30, "r0"],
+      [60, "call", 60, "r0"],
+      [90, "call", 90, "r0"],
+      [189, "pending", null, true],
+      [190, "pending", null, false], // 100ms after the call at 90: over
+    ],
+  },
+  {
+    title: "C: throttle(100) — leading, trailing, and no fire at 150",
+    make: (fn) => throttle(fn, 100),
+    rows: [
+      [0, "call", 0],
+      [0, "fire", 0],
+      [20, "call", 20],
+      [40, "call", 40],
+      [60, "call", 60],
+      [80, "call", 80],
+      [100, "fire", 80],
+      [150, "call", 150], // only 50ms since the fire at 100
+      [170, "call", 170],
+      [250, "fire", 170],
+    ],
+  },
+  {
+    title: "D: throttle(100) trailing only — one fire at the end of the window",
+    make: (fn) => throttle(fn, 100, { leading: false }),
+    rows: [
+      [0, "call", 0],
+      [30, "call", 30],
+      [60, "call", 60],
+      [100, "fire", 60],
+    ],
+  },
+  {
+    title: "E: debounce(50) single call",
+    make: (fn) => debounce(fn, 50),
+    rows: [
+      [0, "call", 0],
+      [50, "fire", 0],
+    ],
+  },
+  {
+    title: "F: debounce(50) — each call pushes the fire back",
+    make: (fn) => debounce(fn, 50),
+    rows: [
+      [0, "call", 0],
+      [30, "call", 30],
+      [60, "call", 60],
+      [110, "fire", 60],
+    ],
+  },
+  {
+    title: "G: debounce(100, { maxWait: 250 }) under a call every 50ms",
+    make: (fn) => debounce(fn, 100, { maxWait: 250 }),
+    rows: [
+      [0, "call", 0],
+      [50, "call", 50],
+      [100, "call", 100],
+      [150, "call", 150],
+      [200, "call", 200],
+      [250, "fire", 200], // 250ms since the burst started: forced
+      [250, "call", 250],
+      [300, "call", 300],
+      [350, "call", 350],
+      [400, "call", 400],
+      [450, "call", 450],
+      [500, "fire", 450], // 250ms since the last fire: forced again
+      [500, "call", 500],
+      [550, "call", 550],
+      [650, "fire", 550], // calls stopped: plain trailing edge
+    ],
+  },
+  {
+    title: "H: debounce(100) leading + trailing — trailing only if called again",
+    make: (fn) => debounce(fn, 100, { leading: true, trailing: true }),
+    rows: [
+      [0, "call", 0, "r0"],
+      [0, "fire", 0],
+      [300, "call", 300, "r300"],
+      [300, "fire", 300],
+      [350, "call", 350, "r300"],
+      [450, "fire", 350],
+      [451, "call", 451, "r451"],
+      [451, "fire", 451],
+    ],
+  },
+  {
+    title: "I: flush() fires now and returns the result, pending() tracks the timer",
+    make: (fn) => debounce(fn, 100),
+    rows: [
+      [0, "call", 0, undefined],
+      [10, "pending", null, true],
+      [30, "flush", null, "r0"],
+      [30, "fire", 0],
+      [30, "pending", null, false],
+      [40, "flush", null, "r0"], // nothing pending: last result
+      [50, "call", 50, "r0"],
+      [150, "fire", 50],
+    ],
+  },
+  {
+    title: "J: cancel() forgets the burst",
+    make: (fn) => debounce(fn, 100),
+    rows: [
+      [0, "call", 0],
+      [50, "cancel", null],
+      [80, "call", 80],
+      [180, "fire", 80],
+    ],
+  },
+  {
+    title: "K: throttle(100, { trailing: false }) — extra calls are dropped",
+    make: (fn) => throttle(fn, 100, { trailing: false }),
+    rows: [
+      [0, "call", 0, "r0"],
+      [0, "fire", 0],
+      [50, "call", 50, "r0"],
+      [100, "call", 100, "r100"],
+      [100, "fire", 100],
+      [150, "call", 150, "r100"],
+    ],
+  },
+  {
+    title: "L: debounce(fn) with no wait — once per animation frame (16ms)",
+    make: (fn) => debounce(fn),
+    rows: [
+      [0, "call", 0],
+      [5, "call", 5],
+      [10, "call", 10],
+      [16, "fire", 10],
+      [20, "call", 20],
+      [30, "call", 30],
+      [32, "fire", 30],
+      [40, "call", 40],
+      [48, "fire", 40],
+    ],
+  },
+  {
+    title: "M: debounce(0) — an explicit 0 still uses setTimeout, not rAF",
+    make: (fn) => debounce(fn, 0),
+    rows: [
+      [0, "call", 0],
+      [0, "fire", 0],
+      [5, "call", 5],
+      [5, "fire", 5],
+    ],
+  },
+];
+
+// Runs a table on a fresh fake clock; returns the rows that actually
+// happened, every action with its return value
+async function runTable(table) {
+  const clock = new FakeClock().install();
+  const actual = [];
+  try {
+    const wrapped = table.make((arg) => {
+      actual.push([clock.now, "fire", arg]);
+      return `r${arg}`;
+    });
+    const actions = table.rows.filter((row) => row[1] !== "fire");
+    const end = Math.max(...table.rows.map((row) => row[0])) + 1000;
+
+    for (const [at, op, arg] of actions) {
+      await clock.advanceTo(at);
+      // Log the action first, so a fire it causes shows up right after it
+      const row = [at, op, arg];
+      actual.push(row);
+      row.push(op === "call" ? wrapped(arg) : wrapped[op]());
+    }
+    await clock.advanceTo(end);
+  } finally {
+    clock.uninstall();
+  }
+  return actual;
+}
+
+// Drop the 4th column where the table didn't ask for it, so rows compare 1:1
+function normalize(expectedRows, actualRows) {
+  const wantsReturn = new Set(
+    expectedRows.filter((row) => row.length > 3).map((row) => `${row[0]} ${row[1]} ${row[2]}`)
+  );
+  return actualRows.map((row) => {
+    const [at, op, arg, returned] = row;
+    if (op === "fire") return row;
+    return wantsReturn.has(`${at} ${op} ${arg}`) ? [at, op, arg, returned] : [at, op, arg];
+  });
+}
+
+function formatRow(row) {
+  const [at, op, arg] = row;
+  const what = op === "call" || op === "fire" ? `${op}(${arg})` : `${op}()`;
+  const returns = row.length > 3 ? ` → ${JSON.stringify(row[3])}` : "";
+  return `t=${String(at).padEnd(5)} ${op === "fire" ? "  " : ""}${what}${returns}`;
+}
+
+// ===================== ASYNC SCENARIOS =====================
+
+// debounceAsync on the same clock: which caller gets what, and when
+async function asyncScenario() {
+  const clock = new FakeClock().install();
+  const log = [];
+  try {
+    const search = debounceAsync(
+      (query, signal) =>
+        new Promise((resolve, reject) => {
+          log.push([clock.now, "start", query]);
+          const timer = setTimeout(() => resolve(`results:${query}`), 80);
+          signal.addEventListener("abort", () => {
+            clearTimeout(timer);
+            log.push([clock.now, "abort", query]);
+            reject(signal.reason);
+          });
+        }),
+      50
+    );
+    const track = (query) =>
+      search(query).then(
+        (value) => log.push([clock.now, "resolve", query, value]),
+        (err) => log.push([clock.now, "reject", query, err.name])
+      );
+
+    track("r");
+    await clock.advanceTo(20);
+    track("re");
+    await clock.advanceTo(90); // "re" started at 70, would finish at 150
+    track("rea");
+    await clock.advanceTo(300); // "rea" starts at 140 and aborts "re"
+    track("react");
+    await clock.advanceTo(320);
+    search.cancel("navigated away");
+    await clock.advanceTo(1000);
+  } finally {
+    clock.uninstall();
+  }
+  return log;
+}
+
+const asyncExpected = [
+  [70, "start", "re"],
+  [140, "abort", "re"],
+  [140, "start", "rea"],
+  [140, "reject", "r", "AbortError"], // "r" and "re" shared the aborted run
+  [140, "reject", "re", "AbortError"],
+  [220, "resolve", "rea", "results:rea"],
+  [320, "reject", "react", "AbortError"], // cancelled before it ever started
+];
+
+// ===================== RUN =====================
+
+async function main() {
+  console.log("=== Debounce/throttle timing tables (fake clock) ===");
+  let failures = 0;
+
+  for (const table of tables) {
+    const actual = normalize(table.rows, await runTable(table));
+    const same = JSON.stringify(actual) === JSON.stringify(table.rows);
+    if (!same) failures++;
+    console.log(`\n${same ? "PASS" : "FAIL"}  ${table.title}`);
+    if (same) {
+      table.rows.forEach((row) => console.log(`      ${formatRow(row)}`));
+    } else {
+      console.log("      expected:");
+      table.rows.forEach((row) => console.log(`        ${formatRow(row)}`));
+      console.log("      actual:");
+      actual.forEach((row) => console.log(`        ${formatRow(row)}`));
+    }
+  }
+
+  const log = await asyncScenario();
+  const same = JSON.stringify(log) === JSON.stringify(asyncExpected);
+  if (!same) failures++;
+  console.log(`\n${same ? "PASS" : "FAIL"}  N: debounceAsync(50) — superseded runs are aborted`);
+  (same ? log : [...asyncExpected.map((r) => ["expected", ...r]), ...log.map((r) => ["actual", ...r])]).forEach(
+    (row) => console.log(`      ${row.join("  ")}`)
+  );
+
+  const total = tables.length + 1;
+  console.log(`\n${total - failures}/${total} timing tables match`);
+  process.exitCode = failures ? 1 : 0;
+}
+
+main();
+
+/**
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  INTERVIEW ANSWER:                                         ║
+ * ║  "I inject the clock. setTimeout, Date.now and rAF are     ║
+ * ║  swapped for a fake that only advances when the test says  ║
+ * ║  so, then I assert the exact millisecond of every fire.    ║
+ * ║  Real timers can only tell you 'roughly', and they make    ║
+ * ║  the suite slow and flaky."                                ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ */
+
+// RUN: node docs/javascript/29-machine-coding/03-debounce-throttle-timing.js
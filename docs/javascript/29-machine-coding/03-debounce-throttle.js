@@ -5,13 +5,15 @@
  * ║  GOLDEN RULE:                                               ║
  * ║  Debounce = wait until calls STOP, then fire once.          ║
  * ║  Throttle = fire at most once per interval, drop extras.    ║
+ * ║  Throttle is just debounce with maxWait = wait.             ║
  * ╚══════════════════════════════════════════════════════════════╝
  *
  * ┌──────────────────────────────────────────────────────────────┐
  * │  STORY: Debounce is an elevator door — keeps resetting      │
  * │  the close timer each time someone walks in. Throttle is    │
  * │  a machine gun — fires at a fixed rate no matter how fast   │
- * │  you pull the trigger.                                      │
+ * │  you pull the trigger. maxWait is the elevator giving up    │
+ * │  and leaving anyway after 30 seconds.                       │
  * └──────────────────────────────────────────────────────────────┘
  *
  * ┌──────────────────────────────────────────────────────────────┐
@@ -23,165 +25,404 @@
  * │                                                             │
  * │  Leading debounce:  fires on FIRST call, then waits.        │
  * │  Trailing throttle: fires at END of interval too.           │
+ * │  maxWait:           never go longer than this unfired.      │
  * └──────────────────────────────────────────────────────────────┘
  *
- * APPROACH:
- *  Debounce: clearTimeout + setTimeout each call. Leading = fire if no timer.
- *  Throttle: track lastRun time. Leading = fire immediately. Trailing = schedule.
+ * APPROACH (same algorithm as lodash):
+ *  Don't reset a timer on every call. Remember lastCallTime and
+ *  lastInvokeTime; when the timer wakes up, ask shouldInvoke(now) and
+ *  either fire (trailing edge) or sleep again for the remaining wait.
+ *  One timer per burst instead of one per call, and maxWait falls out
+ *  of the same check: "has it been maxWait since we last fired?"
+ *
+ *  debounced.cancel()  — drop the pending call
+ *  debounced.flush()   — fire the pending call now, return its result
+ *  debounced.pending() — is a call waiting?
+ *  debounce(fn) with no wait, where requestAnimationFrame exists →
+ *  fire once per frame with the latest args.
+ *
+ *  debounceAsync — same timing, returns a promise per call. A newer
+ *  invocation aborts the previous one's AbortSignal.
+ *
+ * Call-by-call timing tables on a fake clock: 03-debounce-throttle-timing.js
  */
 
+const { AbortError } = require("./00-event-emitter");
+
 // ===================== IMPLEMENTATION =====================
 
-function debounce(fn, delay, { leading = false, trailing = true } = {}) {
-  let timerId = null;
-  let lastArgs = null;
+// setTimeout/Date.now/requestAnimationFrame are read on every call, not
+// captured at load time, so a fake clock installed later still applies
+function debounce(fn, wait, options = {}) {
+  if (typeof fn !== "function") throw new TypeError("Expected a function");
 
-  return function (...args) {
-    const callNow = leading && timerId === null;
+  // Lodash quirk: no wait at all (not even 0) means "next animation frame"
+  const useRAF = wait === undefined && typeof globalThis.requestAnimationFrame === "function";
+  wait = Number(wait) || 0;
+  const leading = Boolean(options.leading);
+  const trailing = "trailing" in options ? Boolean(options.trailing) : true;
+  const maxing = "maxWait" in options;
+  const maxWait = maxing ? Math.max(Number(options.maxWait) || 0, wait) : undefined;
 
-    // Always save latest args for trailing call
-    lastArgs = args;
+  let lastArgs;
+  let lastThis;
+  let result;
+  let timerId;
+  let lastCallTime;
+  let lastInvokeTime = 0;
+
+  function startTimer(pending, ms) {
+    if (useRAF) {
+      globalThis.cancelAnimationFrame(timerId);
+      return globalThis.requestAnimationFrame(pending);
+    }
+    return setTimeout(pending, ms);
+  }
 
-    clearTimeout(timerId);
+  function cancelTimer(id) {
+    if (useRAF) globalThis.cancelAnimationFrame(id);
+    else clearTimeout(id);
+  }
 
-    timerId = setTimeout(() => {
-      timerId = null;
-      if (trailing && lastArgs) {
-        fn.apply(this, lastArgs);
-        lastArgs = null;
-      }
-    }, delay);
+  function invoke(time) {
+    const args = lastArgs;
+    const thisArg = lastThis;
+    lastArgs = lastThis = undefined;
+    lastInvokeTime = time;
+    result = fn.apply(thisArg, args);
+    return result;
+  }
+
+  function leadingEdge(time) {
+    // The maxWait clock starts at the first call of a burst, fired or not
+    lastInvokeTime = time;
+    timerId = startTimer(timerExpired, wait);
+    return leading ? invoke(time) : result;
+  }
+
+  function remainingWait(time) {
+    const untilQuiet = wait - (time - lastCallTime);
+    return maxing ? Math.min(untilQuiet, maxWait - (time - lastInvokeTime)) : untilQuiet;
+  }
+
+  function shouldInvoke(time) {
+    const sinceLastCall = time - lastCallTime;
+    const sinceLastInvoke = time - lastInvokeTime;
+    return (
+      lastCallTime === undefined ||
+      sinceLastCall >= wait ||
+      sinceLastCall < 0 || // the system clock went backwards
+      (maxing && sinceLastInvoke >= maxWait)
+    );
+  }
+
+  function timerExpired() {
+    const time = Date.now();
+    if (shouldInvoke(time)) return trailingEdge(time);
+    timerId = startTimer(timerExpired, remainingWait(time));
+  }
+
+  function trailingEdge(time) {
+    timerId = undefined;
+    // Only fire if there was a call since the last invoke
+    if (trailing && lastArgs) return invoke(time);
+    lastArgs = lastThis = undefined;
+    return result;
+  }
+
+  function debounced(...args) {
+    const time = Date.now();
+    const isInvoking = shouldInvoke(time);
+
+    lastArgs = args;
+    lastThis = this;
+    lastCallTime = time;
 
-    if (callNow) {
-      fn.apply(this, args);
-      lastArgs = null; // don't fire trailing for this one
+    if (isInvoking) {
+      if (timerId === undefined) return leadingEdge(lastCallTime);
+      if (maxing) {
+        // maxWait reached while calls keep coming: fire now, keep the timer
+        cancelTimer(timerId);
+        timerId = startTimer(timerExpired, wait);
+        return invoke(lastCallTime);
+      }
     }
+    if (timerId === undefined) timerId = startTimer(timerExpired, wait);
+    return result;
+  }
+
+  debounced.cancel = function () {
+    if (timerId !== undefined) cancelTimer(timerId);
+    lastInvokeTime = 0;
+    lastArgs = lastCallTime = lastThis = timerId = undefined;
+  };
+
+  debounced.flush = function () {
+    return timerId === undefined ? result : trailingEdge(Date.now());
   };
+
+  debounced.pending = function () {
+    return timerId !== undefined;
+  };
+
+  return debounced;
 }
 
-function throttle(fn, delay, { leading = true, trailing = true } = {}) {
-  let lastRun = 0;
-  let timerId = null;
-  let lastArgs = null;
+function throttle(fn, wait, options = {}) {
+  return debounce(fn, wait, {
+    leading: "leading" in options ? Boolean(options.leading) : true,
+    trailing: "trailing" in options ? Boolean(options.trailing) : true,
+    maxWait: wait,
+  });
+}
 
-  return function (...args) {
-    const now = Date.now();
-    const elapsed = now - lastRun;
+/**
+ * debounceAsync(fn, wait, options) — every call returns a promise.
+ *
+ * fn is called as fn(...args, signal). All calls folded into one
+ * invocation settle with its result. When a newer invocation starts, the
+ * older one's signal aborts and its callers reject with AbortError, so a
+ * slow stale response can never overwrite a fresh one.
+ *
+ * Calls that are dropped (trailing: false) resolve with the latest
+ * invocation's result, like lodash returns the last result.
+ * options.signal — aborting it cancels everything, pending and running.
+ */
+function debounceAsync(fn, wait, options = {}) {
+  let waiting = []; // callers whose call hasn't been invoked yet
+  let controller = null;
+  let latest = Promise.resolve(undefined);
 
-    lastArgs = args;
+  function run(...args) {
+    const callers = waiting;
+    waiting = [];
+    if (controller) controller.abort(new AbortError("Superseded by a newer call"));
+    const own = (controller = new AbortController());
 
-    if (elapsed >= delay && leading) {
-      lastRun = now;
-      fn.apply(this, args);
-      lastArgs = null;
-    } else if (!timerId && trailing) {
-      const remaining = delay - elapsed;
-      timerId = setTimeout(() => {
-        lastRun = Date.now();
-        timerId = null;
-        if (lastArgs) {
-          fn.apply(this, lastArgs);
-          lastArgs = null;
-        }
-      }, leading ? remaining : delay);
+    let work;
+    try {
+      work = Promise.resolve(fn.apply(this, [...args, own.signal]));
+    } catch (err) {
+      work = Promise.reject(err);
     }
+    // Don't wait for a task that ignores its signal
+    const aborted = new Promise((_, reject) => {
+      own.signal.addEventListener("abort", () => reject(own.signal.reason), { once: true });
+    });
+    latest = Promise.race([work, aborted]);
+    latest.then(
+      (value) => callers.forEach((caller) => caller.resolve(value)),
+      (err) => callers.forEach((caller) => caller.reject(err))
+    );
+    latest.catch(() => {}).then(() => {
+      if (controller === own) controller = null;
+    });
+    return latest;
+  }
+
+  const debounced = debounce(run, wait, options);
+
+  function debouncedAsync(...args) {
+    return new Promise((resolve, reject) => {
+      if (options.signal && options.signal.aborted) {
+        reject(new AbortError(undefined, { cause: options.signal.reason }));
+        return;
+      }
+      const caller = { resolve, reject };
+      waiting.push(caller);
+      debounced.apply(this, args);
+      // Not invoked synchronously and no trailing edge to wait for: dropped
+      if (!debounced.pending() || options.trailing === false) {
+        const index = waiting.indexOf(caller);
+        if (index !== -1) {
+          waiting.splice(index, 1);
+          latest.then(resolve, reject);
+        }
+      }
+    });
+  }
+
+  debouncedAsync.cancel = function (reason) {
+    debounced.cancel();
+    const callers = waiting;
+    waiting = [];
+    const err = new AbortError(undefined, { cause: reason });
+    callers.forEach((caller) => caller.reject(err));
+    if (controller) controller.abort(err);
   };
-}
 
-// ===================== TEST CASES =====================
+  debouncedAsync.flush = function () {
+    debounced.flush();
+    return latest;
+  };
 
-console.log("=== Debounce & Throttle Machine Coding ===\n");
+  debouncedAsync.pending = debounced.pending;
 
-// Helper: simulate rapid calls at specific offsets
-function simulateCalls(fn, offsets, label) {
-  offsets.forEach((ms) => {
-    setTimeout(() => fn(label, ms), ms);
-  });
+  if (options.signal) {
+    options.signal.addEventListener("abort", () => debouncedAsync.cancel(options.signal.reason), { once: true });
+  }
+
+  return debouncedAsync;
 }
 
-// A: Debounce trailing (default) — only last call fires after quiet period
-const debouncedA = debounce((label, t) => {
-  console.log(`${label}: fired at offset ~${t}ms`);
-}, 100);
+module.exports = { debounce, throttle, debounceAsync };
 
-simulateCalls(debouncedA, [0, 30, 60, 90], "A(debounce-trailing)");
-// Expected: fires once ~190ms (90 + 100 delay)
+// ===================== TEST CASES =====================
 
-// B: Debounce leading — fires on first call immediately
-const debouncedB = debounce(
-  (label, t) => {
+if (require.main === module) {
+  console.log("=== Debounce & Throttle Machine Coding ===\n");
+
+  // Helper: simulate rapid calls at specific offsets
+  function simulateCalls(fn, offsets, label) {
+    offsets.forEach((ms) => {
+      setTimeout(() => fn(label, ms), ms);
+    });
+  }
+
+  // A: Debounce trailing (default) — only last call fires after quiet period
+  const debouncedA = debounce((label, t) => {
     console.log(`${label}: fired at offset ~${t}ms`);
-  },
-  100,
-  { leading: true, trailing: false }
-);
-
-setTimeout(() => {
-  simulateCalls(debouncedB, [0, 30, 60, 90], "B(debounce-leading)");
-  // Expected: fires once immediately at 0
-}, 300);
-
-// C: Throttle leading (default) — fires first, then at intervals
-const throttledC = throttle((label, t) => {
-  console.log(`${label}: fired at offset ~${t}ms`);
-}, 100);
-
-setTimeout(() => {
-  simulateCalls(throttledC, [0, 20, 40, 60, 80, 150, 170], "C(throttle)");
-  // Expected: fires at ~0, then trailing at ~100, then ~150, trailing ~250
-}, 600);
-
-// D: Throttle trailing only
-const throttledD = throttle(
-  (label, t) => {
+  }, 100);
+
+  simulateCalls(debouncedA, [0, 30, 60, 90], "A(debounce-trailing)");
+  // Expected: fires once ~190ms (90 + 100 delay)
+
+  // B: Debounce leading — fires on first call immediately
+  const debouncedB = debounce(
+    (label, t) => {
+      console.log(`${label}: fired at offset ~${t}ms`);
+    },
+    100,
+    { leading: true, trailing: false }
+  );
+
+  setTimeout(() => {
+    simulateCalls(debouncedB, [0, 30, 60, 90], "B(debounce-leading)");
+    // Expected: fires once immediately at 0
+  }, 300);
+
+  // C: Throttle leading (default) — fires first, then at intervals
+  const throttledC = throttle((label, t) => {
     console.log(`${label}: fired at offset ~${t}ms`);
-  },
-  100,
-  { leading: false, trailing: true }
-);
-
-setTimeout(() => {
-  simulateCalls(throttledD, [0, 30, 60], "D(throttle-trailing)");
-  // Expected: fires once after 100ms
-}, 1100);
-
-// E: Debounce with single call
-const debouncedE = debounce((label) => {
-  console.log(`${label}: single call fired`);
-}, 50);
-
-setTimeout(() => {
-  debouncedE("E(single)");
-  // Expected: fires after 50ms
-}, 1400);
-
-// F: Verify debounce resets timer
-let fCount = 0;
-const debouncedF = debounce(() => {
-  fCount++;
-  console.log(`F: debounce call count = ${fCount}`);
-}, 50);
-
-setTimeout(() => {
-  debouncedF();
-  setTimeout(() => debouncedF(), 30); // resets
-  setTimeout(() => debouncedF(), 60); // resets again
-  // Should fire once, 50ms after the last call (at ~110ms from start)
-  setTimeout(() => console.log(`F: total calls = ${fCount} (should be 1)`), 200);
-}, 1600);
-
-// Print completion message
-setTimeout(() => {
-  console.log("\n=== All tests complete ===");
-}, 2200);
+  }, 100);
+
+  setTimeout(() => {
+    simulateCalls(throttledC, [0, 20, 40, 60, 80, 150, 170], "C(throttle)");
+    // Expected: fires at ~0 (offset 0), trailing ~100 (offset 80), ~250 (offset 170)
+    // The call at 150 does NOT fire: only 50ms since the trailing call at 100
+  }, 600);
+
+  // D: Throttle trailing only
+  const throttledD = throttle(
+    (label, t) => {
+      console.log(`${label}: fired at offset ~${t}ms`);
+    },
+    100,
+    { leading: false, trailing: true }
+  );
+
+  setTimeout(() => {
+    simulateCalls(throttledD, [0, 30, 60], "D(throttle-trailing)");
+    // Expected: fires once after 100ms
+  }, 1100);
+
+  // E: Debounce with single call
+  const debouncedE = debounce((label) => {
+    console.log(`${label}: single call fired`);
+  }, 50);
+
+  setTimeout(() => {
+    debouncedE("E(single)");
+    // Expected: fires after 50ms
+  }, 1400);
+
+  // F: Verify debounce resets timer
+  let fCount = 0;
+  const debouncedF = debounce(() => {
+    fCount++;
+    console.log(`F: debounce call count = ${fCount}`);
+  }, 50);
+
+  setTimeout(() => {
+    debouncedF();
+    setTimeout(() => debouncedF(), 30); // resets
+    setTimeout(() => debouncedF(), 60); // resets again
+    // Should fire once, 50ms after the last call (at ~110ms from start)
+    setTimeout(() => console.log(`F: total calls = ${fCount} (should be 1)`), 200);
+  }, 1600);
+
+  // G: maxWait — a debounce that never starves during a non-stop stream
+  setTimeout(() => {
+    const start = Date.now();
+    const firedAt = [];
+    const debouncedG = debounce(() => firedAt.push(Math.round((Date.now() - start) / 50) * 50), 100, { maxWait: 250 });
+    debouncedG();
+    const id = setInterval(debouncedG, 50);
+    setTimeout(() => clearInterval(id), 620);
+    setTimeout(() => console.log(`G: maxWait fired at ~${firedAt.join(", ~")}ms`), 800);
+    // Expected: ~250, ~500, ~700 — forced every 250ms while calls keep
+    // coming, then the trailing fire 100ms after the last call (~600)
+  }, 2200);
+
+  // H: cancel / flush / pending / return value
+  setTimeout(() => {
+    const double = debounce((x) => x * 2, 100);
+    console.log("H:", double(1), double.pending()); // undefined true (nothing ran yet)
+    console.log("H: flush ->", double.flush(), double.pending()); // 2 false
+    console.log("H: next call returns last result ->", double(5)); // 2
+    double.cancel();
+    console.log("H: after cancel ->", double.pending(), double.flush()); // false 2
+  }, 3100);
+
+  // I: debounceAsync — each call gets a promise, stale work is aborted
+  setTimeout(async () => {
+    const log = [];
+    const search = debounceAsync(
+      (query, signal) =>
+        new Promise((resolve, reject) => {
+          const timer = setTimeout(() => resolve(`results for "${query}"`), 80);
+          signal.addEventListener("abort", () => {
+            clearTimeout(timer);
+            log.push(`aborted "${query}"`);
+            reject(signal.reason);
+          });
+        }),
+      50
+    );
+    const p1 = search("re");
+    const p2 = search("rea"); // folded into the same invocation as "re"
+    await new Promise((resolve) => setTimeout(resolve, 70)); // "rea" is now in flight
+    const p3 = search("react"); // starts after 50ms and aborts "rea"
+    const settled = await Promise.allSettled([p1, p2, p3]);
+    console.log("I:", settled.map((s) => (s.status === "fulfilled" ? s.value : s.reason.name)), log);
+    // [ 'AbortError', 'AbortError', 'results for "react"' ] [ 'aborted "rea"' ]
+  }, 3200);
+
+  // Print completion message
+  setTimeout(() => {
+    console.log("\n=== All tests complete ===");
+  }, 3600);
+}
 
 /**
  * FOLLOW-UP QUESTIONS:
  * 1. How would you add a cancel() method to debounce?
+ *    -> clear the timer AND forget lastArgs/lastCallTime, or the next call
+ *       thinks it is still inside the old burst.
  * 2. How would you add a flush() method that fires immediately?
+ *    -> run the trailing edge now with the saved args; return the result.
  * 3. What is requestAnimationFrame throttle and when to use it?
+ *    -> fire at most once per frame (~16ms at 60Hz), in step with paint.
+ *       Use it for scroll/resize/mousemove handlers that touch layout.
  * 4. How does Lodash handle leading+trailing together?
+ *    -> leading fires on the first call; trailing fires only if another
+ *       call came in during the wait. One call = one invocation.
  * 5. When would you use debounce vs throttle for scroll events?
+ *    -> throttle (or rAF) to update while scrolling, debounce to act
+ *       once scrolling stops (e.g. save position, load more).
+ * 6. Why doesn't a debounced async search just ignore stale responses?
+ *    -> ignoring still pays for them. Aborting the signal cancels the
+ *       request itself; the promise also rejects so the UI can't race.
  */
 
 /**
@@ -192,6 +433,8 @@ setTimeout(() => {
  * ║  Throttle: fire at most once per interval. Track lastRun    ║
  * ║  time. Leading fires if enough time passed. Trailing        ║
  * ║  schedules a delayed call for remaining time.               ║
+ * ║  Lodash-style: one timer per burst, shouldInvoke() on wake. ║
+ * ║  Throttle = debounce(fn, wait, { maxWait: wait }).          ║
  * ╚══════════════════════════════════════════════════════════════╝
  */
 
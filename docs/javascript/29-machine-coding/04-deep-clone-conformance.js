@@ -0,0 +1,387 @@
+/**
+ * TOPIC: deepClone vs structuredClone — Differential Test
+ *
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  GOLDEN RULE: Clone the same input with both, then compare  ║
+ * ║  EVERYTHING observable: prototypes, property descriptors,   ║
+ * ║  identity (who points at whom), bytes, and thrown errors.   ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  STORY: Two photocopiers, same document. Don't just check   │
+ * │  that both copies "look right" — lay them on top of each    │
+ * │  other and hold them up to the light.                       │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  VISUAL:                                                    │
+ * │                                                             │
+ * │   make() ──► input ──► structuredClone ──► snapshot ─┐      │
+ * │   make() ──► input ──► deepClone       ──► snapshot ─┴ ==?  │
+ * │                                                             │
+ * │   snapshot = graph as JSON: every object gets an id, a     │
+ * │   second visit is { ref: id }, so sharing and cycles show  │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * Each scenario builds a FRESH input for each side, since a transfer
+ * detaches the original. The input is snapshotted afterwards too.
+ */
+
+const { deepClone } = require("./04-deep-clone");
+
+// ===================== SNAPSHOT =====================
+
+const TypedArray = Object.getPrototypeOf(Uint8Array);
+const tag = (v) => Object.prototype.toString.call(v).slice(8, -1);
+
+function primitive(v) {
+  if (typeof v === "number") return { number: Object.is(v, -0) ? "-0" : String(v) };
+  if (typeof v === "bigint") return { bigint: String(v) };
+  if (typeof v === "symbol") return { symbol: String(v) };
+  return { [typeof v]: v === undefined ? "undefined" : v };
+}
+
+function protoName(v) {
+  const proto = Object.getPrototypeOf(v);
+  if (proto === null) return null;
+  return Object.prototype.hasOwnProperty.call(proto, "constructor") ? proto.constructor.name : "(anonymous)";
+}
+
+function snapshot(root) {
+  const ids = new Map();
+
+  function visit(v) {
+    if (v === null || (typeof v !== "object" && typeof v !== "function")) return primitive(v);
+    if (ids.has(v)) return { ref: ids.get(v) };
+    const node = { id: ids.size, tag: tag(v), proto: protoName(v) };
+    ids.set(v, node.id);
+
+    if (v instanceof ArrayBuffer) {
+      let detached = false;
+      try {
+        v.slice(0, 0);
+      } catch {
+        detached = true;
+      }
+      Object.assign(node, { detached, resizable: v.resizable, maxByteLength: v.maxByteLength });
+      if (!detached) node.bytes = Array.from(new Uint8Array(v));
+    } else if (ArrayBuffer.isView(v)) {
+      node.buffer = visit(v.buffer);
+      Object.assign(node, { byteOffset: v.byteOffset, byteLength: v.byteLength });
+      if (v instanceof TypedArray) node.values = Array.from(v, String);
+    } else if (v instanceof Date) {
+      node.time = String(v.getTime());
+    } else if (v instanceof RegExp) {
+      Object.assign(node, { source: v.source, flags: v.flags });
+    } else if (v instanceof Map) {
+      node.entries = [...v].map(([key, value]) => [visit(key), visit(value)]);
+    } else if (v instanceof Set) {
+      node.values = [...v].map(visit);
+    } else if (["Boolean", "Number", "String", "BigInt"].includes(tag(v))) {
+      node.primitive = primitive(v.valueOf());
+    }
+
+    node.props = Reflect.ownKeys(v).map((key) => {
+      const d = Object.getOwnPropertyDescriptor(v, key);
+      const prop = { key: String(key), enumerable: d.enumerable, configurable: d.configurable };
+      if ("value" in d) Object.assign(prop, { writable: d.writable, value: visit(d.value) });
+      else Object.assign(prop, { get: Boolean(d.get), set: Boolean(d.set) });
+      return prop;
+    });
+    return node;
+  }
+
+  return visit(root);
+}
+
+// ===================== SCENARIOS =====================
+
+const scenarios = [];
+const scenario = (title, make, options) => scenarios.push({ title, make, options });
+
+scenario("primitives, -0, NaN, BigInt, undefined", () => [0, -0, NaN, -Infinity, "s", true, null, undefined, 10n]);
+
+scenario("nested plain data, integer keys first", () => ({ b: 1, 2: "two", a: { deep: [1, { deeper: true }] }, 1: "one" }));
+
+scenario("shared references and cycles", () => {
+  const shared = { n: 1 };
+  const root = { left: shared, right: shared, list: [shared] };
+  root.self = root;
+  root.list.push(root.list);
+  return root;
+});
+
+scenario("sparse arrays, extra props, length past the last index", () => {
+  const arr = [1, , 3];
+  arr.label = "extra";
+  const long = [];
+  long.length = 5;
+  long[3] = "x";
+  return { arr, long, empty: new Array(3) };
+});
+
+scenario("Date (valid, invalid) — extra props dropped", () => {
+  const d = new Date(1700000000000);
+  d.note = "dropped";
+  return [d, new Date(NaN), d];
+});
+
+scenario("RegExp — flags kept, lastIndex reset, props dropped", () => {
+  const r = /a(?<x>b)/dgimsuy;
+  r.lastIndex = 4;
+  r.note = "dropped";
+  return [r, /plain/, r];
+});
+
+scenario("primitive wrappers, shared identity", () => {
+  const n = new Number(42);
+  n.note = "dropped";
+  return [new Boolean(false), n, n, new String("hi"), Object(2n ** 70n)];
+});
+
+scenario("Map and Set with object keys and self-references", () => {
+  const key = { k: 1 };
+  const map = new Map([[key, key], ["nested", new Map([[1, new Set([key])]])]]);
+  map.set(map, "self");
+  const set = new Set([key, map]);
+  set.add(set);
+  map.extra = "dropped";
+  return { map, set };
+});
+
+scenario("Map entries are snapshotted before cloning", () => {
+  const map = new Map();
+  map.set("a", {
+    get trigger() {
+      map.set("late", 1);
+      return "ran";
+    },
+  });
+  return map;
+});
+
+scenario("ArrayBuffer, resizable ArrayBuffer", () => {
+  const plain = new Uint8Array([1, 2, 3]).buffer;
+  const resizable = new ArrayBuffer(2, { maxByteLength: 8 });
+  new Uint8Array(resizable).set([9, 8]);
+  return { plain, resizable, again: plain };
+});
+
+scenario("every typed array, offsets, one shared buffer, DataView", () => {
+  const buffer = new ArrayBuffer(64);
+  new Uint8Array(buffer).forEach((_, i, a) => (a[i] = i * 7));
+  return {
+    int8: new Int8Array(buffer, 1, 3),
+    uint8: new Uint8Array(buffer),
+    clamped: new Uint8ClampedArray(buffer, 4, 4),
+    int16: new Int16Array(buffer, 8, 2),
+    uint16: new Uint16Array(buffer, 8, 2),
+    int32: new Int32Array(buffer, 16, 2),
+    uint32: new Uint32Array(buffer, 16, 2),
+    float32: new Float32Array([1.5, -0, NaN]),
+    float64: new Float64Array(buffer, 24, 2),
+    bigInt64: new BigInt64Array(buffer, 40, 1),
+    bigUint64: new BigUint64Array([2n ** 64n - 1n]),
+    view: new DataView(buffer, 2, 10),
+  };
+});
+
+scenario("built-in Error types keep their type", () =>
+  [Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError].map((E) => new E(`a ${E.name}`))
+);
+
+scenario("Error subclasses, renamed errors, AggregateError", () => {
+  class HttpError extends TypeError {
+    constructor(message) {
+      super(message);
+      this.status = 404;
+    }
+  }
+  class Named extends RangeError {
+    constructor() {
+      super("named");
+      this.name = "Named";
+    }
+  }
+  const renamed = new Error("renamed");
+  renamed.name = "SyntaxError";
+  return [new HttpError("inherits TypeError's name"), new Named(), renamed, new AggregateError([1], "agg")];
+});
+
+scenario("Error message/stack/cause edge cases", () => {
+  const noMessage = new Error();
+  const accessor = new Error("x");
+  Object.defineProperty(accessor, "message", { get: () => "from getter", configurable: true });
+  const numeric = new Error("x");
+  numeric.message = 42;
+  const badStack = new Error("x");
+  badStack.stack = { not: "a string" };
+  const customStack = new Error("x");
+  customStack.stack = "custom stack";
+  return [
+    noMessage,
+    accessor,
+    numeric,
+    badStack,
+    customStack,
+    new Error("with cause", { cause: { code: "E1", list: [1] } }),
+    new Error("undefined cause", { cause: undefined }),
+  ];
+});
+
+scenario("getters run once, non-enumerable and symbol keys dropped", () => {
+  let calls = 0;
+  const obj = {
+    get counted() {
+      return ++calls;
+    },
+    [Symbol("hidden")]: "dropped",
+    visible: 1,
+  };
+  Object.defineProperty(obj, "secret", { value: "dropped", enumerable: false });
+  return { obj, calls: () => calls };
+});
+
+scenario("a getter deleting a later key skips it", () => ({
+  get first() {
+    delete this.second;
+    return 1;
+  },
+  second: 2,
+  third: 3,
+}));
+
+scenario("class instances and null-prototype objects become plain objects", () => {
+  class Point {
+    #secret = 1;
+    constructor() {
+      this.x = 1;
+    }
+    get len() {
+      return 1;
+    }
+  }
+  const bare = Object.create(null);
+  bare.k = "v";
+  return [new Point(), bare, Object.create({ inherited: true })];
+});
+
+scenario('"__proto__" from JSON stays an own key', () => JSON.parse('{"__proto__": {"polluted": true}, "safe": 1}'));
+
+for (const [title, make] of [
+  ["function", () => function named() {}],
+  ["arrow in an object", () => ({ ok: 1, cb: (x) => x })],
+  ["method in a Map", () => new Map([["m", { run() {} }]])],
+  ["symbol", () => Symbol("s")],
+  ["Symbol wrapper", () => Object(Symbol("s"))],
+  ["Promise", () => Promise.resolve(1)],
+  ["WeakMap", () => new WeakMap()],
+  ["WeakSet", () => new WeakSet()],
+  ["WeakRef", () => new WeakRef({})],
+  ["arguments", () => (function () { return arguments; })(1, 2)],
+]) {
+  scenario(`DataCloneError: ${title}`, make);
+}
+
+scenario("DataCloneError: detached ArrayBuffer and a view over one", () => {
+  const buffer = new ArrayBuffer(4);
+  const view = new Uint8Array(buffer);
+  structuredClone(buffer, { transfer: [buffer] }); // detach it
+  return [view];
+});
+
+scenario("transfer: buffer and views over it", () => {
+  const buffer = new Uint8Array([1, 2, 3, 4]).buffer;
+  return { buffer, view: new Uint16Array(buffer, 2, 1), dv: new DataView(buffer) };
+}, (input) => ({ transfer: [input.buffer] }));
+
+scenario("transfer: a buffer that isn't in the graph is still detached", () => ({
+  unrelated: new ArrayBuffer(8),
+}), (input) => ({ transfer: [input.unrelated] }));
+
+scenario("transfer: duplicate buffer is a DataCloneError", () => {
+  const buffer = new ArrayBuffer(2);
+  return { buffer };
+}, (input) => ({ transfer: [input.buffer, input.buffer] }));
+
+// ===================== RUN =====================
+
+// An error is compared by its observable shape
+const shape = (err) => ({ threw: err.name, code: err.code, message: err.message, isDOMException: err instanceof DOMException });
+
+function run(clone, { make, options }) {
+  const input = make();
+  const value = input && typeof input.calls === "function" ? input.obj : input;
+  try {
+    const result = clone(value, options ? options(input) : undefined);
+    const out = { clone: snapshot(result), inputAfter: snapshot(value) };
+    if (value !== input) out.getterCalls = input.calls();
+    return out;
+  } catch (err) {
+    return shape(err);
+  }
+}
+
+// SharedArrayBuffer needs its own check: "same memory" isn't in a snapshot
+function sharedMemoryCheck(clone) {
+  const sab = new SharedArrayBuffer(4);
+  const copy = clone({ sab }).sab;
+  new Uint8Array(copy)[0] = 99;
+  return { tag: tag(copy), seesWrites: new Uint8Array(sab)[0] === 99 };
+}
+
+function main() {
+  console.log("=== deepClone vs structuredClone ===\n");
+  let failures = 0;
+  const report = (title, expected, actual) => {
+    const same = expected === actual;
+    if (!same) failures++;
+    console.log(`  ${same ? "same" : "DIFF"}  ${title}`);
+    if (!same) {
+      console.log(`      native: ${expected}`);
+      console.log(`      ours:   ${actual}`);
+    }
+  };
+
+  for (const s of scenarios) {
+    // One call site for both, so Error stacks (line:column) come out equal
+    const [expected, actual] = [structuredClone, deepClone].map((clone) => JSON.stringify(run(clone, s)));
+    report(s.title, expected, actual);
+  }
+  report(
+    "SharedArrayBuffer: clone shares memory",
+    JSON.stringify(sharedMemoryCheck(structuredClone)),
+    JSON.stringify(sharedMemoryCheck(deepClone))
+  );
+
+  const total = scenarios.length + 1;
+  console.log(`\n${total - failures}/${total} scenarios behave like structuredClone`);
+  process.exitCode = failures ? 1 : 0;
+}
+
+main();
+
+/**
+ * KNOWN DIFFERENCES (not tested above):
+ *   - Proxy: V8 refuses any Proxy; JS can't detect one, so deepClone
+ *     clones what the traps report.
+ *   - Length-tracking typed arrays (new Uint8Array(resizableBuffer))
+ *     come back fixed-length: JS can't tell them apart.
+ *   - Transfer is copy + detach; the zero-copy move needs the engine.
+ *   - Non-ArrayBuffer in `transfer`: Node throws its own TypeError,
+ *     deepClone a DataCloneError, as the spec says.
+ *   - An Error whose cause is itself: Node 20 fails to deserialize it,
+ *     deepClone returns the cycle.
+ *   - [Symbol.for("clone")] hooks are deepClone's own extension.
+ *
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  INTERVIEW ANSWER:                                         ║
+ * ║  To prove a clone matches structuredClone, snapshot both   ║
+ * ║  results as graphs - prototype, descriptors, ids for       ║
+ * ║  shared/cyclic refs, bytes - and diff them. Comparing with ║
+ * ║  === or JSON.stringify misses identity, holes, -0, NaN     ║
+ * ║  dates and typed-array views.                              ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ */
+
+// RUN: node docs/javascript/29-machine-coding/04-deep-clone-conformance.js
@@ -1,9 +1,11 @@
 /**
  * TOPIC: Implement Deep Clone Handling All Types + Circular References
+ *        (the HTML structured clone algorithm behind structuredClone)
  *
  * ╔══════════════════════════════════════════════════════════════╗
- * ║  GOLDEN RULE: Recursively copy every value. Use a WeakMap   ║
- * ║  to track already-cloned objects and break circular refs.   ║
+ * ║  GOLDEN RULE: Recursively copy every value. Use a memory    ║
+ * ║  map to track already-cloned objects and break circular     ║
+ * ║  refs. Copy DATA, not behaviour: functions can't be cloned. ║
  * ╚══════════════════════════════════════════════════════════════╝
  *
  * ┌──────────────────────────────────────────────────────────────┐
@@ -16,185 +18,469 @@
  * ┌──────────────────────────────────────────────────────────────┐
  * │  VISUAL DIAGRAM:                                            │
  * │                                                             │
- * │  deepClone(obj, seen=WeakMap)                               │
+ * │  deepClone(value, { transfer })                             │
+ * │    ├── function/symbol? throw DataCloneError                │
  * │    ├── primitive? return as-is                              │
- * │    ├── seen.has(obj)? return seen.get(obj)  [circular!]     │
- * │    ├── Date?    new Date(obj)                               │
- * │    ├── RegExp?  new RegExp(obj)                             │
- * │    ├── Map?     new Map, clone each entry                   │
- * │    ├── Set?     new Set, clone each value                   │
- * │    ├── Array?   [], clone each element                      │
- * │    └── Object?  {}, clone each property                     │
+ * │    ├── memory.has(v)? return memory.get(v)  [circular!]     │
+ * │    ├── [Symbol.for("clone")]? let the class do it           │
+ * │    ├── wrapper? new Number(v) / Object(10n) ...             │
+ * │    ├── Date?    new Date(t)      RegExp? new RegExp(v)      │
+ * │    ├── ArrayBuffer? copy bytes   view? same cloned buffer   │
+ * │    ├── Map/Set? new, clone each entry                       │
+ * │    ├── Error?   new TypeError(msg) + stack + cause          │
+ * │    ├── Promise/WeakMap/...? throw DataCloneError            │
+ * │    ├── Array?   new Array(len), clone each own key (holes!) │
+ * │    └── Object?  {}, clone each own enumerable string key    │
  * └──────────────────────────────────────────────────────────────┘
  *
  * APPROACH:
  *  1. Handle null/primitives (return directly)
- *  2. Check WeakMap for circular reference
- *  3. Handle each special type: Date, RegExp, Map, Set
+ *  2. Check memory for circular reference
+ *  3. Handle each special type by BRAND CHECK, not instanceof
  *  4. Handle Array and plain Object recursively
- *  5. Store clone in WeakMap BEFORE recursing children
+ *  5. Store clone in memory BEFORE recursing children
+ *  6. Detach transferred buffers only after everything cloned
+ *
+ * Differential test against Node's structuredClone:
+ *   node docs/javascript/29-machine-coding/04-deep-clone-conformance.js
  */
 
 // ===================== IMPLEMENTATION =====================
 
-function deepClone(obj, seen = new WeakMap()) {
-  // Primitives and null
-  if (obj === null || typeof obj !== "object") {
-    return obj;
-  }
+// Classes opt in with  [Symbol.for("clone")](clone, remember) { ... }
+const CLONE = Symbol.for("clone");
 
-  // Circular reference check
-  if (seen.has(obj)) {
-    return seen.get(obj);
-  }
+// Error.prototype.name values that survive a clone; anything else → Error
+const ERROR_TYPES = { Error, EvalError, RangeError, ReferenceError, SyntaxError, TypeError, URIError };
 
-  // Date
-  if (obj instanceof Date) {
-    return new Date(obj.getTime());
-  }
+const TypedArray = Object.getPrototypeOf(Uint8Array);
 
-  // RegExp
-  if (obj instanceof RegExp) {
-    return new RegExp(obj.source, obj.flags);
-  }
+// Browsers and Node throw a DOMException named "DataCloneError" (code 25)
+function dataCloneError(message) {
+  if (typeof DOMException === "function") return new DOMException(message, "DataCloneError");
+  return Object.assign(new Error(message), { name: "DataCloneError", code: 25 });
+}
 
-  // Map
-  if (obj instanceof Map) {
-    const cloned = new Map();
-    seen.set(obj, cloned);
-    obj.forEach((value, key) => {
-      cloned.set(deepClone(key, seen), deepClone(value, seen));
-    });
-    return cloned;
+// ───── brand checks ─────
+// `instanceof` lies (other realms, setPrototypeOf, subclasses). A built-in
+// method that needs an internal slot throws on anything else, so calling it
+// is the real "is this a Date?" test.
+function hasSlot(method, value) {
+  try {
+    method.call(value);
+    return true;
+  } catch {
+    return false;
   }
+}
+const getter = (proto, key) => Object.getOwnPropertyDescriptor(proto, key).get;
+
+const isDate = (v) => hasSlot(Date.prototype.getTime, v);
+const isRegExp = (v) => v !== RegExp.prototype && hasSlot(getter(RegExp.prototype, "source"), v);
+const isMap = (v) => hasSlot(getter(Map.prototype, "size"), v);
+const isSet = (v) => hasSlot(getter(Set.prototype, "size"), v);
+const isArrayBuffer = (v) => hasSlot(getter(ArrayBuffer.prototype, "byteLength"), v);
+const isSharedArrayBuffer = (v) =>
+  typeof SharedArrayBuffer === "function" && hasSlot(getter(SharedArrayBuffer.prototype, "byteLength"), v);
+const isDataView = (v) => hasSlot(getter(DataView.prototype, "buffer"), v);
+const typedArrayName = (v) => getter(TypedArray.prototype, Symbol.toStringTag).call(v); // undefined if not one
+// Error.isError is the real check; before it, the built-in tag is the best
+// we have (an own Symbol.toStringTag means someone is faking it)
+const isError = (v) =>
+  typeof Error.isError === "function"
+    ? Error.isError(v)
+    : Object.prototype.toString.call(v) === "[object Error]" && !(Symbol.toStringTag in v);
+
+// Primitive wrappers: new Boolean(false), Object(1n) ...
+const WRAPPERS = [
+  [Boolean.prototype.valueOf, Boolean],
+  [Number.prototype.valueOf, Number],
+  [String.prototype.valueOf, String],
+  [BigInt.prototype.valueOf, BigInt],
+];
 
-  // Set
-  if (obj instanceof Set) {
-    const cloned = new Set();
-    seen.set(obj, cloned);
-    obj.forEach((value) => {
-      cloned.add(deepClone(value, seen));
-    });
-    return cloned;
+// Objects with internal state a copy can't carry
+function isUncloneable(v) {
+  return (
+    hasSlot(Symbol.prototype.valueOf, v) ||
+    hasSlot(WeakMap.prototype.has, v) ||
+    hasSlot(WeakSet.prototype.has, v) ||
+    (typeof WeakRef === "function" && hasSlot(WeakRef.prototype.deref, v)) ||
+    Promise.resolve(v) === v || // only a real promise comes back unchanged
+    Object.prototype.toString.call(v) === "[object Arguments]"
+  );
+}
+
+// Same wording as V8, so errors read the same as structuredClone's
+function describe(value) {
+  if (typeof value === "function") return Function.prototype.toString.call(value);
+  if (typeof value === "symbol") return String(value);
+  if (hasSlot(Symbol.prototype.valueOf, value)) return "[object Symbol]";
+  const proto = Object.getPrototypeOf(value);
+  const ctor = proto && Object.getOwnPropertyDescriptor(proto, "constructor");
+  return `#<${(ctor && typeof ctor.value === "function" && ctor.value.name) || "Object"}>`;
+}
+
+function isDetached(buffer) {
+  if ("detached" in ArrayBuffer.prototype) return buffer.detached;
+  try {
+    buffer.slice(0, 0); // throws on a detached buffer
+    return false;
+  } catch {
+    return true;
   }
+}
+
+function cloneArrayBuffer(buffer) {
+  if (isDetached(buffer)) throw dataCloneError("An ArrayBuffer is detached and could not be cloned.");
+  const copy = buffer.resizable
+    ? new ArrayBuffer(buffer.byteLength, { maxByteLength: buffer.maxByteLength })
+    : new ArrayBuffer(buffer.byteLength);
+  new Uint8Array(copy).set(new Uint8Array(buffer));
+  return copy;
+}
+
+// Pure JS can't hand memory from one buffer to another, so a transfer is
+// "copy, then detach the original". Callers can't tell the difference -
+// only the zero-copy speedup is lost.
+function detach(buffer) {
+  if (typeof buffer.transfer === "function") buffer.transfer();
+  else structuredClone(buffer, { transfer: [buffer] });
+}
+
+function checkTransferList(transfer) {
+  const list = Array.from(transfer || []);
+  list.forEach((item, i) => {
+    if (!isArrayBuffer(item)) throw dataCloneError(`${describe(item)} is not transferable.`);
+    if (list.indexOf(item) !== i) throw dataCloneError("Transfer list contains duplicate ArrayBuffer");
+    if (isDetached(item)) throw dataCloneError("An ArrayBuffer is detached and could not be transferred.");
+  });
+  return list;
+}
+
+/**
+ * deepClone(value, { transfer }) — the HTML structured clone algorithm,
+ * i.e. what structuredClone() and postMessage() do.
+ *
+ *   kept      primitives (not symbols), Boolean/Number/String/BigInt
+ *             wrappers, Date, RegExp, ArrayBuffer, typed arrays, DataView,
+ *             Map, Set, Error (+ cause), arrays (holes too), plain data
+ *   changed   class instances → plain objects; getters → their value;
+ *             RegExp lastIndex → 0; Error subclasses → nearest built-in
+ *   dropped   symbol keys, non-enumerable keys, extra props on built-ins
+ *   throws    functions, symbols, promises, WeakMap/WeakSet/WeakRef
+ *             → DataCloneError
+ *
+ * Identity is kept: a value reachable twice is cloned once, cycles
+ * included, and views over one buffer share one cloned buffer.
+ * A class with a [Symbol.for("clone")](clone, remember) method decides for
+ * itself: clone copies a field, remember(copy) registers the instance up
+ * front so fields that point back at it resolve to the copy.
+ */
+function deepClone(value, options = {}) {
+  const transferList = checkTransferList(options.transfer);
+  const memory = new Map();
+
+  function clone(value) {
+    if (typeof value === "function" || typeof value === "symbol") throw dataCloneError(`${describe(value)} could not be cloned.`);
+    if (value === null || typeof value !== "object") return value;
+    if (memory.has(value)) return memory.get(value);
+
+    const remember = (copy) => {
+      memory.set(value, copy);
+      return copy;
+    };
+
+    if (typeof value[CLONE] === "function") {
+      const copy = value[CLONE](clone, remember);
+      return remember(copy);
+    }
+
+    for (const [valueOf, Wrapper] of WRAPPERS) {
+      if (hasSlot(valueOf, value)) return remember(Object(Wrapper(valueOf.call(value))));
+    }
+    if (isDate(value)) return remember(new Date(value.getTime()));
+    if (isRegExp(value)) return remember(new RegExp(value)); // source + flags, lastIndex 0
+    if (isArrayBuffer(value)) return remember(cloneArrayBuffer(value));
+    // Shared memory stays shared. A realm can't make a second handle to the
+    // same memory in JS, so the clone IS the original here.
+    if (isSharedArrayBuffer(value)) return remember(value);
+
+    if (isDataView(value) || typedArrayName(value)) {
+      if (isDetached(value.buffer)) throw dataCloneError("An ArrayBuffer is detached and could not be cloned.");
+      const buffer = clone(value.buffer); // shared with every other view of it
+      const copy = isDataView(value)
+        ? new DataView(buffer, value.byteOffset, value.byteLength)
+        : new globalThis[typedArrayName(value)](buffer, value.byteOffset, value.length);
+      return remember(copy);
+    }
+
+    if (isMap(value)) {
+      const copy = remember(new Map());
+      const entries = [...Map.prototype.entries.call(value)]; // snapshot first
+      entries.forEach(([k, v]) => copy.set(clone(k), clone(v)));
+      return copy;
+    }
+    if (isSet(value)) {
+      const copy = remember(new Set());
+      const values = [...Set.prototype.values.call(value)];
+      values.forEach((v) => copy.add(clone(v)));
+      return copy;
+    }
+
+    if (isError(value)) {
+      const Ctor = ERROR_TYPES[value.name] || Error;
+      const message = Object.getOwnPropertyDescriptor(value, "message");
+      const copy = remember(message && "value" in message ? new Ctor(String(message.value)) : new Ctor());
+      const stack = value.stack;
+      Object.defineProperty(copy, "stack", {
+        value: typeof stack === "string" ? stack : undefined,
+        writable: true,
+        configurable: true,
+      });
+      if (Object.prototype.hasOwnProperty.call(value, "cause")) {
+        Object.defineProperty(copy, "cause", { value: clone(value.cause), writable: true, configurable: true });
+      }
+      return copy;
+    }
 
-  // Array or plain Object
-  const cloned = Array.isArray(obj) ? [] : Object.create(Object.getPrototypeOf(obj));
-  seen.set(obj, cloned); // store BEFORE recursing to handle circular
+    if (isUncloneable(value)) throw dataCloneError(`${describe(value)} could not be cloned.`);
 
-  for (const key of Reflect.ownKeys(obj)) {
-    const descriptor = Object.getOwnPropertyDescriptor(obj, key);
-    if (descriptor.value !== undefined) {
-      cloned[key] = deepClone(descriptor.value, seen);
-    } else {
-      Object.defineProperty(cloned, key, descriptor);
+    // Arrays and ordinary objects: own enumerable string keys, read once
+    // (getters run), defined as data properties - never assigned, so a
+    // "__proto__" key stays a key and can't pollute anything
+    const copy = remember(Array.isArray(value) ? new Array(value.length) : {});
+    for (const key of Object.keys(value)) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) continue; // deleted by an earlier getter
+      Object.defineProperty(copy, key, {
+        value: clone(value[key]),
+        writable: true,
+        enumerable: true,
+        configurable: true,
+      });
     }
+    return copy;
   }
 
-  return cloned;
+  const result = clone(value);
+  transferList.forEach(detach);
+  return result;
 }
 
+module.exports = { deepClone, CLONE };
+
 // ===================== TEST CASES =====================
 
-console.log("=== Deep Clone Machine Coding ===\n");
-
-// A: Primitives
-console.log(`A: number  = ${deepClone(42)}`);
-console.log(`A: string  = ${deepClone("hello")}`);
-console.log(`A: boolean = ${deepClone(true)}`);
-console.log(`A: null    = ${deepClone(null)}`);
-console.log(`A: undef   = ${deepClone(undefined)}`);
-
-// B: Plain object — verify independence
-const origB = { a: 1, b: { c: 2 } };
-const cloneB = deepClone(origB);
-cloneB.b.c = 999;
-console.log(`B: original.b.c = ${origB.b.c} (should be 2)`);
-console.log(`B: clone.b.c    = ${cloneB.b.c} (should be 999)`);
-
-// C: Array with nested
-const origC = [1, [2, [3]]];
-const cloneC = deepClone(origC);
-cloneC[1][1][0] = 999;
-console.log(`C: original[1][1][0] = ${origC[1][1][0]} (should be 3)`);
-console.log(`C: clone[1][1][0]    = ${cloneC[1][1][0]} (should be 999)`);
-
-// D: Date
-const origD = new Date("2024-01-15");
-const cloneD = deepClone(origD);
-console.log(`D: same time?   = ${origD.getTime() === cloneD.getTime()}`);
-console.log(`D: same ref?    = ${origD === cloneD} (should be false)`);
-
-// E: RegExp
-const origE = /hello/gi;
-const cloneE = deepClone(origE);
-console.log(`E: source match = ${origE.source === cloneE.source}`);
-console.log(`E: flags match  = ${origE.flags === cloneE.flags}`);
-console.log(`E: same ref?    = ${origE === cloneE} (should be false)`);
-
-// F: Map
-const origF = new Map([
-  ["x", { deep: true }],
-  ["y", [1, 2]],
-]);
-const cloneF = deepClone(origF);
-cloneF.get("x").deep = false;
-console.log(`F: orig Map x.deep = ${origF.get("x").deep} (should be true)`);
-console.log(`F: clone Map x.deep = ${cloneF.get("x").deep} (should be false)`);
-
-// G: Set
-const innerG = { val: 1 };
-const origG = new Set([innerG, "hello", 42]);
-const cloneG = deepClone(origG);
-console.log(`G: same size = ${origG.size === cloneG.size}`);
-console.log(`G: same ref? = ${origG === cloneG} (should be false)`);
-// inner object should be different ref
-const clonedInner = [...cloneG][0];
-clonedInner.val = 999;
-console.log(`G: orig inner.val = ${innerG.val} (should be 1)`);
-
-// H: Circular reference
-const origH = { name: "root" };
-origH.self = origH;
-origH.nested = { parent: origH };
-const cloneH = deepClone(origH);
-console.log(`H: clone.self === clone?          = ${cloneH.self === cloneH} (should be true)`);
-console.log(`H: clone.nested.parent === clone? = ${cloneH.nested.parent === cloneH} (should be true)`);
-console.log(`H: clone !== original?            = ${cloneH !== origH} (should be true)`);
-
-// I: Mixed complex object
-const origI = {
-  num: 1,
-  str: "hi",
-  arr: [1, { a: 2 }],
-  date: new Date(),
-  regex: /test/i,
-  map: new Map([["k", "v"]]),
-  set: new Set([1, 2]),
-  nested: { deep: { deeper: true } },
-};
-const cloneI = deepClone(origI);
-cloneI.nested.deep.deeper = false;
-cloneI.arr[1].a = 999;
-console.log(`I: orig nested = ${origI.nested.deep.deeper} (should be true)`);
-console.log(`I: orig arr[1].a = ${origI.arr[1].a} (should be 2)`);
-console.log(`I: clone is independent = true`);
-
-// J: Symbol keys
-const sym = Symbol("secret");
-const origJ = { [sym]: "hidden", visible: "shown" };
-const cloneJ = deepClone(origJ);
-console.log(`J: symbol key preserved = ${cloneJ[sym]} (should be hidden)`);
-
-console.log("\n=== All tests complete ===");
+if (require.main === module) {
+  console.log("=== Deep Clone Machine Coding ===\n");
+
+  // A: Primitives
+  console.log(`A: number  = ${deepClone(42)}`);
+  console.log(`A: string  = ${deepClone("hello")}`);
+  console.log(`A: boolean = ${deepClone(true)}`);
+  console.log(`A: null    = ${deepClone(null)}`);
+  console.log(`A: undef   = ${deepClone(undefined)}`);
+
+  // B: Plain object — verify independence
+  const origB = { a: 1, b: { c: 2 } };
+  const cloneB = deepClone(origB);
+  cloneB.b.c = 999;
+  console.log(`B: original.b.c = ${origB.b.c} (should be 2)`);
+  console.log(`B: clone.b.c    = ${cloneB.b.c} (should be 999)`);
+
+  // C: Array with nested
+  const origC = [1, [2, [3]]];
+  const cloneC = deepClone(origC);
+  cloneC[1][1][0] = 999;
+  console.log(`C: original[1][1][0] = ${origC[1][1][0]} (should be 3)`);
+  console.log(`C: clone[1][1][0]    = ${cloneC[1][1][0]} (should be 999)`);
+
+  // D: Date
+  const origD = new Date("2024-01-15");
+  const cloneD = deepClone(origD);
+  console.log(`D: same time?   = ${origD.getTime() === cloneD.getTime()}`);
+  console.log(`D: same ref?    = ${origD === cloneD} (should be false)`);
+
+  // E: RegExp
+  const origE = /hello/gi;
+  const cloneE = deepClone(origE);
+  console.log(`E: source match = ${origE.source === cloneE.source}`);
+  console.log(`E: flags match  = ${origE.flags === cloneE.flags}`);
+  console.log(`E: same ref?    = ${origE === cloneE} (should be false)`);
+
+  // F: Map
+  const origF = new Map([
+    ["x", { deep: true }],
+    ["y", [1, 2]],
+  ]);
+  const cloneF = deepClone(origF);
+  cloneF.get("x").deep = false;
+  console.log(`F: orig Map x.deep = ${origF.get("x").deep} (should be true)`);
+  console.log(`F: clone Map x.deep = ${cloneF.get("x").deep} (should be false)`);
+
+  // G: Set
+  const innerG = { val: 1 };
+  const origG = new Set([innerG, "hello", 42]);
+  const cloneG = deepClone(origG);
+  console.log(`G: same size = ${origG.size === cloneG.size}`);
+  console.log(`G: same ref? = ${origG === cloneG} (should be false)`);
+  // inner object should be different ref
+  const clonedInner = [...cloneG][0];
+  clonedInner.val = 999;
+  console.log(`G: orig inner.val = ${innerG.val} (should be 1)`);
+
+  // H: Circular reference
+  const origH = { name: "root" };
+  origH.self = origH;
+  origH.nested = { parent: origH };
+  const cloneH = deepClone(origH);
+  console.log(`H: clone.self === clone?          = ${cloneH.self === cloneH} (should be true)`);
+  console.log(`H: clone.nested.parent === clone? = ${cloneH.nested.parent === cloneH} (should be true)`);
+  console.log(`H: clone !== original?            = ${cloneH !== origH} (should be true)`);
+
+  // I: Mixed complex object
+  const origI = {
+    num: 1,
+    str: "hi",
+    arr: [1, { a: 2 }],
+    date: new Date(),
+    regex: /test/i,
+    map: new Map([["k", "v"]]),
+    set: new Set([1, 2]),
+    nested: { deep: { deeper: true } },
+  };
+  const cloneI = deepClone(origI);
+  cloneI.nested.deep.deeper = false;
+  cloneI.arr[1].a = 999;
+  console.log(`I: orig nested = ${origI.nested.deep.deeper} (should be true)`);
+  console.log(`I: orig arr[1].a = ${origI.arr[1].a} (should be 2)`);
+  console.log(`I: clone is independent = true`);
+
+  // J: Symbol keys — dropped, exactly like structuredClone
+  const sym = Symbol("secret");
+  const origJ = { [sym]: "hidden", visible: "shown" };
+  const cloneJ = deepClone(origJ);
+  console.log(`J: symbol key = ${cloneJ[sym]}, visible = ${cloneJ.visible} (should be undefined, shown)`);
+
+  // K: Typed arrays and DataView over ONE buffer still share ONE buffer
+  const bufK = new ArrayBuffer(8);
+  const origK = { bytes: new Uint8Array(bufK, 2, 4), view: new DataView(bufK), floats: new Float32Array([1.5]) };
+  const cloneK = deepClone(origK);
+  cloneK.view.setUint8(2, 255);
+  console.log(`K: shared buffer? = ${cloneK.bytes.buffer === cloneK.view.buffer} (should be true)`);
+  console.log(`K: bytes[0] via view = ${cloneK.bytes[0]}, original = ${origK.bytes[0]} (should be 255, 0)`);
+  console.log(`K: offset/length = ${cloneK.bytes.byteOffset}/${cloneK.bytes.length}, floats = ${cloneK.floats[0]}`);
+  // Expected: 2/4, floats = 1.5
+
+  // L: Errors — type by name, message/stack/cause kept, other props dropped
+  class HttpError extends TypeError {
+    constructor(message, status) {
+      super(message, { cause: { status } });
+      this.status = status;
+    }
+  }
+  const cloneL = deepClone(new HttpError("Not Found", 404));
+  console.log(`L: ${cloneL.constructor.name}: ${cloneL.message}, cause.status = ${cloneL.cause.status}, status = ${cloneL.status}`);
+  // Expected: TypeError: Not Found, cause.status = 404, status = undefined
+
+  // M: Wrappers, sparse arrays, getters, class instances
+  const origM = [new Number(7), Object(10n), , new Boolean(false)];
+  origM.tag = "extra";
+  const cloneM = deepClone(origM);
+  console.log(`M: ${typeof cloneM[0]} ${cloneM[0] + 0}, ${typeof cloneM[1]} ${cloneM[1].valueOf()}n, hole kept = ${!(2 in cloneM)}, tag = ${cloneM.tag}`);
+  // Expected: object 7, object 10n, hole kept = true, tag = extra
+  const withGetter = { get now() { return "computed"; } };
+  console.log(`M: getter → ${JSON.stringify(Object.getOwnPropertyDescriptor(deepClone(withGetter), "now"))}`);
+  // Expected: {"value":"computed","writable":true,"enumerable":true,"configurable":true}
+  class Point { constructor(x) { this.x = x; } }
+  console.log(`M: class instance → ${Object.getPrototypeOf(deepClone(new Point(1))) === Object.prototype ? "plain object" : "Point"}`);
+  // Expected: plain object
+
+  // N: DataCloneError for functions, symbols, promises, weak collections
+  [() => 1, Symbol("s"), Promise.resolve(), new WeakMap(), { nested: { fn() {} } }].forEach((bad) => {
+    try {
+      deepClone(bad);
+    } catch (err) {
+      console.log(`N: ${err.name} (${err.code}) — ${err.message}`);
+    }
+  });
+  // Expected: DataCloneError (25) — "() => 1 could not be cloned." ... "fn() {} could not be cloned."
+
+  // O: Transfer — the clone gets the bytes, the original is detached
+  const bufO = new Uint8Array([1, 2, 3]).buffer;
+  const cloneO = deepClone({ data: bufO }, { transfer: [bufO] });
+  console.log(`O: clone bytes = ${new Uint8Array(cloneO.data)}, original byteLength = ${bufO.byteLength}`);
+  // Expected: clone bytes = 1,2,3, original byteLength = 0
+  try {
+    deepClone(bufO);
+  } catch (err) {
+    console.log(`O: ${err.name} — ${err.message}`);
+    // DataCloneError — An ArrayBuffer is detached and could not be cloned.
+  }
+
+  // P: Opt-in hook — a class keeps its prototype and private state
+  class Money {
+    #cents;
+    constructor(cents, currency) {
+      this.#cents = cents;
+      this.currency = currency;
+    }
+    get amount() {
+      return `${(this.#cents / 100).toFixed(2)} ${this.currency.code}`;
+    }
+    [Symbol.for("clone")](clone) {
+      return new Money(this.#cents, clone(this.currency));
+    }
+  }
+  const eur = { code: "EUR" };
+  const cloneP = deepClone({ price: new Money(1999, eur), fee: new Money(50, eur) });
+  console.log(`P: ${cloneP.price instanceof Money}, ${cloneP.price.amount}, shared currency = ${cloneP.price.currency === cloneP.fee.currency}`);
+  // Expected: true, 19.99 EUR, shared currency = true
+
+  // Q: Hook + cycle — remember(copy) before cloning fields that point back
+  class TreeNode {
+    constructor(name, parent = null) {
+      this.name = name;
+      this.parent = parent;
+      this.children = [];
+    }
+    [Symbol.for("clone")](clone, remember) {
+      const copy = remember(new TreeNode(this.name));
+      copy.parent = clone(this.parent);
+      copy.children = clone(this.children);
+      return copy;
+    }
+  }
+  const rootQ = new TreeNode("root");
+  rootQ.children.push(new TreeNode("leaf", rootQ));
+  const cloneQ = deepClone(rootQ);
+  console.log(`Q: ${cloneQ.children[0] instanceof TreeNode}, leaf.parent === root? ${cloneQ.children[0].parent === cloneQ}`);
+  // Expected: true, leaf.parent === root? true
+
+  // R: "__proto__" from JSON stays an own key — no prototype pollution
+  const cloneR = deepClone(JSON.parse('{"__proto__": {"polluted": true}}'));
+  console.log(`R: own key = ${Object.keys(cloneR)}, polluted = ${({}).polluted}`);
+  // Expected: own key = __proto__, polluted = undefined
+
+  console.log("\nDifferential test against structuredClone: node docs/javascript/29-machine-coding/04-deep-clone-conformance.js");
+  console.log("\n=== All tests complete ===");
+}
 
 /**
  * FOLLOW-UP QUESTIONS:
  * 1. How does structuredClone() differ from a manual deep clone?
+ *    -> it IS the spec'd deep clone: it drops prototypes, symbol keys and
+ *       accessors, and throws on functions. This file reproduces it.
  * 2. What types CANNOT be deep cloned (functions, WeakMap, DOM nodes)?
+ *    -> anything whose state lives outside its properties: functions
+ *       (closures), Promise, WeakMap/WeakSet/WeakRef, and DOM nodes.
  * 3. How would you handle cloning class instances with methods?
+ *    -> opt-in hook: the class knows its invariants and private fields
+ *       (see P and Q). structuredClone itself just gives a plain object.
  * 4. What is the performance cost of deep clone on large objects?
  * 5. When would JSON.parse(JSON.stringify()) be sufficient?
+ *    -> only for pure JSON data: it loses undefined, Date, Map, Set,
+ *       BigInt (throws), holes, and it can't handle cycles.
  */
 
 /**
@@ -204,8 +490,8 @@ console.log("\n=== All tests complete ===");
  * ║  detect circular refs — store clone BEFORE recursing into   ║
  * ║  children. Handle Date (new Date(t)), RegExp (new RegExp),  ║
  * ║  Map/Set (iterate & clone entries), Array/Object (recurse   ║
- * ║  own keys). Primitives return as-is. Reflect.ownKeys gets   ║
- * ║  symbol keys too.                                           ║
+ * ║  own keys). Primitives return as-is. structuredClone skips  ║
+ * ║  symbol keys and throws DataCloneError on functions.        ║
  * ╚══════════════════════════════════════════════════════════════╝
  */
 
@@ -9,6 +9,9 @@
  * ║ flattenObject — recursively join nested keys with dot notation           ║
  * ║                                                                          ║
  * ║ Both use RECURSION with a depth/prefix accumulator.                      ║
+ * ║                                                                          ║
+ * ║ Real tooling: a path is a LIST of segments ('a.b[0].c' → a,b,0,c), not   ║
+ * ║ a dotted string — keys may contain dots, and 0 must come back as [].     ║
  * ╚════════════════════════════════════════════════════════════════════════════╝
  *
  * ┌────────────────────────────────────────────────────────────────────────────┐
@@ -37,6 +40,11 @@
  * PROBLEM:
  *   1. Implement flattenArray(arr, depth) — default depth = Infinity
  *   2. Implement flattenObject(obj, prefix) — returns dot-notation keys
+ *   3. Path library: parsePath/stringifyPath, get/set/has/unset, and a
+ *      flatten/unflatten that round-trips arrays, empty containers and
+ *      keys with dots in them
+ *   4. diff(a, b) → RFC 6902 JSON Patch; applyPatch(doc, patch) with test
+ *      ops, all-or-nothing
  *
  * RUN: node docs/javascript/29-machine-coding/05-flatten-array-object.js
  */
@@ -91,59 +99,61 @@ function flattenObject(obj, prefix, result) {
 // TEST CASES — flattenArray
 // ─────────────────────────────────────────────
 
-console.log('=== flattenArray Tests ===');
+if (require.main === module) {
+  console.log('=== flattenArray Tests ===');
 
-console.log('A:', JSON.stringify(flattenArray([1, [2, [3, [4]]]], 1)));
-// [1,2,[3,[4]]]
+  console.log('A:', JSON.stringify(flattenArray([1, [2, [3, [4]]]], 1)));
+  // [1,2,[3,[4]]]
 
-console.log('B:', JSON.stringify(flattenArray([1, [2, [3, [4]]]], 2)));
-// [1,2,3,[4]]
+  console.log('B:', JSON.stringify(flattenArray([1, [2, [3, [4]]]], 2)));
+  // [1,2,3,[4]]
 
-console.log('C:', JSON.stringify(flattenArray([1, [2, [3, [4]]]])));
-// [1,2,3,4]  (Infinity depth)
+  console.log('C:', JSON.stringify(flattenArray([1, [2, [3, [4]]]])));
+  // [1,2,3,4]  (Infinity depth)
 
-console.log('D:', JSON.stringify(flattenArray([1, [], [2, []], [3]])));
-// [1,2,3]
+  console.log('D:', JSON.stringify(flattenArray([1, [], [2, []], [3]])));
+  // [1,2,3]
 
-console.log('E:', JSON.stringify(flattenArray([[[[[[7]]]]]])));
-// [7]
+  console.log('E:', JSON.stringify(flattenArray([[[[[[7]]]]]])));
+  // [7]
 
-console.log('F:', JSON.stringify(flattenArray([1, [2, 3], [4, [5, [6]]]], 0)));
-// [1,[2,3],[4,[5,[6]]]]  (depth 0 = no change)
+  console.log('F:', JSON.stringify(flattenArray([1, [2, 3], [4, [5, [6]]]], 0)));
+  // [1,[2,3],[4,[5,[6]]]]  (depth 0 = no change)
 
-console.log('G:', JSON.stringify(flattenArray([])));
-// []
+  console.log('G:', JSON.stringify(flattenArray([])));
+  // []
 
-// ─────────────────────────────────────────────
-// TEST CASES — flattenObject
-// ─────────────────────────────────────────────
+  // ─────────────────────────────────────────────
+  // TEST CASES — flattenObject
+  // ─────────────────────────────────────────────
 
-console.log('\n=== flattenObject Tests ===');
+  console.log('\n=== flattenObject Tests ===');
 
-console.log('H:', JSON.stringify(flattenObject({ a: 1, b: 2 })));
-// {"a":1,"b":2}
+  console.log('H:', JSON.stringify(flattenObject({ a: 1, b: 2 })));
+  // {"a":1,"b":2}
 
-console.log('I:', JSON.stringify(flattenObject({ a: { b: { c: 1 } } })));
-// {"a.b.c":1}
+  console.log('I:', JSON.stringify(flattenObject({ a: { b: { c: 1 } } })));
+  // {"a.b.c":1}
 
-console.log('J:', JSON.stringify(flattenObject({
-  name: 'Surya',
-  address: { city: 'Delhi', pin: { code: 110001 } },
-  tags: [1, 2, 3]
-})));
-// {"name":"Surya","address.city":"Delhi","address.pin.code":110001,"tags":[1,2,3]}
+  console.log('J:', JSON.stringify(flattenObject({
+    name: 'Surya',
+    address: { city: 'Delhi', pin: { code: 110001 } },
+    tags: [1, 2, 3]
+  })));
+  // {"name":"Surya","address.city":"Delhi","address.pin.code":110001,"tags":[1,2,3]}
 
-console.log('K:', JSON.stringify(flattenObject({
-  a: { b: 1, c: { d: 2, e: { f: 3 } } },
-  g: 4
-})));
-// {"a.b":1,"a.c.d":2,"a.c.e.f":3,"g":4}
+  console.log('K:', JSON.stringify(flattenObject({
+    a: { b: 1, c: { d: 2, e: { f: 3 } } },
+    g: 4
+  })));
+  // {"a.b":1,"a.c.d":2,"a.c.e.f":3,"g":4}
 
-console.log('L:', JSON.stringify(flattenObject({})));
-// {}
+  console.log('L:', JSON.stringify(flattenObject({})));
+  // {}
 
-console.log('M:', JSON.stringify(flattenObject({ x: null, y: { z: undefined } })));
-// {"x":null,"y.z":undefined}  — note: undefined omitted in JSON.stringify
+  console.log('M:', JSON.stringify(flattenObject({ x: null, y: { z: undefined } })));
+  // {"x":null,"y.z":undefined}  — note: undefined omitted in JSON.stringify
+}
 
 // ─────────────────────────────────────────────
 // EDGE CASE: unflattenObject (bonus)
@@ -163,19 +173,602 @@ function unflattenObject(obj) {
   return result;
 }
 
-console.log('\n=== Bonus: unflattenObject ===');
-console.log('N:', JSON.stringify(unflattenObject({ 'a.b.c': 1, 'a.b.d': 2, 'e': 3 })));
-// {"a":{"b":{"c":1,"d":2}},"e":3}
+if (require.main === module) {
+  console.log('\n=== Bonus: unflattenObject ===');
+  console.log('N:', JSON.stringify(unflattenObject({ 'a.b.c': 1, 'a.b.d': 2, 'e': 3 })));
+  // {"a":{"b":{"c":1,"d":2}},"e":3}
+}
+
+// ─────────────────────────────────────────────
+// PART 3: Path library — a.b[0].c
+// ─────────────────────────────────────────────
+//
+// flattenObject/unflattenObject above are the interview version: a key
+// with a dot in it ("v1.2") splits in two, and unflatten turns
+// { 'tags.0': 'x' } into { tags: { 0: 'x' } }. A path is a list of
+// SEGMENTS instead:
+//
+//   'a.b[0].c'        →  ['a', 'b', 0, 'c']     number = array index
+//   'v1\\.2.notes'    →  ['v1.2', 'notes']      \. \[ \\ escape a key
+//   'x[""]'           →  ['x', '']              [""] = JSON-quoted key
+//   ''                →  []                     the root itself
+//
+// Every function also accepts the segment array directly.
+
+function parsePath(path) {
+  if (Array.isArray(path)) return path.slice();
+  if (typeof path !== 'string') throw new TypeError('Path must be a string or an array of segments');
+
+  var segments = [];
+  var i = 0;
+  var expectKey = true; // at the start, or right after a '.'
+
+  while (i < path.length) {
+    var ch = path[i];
+    if (ch === '[') {
+      if (expectKey && i > 0) throw new SyntaxError('"[" right after "." at ' + i + ' in "' + path + '"');
+      var close = path.indexOf(']', i);
+      if (path[i + 1] === '"') {
+        // ["any key"] — find the closing quote, skipping escaped ones
+        var end = i + 2;
+        while (end < path.length && path[end] !== '"') end += path[end] === '\\' ? 2 : 1;
+        if (path[end + 1] !== ']') throw new SyntaxError('Unterminated ["key"] at ' + i + ' in "' + path + '"');
+        segments.push(JSON.parse(path.slice(i + 1, end + 1)));
+        i = end + 2;
+      } else {
+        var digits = close === -1 ? '' : path.slice(i + 1, close);
+        if (!/^(0|[1-9]\d*)$/.test(digits)) throw new SyntaxError('Bad array index at ' + i + ' in "' + path + '"');
+        segments.push(Number(digits));
+        i = close + 1;
+      }
+      expectKey = false;
+    } else if (ch === '.' && !expectKey) {
+      i++;
+      expectKey = true;
+    } else {
+      if (!expectKey) throw new SyntaxError('Expected "." or "[" at ' + i + ' in "' + path + '"');
+      var key = '';
+      while (i < path.length && path[i] !== '.' && path[i] !== '[') {
+        if (path[i] === '\\') {
+          if (i + 1 >= path.length) throw new SyntaxError('Dangling \\ at the end of "' + path + '"');
+          i++;
+        }
+        key += path[i++];
+      }
+      if (!key) throw new SyntaxError('Empty key at ' + i + ' in "' + path + '" (write it as [""])');
+      segments.push(key);
+      expectKey = false;
+    }
+  }
+  if (expectKey && path.length) throw new SyntaxError('Path ends with "." in "' + path + '"');
+  return segments;
+}
+
+function stringifyPath(segments) {
+  var out = '';
+  for (var i = 0; i < segments.length; i++) {
+    var segment = segments[i];
+    if (typeof segment === 'number') {
+      out += '[' + segment + ']';
+    } else if (segment === '') {
+      out += '[""]';
+    } else {
+      out += (out ? '.' : '') + String(segment).replace(/[.[\\]/g, '\\$&');
+    }
+  }
+  return out;
+}
+
+var hasOwn = function(obj, key) { return Object.prototype.hasOwnProperty.call(obj, key); };
+var isContainer = function(value) { return typeof value === 'object' && value !== null; };
+
+// Only OWN properties are followed, so 'constructor.prototype.x' or
+// '__proto__.x' can never reach Object.prototype
+function get(obj, path, defaultValue) {
+  var segments = parsePath(path);
+  var current = obj;
+  for (var i = 0; i < segments.length; i++) {
+    if (!isContainer(current) || !hasOwn(current, segments[i])) return defaultValue;
+    current = current[segments[i]];
+  }
+  return current;
+}
+
+function has(obj, path) {
+  var missing = {};
+  return get(obj, path, missing) !== missing;
+}
+
+// Always an own data property, even for '__proto__'
+function defineKey(target, key, value) {
+  Object.defineProperty(target, key, { value: value, writable: true, enumerable: true, configurable: true });
+}
+
+// Creates missing containers: [] when the next segment is a number, {}
+// otherwise. Refuses to write through a primitive instead of clobbering it.
+function set(obj, path, value) {
+  var segments = parsePath(path);
+  if (!segments.length) throw new TypeError('set() needs a non-empty path');
+  if (!isContainer(obj)) throw new TypeError('set() needs an object or array');
+  var current = obj;
+  for (var i = 0; i < segments.length - 1; i++) {
+    var key = segments[i];
+    if (!hasOwn(current, key) || current[key] === undefined) {
+      defineKey(current, key, typeof segments[i + 1] === 'number' ? [] : {});
+    } else if (!isContainer(current[key])) {
+      throw new TypeError('Cannot set "' + stringifyPath(segments) + '": "' +
+        stringifyPath(segments.slice(0, i + 1)) + '" is ' + (current[key] === null ? 'null' : typeof current[key]));
+    }
+    current = current[key];
+  }
+  defineKey(current, segments[segments.length - 1], value);
+  return obj;
+}
+
+// Array elements are spliced out (no holes); returns whether anything went
+function unset(obj, path) {
+  var segments = parsePath(path);
+  if (!segments.length) return false;
+  var parent = get(obj, segments.slice(0, -1));
+  var key = segments[segments.length - 1];
+  if (!isContainer(parent) || !hasOwn(parent, key)) return false;
+  if (Array.isArray(parent) && typeof key === 'number') parent.splice(key, 1);
+  else delete parent[key];
+  return true;
+}
+
+var isPlainObject = function(value) {
+  if (!isContainer(value)) return false;
+  var proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+// Leaves are primitives, EMPTY arrays/objects and anything that isn't a
+// plain object or array (Date, Map ...), so unflatten(flatten(x)) deep-
+// equals x. An empty root has no leaf to hang on, so it becomes { '': x }.
+function flatten(obj) {
+  var result = {};
+  var seen = [];
+
+  function walk(value, segments) {
+    var recurse = Array.isArray(value) ? value.length > 0 : isPlainObject(value) && Object.keys(value).length > 0;
+    if (!recurse) {
+      defineKey(result, stringifyPath(segments), value);
+      return;
+    }
+    if (seen.indexOf(value) !== -1) throw new TypeError('Cannot flatten a circular structure at "' + stringifyPath(segments) + '"');
+    seen.push(value);
+    if (Array.isArray(value)) {
+      for (var i = 0; i < value.length; i++) walk(value[i], segments.concat(i));
+    } else {
+      Object.keys(value).forEach(function(key) { walk(value[key], segments.concat(key)); });
+    }
+    seen.pop();
+  }
+
+  walk(obj, []);
+  return result;
+}
+
+function unflatten(flat) {
+  var paths = Object.keys(flat);
+  if (hasOwn(flat, '')) {
+    if (paths.length > 1) throw new TypeError('A root value ("") can\'t be combined with other paths');
+    return flat[''];
+  }
+  var first = paths.length ? parsePath(paths[0]) : [];
+  var root = typeof first[0] === 'number' ? [] : {};
+  paths.forEach(function(path) { set(root, path, flat[path]); });
+  return root;
+}
+
+// ─────────────────────────────────────────────
+// PART 4: diff / applyPatch — RFC 6902 JSON Patch
+// ─────────────────────────────────────────────
+//
+//   diff({ a: 1, tags: ['x'] }, { a: 2, tags: ['x', 'y'] })
+//   → [ { op: 'replace', path: '/a', value: 2 },
+//       { op: 'add', path: '/tags/1', value: 'y' } ]
+//
+// Paths in a patch are JSON Pointers (RFC 6901): '/a/tags/0', with '~1'
+// for '/' and '~0' for '~' inside a key. toPointer/fromPointer convert.
+
+class JsonPatchError extends Error {
+  constructor(message, code, index, operation) {
+    super(index === undefined ? message : 'Operation ' + index + ' (' + JSON.stringify(operation) + '): ' + message);
+    this.name = 'JsonPatchError';
+    this.code = code; // INVALID_OPERATION | INVALID_POINTER | PATH_NOT_FOUND | INDEX_OUT_OF_BOUNDS | TEST_FAILED
+    this.index = index;
+    this.operation = operation;
+  }
+}
+
+function toPointer(path) {
+  return parsePath(path).map(function(segment) {
+    return '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+  }).join('');
+}
+
+// Pointer segments are always strings; whether '0' is an index depends on
+// the container it is applied to
+function fromPointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || pointer[0] !== '/') {
+    throw new JsonPatchError('JSON Pointer must be "" or start with "/": ' + JSON.stringify(pointer), 'INVALID_POINTER');
+  }
+  return pointer.slice(1).split('/').map(function(segment) {
+    if (/~[^01]|~$/.test(segment)) throw new JsonPatchError('Bad "~" escape in ' + JSON.stringify(pointer), 'INVALID_POINTER');
+    return segment.replace(/~1/g, '/').replace(/~0/g, '~');
+  });
+}
+
+// JSON equality: key order doesn't matter, array order does
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (!isContainer(a) || !isContainer(b) || Array.isArray(a) !== Array.isArray(b)) return false;
+  var keysA = Object.keys(a);
+  var keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every(function(key) { return hasOwn(b, key) && deepEqual(a[key], b[key]); });
+}
+
+function copyJSON(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function diff(a, b, pointer, ops) {
+  pointer = pointer || '';
+  ops = ops || [];
+  if (deepEqual(a, b)) return ops;
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    diffArrays(a, b, pointer, ops);
+  } else if (isPlainObject(a) && isPlainObject(b)) {
+    Object.keys(a).forEach(function(key) {
+      var child = pointer + toPointer([key]);
+      if (!hasOwn(b, key)) ops.push({ op: 'remove', path: child });
+      else diff(a[key], b[key], child, ops);
+    });
+    Object.keys(b).forEach(function(key) {
+      if (!hasOwn(a, key)) ops.push({ op: 'add', path: pointer + toPointer([key]), value: copyJSON(b[key]) });
+    });
+  } else {
+    ops.push({ op: 'replace', path: pointer, value: copyJSON(b) });
+  }
+  return ops;
+}
+
+// Longest common subsequence on deep equality, then walk it: elements only
+// in `a` are removed, only in `b` added. A removal followed by an addition
+// at the same spot is one change to that element, diffed recursively.
+function diffArrays(a, b, pointer, ops) {
+  var n = a.length;
+  var m = b.length;
+  var lcs = [];
+  for (var i = n; i >= 0; i--) {
+    lcs[i] = [];
+    for (var j = m; j >= 0; j--) {
+      if (i === n || j === m) lcs[i][j] = 0;
+      else if (deepEqual(a[i], b[j])) lcs[i][j] = lcs[i + 1][j + 1] + 1;
+      else lcs[i][j] = Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  var x = 0;
+  var y = 0;
+  var index = 0; // position in the array as the patch has left it so far
+  while (x < n || y < m) {
+    if (x < n && y < m && deepEqual(a[x], b[y])) {
+      x++;
+      y++;
+      index++;
+    } else if (x < n && y < m && lcs[x + 1][y + 1] === lcs[x][y]) {
+      // a[x] turned into b[y]
+      diff(a[x++], b[y++], pointer + '/' + index, ops);
+      index++;
+    } else if (y < m && (x === n || lcs[x][y + 1] >= lcs[x + 1][y])) {
+      ops.push({ op: 'add', path: pointer + '/' + index, value: copyJSON(b[y++]) });
+      index++;
+    } else {
+      ops.push({ op: 'remove', path: pointer + '/' + index });
+      x++;
+    }
+  }
+}
+
+function arrayIndex(array, segment, forAdd, error) {
+  if (forAdd && segment === '-') return array.length;
+  if (!/^(0|[1-9]\d*)$/.test(segment)) throw error('"' + segment + '" is not an array index', 'INVALID_POINTER');
+  var index = Number(segment);
+  if (index > array.length || (!forAdd && index === array.length)) {
+    throw error('Index ' + index + ' is out of bounds (length ' + array.length + ')', 'INDEX_OUT_OF_BOUNDS');
+  }
+  return index;
+}
+
+var OPERATIONS = {
+  add: ['path', 'value'],
+  remove: ['path'],
+  replace: ['path', 'value'],
+  move: ['from', 'path'],
+  copy: ['from', 'path'],
+  test: ['path', 'value'],
+};
+
+/**
+ * applyPatch(doc, patch) → new document. All or nothing: the patch runs on
+ * a copy and the first failing operation (including a `test` that doesn't
+ * match) throws a JsonPatchError, leaving `doc` untouched.
+ */
+function applyPatch(doc, patch) {
+  if (!Array.isArray(patch)) throw new JsonPatchError('A patch must be an array of operations', 'INVALID_OPERATION');
+  var root = { value: copyJSON(doc) }; // a box, so '' (the whole doc) is just another key
+
+  patch.forEach(function(operation, index) {
+    var error = function(message, code) { return new JsonPatchError(message, code, index, operation); };
+    if (!isPlainObject(operation) || !hasOwn(OPERATIONS, operation.op)) {
+      throw error('Unknown op ' + JSON.stringify(operation && operation.op), 'INVALID_OPERATION');
+    }
+    OPERATIONS[operation.op].forEach(function(member) {
+      if (!hasOwn(operation, member)) throw error('"' + operation.op + '" needs "' + member + '"', 'INVALID_OPERATION');
+      if (member !== 'value' && typeof operation[member] !== 'string') throw error('"' + member + '" must be a string', 'INVALID_POINTER');
+    });
+
+    // Resolve a pointer to { parent, key } inside the boxed document
+    function locate(pointer, forAdd) {
+      var segments;
+      try {
+        segments = fromPointer(pointer);
+      } catch (err) {
+        throw error(err.message, err.code);
+      }
+      var parent = root;
+      var key = 'value';
+      segments.forEach(function(segment, i) {
+        var container = parent[key];
+        if (!isContainer(container)) throw error('"' + pointer + '" does not exist', 'PATH_NOT_FOUND');
+        var last = i === segments.length - 1;
+        if (Array.isArray(container)) {
+          segment = arrayIndex(container, segment, forAdd && last, error);
+        } else if (!hasOwn(container, segment) && !(forAdd && last)) {
+          throw error('"' + pointer + '" does not exist', 'PATH_NOT_FOUND');
+        }
+        parent = container;
+        key = segment;
+      });
+      if (!forAdd && !hasOwn(parent, key)) throw error('"' + pointer + '" does not exist', 'PATH_NOT_FOUND');
+      return { parent: parent, key: key };
+    }
+
+    function add(pointer, value) {
+      var at = locate(pointer, true);
+      if (Array.isArray(at.parent)) at.parent.splice(at.key, 0, value);
+      else defineKey(at.parent, at.key, value);
+    }
+
+    function remove(pointer) {
+      var at = locate(pointer, false);
+      var value = at.parent[at.key];
+      if (Array.isArray(at.parent)) at.parent.splice(at.key, 1);
+      else delete at.parent[at.key];
+      return value;
+    }
+
+    switch (operation.op) {
+      case 'add':
+        add(operation.path, copyJSON(operation.value));
+        break;
+      case 'remove':
+        remove(operation.path);
+        break;
+      case 'replace':
+        var target = locate(operation.path, false);
+        target.parent[target.key] = copyJSON(operation.value);
+        break;
+      case 'move':
+        if (operation.path.indexOf(operation.from + '/') === 0) {
+          throw error('Cannot move "' + operation.from + '" into its own child "' + operation.path + '"', 'INVALID_OPERATION');
+        }
+        if (operation.from === operation.path) locate(operation.from, false); // must still exist
+        else add(operation.path, remove(operation.from));
+        break;
+      case 'copy':
+        var source = locate(operation.from, false);
+        add(operation.path, copyJSON(source.parent[source.key]));
+        break;
+      case 'test':
+        var tested = locate(operation.path, false);
+        if (!deepEqual(tested.parent[tested.key], operation.value)) {
+          throw error('Test failed: "' + operation.path + '" is ' + JSON.stringify(tested.parent[tested.key]) +
+            ', expected ' + JSON.stringify(operation.value), 'TEST_FAILED');
+        }
+        break;
+    }
+  });
+
+  return root.value;
+}
+
+module.exports = {
+  flattenArray,
+  flattenObject,
+  unflattenObject,
+  parsePath,
+  stringifyPath,
+  get,
+  set,
+  has,
+  unset,
+  flatten,
+  unflatten,
+  toPointer,
+  fromPointer,
+  diff,
+  applyPatch,
+  JsonPatchError,
+};
+
+// ─────────────────────────────────────────────
+// TEST CASES — paths
+// ─────────────────────────────────────────────
+
+if (require.main === module) {
+  console.log('\n=== Path library ===');
+
+  console.log('O:', JSON.stringify(parsePath('a.b[0].c')), JSON.stringify(parsePath('v1\\.2.notes[""][3]')));
+  // ["a","b",0,"c"] ["v1.2","notes","",3]
+  console.log('O:', stringifyPath(['servers', 'api.example.com', 'ports', 0, '[weird]']));
+  // servers.api\.example\.com.ports[0].\[weird]
+  ['a..b', 'a[x]', 'a[0]b', 'a.'].forEach(function(bad) {
+    try { parsePath(bad); } catch (err) { console.log('O: ' + err.name + ' — ' + err.message); }
+  });
+  // SyntaxError for each: empty key, bad index, missing ".", trailing "."
+
+  var config = { app: { name: 'demo' } };
+  set(config, 'app.servers[0].host', 'a.example.com');
+  set(config, 'app.servers[1].host', 'b.example.com');
+  set(config, 'app.flags["dark.mode"]', true);
+  console.log('P:', JSON.stringify(config));
+  // {"app":{"name":"demo","servers":[{"host":"a.example.com"},{"host":"b.example.com"}],"flags":{"dark.mode":true}}}
+  console.log('P:', get(config, 'app.servers[1].host'), get(config, 'app.nope.deeper', 'fallback'),
+    has(config, 'app.flags.dark\\.mode'), has(config, 'app.name.length'));
+  // b.example.com fallback true false  — strings aren't containers
+  console.log('P:', unset(config, 'app.servers[0]'), JSON.stringify(config.app.servers), unset(config, 'app.missing'));
+  // true [{"host":"b.example.com"}] false  — array elements are spliced out, no hole
+  try {
+    set(config, 'app.name.first', 'x');
+  } catch (err) {
+    console.log('P: ' + err.message);
+    // Cannot set "app.name.first": "app.name" is string
+  }
+  var target = {};
+  set(target, 'constructor.prototype.polluted', true);
+  set(target, '__proto__.polluted', true);
+  console.log('P: polluted =', ({}).polluted, '| own keys:', Object.keys(target));
+  // polluted = undefined | own keys: [ 'constructor', '__proto__' ]
+
+  console.log('\n=== flatten / unflatten round trip ===');
+  var original = {
+    'v1.2': { released: true },
+    tags: ['a', { nested: [1, 2] }],
+    empty: { obj: {}, arr: [] },
+    '': 'empty key',
+    when: new Date(0),
+  };
+  var flat = flatten(original);
+  console.log('Q:', Object.keys(flat).join('  '));
+  // v1\.2.released  tags[0]  tags[1].nested[0]  tags[1].nested[1]  empty.obj  empty.arr  [""]  when
+  var back = unflatten(flat);
+  console.log('Q: round trip =', JSON.stringify(back) === JSON.stringify(original),
+    '| arrays stay arrays =', Array.isArray(back.tags) && Array.isArray(back.tags[1].nested),
+    '| Date kept =', back.when === original.when);
+  // round trip = true | arrays stay arrays = true | Date kept = true
+  console.log('Q: old unflattenObject(flattenObject(...)) =', JSON.stringify(unflattenObject(flattenObject({ 'v1.2': 1 }))));
+  // {"v1":{"2":1}}  — the bug the path version fixes
+  console.log('Q: empty roots =', JSON.stringify(flatten([])), JSON.stringify(unflatten(flatten([]))), JSON.stringify(unflatten(flatten([[]]))));
+  // {"":[]} [] [[]]
+
+  // ─────────────────────────────────────────────
+  // TEST CASES — diff / applyPatch
+  // ─────────────────────────────────────────────
+
+  console.log('\n=== JSON Patch ===');
+  var before = { name: 'api', port: 80, tags: ['a', 'b', 'c'], 'a/b': { '~': 1 }, env: { DEBUG: '1' } };
+  var after = { name: 'api', port: 8080, tags: ['a', 'c', 'd'], 'a/b': { '~': 2 }, env: {} };
+  var patch = diff(before, after);
+  patch.forEach(function(op) { console.log('R:', JSON.stringify(op)); });
+  // {"op":"replace","path":"/port","value":8080}
+  // {"op":"remove","path":"/tags/1"}
+  // {"op":"add","path":"/tags/2","value":"d"}
+  // {"op":"replace","path":"/a~1b/~0","value":2}
+  // {"op":"remove","path":"/env/DEBUG"}
+  console.log('R: applyPatch(before, diff) equals after =', deepEqual(applyPatch(before, patch), after),
+    '| before untouched =', before.port === 80);
+  // true | before untouched = true
+
+  var users = [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob' }, { id: 3, name: 'Cy' }];
+  var edited = [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bobby' }, { id: 3, name: 'Cy' }];
+  console.log('S:', JSON.stringify(diff(users, edited)));
+  // [{"op":"replace","path":"/1/name","value":"Bobby"}]  — not a whole-element rewrite
+  console.log('S:', JSON.stringify(diff([1, 2, 3], [0, 1, 3, 4])));
+  // [{"op":"add","path":"/0","value":0},{"op":"remove","path":"/2"},{"op":"add","path":"/3","value":4}]
+
+  // RFC 6902 section 4 operations
+  var doc = { foo: ['bar', 'baz'], obj: { a: 1 } };
+  var result = applyPatch(doc, [
+    { op: 'test', path: '/foo/0', value: 'bar' },
+    { op: 'add', path: '/foo/-', value: 'qux' },
+    { op: 'move', from: '/obj/a', path: '/moved' },
+    { op: 'copy', from: '/foo', path: '/copy' },
+    { op: 'replace', path: '/obj', value: null },
+  ]);
+  console.log('T:', JSON.stringify(result));
+  // {"foo":["bar","baz","qux"],"obj":null,"moved":1,"copy":["bar","baz","qux"]}
+
+  [
+    [{ op: 'test', path: '/foo/1', value: 'nope' }],
+    [{ op: 'add', path: '/foo/9', value: 1 }],
+    [{ op: 'remove', path: '/missing' }],
+    [{ op: 'move', from: '/obj', path: '/obj/inside' }],
+    [{ op: 'add', path: 'no-slash', value: 1 }],
+    [{ op: 'replace', path: '/foo/0' }],
+    [{ op: 'add', path: '/ok', value: 1 }, { op: 'frobnicate', path: '/ok' }],
+  ].forEach(function(badPatch) {
+    try {
+      applyPatch(doc, badPatch);
+    } catch (err) {
+      console.log('U: ' + err.code + ' — ' + err.message);
+    }
+  });
+  // TEST_FAILED, INDEX_OUT_OF_BOUNDS, PATH_NOT_FOUND, INVALID_OPERATION,
+  // INVALID_POINTER, INVALID_OPERATION, INVALID_OPERATION (op 1)
+  console.log('U: doc untouched =', JSON.stringify(doc) === JSON.stringify({ foo: ['bar', 'baz'], obj: { a: 1 } }));
+  // true — a failing patch changes nothing
+
+  // V: property check — applyPatch(a, diff(a, b)) equals b for random JSON
+  var seed = 7;
+  var random = function() { seed = (seed * 16807) % 2147483647; return seed / 2147483647; };
+  var randomJSON = function(depth) {
+    var r = random();
+    if (depth === 0 || r < 0.3) return [null, true, 1, 'x', 2.5, ''][Math.floor(random() * 6)];
+    var size = Math.floor(random() * 4);
+    var out = r < 0.65 ? [] : {};
+    for (var i = 0; i < size; i++) {
+      if (Array.isArray(out)) out.push(randomJSON(depth - 1));
+      else out[['a', 'b', 'c/d', 'e~f', ''][Math.floor(random() * 5)]] = randomJSON(depth - 1);
+    }
+    return out;
+  };
+  var failures = 0;
+  for (var n = 0; n < 2000; n++) {
+    var from = randomJSON(4);
+    var to = randomJSON(4);
+    if (!deepEqual(applyPatch(from, diff(from, to)), to)) failures++;
+    if (!deepEqual(unflatten(flatten(from)), from)) failures++;
+  }
+  console.log('V: 2000 random pairs, failures =', failures);
+  // 0
+}
 
 /**
  * FOLLOW-UP QUESTIONS:
  *
  * 1. How does Array.prototype.flat(depth) differ from your implementation?
  * 2. How would you handle circular references in flattenObject?
+ *    - Keep the objects on the current path in a stack; meeting one again
+ *      is a cycle (flatten throws a TypeError).
  * 3. What is the time complexity of flattenArray with depth = Infinity?
  *    - O(n) where n = total number of elements across all nesting levels.
  * 4. How would you flatten an object that has arrays of objects inside?
+ *    - Recurse into arrays too and write indexes as [i]: 'tags[1].name'.
+ *      Numbers in the path are how unflatten knows to rebuild an array.
  * 5. Can you implement flattenArray iteratively using a stack?
+ * 6. Why does applyPatch work on a copy?
+ *    - A patch is a transaction: if operation 5 fails (say a `test`),
+ *      operations 1-4 must not have happened.
+ * 7. How does diff keep array patches small?
+ *    - Longest common subsequence: unchanged elements are kept, a changed
+ *      object in place is diffed field by field instead of replaced.
  *
  * ╔════════════════════════════════════════════════════════════════════════════╗
  * ║ INTERVIEW ANSWER                                                         ║
@@ -190,5 +783,8 @@ console.log('N:', JSON.stringify(unflattenObject({ 'a.b.c': 1, 'a.b.d': 2, 'e':
  * ║ result with the full dotted key.                                         ║
  * ║ Time: O(k) where k = total number of leaf keys.                         ║
  * ║                                                                          ║
+ * ║ Production version: parse paths into segments, escape "." and "[",       ║
+ * ║ treat empty {} and [] as leaves, and diff with LCS into JSON Patch.      ║
+ * ║                                                                          ║
  * ╚════════════════════════════════════════════════════════════════════════════╝
  */
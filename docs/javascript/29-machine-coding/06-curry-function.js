@@ -36,8 +36,12 @@
  * PROBLEM:
  *   1. Implement curry(fn) with partial application
  *   2. Add placeholder support via curry._
+ *   3. Make it the shared functional core: curryN, placeholders in any
+ *      position, remaining arity through length, `this` preserved across
+ *      steps, plus partial, partialRight, flip and uncurry
  *
  * RUN: node docs/javascript/29-machine-coding/06-curry-function.js
+ *      node docs/javascript/29-machine-coding/06-curry-properties.js [seed]
  */
 
 // ─────────────────────────────────────────────
@@ -61,110 +65,263 @@ function curryBasic(fn) {
 // PART 2: Curry with placeholder support
 // ─────────────────────────────────────────────
 
-function curry(fn) {
-  var placeholder = curry._;
+var _ = Symbol('curry.placeholder');
 
-  return function curried() {
-    var args = Array.prototype.slice.call(arguments);
+// Slots still to fill: missing ones up to the arity, plus every placeholder
+function remaining(arity, args) {
+  var missing = Math.max(arity - args.length, 0);
+  for (var i = 0; i < args.length; i++) {
+    if (args[i] === _) missing++;
+  }
+  return missing;
+}
 
-    // Check if we have enough non-placeholder args
-    var hasEnough = args.length >= fn.length &&
-      args.slice(0, fn.length).every(function(a) { return a !== placeholder; });
+// Fill placeholders in args left-to-right with values from nextArgs,
+// then append the rest. A placeholder in nextArgs keeps the slot open.
+function mergeArgs(args, nextArgs) {
+  var merged = [];
+  var nextIdx = 0;
+  for (var i = 0; i < args.length; i++) {
+    if (args[i] === _ && nextIdx < nextArgs.length) {
+      merged.push(nextArgs[nextIdx++]);
+    } else {
+      merged.push(args[i]);
+    }
+  }
+  while (nextIdx < nextArgs.length) {
+    merged.push(nextArgs[nextIdx++]);
+  }
+  return merged;
+}
 
-    if (hasEnough) {
-      return fn.apply(this, args);
+function withoutPlaceholders(args) {
+  return args.map(function(a) { return a === _ ? undefined : a; });
+}
+
+// A function's length is configurable, so every curried step can report
+// how many arguments it still needs: curry(f3)(1).length === 2
+function withLength(length, wrapper) {
+  Object.defineProperty(wrapper, 'length', { value: length });
+  return wrapper;
+}
+
+// A plain call gets `this` = undefined (strict) or globalThis (sloppy)
+function hasReceiver(self) {
+  return self !== undefined && self !== globalThis;
+}
+
+function curryWith(arity, fn, args, receiver) {
+  return withLength(remaining(arity, args), function curried() {
+    var merged = mergeArgs(args, Array.prototype.slice.call(arguments));
+    // obj.method(2)(3): the second call is plain, so keep obj from the first
+    var self = hasReceiver(this) ? this : receiver;
+    if (remaining(arity, merged) === 0) {
+      return fn.apply(self, merged);
     }
+    return curryWith(arity, fn, merged, self);
+  });
+}
 
-    return function() {
-      var nextArgs = Array.prototype.slice.call(arguments);
-      // Merge: fill placeholders in args with values from nextArgs
-      var merged = [];
-      var nextIdx = 0;
-      for (var i = 0; i < args.length; i++) {
-        if (args[i] === placeholder && nextIdx < nextArgs.length) {
-          merged.push(nextArgs[nextIdx++]);
-        } else {
-          merged.push(args[i]);
-        }
-      }
-      // Append remaining nextArgs
-      while (nextIdx < nextArgs.length) {
-        merged.push(nextArgs[nextIdx++]);
-      }
-      return curried.apply(this, merged);
-    };
-  };
+function curryN(arity, fn) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('Expected a function');
+  }
+  if (!Number.isInteger(arity) || arity < 0) {
+    throw new RangeError('Arity must be a non-negative integer, got ' + arity);
+  }
+  return curryWith(arity, fn, [], undefined);
 }
 
-curry._ = Symbol('curry.placeholder');
+function curry(fn) {
+  if (typeof fn !== 'function') {
+    throw new TypeError('Expected a function');
+  }
+  return curryN(fn.length, fn);
+}
+
+curry._ = _;
 
 // ─────────────────────────────────────────────
-// TEST CASES — Basic curry
+// PART 3: partial, partialRight, flip, uncurry
 // ─────────────────────────────────────────────
 
-console.log('=== Basic Curry ===');
+// partial(f, a, _, c)(b) → f(a, b, c). Not curried: it always calls f,
+// and placeholders nobody filled are passed as undefined.
+function partial(fn) {
+  var bound = Array.prototype.slice.call(arguments, 1);
+  return withLength(remaining(fn.length, bound), function() {
+    var args = mergeArgs(bound, Array.prototype.slice.call(arguments));
+    return fn.apply(this, withoutPlaceholders(args));
+  });
+}
+
+// partialRight(f, b, c)(a) → f(a, b, c). Like lodash, placeholders in the
+// bound args take the LAST call args: partialRight(f, _, c)(a, b) → f(a, b, c)
+function partialRight(fn) {
+  var bound = Array.prototype.slice.call(arguments, 1);
+  var holes = bound.filter(function(a) { return a === _; }).length;
+  return withLength(remaining(fn.length, bound), function() {
+    var args = Array.prototype.slice.call(arguments);
+    var lead = Math.max(args.length - holes, 0);
+    var right = mergeArgs(bound, args.slice(lead)).slice(0, bound.length);
+    return fn.apply(this, withoutPlaceholders(args.slice(0, lead).concat(right)));
+  });
+}
+
+// flip(f)(a, b, c) → f(b, a, c), curried to the same arity (at least 2)
+function flip(fn) {
+  return curryN(Math.max(fn.length, 2), function() {
+    var args = Array.prototype.slice.call(arguments);
+    var first = args[0];
+    args[0] = args[1];
+    args[1] = first;
+    return fn.apply(this, args);
+  });
+}
 
-var add = curryBasic(function(a, b, c) { return a + b + c; });
+// uncurry(a => b => c => ...)(a, b, c). Each level takes as many args as
+// its length says (at least 1), so it also unwraps our own curried steps.
+// With an arity the result reports it and ignores anything past it.
+function uncurry(fn, arity) {
+  return withLength(arity === undefined ? 0 : arity, function() {
+    var args = Array.prototype.slice.call(arguments);
+    var limit = arity === undefined ? args.length : arity;
+    var result = fn;
+    var used = 0;
+    do {
+      var take = Math.max(result.length, 1);
+      result = result.apply(this, args.slice(used, Math.min(used + take, limit)));
+      used += take;
+    } while (used < limit && typeof result === 'function');
+    return result;
+  });
+}
 
-console.log('A:', add(1)(2)(3));          // 6
-console.log('B:', add(1, 2)(3));          // 6
-console.log('C:', add(1)(2, 3));          // 6
-console.log('D:', add(1, 2, 3));          // 6
+module.exports = {
+  curryBasic: curryBasic,
+  curry: curry,
+  curryN: curryN,
+  partial: partial,
+  partialRight: partialRight,
+  flip: flip,
+  uncurry: uncurry,
+  _: _
+};
 
-var multiply = curryBasic(function(a, b) { return a * b; });
-var double = multiply(2);
-console.log('E:', double(5));             // 10
-console.log('F:', double(10));            // 20
+if (require.main === module) {
+  // ─────────────────────────────────────────────
+  // TEST CASES — Basic curry
+  // ─────────────────────────────────────────────
 
-// ─────────────────────────────────────────────
-// TEST CASES — Curry with placeholders
-// ─────────────────────────────────────────────
+  console.log('=== Basic Curry ===');
 
-console.log('\n=== Curry with Placeholders ===');
+  var add = curryBasic(function(a, b, c) { return a + b + c; });
 
-var _ = curry._;
+  console.log('A:', add(1)(2)(3));          // 6
+  console.log('B:', add(1, 2)(3));          // 6
+  console.log('C:', add(1)(2, 3));          // 6
+  console.log('D:', add(1, 2, 3));          // 6
 
-var fn = curry(function(a, b, c) {
-  return a + '-' + b + '-' + c;
-});
+  var multiply = curryBasic(function(a, b) { return a * b; });
+  var double = multiply(2);
+  console.log('E:', double(5));             // 10
+  console.log('F:', double(10));            // 20
 
-console.log('G:', fn('a', 'b', 'c'));                // a-b-c
-console.log('H:', fn('a')('b')('c'));                 // a-b-c
-console.log('I:', fn(_, 'b')('a')('c'));              // a-b-c
-console.log('J:', fn(_, _, 'c')('a')('b'));           // a-b-c
-console.log('K:', fn(_, 'b', _)('a', 'c'));           // a-b-c
-console.log('L:', fn(_, _, _)('a', 'b', 'c'));        // a-b-c
+  // ─────────────────────────────────────────────
+  // TEST CASES — Curry with placeholders
+  // ─────────────────────────────────────────────
 
-// ─────────────────────────────────────────────
-// TEST CASES — Practical usage
-// ─────────────────────────────────────────────
+  console.log('\n=== Curry with Placeholders ===');
+
+  var _ = curry._;
+
+  var fn = curry(function(a, b, c) {
+    return a + '-' + b + '-' + c;
+  });
+
+  console.log('G:', fn('a', 'b', 'c'));                // a-b-c
+  console.log('H:', fn('a')('b')('c'));                 // a-b-c
+  console.log('I:', fn(_, 'b')('a')('c'));              // a-b-c
+  console.log('J:', fn(_, _, 'c')('a')('b'));           // a-b-c
+  console.log('K:', fn(_, 'b', _)('a', 'c'));           // a-b-c
+  console.log('L:', fn(_, _, _)('a', 'b', 'c'));        // a-b-c
+
+  // ─────────────────────────────────────────────
+  // TEST CASES — Practical usage
+  // ─────────────────────────────────────────────
+
+  console.log('\n=== Practical Usage ===');
 
-console.log('\n=== Practical Usage ===');
+  var greet = curry(function(greeting, name) {
+    return greeting + ', ' + name + '!';
+  });
 
-var greet = curry(function(greeting, name) {
-  return greeting + ', ' + name + '!';
-});
+  var sayHello = greet('Hello');
+  var sayHi = greet('Hi');
 
-var sayHello = greet('Hello');
-var sayHi = greet('Hi');
+  console.log('M:', sayHello('Surya'));     // Hello, Surya!
+  console.log('N:', sayHi('World'));        // Hi, World!
 
-console.log('M:', sayHello('Surya'));     // Hello, Surya!
-console.log('N:', sayHi('World'));        // Hi, World!
+  // Using with map
+  var nums = [1, 2, 3];
+  var addCurried = curry(function(a, b) { return a + b; });
+  var add10 = addCurried(10);
+  console.log('O:', nums.map(add10));       // [11, 12, 13]
 
-// Using with map
-var nums = [1, 2, 3];
-var addCurried = curry(function(a, b) { return a + b; });
-var add10 = addCurried(10);
-console.log('O:', nums.map(add10));       // [11, 12, 13]
+  // Reusable formatter
+  var format = curry(function(prefix, suffix, value) {
+    return prefix + value + suffix;
+  });
+  var wrapInParens = format('(', ')');
+  var wrapInBrackets = format('[', ']');
+  console.log('P:', wrapInParens('hello'));    // (hello)
+  console.log('Q:', wrapInBrackets('world'));  // [world]
 
-// Reusable formatter
-var format = curry(function(prefix, suffix, value) {
-  return prefix + value + suffix;
-});
-var wrapInParens = format('(', ')');
-var wrapInBrackets = format('[', ']');
-console.log('P:', wrapInParens('hello'));    // (hello)
-console.log('Q:', wrapInBrackets('world'));  // [world]
+  // ─────────────────────────────────────────────
+  // TEST CASES — Functional core
+  // ─────────────────────────────────────────────
+
+  console.log('\n=== Functional Core ===');
+
+  var join4 = curry(function(a, b, c, d) { return [a, b, c, d].join(''); });
+
+  // Placeholders in any position, remaining arity through length
+  console.log('R:', join4(_, 'b', _, 'd')('a')('c'));  // abcd
+  console.log('S:', join4(_, _, _, 'd')(_, 'b')('a', 'c'));  // abcd
+  console.log('T:', join4.length, join4('a').length, join4(_, 'b').length, join4(_, 'b')('a').length);  // 4 3 3 2
+
+  var sub = curryN(2, function() { return arguments[0] - arguments[1]; });
+  console.log('U:', sub.length, sub(_, 1)(10));        // 2 9
+
+  // this from the first method call carries to the later steps
+  var account = {
+    rate: 10,
+    fee: curry(function(amount, days) { return amount * days * this.rate; })
+  };
+  console.log('V:', account.fee(2)(3), account.fee(2, 3)); // 60 60
+
+  var greet3 = function(greeting, punctuation, name) {
+    return greeting + ', ' + name + punctuation;
+  };
+  console.log('W:', partial(greet3, 'Hi', '!')('Ada'));              // Hi, Ada!
+  console.log('W:', partial(greet3, _, '?')('Hey', 'Bob'));         // Hey, Bob?
+  console.log('X:', partialRight(greet3, 'Ada')('Hello', '.'));      // Hello, Ada.
+  console.log('X:', partialRight(greet3, _, 'Ada')('Yo', '~'));      // Yo, Ada~
+
+  var toPower = flip(function(base, exponent) { return Math.pow(base, exponent); });
+  var square = toPower(2);
+  console.log('Y:', toPower(2, 3), square(5), toPower.length);   // 9 25 2
+
+  var manual = function(a) { return function(b) { return function(c) { return a + b * c; }; }; };
+  console.log('Z:', uncurry(manual)(1, 2, 3), uncurry(manual, 3).length);  // 7 3
+  console.log('Z:', uncurry(curry(greet3))('Hi', '!', 'Eve'));  // Hi, Eve!
+
+  try {
+    curryN(-1, greet3);
+  } catch (err) {
+    console.log('Z:', err.name, err.message);  // RangeError Arity must be a non-negative integer, got -1
+  }
+}
 
 /**
  * FOLLOW-UP QUESTIONS:
@@ -175,10 +332,22 @@ console.log('Q:', wrapInBrackets('world'));  // [world]
  * 2. How does fn.length work? What about rest params / default params?
  *    - fn.length counts params before the first default or rest param.
  * 3. Can you curry variadic functions (unknown arity)?
- *    - Not automatically. You need a termination signal (e.g., call with no args).
+ *    - Not automatically. You need a termination signal (e.g., call with no args),
+ *      or state the arity yourself: curryN(3, function() { ... arguments ... }).
  * 4. Why use a Symbol for the placeholder instead of undefined?
  *    - undefined could be a legitimate argument value.
  * 5. How does Lodash _.curry differ from this implementation?
+ *    - Lodash takes `this` from the LAST call, plain calls included, and
+ *      reports length 0 on curried steps; here the latest METHOD call's `this`
+ *      carries over plain calls and every step reports how many arguments it
+ *      still needs.
+ * 6. Why does a curried step need a correct length?
+ *    - Anything that inspects fn.length (uncurry, another curry, Promise
+ *      helpers, Express-style handlers) would otherwise guess wrong. length is
+ *      configurable, so Object.defineProperty can set it.
+ * 7. How would you test curry beyond a few examples?
+ *    - Property-based: for random arities, split points and placeholder mixes,
+ *      curry(f)(...)(...) must equal f(a, b, c). See 06-curry-properties.js.
  *
  * ╔════════════════════════════════════════════════════════════════════════════╗
  * ║ INTERVIEW ANSWER                                                         ║
@@ -192,5 +361,9 @@ console.log('Q:', wrapInBrackets('world'));  // [world]
  * ║ placeholders left-to-right with new args, then append the rest.          ║
  * ║ Call fn only when all fn.length slots are non-placeholder values.         ║
  * ║                                                                          ║
+ * ║ Each step reports its remaining arity via length (defineProperty),       ║
+ * ║ and keeps the `this` of the latest method call, so obj.fn(a)(b) works.   ║
+ * ║ partial/partialRight/flip/uncurry reuse the same merge step.             ║
+ * ║                                                                          ║
  * ╚════════════════════════════════════════════════════════════════════════════╝
  */
@@ -0,0 +1,311 @@
+/**
+ * TOPIC: Curry Property Tests — Random Arities, Splits and Placeholders
+ *
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  GOLDEN RULE: However you feed a curried function its       ║
+ * ║  arguments - one at a time, in groups, with placeholders    ║
+ * ║  anywhere - the call it finally makes must be f(a, b, c).   ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  STORY: A vending machine takes coins in any order and any  │
+ * │  handful, and may hold a slot open for later. Instead of    │
+ * │  testing five coin sequences by hand, a robot tries         │
+ * │  thousands and checks the same snack always drops.          │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  VISUAL:                                                    │
+ * │                                                             │
+ * │   seed ─► arity 3, target [a, b, c]                         │
+ * │           calls   (_, b)  (_)  (a, c)                       │
+ * │           length   3  ──►  2  ──►  2  ──►  call             │
+ * │   curried result == f(a, b, c) ?  PASS : print the case     │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * Every property runs RUNS random cases from one seeded generator, so a
+ * failure prints its seed and can be replayed exactly:
+ *
+ *   node 06-curry-properties.js 12345
+ */
+
+const { isDeepStrictEqual } = require("util");
+const { curry, curryN, partial, partialRight, flip, uncurry, _ } = require("./06-curry-function");
+
+const RUNS = 300;
+const MAX_ARITY = 7;
+
+// ===================== RANDOM =====================
+
+// mulberry32: tiny, fast and good enough to pick test cases
+function createRandom(seed) {
+  let state = seed >>> 0;
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  next.chance = (p) => next() < p;
+  return next;
+}
+
+// Mostly distinct values, so a swapped pair shows up, plus the falsy
+// values a careless "if (!arg)" would mistake for a missing argument
+function randomArgs(random, n) {
+  const falsy = [undefined, null, 0, "", false, NaN];
+  return Array.from({ length: n }, (x, i) => (random.chance(0.2) ? falsy[random.int(0, falsy.length - 1)] : `v${i}`));
+}
+
+// Split args into 1+ consecutive non-empty groups
+function randomGroups(random, args) {
+  if (args.length === 0) return [[]];
+  const groups = [];
+  let start = 0;
+  while (start < args.length) {
+    const size = random.int(1, args.length - start);
+    groups.push(args.slice(start, start + size));
+    start += size;
+  }
+  return groups;
+}
+
+// ===================== SUBJECTS =====================
+
+// The function under test records how it was finally called
+const record = function () {
+  return { self: this, args: Array.from(arguments) };
+};
+
+// A real declared arity, so curry(fn) has an fn.length to read
+const recorders = Array.from({ length: MAX_ARITY + 1 }, (x, n) => {
+  const params = Array.from({ length: n }, (y, i) => `a${i}`).join(", ");
+  return new Function("record", `return function (${params}) { return record.apply(this, arguments); };`)(record);
+});
+
+const expectCall = (args, self = globalThis) => ({ self, args });
+const sameCall = (actual, expected) =>
+  actual !== null &&
+  typeof actual === "object" &&
+  actual.self === expected.self &&
+  isDeepStrictEqual(actual.args, expected.args);
+
+// Placeholder-mixed calls that end up filling exactly `target`. Each call
+// first answers the open holes (with a value, or _ to keep one open) and,
+// if it answered all of them, may append new slots - values or _.
+function placeholderCalls(random, target) {
+  const state = [];
+  const calls = [];
+  const remaining = () => Math.max(target.length - state.length, 0) + state.filter((v) => v === _).length;
+  while (remaining() > 0) {
+    const args = [];
+    const force = calls.length >= 12;
+    let answeredAll = true;
+    for (let i = 0; i < state.length; i++) {
+      if (state[i] !== _) continue;
+      if (!force && args.length > 0 && random.chance(0.2)) {
+        answeredAll = false;
+        break;
+      }
+      const fill = force || random.chance(0.5);
+      args.push(fill ? target[i] : _);
+      if (fill) state[i] = target[i];
+    }
+    if (answeredAll) {
+      const count = force ? target.length - state.length : random.int(0, target.length - state.length);
+      for (let k = 0; k < count; k++) {
+        const i = state.length;
+        const hold = !force && random.chance(0.3);
+        args.push(hold ? _ : target[i]);
+        state.push(hold ? _ : target[i]);
+      }
+    }
+    calls.push({ args, length: remaining() });
+  }
+  // Arity 0 still needs one call to run
+  if (calls.length === 0) calls.push({ args: [], length: 0 });
+  return calls;
+}
+
+// ===================== PROPERTIES =====================
+
+const properties = [];
+const property = (title, fn) => properties.push({ title, fn });
+
+// Each property gets a random source and returns null (held) or a
+// counterexample object to print.
+
+property("curry(f)(a)(b)(c) === f(a, b, c) for random arities and splits", (random) => {
+  const n = random.int(0, MAX_ARITY);
+  const args = randomArgs(random, n);
+  const groups = randomGroups(random, args);
+  let step = curry(recorders[n]);
+  for (const group of groups) step = step(...group);
+  const expected = expectCall(args);
+  return sameCall(step, expected) ? null : { n, groups, actual: step, expected };
+});
+
+property("placeholders in any position, with length = arguments still needed", (random) => {
+  const n = random.int(0, MAX_ARITY);
+  const target = randomArgs(random, n);
+  const calls = placeholderCalls(random, target);
+  // curryN over a variadic function must behave like curry over a declared one
+  let step = random.chance(0.5) ? curry(recorders[n]) : curryN(n, record);
+  const lengths = [step.length];
+  for (const { args, length } of calls.slice(0, -1)) {
+    step = step(...args);
+    if (typeof step !== "function" || step.length !== length) {
+      return { n, calls, lengths, got: typeof step === "function" ? step.length : step, wanted: length };
+    }
+    lengths.push(step.length);
+  }
+  const result = step(...calls[calls.length - 1].args);
+  const expected = expectCall(target);
+  return lengths[0] === n && sameCall(result, expected) ? null : { n, calls, lengths, actual: result, expected };
+});
+
+property("arguments past the arity are passed through", (random) => {
+  const n = random.int(0, MAX_ARITY);
+  const args = randomArgs(random, n + random.int(1, 3));
+  // The call that completes the arity carries the extras with it
+  const cut = Math.max(n - 1, 0);
+  const groups = [...randomGroups(random, args.slice(0, cut)).filter((g) => g.length), args.slice(cut)];
+  let step = curry(recorders[n]);
+  for (const group of groups) step = step(...group);
+  const expected = expectCall(args);
+  return sameCall(step, expected) ? null : { n, groups, actual: step, expected };
+});
+
+property("`this` of the latest method call is kept by the later plain calls", (random) => {
+  const n = random.int(1, MAX_ARITY);
+  const args = randomArgs(random, n);
+  const groups = randomGroups(random, args);
+  let step = curry(recorders[n]);
+  let receiver = globalThis;
+  const receivers = [];
+  for (const group of groups) {
+    if (random.chance(0.4)) {
+      receiver = { id: receivers.length };
+      receivers.push(receiver.id);
+      step = step.apply(receiver, group);
+    } else {
+      receivers.push("-");
+      step = step(...group);
+    }
+  }
+  const expected = expectCall(args, receiver);
+  return sameCall(step, expected) ? null : { n, groups, receivers, actual: step.self, expected: expected.self };
+});
+
+property("partial(f, ...some with _)(...rest) === f(...all)", (random) => {
+  const n = random.int(0, MAX_ARITY);
+  const target = randomArgs(random, n);
+  const k = random.int(0, n);
+  const bound = target.slice(0, k);
+  const holes = [];
+  bound.forEach((value, i) => {
+    if (random.chance(0.4)) {
+      holes.push(value);
+      bound[i] = _;
+    }
+  });
+  const rest = [...holes, ...target.slice(k)];
+  const fn = partial(recorders[n], ...bound);
+  const result = fn(...rest);
+  const expected = expectCall(target);
+  const lengthOk = fn.length === n - k + holes.length;
+  return lengthOk && sameCall(result, expected) ? null : { n, bound, rest, length: fn.length, actual: result, expected };
+});
+
+property("partialRight(f, ...some with _)(...rest) === f(...all)", (random) => {
+  const n = random.int(0, MAX_ARITY);
+  const target = randomArgs(random, n);
+  const k = random.int(0, n);
+  const bound = target.slice(k);
+  const holes = [];
+  bound.forEach((value, i) => {
+    if (random.chance(0.4)) {
+      holes.push(value);
+      bound[i] = _;
+    }
+  });
+  const rest = [...target.slice(0, k), ...holes];
+  const result = partialRight(recorders[n], ...bound)(...rest);
+  const expected = expectCall(target);
+  return sameCall(result, expected) ? null : { n, bound, rest, actual: result, expected };
+});
+
+property("flip(f)(a, b, ...rest) === f(b, a, ...rest), still curried", (random) => {
+  const n = random.int(2, MAX_ARITY);
+  const args = randomArgs(random, n);
+  const groups = randomGroups(random, args);
+  let step = flip(recorders[n]);
+  for (const group of groups) step = step(...group);
+  const expected = expectCall([args[1], args[0], ...args.slice(2)]);
+  return sameCall(step, expected) ? null : { n, groups, actual: step, expected };
+});
+
+property("uncurry undoes curry and hand-nested unary chains", (random) => {
+  const n = random.int(1, MAX_ARITY);
+  const args = randomArgs(random, n);
+  // (a0) => (a1) => ... => record(a0, a1, ...)
+  const nest = (collected) =>
+    collected.length === n ? record.apply(undefined, collected) : (value) => nest([...collected, value]);
+  const fromCurry = uncurry(curry(recorders[n]))(...args);
+  const fromNest = uncurry(nest([]), n)(...args);
+  const expected = expectCall(args);
+  return sameCall(fromCurry, expected) && sameCall(fromNest, expected) ? null : { n, args, fromCurry, fromNest, expected };
+});
+
+// ===================== RUN =====================
+
+// JSON can't show undefined, NaN, _ or globalThis, so name them
+function show(value) {
+  return JSON.stringify(value, (key, v) => {
+    if (v === undefined) return "<undefined>";
+    if (v === _) return "<_>";
+    if (v === globalThis) return "<globalThis>";
+    if (typeof v === "number" && Number.isNaN(v)) return "<NaN>";
+    return v;
+  });
+}
+
+function main() {
+  const seed = process.argv[2] === undefined ? Date.now() % 2 ** 32 : Number(process.argv[2]);
+  const random = createRandom(seed);
+  console.log(`=== curry properties, ${RUNS} runs each, seed ${seed} ===\n`);
+  let failures = 0;
+  for (const { title, fn } of properties) {
+    let counterexample = null;
+    let run = 0;
+    while (run < RUNS && !counterexample) {
+      run++;
+      counterexample = fn(random);
+    }
+    if (counterexample) failures++;
+    console.log(`  ${counterexample ? "FAIL" : "PASS"}  ${title}`);
+    if (counterexample) {
+      console.log(`      run ${run}: ${show(counterexample)}`);
+    }
+  }
+  console.log(`\n${properties.length - failures}/${properties.length} properties held`);
+  if (failures) console.log(`replay: node docs/javascript/29-machine-coding/06-curry-properties.js ${seed}`);
+  process.exitCode = failures ? 1 : 0;
+}
+
+main();
+
+/**
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  INTERVIEW ANSWER:                                         ║
+ * ║  "Example tests only check the splits I thought of. A      ║
+ * ║  property test states the law - any split, any placeholder ║
+ * ║  mix, same call as f(a, b, c) - and lets a seeded random   ║
+ * ║  generator hunt for the counterexample. The seed makes     ║
+ * ║  every failure replayable."                                ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ */
+
+// RUN: node docs/javascript/29-machine-coding/06-curry-properties.js [seed]
@@ -0,0 +1,409 @@
+/**
+ * TOPIC: call / apply / bind Polyfills vs the Natives — Conformance Subset
+ *
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  GOLDEN RULE: Every scenario runs twice - once with the     ║
+ * ║  native call/apply/bind and once with myCall/myApply/myBind ║
+ * ║  - and records what it saw. The two recordings must match.  ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  STORY: A forged key is tested on every lock the real key   │
+ * │  opens - including the odd ones (new, instanceof, frozen    │
+ * │  doors) that a quick demo never tries.                      │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  VISUAL:                                                    │
+ * │                                                             │
+ * │   scenario(M, log) ─┬─► native call/apply/bind ─► log A ─┐  │
+ * │                     └─► myCall/myApply/myBind  ─► log B ─┤  │
+ * │                                              A == B ? ◄──┘  │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * The cases are adapted from test262 (test/built-ins/Function/prototype/
+ * call, apply and bind): this binding, CreateListFromArrayLike, bound
+ * length/name, [[Construct]] with new.target, and instanceof. A scenario
+ * calls fn[M.call](...), so the same code drives both implementations.
+ * Errors are compared by name only - V8 words its messages differently.
+ */
+
+require("./07-bind-call-apply");
+
+const NATIVE = { call: "call", apply: "apply", bind: "bind" };
+const POLYFILL = { call: "myCall", apply: "myApply", bind: "myBind" };
+
+// ===================== HARNESS =====================
+
+const scenarios = [];
+const scenario = (title, fn) => scenarios.push({ title, fn });
+
+// Values that JSON can't show, named so the two logs can be compared
+function show(value) {
+  if (value === undefined) return "<undefined>";
+  if (value === globalThis) return "<globalThis>";
+  if (typeof value === "symbol") return `<${value.toString()}>`;
+  if (typeof value === "bigint") return `<${value}n>`;
+  if (typeof value === "number" && !Number.isFinite(value)) return `<${value}>`;
+  if (typeof value === "function") return `<function ${value.name}>`;
+  if (value !== null && typeof value === "object") {
+    const tag = Object.prototype.toString.call(value);
+    return tag === "[object Object]" || tag === "[object Array]" ? value : `<${tag}>`;
+  }
+  return value;
+}
+
+function attempt(log, label, fn) {
+  try {
+    log.push([label, show(fn())]);
+  } catch (err) {
+    log.push([label, "threw", err.name]);
+  }
+}
+
+const describe = (object, key) => {
+  const d = Object.getOwnPropertyDescriptor(object, key);
+  return d && [show(d.value), d.writable, d.enumerable, d.configurable];
+};
+
+// ===================== call =====================
+
+scenario("call: sloppy functions box primitives and map null/undefined to globalThis", (M, log) => {
+  function sloppy() {
+    return this;
+  }
+  [42, "s", true, Symbol.iterator, 10n, undefined, null].forEach((thisArg) => {
+    const self = sloppy[M.call](thisArg);
+    log.push([show(thisArg), typeof self, self === globalThis, Object(self) === self]);
+  });
+});
+
+scenario("call: strict functions get this exactly as passed", (M, log) => {
+  function strict() {
+    "use strict";
+    return this;
+  }
+  [42, "s", true, Symbol.iterator, 10n, undefined, null].forEach((thisArg) => {
+    log.push([show(thisArg), show(strict[M.call](thisArg))]);
+  });
+});
+
+scenario("call: arguments are forwarded as given, undefined included", (M, log) => {
+  function count() {
+    return [arguments.length, ...Array.from(arguments).map(show)];
+  }
+  log.push(count[M.call](null));
+  log.push(count[M.call](null, undefined));
+  log.push(count[M.call](null, 1, undefined, 3));
+});
+
+scenario("call: existing keys on this are never clobbered or listed", (M, log) => {
+  const own = Symbol("fn");
+  const target = { fn: 1, __fn: 2, [own]: 3 };
+  function inspect() {
+    const seen = [];
+    for (const key in this) seen.push(key);
+    return [Object.keys(this), seen, this.fn, this.__fn, this[own]];
+  }
+  log.push(inspect[M.call](target));
+  log.push(["after", Reflect.ownKeys(target).map(String)]);
+});
+
+scenario("call: frozen and null-prototype receivers", (M, log) => {
+  function self() {
+    "use strict";
+    return this;
+  }
+  const frozen = Object.freeze({ a: 1 });
+  const bare = Object.freeze(Object.create(null));
+  log.push([self[M.call](frozen) === frozen, self[M.call](bare) === bare]);
+  log.push([Object.isFrozen(frozen), Reflect.ownKeys(frozen)]);
+});
+
+scenario("call: a throwing function still cleans up", (M, log) => {
+  const target = {};
+  function boom() {
+    throw new RangeError("boom");
+  }
+  attempt(log, "boom", () => boom[M.call](target));
+  log.push(["keys left", Reflect.ownKeys(target).length]);
+});
+
+scenario("call: a Proxy receiver whose defineProperty trap refuses", (M, log) => {
+  const refusing = new Proxy({}, { defineProperty: () => false });
+  function self(a) {
+    "use strict";
+    return [this === refusing, a];
+  }
+  attempt(log, "call", () => self[M.call](refusing, 1));
+  attempt(log, "apply", () => self[M.apply](refusing, [2]));
+  log.push(["keys left", Reflect.ownKeys(refusing).length]);
+});
+
+scenario("call: non-callable this, class constructors and arrows", (M, log) => {
+  attempt(log, "on object", () => Function.prototype[M.call].call({}, null));
+  class Thing {}
+  attempt(log, "class", () => Thing[M.call]({}));
+  const outer = this;
+  const arrow = () => this === outer;
+  attempt(log, "arrow ignores thisArg", () => arrow[M.call]({ other: true }));
+});
+
+scenario("call: the method itself looks native", (M, log) => {
+  log.push([Function.prototype[M.call].length, describe(Function.prototype, M.call).slice(1)]);
+});
+
+// ===================== apply =====================
+
+scenario("apply: null/undefined argArray means no arguments", (M, log) => {
+  function count() {
+    return arguments.length;
+  }
+  log.push([count[M.apply](null), count[M.apply](null, undefined), count[M.apply](null, null)]);
+});
+
+scenario("apply: CreateListFromArrayLike", (M, log) => {
+  function list() {
+    return Array.from(arguments).map(show);
+  }
+  attempt(log, "array with holes", () => list[M.apply](null, [1, , 3]));
+  attempt(log, "array-like", () => list[M.apply](null, { length: 2, 0: "a", 1: "b", 2: "ignored" }));
+  attempt(log, "fractional length", () => list[M.apply](null, { length: 2.7, 0: "a", 1: "b", 2: "c" }));
+  attempt(log, "string length", () => list[M.apply](null, { length: "1", 0: "a" }));
+  attempt(log, "negative length", () => list[M.apply](null, { length: -5, 0: "a" }));
+  attempt(log, "NaN length", () => list[M.apply](null, { length: NaN }));
+  attempt(log, "no length", () => list[M.apply](null, {}));
+  attempt(log, "arguments object", () => (function () { return list[M.apply](null, arguments); })(1, 2));
+  attempt(log, "typed array", () => list[M.apply](null, new Uint8Array([7, 8])));
+});
+
+scenario("apply: a primitive argArray is a TypeError", (M, log) => {
+  function noop() {}
+  ["abc", 3, true, Symbol.iterator].forEach((bad) => attempt(log, show(bad), () => noop[M.apply](null, bad)));
+  attempt(log, "symbol length", () => noop[M.apply](null, { length: Symbol.iterator }));
+  attempt(log, "bigint length", () => noop[M.apply](null, { length: 1n }));
+});
+
+scenario("apply: this binding matches call", (M, log) => {
+  function strict() {
+    "use strict";
+    return this;
+  }
+  log.push([show(strict[M.apply](7, [])), show(strict[M.apply](null)), show(strict[M.apply]())]);
+});
+
+// ===================== bind =====================
+
+scenario("bind: this is fixed and arguments are prepended", (M, log) => {
+  function parts(a, b, c) {
+    return [this.tag, a, b, c];
+  }
+  const once = parts[M.bind]({ tag: "first" }, 1);
+  const twice = once[M.bind]({ tag: "second" }, 2);
+  log.push(once(2, 3), twice(3), twice[M.call]({ tag: "call" }, 3));
+});
+
+scenario("bind: length = max(0, target length - bound args)", (M, log) => {
+  const f3 = function (a, b, c) {};
+  const withLength = (value) => Object.defineProperty(function () {}, "length", { value });
+  log.push([f3[M.bind]().length, f3[M.bind](null, 1).length, f3[M.bind](null, 1, 2, 3, 4).length]);
+  log.push([
+    show(withLength(Infinity)[M.bind](null, 1).length),
+    withLength(-Infinity)[M.bind]().length,
+    withLength(2.9)[M.bind]().length,
+    withLength(-3)[M.bind]().length,
+    withLength(NaN)[M.bind]().length,
+    withLength("3")[M.bind]().length,
+    withLength(2 ** 53)[M.bind](null, 1).length,
+  ]);
+  const noLength = function (a) {};
+  delete noLength.length;
+  log.push(["no own length", noLength[M.bind]().length]);
+});
+
+scenario("bind: length getter and name getter are read once, in that order", (M, log) => {
+  const target = function () {};
+  Object.defineProperty(target, "length", { get: () => (log.push("get length"), 2) });
+  Object.defineProperty(target, "name", { get: () => (log.push("get name"), "t") });
+  const bound = target[M.bind]();
+  log.push([bound.length, bound.name]);
+});
+
+scenario("bind: name is 'bound ' + target name (strings only)", (M, log) => {
+  function named() {}
+  const anonymous = [function () {}][0];
+  const symbolName = Object.defineProperty(function () {}, "name", { value: Symbol("s") });
+  const numberName = Object.defineProperty(function () {}, "name", { value: 42 });
+  log.push([
+    named[M.bind]().name,
+    named[M.bind]()[M.bind]().name,
+    anonymous[M.bind]().name,
+    symbolName[M.bind]().name,
+    numberName[M.bind]().name,
+    (() => {})[M.bind]().name,
+  ]);
+});
+
+scenario("bind: length and name descriptors", (M, log) => {
+  const bound = function f(a, b) {}[M.bind](null);
+  log.push(["length", describe(bound, "length")], ["name", describe(bound, "name")]);
+});
+
+scenario("bind: non-callable target is a TypeError", (M, log) => {
+  [{}, null, 1, "f"].forEach((target) => attempt(log, show(target), () => Function.prototype[M.bind].call(target)));
+});
+
+scenario("bind: the bound function's [[Prototype]] is the target's", (M, log) => {
+  const custom = Object.setPrototypeOf(function () {}, Function.prototype);
+  const target = Object.setPrototypeOf(function () {}, custom);
+  class Base {}
+  class Derived extends Base {}
+  log.push([
+    Object.getPrototypeOf(target[M.bind]()) === custom,
+    Object.getPrototypeOf(Derived[M.bind]()) === Base,
+    Object.getPrototypeOf(function () {}[M.bind]()) === Function.prototype,
+  ]);
+});
+
+scenario("bind: new ignores the bound this and keeps the bound args", (M, log) => {
+  function Animal(kind, name) {
+    this.kind = kind;
+    this.name = name;
+    this.ctxLeaked = this.tag === "ctx";
+  }
+  Animal.prototype.speak = function () {
+    return `${this.name} the ${this.kind}`;
+  };
+  const Cat = Animal[M.bind]({ tag: "ctx" }, "cat");
+  const tom = new Cat("Tom");
+  log.push([tom.speak(), tom.ctxLeaked, Object.getPrototypeOf(tom) === Animal.prototype, tom.constructor === Animal]);
+  log.push(["instanceof", tom instanceof Cat, tom instanceof Animal, {} instanceof Cat]);
+  log.push(["prototype", show(Cat.prototype)]);
+});
+
+scenario("bind: new.target is the target, or the newTarget passed on", (M, log) => {
+  function Target() {
+    log.push(["new.target", show(new.target)]);
+  }
+  const Bound = Target[M.bind](null);
+  new Bound();
+  function Other() {}
+  const made = Reflect.construct(Bound, [], Other);
+  log.push(["proto from newTarget", Object.getPrototypeOf(made) === Other.prototype]);
+  const Twice = Bound[M.bind](null);
+  new Twice();
+});
+
+scenario("bind: bound classes construct but can't be called", (M, log) => {
+  class Point {
+    constructor(x, y) {
+      this.x = x;
+      this.y = y;
+    }
+  }
+  const AtX1 = Point[M.bind](null, 1);
+  attempt(log, "new", () => {
+    const p = new AtX1(2);
+    return [p.x, p.y, p instanceof Point, p instanceof AtX1];
+  });
+  attempt(log, "call", () => AtX1(2));
+});
+
+scenario("bind: only constructors become constructible", (M, log) => {
+  const arrow = () => {};
+  const method = { m() {} }.m;
+  const asyncFn = async function () {};
+  [arrow, method, asyncFn, Math.max].forEach((fn) => attempt(log, fn.name, () => new (fn[M.bind](null))()));
+});
+
+scenario("bind: a constructor returning an object wins", (M, log) => {
+  const replacement = { replaced: true };
+  function Factory() {
+    return replacement;
+  }
+  log.push([new (Factory[M.bind](null))() === replacement]);
+});
+
+scenario("bind: instanceof reads the target's prototype live", (M, log) => {
+  function Shape() {}
+  const Bound = Shape[M.bind](null);
+  const before = new Shape();
+  Shape.prototype = { later: true };
+  const after = new Shape();
+  log.push([before instanceof Bound, after instanceof Bound]);
+  class Even {
+    static [Symbol.hasInstance](n) {
+      return n % 2 === 0;
+    }
+  }
+  log.push(["hasInstance", 4 instanceof Even[M.bind](null), 3 instanceof Even[M.bind](null)]);
+  const arrow = () => {};
+  attempt(log, "arrow target", () => ({}) instanceof arrow[M.bind](null));
+});
+
+scenario("bind: primitive this is boxed only for sloppy targets", (M, log) => {
+  function sloppy() {
+    return typeof this;
+  }
+  function strict() {
+    "use strict";
+    return typeof this;
+  }
+  log.push([sloppy[M.bind](1)(), strict[M.bind](1)(), sloppy[M.bind]("s")(), strict[M.bind](null)()]);
+});
+
+// ===================== RUN =====================
+
+function record(M, fn) {
+  const log = [];
+  try {
+    fn(M, log);
+  } catch (err) {
+    log.push(["scenario threw", err.name, err.message]);
+  }
+  return log;
+}
+
+function main() {
+  console.log("=== call/apply/bind conformance: natives vs polyfills ===\n");
+  let failures = 0;
+  for (const { title, fn } of scenarios) {
+    const expected = JSON.stringify(record(NATIVE, fn));
+    const actual = JSON.stringify(record(POLYFILL, fn));
+    const same = expected === actual;
+    if (!same) failures++;
+    console.log(`  ${same ? "same" : "DIFF"}  ${title}`);
+    if (!same) {
+      console.log(`      native:   ${expected}`);
+      console.log(`      polyfill: ${actual}`);
+    }
+  }
+  console.log(`\n${scenarios.length - failures}/${scenarios.length} scenarios behave like the natives`);
+  console.log(`
+KNOWN DIFFERENCES (not scenarios, by design of a userland polyfill):
+  - a bound function has an own "prototype" (set to undefined) and an own
+    Symbol.hasInstance; native bound functions have neither
+  - while myCall runs, its Symbol key is visible to Reflect.ownKeys and to
+    Proxy traps on the receiver (or on the prototype it was hung on)
+  - this === null, receivers whose whole prototype chain is
+    non-extensible, and Proxy receivers whose defineProperty trap
+    refuses the key go through Reflect.apply; [[Construct]] uses
+    Reflect.construct - there is no other way to pass a new.target`);
+  process.exitCode = failures ? 1 : 0;
+}
+
+main();
+
+/**
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  INTERVIEW ANSWER:                                         ║
+ * ║  "call is 'make fn a method of this for one call'. A       ║
+ * ║  Symbol key avoids clobbering, and hanging it on the       ║
+ * ║  primitive's prototype keeps strict-mode this unboxed.     ║
+ * ║  bind follows BoundFunctionCreate: same [[Prototype]],     ║
+ * ║  length = max(0, len - args), name 'bound f', and new      ║
+ * ║  constructs the TARGET with new.target swapped back."      ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ */
+
+// RUN: node docs/javascript/29-machine-coding/07-bind-call-apply-conformance.js
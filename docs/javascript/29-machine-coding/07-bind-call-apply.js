@@ -25,9 +25,10 @@
  * ├────────────────────────────────────────────────────────────────────────────┤
  * │                                                                           │
  * │  fn.myCall(ctx, a, b)                                                     │
- * │  ┌─────────────┐                                                          │
- * │  │ ctx.__fn = fn│ → ctx.__fn(a, b) → delete ctx.__fn → return result      │
- * │  └─────────────┘                                                          │
+ * │  ┌──────────────┐                                                         │
+ * │  │ ctx[sym] = fn│ → ctx[sym](a, b) → delete ctx[sym] → return result      │
+ * │  └──────────────┘                                                         │
+ * │  fn.myCall(42)  → Number.prototype[sym] = fn → (42)[sym]()                │
  * │                                                                           │
  * │  fn.myBind(ctx, a) → returns boundFn                                      │
  * │  boundFn(b) → fn.call(ctx, a, b)                                          │
@@ -38,149 +39,317 @@
  * PROBLEM:
  *   Polyfill Function.prototype.myCall, myApply, myBind
  *   myBind must work correctly with the `new` keyword.
+ *   Follow the spec: primitive `this` boxed only for sloppy functions,
+ *   CreateListFromArrayLike for apply, and BoundFunctionCreate for bind
+ *   (name "bound f", length, [[Prototype]], new.target, instanceof).
  *
  * RUN: node docs/javascript/29-machine-coding/07-bind-call-apply.js
+ *      node docs/javascript/29-machine-coding/07-bind-call-apply-conformance.js
  */
 
 // ─────────────────────────────────────────────
-// myCall
+// Helpers
 // ─────────────────────────────────────────────
 
-Function.prototype.myCall = function(ctx) {
-  ctx = ctx != null ? Object(ctx) : globalThis;
-  var uniqueKey = Symbol('fn');
-  ctx[uniqueKey] = this;
+function toArray(list, start) {
+  var result = [];
+  for (var i = start || 0; i < list.length; i++) {
+    result.push(list[i]);
+  }
+  return result;
+}
 
-  var args = [];
-  for (var i = 1; i < arguments.length; i++) {
-    args.push(arguments[i]);
+// Polyfills are installed like the natives: writable, configurable and
+// NOT enumerable, so for-in over a function doesn't list them
+function defineMethod(name, method) {
+  Object.defineProperty(Function.prototype, name, {
+    value: method,
+    writable: true,
+    enumerable: false,
+    configurable: true
+  });
+}
+
+// Where to hang the temporary method so host[key]() runs fn with the right
+// `this`. A primitive finds the method on its prototype (Number.prototype
+// for 42), so a strict fn still sees the unboxed 42 and a sloppy fn gets
+// the wrapper object - exactly what the engine does for a native call.
+// Non-extensible objects can't take the key, but one of their prototypes
+// can: the lookup walks up the chain and `this` is still the object.
+function methodHost(thisArg) {
+  var host = Object(thisArg) === thisArg ? thisArg : Object.getPrototypeOf(Object(thisArg));
+  while (host !== null && !Object.isExtensible(host)) {
+    host = Object.getPrototypeOf(host);
   }
+  return host;
+}
 
-  var result = ctx[uniqueKey].apply(ctx, args);
-  delete ctx[uniqueKey];
-  return result;
-};
+// Call fn with `this` = thisArg, using a Symbol-keyed temporary property so
+// no existing key (not even one called "fn") is touched.
+function invoke(fn, thisArg, args) {
+  if (thisArg === undefined) {
+    // A plain call: strict fn sees undefined, sloppy fn sees globalThis
+    return fn(...args);
+  }
+  var host = thisArg === null ? null : methodHost(thisArg);
+  if (host === null) {
+    // No lookup can produce this === null, and a frozen null-prototype
+    // object has nowhere to hang the key - only Reflect.apply is left
+    return Reflect.apply(fn, thisArg, args);
+  }
+  var key = Symbol('fn');
+  // A Proxy's defineProperty trap may refuse even on an extensible object;
+  // Reflect.defineProperty reports that as false instead of throwing
+  if (!Reflect.defineProperty(host, key, { value: fn, configurable: true })) {
+    return Reflect.apply(fn, thisArg, args);
+  }
+  try {
+    return thisArg[key](...args);
+  } finally {
+    Reflect.deleteProperty(host, key);
+  }
+}
+
+// CreateListFromArrayLike: null/undefined mean "no arguments", anything
+// else must be an object with a length
+function listFromArrayLike(argsArray) {
+  if (argsArray === undefined || argsArray === null) return [];
+  if (Object(argsArray) !== argsArray) {
+    throw new TypeError('CreateListFromArrayLike called on non-object');
+  }
+  var length = Math.trunc(+argsArray.length); // + throws on Symbol/BigInt like ToNumber
+  length = length > 0 ? Math.min(length, Number.MAX_SAFE_INTEGER) : 0;
+  var list = [];
+  for (var i = 0; i < length; i++) {
+    list.push(argsArray[i]);
+  }
+  return list;
+}
+
+function isConstructor(value) {
+  if (typeof value !== 'function') return false;
+  try {
+    // Only checks that value could be a new.target - nothing is constructed
+    Reflect.construct(String, [], value);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// length = max(0, target.length - bound args) when target has an own
+// numeric length, with ±Infinity kept as the spec says; otherwise 0
+function boundLength(target, argCount) {
+  if (!Object.hasOwn(target, 'length')) return 0;
+  var length = target.length;
+  if (typeof length !== 'number') return 0;
+  if (length === Infinity) return Infinity;
+  if (length === -Infinity) return 0;
+  return Math.max((Math.trunc(length) || 0) - argCount, 0);
+}
 
 // ─────────────────────────────────────────────
-// myApply
+// myCall
 // ─────────────────────────────────────────────
 
-Function.prototype.myApply = function(ctx, argsArray) {
-  ctx = ctx != null ? Object(ctx) : globalThis;
-  var uniqueKey = Symbol('fn');
-  ctx[uniqueKey] = this;
-
-  var result;
-  if (!argsArray || argsArray.length === 0) {
-    result = ctx[uniqueKey]();
-  } else {
-    result = ctx[uniqueKey].apply(ctx, argsArray);
+defineMethod('myCall', function(ctx) {
+  if (typeof this !== 'function') {
+    throw new TypeError('Function.prototype.myCall called on a non-function');
   }
+  return invoke(this, ctx, toArray(arguments, 1));
+});
 
-  delete ctx[uniqueKey];
-  return result;
-};
+// ─────────────────────────────────────────────
+// myApply
+// ─────────────────────────────────────────────
+
+defineMethod('myApply', function(ctx, argsArray) {
+  if (typeof this !== 'function') {
+    throw new TypeError('Function.prototype.myApply called on a non-function');
+  }
+  return invoke(this, ctx, listFromArrayLike(argsArray));
+});
 
 // ─────────────────────────────────────────────
-// myBind
+// myBind (BoundFunctionCreate)
 // ─────────────────────────────────────────────
 
-Function.prototype.myBind = function(ctx) {
-  var fn = this;
-  var boundArgs = [];
-  for (var i = 1; i < arguments.length; i++) {
-    boundArgs.push(arguments[i]);
+defineMethod('myBind', function(ctx) {
+  var target = this;
+  if (typeof target !== 'function') {
+    throw new TypeError('Bind must be called on a function');
   }
+  var boundArgs = toArray(arguments, 1);
+  var canConstruct = isConstructor(target);
 
   var bound = function() {
-    var callArgs = [];
-    for (var i = 0; i < arguments.length; i++) {
-      callArgs.push(arguments[i]);
+    var allArgs = boundArgs.concat(toArray(arguments));
+    if (new.target === undefined) {
+      return invoke(target, ctx, allArgs);
     }
-    var allArgs = boundArgs.concat(callArgs);
-
-    // If called with new, `this` is an instance of bound
-    if (this instanceof bound) {
-      return fn.apply(this, allArgs);
+    // [[Construct]]: ctx is ignored; new.target stays a subclass if one
+    // was given, but `new bound()` builds a plain instance of target
+    if (!canConstruct) {
+      throw new TypeError(bound.name + ' is not a constructor');
     }
-    return fn.apply(ctx, allArgs);
+    return Reflect.construct(target, allArgs, new.target === bound ? target : new.target);
   };
 
-  // Maintain prototype chain for new keyword
-  if (fn.prototype) {
-    bound.prototype = Object.create(fn.prototype);
-  }
+  // Same [[Prototype]] as the target (a bound class still "extends" its parent)
+  Object.setPrototypeOf(bound, Object.getPrototypeOf(target));
+  Object.defineProperty(bound, 'length', { value: boundLength(target, boundArgs.length) });
+  var name = target.name;
+  Object.defineProperty(bound, 'name', { value: 'bound ' + (typeof name === 'string' ? name : '') });
+
+  // A native bound function has no prototype of its own and defers
+  // instanceof to the target, read live. A function expression always has
+  // a non-configurable prototype, so the closest we get is undefined + a
+  // Symbol.hasInstance that asks the target.
+  bound.prototype = undefined;
+  Object.defineProperty(bound, Symbol.hasInstance, {
+    value: function(value) { return value instanceof target; },
+    configurable: true
+  });
 
   return bound;
+});
+
+module.exports = {
+  myCall: Function.prototype.myCall,
+  myApply: Function.prototype.myApply,
+  myBind: Function.prototype.myBind
 };
 
-// ─────────────────────────────────────────────
-// TEST CASES — myCall
-// ─────────────────────────────────────────────
+if (require.main === module) {
+  // ─────────────────────────────────────────────
+  // TEST CASES — myCall
+  // ─────────────────────────────────────────────
 
-console.log('=== myCall Tests ===');
+  console.log('=== myCall Tests ===');
 
-var person = { name: 'Surya' };
+  var person = { name: 'Surya' };
 
-function greet(greeting, punctuation) {
-  return greeting + ', ' + this.name + punctuation;
-}
+  function greet(greeting, punctuation) {
+    return greeting + ', ' + this.name + punctuation;
+  }
 
-console.log('A:', greet.myCall(person, 'Hello', '!'));        // Hello, Surya!
-console.log('B:', greet.myCall({ name: 'Bob' }, 'Hi', '.'));  // Hi, Bob.
+  console.log('A:', greet.myCall(person, 'Hello', '!'));        // Hello, Surya!
+  console.log('B:', greet.myCall({ name: 'Bob' }, 'Hi', '.'));  // Hi, Bob.
 
-function getType() { return typeof this; }
-console.log('C:', getType.myCall(42));                        // object (boxed)
-console.log('D:', getType.myCall(null));                      // object (globalThis)
+  function getType() { return typeof this; }
+  console.log('C:', getType.myCall(42));                        // object (boxed)
+  console.log('D:', getType.myCall(null));                      // object (globalThis)
 
-// ─────────────────────────────────────────────
-// TEST CASES — myApply
-// ─────────────────────────────────────────────
+  // ─────────────────────────────────────────────
+  // TEST CASES — myApply
+  // ─────────────────────────────────────────────
 
-console.log('\n=== myApply Tests ===');
+  console.log('\n=== myApply Tests ===');
 
-console.log('E:', greet.myApply(person, ['Hey', '?']));       // Hey, Surya?
-console.log('F:', Math.max.myApply(null, [3, 7, 2, 9, 1]));  // 9
+  console.log('E:', greet.myApply(person, ['Hey', '?']));       // Hey, Surya?
+  console.log('F:', Math.max.myApply(null, [3, 7, 2, 9, 1]));  // 9
 
-function sum() {
-  var total = 0;
-  for (var i = 0; i < arguments.length; i++) total += arguments[i];
-  return total;
-}
-console.log('G:', sum.myApply(null, [1, 2, 3, 4, 5]));       // 15
-console.log('H:', sum.myApply(null));                          // 0
+  function sum() {
+    var total = 0;
+    for (var i = 0; i < arguments.length; i++) total += arguments[i];
+    return total;
+  }
+  console.log('G:', sum.myApply(null, [1, 2, 3, 4, 5]));       // 15
+  console.log('H:', sum.myApply(null));                          // 0
 
-// ─────────────────────────────────────────────
-// TEST CASES — myBind
-// ─────────────────────────────────────────────
+  // ─────────────────────────────────────────────
+  // TEST CASES — myBind
+  // ─────────────────────────────────────────────
 
-console.log('\n=== myBind Tests ===');
+  console.log('\n=== myBind Tests ===');
 
-var greetSurya = greet.myBind(person, 'Howdy');
-console.log('I:', greetSurya('!'));                           // Howdy, Surya!
-console.log('J:', greetSurya('...'));                          // Howdy, Surya...
+  var greetSurya = greet.myBind(person, 'Howdy');
+  console.log('I:', greetSurya('!'));                           // Howdy, Surya!
+  console.log('J:', greetSurya('...'));                          // Howdy, Surya...
 
-var greetFull = greet.myBind(person);
-console.log('K:', greetFull('Yo', '!!'));                     // Yo, Surya!!
+  var greetFull = greet.myBind(person);
+  console.log('K:', greetFull('Yo', '!!'));                     // Yo, Surya!!
 
-// Test with `new` keyword
-function Animal(name) {
-  this.name = name;
-}
-Animal.prototype.speak = function() { return this.name + ' speaks'; };
+  // Test with `new` keyword
+  function Animal(name) {
+    this.name = name;
+  }
+  Animal.prototype.speak = function() { return this.name + ' speaks'; };
+
+  var BoundAnimal = Animal.myBind({ name: 'ignored' });
+  var cat = new BoundAnimal('Cat');
+  console.log('L:', cat.name);                                  // Cat (not 'ignored')
+  console.log('M:', cat.speak());                               // Cat speaks
+  console.log('N:', cat instanceof BoundAnimal);                // true
+
+  // Partial application with bind
+  function multiply(a, b, c) { return a * b * c; }
+  var double = multiply.myBind(null, 2);
+  console.log('O:', double(3, 4));                              // 24
+  var triple6 = multiply.myBind(null, 3, 6);
+  console.log('P:', triple6(2));                                // 36
+
+  // ─────────────────────────────────────────────
+  // TEST CASES — Spec details
+  // ─────────────────────────────────────────────
+
+  console.log('\n=== Spec Details ===');
+
+  // Primitive `this`: boxed for sloppy functions, left alone for strict ones
+  function sloppyThis() { return this; }
+  function strictThis() { 'use strict'; return this; }
+  console.log('Q:', typeof sloppyThis.myCall(42), sloppyThis.myCall(undefined) === globalThis);  // object true
+  console.log('Q:', strictThis.myCall(42), strictThis.myCall(null), strictThis.myCall(undefined));  // 42 null undefined
+
+  // Symbol-keyed temp property: existing keys survive, frozen objects work
+  var fnSymbol = Symbol('fn');
+  var box = { fn: 'mine', __fn: 'mine too' };
+  box[fnSymbol] = 'mine three';
+  function keysOf() { return Object.keys(this).join(','); }
+  console.log('R:', keysOf.myCall(box), box.fn, box.__fn, box[fnSymbol]);   // fn,__fn mine mine too mine three
+  console.log('R:', keysOf.myCall(Object.freeze({ frozen: true })));         // frozen
+  console.log('R:', Reflect.ownKeys(box).length);                            // 3 (temp key removed)
+
+  // apply takes any array-like; a primitive is a TypeError
+  console.log('S:', sum.myApply(null, { length: 3, 0: 1, 1: 2, 2: 3 }));    // 6
+  try {
+    sum.myApply(null, 'abc');
+  } catch (err) {
+    console.log('S:', err.name, err.message);  // TypeError CreateListFromArrayLike called on non-object
+  }
 
-var BoundAnimal = Animal.myBind({ name: 'ignored' });
-var cat = new BoundAnimal('Cat');
-console.log('L:', cat.name);                                  // Cat (not 'ignored')
-console.log('M:', cat.speak());                               // Cat speaks
-console.log('N:', cat instanceof BoundAnimal);                // true
+  // Bound name and length
+  var greetHi = greet.myBind(person, 'Hi');
+  console.log('T:', greetHi.name, greetHi.length);                          // bound greet 1
+  var twice = greetHi.myBind({ name: 'ignored' }, '!');
+  console.log('T:', twice.name, twice.length, twice());                     // bound bound greet 0 Hi, Surya!
+
+  // new on a bound class: bound args first, new.target is the class
+  class Point {
+    constructor(x, y) {
+      this.x = x;
+      this.y = y;
+      this.target = new.target.name;
+    }
+  }
+  var AtX1 = Point.myBind(null, 1);
+  var point = new AtX1(2);
+  console.log('U:', point, point instanceof AtX1, point instanceof Point);  // Point { x: 1, y: 2, target: 'Point' } true true
+  console.log('U:', AtX1.prototype, Object.getPrototypeOf(point) === Point.prototype);  // undefined true
+  try {
+    AtX1(2);
+  } catch (err) {
+    console.log('U:', err.name, '-', err.message);  // TypeError - Class constructor Point cannot be invoked without 'new'
+  }
 
-// Partial application with bind
-function multiply(a, b, c) { return a * b * c; }
-var double = multiply.myBind(null, 2);
-console.log('O:', double(3, 4));                              // 24
-var triple6 = multiply.myBind(null, 3, 6);
-console.log('P:', triple6(2));                                // 36
+  // Only constructors can be constructed through a bound function
+  var arrow = () => {};
+  try {
+    new (arrow.myBind(null))();
+  } catch (err) {
+    console.log('V:', err.name, '-', err.message);  // TypeError - bound arrow is not a constructor
+  }
+}
 
 /**
  * FOLLOW-UP QUESTIONS:
@@ -191,10 +360,22 @@ console.log('P:', triple6(2));                                // 36
  *    - Native bind lets bound functions be used as constructors.
  *      When `new` is used, `this` should be the new instance, not ctx.
  * 3. What happens if you call myCall with ctx = undefined in strict mode?
- *    - this should remain undefined. Our polyfill uses globalThis instead.
+ *    - this stays undefined. The polyfill makes a plain call for undefined,
+ *      and hangs the key on Number.prototype & co. for primitives, so the
+ *      engine does the boxing (sloppy) or not (strict) by itself.
  * 4. Can you chain bind? e.g., fn.bind(a).bind(b) — which context wins?
  *    - The first bind wins. Second bind cannot override.
  * 5. How does the real bind handle .length (arity of bound function)?
+ *    - max(0, target.length - boundArgs.length), Infinity kept, 0 if the
+ *      target has no own numeric length. name becomes "bound " + name.
+ * 6. Why not `this instanceof bound` to detect `new`?
+ *    - bound.call(Object.create(bound.prototype)) fools it, and it can't
+ *      construct classes. new.target + Reflect.construct(target, args,
+ *      newTarget) is what [[Construct]] of a bound function does.
+ * 7. What can't a polyfill copy exactly?
+ *    - A function expression always owns a non-configurable `prototype`,
+ *      and during myCall the Symbol key is visible to Reflect.ownKeys.
+ *      07-bind-call-apply-conformance.js lists these next to the checks.
  *
  * ╔════════════════════════════════════════════════════════════════════════════╗
  * ║ INTERVIEW ANSWER                                                         ║
@@ -204,9 +385,9 @@ console.log('P:', triple6(2));                                // 36
  * ║ invoke it so `this` inside fn points to ctx, then delete the property.   ║
  * ║                                                                          ║
  * ║ myBind: Return a closure that captures ctx + partial args. On call,      ║
- * ║ concat new args and invoke with fn.apply(ctx, allArgs). For `new`,       ║
- * ║ check `this instanceof bound` — if true, use `this` instead of ctx.     ║
- * ║ Set bound.prototype = Object.create(fn.prototype) for instanceof.        ║
+ * ║ concat new args and invoke fn with ctx. For `new`, check new.target and  ║
+ * ║ Reflect.construct the TARGET (new.target swapped back from bound).       ║
+ * ║ instanceof asks the target; name/length follow BoundFunctionCreate.      ║
  * ║                                                                          ║
  * ╚════════════════════════════════════════════════════════════════════════════╝
  */
@@ -1,5 +1,6 @@
 /**
- * MACHINE CODING 08: Async Utilities — parallel, series, waterfall, parallelLimit
+ * MACHINE CODING 08: Async Utilities — parallel, series, waterfall, parallelLimit,
+ *                   and a promise-based TaskScheduler
  *
  * ╔════════════════════════════════════════════════════════════════════════════╗
  * ║ THE GOLDEN RULE                                                          ║
@@ -11,6 +12,9 @@
  * ║ parallelLimit — like parallel but max N tasks running at a time          ║
  * ║                                                                          ║
  * ║ All tasks follow callback pattern: task(callback) where cb(err, result)  ║
+ * ║                                                                          ║
+ * ║ TaskScheduler — promises + priority lanes, per-key and rate limits,      ║
+ * ║ retry with backoff, timeouts, AbortSignal, pause/resume/drain            ║
  * ╚════════════════════════════════════════════════════════════════════════════╝
  *
  * ┌────────────────────────────────────────────────────────────────────────────┐
@@ -20,6 +24,8 @@
  * │ series     = Assembly line: one worker finishes, next starts             │
  * │ waterfall  = Relay race: each runner passes baton to the next            │
  * │ parallelLimit = Only N checkout lanes open at a time                     │
+ * │ TaskScheduler = Airport check-in: first class served first, max 2 per    │
+ * │                 family at a desk, a traveller who walks away is dropped  │
  * └────────────────────────────────────────────────────────────────────────────┘
  *
  * ┌────────────────────────────────────────────────────────────────────────────┐
@@ -143,6 +149,406 @@ function asyncParallelLimit(tasks, limit, finalCb) {
   runNext();
 }
 
+// ─────────────────────────────────────────────
+// TaskScheduler (promise-based)
+// ─────────────────────────────────────────────
+//
+// The helpers above take callbacks and know nothing about priorities,
+// shared limits or failure. TaskScheduler is what batch jobs need:
+//
+//   add(fn, { lane, key, retries, timeout, signal })  →  Promise
+//
+//   lanes      high ─┐
+//              normal├─► pick the first RUNNABLE task, highest lane first
+//              low  ─┘   (a task whose key is at its limit is skipped)
+//   limits     concurrency (global) · keyConcurrency (per key, e.g. host)
+//              rateLimit { limit, interval, perKey } (sliding window)
+//   failure    timeout → abort attempt · retry with exponential backoff
+//              + jitter · AbortSignal → cancel queued / abort running
+//   control    pause() · resume() · drain() · cancel(id) · cancelAll()
+//   events     queued start retry success failure cancel progress idle
+//
+// fn receives { signal, attempt, id, progress(value) }. `signal` aborts on
+// timeout or cancellation - pass it on to fetch(), streams, child tasks.
+
+var EventEmitter = require('./00-event-emitter');
+var AbortError = EventEmitter.AbortError;
+
+class TimeoutError extends Error {
+  constructor(ms) {
+    super('Task timed out after ' + ms + 'ms');
+    this.name = 'TimeoutError';
+  }
+}
+
+// attempt 1 → base, attempt 2 → base * factor, ... capped at max.
+// 'full' jitter picks uniformly in [0, delay], 'equal' in [delay/2, delay]:
+// clients that failed together don't all retry at the same instant.
+function backoffDelay(attempt, backoff, random) {
+  var delay = Math.min(backoff.max, backoff.base * Math.pow(backoff.factor, attempt - 1));
+  if (backoff.jitter === 'full') return Math.round(random() * delay);
+  if (backoff.jitter === 'equal') return Math.round(delay / 2 + random() * delay / 2);
+  return delay;
+}
+
+// keyConcurrency: 2 | { 'api.github.com': 2, '*': 5 } | (key) => limit
+function keyLimit(option) {
+  if (option === undefined) return function() { return Infinity; };
+  if (typeof option === 'number') return function() { return option; };
+  if (typeof option === 'function') return option;
+  return function(key) {
+    if (Object.prototype.hasOwnProperty.call(option, key)) return option[key];
+    return option['*'] !== undefined ? option['*'] : Infinity;
+  };
+}
+
+class TaskScheduler extends EventEmitter {
+  constructor(options) {
+    super();
+    options = options || {};
+    // 0 is a real limit (nothing starts), not "unset"
+    this.concurrency = options.concurrency ?? Infinity;
+    if (this.concurrency !== Infinity && !(Number.isInteger(this.concurrency) && this.concurrency >= 0)) {
+      throw new RangeError('concurrency must be a non-negative integer or Infinity, got ' + String(options.concurrency));
+    }
+    this.lanes = options.lanes || ['high', 'normal', 'low'];
+    this.defaultLane = options.defaultLane || (this.lanes.indexOf('normal') !== -1 ? 'normal' : this.lanes[0]);
+    this.keyLimit = keyLimit(options.keyConcurrency);
+    this.rateLimit = options.rateLimit || null;
+    this.defaults = {
+      retries: options.retries || 0,
+      timeout: options.timeout || 0,
+      backoff: Object.assign({ base: 100, factor: 2, max: 10000, jitter: 'full' }, options.backoff),
+      retryIf: options.retryIf || function() { return true; },
+    };
+    this.random = options.random || Math.random;
+    this.paused = options.autoStart === false;
+
+    this.queues = new Map(this.lanes.map(function(lane) { return [lane, []]; }));
+    this.tasks = new Map(); // id -> task, until it settles
+    this.running = new Set();
+    this.waiting = new Set(); // sleeping before a retry
+    this.runningByKey = new Map();
+    this.starts = []; // start times for the rate limit window
+    this.startsByKey = new Map();
+    this.counts = { total: 0, done: 0, failed: 0, cancelled: 0 };
+    this.nextId = 1;
+    this.wakeTimer = null;
+    this.wakeAt = Infinity;
+    this.idle = true;
+    this.drainWaiters = [];
+  }
+
+  add(fn, options) {
+    options = options || {};
+    if (typeof fn !== 'function') throw new TypeError('Task must be a function');
+    var lane = options.lane || this.defaultLane;
+    if (!this.queues.has(lane)) {
+      throw new RangeError('Unknown lane "' + lane + '" (lanes: ' + this.lanes.join(', ') + ')');
+    }
+    var id = options.id !== undefined ? options.id : this.nextId++;
+    if (this.tasks.has(id)) throw new Error('A task with id "' + id + '" is already scheduled');
+
+    var self = this;
+    return new Promise(function(resolve, reject) {
+      var task = {
+        id: id,
+        fn: fn,
+        lane: lane,
+        key: options.key,
+        retries: options.retries !== undefined ? options.retries : self.defaults.retries,
+        timeout: options.timeout !== undefined ? options.timeout : self.defaults.timeout,
+        backoff: Object.assign({}, self.defaults.backoff, options.backoff),
+        retryIf: options.retryIf || self.defaults.retryIf,
+        signal: options.signal,
+        attempt: 0,
+        state: 'queued',
+        resolve: resolve,
+        reject: reject,
+        controller: null,
+        timer: null,
+      };
+      self.tasks.set(id, task);
+      self.counts.total++;
+      self.idle = false;
+      self.queues.get(lane).push(task);
+      self.emit('queued', self._info(task));
+
+      if (task.signal) {
+        if (task.signal.aborted) {
+          self._cancel(task, task.signal.reason);
+          return;
+        }
+        task.onAbort = function() { self._cancel(task, task.signal.reason); };
+        task.signal.addEventListener('abort', task.onAbort, { once: true });
+      }
+      self._progress();
+      self._dispatch();
+    });
+  }
+
+  // Resolves with all results in order; rejects on the first failure
+  addAll(fns, options) {
+    var self = this;
+    return Promise.all(fns.map(function(fn) { return self.add(fn, options); }));
+  }
+
+  pause() {
+    if (this.paused) return this;
+    this.paused = true;
+    this.emit('paused');
+    return this;
+  }
+
+  resume() {
+    if (!this.paused) return this;
+    this.paused = false;
+    this.emit('resumed');
+    this._dispatch();
+    return this;
+  }
+
+  // Resolves once nothing is queued, running or waiting to retry
+  drain() {
+    var self = this;
+    if (this.idle) return Promise.resolve();
+    return new Promise(function(resolve) { self.drainWaiters.push(resolve); });
+  }
+
+  cancel(id, reason) {
+    var task = this.tasks.get(id);
+    return task ? this._cancel(task, reason) : false;
+  }
+
+  cancelAll(reason) {
+    var self = this;
+    Array.from(this.tasks.values()).forEach(function(task) { self._cancel(task, reason); });
+  }
+
+  getStats() {
+    var queued = 0;
+    this.queues.forEach(function(queue) { queued += queue.length; });
+    var finished = this.counts.done + this.counts.failed + this.counts.cancelled;
+    return {
+      total: this.counts.total,
+      queued: queued,
+      running: this.running.size,
+      waiting: this.waiting.size,
+      done: this.counts.done,
+      failed: this.counts.failed,
+      cancelled: this.counts.cancelled,
+      percent: this.counts.total ? Math.round((finished / this.counts.total) * 100) : 100,
+    };
+  }
+
+  // ─── internals ───
+
+  _dispatch() {
+    while (!this.paused && this.running.size < this.concurrency) {
+      var task = this._nextRunnable();
+      if (!task) break;
+      this._start(task);
+    }
+    this._checkIdle();
+  }
+
+  _nextRunnable() {
+    var now = Date.now();
+    var wait = Infinity;
+    for (var l = 0; l < this.lanes.length; l++) {
+      var queue = this.queues.get(this.lanes[l]);
+      for (var i = 0; i < queue.length; i++) {
+        var task = queue[i];
+        // Its own abort listener may not have run yet when tasks share a signal
+        if (task.signal && task.signal.aborted) continue;
+        if (task.key !== undefined && (this.runningByKey.get(task.key) || 0) >= this.keyLimit(task.key)) continue;
+        var delay = this._rateDelay(task.key, now);
+        if (delay > 0) {
+          wait = Math.min(wait, delay);
+          continue;
+        }
+        queue.splice(i, 1);
+        return task;
+      }
+    }
+    if (wait !== Infinity) this._wakeUpIn(wait);
+    return null;
+  }
+
+  // Sliding window log: ms until one more start fits in the window
+  _rateDelay(key, now) {
+    var rate = this.rateLimit;
+    if (!rate) return 0;
+    var log = rate.perKey ? this.startsByKey.get(key) || [] : this.starts;
+    while (log.length && log[0] <= now - rate.interval) log.shift();
+    return log.length < rate.limit ? 0 : log[0] + rate.interval - now;
+  }
+
+  _wakeUpIn(ms) {
+    var self = this;
+    var at = Date.now() + ms;
+    if (this.wakeTimer && this.wakeAt <= at) return;
+    clearTimeout(this.wakeTimer);
+    this.wakeAt = at;
+    this.wakeTimer = setTimeout(function() {
+      self.wakeTimer = null;
+      self.wakeAt = Infinity;
+      self._dispatch();
+    }, ms);
+  }
+
+  _start(task) {
+    var self = this;
+    var controller = new AbortController();
+    task.state = 'running';
+    task.attempt++;
+    task.controller = controller;
+    this.running.add(task);
+    if (task.key !== undefined) this.runningByKey.set(task.key, (this.runningByKey.get(task.key) || 0) + 1);
+    if (this.rateLimit) {
+      var now = Date.now();
+      if (!this.rateLimit.perKey) this.starts.push(now);
+      else {
+        if (!this.startsByKey.has(task.key)) this.startsByKey.set(task.key, []);
+        this.startsByKey.get(task.key).push(now);
+      }
+    }
+    if (task.timeout > 0) {
+      task.timer = setTimeout(function() { controller.abort(new TimeoutError(task.timeout)); }, task.timeout);
+    }
+    this.emit('start', this._info(task));
+
+    var context = {
+      id: task.id,
+      attempt: task.attempt,
+      signal: controller.signal,
+      progress: function(value) {
+        if (task.controller === controller) self.emit('task-progress', { id: task.id, value: value });
+      },
+    };
+    var result;
+    try {
+      result = Promise.resolve(task.fn(context));
+    } catch (err) {
+      result = Promise.reject(err);
+    }
+    // Settle on whichever comes first: the task, or its signal aborting
+    // (a task that ignores its signal doesn't get to hold the slot)
+    var aborted = new Promise(function(resolve, reject) {
+      controller.signal.addEventListener('abort', function() { reject(controller.signal.reason); }, { once: true });
+    });
+    Promise.race([result, aborted]).then(
+      function(value) { self._finishAttempt(task, controller, true, value); },
+      function(err) { self._finishAttempt(task, controller, false, err); }
+    );
+  }
+
+  _release(task) {
+    clearTimeout(task.timer);
+    task.timer = null;
+    task.controller = null;
+    this.running.delete(task);
+    if (task.key !== undefined) {
+      var left = this.runningByKey.get(task.key) - 1;
+      if (left) this.runningByKey.set(task.key, left);
+      else this.runningByKey.delete(task.key);
+    }
+  }
+
+  _finishAttempt(task, controller, ok, valueOrError) {
+    if (task.controller !== controller) return; // cancelled meanwhile: result is ignored
+    this._release(task);
+    if (ok) {
+      this._settle(task, 'done', valueOrError);
+    } else if (task.attempt <= task.retries && task.retryIf(valueOrError, task.attempt)) {
+      this._scheduleRetry(task, valueOrError);
+    } else {
+      this._settle(task, 'failed', valueOrError);
+    }
+    this._dispatch();
+  }
+
+  _scheduleRetry(task, err) {
+    var self = this;
+    var delay = backoffDelay(task.attempt, task.backoff, this.random);
+    task.state = 'waiting';
+    this.waiting.add(task);
+    this.emit('retry', { id: task.id, attempt: task.attempt, delay: delay, error: err });
+    task.timer = setTimeout(function() {
+      task.timer = null;
+      self.waiting.delete(task);
+      task.state = 'queued';
+      self.queues.get(task.lane).unshift(task); // a retry goes ahead of its lane
+      self._dispatch();
+    }, delay);
+  }
+
+  _cancel(task, reason) {
+    var previous = task.state;
+    if (previous !== 'queued' && previous !== 'running' && previous !== 'waiting') return false;
+    if (previous === 'queued') {
+      var queue = this.queues.get(task.lane);
+      queue.splice(queue.indexOf(task), 1);
+    } else if (previous === 'waiting') {
+      clearTimeout(task.timer);
+      this.waiting.delete(task);
+    } else {
+      var controller = task.controller;
+      this._release(task);
+      controller.abort(reason); // the running fn sees its signal abort
+    }
+    this._settle(task, 'cancelled', new AbortError(undefined, { cause: reason }));
+    this._dispatch();
+    return true;
+  }
+
+  _settle(task, state, valueOrError) {
+    task.state = state;
+    this.tasks.delete(task.id);
+    if (task.onAbort) task.signal.removeEventListener('abort', task.onAbort);
+    if (state === 'done') {
+      this.counts.done++;
+      this.emit('success', Object.assign(this._info(task), { result: valueOrError }));
+      task.resolve(valueOrError);
+    } else {
+      this.counts[state]++;
+      this.emit(state === 'failed' ? 'failure' : 'cancel', Object.assign(this._info(task), { error: valueOrError }));
+      task.reject(valueOrError);
+    }
+    this._progress();
+  }
+
+  _progress() {
+    this.emit('progress', this.getStats());
+  }
+
+  _checkIdle() {
+    if (this.idle || this.running.size || this.waiting.size) return;
+    var queued = 0;
+    this.queues.forEach(function(queue) { queued += queue.length; });
+    if (queued) return;
+    this.idle = true;
+    this.emit('idle');
+    var waiters = this.drainWaiters;
+    this.drainWaiters = [];
+    waiters.forEach(function(resolve) { resolve(); });
+  }
+
+  _info(task) {
+    return { id: task.id, lane: task.lane, key: task.key, attempt: task.attempt };
+  }
+}
+
+module.exports = {
+  asyncParallel,
+  asyncSeries,
+  asyncWaterfall,
+  asyncParallelLimit,
+  TaskScheduler,
+  TimeoutError,
+  backoffDelay,
+};
+
 // ─────────────────────────────────────────────
 // Helper: create delayed task
 // ─────────────────────────────────────────────
@@ -157,80 +563,262 @@ function makeTask(name, delay, value) {
   };
 }
 
+// ─────────────────────────────────────────────
+// TaskScheduler tests (run after E)
+// ─────────────────────────────────────────────
+
+function sleep(ms, value) {
+  return new Promise(function(resolve) { setTimeout(resolve, ms, value); });
+}
+
+var schedulerTests = [
+  function lanes() {
+    console.log('\nF: === TaskScheduler: priority lanes ===');
+    var order = [];
+    var s = new TaskScheduler({ concurrency: 1, autoStart: false });
+    ['low', 'normal', 'high', 'normal', 'high'].forEach(function(lane, i) {
+      s.add(function() { order.push(lane + i); }, { lane: lane });
+    });
+    s.resume();
+    return s.drain().then(function() {
+      console.log('F result:', order.join(' '));
+      // high2 high4 normal1 normal3 low0 — lane first, FIFO inside a lane
+    });
+  },
+
+  function keyConcurrency() {
+    console.log('\nG: === TaskScheduler: per-key limit ===');
+    var peak = {};
+    var active = {};
+    var s = new TaskScheduler({ concurrency: 10, keyConcurrency: { 'api.slow.com': 1, '*': 2 } });
+    var hosts = ['api.slow.com', 'api.slow.com', 'api.slow.com', 'cdn.com', 'cdn.com', 'cdn.com', 'cdn.com'];
+    return Promise.all(hosts.map(function(host) {
+      return s.add(function() {
+        active[host] = (active[host] || 0) + 1;
+        peak[host] = Math.max(peak[host] || 0, active[host]);
+        return sleep(20).then(function() { active[host]--; });
+      }, { key: host });
+    })).then(function() {
+      console.log('G result:', peak);
+      // { 'api.slow.com': 1, 'cdn.com': 2 }
+    });
+  },
+
+  function rateLimit() {
+    console.log('\nH: === TaskScheduler: rate limit (2 per 100ms) ===');
+    var started = Date.now();
+    var s = new TaskScheduler({ rateLimit: { limit: 2, interval: 100 } });
+    return s.addAll([1, 2, 3, 4, 5].map(function() {
+      return function() { return Math.floor((Date.now() - started) / 100); };
+    })).then(function(windows) {
+      console.log('H result:', windows);
+      // [0, 0, 1, 1, 2] — which 100ms window each task started in
+    });
+  },
+
+  function retries() {
+    console.log('\nI: === TaskScheduler: retry with backoff ===');
+    var delays = [];
+    var s = new TaskScheduler({
+      retries: 3,
+      backoff: { base: 10, factor: 2, jitter: 'equal' },
+      random: function() { return 0.5; },
+    });
+    s.on('retry', function(e) { delays.push(e.delay); });
+    return s.add(function(ctx) {
+      if (ctx.attempt < 4) throw new Error('flaky #' + ctx.attempt);
+      return 'ok on attempt ' + ctx.attempt;
+    }).then(function(result) {
+      console.log('I result:', result, '| delays:', delays);
+      // ok on attempt 4 | delays: [ 8, 15, 30 ] — 10/20/40ms, 'equal' jitter at 0.5
+
+      var noRetry = new TaskScheduler({ retries: 5, retryIf: function(err) { return err.status >= 500; } });
+      return noRetry.add(function(ctx) {
+        var err = new Error('HTTP 404 on attempt ' + ctx.attempt);
+        err.status = 404;
+        throw err;
+      }).catch(function(err) {
+        console.log('I retryIf:', err.message);
+        // HTTP 404 on attempt 1 — 4xx is not worth retrying
+      });
+    });
+  },
+
+  function timeout() {
+    console.log('\nJ: === TaskScheduler: per-task timeout ===');
+    var s = new TaskScheduler({ concurrency: 1 });
+    var sawAbort = false;
+    var slow = s.add(function(ctx) {
+      ctx.signal.addEventListener('abort', function() { sawAbort = true; });
+      return sleep(200, 'too late');
+    }, { timeout: 30 });
+    var next = s.add(function() { return 'next ran'; });
+    return slow.catch(function(err) {
+      console.log('J result:', err.name + ': ' + err.message, '| signal aborted:', sawAbort);
+      // TimeoutError: Task timed out after 30ms | signal aborted: true
+      return next;
+    }).then(function(value) {
+      console.log('J next:', value);
+      // next ran — the timed-out task gave its slot back
+    });
+  },
+
+  function cancellation() {
+    console.log('\nK: === TaskScheduler: AbortSignal cancellation ===');
+    var s = new TaskScheduler({ concurrency: 1 });
+    var controller = new AbortController();
+    var log = [];
+    var running = s.add(function(ctx) {
+      return new Promise(function(resolve, reject) {
+        ctx.signal.addEventListener('abort', function() {
+          log.push('running task saw abort');
+          reject(ctx.signal.reason);
+        });
+      });
+    }, { signal: controller.signal });
+    var queued = s.add(function() { log.push('queued task ran'); }, { signal: controller.signal });
+    var other = s.add(function() { log.push('other task ran'); });
+    setTimeout(function() { controller.abort(new Error('user left')); }, 10);
+    return Promise.allSettled([running, queued, other]).then(function(results) {
+      console.log('K result:', results.map(function(r) { return r.status === 'rejected' ? r.reason.name : 'ok'; }), log);
+      // [ 'AbortError', 'AbortError', 'ok' ] [ 'running task saw abort', 'other task ran' ]
+      console.log('K stats:', s.getStats().cancelled, 'cancelled');
+      // 2 cancelled
+    });
+  },
+
+  function pauseAndProgress() {
+    console.log('\nL: === TaskScheduler: pause / resume / drain + progress ===');
+    var s = new TaskScheduler({ concurrency: 2 });
+    var percents = [];
+    s.on('progress', function(p) {
+      if (percents[percents.length - 1] !== p.percent) percents.push(p.percent);
+    });
+    for (var i = 0; i < 4; i++) s.add(function() { return sleep(10); });
+    s.pause();
+    var ranWhilePaused;
+    return sleep(40).then(function() {
+      ranWhilePaused = s.getStats();
+      s.resume();
+      return s.drain();
+    }).then(function() {
+      console.log('L while paused:', ranWhilePaused.done, 'done,', ranWhilePaused.queued, 'queued');
+      // 2 done, 2 queued — the first two had already started
+      console.log('L progress %:', percents.join(' → '));
+      // 0 → 25 → 50 → 75 → 100
+    });
+  },
+
+  function replacesParallelLimit() {
+    console.log('\nM: === TaskScheduler as a promise parallelLimit ===');
+    var s = new TaskScheduler({ concurrency: 2 });
+    return s.addAll([
+      function() { return sleep(40, 'a'); },
+      function() { return sleep(30, 'b'); },
+      function() { return sleep(20, 'c'); },
+      function() { return sleep(10, 'd'); },
+    ]).then(function(results) {
+      console.log('M result:', results);
+      // ['a', 'b', 'c', 'd'] — same contract as D, minus the callbacks
+    });
+  },
+];
+
+function runSchedulerTests() {
+  schedulerTests.reduce(function(chain, test) {
+    return chain.then(test);
+  }, Promise.resolve()).catch(function(err) {
+    console.error('Scheduler test failed:', err);
+    process.exitCode = 1;
+  });
+}
+
 // ─────────────────────────────────────────────
 // TEST CASES
 // ─────────────────────────────────────────────
 
-console.log('A: === asyncParallel ===');
-asyncParallel([
-  makeTask('T1', 100, 'one'),
-  makeTask('T2', 50, 'two'),
-  makeTask('T3', 80, 'three')
-], function(err, results) {
-  console.log('A result:', results);
-  // ['one', 'two', 'three'] — order preserved despite T2 finishing first
-
-  console.log('\nB: === asyncSeries ===');
-  asyncSeries([
-    makeTask('S1', 50, 'first'),
-    makeTask('S2', 30, 'second'),
-    makeTask('S3', 40, 'third')
+if (require.main === module) {
+  console.log('A: === asyncParallel ===');
+  asyncParallel([
+    makeTask('T1', 100, 'one'),
+    makeTask('T2', 50, 'two'),
+    makeTask('T3', 80, 'three')
   ], function(err, results) {
-    console.log('B result:', results);
-    // ['first', 'second', 'third'] — sequential order
-
-    console.log('\nC: === asyncWaterfall ===');
-    asyncWaterfall([
-      function(cb) {
-        console.log('  [W1] starting with 1');
-        cb(null, 1);
-      },
-      function(prev, cb) {
-        console.log('  [W2] received ' + prev + ', adding 10');
-        cb(null, prev + 10);
-      },
-      function(prev, cb) {
-        console.log('  [W3] received ' + prev + ', multiplying by 2');
-        cb(null, prev * 2);
-      }
-    ], function(err, result) {
-      console.log('C result:', result);
-      // 22 — (1+10)*2
-
-      console.log('\nD: === asyncParallelLimit (limit=2) ===');
-      asyncParallelLimit([
-        makeTask('L1', 100, 'a'),
-        makeTask('L2', 80, 'b'),
-        makeTask('L3', 60, 'c'),
-        makeTask('L4', 40, 'd')
-      ], 2, function(err, results) {
-        console.log('D result:', results);
-        // ['a', 'b', 'c', 'd'] — max 2 running at once
-
-        // E: Error handling test
-        console.log('\nE: === Error Handling ===');
-        asyncParallel([
-          function(cb) { cb(null, 'ok'); },
-          function(cb) { cb(new Error('fail!')); },
-          function(cb) { cb(null, 'ok2'); }
-        ], function(err, results) {
-          console.log('E result:', err ? 'Error: ' + err.message : results);
-          // Error: fail!
+    console.log('A result:', results);
+    // ['one', 'two', 'three'] — order preserved despite T2 finishing first
+
+    console.log('\nB: === asyncSeries ===');
+    asyncSeries([
+      makeTask('S1', 50, 'first'),
+      makeTask('S2', 30, 'second'),
+      makeTask('S3', 40, 'third')
+    ], function(err, results) {
+      console.log('B result:', results);
+      // ['first', 'second', 'third'] — sequential order
+
+      console.log('\nC: === asyncWaterfall ===');
+      asyncWaterfall([
+        function(cb) {
+          console.log('  [W1] starting with 1');
+          cb(null, 1);
+        },
+        function(prev, cb) {
+          console.log('  [W2] received ' + prev + ', adding 10');
+          cb(null, prev + 10);
+        },
+        function(prev, cb) {
+          console.log('  [W3] received ' + prev + ', multiplying by 2');
+          cb(null, prev * 2);
+        }
+      ], function(err, result) {
+        console.log('C result:', result);
+        // 22 — (1+10)*2
+
+        console.log('\nD: === asyncParallelLimit (limit=2) ===');
+        asyncParallelLimit([
+          makeTask('L1', 100, 'a'),
+          makeTask('L2', 80, 'b'),
+          makeTask('L3', 60, 'c'),
+          makeTask('L4', 40, 'd')
+        ], 2, function(err, results) {
+          console.log('D result:', results);
+          // ['a', 'b', 'c', 'd'] — max 2 running at once
+
+          // E: Error handling test
+          console.log('\nE: === Error Handling ===');
+          asyncParallel([
+            function(cb) { cb(null, 'ok'); },
+            function(cb) { cb(new Error('fail!')); },
+            function(cb) { cb(null, 'ok2'); }
+          ], function(err, results) {
+            console.log('E result:', err ? 'Error: ' + err.message : results);
+            // Error: fail!
+
+            runSchedulerTests();
+          });
         });
       });
     });
   });
-});
+}
 
 /**
  * FOLLOW-UP QUESTIONS:
  *
  * 1. How would you add timeout support to each task?
+ *    - Start a timer next to the task and race the two. Only the first to
+ *      settle counts. TaskScheduler also aborts the task's signal so the
+ *      work itself stops, not just the waiting.
  * 2. How does Promise.all relate to asyncParallel?
  * 3. What if a callback is called twice? How do you guard against that?
  *    - Use a flag `called` per task to ensure callback is only processed once.
  * 4. How would you implement asyncMap(items, asyncFn, cb)?
  * 5. What is backpressure and how does parallelLimit help?
+ *    - Producers outrun consumers. A limit caps in-flight work; per-key
+ *      limits and rate limits protect each downstream service separately.
+ * 6. Why add jitter to exponential backoff?
+ *    - Without it, every client that failed together retries together
+ *      and knocks the recovering service over again.
  *
  * ╔════════════════════════════════════════════════════════════════════════════╗
  * ║ INTERVIEW ANSWER                                                         ║
@@ -247,5 +835,9 @@ asyncParallel([
  * ║ parallelLimit: Maintain a running counter. Start up to `limit` tasks.    ║
  * ║ When one finishes, start the next queued task. Same result collection.   ║
  * ║                                                                          ║
+ * ║ TaskScheduler: parallelLimit whose "next task" is the first RUNNABLE     ║
+ * ║ one in the highest lane (key not at its limit, rate window has room).    ║
+ * ║ Each attempt gets its own AbortController, aborted on timeout or cancel. ║
+ * ║                                                                          ║
  * ╚════════════════════════════════════════════════════════════════════════════╝
  */
@@ -0,0 +1,220 @@
+/**
+ * TOPIC: Cache Trace Replay — which eviction policy wins on YOUR traffic?
+ *
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  GOLDEN RULE: Don't argue about LRU vs LFU, replay the keys. ║
+ * ║  Feed the same access trace through every policy at the same ║
+ * ║  size budget and compare hit ratios.                         ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  STORY: Four shopkeepers, same tiny shelf, same customers.   │
+ * │  Each decides differently what to throw out. At the end of   │
+ * │  the day, count who had the item on the shelf most often.   │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  VISUAL:                                                    │
+ * │                                                             │
+ * │   trace: a b a c d a e ...  ─┬─► Cache(lru)       hit %     │
+ * │   (one key per line,         ├─► Cache(lfu)       hit %     │
+ * │    optional size)            ├─► Cache(arc)       hit %     │
+ * │                              └─► Cache(w-tinylfu) hit %     │
+ * │   every lookup: get → miss? → set (read-through)            │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * Trace file format: one access per line, "key" or "key size". Blank
+ * lines and lines starting with # are ignored. Without files, four
+ * seeded synthetic traces are replayed (same numbers on every run):
+ *
+ *   node 09-cache-replay.js
+ *   node 09-cache-replay.js access.log --capacity 100,1000,10000
+ *   node 09-cache-replay.js a.trace b.trace --policies lru,w-tinylfu
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Cache, POLICIES } = require('./09-lru-cache');
+
+// ─────────────────────────────────────────────
+// SYNTHETIC TRACES
+// ─────────────────────────────────────────────
+
+function mulberry32(seed) {
+  return function () {
+    seed = (seed + 0x6d2b79f5) | 0;
+    var t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Zipf(s) over n keys via inverse CDF: key 0 is the most popular
+function zipfSampler(n, s, random) {
+  var cdf = new Float64Array(n);
+  var total = 0;
+  for (var i = 0; i < n; i++) {
+    total += 1 / Math.pow(i + 1, s);
+    cdf[i] = total;
+  }
+  return function () {
+    var target = random() * total;
+    var lo = 0;
+    var hi = n - 1;
+    while (lo < hi) {
+      var mid = (lo + hi) >> 1;
+      if (cdf[mid] < target) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  };
+}
+
+/**
+ * generateTrace(kind, { length, keys, seed }) → [{ key, size }]
+ *   zipf          — skewed popularity, the classic web/CDN shape
+ *   zipf+scans    — zipf, interrupted by one-off sequential scans
+ *   loop          — cycles through 30% of the keys (LRU's worst case)
+ *   shifting      — zipf whose hot set moves every quarter of the trace
+ */
+function generateTrace(kind, options) {
+  options = options || {};
+  var length = options.length || 50000;
+  var keys = options.keys || 5000;
+  var random = mulberry32(options.seed || 42);
+  var zipf = zipfSampler(keys, 0.9, random);
+  var trace = [];
+  var scanId = 0;
+
+  while (trace.length < length) {
+    var i = trace.length;
+    if (kind === 'zipf') {
+      trace.push({ key: 'k' + zipf(), size: 1 });
+    } else if (kind === 'zipf+scans') {
+      if (i % 10000 === 5000) {
+        for (var s = 0; s < 2000; s++) trace.push({ key: 'scan' + scanId + '-' + s, size: 1 });
+        scanId++;
+      } else {
+        trace.push({ key: 'k' + zipf(), size: 1 });
+      }
+    } else if (kind === 'loop') {
+      trace.push({ key: 'k' + (i % Math.round(keys * 0.3)), size: 1 });
+    } else if (kind === 'shifting') {
+      var phase = Math.floor((i / length) * 4);
+      trace.push({ key: 'k' + ((zipf() + phase * 997) % keys), size: 1 });
+    } else {
+      throw new TypeError('Unknown trace kind: ' + kind);
+    }
+  }
+  return trace.slice(0, length);
+}
+
+function readTrace(file) {
+  return fs.readFileSync(file, 'utf8').split('\n').reduce(function (trace, line) {
+    line = line.trim();
+    if (!line || line[0] === '#') return trace;
+    var parts = line.split(/\s+/);
+    var size = parts.length > 1 ? Number(parts[1]) : 1;
+    if (!(size >= 0)) throw new Error(file + ': bad size in line "' + line + '"');
+    trace.push({ key: parts[0], size: size });
+    return trace;
+  }, []);
+}
+
+// ─────────────────────────────────────────────
+// REPLAY
+// ─────────────────────────────────────────────
+
+/**
+ * replay(trace, { policies, capacity }) → [{ policy, hitRatio, hits, misses, evictions }]
+ * Read-through: every access is a get(); a miss is followed by set().
+ */
+function replay(trace, options) {
+  options = options || {};
+  var policies = options.policies || Object.keys(POLICIES);
+  return policies.map(function (policy) {
+    var cache = new Cache({ maxSize: options.capacity, policy: policy });
+    for (var i = 0; i < trace.length; i++) {
+      var access = trace[i];
+      if (cache.get(access.key) === undefined) cache.set(access.key, true, { size: access.size });
+    }
+    var stats = cache.getStats();
+    return {
+      policy: policy,
+      hitRatio: stats.hitRatio,
+      hits: stats.hits,
+      misses: stats.misses,
+      evictions: stats.evictions,
+    };
+  });
+}
+
+function printTable(name, trace, capacities, policies) {
+  console.log('\n' + name + '  (' + trace.length + ' accesses, ' +
+    new Set(trace.map(function (a) { return a.key; })).size + ' distinct keys)');
+  console.log('  ' + 'capacity'.padEnd(10) + policies.map(function (p) { return p.padStart(12); }).join(''));
+  capacities.forEach(function (capacity) {
+    var results = replay(trace, { policies: policies, capacity: capacity });
+    var best = Math.max.apply(null, results.map(function (r) { return r.hitRatio; }));
+    var cells = results.map(function (r) {
+      var cell = (r.hitRatio * 100).toFixed(2) + '%' + (r.hitRatio === best ? '*' : ' ');
+      return cell.padStart(12);
+    });
+    console.log('  ' + String(capacity).padEnd(10) + cells.join(''));
+  });
+}
+
+function parseArgs(argv) {
+  var args = { files: [], capacities: [100, 500, 1000], policies: Object.keys(POLICIES) };
+  for (var i = 0; i < argv.length; i++) {
+    if (argv[i] === '--capacity') args.capacities = argv[++i].split(',').map(Number);
+    else if (argv[i] === '--policies') args.policies = argv[++i].split(',');
+    else args.files.push(argv[i]);
+  }
+  args.policies.forEach(function (p) {
+    if (!POLICIES[p]) throw new Error('Unknown policy "' + p + '" (have: ' + Object.keys(POLICIES).join(', ') + ')');
+  });
+  return args;
+}
+
+module.exports = { replay, generateTrace, readTrace };
+
+if (require.main === module) {
+  var args = parseArgs(process.argv.slice(2));
+  console.log('=== Cache trace replay: hit ratio per policy (* = best) ===');
+
+  if (args.files.length) {
+    args.files.forEach(function (file) {
+      printTable(path.basename(file), readTrace(file), args.capacities, args.policies);
+    });
+  } else {
+    ['zipf', 'zipf+scans', 'loop', 'shifting'].forEach(function (kind) {
+      printTable(kind, generateTrace(kind), args.capacities, args.policies);
+    });
+  }
+}
+
+/**
+ * WHAT TO EXPECT (synthetic traces, capacity 100):
+ *   zipf        — LRU 30.6% vs ~41.5% for the others: frequency beats
+ *                 recency when popularity is skewed.
+ *   zipf+scans  — LRU loses the hot set on every scan; the others keep
+ *                 it and stay ~9 points ahead.
+ *   loop        — a loop bigger than the cache: LRU, LFU and ARC hit 0%
+ *                 (each key is evicted just before it comes back).
+ *                 At 500 / 1000 W-TinyLFU refuses to admit most of the
+ *                 loop, so the part it keeps hits every lap (27% / 60%).
+ *   shifting    — plain LFU clings to yesterday's favourites (12.9%);
+ *                 ARC adapts fastest, the sketch's aging lets W-TinyLFU
+ *                 follow too.
+ *
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  INTERVIEW ANSWER                                            ║
+ * ║                                                              ║
+ * ║  "I'd record a sample of real keys, replay it through each   ║
+ * ║  candidate policy at the memory budget we can afford, and    ║
+ * ║  pick by hit ratio. Synthetic zipf is a start, but scans,    ║
+ * ║  loops and shifting popularity are what separate LRU from    ║
+ * ║  ARC and W-TinyLFU."                                         ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ */
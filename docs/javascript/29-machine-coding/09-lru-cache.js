@@ -37,7 +37,29 @@
  * │                                                                           │
  * └────────────────────────────────────────────────────────────────────────────┘
  *
+ * ┌────────────────────────────────────────────────────────────────────────────┐
+ * │ FOLLOW-UP: ONE CACHE, PLUGGABLE POLICIES (APPROACH 3)                     │
+ * ├────────────────────────────────────────────────────────────────────────────┤
+ * │                                                                           │
+ * │  Cache ── map: key → entry          TimerWheel ── TTL expiry             │
+ * │    │      weight = Σ sizeOf(value)                                        │
+ * │    └── policy: insert / access / victim / remove                         │
+ * │                                                                           │
+ * │  LRU        one list, evict the head                                      │
+ * │  LFU        frequency nodes 1 → 2 → 5, each with its own LRU list: O(1)  │
+ * │  ARC        T1 (seen once) + T2 (seen twice) + ghost lists B1/B2 that    │
+ * │             move the T1/T2 split towards whatever would have hit          │
+ * │  W-TinyLFU  window LRU (1%) → probation / protected (main 99%)           │
+ * │             a newcomer only enters main if the count-min sketch says it  │
+ * │             is MORE popular than the entry it would push out             │
+ * │                                                                           │
+ * │  A one-off scan of 10,000 keys flushes an LRU completely. In W-TinyLFU   │
+ * │  each scanned key has frequency 1 and loses every duel → scan resistant. │
+ * │                                                                           │
+ * └────────────────────────────────────────────────────────────────────────────┘
+ *
  * RUN: node docs/javascript/29-machine-coding/09-lru-cache.js
+ *      node docs/javascript/29-machine-coding/09-cache-replay.js   (pick a policy from data)
  */
 
 // ─────────────────────────────────────────────
@@ -93,35 +115,65 @@ class DLLNode {
   }
 }
 
-class LRUCacheDLL {
-  constructor(capacity) {
-    this.capacity = capacity;
-    this.map = {};
-    this.size = 0;
-    // Sentinel nodes
+// Sentinel-node list: head side = LRU, tail side = MRU. Shared by
+// LRUCacheDLL and every policy in APPROACH 3, so nodes can also carry a
+// `size` and the list keeps the total weight of what it holds.
+class DoublyLinkedList {
+  constructor() {
     this.head = new DLLNode(0, 0); // dummy head (LRU side)
     this.tail = new DLLNode(0, 0); // dummy tail (MRU side)
     this.head.next = this.tail;
     this.tail.prev = this.head;
+    this.length = 0;
+    this.weight = 0;
   }
 
-  _removeNode(node) {
+  removeNode(node) {
     node.prev.next = node.next;
     node.next.prev = node.prev;
+    node.prev = null;
+    node.next = null;
+    node.list = null;
+    this.length--;
+    this.weight -= node.size || 0;
   }
 
-  _addToTail(node) {
+  addToTail(node) {
     node.prev = this.tail.prev;
     node.next = this.tail;
     this.tail.prev.next = node;
     this.tail.prev = node;
+    node.list = this;
+    this.length++;
+    this.weight += node.size || 0;
+  }
+
+  moveToTail(node) {
+    this.removeNode(node);
+    this.addToTail(node);
+  }
+
+  first() {
+    return this.length ? this.head.next : null;
+  }
+
+  *[Symbol.iterator]() {
+    for (var curr = this.head.next; curr !== this.tail; curr = curr.next) yield curr;
+  }
+}
+
+class LRUCacheDLL {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.map = {};
+    this.size = 0;
+    this.list = new DoublyLinkedList();
   }
 
   get(key) {
     if (!this.map[key]) return -1;
     var node = this.map[key];
-    this._removeNode(node);
-    this._addToTail(node);
+    this.list.moveToTail(node);
     return node.value;
   }
 
@@ -129,17 +181,16 @@ class LRUCacheDLL {
     if (this.map[key]) {
       var existing = this.map[key];
       existing.value = value;
-      this._removeNode(existing);
-      this._addToTail(existing);
+      this.list.moveToTail(existing);
     } else {
       var node = new DLLNode(key, value);
       this.map[key] = node;
-      this._addToTail(node);
+      this.list.addToTail(node);
       this.size++;
 
       if (this.size > this.capacity) {
-        var lru = this.head.next;
-        this._removeNode(lru);
+        var lru = this.list.first();
+        this.list.removeNode(lru);
         delete this.map[lru.key];
         this.size--;
       }
@@ -148,73 +199,701 @@ class LRUCacheDLL {
 
   toString() {
     var entries = [];
-    var curr = this.head.next;
-    while (curr !== this.tail) {
-      entries.push(curr.key + ':' + curr.value);
-      curr = curr.next;
-    }
+    for (var node of this.list) entries.push(node.key + ':' + node.value);
     return '[' + entries.join(', ') + ']';
   }
 }
 
 // ─────────────────────────────────────────────
-// TEST CASES — Map-based LRU
+// APPROACH 3: Cache with pluggable eviction policies
 // ─────────────────────────────────────────────
+//
+// Every policy keeps the cache's entries (DLL nodes) in its own lists and
+// answers four questions: insert(entry), access(entry), victim() and
+// remove(entry, reason). The Cache owns the map, sizes, TTL and stats.
 
-console.log('=== LRU Cache (Map-based) ===');
+class CacheEntry extends DLLNode {
+  constructor(key, value, size, expiresAt) {
+    super(key, value);
+    this.size = size;
+    this.expiresAt = expiresAt; // 0 = never
+    this.list = null; // which DoublyLinkedList holds it right now
+    this.bucket = null; // timer-wheel slot
+  }
+}
 
-var lru = new LRUCache(3);
-lru.put(1, 'A');
-lru.put(2, 'B');
-lru.put(3, 'C');
-console.log('A:', lru.toString());        // [1:A, 2:B, 3:C]
+// ─── LRU: evict the least recently used ───
 
-console.log('B:', lru.get(1));            // A
-console.log('C:', lru.toString());        // [2:B, 3:C, 1:A]  — 1 moved to end
+class LRUPolicy {
+  constructor() {
+    this.list = new DoublyLinkedList();
+  }
 
-lru.put(4, 'D');                          // evicts key 2 (LRU)
-console.log('D:', lru.toString());        // [3:C, 1:A, 4:D]
-console.log('E:', lru.get(2));            // -1 (evicted)
+  insert(entry) {
+    this.list.addToTail(entry);
+  }
 
-lru.put(3, 'C2');                         // update existing
-console.log('F:', lru.toString());        // [1:A, 4:D, 3:C2]
+  access(entry) {
+    this.list.moveToTail(entry);
+  }
 
-lru.put(5, 'E');                          // evicts key 1
-console.log('G:', lru.toString());        // [4:D, 3:C2, 5:E]
-console.log('H:', lru.get(1));            // -1 (evicted)
+  victim() {
+    return this.list.first();
+  }
 
-// ─────────────────────────────────────────────
-// TEST CASES — DLL-based LRU
-// ─────────────────────────────────────────────
+  remove(entry) {
+    this.list.removeNode(entry);
+  }
+}
 
-console.log('\n=== LRU Cache (DLL-based) ===');
+// ─── LFU in O(1): a list of frequency nodes, each holding an LRU list ───
+//
+//   head → [freq 1: d, e] → [freq 2: a] → [freq 5: b, c]
+//           victim = d (lowest frequency, then least recent)
 
-var lru2 = new LRUCacheDLL(2);
-lru2.put(1, 10);
-lru2.put(2, 20);
-console.log('I:', lru2.toString());       // [1:10, 2:20]
-console.log('J:', lru2.get(1));           // 10
-console.log('K:', lru2.toString());       // [2:20, 1:10]  — 1 accessed, moved
+class FrequencyNode {
+  constructor(freq) {
+    this.freq = freq;
+    this.entries = new DoublyLinkedList();
+    this.prev = null;
+    this.next = null;
+  }
+}
 
-lru2.put(3, 30);                          // evicts key 2
-console.log('L:', lru2.toString());       // [1:10, 3:30]
-console.log('M:', lru2.get(2));           // -1 (evicted)
+class LFUPolicy {
+  constructor() {
+    this.head = null; // lowest frequency
+  }
 
-lru2.put(4, 40);                          // evicts key 1
-console.log('N:', lru2.toString());       // [3:30, 4:40]
+  _linkAfter(node, prev) {
+    node.prev = prev;
+    node.next = prev ? prev.next : this.head;
+    if (node.next) node.next.prev = node;
+    if (prev) prev.next = node;
+    else this.head = node;
+  }
 
-// ─────────────────────────────────────────────
-// TEST: capacity 1 edge case
-// ─────────────────────────────────────────────
+  _unlinkIfEmpty(node) {
+    if (node.entries.length) return;
+    if (node.prev) node.prev.next = node.next;
+    else this.head = node.next;
+    if (node.next) node.next.prev = node.prev;
+  }
+
+  insert(entry) {
+    if (!this.head || this.head.freq !== 1) this._linkAfter(new FrequencyNode(1), null);
+    this.head.entries.addToTail(entry);
+    entry.freqNode = this.head;
+  }
 
-console.log('\n=== Edge Case: capacity 1 ===');
+  access(entry) {
+    var node = entry.freqNode;
+    var next = node.next;
+    if (!next || next.freq !== node.freq + 1) {
+      next = new FrequencyNode(node.freq + 1);
+      this._linkAfter(next, node);
+    }
+    node.entries.removeNode(entry);
+    next.entries.addToTail(entry);
+    entry.freqNode = next;
+    this._unlinkIfEmpty(node);
+  }
 
-var lru3 = new LRUCache(1);
-lru3.put(1, 'X');
-console.log('O:', lru3.get(1));           // X
-lru3.put(2, 'Y');
-console.log('P:', lru3.get(1));           // -1 (evicted)
-console.log('Q:', lru3.get(2));           // Y
+  victim() {
+    return this.head ? this.head.entries.first() : null;
+  }
+
+  remove(entry) {
+    entry.freqNode.entries.removeNode(entry);
+    this._unlinkIfEmpty(entry.freqNode);
+    entry.freqNode = null;
+  }
+}
+
+// ─── ARC (Megiddo & Modha): adaptive split between recency and frequency ───
+//
+//   T1 = seen once recently      T2 = seen at least twice
+//   B1 / B2 = keys recently evicted from T1 / T2 (no values, "ghosts")
+//   A miss that hits B1 means "T1 was too small" → grow target p.
+//   A miss that hits B2 means "T2 was too small" → shrink p.
+// Sizes are weights here (not entry counts), so p moves by the entry's size.
+
+class ARCPolicy {
+  constructor(maxSize) {
+    this.capacity = maxSize;
+    this.p = 0; // target weight for T1
+    this.t1 = new DoublyLinkedList();
+    this.t2 = new DoublyLinkedList();
+    this.b1 = new Map(); // key -> size, oldest first
+    this.b2 = new Map();
+    this.b1Weight = 0;
+    this.b2Weight = 0;
+    this.ghostHit = null;
+  }
+
+  // Called for a new key, before the cache makes room for it
+  prepare(key, size) {
+    if (this.b1.has(key)) {
+      this.p = Math.min(this.capacity, this.p + size * Math.max(this.b2Weight / this.b1Weight, 1));
+      this.ghostHit = 'b1';
+      this._dropGhost(this.b1, key);
+    } else if (this.b2.has(key)) {
+      this.p = Math.max(0, this.p - size * Math.max(this.b1Weight / this.b2Weight, 1));
+      this.ghostHit = 'b2';
+      this._dropGhost(this.b2, key);
+    } else {
+      this.ghostHit = null;
+    }
+  }
+
+  // REPLACE from the paper
+  victim() {
+    var t1 = this.t1;
+    var fromT1 = t1.length && (t1.weight > this.p || (this.ghostHit === 'b2' && t1.weight === this.p));
+    if (fromT1 || !this.t2.length) return t1.first();
+    return this.t2.first();
+  }
+
+  insert(entry) {
+    // Seen before (ghost hit) → it's frequent: straight into T2
+    (this.ghostHit ? this.t2 : this.t1).addToTail(entry);
+    this.ghostHit = null;
+    this._trimGhosts();
+  }
+
+  access(entry) {
+    entry.list.removeNode(entry);
+    this.t2.addToTail(entry);
+  }
+
+  remove(entry, reason) {
+    var list = entry.list;
+    list.removeNode(entry);
+    if (reason !== 'capacity') return;
+    var ghost = list === this.t1 ? this.b1 : this.b2;
+    ghost.set(entry.key, entry.size);
+    if (ghost === this.b1) this.b1Weight += entry.size;
+    else this.b2Weight += entry.size;
+  }
+
+  _dropGhost(ghost, key) {
+    var size = ghost.get(key);
+    ghost.delete(key);
+    if (ghost === this.b1) this.b1Weight -= size;
+    else this.b2Weight -= size;
+  }
+
+  _trimGhosts() {
+    var c = this.capacity;
+    while (this.b1.size && this.t1.weight + this.b1Weight > c) this._dropGhost(this.b1, this.b1.keys().next().value);
+    while (this.b2.size && this.t1.weight + this.t2.weight + this.b1Weight + this.b2Weight > 2 * c) {
+      this._dropGhost(this.b2, this.b2.keys().next().value);
+    }
+  }
+}
+
+// ─── Count-min sketch: approximate frequencies in a few KB ───
+//
+//   4 rows of 4-bit-style counters (capped at 15). estimate = min over rows.
+//   After 10 × width increments every counter is halved, so old popularity
+//   fades ("aging") and the sketch follows a changing workload.
+
+function hashString(str, seed) {
+  var h = 0x811c9dc5 ^ seed; // FNV-1a
+  for (var i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  h ^= h >>> 16; // final mix so nearby keys spread out
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  return h >>> 0;
+}
+
+class CountMinSketch {
+  constructor(expectedEntries) {
+    var width = 16;
+    while (width < expectedEntries) width *= 2;
+    this.width = width;
+    this.rows = [0, 1, 2, 3].map(function () { return new Uint8Array(width); });
+    this.additions = 0;
+    this.sampleSize = 10 * width;
+  }
+
+  _indexes(key) {
+    var str = typeof key + ':' + String(key);
+    var h1 = hashString(str, 0);
+    var h2 = hashString(str, 0x9e3779b9) | 1;
+    var mask = this.width - 1;
+    return [0, 1, 2, 3].map(function (i) { return (h1 + i * h2) & mask; });
+  }
+
+  estimate(key) {
+    var rows = this.rows;
+    return Math.min.apply(null, this._indexes(key).map(function (index, row) { return rows[row][index]; }));
+  }
+
+  increment(key) {
+    var rows = this.rows;
+    this._indexes(key).forEach(function (index, row) {
+      if (rows[row][index] < 15) rows[row][index]++;
+    });
+    if (++this.additions >= this.sampleSize) this._age();
+  }
+
+  _age() {
+    this.rows.forEach(function (row) {
+      for (var i = 0; i < row.length; i++) row[i] >>= 1;
+    });
+    this.additions = Math.floor(this.additions / 2);
+  }
+}
+
+// ─── W-TinyLFU (as in Caffeine) ───
+//
+//   new keys → [ window LRU ~1% ] ──overflow──▶ candidate
+//                                                   │ duel: sketch.estimate
+//   [ probation 20% ] ◀── winner ───────────────────┤ candidate vs probation LRU
+//        │ hit                                      └─ loser is evicted
+//        ▼
+//   [ protected 80% ] ── overflow demotes back to probation
+
+class WTinyLFUPolicy {
+  constructor(maxSize, options) {
+    options = options || {};
+    var windowRatio = options.windowRatio !== undefined ? options.windowRatio : 0.01;
+    this.windowMax = Math.max(1, Math.round(maxSize * windowRatio));
+    this.protectedMax = Math.floor((maxSize - this.windowMax) * 0.8);
+    this.window = new DoublyLinkedList();
+    this.probation = new DoublyLinkedList();
+    this.protected = new DoublyLinkedList();
+    this.sketch = new CountMinSketch(options.expectedEntries || maxSize);
+    this.candidates = new Set(); // window overflow waiting for a duel
+  }
+
+  // Every lookup counts, hit or miss - that's what makes the sketch useful
+  record(key) {
+    this.sketch.increment(key);
+  }
+
+  victim(key, size) {
+    // Make room in the window for the newcomer; overflow becomes candidates
+    while (this.window.length && this.window.weight + size > this.windowMax) {
+      var moved = this.window.first();
+      this.window.removeNode(moved);
+      this.probation.addToTail(moved);
+      this.candidates.add(moved);
+    }
+    var candidate = this.candidates.size ? this.candidates.values().next().value : null;
+    var victim = this.probation.first();
+    if (!victim || this.candidates.has(victim)) victim = this.protected.first();
+    if (!victim) return candidate || this.window.first();
+    if (!candidate) return victim;
+    this.candidates.delete(candidate); // each candidate duels once
+    return this.sketch.estimate(candidate.key) > this.sketch.estimate(victim.key) ? victim : candidate;
+  }
+
+  insert(entry) {
+    this.candidates.clear(); // whoever didn't have to duel got in for free
+    this.window.addToTail(entry);
+    while (this.window.weight > this.windowMax && this.window.length > 1) {
+      this.probation.addToTail(this._shift(this.window));
+    }
+  }
+
+  access(entry) {
+    if (entry.list === this.window || entry.list === this.protected) {
+      entry.list.moveToTail(entry);
+      return;
+    }
+    // Probation hit → promote; protected overflow is demoted, not evicted
+    this.probation.removeNode(entry);
+    this.protected.addToTail(entry);
+    while (this.protected.weight > this.protectedMax && this.protected.length > 1) {
+      this.probation.addToTail(this._shift(this.protected));
+    }
+  }
+
+  remove(entry) {
+    this.candidates.delete(entry);
+    entry.list.removeNode(entry);
+  }
+
+  _shift(list) {
+    var node = list.first();
+    list.removeNode(node);
+    return node;
+  }
+}
+
+var POLICIES = {
+  lru: function () { return new LRUPolicy(); },
+  lfu: function () { return new LFUPolicy(); },
+  arc: function (maxSize) { return new ARCPolicy(maxSize); },
+  'w-tinylfu': function (maxSize, options) { return new WTinyLFUPolicy(maxSize, options); },
+};
+
+// ─── TTL: hashed timer wheel ───
+//
+//   slot = floor(expiresAt / tickMs) % slots. advance(now) walks only the
+//   slots whose tick has passed, so expiring is O(expired + ticks), not a
+//   scan of the whole cache. Entries more than one lap ahead just stay put
+//   until their own lap comes round.
+
+class TimerWheel {
+  constructor(tickMs, slots, now) {
+    this.tickMs = tickMs;
+    this.buckets = Array.from({ length: slots }, function () { return new Set(); });
+    this.currentTick = Math.floor(now / tickMs);
+  }
+
+  schedule(entry) {
+    if (!entry.expiresAt) return;
+    var tick = Math.max(Math.floor(entry.expiresAt / this.tickMs), this.currentTick);
+    entry.bucket = this.buckets[tick % this.buckets.length];
+    entry.bucket.add(entry);
+  }
+
+  unschedule(entry) {
+    if (entry.bucket) entry.bucket.delete(entry);
+    entry.bucket = null;
+  }
+
+  advance(now, expire) {
+    var target = Math.floor(now / this.tickMs);
+    var last = Math.min(target, this.currentTick + this.buckets.length - 1);
+    for (var tick = this.currentTick; tick <= last; tick++) {
+      for (var entry of Array.from(this.buckets[tick % this.buckets.length])) {
+        if (entry.expiresAt <= now) expire(entry);
+      }
+    }
+    this.currentTick = target;
+  }
+}
+
+// ─── The cache ───
+//
+//   new Cache({
+//     maxSize: 50 * 1024 * 1024,
+//     sizeOf: (value, key) => value.length,    // default: every entry = 1
+//     policy: 'w-tinylfu',                      // 'lru' | 'lfu' | 'arc' | 'w-tinylfu'
+//     ttl: 60_000,                              // default TTL in ms, 0 = none
+//     onEvict: (key, value, reason) => {},      // 'capacity' | 'expired' | 'deleted' | 'replaced' | 'too-large'
+//   })
+
+class Cache {
+  constructor(options) {
+    options = options || {};
+    if (!(options.maxSize > 0)) throw new TypeError('maxSize must be a positive number');
+    var policy = options.policy || 'lru';
+    if (typeof policy === 'string' && !POLICIES[policy]) throw new TypeError('Unknown policy: ' + policy);
+
+    this.maxSize = options.maxSize;
+    this.sizeOf = options.sizeOf || function () { return 1; };
+    this.ttl = options.ttl || 0;
+    this.onEvict = options.onEvict || null;
+    this.now = options.now || Date.now;
+    this.policyName = typeof policy === 'string' ? policy : 'custom';
+    this.policy = typeof policy === 'string' ? POLICIES[policy](this.maxSize, options) : policy;
+    this.map = new Map();
+    this.weight = 0;
+    this.wheel = new TimerWheel(options.tickMs || 1000, options.wheelSlots || 256, this.now());
+    this.stats = { hits: 0, misses: 0, sets: 0, evictions: 0, expirations: 0, rejections: 0 };
+    this.timer = null;
+
+    // Optional background sweep; reads and writes expire lazily anyway
+    if (options.expiryInterval) {
+      this.timer = setInterval(this.purgeExpired.bind(this), options.expiryInterval);
+      if (this.timer.unref) this.timer.unref();
+    }
+  }
+
+  get size() {
+    return this.map.size;
+  }
+
+  _isExpired(entry) {
+    return entry.expiresAt !== 0 && entry.expiresAt <= this.now();
+  }
+
+  get(key) {
+    if (this.policy.record) this.policy.record(key);
+    var entry = this.map.get(key);
+    if (entry && this._isExpired(entry)) {
+      this._remove(entry, 'expired');
+      entry = undefined;
+    }
+    if (!entry) {
+      this.stats.misses++;
+      return undefined;
+    }
+    this.stats.hits++;
+    this.policy.access(entry);
+    return entry.value;
+  }
+
+  // Read without touching recency, frequency or stats
+  peek(key) {
+    var entry = this.map.get(key);
+    return entry && !this._isExpired(entry) ? entry.value : undefined;
+  }
+
+  has(key) {
+    var entry = this.map.get(key);
+    return Boolean(entry) && !this._isExpired(entry);
+  }
+
+  set(key, value, options) {
+    options = options || {};
+    var ttl = options.ttl !== undefined ? options.ttl : this.ttl;
+    var size = options.size !== undefined ? options.size : this.sizeOf(value, key);
+    if (!(size >= 0)) throw new TypeError('sizeOf must return a non-negative number, got ' + size);
+    this.purgeExpired();
+
+    var existing = this.map.get(key);
+    if (size > this.maxSize) {
+      // Bigger than the whole cache: never stored (and the old value is stale)
+      if (existing) this._remove(existing, 'replaced');
+      this.stats.rejections++;
+      this._notify(key, value, 'too-large');
+      return false;
+    }
+    this.stats.sets++;
+    var expiresAt = ttl > 0 ? this.now() + ttl : 0;
+
+    if (existing) {
+      var oldValue = existing.value;
+      existing.list.weight += size - existing.size;
+      this.weight += size - existing.size;
+      existing.value = value;
+      existing.size = size;
+      existing.expiresAt = expiresAt;
+      this.wheel.unschedule(existing);
+      this.wheel.schedule(existing);
+      this.policy.access(existing);
+      if (oldValue !== value) this._notify(key, oldValue, 'replaced');
+      while (this.weight > this.maxSize) this._remove(this.policy.victim(key, 0), 'capacity');
+      return true;
+    }
+
+    if (this.policy.record) this.policy.record(key);
+    if (this.policy.prepare) this.policy.prepare(key, size);
+    while (this.weight + size > this.maxSize) this._remove(this.policy.victim(key, size), 'capacity');
+
+    var entry = new CacheEntry(key, value, size, expiresAt);
+    this.map.set(key, entry);
+    this.weight += size;
+    this.policy.insert(entry);
+    this.wheel.schedule(entry);
+    return true;
+  }
+
+  delete(key) {
+    var entry = this.map.get(key);
+    if (!entry) return false;
+    this._remove(entry, 'deleted');
+    return true;
+  }
+
+  clear() {
+    for (var entry of Array.from(this.map.values())) this._remove(entry, 'deleted');
+  }
+
+  purgeExpired() {
+    var before = this.stats.expirations;
+    this.wheel.advance(this.now(), this._expire || (this._expire = (entry) => this._remove(entry, 'expired')));
+    return this.stats.expirations - before;
+  }
+
+  dispose() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  keys() {
+    return Array.from(this.map.keys());
+  }
+
+  getStats() {
+    var lookups = this.stats.hits + this.stats.misses;
+    return Object.assign({}, this.stats, {
+      hitRatio: lookups ? this.stats.hits / lookups : 0,
+      entries: this.map.size,
+      weight: this.weight,
+      maxSize: this.maxSize,
+    });
+  }
+
+  _remove(entry, reason) {
+    this.map.delete(entry.key);
+    this.weight -= entry.size;
+    this.policy.remove(entry, reason);
+    this.wheel.unschedule(entry);
+    if (reason === 'capacity') this.stats.evictions++;
+    if (reason === 'expired') this.stats.expirations++;
+    this._notify(entry.key, entry.value, reason);
+  }
+
+  _notify(key, value, reason) {
+    if (this.onEvict) this.onEvict(key, value, reason);
+  }
+}
+
+module.exports = {
+  LRUCache,
+  LRUCacheDLL,
+  DLLNode,
+  DoublyLinkedList,
+  Cache,
+  POLICIES,
+  LRUPolicy,
+  LFUPolicy,
+  ARCPolicy,
+  WTinyLFUPolicy,
+  CountMinSketch,
+  TimerWheel,
+};
+
+if (require.main === module) {
+  // ─────────────────────────────────────────────
+  // TEST CASES — Map-based LRU
+  // ─────────────────────────────────────────────
+
+  console.log('=== LRU Cache (Map-based) ===');
+
+  var lru = new LRUCache(3);
+  lru.put(1, 'A');
+  lru.put(2, 'B');
+  lru.put(3, 'C');
+  console.log('A:', lru.toString());        // [1:A, 2:B, 3:C]
+
+  console.log('B:', lru.get(1));            // A
+  console.log('C:', lru.toString());        // [2:B, 3:C, 1:A]  — 1 moved to end
+
+  lru.put(4, 'D');                          // evicts key 2 (LRU)
+  console.log('D:', lru.toString());        // [3:C, 1:A, 4:D]
+  console.log('E:', lru.get(2));            // -1 (evicted)
+
+  lru.put(3, 'C2');                         // update existing
+  console.log('F:', lru.toString());        // [1:A, 4:D, 3:C2]
+
+  lru.put(5, 'E');                          // evicts key 1
+  console.log('G:', lru.toString());        // [4:D, 3:C2, 5:E]
+  console.log('H:', lru.get(1));            // -1 (evicted)
+
+  // ─────────────────────────────────────────────
+  // TEST CASES — DLL-based LRU
+  // ─────────────────────────────────────────────
+
+  console.log('\n=== LRU Cache (DLL-based) ===');
+
+  var lru2 = new LRUCacheDLL(2);
+  lru2.put(1, 10);
+  lru2.put(2, 20);
+  console.log('I:', lru2.toString());       // [1:10, 2:20]
+  console.log('J:', lru2.get(1));           // 10
+  console.log('K:', lru2.toString());       // [2:20, 1:10]  — 1 accessed, moved
+
+  lru2.put(3, 30);                          // evicts key 2
+  console.log('L:', lru2.toString());       // [1:10, 3:30]
+  console.log('M:', lru2.get(2));           // -1 (evicted)
+
+  lru2.put(4, 40);                          // evicts key 1
+  console.log('N:', lru2.toString());       // [3:30, 4:40]
+
+  // ─────────────────────────────────────────────
+  // TEST: capacity 1 edge case
+  // ─────────────────────────────────────────────
+
+  console.log('\n=== Edge Case: capacity 1 ===');
+
+  var lru3 = new LRUCache(1);
+  lru3.put(1, 'X');
+  console.log('O:', lru3.get(1));           // X
+  lru3.put(2, 'Y');
+  console.log('P:', lru3.get(1));           // -1 (evicted)
+  console.log('Q:', lru3.get(2));           // Y
+
+  // ─────────────────────────────────────────────
+  // TEST CASES — Policy-based Cache
+  // ─────────────────────────────────────────────
+
+  console.log('\n=== Cache: sizeOf, onEvict, stats ===');
+
+  var evicted = [];
+  var sized = new Cache({
+    maxSize: 10,
+    sizeOf: function (value) { return value.length; },
+    onEvict: function (key, value, reason) { evicted.push(key + ':' + reason); },
+  });
+  sized.set('a', 'xxxx');                   // 4
+  sized.set('b', 'xxxx');                   // 8
+  sized.get('a');                           // a is now most recent
+  sized.set('c', 'xxxx');                   // 12 > 10 → evict b
+  console.log('R:', sized.keys(), sized.weight);   // [ 'a', 'c' ] 8
+  sized.set('huge', 'x'.repeat(11));        // bigger than the whole cache
+  sized.set('a', 'yy');                     // shrink in place
+  sized.delete('c');
+  console.log('S:', evicted);               // [ 'b:capacity', 'huge:too-large', 'a:replaced', 'c:deleted' ]
+  var stats = sized.getStats();
+  console.log('T:', stats.hits, stats.misses, stats.evictions, stats.rejections, stats.weight);  // 1 0 1 1 2
+
+  console.log('\n=== Cache: TTL (lazy + timer wheel) ===');
+
+  var clock = 0;
+  var ttlCache = new Cache({ maxSize: 100, ttl: 5000, tickMs: 1000, now: function () { return clock; } });
+  ttlCache.set('session', 'abc');
+  ttlCache.set('config', 'v1', { ttl: 0 });          // never expires
+  ttlCache.set('token', 't', { ttl: 1500 });
+  clock = 2000;
+  console.log('U:', ttlCache.get('token'), ttlCache.has('session'));  // undefined true  (lazy expiry on read)
+  clock = 60000;
+  console.log('V:', ttlCache.purgeExpired(), ttlCache.keys());        // 1 [ 'config' ]  (wheel sweep)
+  console.log('W:', ttlCache.getStats().expirations);                 // 2
+
+  console.log('\n=== Cache: LFU in O(1) ===');
+
+  var lfu = new Cache({ maxSize: 3, policy: 'lfu' });
+  lfu.set('a', 1); lfu.set('b', 2); lfu.set('c', 3);
+  lfu.get('a'); lfu.get('a'); lfu.get('b');
+  lfu.set('d', 4);                          // c has freq 1 → evicted
+  lfu.set('e', 5);                          // d (freq 1, older than e) → evicted
+  console.log('X:', lfu.keys().sort());     // [ 'a', 'b', 'e' ]
+
+  console.log('\n=== Cache: scan resistance ===');
+
+  // Hot set of 50 keys read over and over, interrupted by one-off scans
+  // of 500 keys that are never read again. LRU lets every scan flush it.
+  function scanWorkload(policy) {
+    var cache = new Cache({ maxSize: 100, policy: policy });
+    for (var round = 0; round < 20; round++) {
+      for (var pass = 0; pass < 5; pass++) {
+        for (var h = 0; h < 50; h++) {
+          if (cache.get('hot' + h) === undefined) cache.set('hot' + h, h);
+        }
+      }
+      for (var s = 0; s < 500; s++) {
+        var key = 'scan' + round + '-' + s;
+        if (cache.get(key) === undefined) cache.set(key, s);
+      }
+    }
+    return cache.getStats().hitRatio;
+  }
+  ['lru', 'lfu', 'arc', 'w-tinylfu'].forEach(function (policy) {
+    console.log('Y:', policy.padEnd(9), (scanWorkload(policy) * 100).toFixed(1) + '%');
+  });
+  // Y: lru       26.7%   ← every scan flushes the hot set; 50 misses per round
+  // Y: lfu       33.0%   ← hot keys have high counts, scans can't displace them
+  // Y: arc       33.0%   ← scans churn through T1, the hot set lives in T2
+  // Y: w-tinylfu 32.9%   ← scan keys lose the frequency duel at the door
+  // (33.0% is the ceiling: 4950 possible hits out of 15000 lookups)
+
+  try {
+    new Cache({ maxSize: 0 });
+  } catch (e) {
+    console.log('Z:', e.constructor.name, e.message);  // TypeError maxSize must be a positive number
+  }
+}
 
 /**
  * FOLLOW-UP QUESTIONS:
@@ -224,11 +903,20 @@ console.log('Q:', lru3.get(2));           // Y
  * 2. When would you use DLL+HashMap over Map?
  *    - In languages without ordered maps, or when you need O(1) node removal.
  * 3. How would you add a TTL (time-to-live) for each entry?
- *    - Store timestamp with each entry. On get, check if expired.
+ *    - Store expiresAt with each entry. On get, check if expired (lazy).
+ *      Lazy alone leaks memory for keys nobody reads again, so Cache also
+ *      hangs entries on a hashed timer wheel and sweeps passed slots on
+ *      every set (or on an unref'd interval) — see APPROACH 3.
  * 4. How would you make this thread-safe?
  *    - In JS (single-threaded) not needed. In other langs, use locks/mutex.
  * 5. What is the difference between LRU and LFU cache?
  *    - LRU evicts least recently used. LFU evicts least frequently used.
+ *      LFU in O(1): a linked list of frequency buckets, each an LRU list.
+ *      Plain LFU never forgets old favourites; ARC adapts between the two
+ *      and W-TinyLFU keeps aged frequencies in a count-min sketch.
+ * 6. Which policy should I pick?
+ *    - Measure: node docs/javascript/29-machine-coding/09-cache-replay.js
+ *      replays a key trace through every policy and prints hit ratios.
  *
  * ╔════════════════════════════════════════════════════════════════════════════╗
  * ║ INTERVIEW ANSWER                                                         ║
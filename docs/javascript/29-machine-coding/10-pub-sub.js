@@ -5,12 +5,18 @@
  * ║  GOLDEN RULE: Decouple publishers from subscribers using a message     ║
  * ║  broker. Publishers emit topics, subscribers listen. Token-based       ║
  * ║  unsubscribe for precise control.                                      ║
+ * ║  A broker that modules rely on must say WHAT it guarantees: QoS 0 is   ║
+ * ║  at-most-once, QoS 1 is at-least-once (redeliver until acked), and a   ║
+ * ║  message that can't be delivered ends up on a dead-letter topic.       ║
  * ╚══════════════════════════════════════════════════════════════════════════╝
  *
  * ┌──────────────────────────────────────────────────────────────────────────┐
  * │  STORY TO REMEMBER: A radio station (PubSub) broadcasts on channels    │
  * │  (topics). Listeners tune in (subscribe) and get a ticket (token).     │
  * │  They can tear up the ticket to stop listening (unsubscribe).          │
+ * │  A registered letter (QoS 1) is delivered again and again until        │
+ * │  someone signs for it (ack). Letters nobody can take go to the dead    │
+ * │  letter office. The notice board (retain) always shows the last note.  │
  * └──────────────────────────────────────────────────────────────────────────┘
  *
  * ┌──────────────────────────────────────────────────────────────────────────┐
@@ -24,10 +30,38 @@
  * │                     (token: 1)      (token: 2)      (token: 3)        │
  * │                                                                        │
  * │   unsubscribe(2) ──► removes Subscriber B from "news" topic           │
+ * │                                                                        │
+ * │   TOPIC FILTERS (levels split on "/")                                  │
+ * │                                                                        │
+ * │   sensors/+/temp   matches  sensors/kitchen/temp                       │
+ * │   sensors/#        matches  sensors, sensors/kitchen/temp/raw          │
+ * │   #                matches  everything except "$..." topics            │
+ * │                                                                        │
+ * │   QoS 1 DELIVERY                                                       │
+ * │                                                                        │
+ * │   publish ─► deliver ─┬─ ack() ──────────────────────────► done        │
+ * │                       └─ throw / no ack within ackTimeout              │
+ * │                             └─► redeliver (attempt 2, 3 ...)           │
+ * │                                   └─► maxDeliveries ─► $dead-letter    │
  * └──────────────────────────────────────────────────────────────────────────┘
  *
  * PROBLEM: Implement PubSub with subscribe(topic, cb), publish(topic, data),
  *          unsubscribe(token). subscribe returns a unique token.
+ *          Then make it an MQTT-style hub: "+" and "#" wildcards, retained
+ *          messages, bounded per-topic replay for late subscribers, QoS 1
+ *          acks with redelivery, a dead-letter topic for subscriber errors,
+ *          durable sessions and a JSON-file persistence adapter.
+ *
+ * APPROACH:
+ *  1. Subscriptions live in one Map by token; publish walks it and matches
+ *     each filter level by level. Topics are rarely in the thousands of
+ *     subscribers in-process, so a topic trie isn't worth it here.
+ *  2. Every delivery gets a message object with ack(). QoS 1 deliveries
+ *     stay "in flight" with a timer; a throw just means "no ack", so the
+ *     timer redelivers and, after maxDeliveries, dead-letters it.
+ *  3. Durable subscribers pass an id. The id's session outlives the
+ *     callback: while nobody is attached QoS 1 messages queue up, and the
+ *     queue plus in-flight messages are what the persistence adapter saves.
  *
  * RUN: node docs/javascript/29-machine-coding/10-pub-sub.js
  */
@@ -36,105 +70,596 @@
 // IMPLEMENTATION
 // ═══════════════════════════════════════════════════════════════════════════
 
-function createPubSub() {
-  const topics = {};    // { topicName: [ { token, callback } ] }
+const fs = require("fs");
+
+const DEFAULTS = {
+  replayLimit: 0, // messages kept per topic for { replay } subscribers
+  ackTimeout: 1000, // ms an unacked QoS 1 delivery waits before redelivery
+  maxDeliveries: 5, // QoS 1 attempts before a message is dead-lettered
+  sessionQueueLimit: 1000, // QoS 1 messages kept for a detached session
+  deadLetterTopic: "$dead-letter",
+  persistence: null, // { load(): state | null, save(state) }
+};
+
+// ─── Topics ──────────────────────────────────────────────────────────────
+
+// Filters may use "+" (one whole level) and "#" (whole last level);
+// published topics may not use either.
+function splitTopic(topic, isFilter) {
+  if (typeof topic !== "string" || topic === "") {
+    throw new TypeError(`Invalid topic: ${JSON.stringify(topic)}`);
+  }
+  const levels = topic.split("/");
+  levels.forEach((level, i) => {
+    if (!isFilter) {
+      if (level.includes("+") || level.includes("#")) {
+        throw new TypeError(`Wildcards are not allowed in a topic name: "${topic}"`);
+      }
+    } else if (level.includes("#") && (level !== "#" || i !== levels.length - 1)) {
+      throw new TypeError(`"#" must be the whole last level of a filter: "${topic}"`);
+    } else if (level.includes("+") && level !== "+") {
+      throw new TypeError(`"+" must be a whole level of a filter: "${topic}"`);
+    }
+  });
+  return levels;
+}
+
+function matchTopic(filter, topic) {
+  const f = Array.isArray(filter) ? filter : splitTopic(filter, true);
+  const t = Array.isArray(topic) ? topic : splitTopic(topic, false);
+  // "$" topics (the dead-letter topic) are hidden from a leading wildcard
+  if (t[0].startsWith("$") && (f[0] === "+" || f[0] === "#")) return false;
+  for (let i = 0; i < f.length; i++) {
+    if (f[i] === "#") return true; // also matches the parent: "a/#" ~ "a"
+    if (i >= t.length || (f[i] !== "+" && f[i] !== t[i])) return false;
+  }
+  return f.length === t.length;
+}
+
+// ─── Persistence ─────────────────────────────────────────────────────────
+
+// Writes a temp file and renames it over the old one, so a crash mid-write
+// leaves the previous state intact. Payloads must be JSON-safe.
+function createJsonFileStore(file) {
+  return {
+    load() {
+      try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    save(state) {
+      const temp = `${file}.tmp`;
+      fs.writeFileSync(temp, JSON.stringify(state));
+      fs.renameSync(temp, file);
+    },
+  };
+}
+
+// ─── Hub ─────────────────────────────────────────────────────────────────
+
+function createPubSub(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const subscribers = new Map(); // token -> { token, filter, levels, callback, qos, id }
+  const retained = new Map(); // topic -> last retained message
+  const history = new Map(); // topic -> last `replayLimit` messages
+  const sessions = new Map(); // id -> { id, filter, levels, qos, token, queue }
+  const inflight = new Map(); // "token:messageId" -> { sub, message, attempt, timer }
   let tokenCounter = 0;
+  let messageCounter = 0;
+  let closed = false;
 
-  function subscribe(topic, callback) {
-    if (!topics[topic]) {
-      topics[topic] = [];
+  restore(config.persistence && config.persistence.load());
+
+  function subscribe(topic, callback, { qos = 0, replay = false, id } = {}) {
+    assertOpen();
+    const levels = splitTopic(topic, true);
+    if (typeof callback !== "function") {
+      throw new TypeError("The callback must be a function");
     }
+    assertQos(qos);
     const token = ++tokenCounter;
-    topics[topic].push({ token, callback });
+    const sub = { token, filter: topic, levels, callback, qos, id };
+
+    let backlog = [];
+    if (id !== undefined) {
+      let session = sessions.get(id);
+      if (session && session.token !== null) {
+        throw new Error(`Session "${id}" already has a subscriber`);
+      }
+      if (!session) {
+        session = { id, queue: [] };
+        sessions.set(id, session);
+      }
+      Object.assign(session, { filter: topic, levels, qos, token });
+      backlog = session.queue;
+      session.queue = [];
+    }
+    subscribers.set(token, sub);
+
+    // Queued session messages first, then retained or replayed ones
+    const seen = new Set(backlog.map((entry) => entry.message.id));
+    backlog.forEach(({ message, attempt }) => deliver(sub, message, { attempt: attempt + 1 }));
+    const initial = replay ? replayFor(levels, replay) : retainedFor(levels);
+    initial
+      .filter((message) => !seen.has(message.id))
+      .forEach((message) => deliver(sub, message, replay ? { replayed: true } : { retained: true }));
+    persist();
     return token;
   }
 
-  function publish(topic, data) {
-    if (!topics[topic]) return false;
-    topics[topic].forEach((subscriber) => {
-      subscriber.callback(data, topic);
-    });
-    return true;
+  function publish(topic, data, { qos = 0, retain = false } = {}) {
+    assertOpen();
+    const levels = splitTopic(topic, false);
+    assertQos(qos);
+    const message = { id: ++messageCounter, topic, data, qos, timestamp: Date.now() };
+
+    if (retain) {
+      // Like MQTT's empty retained payload: publishing undefined clears it
+      if (data === undefined) retained.delete(topic);
+      else retained.set(topic, message);
+    }
+    if (config.replayLimit > 0) {
+      const buffer = history.get(topic) || [];
+      buffer.push(message);
+      if (buffer.length > config.replayLimit) buffer.shift();
+      history.set(topic, buffer);
+    }
+
+    let matched = false;
+    for (const session of sessions.values()) {
+      if (session.token === null && matchTopic(session.levels, levels)) {
+        matched = true;
+        if (Math.min(qos, session.qos) === 1) enqueue(session, message, 0);
+      }
+    }
+    // Snapshot: callbacks may subscribe or unsubscribe while we deliver
+    for (const sub of [...subscribers.values()]) {
+      if (subscribers.has(sub.token) && matchTopic(sub.levels, levels)) {
+        matched = true;
+        deliver(sub, message);
+      }
+    }
+    persist();
+    return matched;
   }
 
   function unsubscribe(token) {
-    for (const topic in topics) {
-      const idx = topics[topic].findIndex((s) => s.token === token);
-      if (idx !== -1) {
-        topics[topic].splice(idx, 1);
-        if (topics[topic].length === 0) delete topics[topic];
-        return true;
+    const sub = subscribers.get(token);
+    if (!sub) return false;
+    subscribers.delete(token);
+    for (const [key, entry] of inflight) {
+      if (entry.sub === sub) {
+        clearTimeout(entry.timer);
+        inflight.delete(key);
       }
     }
-    return false;
+    if (sub.id !== undefined) sessions.delete(sub.id);
+    persist();
+    return true;
+  }
+
+  // Stops delivering to a durable subscriber but keeps its session, so QoS 1
+  // messages (and unacked in-flight ones) wait for the next subscribe({ id }).
+  function detach(token) {
+    const sub = subscribers.get(token);
+    if (!sub || sub.id === undefined) return false;
+    subscribers.delete(token);
+    const session = sessions.get(sub.id);
+    for (const [key, entry] of inflight) {
+      if (entry.sub === sub) {
+        clearTimeout(entry.timer);
+        inflight.delete(key);
+        enqueue(session, entry.message, entry.attempt);
+      }
+    }
+    session.queue.sort((a, b) => a.message.id - b.message.id);
+    session.token = null;
+    persist();
+    return true;
   }
 
   function getSubscribers(topic) {
-    return topics[topic] ? topics[topic].length : 0;
+    const levels = splitTopic(topic, false);
+    let count = 0;
+    for (const sub of subscribers.values()) {
+      if (matchTopic(sub.levels, levels)) count++;
+    }
+    return count;
+  }
+
+  function close() {
+    if (closed) return;
+    for (const sub of [...subscribers.values()]) {
+      if (sub.id !== undefined) detach(sub.token);
+    }
+    for (const entry of inflight.values()) clearTimeout(entry.timer);
+    inflight.clear();
+    subscribers.clear();
+    persist();
+    closed = true;
+  }
+
+  // ─── Delivery ──────────────────────────────────────────────────────────
+
+  function deliver(sub, message, { attempt = 1, retained = false, replayed = false } = {}) {
+    const qos = Math.min(message.qos, sub.qos);
+    const key = `${sub.token}:${message.id}`;
+    const delivery = {
+      ...message,
+      qos,
+      token: sub.token,
+      attempt,
+      redelivered: attempt > 1,
+      retained,
+      replayed,
+      ack: () => acknowledge(key),
+    };
+    if (qos === 1) {
+      const entry = { sub, message, attempt, timer: null };
+      entry.timer = setTimeout(() => expire(key, entry), config.ackTimeout);
+      inflight.set(key, entry);
+    }
+
+    const fail = (error) => {
+      // QoS 1: a failure is a missing ack - the timer retries or dead-letters
+      if (qos === 1) {
+        const entry = inflight.get(key);
+        if (entry && entry.attempt === attempt) entry.error = error;
+      } else {
+        deadLetter(sub, message, "error", error, attempt);
+      }
+    };
+    let result;
+    try {
+      result = sub.callback(message.data, message.topic, delivery);
+    } catch (error) {
+      fail(error);
+      return;
+    }
+    if (result && typeof result.then === "function") {
+      result.then(delivery.ack, fail);
+    }
   }
 
-  return { subscribe, publish, unsubscribe, getSubscribers };
+  function acknowledge(key) {
+    const entry = inflight.get(key);
+    if (!entry) return false;
+    clearTimeout(entry.timer);
+    inflight.delete(key);
+    persist();
+    return true;
+  }
+
+  function expire(key, entry) {
+    if (inflight.get(key) !== entry) return;
+    inflight.delete(key);
+    if (entry.attempt >= config.maxDeliveries) {
+      const reason = entry.error ? "error" : "unacknowledged";
+      deadLetter(entry.sub, entry.message, reason, entry.error, entry.attempt);
+      persist();
+    } else {
+      deliver(entry.sub, entry.message, { attempt: entry.attempt + 1 });
+    }
+  }
+
+  function enqueue(session, message, attempt) {
+    session.queue.push({ message, attempt });
+    if (session.queue.length > config.sessionQueueLimit) {
+      const dropped = session.queue.shift();
+      const sub = { token: null, filter: session.filter, id: session.id };
+      deadLetter(sub, dropped.message, "overflow", undefined, dropped.attempt);
+    }
+  }
+
+  function deadLetter(sub, message, reason, error, attempts) {
+    // Nowhere further to send a dead letter that failed its own handler
+    if (message.topic === config.deadLetterTopic) return;
+    const { id, topic, data, timestamp } = message;
+    publish(
+      config.deadLetterTopic,
+      {
+        reason,
+        error: error === undefined ? null : describeError(error),
+        attempts,
+        subscriber: { token: sub.token, filter: sub.filter, id: sub.id },
+        message: { id, topic, data, timestamp },
+      },
+      { qos: 1 }
+    );
+  }
+
+  // ─── Helpers ───────────────────────────────────────────────────────────
+
+  function retainedFor(levels) {
+    return [...retained.values()]
+      .filter((message) => matchTopic(levels, message.topic))
+      .sort((a, b) => a.id - b.id);
+  }
+
+  // replay: true -> everything buffered, n -> the last n of each topic
+  function replayFor(levels, replay) {
+    const messages = [];
+    for (const [topic, buffer] of history) {
+      if (!matchTopic(levels, topic)) continue;
+      messages.push(...(replay === true ? buffer : buffer.slice(-replay)));
+    }
+    return messages.sort((a, b) => a.id - b.id);
+  }
+
+  function persist() {
+    if (!config.persistence || closed) return;
+    config.persistence.save({
+      version: 1,
+      messageCounter,
+      retained: [...retained.values()],
+      history: [...history.values()].flat(),
+      sessions: [...sessions.values()].map((session) => {
+        const queue = [...session.queue];
+        for (const entry of inflight.values()) {
+          if (entry.sub.id === session.id) queue.push({ message: entry.message, attempt: entry.attempt });
+        }
+        queue.sort((a, b) => a.message.id - b.message.id);
+        return { id: session.id, filter: session.filter, qos: session.qos, queue };
+      }),
+    });
+  }
+
+  function restore(state) {
+    if (!state) return;
+    messageCounter = state.messageCounter;
+    state.retained.forEach((message) => retained.set(message.topic, message));
+    if (config.replayLimit > 0) {
+      state.history.forEach((message) => {
+        const buffer = history.get(message.topic) || [];
+        buffer.push(message);
+        history.set(message.topic, buffer.slice(-config.replayLimit));
+      });
+    }
+    state.sessions.forEach(({ id, filter, qos, queue }) => {
+      sessions.set(id, { id, filter, levels: splitTopic(filter, true), qos, token: null, queue });
+    });
+  }
+
+  function assertOpen() {
+    if (closed) throw new Error("PubSub is closed");
+  }
+
+  return { subscribe, publish, unsubscribe, detach, getSubscribers, close };
+}
+
+function assertQos(qos) {
+  if (qos !== 0 && qos !== 1) throw new RangeError(`QoS must be 0 or 1, got ${qos}`);
+}
+
+function describeError(error) {
+  return error instanceof Error ? { name: error.name, message: error.message } : { name: "Error", message: String(error) };
 }
 
+module.exports = { createPubSub, createJsonFileStore, matchTopic };
+
 // ═══════════════════════════════════════════════════════════════════════════
 // TEST CASES
 // ═══════════════════════════════════════════════════════════════════════════
 
-console.log("═══ TEST A: Basic subscribe and publish ═══");
-const ps = createPubSub();
-
-const token1 = ps.subscribe("news", (data) => {
-  console.log("A: Subscriber 1 got news:", data);
-});
-const token2 = ps.subscribe("news", (data) => {
-  console.log("A: Subscriber 2 got news:", data);
-});
-
-ps.publish("news", { headline: "JS is awesome" });
-// A: Subscriber 1 got news: { headline: 'JS is awesome' }
-// A: Subscriber 2 got news: { headline: 'JS is awesome' }
-
-console.log("\n═══ TEST B: Multiple topics ═══");
-ps.subscribe("sports", (data) => {
-  console.log("B: Sports subscriber got:", data);
-});
-
-ps.publish("sports", "Goal scored!");
-ps.publish("news", "Breaking update");
-// B: Sports subscriber got: Goal scored!
-// A: Subscriber 1 got news: Breaking update
-// A: Subscriber 2 got news: Breaking update
-
-console.log("\n═══ TEST C: Unsubscribe with token ═══");
-console.log("C: Subscribers before unsubscribe:", ps.getSubscribers("news"));
-const removed = ps.unsubscribe(token1);
-console.log("C: Unsubscribe token1 success:", removed);
-console.log("C: Subscribers after unsubscribe:", ps.getSubscribers("news"));
-
-ps.publish("news", "After unsubscribe");
-// Only subscriber 2 fires
-
-console.log("\n═══ TEST D: Publish to non-existent topic ═══");
-const result = ps.publish("weather", "Sunny");
-console.log("D: Publish to unknown topic returned:", result);
-
-console.log("\n═══ TEST E: Unsubscribe invalid token ═══");
-const badRemove = ps.unsubscribe(9999);
-console.log("E: Unsubscribe invalid token returned:", badRemove);
-
-console.log("\n═══ TEST F: Topic callback receives topic name ═══");
-const ps2 = createPubSub();
-ps2.subscribe("alerts", (data, topic) => {
-  console.log(`F: Received on [${topic}]:`, data);
-});
-ps2.publish("alerts", "Server down!");
-
-console.log("\n═══ TEST G: Unsubscribe cleans up empty topic ═══");
-const ps3 = createPubSub();
-const t = ps3.subscribe("temp", () => {});
-console.log("G: Before remove:", ps3.getSubscribers("temp"));
-ps3.unsubscribe(t);
-console.log("G: After remove:", ps3.getSubscribers("temp"));
+if (require.main === module) {
+  console.log("═══ TEST A: Basic subscribe and publish ═══");
+  const ps = createPubSub();
+
+  const token1 = ps.subscribe("news", (data) => {
+    console.log("A: Subscriber 1 got news:", data);
+  });
+  const token2 = ps.subscribe("news", (data) => {
+    console.log("A: Subscriber 2 got news:", data);
+  });
+
+  ps.publish("news", { headline: "JS is awesome" });
+  // A: Subscriber 1 got news: { headline: 'JS is awesome' }
+  // A: Subscriber 2 got news: { headline: 'JS is awesome' }
+
+  console.log("\n═══ TEST B: Multiple topics ═══");
+  ps.subscribe("sports", (data) => {
+    console.log("B: Sports subscriber got:", data);
+  });
+
+  ps.publish("sports", "Goal scored!");
+  ps.publish("news", "Breaking update");
+  // B: Sports subscriber got: Goal scored!
+  // A: Subscriber 1 got news: Breaking update
+  // A: Subscriber 2 got news: Breaking update
+
+  console.log("\n═══ TEST C: Unsubscribe with token ═══");
+  console.log("C: Subscribers before unsubscribe:", ps.getSubscribers("news"));
+  const removed = ps.unsubscribe(token1);
+  console.log("C: Unsubscribe token1 success:", removed);
+  console.log("C: Subscribers after unsubscribe:", ps.getSubscribers("news"));
+
+  ps.publish("news", "After unsubscribe");
+  // Only subscriber 2 fires
+
+  console.log("\n═══ TEST D: Publish to non-existent topic ═══");
+  const result = ps.publish("weather", "Sunny");
+  console.log("D: Publish to unknown topic returned:", result);
+
+  console.log("\n═══ TEST E: Unsubscribe invalid token ═══");
+  const badRemove = ps.unsubscribe(9999);
+  console.log("E: Unsubscribe invalid token returned:", badRemove);
+
+  console.log("\n═══ TEST F: Topic callback receives topic name ═══");
+  const ps2 = createPubSub();
+  ps2.subscribe("alerts", (data, topic) => {
+    console.log(`F: Received on [${topic}]:`, data);
+  });
+  ps2.publish("alerts", "Server down!");
+
+  console.log("\n═══ TEST G: Unsubscribe cleans up empty topic ═══");
+  const ps3 = createPubSub();
+  const t = ps3.subscribe("temp", () => {});
+  console.log("G: Before remove:", ps3.getSubscribers("temp"));
+  ps3.unsubscribe(t);
+  console.log("G: After remove:", ps3.getSubscribers("temp"));
+
+  console.log("\n═══ TEST H: MQTT wildcards ═══");
+  [
+    ["sensors/+/temp", "sensors/kitchen/temp", true],
+    ["sensors/+/temp", "sensors/kitchen/humidity", false],
+    ["sensors/+/temp", "sensors/a/b/temp", false],
+    ["sensors/#", "sensors", true],
+    ["sensors/#", "sensors/kitchen/temp/raw", true],
+    ["+/+", "a/b", true],
+    ["+", "a/b", false],
+    ["#", "$dead-letter", false],
+    ["$dead-letter", "$dead-letter", true],
+  ].forEach(([filter, topic, expected]) => {
+    const ok = matchTopic(filter, topic) === expected;
+    console.log(`H: ${filter.padEnd(15)} ${topic.padEnd(25)} ${expected}${ok ? "" : "  <- WRONG"}`);
+  });
+  const hub = createPubSub();
+  hub.subscribe("sensors/+/temp", (data, topic) => console.log("H: +/temp got", topic, data));
+  hub.subscribe("sensors/#", (data, topic) => console.log("H: #      got", topic, data));
+  hub.publish("sensors/kitchen/temp", 21);
+  hub.publish("sensors/kitchen/humidity", 40);
+  // H: +/temp got sensors/kitchen/temp 21
+  // H: #      got sensors/kitchen/temp 21
+  // H: #      got sensors/kitchen/humidity 40
+  ["sensors/#/temp", "sensors/te+mp"].forEach((bad) => {
+    try {
+      hub.subscribe(bad, () => {});
+    } catch (err) {
+      console.log("H:", err.message);
+    }
+  });
+  try {
+    hub.publish("sensors/+", 1);
+  } catch (err) {
+    console.log("H:", err.message);
+  }
+
+  console.log("\n═══ TEST I: Retained messages ═══");
+  const board = createPubSub();
+  board.publish("status/api", "up", { retain: true });
+  board.publish("status/db", "degraded", { retain: true });
+  board.publish("status/db", "up", { retain: true });
+  board.publish("status/cache", "not retained");
+  board.subscribe("status/+", (data, topic, msg) => console.log("I: late subscriber:", topic, data, "retained:", msg.retained));
+  // I: late subscriber: status/api up retained: true
+  // I: late subscriber: status/db up retained: true
+  board.publish("status/api", undefined, { retain: true }); // clears it (still delivered live)
+  // I: late subscriber: status/api undefined retained: false
+  board.subscribe("status/#", (data, topic) => console.log("I: after clear:", topic, data));
+  // I: after clear: status/db up
+
+  console.log("\n═══ TEST J: Bounded replay for late subscribers ═══");
+  const feed = createPubSub({ replayLimit: 3 });
+  [1, 2, 3, 4, 5].forEach((n) => feed.publish("ticks/a", n));
+  feed.publish("ticks/b", "b1");
+  feed.publish("ticks/b", "b2");
+  const all = [];
+  feed.subscribe("ticks/#", (data) => all.push(data), { replay: true });
+  console.log("J: replay: true ->", all); // [3, 4, 5, 'b1', 'b2']
+  const last = [];
+  feed.subscribe("ticks/+", (data, topic, msg) => last.push([data, msg.replayed]), { replay: 1 });
+  console.log("J: replay: 1    ->", last); // [[5, true], ['b2', true]]
+
+  console.log("\n═══ TEST K: Subscriber errors are isolated ═══");
+  const safe = createPubSub();
+  safe.subscribe("$dead-letter", (letter) => {
+    console.log("K: dead letter:", letter.reason, letter.error.message, "from", letter.subscriber.filter, "->", letter.message.data);
+  });
+  safe.subscribe("#", (data, topic) => console.log(`K: '#' got ${topic} (but never $dead-letter)`));
+  safe.subscribe("orders", () => {
+    throw new Error("bad handler");
+  });
+  safe.subscribe("orders", (data) => console.log("K: second subscriber still got", data));
+  safe.publish("orders", "order-1");
+  // K: '#' got orders (but never $dead-letter)
+  // K: dead letter: error bad handler from orders -> order-1
+  // K: second subscriber still got order-1
+
+  // Async tests: QoS 1 redelivery, promise acks and persistence need timers
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const path = require("path");
+  const os = require("os");
+
+  (async () => {
+    console.log("\n═══ TEST L: QoS 1 - redelivered until acked ═══");
+    const q = createPubSub({ ackTimeout: 20 });
+    q.subscribe(
+      "jobs",
+      (data, topic, msg) => {
+        console.log(`L: attempt ${msg.attempt} redelivered=${msg.redelivered}`);
+        if (msg.attempt === 3) msg.ack();
+      },
+      { qos: 1 }
+    );
+    q.publish("jobs", "job-1", { qos: 1 });
+    await sleep(100);
+    // L: attempt 1 redelivered=false
+    // L: attempt 2 redelivered=true
+    // L: attempt 3 redelivered=true      (then acked - no attempt 4)
+
+    console.log("\n═══ TEST M: QoS 1 - dead-lettered after maxDeliveries ═══");
+    const m = createPubSub({ ackTimeout: 10, maxDeliveries: 3 });
+    m.subscribe("$dead-letter", (letter) => console.log("M: dead letter:", letter.reason, "after", letter.attempts, "attempts"));
+    let tries = 0;
+    m.subscribe("pay", () => {
+      tries++;
+      throw new Error("gateway down");
+    }, { qos: 1 });
+    m.subscribe("pay", () => {}, { qos: 1 }); // never acks
+    m.publish("pay", { amount: 10 }, { qos: 1 });
+    await sleep(80);
+    console.log("M: the throwing subscriber was tried", tries, "times");
+    // M: dead letter: error after 3 attempts
+    // M: dead letter: unacknowledged after 3 attempts
+    // M: the throwing subscriber was tried 3 times
+
+    console.log("\n═══ TEST N: A returned promise acks on resolve ═══");
+    const n = createPubSub({ ackTimeout: 30 });
+    n.subscribe("mail", async (data, topic, msg) => {
+      console.log("N: attempt", msg.attempt);
+      await sleep(5);
+      if (msg.attempt === 1) throw new Error("SMTP timeout");
+    }, { qos: 1 });
+    n.publish("mail", "hello", { qos: 1 });
+    // QoS 0 on either side means at-most-once: no retry
+    n.publish("mail", "fire and forget");
+    await sleep(100);
+    // N: attempt 1
+    // N: attempt 1
+    // N: attempt 2
+
+    console.log("\n═══ TEST O: Durable session survives a restart ═══");
+    const file = path.join(os.tmpdir(), `pubsub-${process.pid}.json`);
+    const store = createJsonFileStore(file);
+    const before = createPubSub({ persistence: store, ackTimeout: 20 });
+    before.publish("config/theme", "dark", { retain: true });
+    before.subscribe("billing/#", (data, topic, msg) => {
+      console.log("O: before restart got", data, "- crashes before ack");
+    }, { qos: 1, id: "billing" });
+    before.publish("billing/invoice", "inv-1", { qos: 1 });
+    before.close(); // process dies: inv-1 is still unacked
+
+    const after = createPubSub({ persistence: createJsonFileStore(file), ackTimeout: 20 });
+    after.publish("billing/invoice", "inv-2", { qos: 1 }); // nobody attached: queued
+    after.publish("billing/refund", "ref-1"); // QoS 0: not queued
+    after.subscribe("config/#", (data, topic) => console.log("O: retained after restart:", topic, data));
+    after.subscribe("billing/#", (data, topic, msg) => {
+      console.log("O: after restart got", data, "attempt", msg.attempt);
+      msg.ack();
+    }, { qos: 1, id: "billing" });
+    console.log("O: saved sessions:", JSON.stringify(store.load().sessions));
+    after.close();
+    fs.unlinkSync(file);
+    // O: before restart got inv-1 - crashes before ack
+    // O: retained after restart: config/theme dark
+    // O: after restart got inv-1 attempt 2
+    // O: after restart got inv-2 attempt 1
+    // O: saved sessions: [{"id":"billing","filter":"billing/#","qos":1,"queue":[]}]
+  })();
+}
 
 // ═══════════════════════════════════════════════════════════════════════════
 // FOLLOW-UP QUESTIONS
@@ -142,10 +667,24 @@ console.log("G: After remove:", ps3.getSubscribers("temp"));
 
 /**
  * 1. How would you add a subscribeOnce(topic, cb) that auto-unsubscribes?
+ *    -> wrap cb; the wrapper calls unsubscribe(msg.token) before cb runs
  * 2. How would you add wildcard topic matching (e.g., "news.*")?
+ *    -> split on a separator and compare level by level: "+" is one level,
+ *       "#" the rest (matchTopic); a trie of levels scales to many filters
  * 3. How would you make publish async (notify subscribers asynchronously)?
+ *    -> queueMicrotask per delivery; QoS 1 already tolerates late acks
  * 4. How does this differ from the Observer pattern?
+ *    -> observers know the subject; here both sides only know topic names
  * 5. How would you add error handling if a subscriber throws?
+ *    -> try/catch per delivery so the others still run, then publish the
+ *       failure to "$dead-letter"; QoS 1 treats a throw as a missing ack
+ * 6. Why can QoS 1 deliver the same message twice, and what should a
+ *    subscriber do about it?
+ *    -> an ack can be lost or late (crash after handling, before ack), so
+ *       handlers must be idempotent - dedupe on msg.id if they can't be
+ * 7. Why are "$" topics hidden from "#"?
+ *    -> a catch-all logger must not receive (and maybe fail on) internal
+ *       topics like the dead letters it produced - that's how loops start
  */
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -154,10 +693,14 @@ console.log("G: After remove:", ps3.getSubscribers("temp"));
 
 /**
  * ╔══════════════════════════════════════════════════════════════════════════╗
- * ║  "PubSub decouples event producers and consumers. I use a topics map   ║
- * ║  storing arrays of {token, callback}. subscribe() pushes and returns   ║
- * ║  an incrementing token. publish() iterates the topic's array and       ║
- * ║  calls each callback. unsubscribe() finds and removes by token.       ║
- * ║  Time: O(n) publish/unsubscribe, O(1) subscribe. Space: O(n)."        ║
+ * ║  "PubSub decouples event producers and consumers. I keep a Map of      ║
+ * ║  token -> {filter, callback}. subscribe() adds and returns an          ║
+ * ║  incrementing token. publish() walks the map, matches each filter      ║
+ * ║  level by level ("+" one level, "#" the rest) and calls the callback.  ║
+ * ║  unsubscribe() deletes by token. Time: O(n) publish, O(1) the rest.    ║
+ * ║  Retained and replay buffers serve late subscribers. QoS 1 keeps each  ║
+ * ║  delivery in flight with a timer until ack() and redelivers, then      ║
+ * ║  dead-letters it; each callback runs in its own try/catch. Durable     ║
+ * ║  sessions queue while detached and are what gets saved to disk."       ║
  * ╚══════════════════════════════════════════════════════════════════════════╝
  */
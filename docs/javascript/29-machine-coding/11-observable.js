@@ -5,12 +5,15 @@
  * ║  GOLDEN RULE: An Observable is a lazy push-based data source.          ║
  * ║  Observers have next/error/complete. Operators like map/filter         ║
  * ║  transform the stream without mutating it.                             ║
+ * ║  Every subscribe returns a Subscription; unsubscribing it must tear    ║
+ * ║  down EVERYTHING upstream - inner subscriptions and timers included.   ║
  * ╚══════════════════════════════════════════════════════════════════════════╝
  *
  * ┌──────────────────────────────────────────────────────────────────────────┐
  * │  STORY TO REMEMBER: A water pipe (Observable) pushes water (data).     │
  * │  Filters and heaters (operators) transform the water mid-flow.         │
  * │  The faucet (observer.next) receives the final water.                  │
+ * │  Closing the faucet closes every valve back to the reservoir.          │
  * └──────────────────────────────────────────────────────────────────────────┘
  *
  * ┌──────────────────────────────────────────────────────────────────────────┐
@@ -23,10 +26,37 @@
  * │       └── .subscribe({ next, error, complete })                        │
  * │                │          │          │                                  │
  * │              value      Error      Done                                │
+ * │                                                                        │
+ * │   SUBSCRIBER CHAIN (each operator's subscriber is a child of the       │
+ * │   one below it, so one unsubscribe walks all the way up)               │
+ * │                                                                        │
+ * │   source ──▶ [map sub] ──▶ [switchMap sub] ──▶ [your subscriber]       │
+ * │                               └─ [inner sub] ─┘  unsubscribe() ◀──     │
+ * │                                                                        │
+ * │   MARBLES (1 char = 1 frame of virtual time)                           │
+ * │                                                                        │
+ * │   source   -a--b-c---|        debounceTime(2)                          │
+ * │   result   ---a----c-|        ( ) = same frame, # = error, ^ = sub     │
  * └──────────────────────────────────────────────────────────────────────────┘
  *
  * PROBLEM: Implement Observable with subscribe(observer), plus map, filter,
  *          and pipe operators. Observer has next/error/complete callbacks.
+ *          Then: higher-order operators (mergeMap, switchMap, concatMap,
+ *          exhaustMap), combination (combineLatest, zip, withLatestFrom,
+ *          merge), time (debounceTime, throttleTime, bufferTime), errors
+ *          (catchError, retry), multicasting (Subject, BehaviorSubject,
+ *          ReplaySubject, share) and a virtual-time marble test harness.
+ *
+ * APPROACH:
+ *  1. Subscription = a bag of teardowns. Subscriber = Subscription + the
+ *     observer; it stops after error/complete and then runs its teardowns.
+ *  2. An operator's subscriber is ADDED to the downstream subscriber, so
+ *     unsubscribing downstream (or take() completing it) unsubscribes the
+ *     source too - even a synchronous infinite source stops, because it
+ *     checks subscriber.closed.
+ *  3. Time operators never call setTimeout directly: they ask a scheduler.
+ *     asyncScheduler uses real timers; TestScheduler.run() swaps in
+ *     virtual time, so "-a--b|" runs instantly and deterministically.
  *
  * RUN: node docs/javascript/29-machine-coding/11-observable.js
  */
@@ -35,43 +65,210 @@
 // IMPLEMENTATION
 // ═══════════════════════════════════════════════════════════════════════════
 
+const noop = () => {};
+
+// ─── Subscription: a bag of teardown logic ───────────────────────────────
+
+class Subscription {
+  constructor(initialTeardown) {
+    this.closed = false;
+    this._parent = null;
+    this._teardowns = initialTeardown ? [initialTeardown] : [];
+  }
+
+  // Function, Subscription or nothing. Added after close -> runs at once.
+  add(teardown) {
+    if (!teardown || teardown === this) return;
+    if (this.closed) {
+      runTeardown(teardown);
+      return;
+    }
+    if (teardown instanceof Subscription) {
+      if (teardown.closed) return;
+      teardown._parent = this;
+    }
+    this._teardowns.push(teardown);
+  }
+
+  remove(teardown) {
+    const index = this._teardowns.indexOf(teardown);
+    if (index !== -1) this._teardowns.splice(index, 1);
+  }
+
+  unsubscribe() {
+    if (this.closed) return;
+    this.closed = true;
+    // A finished child leaves its parent, so long-lived parents don't leak
+    if (this._parent) this._parent.remove(this);
+    const teardowns = this._teardowns;
+    this._teardowns = [];
+    const errors = [];
+    teardowns.forEach((teardown) => {
+      try {
+        runTeardown(teardown);
+      } catch (err) {
+        errors.push(err);
+      }
+    });
+    if (errors.length === 1) throw errors[0];
+    if (errors.length > 1) throw new AggregateError(errors, `${errors.length} teardowns failed`);
+  }
+}
+
+function runTeardown(teardown) {
+  if (typeof teardown === "function") teardown();
+  else teardown.unsubscribe();
+}
+
+// ─── Subscriber: observer + subscription, stops after error/complete ────
+
+class Subscriber extends Subscription {
+  constructor(destination) {
+    super();
+    this.isStopped = false;
+    if (destination instanceof Subscriber) {
+      this.destination = destination;
+      destination.add(this); // downstream unsubscribe reaches us
+    } else {
+      const observer = typeof destination === "function" ? { next: destination } : destination || {};
+      this.destination = {
+        next: observer.next ? observer.next.bind(observer) : noop,
+        error: observer.error ? observer.error.bind(observer) : (err) => { throw err; },
+        complete: observer.complete ? observer.complete.bind(observer) : noop,
+      };
+    }
+  }
+
+  next(value) {
+    if (!this.isStopped) this._next(value);
+  }
+
+  error(err) {
+    if (this.isStopped) return;
+    this.isStopped = true;
+    this._error(err);
+  }
+
+  complete() {
+    if (this.isStopped) return;
+    this.isStopped = true;
+    this._complete();
+  }
+
+  unsubscribe() {
+    this.isStopped = true;
+    super.unsubscribe();
+  }
+
+  _next(value) {
+    this.destination.next(value);
+  }
+
+  _error(err) {
+    try {
+      this.destination.error(err);
+    } finally {
+      this.unsubscribe();
+    }
+  }
+
+  _complete() {
+    try {
+      this.destination.complete();
+    } finally {
+      this.unsubscribe();
+    }
+  }
+}
+
+// The subscriber every operator uses: override only the callbacks you need,
+// the rest forward to the destination. Errors thrown by user functions
+// (map's project, catchError's selector...) go down the error channel.
+class OperatorSubscriber extends Subscriber {
+  constructor(destination, onNext, onComplete, onError, onFinalize) {
+    super(destination);
+    this._onFinalize = onFinalize;
+    if (onNext) {
+      this._next = (value) => {
+        try {
+          onNext(value);
+        } catch (err) {
+          destination.error(err);
+        }
+      };
+    }
+    if (onError) this._error = (err) => this._run(onError, err);
+    if (onComplete) this._complete = () => this._run(onComplete);
+  }
+
+  _run(callback, arg) {
+    try {
+      callback(arg);
+    } catch (err) {
+      this.destination.error(err);
+    } finally {
+      this.unsubscribe();
+    }
+  }
+
+  unsubscribe() {
+    if (this.closed) return;
+    super.unsubscribe();
+    if (this._onFinalize) this._onFinalize();
+  }
+}
+
+function createOperatorSubscriber(destination, onNext, onComplete, onError, onFinalize) {
+  return new OperatorSubscriber(destination, onNext, onComplete, onError, onFinalize);
+}
+
+// ─── Observable ──────────────────────────────────────────────────────────
+
 class Observable {
+  // subscribeFn(subscriber) may return a teardown function or Subscription
   constructor(subscribeFn) {
     this._subscribeFn = subscribeFn;
   }
 
-  subscribe(observer) {
-    const safeObserver = {
-      next: observer.next || (() => {}),
-      error: observer.error || ((e) => { throw e; }),
-      complete: observer.complete || (() => {}),
-    };
-    let completed = false;
-    const wrapped = {
-      next(val) {
-        if (!completed) safeObserver.next(val);
-      },
-      error(err) {
-        if (!completed) { completed = true; safeObserver.error(err); }
-      },
-      complete() {
-        if (!completed) { completed = true; safeObserver.complete(); }
-      },
-    };
-    this._subscribeFn(wrapped);
-    return { unsubscribe: () => { completed = true; } };
+  subscribe(observerOrNext) {
+    const subscriber = observerOrNext instanceof Subscriber ? observerOrNext : new Subscriber(observerOrNext);
+    try {
+      subscriber.add(this._subscribeFn(subscriber));
+    } catch (err) {
+      subscriber.error(err);
+    }
+    return subscriber;
   }
 
   pipe(...operators) {
     return operators.reduce((source, op) => op(source), this);
   }
 
-  // Static helper to create from array
-  static from(arr) {
-    return new Observable((observer) => {
-      arr.forEach((item) => observer.next(item));
-      observer.complete();
-    });
+  // Observable | Promise | array | any iterable -> Observable
+  static from(input) {
+    if (input instanceof Observable) return input;
+    if (input && typeof input.then === "function") {
+      return new Observable((subscriber) => {
+        input.then(
+          (value) => {
+            if (subscriber.closed) return;
+            subscriber.next(value);
+            subscriber.complete();
+          },
+          (err) => subscriber.error(err)
+        );
+      });
+    }
+    if (input != null && typeof input[Symbol.iterator] === "function") {
+      return new Observable((subscriber) => {
+        for (const item of input) {
+          subscriber.next(item);
+          if (subscriber.closed) return; // take(3) of an infinite generator stops here
+        }
+        subscriber.complete();
+      });
+    }
+    throw new TypeError(`Cannot convert ${String(input)} to an Observable`);
   }
 
   static of(...args) {
@@ -79,116 +276,1282 @@ class Observable {
   }
 }
 
+const from = (input) => Observable.from(input);
+const of = (...args) => Observable.from(args);
+const EMPTY = new Observable((subscriber) => subscriber.complete());
+const NEVER = new Observable(noop);
+
+function throwError(errorFactory) {
+  return new Observable((subscriber) => subscriber.error(errorFactory()));
+}
+
+// ─── Schedulers: WHEN work runs ──────────────────────────────────────────
+
+// Real timers. TestScheduler.run() points `delegate` at virtual time, so
+// operators that default to asyncScheduler become testable unchanged.
+class AsyncScheduler {
+  constructor() {
+    this.delegate = null;
+  }
+
+  now() {
+    return this.delegate ? this.delegate.now() : Date.now();
+  }
+
+  // Returns a Subscription: unsubscribing cancels the pending work
+  schedule(work, delay = 0, state) {
+    if (this.delegate) return this.delegate.schedule(work, delay, state);
+    const action = new Subscription(() => clearTimeout(id));
+    const id = setTimeout(() => {
+      action.unsubscribe();
+      work(state);
+    }, delay);
+    return action;
+  }
+}
+
+const asyncScheduler = new AsyncScheduler();
+
+// A queue of actions sorted by (time, insertion order). flush() jumps the
+// clock from one action to the next - no real waiting.
+class VirtualTimeScheduler {
+  constructor(maxFrames = Infinity) {
+    this.frame = 0;
+    this.maxFrames = maxFrames;
+    this.actions = [];
+  }
+
+  now() {
+    return this.frame;
+  }
+
+  schedule(work, delay = 0, state) {
+    const action = new Subscription(() => {
+      const index = this.actions.indexOf(action);
+      if (index !== -1) this.actions.splice(index, 1);
+    });
+    Object.assign(action, { time: this.frame + Math.max(0, delay), work, state });
+    let index = this.actions.length;
+    while (index > 0 && this.actions[index - 1].time > action.time) index--;
+    this.actions.splice(index, 0, action);
+    return action;
+  }
+
+  flush() {
+    while (this.actions.length && this.actions[0].time <= this.maxFrames) {
+      const action = this.actions.shift();
+      this.frame = action.time;
+      action.unsubscribe();
+      action.work(action.state);
+    }
+  }
+}
+
+// ─── Creation operators ──────────────────────────────────────────────────
+
+// timer(due) emits 0 once; timer(due, period) keeps counting
+function timer(dueTime = 0, period, scheduler = asyncScheduler) {
+  if (period instanceof Object) {
+    scheduler = period;
+    period = undefined;
+  }
+  return new Observable((subscriber) => {
+    let count = 0;
+    const tick = () => {
+      subscriber.next(count++);
+      if (period === undefined) subscriber.complete();
+      else subscriber.add(scheduler.schedule(tick, period));
+    };
+    return scheduler.schedule(tick, dueTime);
+  });
+}
+
+function interval(period, scheduler = asyncScheduler) {
+  return timer(period, period, scheduler);
+}
+
+function merge(...sources) {
+  return from(sources).pipe(mergeMap((source) => source));
+}
+
+// Emits an array of the latest value of each source, once all have emitted
+function combineLatest(...args) {
+  const sources = Array.isArray(args[0]) ? args[0] : args;
+  return new Observable((subscriber) => {
+    const values = new Array(sources.length);
+    const seen = new Array(sources.length).fill(false);
+    let waiting = sources.length;
+    let active = sources.length;
+    if (!active) subscriber.complete();
+    sources.forEach((source, i) => {
+      if (subscriber.closed) return;
+      from(source).subscribe(
+        createOperatorSubscriber(
+          subscriber,
+          (value) => {
+            if (!seen[i]) {
+              seen[i] = true;
+              waiting--;
+            }
+            values[i] = value;
+            if (!waiting) subscriber.next(values.slice());
+          },
+          () => {
+            if (--active === 0) subscriber.complete();
+          }
+        )
+      );
+    });
+  });
+}
+
+// Pairs the n-th value of every source; done when a finished source runs dry
+function zip(...args) {
+  const sources = Array.isArray(args[0]) ? args[0] : args;
+  return new Observable((subscriber) => {
+    const buffers = sources.map(() => []);
+    const completed = sources.map(() => false);
+    if (!sources.length) subscriber.complete();
+    sources.forEach((source, i) => {
+      if (subscriber.closed) return;
+      from(source).subscribe(
+        createOperatorSubscriber(
+          subscriber,
+          (value) => {
+            buffers[i].push(value);
+            if (!buffers.every((buffer) => buffer.length)) return;
+            subscriber.next(buffers.map((buffer) => buffer.shift()));
+            if (buffers.some((buffer, j) => !buffer.length && completed[j])) subscriber.complete();
+          },
+          () => {
+            completed[i] = true;
+            if (!buffers[i].length) subscriber.complete();
+          }
+        )
+      );
+    });
+  });
+}
+
 // ─── Operators (each returns a function that takes source Observable) ────
 
+function operate(init) {
+  return (source) => new Observable((subscriber) => init(source, subscriber));
+}
+
 function map(transformFn) {
-  return (source) =>
-    new Observable((observer) => {
-      source.subscribe({
-        next: (val) => observer.next(transformFn(val)),
-        error: (err) => observer.error(err),
-        complete: () => observer.complete(),
-      });
-    });
+  return operate((source, subscriber) => {
+    let index = 0;
+    source.subscribe(createOperatorSubscriber(subscriber, (val) => subscriber.next(transformFn(val, index++))));
+  });
 }
 
 function filter(predicateFn) {
-  return (source) =>
-    new Observable((observer) => {
-      source.subscribe({
-        next: (val) => { if (predicateFn(val)) observer.next(val); },
-        error: (err) => observer.error(err),
-        complete: () => observer.complete(),
-      });
-    });
+  return operate((source, subscriber) => {
+    let index = 0;
+    source.subscribe(
+      createOperatorSubscriber(subscriber, (val) => {
+        if (predicateFn(val, index++)) subscriber.next(val);
+      })
+    );
+  });
 }
 
 function take(count) {
-  return (source) =>
-    new Observable((observer) => {
-      let taken = 0;
-      source.subscribe({
-        next: (val) => {
-          if (taken < count) { taken++; observer.next(val); }
-          if (taken >= count) observer.complete();
+  if (count <= 0) return () => EMPTY;
+  return operate((source, subscriber) => {
+    let taken = 0;
+    source.subscribe(
+      createOperatorSubscriber(subscriber, (val) => {
+        taken++;
+        subscriber.next(val);
+        if (taken >= count) subscriber.complete(); // also unsubscribes the source
+      })
+    );
+  });
+}
+
+function scan(accumulator, seed) {
+  return operate((source, subscriber) => {
+    let acc = seed;
+    let index = 0;
+    source.subscribe(
+      createOperatorSubscriber(subscriber, (val) => {
+        acc = accumulator(acc, val, index++);
+        subscriber.next(acc);
+      })
+    );
+  });
+}
+
+// ─── Higher-order operators: value -> inner Observable ───────────────────
+//
+//   mergeMap    run all inners at once (optionally at most `concurrent`)
+//   concatMap   one at a time, queue the rest (mergeMap with concurrent 1)
+//   switchMap   new value -> unsubscribe the current inner (typeahead)
+//   exhaustMap  ignore values while an inner is running (login button)
+
+function mergeMap(project, concurrent = Infinity) {
+  return operate((source, subscriber) => {
+    const buffer = [];
+    let active = 0;
+    let index = 0;
+    let isComplete = false;
+
+    const checkComplete = () => {
+      if (isComplete && !buffer.length && !active) subscriber.complete();
+    };
+
+    const subscribeInner = (value) => {
+      active++;
+      let innerComplete = false;
+      from(project(value, index++)).subscribe(
+        createOperatorSubscriber(
+          subscriber,
+          (innerValue) => subscriber.next(innerValue),
+          () => {
+            innerComplete = true;
+          },
+          undefined,
+          () => {
+            // Finalize runs on complete AND on unsubscribe: only a completed
+            // inner frees a slot for the next buffered value.
+            if (!innerComplete) return;
+            active--;
+            while (buffer.length && active < concurrent) subscribeInner(buffer.shift());
+            checkComplete();
+          }
+        )
+      );
+    };
+
+    source.subscribe(
+      createOperatorSubscriber(
+        subscriber,
+        (value) => (active < concurrent ? subscribeInner(value) : buffer.push(value)),
+        () => {
+          isComplete = true;
+          checkComplete();
+        }
+      )
+    );
+  });
+}
+
+function concatMap(project) {
+  return mergeMap(project, 1);
+}
+
+function switchMap(project) {
+  return operate((source, subscriber) => {
+    let innerSubscriber = null;
+    let index = 0;
+    let isComplete = false;
+    const checkComplete = () => {
+      if (isComplete && !innerSubscriber) subscriber.complete();
+    };
+
+    source.subscribe(
+      createOperatorSubscriber(
+        subscriber,
+        (value) => {
+          if (innerSubscriber) innerSubscriber.unsubscribe();
+          const inner = from(project(value, index++));
+          const current = createOperatorSubscriber(subscriber, undefined, () => {
+            if (innerSubscriber === current) innerSubscriber = null;
+            checkComplete();
+          });
+          innerSubscriber = current;
+          inner.subscribe(current);
+        },
+        () => {
+          isComplete = true;
+          checkComplete();
+        }
+      )
+    );
+  });
+}
+
+function exhaustMap(project) {
+  return operate((source, subscriber) => {
+    let innerSubscriber = null;
+    let index = 0;
+    let isComplete = false;
+
+    source.subscribe(
+      createOperatorSubscriber(
+        subscriber,
+        (value) => {
+          if (innerSubscriber) return; // busy: drop it
+          innerSubscriber = createOperatorSubscriber(subscriber, undefined, () => {
+            innerSubscriber = null;
+            if (isComplete) subscriber.complete();
+          });
+          from(project(value, index++)).subscribe(innerSubscriber);
         },
-        error: (err) => observer.error(err),
-        complete: () => observer.complete(),
+        () => {
+          isComplete = true;
+          if (!innerSubscriber) subscriber.complete();
+        }
+      )
+    );
+  });
+}
+
+// Source value + latest value of each other stream (others don't trigger)
+function withLatestFrom(...others) {
+  return operate((source, subscriber) => {
+    const latest = new Array(others.length);
+    const seen = new Array(others.length).fill(false);
+    let ready = !others.length;
+
+    others.forEach((other, i) => {
+      from(other).subscribe(
+        createOperatorSubscriber(
+          subscriber,
+          (value) => {
+            latest[i] = value;
+            if (!ready && !seen[i]) {
+              seen[i] = true;
+              ready = seen.every(Boolean);
+            }
+          },
+          noop // an inner completing does not complete the result
+        )
+      );
+    });
+
+    source.subscribe(
+      createOperatorSubscriber(subscriber, (value) => {
+        if (ready) subscriber.next([value, ...latest]);
+      })
+    );
+  });
+}
+
+// ─── Time operators ──────────────────────────────────────────────────────
+
+// Emit the latest value after `dueTime` of silence
+function debounceTime(dueTime, scheduler = asyncScheduler) {
+  return operate((source, subscriber) => {
+    let pending = null;
+    let lastValue = null;
+    let hasValue = false;
+
+    const emit = () => {
+      if (pending) pending.unsubscribe();
+      pending = null;
+      if (!hasValue) return;
+      const value = lastValue;
+      hasValue = false;
+      lastValue = null;
+      subscriber.next(value);
+    };
+    // One teardown for whichever timer is current, not one per value
+    subscriber.add(() => {
+      if (pending) pending.unsubscribe();
+    });
+
+    source.subscribe(
+      createOperatorSubscriber(
+        subscriber,
+        (value) => {
+          lastValue = value;
+          hasValue = true;
+          if (pending) pending.unsubscribe();
+          pending = scheduler.schedule(emit, dueTime);
+        },
+        () => {
+          emit(); // flush the last value, then complete
+          subscriber.complete();
+        }
+      )
+    );
+  });
+}
+
+// Emit, then ignore for `duration`. With trailing: true the last value
+// seen during the silence is emitted when it ends (and starts a new one).
+function throttleTime(duration, scheduler = asyncScheduler, config = {}) {
+  const { leading = true, trailing = false } = config;
+  return operate((source, subscriber) => {
+    let throttled = null;
+    let trailingValue = null;
+    let hasTrailing = false;
+    let isComplete = false;
+
+    const startThrottle = () => {
+      throttled = scheduler.schedule(endThrottle, duration);
+      subscriber.add(throttled);
+    };
+    const send = (value) => {
+      startThrottle();
+      subscriber.next(value);
+    };
+    const endThrottle = () => {
+      throttled = null;
+      if (trailing && hasTrailing) {
+        hasTrailing = false;
+        send(trailingValue);
+      }
+      if (isComplete) subscriber.complete();
+    };
+
+    source.subscribe(
+      createOperatorSubscriber(
+        subscriber,
+        (value) => {
+          if (throttled || !leading) {
+            trailingValue = value;
+            hasTrailing = true;
+            if (!throttled) startThrottle();
+            return;
+          }
+          send(value);
+        },
+        () => {
+          isComplete = true;
+          // A trailing value still waiting keeps the stream open until it's sent
+          if (!(trailing && hasTrailing && throttled)) subscriber.complete();
+        }
+      )
+    );
+  });
+}
+
+// Collect values into an array, emit it every `span` (empty arrays too)
+function bufferTime(span, scheduler = asyncScheduler) {
+  return operate((source, subscriber) => {
+    let buffer = [];
+    let timer = null;
+    const tick = () => {
+      const full = buffer;
+      buffer = [];
+      subscriber.next(full);
+      timer = scheduler.schedule(tick, span);
+    };
+    timer = scheduler.schedule(tick, span);
+    subscriber.add(() => timer.unsubscribe());
+
+    source.subscribe(
+      createOperatorSubscriber(
+        subscriber,
+        (value) => buffer.push(value),
+        () => {
+          subscriber.next(buffer);
+          subscriber.complete();
+        },
+        undefined,
+        () => {
+          buffer = null;
+        }
+      )
+    );
+  });
+}
+
+// ─── Error operators ─────────────────────────────────────────────────────
+
+// selector(err, caught) returns the stream to continue with; returning
+// `caught` resubscribes to the source (an endless retry)
+function catchError(selector) {
+  return operate((source, subscriber) => {
+    source.subscribe(
+      createOperatorSubscriber(subscriber, undefined, undefined, (err) => {
+        from(selector(err, catchError(selector)(source))).subscribe(subscriber);
+      })
+    );
+  });
+}
+
+// retry(3) or retry({ count, delay, resetOnSuccess }). delay is ms or a
+// function (err, attempt) => ObservableInput; the retry happens on its
+// first value, and its completing without a value completes the result.
+function retry(configOrCount = Infinity) {
+  const config = typeof configOrCount === "number" ? { count: configOrCount } : configOrCount;
+  const { count = Infinity, delay, resetOnSuccess = false } = config;
+  if (count <= 0) return (source) => source;
+
+  return operate((source, subscriber) => {
+    let attempts = 0;
+    const subscribeForRetry = () => {
+      source.subscribe(
+        createOperatorSubscriber(
+          subscriber,
+          (value) => {
+            if (resetOnSuccess) attempts = 0;
+            subscriber.next(value);
+          },
+          undefined,
+          (err) => {
+            if (attempts++ >= count) {
+              subscriber.error(err);
+              return;
+            }
+            if (delay === undefined) {
+              subscribeForRetry();
+              return;
+            }
+            const notifier = typeof delay === "number" ? timer(delay) : from(delay(err, attempts));
+            const notifierSubscriber = createOperatorSubscriber(
+              subscriber,
+              () => {
+                notifierSubscriber.unsubscribe();
+                subscribeForRetry();
+              },
+              () => subscriber.complete()
+            );
+            notifier.subscribe(notifierSubscriber);
+          }
+        )
+      );
+    };
+    subscribeForRetry();
+  });
+}
+
+// ─── Multicasting ────────────────────────────────────────────────────────
+//
+//   Observable: cold, one execution PER subscriber (unicast)
+//   Subject:    hot, one execution shared by all subscribers (multicast)
+
+class Subject extends Observable {
+  constructor() {
+    super((subscriber) => this._subscribe(subscriber));
+    this.observers = [];
+    this.isStopped = false;
+    this.hasError = false;
+    this.thrownError = null;
+  }
+
+  _subscribe(subscriber) {
+    // Late subscribers to a finished Subject only hear how it ended
+    if (this.hasError) return subscriber.error(this.thrownError);
+    if (this.isStopped) return subscriber.complete();
+    this.observers.push(subscriber);
+    return () => {
+      const index = this.observers.indexOf(subscriber);
+      if (index !== -1) this.observers.splice(index, 1);
+    };
+  }
+
+  next(value) {
+    if (this.isStopped) return;
+    this.observers.slice().forEach((observer) => observer.next(value));
+  }
+
+  error(err) {
+    if (this.isStopped) return;
+    this.isStopped = true;
+    this.hasError = true;
+    this.thrownError = err;
+    const observers = this.observers;
+    this.observers = [];
+    observers.forEach((observer) => observer.error(err));
+  }
+
+  complete() {
+    if (this.isStopped) return;
+    this.isStopped = true;
+    const observers = this.observers;
+    this.observers = [];
+    observers.forEach((observer) => observer.complete());
+  }
+
+  // Hide next/error/complete from consumers
+  asObservable() {
+    return new Observable((subscriber) => this.subscribe(subscriber));
+  }
+}
+
+// Always has a current value; new subscribers get it immediately
+class BehaviorSubject extends Subject {
+  constructor(initialValue) {
+    super();
+    this._value = initialValue;
+  }
+
+  get value() {
+    return this.getValue();
+  }
+
+  getValue() {
+    if (this.hasError) throw this.thrownError;
+    return this._value;
+  }
+
+  _subscribe(subscriber) {
+    const teardown = super._subscribe(subscriber);
+    if (!subscriber.closed) subscriber.next(this._value);
+    return teardown;
+  }
+
+  next(value) {
+    this._value = value;
+    super.next(value);
+  }
+}
+
+// Replays the last `bufferSize` values (no older than `windowTime` ms)
+// to every new subscriber - even after complete
+class ReplaySubject extends Subject {
+  constructor(bufferSize = Infinity, windowTime = Infinity, timestampProvider = asyncScheduler) {
+    super();
+    this.bufferSize = Math.max(1, bufferSize);
+    this.windowTime = Math.max(1, windowTime);
+    this.timestampProvider = timestampProvider;
+    this._buffer = []; // [value, time] pairs
+  }
+
+  next(value) {
+    if (!this.isStopped) {
+      this._buffer.push([value, this.timestampProvider.now()]);
+      this._trim();
+    }
+    super.next(value);
+  }
+
+  _subscribe(subscriber) {
+    this._trim();
+    for (const [value] of this._buffer.slice()) {
+      if (subscriber.closed) return undefined;
+      subscriber.next(value);
+    }
+    return super._subscribe(subscriber);
+  }
+
+  _trim() {
+    const oldest = this.timestampProvider.now() - this.windowTime;
+    let drop = Math.max(0, this._buffer.length - this.bufferSize);
+    if (this.windowTime !== Infinity) {
+      while (drop < this._buffer.length && this._buffer[drop][1] <= oldest) drop++;
+    }
+    if (drop) this._buffer.splice(0, drop);
+  }
+}
+
+// Share ONE subscription to the source among all subscribers (refCount):
+// connect on the first subscriber, disconnect when the last one leaves.
+// share({ connector: () => new ReplaySubject(1) }) gives late subscribers
+// the last value too.
+function share(options = {}) {
+  const {
+    connector = () => new Subject(),
+    resetOnError = true,
+    resetOnComplete = true,
+    resetOnRefCountZero = true,
+  } = options;
+
+  return (source) => {
+    let subject = null;
+    let connection = null;
+    let refCount = 0;
+    let hasErrored = false;
+    let hasCompleted = false;
+
+    const reset = () => {
+      subject = null;
+      connection = null;
+      hasErrored = false;
+      hasCompleted = false;
+    };
+
+    return new Observable((subscriber) => {
+      refCount++;
+      if (!subject) subject = connector();
+      const current = subject;
+
+      subscriber.add(() => {
+        refCount--;
+        if (refCount === 0 && resetOnRefCountZero && !hasErrored && !hasCompleted) {
+          const stale = connection;
+          reset();
+          if (stale) stale.unsubscribe();
+        }
       });
+      current.subscribe(subscriber);
+
+      if (!connection && !hasErrored && !hasCompleted) {
+        connection = new Subscriber({
+          next: (value) => current.next(value),
+          error: (err) => {
+            hasErrored = true;
+            if (resetOnError) reset();
+            current.error(err);
+          },
+          complete: () => {
+            hasCompleted = true;
+            if (resetOnComplete) reset();
+            current.complete();
+          },
+        });
+        source.subscribe(connection);
+      }
     });
+  };
+}
+
+// ─── TestScheduler: marble diagrams on virtual time ──────────────────────
+//
+//   "-"  one frame passes          "a"  next(values.a ?? "a")
+//   "|"  complete                  "#"  error(errorValue ?? "error")
+//   "()" group: all at one frame   "^"  frame 0 of a hot observable /
+//   " "  ignored (alignment)            subscription point
+//   "10ms" / "2s"  time progression (needs spaces around it)
+//   "!"  unsubscription (subscription marbles only)
+//
+//   new TestScheduler(assertDeepEqual).run(({ cold, hot, expectObservable }) => {
+//     expectObservable(cold("-a-b|").pipe(map(up))).toBe("-A-B|");
+//   });
+
+const TIME_PROGRESSION = /^(\d+(?:\.\d+)?)(ms|s|m)(?= |$)/;
+const TIME_UNITS = { ms: 1, s: 1000, m: 60000 };
+
+function deepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+  if (a instanceof Error || b instanceof Error) {
+    return a.constructor === b.constructor && a.message === b.message;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+class TestScheduler extends VirtualTimeScheduler {
+  constructor(assertDeepEqual) {
+    super();
+    this.assertDeepEqual = assertDeepEqual || TestScheduler.defaultAssert;
+    this.hotObservables = [];
+    this.flushTests = [];
+  }
+
+  static defaultAssert(actual, expected) {
+    if (deepEqual(actual, expected)) return;
+    const isEvents = [...actual, ...expected].every((item) => "kind" in item);
+    const diagrams = isEvents
+      ? `\n  expected: ${TestScheduler.render(expected)}\n  actual:   ${TestScheduler.render(actual)}`
+      : "";
+    throw new Error(
+      `Marbles differ${diagrams}\n  expected: ${JSON.stringify(expected)}\n  actual:   ${JSON.stringify(actual)}`
+    );
+  }
+
+  // "--a-(bc)-|" -> [{ frame: 2, kind: "N", value: "a" }, ...]
+  static parseMarbles(marbles, values, errorValue, allowSubscriptionMarker = false) {
+    const events = [];
+    let frame = 0;
+    let groupStart = -1;
+    let zeroFrame = 0;
+
+    for (let i = 0; i < marbles.length; ) {
+      const char = marbles[i];
+      const at = groupStart === -1 ? frame : groupStart;
+      if (char === " ") {
+        i++;
+        continue;
+      }
+      const progression = groupStart === -1 && (i === 0 || marbles[i - 1] === " ") && marbles.slice(i).match(TIME_PROGRESSION);
+      if (progression) {
+        frame += Number(progression[1]) * TIME_UNITS[progression[2]];
+        i += progression[0].length;
+        continue;
+      }
+      if (char === "(") {
+        if (groupStart !== -1) throw new SyntaxError(`Nested groups are not allowed: "${marbles}"`);
+        groupStart = frame;
+      } else if (char === ")") {
+        groupStart = -1;
+      } else if (char === "|") {
+        events.push({ frame: at, kind: "C" });
+      } else if (char === "#") {
+        events.push({ frame: at, kind: "E", error: errorValue === undefined ? "error" : errorValue });
+      } else if (char === "^") {
+        if (!allowSubscriptionMarker) throw new SyntaxError(`Cold observables cannot have "^": "${marbles}"`);
+        zeroFrame = frame;
+      } else if (char === "!") {
+        throw new SyntaxError(`"!" only belongs in subscription marbles: "${marbles}"`);
+      } else if (char !== "-") {
+        const value = values && Object.prototype.hasOwnProperty.call(values, char) ? values[char] : char;
+        events.push({ frame: at, kind: "N", value });
+      }
+      frame++;
+      i++;
+    }
+    return events.map((event) => ({ ...event, frame: event.frame - zeroFrame }));
+  }
+
+  // "^---!" -> { subscribedFrame: 0, unsubscribedFrame: 4 }
+  static parseSubscriptionMarbles(marbles) {
+    let frame = 0;
+    let groupStart = -1;
+    let subscribedFrame = Infinity;
+    let unsubscribedFrame = Infinity;
+
+    for (let i = 0; i < marbles.length; ) {
+      const char = marbles[i];
+      const at = groupStart === -1 ? frame : groupStart;
+      if (char === " ") {
+        i++;
+        continue;
+      }
+      const progression = groupStart === -1 && (i === 0 || marbles[i - 1] === " ") && marbles.slice(i).match(TIME_PROGRESSION);
+      if (progression) {
+        frame += Number(progression[1]) * TIME_UNITS[progression[2]];
+        i += progression[0].length;
+        continue;
+      }
+      if (char === "(") groupStart = frame;
+      else if (char === ")") groupStart = -1;
+      else if (char === "^") subscribedFrame = at;
+      else if (char === "!") unsubscribedFrame = at;
+      else if (char !== "-") throw new SyntaxError(`Unexpected "${char}" in subscription marbles "${marbles}"`);
+      frame++;
+      i++;
+    }
+    if (unsubscribedFrame < subscribedFrame) {
+      throw new SyntaxError(`Unsubscribed before subscribing: "${marbles}"`);
+    }
+    return { subscribedFrame: subscribedFrame === Infinity ? 0 : subscribedFrame, unsubscribedFrame };
+  }
+
+  // Events -> marble string, for readable failure messages
+  static render(events) {
+    let out = "";
+    let frame = 0;
+    const symbol = (event) => {
+      if (event.kind === "C") return "|";
+      if (event.kind === "E") return "#";
+      return typeof event.value === "string" && event.value.length === 1 ? event.value : `{${JSON.stringify(event.value)}}`;
+    };
+    const byFrame = new Map();
+    events.forEach((event) => {
+      if (!byFrame.has(event.frame)) byFrame.set(event.frame, []);
+      byFrame.get(event.frame).push(symbol(event));
+    });
+    [...byFrame.keys()].sort((a, b) => a - b).forEach((at) => {
+      if (at > frame) out += "-".repeat(at - frame);
+      const group = byFrame.get(at);
+      out += group.length > 1 ? `(${group.join("")})` : group[0];
+      frame = Math.max(frame, at) + 1;
+    });
+    return out || "(nothing)";
+  }
+
+  createColdObservable(marbles, values, errorValue) {
+    const events = TestScheduler.parseMarbles(marbles, values, errorValue);
+    const cold = new Observable((subscriber) => {
+      const log = { subscribedFrame: this.now(), unsubscribedFrame: Infinity };
+      cold.subscriptions.push(log);
+      events.forEach((event) => {
+        subscriber.add(this.schedule(() => deliver(subscriber, event), event.frame));
+      });
+      return () => {
+        log.unsubscribedFrame = this.now();
+      };
+    });
+    cold.subscriptions = [];
+    return cold;
+  }
+
+  createHotObservable(marbles, values, errorValue) {
+    const events = TestScheduler.parseMarbles(marbles, values, errorValue, true);
+    const subject = new Subject();
+    const hot = new Observable((subscriber) => {
+      const log = { subscribedFrame: this.now(), unsubscribedFrame: Infinity };
+      hot.subscriptions.push(log);
+      subject.subscribe(subscriber);
+      return () => {
+        log.unsubscribedFrame = this.now();
+      };
+    });
+    hot.subscriptions = [];
+    // Scheduled at flush time, after the expectObservable subscriptions,
+    // so a subscriber at frame 0 sees a value at frame 0
+    hot.setup = () => {
+      events
+        .filter((event) => event.frame >= 0)
+        .forEach((event) => this.schedule(() => deliver(subject, event), event.frame));
+    };
+    this.hotObservables.push(hot);
+    return hot;
+  }
+
+  expectObservable(observable, subscriptionMarbles = null) {
+    const test = { ready: false, actual: [], expected: null };
+    const { subscribedFrame, unsubscribedFrame } = subscriptionMarbles
+      ? TestScheduler.parseSubscriptionMarbles(subscriptionMarbles)
+      : { subscribedFrame: 0, unsubscribedFrame: Infinity };
+    let subscription = null;
+
+    this.schedule(() => {
+      subscription = observable.subscribe({
+        next: (value) => test.actual.push({ frame: this.now(), kind: "N", value }),
+        error: (error) => test.actual.push({ frame: this.now(), kind: "E", error }),
+        complete: () => test.actual.push({ frame: this.now(), kind: "C" }),
+      });
+    }, subscribedFrame);
+    if (unsubscribedFrame !== Infinity) {
+      this.schedule(() => subscription.unsubscribe(), unsubscribedFrame);
+    }
+    this.flushTests.push(test);
+
+    return {
+      toBe: (marbles, values, errorValue) => {
+        test.ready = true;
+        test.expected = TestScheduler.parseMarbles(marbles, values, errorValue, true);
+      },
+    };
+  }
+
+  expectSubscriptions(subscriptionLogs) {
+    const test = { ready: false, actual: subscriptionLogs, expected: null };
+    this.flushTests.push(test);
+    return {
+      toBe: (marbles) => {
+        test.ready = true;
+        const list = marbles === undefined ? [] : [].concat(marbles);
+        test.expected = list.map((m) => TestScheduler.parseSubscriptionMarbles(m));
+      },
+    };
+  }
+
+  flush() {
+    const hot = this.hotObservables;
+    this.hotObservables = [];
+    hot.forEach((observable) => observable.setup());
+    super.flush();
+    const tests = this.flushTests.filter((test) => test.ready);
+    this.flushTests = [];
+    tests.forEach((test) => this.assertDeepEqual(test.actual.slice(), test.expected));
+  }
+
+  // Runs `callback` with virtual time standing in for asyncScheduler, then
+  // flushes and checks every expectation made inside it
+  run(callback) {
+    const helpers = {
+      cold: this.createColdObservable.bind(this),
+      hot: this.createHotObservable.bind(this),
+      expectObservable: this.expectObservable.bind(this),
+      expectSubscriptions: this.expectSubscriptions.bind(this),
+      flush: () => this.flush(),
+      time: (marbles) => {
+        const end = TestScheduler.parseMarbles(marbles.replace(/\|/, "") + "|").pop();
+        return end.frame;
+      },
+    };
+    const previous = asyncScheduler.delegate;
+    asyncScheduler.delegate = this;
+    try {
+      const result = callback(helpers);
+      this.flush();
+      return result;
+    } finally {
+      asyncScheduler.delegate = previous;
+    }
+  }
+}
+
+function deliver(observer, event) {
+  if (event.kind === "N") observer.next(event.value);
+  else if (event.kind === "E") observer.error(event.error);
+  else observer.complete();
 }
 
+module.exports = {
+  Observable,
+  Subscription,
+  Subscriber,
+  Subject,
+  BehaviorSubject,
+  ReplaySubject,
+  from,
+  of,
+  EMPTY,
+  NEVER,
+  throwError,
+  timer,
+  interval,
+  merge,
+  combineLatest,
+  zip,
+  map,
+  filter,
+  take,
+  scan,
+  mergeMap,
+  concatMap,
+  switchMap,
+  exhaustMap,
+  withLatestFrom,
+  debounceTime,
+  throttleTime,
+  bufferTime,
+  catchError,
+  retry,
+  share,
+  asyncScheduler,
+  VirtualTimeScheduler,
+  TestScheduler,
+};
+
 // ═══════════════════════════════════════════════════════════════════════════
 // TEST CASES
 // ═══════════════════════════════════════════════════════════════════════════
 
-console.log("═══ TEST A: Basic Observable ═══");
-const obs1 = new Observable((observer) => {
-  observer.next(1);
-  observer.next(2);
-  observer.next(3);
-  observer.complete();
-});
-obs1.subscribe({
-  next: (v) => console.log("A: next:", v),
-  complete: () => console.log("A: complete"),
-});
-
-console.log("\n═══ TEST B: Observable.from ═══");
-Observable.from([10, 20, 30]).subscribe({
-  next: (v) => console.log("B: value:", v),
-  complete: () => console.log("B: done"),
-});
-
-console.log("\n═══ TEST C: map operator ═══");
-Observable.from([1, 2, 3])
-  .pipe(map((x) => x * 10))
-  .subscribe({
-    next: (v) => console.log("C: mapped:", v),
-  });
-
-console.log("\n═══ TEST D: filter operator ═══");
-Observable.from([1, 2, 3, 4, 5])
-  .pipe(filter((x) => x % 2 === 0))
-  .subscribe({
-    next: (v) => console.log("D: filtered:", v),
-  });
-
-console.log("\n═══ TEST E: pipe with map + filter ═══");
-Observable.from([1, 2, 3, 4, 5, 6])
-  .pipe(
-    map((x) => x * 3),
-    filter((x) => x > 10)
-  )
-  .subscribe({
-    next: (v) => console.log("E: result:", v),
-    complete: () => console.log("E: done"),
-  });
-
-console.log("\n═══ TEST F: take operator ═══");
-Observable.from([1, 2, 3, 4, 5])
-  .pipe(take(3))
-  .subscribe({
-    next: (v) => console.log("F: taken:", v),
-    complete: () => console.log("F: complete after 3"),
-  });
-
-console.log("\n═══ TEST G: error handling ═══");
-const errObs = new Observable((observer) => {
-  observer.next("ok");
-  observer.error(new Error("boom"));
-  observer.next("should not appear");
-});
-errObs.subscribe({
-  next: (v) => console.log("G: next:", v),
-  error: (e) => console.log("G: error caught:", e.message),
-  complete: () => console.log("G: should not complete"),
-});
-
-console.log("\n═══ TEST H: Observable.of ═══");
-Observable.of("a", "b", "c").subscribe({
-  next: (v) => console.log("H:", v),
-});
+if (require.main === module) {
+  console.log("═══ TEST A: Basic Observable ═══");
+  const obs1 = new Observable((observer) => {
+    observer.next(1);
+    observer.next(2);
+    observer.next(3);
+    observer.complete();
+  });
+  obs1.subscribe({
+    next: (v) => console.log("A: next:", v),
+    complete: () => console.log("A: complete"),
+  });
+
+  console.log("\n═══ TEST B: Observable.from ═══");
+  Observable.from([10, 20, 30]).subscribe({
+    next: (v) => console.log("B: value:", v),
+    complete: () => console.log("B: done"),
+  });
+
+  console.log("\n═══ TEST C: map operator ═══");
+  Observable.from([1, 2, 3])
+    .pipe(map((x) => x * 10))
+    .subscribe({
+      next: (v) => console.log("C: mapped:", v),
+    });
+
+  console.log("\n═══ TEST D: filter operator ═══");
+  Observable.from([1, 2, 3, 4, 5])
+    .pipe(filter((x) => x % 2 === 0))
+    .subscribe({
+      next: (v) => console.log("D: filtered:", v),
+    });
+
+  console.log("\n═══ TEST E: pipe with map + filter ═══");
+  Observable.from([1, 2, 3, 4, 5, 6])
+    .pipe(
+      map((x) => x * 3),
+      filter((x) => x > 10)
+    )
+    .subscribe({
+      next: (v) => console.log("E: result:", v),
+      complete: () => console.log("E: done"),
+    });
+
+  console.log("\n═══ TEST F: take operator ═══");
+  Observable.from([1, 2, 3, 4, 5])
+    .pipe(take(3))
+    .subscribe({
+      next: (v) => console.log("F: taken:", v),
+      complete: () => console.log("F: complete after 3"),
+    });
+
+  console.log("\n═══ TEST G: error handling ═══");
+  const errObs = new Observable((observer) => {
+    observer.next("ok");
+    observer.error(new Error("boom"));
+    observer.next("should not appear");
+  });
+  errObs.subscribe({
+    next: (v) => console.log("G: next:", v),
+    error: (e) => console.log("G: error caught:", e.message),
+    complete: () => console.log("G: should not complete"),
+  });
+
+  console.log("\n═══ TEST H: Observable.of ═══");
+  Observable.of("a", "b", "c").subscribe({
+    next: (v) => console.log("H:", v),
+  });
+
+  console.log("\n═══ TEST I: teardown reaches the source ═══");
+  {
+    let produced = 0;
+    function* naturals() {
+      for (let n = 1; ; n++) {
+        produced++;
+        yield n;
+      }
+    }
+    const result = [];
+    from(naturals()).pipe(map((n) => n * n), take(3)).subscribe((v) => result.push(v));
+    console.log("I1: infinite sync source + take(3):", result, "produced:", produced);
+    // Expected: I1: infinite sync source + take(3): [ 1, 4, 9 ] produced: 3
+
+    let cleaned = 0;
+    const ticking = new Observable(() => () => cleaned++);
+    const sub = merge(ticking, ticking).pipe(switchMap(() => ticking)).subscribe(noop);
+    sub.unsubscribe();
+    console.log("I2: teardowns run after unsubscribe:", cleaned, "closed:", sub.closed);
+    // Expected: I2: teardowns run after unsubscribe: 2 closed: true
+  }
+
+  // Every test below runs on virtual time: 1 marble frame = 1 ms
+  const marbleTest = (label, body) => {
+    try {
+      new TestScheduler().run(body);
+      console.log(`${label}: ✓`);
+    } catch (err) {
+      console.log(`${label}: ✗ ${err.message}`);
+    }
+  };
+
+  console.log("\n═══ TEST J: higher-order operators ═══");
+  marbleTest("J1 mergeMap runs inners concurrently", ({ cold, expectObservable }) => {
+    const source = cold("-a---b----|");
+    const inner = cold("  x-y|");
+    expectObservable(source.pipe(mergeMap(() => inner))).toBe("-x-y-x-y--|");
+  });
+  marbleTest("J2 concatMap queues the next inner", ({ cold, expectObservable }) => {
+    const source = cold("-ab--|");
+    const inner = cold(" x-y|");
+    expectObservable(source.pipe(concatMap(() => inner))).toBe("-x-yx-y|");
+  });
+  marbleTest("J3 switchMap cancels the running inner", ({ cold, expectObservable, expectSubscriptions }) => {
+    const source = cold("-a--b------|");
+    const inner = cold(" x--y--z|");
+    expectObservable(source.pipe(switchMap(() => inner))).toBe("-x--x--y--z|");
+    expectSubscriptions(inner.subscriptions).toBe(["-^--!", "----^------!"]);
+  });
+  marbleTest("J4 exhaustMap ignores values while busy", ({ cold, expectObservable }) => {
+    const source = cold("-a-b----c--|");
+    const inner = cold(" x--y|");
+    expectObservable(source.pipe(exhaustMap(() => inner))).toBe("-x--y---x--y|");
+  });
+  marbleTest("J5 mergeMap with concurrent = 2", ({ cold, expectObservable }) => {
+    const source = cold("(abc)|");
+    const inners = { a: cold("--a|"), b: cold("----b|"), c: cold("c|") };
+    expectObservable(source.pipe(mergeMap((k) => inners[k], 2))).toBe("--acb|");
+  });
+
+  console.log("\n═══ TEST K: combination operators ═══");
+  marbleTest("K1 combineLatest", ({ cold, expectObservable }) => {
+    const a = cold("-a----b-|");
+    const b = cold("---1--2---|");
+    expectObservable(combineLatest([a, b])).toBe("---x--(yz)|", {
+      x: ["a", "1"],
+      y: ["b", "1"],
+      z: ["b", "2"],
+    });
+  });
+  marbleTest("K2 zip pairs by index", ({ cold, expectObservable }) => {
+    const a = cold("-a-b-c|");
+    const b = cold("--1---2-|");
+    expectObservable(zip(a, b)).toBe("--x---y-|", { x: ["a", "1"], y: ["b", "2"] });
+  });
+  marbleTest("K3 withLatestFrom only fires on the source", ({ hot, expectObservable }) => {
+    const clicks = hot("--c----c-c--|");
+    const input = hot(" -a---b----c-|");
+    expectObservable(clicks.pipe(withLatestFrom(input))).toBe("--x----y-y--|", {
+      x: ["c", "a"],
+      y: ["c", "b"],
+    });
+  });
+  marbleTest("K4 merge interleaves", ({ cold, expectObservable }) => {
+    expectObservable(merge(cold("-a--c|"), cold("--b---d|"))).toBe("-ab-c-d|");
+  });
+
+  console.log("\n═══ TEST L: time operators ═══");
+  marbleTest("L1 debounceTime waits for silence", ({ cold, expectObservable }) => {
+    expectObservable(cold("-a-bc---d|").pipe(debounceTime(2))).toBe("------c--(d|)");
+  });
+  marbleTest("L2 throttleTime (leading)", ({ cold, expectObservable }) => {
+    expectObservable(cold("-abc--de---f|").pipe(throttleTime(3))).toBe("-a----d----f|");
+  });
+  marbleTest("L3 throttleTime (leading + trailing)", ({ cold, expectObservable }) => {
+    const result = cold("-abc-------|").pipe(throttleTime(3, asyncScheduler, { leading: true, trailing: true }));
+    expectObservable(result).toBe("-a--c------|");
+  });
+  marbleTest("L4 bufferTime", ({ cold, expectObservable }) => {
+    expectObservable(cold("-a-b-c-d-|").pipe(bufferTime(4))).toBe("----x---y(z|)", {
+      x: ["a", "b"],
+      y: ["c", "d"],
+      z: [],
+    });
+  });
+  marbleTest("L5 interval + subscription marbles", ({ expectObservable }) => {
+    expectObservable(interval(2), "^------!").toBe("--a-b-c", { a: 0, b: 1, c: 2 });
+  });
+  marbleTest("L6 time progression syntax", ({ cold, expectObservable }) => {
+    expectObservable(cold("a 98ms b|").pipe(debounceTime(50))).toBe("50ms a 49ms (b|)");
+  });
+
+  console.log("\n═══ TEST M: error operators ═══");
+  marbleTest("M1 catchError switches to a fallback", ({ cold, expectObservable }) => {
+    const result = cold("-a-#").pipe(catchError(() => cold("x-y|")));
+    expectObservable(result).toBe("-a-x-y|");
+  });
+  marbleTest("M2 retry resubscribes, then gives up", ({ cold, expectObservable, expectSubscriptions }) => {
+    const source = cold("-a#");
+    expectObservable(source.pipe(retry(2))).toBe("-a-a-a#");
+    expectSubscriptions(source.subscriptions).toBe(["^-!", "--^-!", "----^-!"]);
+  });
+  marbleTest("M3 retry with delay", ({ cold, expectObservable }) => {
+    expectObservable(cold("-a#").pipe(retry({ count: 1, delay: 3 }))).toBe("-a----a#");
+  });
+  marbleTest("M4 errors thrown by project go down the error channel", ({ cold, expectObservable }) => {
+    const boom = new Error("bad value");
+    const result = cold("-a-b-|").pipe(map((x) => { if (x === "b") throw boom; return x; }));
+    expectObservable(result).toBe("-a-#", undefined, boom);
+  });
+
+  console.log("\n═══ TEST N: multicasting ═══");
+  marbleTest("N1 Subject is hot: late subscribers miss values", ({ hot, expectObservable }) => {
+    const source = hot("-a-b-c-|");
+    const subject = new Subject();
+    source.subscribe(subject);
+    expectObservable(subject, "---^").toBe("---b-c-|");
+  });
+  marbleTest("N2 BehaviorSubject replays the current value", ({ hot, expectObservable }) => {
+    const subject = new BehaviorSubject("i");
+    hot("--a--b--|").subscribe(subject);
+    expectObservable(subject).toBe("i-a--b--|");
+    expectObservable(subject, "----^").toBe("----ab--|");
+  });
+  marbleTest("N3 ReplaySubject(2) replays the last two", ({ hot, expectObservable }) => {
+    const subject = new ReplaySubject(2);
+    hot("-a-b-c----|").subscribe(subject);
+    expectObservable(subject, "------^").toBe("------(bc)|");
+  });
+  marbleTest("N4 share: one source subscription, refCounted", ({ cold, expectObservable, expectSubscriptions }) => {
+    const source = cold("-a-b-c-d|");
+    const shared = source.pipe(share());
+    expectObservable(shared, "^-----!").toBe("-a-b-c");
+    expectObservable(shared, "--^").toBe("---b-c-d|");
+    expectSubscriptions(source.subscriptions).toBe("^-------!");
+  });
+  marbleTest("N5 share with ReplaySubject connector", ({ cold, expectObservable }) => {
+    const shared = cold("-a-b|").pipe(share({ connector: () => new ReplaySubject(1), resetOnComplete: false }));
+    expectObservable(shared).toBe("-a-b|");
+    expectObservable(shared, "------^").toBe("------(b|)");
+  });
+
+  console.log("\n═══ TEST O: a failing marble test explains itself ═══");
+  marbleTest("O1 (deliberately wrong)", ({ cold, expectObservable }) => {
+    expectObservable(cold("-a-b|").pipe(map((x) => x.toUpperCase()))).toBe("-A-C|");
+  });
+  // Expected: O1 (deliberately wrong): ✗ Marbles differ
+  //   expected: -A-C|
+  //   actual:   -A-B|  ...
+
+  console.log("\n═══ TEST P: real timers (asyncScheduler) ═══");
+  const started = Date.now();
+  interval(10)
+    .pipe(
+      scan((sum, n) => sum + n, 0),
+      take(4)
+    )
+    .subscribe({
+      next: (v) => console.log("P: running sum:", v),
+      complete: () => console.log("P: done after ~40ms:", Date.now() - started >= 35),
+    });
+}
 
 // ═══════════════════════════════════════════════════════════════════════════
 // FOLLOW-UP QUESTIONS
@@ -196,10 +1559,19 @@ Observable.of("a", "b", "c").subscribe({
 
 /**
  * 1. How would you implement a scan (reduce-like) operator?
+ *    -> keep an accumulator in the operator's closure, emit it on every value
  * 2. How would you implement switchMap for async streams?
+ *    -> unsubscribe the current inner subscriber before subscribing the next
  * 3. How does cold vs hot Observable differ?
+ *    -> cold runs its producer per subscriber; hot (Subject, share) shares one
  * 4. How would you implement unsubscribe with teardown logic?
+ *    -> Subscription holds teardowns; operator subscribers are added to the
+ *       downstream subscriber, so unsubscribing one end closes the chain
  * 5. How does RxJS Subject differ from Observable?
+ *    -> it is both Observable and Observer, with a list of subscribers
+ * 6. Why do time operators take a scheduler argument?
+ *    -> so tests can swap real timers for virtual time (TestScheduler.run)
+ * 7. mergeMap vs concatMap vs switchMap vs exhaustMap for an HTTP call?
  */
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -213,5 +1585,9 @@ Observable.of("a", "b", "c").subscribe({
  * ║  like map/filter return new Observables that wrap the source.          ║
  * ║  pipe() chains operators via reduce. This is lazy - nothing runs      ║
  * ║  until subscribe() is called. Time: O(n*k) for n items, k operators." ║
+ * ║  Each subscriber is a Subscription chained to the one downstream, so   ║
+ * ║  completing or unsubscribing tears down inners and timers upstream.    ║
+ * ║  Time-based operators schedule work through a scheduler; swapping in   ║
+ * ║  a virtual-time scheduler makes marble tests like '-a--b|' exact."     ║
  * ╚══════════════════════════════════════════════════════════════════════════╝
  */
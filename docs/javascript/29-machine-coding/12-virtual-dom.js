@@ -11,6 +11,8 @@
  * │  STORY TO REMEMBER: Two blueprints of a house (old & new vDOM).        │
  * │  A contractor (diff) compares them and writes a change list (patches). │
  * │  A builder (patch) applies only those changes to the real house.       │
+ * │  Keys are name tags on the furniture: a moved sofa is carried, not     │
+ * │  thrown out and rebuilt in the new spot.                               │
  * └──────────────────────────────────────────────────────────────────────────┘
  *
  * ┌──────────────────────────────────────────────────────────────────────────┐
@@ -21,10 +23,36 @@
  * │   ├─ h1("Hi")       ├─ h1("Hello")     [REPLACE text in h1]           │
  * │   └─ p("world")     ├─ p("world")      [ADD span]                     │
  * │                      └─ span("!")                                      │
+ * │                                                                        │
+ * │   KEYED LIST        old: a b c d e      sources (old index per new):   │
+ * │                     new: e a b c d      [4, 0, 1, 2, 3]                │
+ * │                     LIS of sources = 0 1 2 3  -> a b c d stay put      │
+ * │                     only "e" is moved: ONE insertBefore                │
+ * │                                                                        │
+ * │   COMPONENTS        render(h(App), container)                          │
+ * │                       App() ──> vNodes ──> resolve ──> host tree       │
+ * │                       host tree ──> diff ──> patches ──> DOM           │
+ * │                       then run effects (children first)                │
+ * │                     setState ──> schedule ──> re-render root (batched) │
  * └──────────────────────────────────────────────────────────────────────────┘
  *
  * PROBLEM: Implement createElement(type, props, children), diff(oldTree, newTree),
- *          and patch(node, patches). Simulate VDOM diffing.
+ *          and patch(node, patches). Then add keyed children reconciliation with
+ *          minimal moves, function components with useState/useEffect, event
+ *          props (onClick) and fragments.
+ *
+ * APPROACH:
+ *  1. diff works on HOST trees (only element + text nodes). Children without
+ *     keys are compared by index; with keys they are matched by key and the
+ *     longest increasing subsequence (LIS) of old positions decides which
+ *     nodes can stay - every other kept node is moved exactly once.
+ *  2. render() first RESOLVES the tree: calls function components (with the
+ *     hooks of the instance that sat in the same slot last time) and
+ *     flattens fragments into their parent's children. The result is a host
+ *     tree, so steps 1 and 3 never see components.
+ *  3. applyPatch talks to the DOM API only (createElement, insertBefore,
+ *     removeChild, setAttribute, addEventListener), so it runs against the
+ *     in-memory DOM stand-in below under plain Node, or a real document.
  *
  * RUN: node docs/javascript/29-machine-coding/12-virtual-dom.js
  */
@@ -41,14 +69,223 @@ const PATCH_TYPES = {
   UPDATE_CHILDREN: "UPDATE_CHILDREN",
 };
 
-function createElement(type, props = {}, ...children) {
+// <>...</> - groups children without adding a wrapper element
+const Fragment = Symbol("Fragment");
+
+// null / undefined / true / false render nothing, numbers render as text
+function normalizeChildren(children) {
+  return children
+    .flat(Infinity)
+    .filter((child) => child !== null && child !== undefined && typeof child !== "boolean")
+    .map((child) => (typeof child === "number" ? String(child) : child));
+}
+
+function createElement(type, props, ...children) {
+  const { key, ...rest } = props || {};
   return {
     type,
-    props,
-    children: children.flat(),
+    props: rest,
+    children: normalizeChildren(children),
+    key: key === undefined || key === null ? undefined : String(key),
+  };
+}
+
+// ─── In-memory DOM stand-in ──────────────────────────────────────────────
+// Just enough of the DOM API for the patcher, plus an `ops` counter on the
+// document so tests can check how much work a patch really did.
+
+class FakeNode {
+  constructor(ownerDocument) {
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.childNodes = [];
+    this.listeners = {};
+  }
+
+  get firstChild() {
+    return this.childNodes[0] || null;
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  get textContent() {
+    return this.childNodes.map((child) => child.textContent).join("");
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  insertBefore(node, ref) {
+    const { ops } = this.ownerDocument;
+    if (node.parentNode === this) ops.moves++;
+    else ops.inserts++;
+    if (node.parentNode) node.parentNode._detach(node);
+    const at = ref ? this.childNodes.indexOf(ref) : this.childNodes.length;
+    if (at === -1) throw new Error("insertBefore: reference node is not a child of this node");
+    this.childNodes.splice(at, 0, node);
+    node.parentNode = this;
+    return node;
+  }
+
+  removeChild(node) {
+    this._detach(node);
+    this.ownerDocument.ops.removes++;
+    return node;
+  }
+
+  replaceChild(newNode, oldNode) {
+    if (newNode.parentNode) newNode.parentNode._detach(newNode);
+    const at = this.childNodes.indexOf(oldNode);
+    if (at === -1) throw new Error("replaceChild: node to replace is not a child of this node");
+    this.childNodes[at] = newNode;
+    newNode.parentNode = this;
+    oldNode.parentNode = null;
+    this.ownerDocument.ops.replaces++;
+    return oldNode;
+  }
+
+  _detach(node) {
+    const at = this.childNodes.indexOf(node);
+    if (at === -1) throw new Error("removeChild: node is not a child of this node");
+    this.childNodes.splice(at, 1);
+    node.parentNode = null;
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] || (this.listeners[type] = new Set())).add(listener);
+  }
+
+  removeEventListener(type, listener) {
+    if (this.listeners[type]) this.listeners[type].delete(listener);
+  }
+
+  // Bubbles from the target up through its ancestors
+  dispatchEvent(event) {
+    event.target = event.target || this;
+    for (let node = this; node && !event.propagationStopped; node = node.parentNode) {
+      event.currentTarget = node;
+      for (const listener of [...(node.listeners[event.type] || [])]) listener.call(node, event);
+      if (!event.bubbles) break;
+    }
+    return !event.defaultPrevented;
+  }
+}
+
+class FakeText extends FakeNode {
+  constructor(ownerDocument, data) {
+    super(ownerDocument);
+    this.nodeType = 3;
+    this._data = data;
+  }
+
+  get nodeValue() {
+    return this._data;
+  }
+
+  set nodeValue(value) {
+    this.ownerDocument.ops.texts++;
+    this._data = String(value);
+  }
+
+  get textContent() {
+    return this._data;
+  }
+
+  get outerHTML() {
+    return this._data.replace(/&/g, "&amp;").replace(/</g, "&lt;");
+  }
+
+  toJSON() {
+    return { text: this._data };
+  }
+}
+
+class FakeElement extends FakeNode {
+  constructor(ownerDocument, tag) {
+    super(ownerDocument);
+    this.nodeType = 1;
+    this.localName = tag;
+    this.tagName = tag.toUpperCase();
+    this.attributes = {};
+  }
+
+  setAttribute(name, value) {
+    this.ownerDocument.ops.attributes++;
+    this.attributes[name] = String(value);
+  }
+
+  removeAttribute(name) {
+    this.ownerDocument.ops.attributes++;
+    delete this.attributes[name];
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  click() {
+    return this.dispatchEvent(new FakeEvent("click"));
+  }
+
+  get outerHTML() {
+    const attrs = Object.entries(this.attributes).map(([k, v]) => ` ${k}="${v.replace(/"/g, "&quot;")}"`);
+    const inner = this.childNodes.map((child) => child.outerHTML).join("");
+    return `<${this.localName}${attrs.join("")}>${inner}</${this.localName}>`;
+  }
+
+  // Same shape the first version of renderNode produced
+  toJSON() {
+    return { tag: this.localName, props: { ...this.attributes }, children: this.childNodes };
+  }
+}
+
+class FakeEvent {
+  constructor(type, { bubbles = true } = {}) {
+    this.type = type;
+    this.bubbles = bubbles;
+    this.target = null;
+    this.currentTarget = null;
+    this.defaultPrevented = false;
+    this.propagationStopped = false;
+  }
+
+  preventDefault() {
+    this.defaultPrevented = true;
+  }
+
+  stopPropagation() {
+    this.propagationStopped = true;
+  }
+}
+
+function createDocument() {
+  const doc = {
+    ops: { creates: 0, inserts: 0, moves: 0, removes: 0, replaces: 0, attributes: 0, texts: 0 },
+    createElement: (tag) => {
+      doc.ops.creates++;
+      return new FakeElement(doc, tag);
+    },
+    createTextNode: (text) => {
+      doc.ops.creates++;
+      return new FakeText(doc, text);
+    },
+    resetOps() {
+      for (const key of Object.keys(doc.ops)) doc.ops[key] = 0;
+    },
   };
+  doc.body = doc.createElement("body");
+  doc.resetOps();
+  return doc;
 }
 
+// In a browser this is the real document; under Node, the stand-in
+const defaultDocument = typeof document !== "undefined" ? document : createDocument();
+
 // ─── Diff: compare old and new trees, return patches ─────────────────────
 
 function diff(oldNode, newNode) {
@@ -60,10 +297,11 @@ function diff(oldNode, newNode) {
   if (newNode === undefined || newNode === null) {
     return { type: PATCH_TYPES.REMOVE };
   }
-  // Text node changed or type changed
+  // Text node changed, type changed or key changed
   if (typeof oldNode !== typeof newNode ||
       typeof oldNode === "string" && oldNode !== newNode ||
-      oldNode.type !== newNode.type) {
+      oldNode.type !== newNode.type ||
+      oldNode.key !== newNode.key) {
     return { type: PATCH_TYPES.REPLACE, newNode };
   }
   // Both are strings and equal
@@ -71,6 +309,13 @@ function diff(oldNode, newNode) {
 
   // Same type element - check props and children
   const propPatches = diffProps(oldNode.props, newNode.props);
+
+  if (hasKeys(oldNode.children) || hasKeys(newNode.children)) {
+    const keyedPatches = diffKeyedChildren(oldNode.children, newNode.children);
+    if (propPatches.length === 0 && keyedPatches === null) return null;
+    return { type: PATCH_TYPES.UPDATE_CHILDREN, propPatches, keyedPatches };
+  }
+
   const childPatches = diffChildren(oldNode.children, newNode.children);
 
   if (propPatches.length === 0 && childPatches.every((p) => p === null)) {
@@ -95,6 +340,7 @@ function diffProps(oldProps = {}, newProps = {}) {
   return patches;
 }
 
+// Unkeyed children: compared position by position
 function diffChildren(oldChildren = [], newChildren = []) {
   const patches = [];
   const maxLen = Math.max(oldChildren.length, newChildren.length);
@@ -104,15 +350,103 @@ function diffChildren(oldChildren = [], newChildren = []) {
   return patches;
 }
 
-// ─── Patch: apply patches to a simulated DOM node ────────────────────────
+const hasKeys = (children = []) => children.some((child) => typeof child === "object" && child.key !== undefined);
 
-function renderNode(vNode) {
-  if (typeof vNode === "string") return { text: vNode };
-  return {
-    tag: vNode.type,
-    props: { ...vNode.props },
-    children: (vNode.children || []).map(renderNode),
-  };
+// Children without a key in a keyed list are matched by position
+const keyOf = (child, index) =>
+  typeof child === "object" && child.key !== undefined ? `key:${child.key}` : `index:${index}`;
+
+// Keyed children: match by key, then keep the longest run of nodes that
+// are already in the right relative order and move only the rest.
+//
+// Returns null when nothing changed, otherwise
+//   { removes: [old indexes], children: [one entry per new child], moves }
+// where each entry is { from: old index, patch, move } or { from: -1, newNode }
+function diffKeyedChildren(oldChildren = [], newChildren = []) {
+  const oldIndexByKey = new Map(oldChildren.map((child, i) => [keyOf(child, i), i]));
+  const used = new Set();
+
+  const children = newChildren.map((child, i) => {
+    const from = oldIndexByKey.get(keyOf(child, i));
+    // Duplicate keys: only the first one can reuse the old node
+    if (from === undefined || used.has(from)) return { from: -1, newNode: child };
+    used.add(from);
+    return { from, patch: diff(oldChildren[from], child), move: false };
+  });
+
+  const removes = oldChildren.map((_, i) => i).filter((i) => !used.has(i));
+  const stay = new Set(longestIncreasingSubsequence(children.map((c) => c.from)));
+  let moves = 0;
+  children.forEach((child, i) => {
+    if (child.from !== -1 && !stay.has(i)) {
+      child.move = true;
+      moves++;
+    }
+  });
+
+  const unchanged =
+    removes.length === 0 && moves === 0 && children.every((c) => c.from !== -1 && c.patch === null);
+  return unchanged ? null : { removes, children, moves };
+}
+
+// Indexes (into `values`) of a longest strictly increasing subsequence,
+// skipping -1 entries. O(n log n): tails[len] = index of the smallest value
+// that ends an increasing run of length len + 1.
+function longestIncreasingSubsequence(values) {
+  const tails = [];
+  const previous = new Array(values.length).fill(-1);
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] === -1) continue;
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (values[tails[mid]] < values[i]) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo > 0) previous[i] = tails[lo - 1];
+    tails[lo] = i;
+  }
+  const result = [];
+  for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) result.push(i);
+  return result.reverse();
+}
+
+// ─── Patch: apply patches through the DOM API ────────────────────────────
+
+// onClick -> one "click" listener per element that forwards to whatever
+// handler the latest render passed, so a new closure each render is just an
+// object write, not a removeEventListener/addEventListener pair
+function dispatchToHandler(event) {
+  return this._handlers[event.type](event);
+}
+
+function setProp(dom, key, value) {
+  if (/^on[A-Z]/.test(key)) {
+    const type = key.slice(2).toLowerCase();
+    const handlers = dom._handlers || (dom._handlers = {});
+    if (typeof value === "function") {
+      if (!handlers[type]) dom.addEventListener(type, dispatchToHandler);
+      handlers[type] = value;
+    } else if (handlers[type]) {
+      dom.removeEventListener(type, dispatchToHandler);
+      delete handlers[type];
+    }
+    return;
+  }
+  if (value === null || value === undefined || value === false) dom.removeAttribute(key);
+  else dom.setAttribute(key, value === true ? "" : value);
+}
+
+function renderNode(vNode, doc = defaultDocument) {
+  if (typeof vNode === "string") return doc.createTextNode(vNode);
+  if (typeof vNode.type !== "string") {
+    throw new TypeError("renderNode only handles host nodes - mount components and fragments with render()");
+  }
+  const el = doc.createElement(vNode.type);
+  for (const [key, value] of Object.entries(vNode.props || {})) setProp(el, key, value);
+  for (const child of vNode.children || []) el.appendChild(renderNode(child, doc));
+  return el;
 }
 
 function applyPatch(domNode, patch) {
@@ -120,34 +454,26 @@ function applyPatch(domNode, patch) {
 
   switch (patch.type) {
     case PATCH_TYPES.CREATE:
-      return renderNode(patch.newNode);
+      return renderNode(patch.newNode, domNode ? domNode.ownerDocument : defaultDocument);
     case PATCH_TYPES.REMOVE:
+      if (domNode.parentNode) domNode.parentNode.removeChild(domNode);
       return null;
-    case PATCH_TYPES.REPLACE:
-      return renderNode(patch.newNode);
+    case PATCH_TYPES.REPLACE: {
+      // Text -> text: edit the existing text node
+      if (typeof patch.newNode === "string" && domNode.nodeType === 3) {
+        domNode.nodeValue = patch.newNode;
+        return domNode;
+      }
+      const next = renderNode(patch.newNode, domNode.ownerDocument);
+      if (domNode.parentNode) domNode.parentNode.replaceChild(next, domNode);
+      return next;
+    }
     case PATCH_TYPES.UPDATE_CHILDREN: {
       // Apply prop patches
-      if (patch.propPatches) {
-        for (const pp of patch.propPatches) {
-          if (pp.value === null) delete domNode.props[pp.key];
-          else domNode.props[pp.key] = pp.value;
-        }
-      }
+      for (const pp of patch.propPatches || []) setProp(domNode, pp.key, pp.value);
       // Apply child patches
-      if (patch.childPatches) {
-        const newChildren = [];
-        const maxLen = Math.max(
-          domNode.children.length,
-          patch.childPatches.length
-        );
-        for (let i = 0; i < maxLen; i++) {
-          const child = domNode.children[i];
-          const cp = patch.childPatches[i];
-          const result = applyPatch(child, cp);
-          if (result !== null) newChildren.push(result);
-        }
-        domNode.children = newChildren;
-      }
+      if (patch.childPatches) applyChildPatches(domNode, patch.childPatches);
+      if (patch.keyedPatches) applyKeyedPatches(domNode, patch.keyedPatches);
       return domNode;
     }
     default:
@@ -155,50 +481,440 @@ function applyPatch(domNode, patch) {
   }
 }
 
+function applyChildPatches(parent, childPatches) {
+  const children = [...parent.childNodes];
+  childPatches.forEach((cp, i) => {
+    if (!cp) return;
+    // Index diffing only ever creates past the end of the old list
+    if (cp.type === PATCH_TYPES.CREATE) parent.appendChild(renderNode(cp.newNode, parent.ownerDocument));
+    else applyPatch(children[i], cp);
+  });
+}
+
+// Right to left: each node is placed just before the one after it. Nodes in
+// the LIS are already in order and are never touched.
+function applyKeyedPatches(parent, { removes, children }) {
+  const oldDom = [...parent.childNodes];
+  for (const i of removes) parent.removeChild(oldDom[i]);
+
+  let anchor = null;
+  for (let i = children.length - 1; i >= 0; i--) {
+    const child = children[i];
+    let node;
+    if (child.from === -1) {
+      node = parent.insertBefore(renderNode(child.newNode, parent.ownerDocument), anchor);
+    } else {
+      node = applyPatch(oldDom[child.from], child.patch);
+      if (child.move) parent.insertBefore(node, anchor);
+    }
+    anchor = node;
+  }
+}
+
+// ─── Components + hooks ──────────────────────────────────────────────────
+//
+// A component instance lives as long as the same component type (and key)
+// keeps showing up in the same slot. Hooks are stored on the instance in
+// call order - which is why hooks can't be called conditionally.
+
+const instances = new WeakMap(); // component vNode -> instance
+const containerRoots = new WeakMap(); // container DOM node -> root
+const dirtyRoots = new Set();
+let flushScheduled = false;
+let currentInstance = null;
+let hookIndex = 0;
+
+function currentHookOwner(hook) {
+  if (!currentInstance) throw new Error(`${hook} can only be called while a function component renders`);
+  return currentInstance;
+}
+
+function useState(initial) {
+  const instance = currentHookOwner("useState");
+  const index = hookIndex++;
+  if (!instance.hooks[index]) {
+    const hook = { value: typeof initial === "function" ? initial() : initial };
+    // Updaters run right away, so two setCount(c => c + 1) in one handler
+    // add 2; the re-render itself is batched
+    hook.setState = (next) => {
+      const value = typeof next === "function" ? next(hook.value) : next;
+      if (Object.is(value, hook.value) || instance.unmounted) return;
+      hook.value = value;
+      scheduleUpdate(instance.root);
+    };
+    instance.hooks[index] = hook;
+  }
+  const hook = instance.hooks[index];
+  return [hook.value, hook.setState];
+}
+
+// Runs after the DOM is patched, when a dep changed (every render without
+// deps, once with []). The previous cleanup runs first.
+function useEffect(effect, deps) {
+  const instance = currentHookOwner("useEffect");
+  const index = hookIndex++;
+  const hook = instance.hooks[index] || (instance.hooks[index] = { deps: undefined, cleanup: null });
+  const changed =
+    !deps || !hook.deps || deps.length !== hook.deps.length || deps.some((dep, i) => !Object.is(dep, hook.deps[i]));
+  if (!changed) return;
+  hook.deps = deps;
+  instance.pendingEffects.push(() => {
+    if (hook.cleanup) hook.cleanup();
+    const cleanup = effect();
+    hook.cleanup = typeof cleanup === "function" ? cleanup : null;
+  });
+}
+
+function renderComponent(instance, vNode) {
+  const previousInstance = currentInstance;
+  const previousIndex = hookIndex;
+  currentInstance = instance;
+  hookIndex = 0;
+  try {
+    const props = vNode.children.length ? { ...vNode.props, children: vNode.children } : vNode.props;
+    return normalizeChildren([vNode.type(props)]);
+  } finally {
+    currentInstance = previousInstance;
+    hookIndex = previousIndex;
+  }
+}
+
+const sameKind = (a, b) =>
+  typeof a === "string" ? typeof b === "string" : typeof b === "object" && a.type === b.type && a.key === b.key;
+
+// Pairs each new child with the old child it replaces (same key, or same
+// position among unkeyed children). Old children left over are unmounted.
+function pairChildren(oldChildren, newChildren) {
+  const byKey = new Map();
+  const unkeyed = [];
+  for (const child of oldChildren) {
+    if (typeof child === "object" && child.key !== undefined) byKey.set(child.key, child);
+    else unkeyed.push(child);
+  }
+  const dropped = [];
+  let next = 0;
+  const matches = newChildren.map((child) => {
+    let match;
+    if (typeof child === "object" && child.key !== undefined) {
+      match = byKey.get(child.key);
+      byKey.delete(child.key);
+    } else {
+      match = unkeyed[next++];
+    }
+    if (match !== undefined && !sameKind(match, child)) {
+      dropped.push(match);
+      return undefined;
+    }
+    return match;
+  });
+  dropped.push(...byKey.values(), ...unkeyed.slice(next));
+  return { matches, dropped };
+}
+
+// Fragment/component children share the parent's child list, so their
+// keys get the owner's key as a prefix to stay unique
+const prefixKeys = (nodes, key) =>
+  nodes.map((node, i) =>
+    typeof node === "object" ? { ...node, key: `${key}.${node.key === undefined ? i : node.key}` } : node
+  );
+
+// vNodes (may contain components + fragments) -> host nodes (elements + text)
+function resolveChildren(newChildren, oldChildren, root) {
+  const { matches, dropped } = pairChildren(oldChildren, newChildren);
+  dropped.forEach(unmount);
+  return newChildren.flatMap((child, i) => resolve(child, matches[i], root));
+}
+
+function resolve(vNode, oldVNode, root) {
+  if (typeof vNode === "string") return [vNode];
+
+  if (typeof vNode.type === "function") {
+    const instance = (oldVNode && instances.get(oldVNode)) || {
+      hooks: [],
+      rendered: [],
+      pendingEffects: [],
+      unmounted: false,
+      root,
+    };
+    instances.set(vNode, instance);
+    const rendered = renderComponent(instance, vNode);
+    const hosts = resolveChildren(rendered, instance.rendered, root);
+    instance.rendered = rendered;
+    // Children resolved first, so their effects are queued (and run) first
+    root.effects.push(...instance.pendingEffects.splice(0));
+    if (vNode.key === undefined) return hosts;
+    if (hosts.length === 1 && typeof hosts[0] === "object") return [{ ...hosts[0], key: vNode.key }];
+    return prefixKeys(hosts, vNode.key);
+  }
+
+  const oldChildren = oldVNode ? oldVNode.children : [];
+  const children = resolveChildren(vNode.children, oldChildren, root);
+  if (vNode.type === Fragment) return vNode.key === undefined ? children : prefixKeys(children, vNode.key);
+  return [{ type: vNode.type, props: vNode.props, children, key: vNode.key }];
+}
+
+// Parent cleanups run before children's, like React
+function unmount(vNode) {
+  if (typeof vNode === "string") return;
+  const instance = instances.get(vNode);
+  if (!instance) {
+    vNode.children.forEach(unmount);
+    return;
+  }
+  instance.unmounted = true;
+  for (const hook of instance.hooks) {
+    if (hook && hook.cleanup) {
+      hook.cleanup();
+      hook.cleanup = null;
+    }
+  }
+  instance.rendered.forEach(unmount);
+}
+
+// ─── Roots + scheduling ──────────────────────────────────────────────────
+
+// render(h(App), container) mounts; calling it again with a new tree
+// updates in place; render(null, container) unmounts everything
+function render(vNode, container) {
+  let root = containerRoots.get(container);
+  if (!root) {
+    root = { container, vNode: null, host: { type: "#root", props: {}, children: [] }, effects: [] };
+    containerRoots.set(container, root);
+  }
+  const previous = root.vNode;
+  root.vNode = vNode;
+  commitRoot(root, previous);
+}
+
+function commitRoot(root, previous = root.vNode) {
+  const toList = (vNode) => (vNode === null || vNode === undefined ? [] : normalizeChildren([vNode]));
+  const host = { type: "#root", props: {}, children: resolveChildren(toList(root.vNode), toList(previous), root) };
+  applyPatch(root.container, diff(root.host, host));
+  root.host = host;
+  for (const runEffect of root.effects.splice(0)) runEffect();
+}
+
+function scheduleUpdate(root) {
+  dirtyRoots.add(root);
+  if (!flushScheduled) {
+    flushScheduled = true;
+    queueMicrotask(flushUpdates);
+  }
+}
+
+// Re-renders every root with pending state now. Runs on its own in a
+// microtask after setState; tests call it directly to stay synchronous.
+function flushUpdates() {
+  flushScheduled = false;
+  for (let passes = 0; dirtyRoots.size; passes++) {
+    if (passes === 50) throw new Error("Too many re-renders - an effect keeps setting state");
+    const roots = [...dirtyRoots];
+    dirtyRoots.clear();
+    for (const root of roots) commitRoot(root);
+  }
+}
+
+module.exports = {
+  PATCH_TYPES,
+  Fragment,
+  createElement,
+  diff,
+  diffProps,
+  diffChildren,
+  diffKeyedChildren,
+  longestIncreasingSubsequence,
+  renderNode,
+  applyPatch,
+  render,
+  useState,
+  useEffect,
+  flushUpdates,
+  createDocument,
+  FakeEvent,
+};
+
 // ═══════════════════════════════════════════════════════════════════════════
 // TEST CASES
 // ═══════════════════════════════════════════════════════════════════════════
 
-const h = createElement; // alias
-
-console.log("═══ TEST A: createElement ═══");
-const tree1 = h("div", { id: "app" }, h("h1", {}, "Hello"), h("p", {}, "World"));
-console.log("A: vDOM tree:", JSON.stringify(tree1, null, 2));
-
-console.log("\n═══ TEST B: Diff - text change ═══");
-const oldTree = h("div", {}, h("h1", {}, "Hi"));
-const newTree = h("div", {}, h("h1", {}, "Hello"));
-const patches = diff(oldTree, newTree);
-console.log("B: Patches:", JSON.stringify(patches, null, 2));
-
-console.log("\n═══ TEST C: Diff - added child ═══");
-const old2 = h("div", {}, "one");
-const new2 = h("div", {}, "one", "two");
-console.log("C: Patches:", JSON.stringify(diff(old2, new2), null, 2));
-
-console.log("\n═══ TEST D: Diff - removed child ═══");
-const old3 = h("div", {}, "a", "b", "c");
-const new3 = h("div", {}, "a", "b");
-console.log("D: Patches:", JSON.stringify(diff(old3, new3), null, 2));
-
-console.log("\n═══ TEST E: Diff - type change ═══");
-const old4 = h("div", {}, h("span", {}, "text"));
-const new4 = h("div", {}, h("p", {}, "text"));
-console.log("E: Patches:", JSON.stringify(diff(old4, new4), null, 2));
-
-console.log("\n═══ TEST F: Render and patch cycle ═══");
-const vOld = h("div", { class: "app" }, h("h1", {}, "Old Title"), h("p", {}, "Body"));
-const vNew = h("div", { class: "app" }, h("h1", {}, "New Title"), h("p", {}, "Body"));
-let dom = renderNode(vOld);
-console.log("F: Before:", JSON.stringify(dom));
-const ps = diff(vOld, vNew);
-dom = applyPatch(dom, ps);
-console.log("F: After:", JSON.stringify(dom));
-
-console.log("\n═══ TEST G: Prop change ═══");
-const vOld2 = h("div", { class: "old", id: "x" });
-const vNew2 = h("div", { class: "new" });
-console.log("G: Prop diff:", JSON.stringify(diff(vOld2, vNew2), null, 2));
+if (require.main === module) {
+  const h = createElement; // alias
+
+  console.log("═══ TEST A: createElement ═══");
+  const tree1 = h("div", { id: "app" }, h("h1", {}, "Hello"), h("p", {}, "World"));
+  console.log("A: vDOM tree:", JSON.stringify(tree1, null, 2));
+
+  console.log("\n═══ TEST B: Diff - text change ═══");
+  const oldTree = h("div", {}, h("h1", {}, "Hi"));
+  const newTree = h("div", {}, h("h1", {}, "Hello"));
+  const patches = diff(oldTree, newTree);
+  console.log("B: Patches:", JSON.stringify(patches, null, 2));
+
+  console.log("\n═══ TEST C: Diff - added child ═══");
+  const old2 = h("div", {}, "one");
+  const new2 = h("div", {}, "one", "two");
+  console.log("C: Patches:", JSON.stringify(diff(old2, new2), null, 2));
+
+  console.log("\n═══ TEST D: Diff - removed child ═══");
+  const old3 = h("div", {}, "a", "b", "c");
+  const new3 = h("div", {}, "a", "b");
+  console.log("D: Patches:", JSON.stringify(diff(old3, new3), null, 2));
+
+  console.log("\n═══ TEST E: Diff - type change ═══");
+  const old4 = h("div", {}, h("span", {}, "text"));
+  const new4 = h("div", {}, h("p", {}, "text"));
+  console.log("E: Patches:", JSON.stringify(diff(old4, new4), null, 2));
+
+  console.log("\n═══ TEST F: Render and patch cycle ═══");
+  const vOld = h("div", { class: "app" }, h("h1", {}, "Old Title"), h("p", {}, "Body"));
+  const vNew = h("div", { class: "app" }, h("h1", {}, "New Title"), h("p", {}, "Body"));
+  let dom = renderNode(vOld);
+  console.log("F: Before:", JSON.stringify(dom));
+  const ps = diff(vOld, vNew);
+  dom = applyPatch(dom, ps);
+  console.log("F: After:", JSON.stringify(dom));
+
+  console.log("\n═══ TEST G: Prop change ═══");
+  const vOld2 = h("div", { class: "old", id: "x" });
+  const vNew2 = h("div", { class: "new" });
+  console.log("G: Prop diff:", JSON.stringify(diff(vOld2, vNew2), null, 2));
+
+  // Every test below renders into its own in-memory document
+  const mount = (vNode) => {
+    const doc = createDocument();
+    const node = renderNode(vNode, doc);
+    doc.resetOps();
+    return { doc, node };
+  };
+  const list = (items, keyed) => h("ul", {}, items.map((x) => h("li", keyed ? { key: x } : {}, x)));
+
+  console.log("\n═══ TEST H: Keyed reorder = minimal moves ═══");
+  {
+    const before = ["a", "b", "c", "d", "e"];
+    const after = ["e", "a", "b", "c", "d"];
+    const keyed = mount(list(before, true));
+    const liA = keyed.node.childNodes[0];
+    applyPatch(keyed.node, diff(list(before, true), list(after, true)));
+    console.log("H1: keyed  :", keyed.node.textContent, JSON.stringify(keyed.doc.ops));
+    // Expected: H1: keyed  : eabcd {"creates":0,"inserts":0,"moves":1,"removes":0,"replaces":0,"attributes":0,"texts":0}
+    console.log("H2: <li>a</li> kept its DOM node:", keyed.node.childNodes[1] === liA);
+    // Expected: H2: <li>a</li> kept its DOM node: true
+
+    const unkeyed = mount(list(before, false));
+    applyPatch(unkeyed.node, diff(list(before, false), list(after, false)));
+    console.log("H3: unkeyed:", unkeyed.node.textContent, JSON.stringify(unkeyed.doc.ops));
+    // Expected: H3: unkeyed: eabcd {...,"texts":5} - every <li> rewrites its text
+  }
+
+  console.log("\n═══ TEST I: Keyed insert + remove + move ═══");
+  {
+    const before = ["a", "b", "c", "d"];
+    const after = ["d", "x", "b", "a"];
+    const { doc, node } = mount(list(before, true));
+    const patch = diff(list(before, true), list(after, true));
+    console.log("I1: removes", patch.keyedPatches.removes, "moves", patch.keyedPatches.moves);
+    // Expected: I1: removes [ 2 ] moves 2   (LIS keeps one of d/b/a, the other two move)
+    applyPatch(node, patch);
+    console.log("I2:", node.outerHTML, JSON.stringify(doc.ops));
+    // Expected: I2: <ul><li>d</li><li>x</li><li>b</li><li>a</li></ul> {"creates":2,"inserts":2,"moves":2,"removes":1,...}
+    console.log("I3: LIS of [4, 0, 1, 2, 3] =", longestIncreasingSubsequence([4, 0, 1, 2, 3]));
+    // Expected: I3: LIS of [4, 0, 1, 2, 3] = [ 1, 2, 3, 4 ]
+  }
+
+  console.log("\n═══ TEST J: Components + useState + onClick ═══");
+  {
+    const doc = createDocument();
+    const container = doc.createElement("div");
+    let renders = 0;
+    function Counter({ label }) {
+      const [count, setCount] = useState(0);
+      renders++;
+      return h("button", { onClick: () => { setCount((c) => c + 1); setCount((c) => c + 1); } }, `${label}: ${count}`);
+    }
+    render(h(Counter, { label: "Clicks" }), container);
+    console.log("J1:", container.outerHTML);
+    // Expected: J1: <div><button>Clicks: 0</button></div>
+    const button = container.firstChild;
+    button.click();
+    console.log("J2: before flush:", container.textContent);
+    // Expected: J2: before flush: Clicks: 0   (updates are batched)
+    flushUpdates();
+    console.log("J3: after flush:", container.textContent, "renders:", renders, "same button:", container.firstChild === button);
+    // Expected: J3: after flush: Clicks: 2 renders: 2 same button: true
+  }
+
+  console.log("\n═══ TEST K: useEffect order, deps and cleanup ═══");
+  {
+    const doc = createDocument();
+    const container = doc.createElement("div");
+    const log = [];
+    function Child({ id }) {
+      useEffect(() => {
+        log.push(`child effect ${id}`);
+        return () => log.push(`child cleanup ${id}`);
+      }, [id]);
+      return h("span", {}, id);
+    }
+    function Parent({ id }) {
+      useEffect(() => {
+        log.push("parent effect (every render)");
+      });
+      return h("p", {}, h(Child, { id }));
+    }
+    render(h(Parent, { id: 1 }), container);
+    render(h(Parent, { id: 1 }), container);
+    render(h(Parent, { id: 2 }), container);
+    render(null, container);
+    log.forEach((line, i) => console.log(`K${i + 1}: ${line}`));
+    // Expected: child effect 1, parent effect, parent effect, child cleanup 1,
+    //           child effect 2, parent effect, child cleanup 2
+    console.log("K: container after unmount:", JSON.stringify(container.outerHTML));
+    // Expected: K: container after unmount: "<div></div>"
+  }
+
+  console.log("\n═══ TEST L: Fragments ═══");
+  {
+    const doc = createDocument();
+    const container = doc.createElement("dl");
+    const Term = ({ word, meaning }) => h(Fragment, {}, h("dt", {}, word), h("dd", {}, meaning));
+    const Glossary = ({ words }) => h(Fragment, {}, words.map(([w, m]) => h(Term, { key: w, word: w, meaning: m })));
+    const words = [["vdom", "tree of objects"], ["diff", "compare trees"]];
+    render(h(Glossary, { words }), container);
+    console.log("L1:", container.outerHTML);
+    // Expected: L1: <dl><dt>vdom</dt><dd>tree of objects</dd><dt>diff</dt><dd>compare trees</dd></dl>
+    const firstDt = container.firstChild;
+    doc.resetOps();
+    render(h(Glossary, { words: [...words].reverse() }), container);
+    console.log("L2:", container.outerHTML);
+    // Expected: L2: <dl><dt>diff</dt><dd>compare trees</dd><dt>vdom</dt><dd>tree of objects</dd></dl>
+    console.log("L3: moved, not recreated:", JSON.stringify(doc.ops), container.childNodes[2] === firstDt);
+    // Expected: L3: moved, not recreated: {"creates":0,...,"moves":2,...} true
+  }
+
+  console.log("\n═══ TEST M: Event props change and removal ═══");
+  {
+    const doc = createDocument();
+    const container = doc.createElement("div");
+    const clicks = [];
+    render(h("button", { onClick: () => clicks.push("first") }, "Go"), container);
+    const button = container.firstChild;
+    button.click();
+    render(h("button", { onClick: () => clicks.push("second") }, "Go"), container);
+    button.click();
+    render(h("button", {}, "Go"), container);
+    button.click();
+    console.log("M1: clicks:", clicks, "listeners left:", (button.listeners.click || new Set()).size);
+    // Expected: M1: clicks: [ 'first', 'second' ] listeners left: 0
+  }
+
+  console.log("\n═══ TEST N: Hooks outside a component ═══");
+  try {
+    useState(0);
+  } catch (err) {
+    console.log("N:", err.message);
+    // Expected: N: useState can only be called while a function component renders
+  }
+}
 
 // ═══════════════════════════════════════════════════════════════════════════
 // FOLLOW-UP QUESTIONS
@@ -206,10 +922,16 @@ console.log("G: Prop diff:", JSON.stringify(diff(vOld2, vNew2), null, 2));
 
 /**
  * 1. How would you handle keyed children for list reordering?
+ *    -> match by key, keep the LIS of old positions, move the rest (TEST H/I)
  * 2. How does React Fiber improve on this naive approach?
  * 3. What is the time complexity of the diff algorithm?
+ *    -> O(n) per level for index/keyed matching + O(k log k) for the LIS
  * 4. How would you batch DOM updates for performance?
+ *    -> setState only marks the root dirty; one microtask re-renders it
  * 5. How would you handle event listeners in props?
+ *    -> one listener per event type that forwards to the latest handler
+ * 6. Why can't hooks be called inside if statements?
+ * 7. Why do child effects run before parent effects?
  */
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -222,6 +944,10 @@ console.log("G: Prop diff:", JSON.stringify(diff(vOld2, vNew2), null, 2));
  * ║  createElement builds vNodes. diff recursively compares old/new trees  ║
  * ║  producing a minimal patch list. patch applies changes to real DOM.    ║
  * ║  This avoids expensive full re-renders. Time: O(n) for n nodes.       ║
- * ║  React further optimizes with keys and fiber for async rendering."     ║
+ * ║  Keyed children are matched by key; nodes on the longest increasing    ║
+ * ║  subsequence of old positions stay, every other one moves once.        ║
+ * ║  Components are resolved before diffing: each instance keeps its hooks ║
+ * ║  in call order, setState schedules a batched re-render, and effects    ║
+ * ║  run after the patch is applied, children first."                      ║
  * ╚══════════════════════════════════════════════════════════════════════════╝
  */
@@ -0,0 +1,295 @@
+/**
+ * TOPIC: JSONTestSuite Conformance Runner for parseJSON / JSONStreamParser
+ *
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  GOLDEN RULE: "Matches JSON.parse" means the SAME input is   ║
+ * ║  accepted or rejected by both, and accepted input gives the  ║
+ * ║  same value - down to -0, key order and own __proto__ keys.  ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  STORY: A spelling bee with three contestants. Native        │
+ * │  JSON.parse is the judge. parseJSON gets the whole word at   │
+ * │  once; JSONStreamParser hears it one letter at a time. Both  │
+ * │  must give the judge's answer on every word.                 │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * ┌──────────────────────────────────────────────────────────────┐
+ * │  VISUAL:                                                    │
+ * │                                                             │
+ * │   y_*.json  must parse      ┐                               │
+ * │   n_*.json  must throw      ├─► JSON.parse  ─┐              │
+ * │   i_*.json  either (impl.)  ┘   parseJSON   ─┼─ same?       │
+ * │                                 stream x1ch ─┘              │
+ * └──────────────────────────────────────────────────────────────┘
+ *
+ * Case names follow JSONTestSuite (github.com/nst/JSONTestSuite,
+ * test_parsing/). A representative set is built in; pass the path of a
+ * checkout's test_parsing directory to run the full corpus:
+ *
+ *   node 13-json-conformance.js ~/JSONTestSuite/test_parsing
+ *
+ * Files are decoded as UTF-8 once and the SAME string goes to all three
+ * parsers, so invalid byte sequences are compared fairly too.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseJSON, JSONStreamParser } = require("./13-json-parser");
+
+// ===================== BUILT-IN CASES =====================
+
+const CASES = {
+  // y_ - must be accepted
+  "y_array_arraysWithSpaces.json": "[[]   ]",
+  "y_array_empty-string.json": '[""]',
+  "y_array_empty.json": "[]",
+  "y_array_false.json": "[false]",
+  "y_array_heterogeneous.json": '[null, 1, "1", {}]',
+  "y_array_null.json": "[null]",
+  "y_array_with_1_and_newline.json": "[1\n]",
+  "y_array_with_leading_space.json": " [1]",
+  "y_array_with_several_null.json": "[1,null,null,null,2]",
+  "y_array_with_trailing_space.json": "[2] ",
+  "y_number.json": "[123e65]",
+  "y_number_0e+1.json": "[0e+1]",
+  "y_number_0e1.json": "[0e1]",
+  "y_number_after_space.json": "[ 4]",
+  "y_number_double_close_to_zero.json": `[-0.${"0".repeat(77)}1]`,
+  "y_number_int_with_exp.json": "[20e1]",
+  "y_number_minus_zero.json": "[-0]",
+  "y_number_negative_int.json": "[-123]",
+  "y_number_negative_one.json": "[-1]",
+  "y_number_real_capital_e.json": "[1E22]",
+  "y_number_real_capital_e_neg_exp.json": "[1E-2]",
+  "y_number_real_capital_e_pos_exp.json": "[1E+2]",
+  "y_number_real_fraction_exponent.json": "[123.456e78]",
+  "y_number_real_neg_exp.json": "[1e-2]",
+  "y_number_real_pos_exponent.json": "[1e+2]",
+  "y_number_simple_int.json": "[123]",
+  "y_number_simple_real.json": "[123.456789]",
+  "y_object.json": '{"asd":"sdf", "dfg":"fgh"}',
+  "y_object_basic.json": '{"asd":"sdf"}',
+  "y_object_duplicated_key.json": '{"a":"b","a":"c"}',
+  "y_object_duplicated_key_and_value.json": '{"a":"b","a":"b"}',
+  "y_object_empty.json": "{}",
+  "y_object_empty_key.json": '{"":0}',
+  "y_object_escaped_null_in_key.json": '{"foo\\u0000bar": 42}',
+  "y_object_extreme_numbers.json": '{ "min": -1.0e+28, "max": 1.0e+28 }',
+  "y_object_simple.json": '{"a":[]}',
+  "y_object_string_unicode.json": '{"title":"\\u041f\\u043e\\u043b\\u0442\\u043e\\u0440\\u0430" }',
+  "y_object_with_newlines.json": '{\n"a": "b"\n}',
+  "y_string_1_2_3_bytes_UTF-8_sequences.json": '["\\u0060\\u012a\\u12AB"]',
+  "y_string_accepted_surrogate_pair.json": '["\\uD801\\udc37"]',
+  "y_string_accepted_surrogate_pairs.json": '["\\ud83d\\ude39\\ud83d\\udc8d"]',
+  "y_string_allowed_escapes.json": '["\\"\\\\\\/\\b\\f\\n\\r\\t"]',
+  "y_string_backslash_and_u_escaped_zero.json": '["\\\\u0000"]',
+  "y_string_comments.json": '["a/*b*/c/*d//e"]',
+  "y_string_escaped_control_character.json": '["\\u0012"]',
+  "y_string_nonCharacterInUTF-8_U+FFFF.json": '["\uffff"]',
+  "y_string_null_escape.json": '["\\u0000"]',
+  "y_string_pi.json": '["π"]',
+  "y_string_space.json": '" "',
+  "y_string_surrogates_U+1D11E_MUSICAL_SYMBOL_G_CLEF.json": '["\\uD834\\uDd1e"]',
+  "y_string_unicodeEscapedBackslash.json": '["\\u005C"]',
+  "y_string_utf8.json": '["€𝄞"]',
+  "y_string_with_del_character.json": '["a\u007fa"]',
+  "y_structure_lonely_false.json": "false",
+  "y_structure_lonely_int.json": "42",
+  "y_structure_lonely_negative_real.json": "-0.1",
+  "y_structure_lonely_null.json": "null",
+  "y_structure_lonely_string.json": '"asd"',
+  "y_structure_lonely_true.json": "true",
+  "y_structure_string_empty.json": '""',
+  "y_structure_trailing_newline.json": '["a"]\n',
+  "y_structure_whitespace_array.json": " [] ",
+
+  // n_ - must be rejected
+  "n_array_1_true_without_comma.json": "[1 true]",
+  "n_array_comma_after_close.json": '[""],',
+  "n_array_comma_and_number.json": "[,1]",
+  "n_array_double_comma.json": "[1,,2]",
+  "n_array_extra_close.json": '["x"]]',
+  "n_array_extra_comma.json": '["",]',
+  "n_array_incomplete.json": '["x"',
+  "n_array_inner_array_no_comma.json": "[3[4]]",
+  "n_array_items_separated_by_semicolon.json": "[1:2]",
+  "n_array_just_comma.json": "[,]",
+  "n_array_just_minus.json": "[-]",
+  "n_array_missing_value.json": '[   , ""]',
+  "n_array_number_and_comma.json": "[1,]",
+  "n_array_unclosed_trailing_comma.json": "[1,",
+  "n_incomplete_false.json": "[fals]",
+  "n_incomplete_null.json": "[nul]",
+  "n_incomplete_true.json": "[tru]",
+  "n_multidigit_number_then_00.json": "123\u0000",
+  "n_number_++.json": "[++1234]",
+  "n_number_+1.json": "[+1]",
+  "n_number_-01.json": "[-01]",
+  "n_number_-1.0..json": "[-1.0.]",
+  "n_number_-2..json": "[-2.]",
+  "n_number_.-1.json": "[.-1]",
+  "n_number_0.e1.json": "[0.e1]",
+  "n_number_0_capital_E+.json": "[0E+]",
+  "n_number_1.0e+.json": "[1.0e+]",
+  "n_number_1_000.json": "[1 000.0]",
+  "n_number_2.e3.json": "[2.e3]",
+  "n_number_Inf.json": "[Inf]",
+  "n_number_NaN.json": "[NaN]",
+  "n_number_hex_1_digit.json": "[0x1]",
+  "n_number_infinity.json": "[Infinity]",
+  "n_number_minus_space_1.json": "[- 1]",
+  "n_number_neg_int_starting_with_zero.json": "[-012]",
+  "n_number_starting_with_dot.json": "[.123]",
+  "n_number_with_alpha.json": "[1.2a-3]",
+  "n_number_with_leading_zero.json": "[012]",
+  "n_object_bad_value.json": '["x", truth]',
+  "n_object_comma_instead_of_colon.json": '{"x", null}',
+  "n_object_double_colon.json": '{"x"::"b"}',
+  "n_object_missing_colon.json": '{"a" b}',
+  "n_object_missing_key.json": '{:"b"}',
+  "n_object_missing_value.json": '{"a":',
+  "n_object_no-colon.json": '{"a"',
+  "n_object_non_string_key.json": "{1:1}",
+  "n_object_single_quote.json": "{'a':0}",
+  "n_object_trailing_comma.json": '{"id":0,}',
+  "n_object_trailing_comment.json": '{"a":"b"}/**/',
+  "n_object_unquoted_key.json": '{a: "b"}',
+  "n_string_1_surrogate_then_escape_u.json": '["\\uD800\\u"]',
+  "n_string_escape_x.json": '["\\x00"]',
+  "n_string_escaped_emoji.json": '["\\🌀"]',
+  "n_string_incomplete_escape.json": '["\\"]',
+  "n_string_incomplete_surrogate_escape_invalid.json": '["\\uD800\\uD800\\x"]',
+  "n_string_invalid_unicode_escape.json": '["\\uqqqq"]',
+  "n_string_no_quotes_with_bad_escape.json": "[\\n]",
+  "n_string_single_quote.json": "['single quote']",
+  "n_string_unescaped_ctrl_char.json": '["a\u0000a"]',
+  "n_string_unescaped_newline.json": '["new\nline"]',
+  "n_string_unescaped_tab.json": '["\t"]',
+  "n_structure_100000_opening_arrays.json": "[".repeat(100000),
+  "n_structure_UTF8_BOM_no_data.json": "\uFEFF",
+  "n_structure_angle_bracket_..json": "<.>",
+  "n_structure_double_array.json": "[][]",
+  "n_structure_end_array.json": "]",
+  "n_structure_no_data.json": "",
+  "n_structure_null-byte-outside-string.json": "[\u0000]",
+  "n_structure_object_with_trailing_garbage.json": '{"a": true} x',
+  "n_structure_open_array_object.json": '[{"":'.repeat(50000) + "\n",
+  "n_structure_unicode-identifier.json": "å",
+  "n_structure_whitespace_formfeed.json": "[\f]",
+  "n_single_space.json": " ",
+
+  // i_ - implementation defined: we must do what JSON.parse does
+  "i_number_double_huge_neg_exp.json": "[123.456e-789]",
+  "i_number_huge_exp.json": `[0.4e0066999999999999999999999999999999999999999999999999999999999999${"9".repeat(200)}006]`,
+  "i_number_neg_int_huge_exp.json": "[-1e+9999]",
+  "i_number_pos_double_huge_exp.json": "[1.5e+9999]",
+  "i_number_real_underflow.json": "[123e-10000000]",
+  "i_number_too_big_neg_int.json": "[-123123123123123123123123123123]",
+  "i_string_1st_surrogate_but_2nd_missing.json": '["\\uDADA"]',
+  "i_string_1st_valid_surrogate_2nd_invalid.json": '["\\uD888\\u1234"]',
+  "i_string_incomplete_surrogate_and_escape_valid.json": '["\\uD800\\n"]',
+  "i_string_inverted_surrogates_U+1D11E.json": '["\\uDd1e\\uD834"]',
+  "i_string_lone_second_surrogate.json": '["\\uDFAA"]',
+  "i_structure_500_nested_arrays.json": "[".repeat(500) + "]".repeat(500),
+  "i_structure_UTF-8_BOM_empty_object.json": "\uFEFF{}",
+
+  // x_ - not in JSONTestSuite, but JSON.parse behaviour people rely on
+  "x_object_proto_key.json": '{"__proto__": {"polluted": true}}',
+  "x_object_duplicate_key_keeps_first_position.json": '{"a": 1, "b": 2, "a": 3}',
+  "x_object_integer_keys_first.json": '{"b": 1, "2": 2, "1": 3}',
+};
+
+// ===================== HARNESS =====================
+
+// Deep equality that also sees -0, key order and prototypes
+function same(a, b) {
+  if (a === null || b === null || typeof a !== "object" || typeof b !== "object") return Object.is(a, b);
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+  const keysA = Reflect.ownKeys(a);
+  const keysB = Reflect.ownKeys(b);
+  return keysA.length === keysB.length && keysA.every((key, k) => key === keysB[k] && same(a[key], b[key]));
+}
+
+function outcome(parse) {
+  try {
+    return { ok: true, value: parse() };
+  } catch (err) {
+    return { ok: false, error: err };
+  }
+}
+
+// The whole document selected at the root ([]), fed one character at a time
+function streamParse(text) {
+  let result;
+  const parser = new JSONStreamParser({ select: [[]] });
+  parser.on("value", (_, value) => (result = value));
+  for (const ch of text) parser.write(ch);
+  parser.end();
+  return result;
+}
+
+const PARSERS = { parseJSON: (text) => parseJSON(text), stream: streamParse };
+
+function loadCases(dir) {
+  if (!dir) return Object.entries(CASES);
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.endsWith(".json"))
+    .sort()
+    .map((name) => [name, fs.readFileSync(path.join(dir, name)).toString("utf8")]);
+}
+
+function main() {
+  const dir = process.argv[2];
+  const cases = loadCases(dir);
+  console.log(`${cases.length} cases from ${dir || "the built-in set"}\n`);
+
+  const failures = Object.fromEntries(Object.keys(PARSERS).map((name) => [name, []]));
+  const nativeOdd = [];
+  for (const [name, text] of cases) {
+    const native = outcome(() => JSON.parse(text));
+    // Sanity check the corpus expectations against the judge itself
+    if ((name[0] === "y" && !native.ok) || (name[0] === "n" && native.ok)) nativeOdd.push(name);
+
+    for (const [parserName, parse] of Object.entries(PARSERS)) {
+      const mine = outcome(() => parse(text));
+      let problem = null;
+      if (mine.ok !== native.ok) {
+        problem = mine.ok ? `accepted, JSON.parse threw ${native.error.message}` : `threw ${mine.error.message}`;
+      } else if (mine.ok && !same(mine.value, native.value)) {
+        problem = "parsed to a different value";
+      } else if (!mine.ok && !(mine.error instanceof SyntaxError)) {
+        problem = `threw ${mine.error.name}, not a SyntaxError`;
+      }
+      if (problem) failures[parserName].push(`${name}: ${problem}`);
+    }
+  }
+
+  for (const [parserName, list] of Object.entries(failures)) {
+    console.log(`${parserName.padEnd(10)} ${cases.length - list.length}/${cases.length} same as JSON.parse`);
+    for (const line of list) console.log(`  FAIL ${line}`);
+  }
+  if (nativeOdd.length) console.log(`\nJSON.parse itself disagrees with the y_/n_ prefix on: ${nativeOdd.join(", ")}`);
+
+  const ok = Object.values(failures).every((list) => list.length === 0);
+  console.log(ok ? "\n=== parseJSON and JSONStreamParser match JSON.parse ===" : "\n=== there are differences ===");
+  process.exitCode = ok ? 0 : 1;
+}
+
+main();
+
+/**
+ * ╔══════════════════════════════════════════════════════════════╗
+ * ║  INTERVIEW ANSWER:                                         ║
+ * ║  JSONTestSuite splits cases into must-accept (y_),         ║
+ * ║  must-reject (n_) and implementation-defined (i_). For a    ║
+ * ║  JSON.parse replacement the i_ cases matter as much: huge   ║
+ * ║  exponents become Infinity/0, lone surrogates are kept, a   ║
+ * ║  BOM is a syntax error. Comparing values with Object.is     ║
+ * ║  and own-key order catches -0 and __proto__ bugs that       ║
+ * ║  JSON.stringify-based checks would miss.                    ║
+ * ╚══════════════════════════════════════════════════════════════╝
+ */
+
+// RUN: node docs/javascript/29-machine-coding/13-json-conformance.js [path/to/JSONTestSuite/test_parsing]
@@ -11,6 +11,8 @@
  * │  STORY TO REMEMBER: A reader (cursor) walks through a book (string).   │
  * │  At each sentence start, the first letter tells them which language     │
  * │  rule to apply: " = string, [ = array, { = object, etc.               │
+ * │  The streaming reader gets the book one page at a time: they write     │
+ * │  down where they are (the state) at the bottom of each page.           │
  * └──────────────────────────────────────────────────────────────────────────┘
  *
  * ┌──────────────────────────────────────────────────────────────────────────┐
@@ -25,94 +27,209 @@
  * │                      parseValue ──► parseNumber(1)                     │
  * │                      parseValue ──► parseLiteral(true)                 │
  * │                      parseValue ──► parseString("hi")                  │
+ * │                                                                        │
+ * │   STREAMING: same grammar, but the call stack becomes an explicit     │
+ * │   stack, so parsing can stop at ANY character and resume later:       │
+ * │                                                                        │
+ * │   write('{"a": [1, tr')   stack: [object key=a] [array index=1]       │
+ * │                           token: literal "tr"   ── emits ["a",0] 1     │
+ * │   write('ue, "hi"]}')     ── emits ["a",1] true, ["a",2] "hi"          │
  * └──────────────────────────────────────────────────────────────────────────┘
  *
- * PROBLEM: Implement parseJSON(str) without JSON.parse. Handle all JSON types.
+ * PROBLEM: Implement parseJSON(str, reviver) without JSON.parse. It must accept
+ *          and reject exactly what JSON.parse does (strict number grammar,
+ *          \u escapes and surrogate pairs, control characters), support a
+ *          reviver, and report errors with line and column. Then build a
+ *          JSONStreamParser that takes chunks and emits (path, value) events.
+ *
+ * CONFORMANCE: 13-json-conformance.js runs JSONTestSuite cases against
+ *              parseJSON, JSONStreamParser and the native JSON.parse.
  *
  * RUN: node docs/javascript/29-machine-coding/13-json-parser.js
  */
 
+const { EventEmitter } = require("events");
+const { StringDecoder } = require("string_decoder");
+
 // ═══════════════════════════════════════════════════════════════════════════
 // IMPLEMENTATION
 // ═══════════════════════════════════════════════════════════════════════════
 
-function parseJSON(str) {
+const WHITESPACE = " \t\n\r"; // JSON allows exactly these four - no BOM, no \f
+const ESCAPES = { '"': '"', "\\": "\\", "/": "/", b: "\b", f: "\f", n: "\n", r: "\r", t: "\t" };
+const NUMBER = /^-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?$/;
+const HEX = /^[0-9a-fA-F]$/;
+
+// Recursion depth limit for parseJSON. V8 parses iteratively and has no
+// limit; 2000 levels is far past anything real (JSONTestSuite goes to 500)
+// and well inside Node's default stack. JSONStreamParser has no limit.
+const MAX_DEPTH = 2000;
+
+class JSONParseError extends SyntaxError {
+  constructor(message, { position, line, column }) {
+    super(`${message} at line ${line}, column ${column}`);
+    this.name = "JSONParseError";
+    this.position = position;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+// 1-based line/column of a character offset
+function locate(str, position) {
+  let line = 1;
+  let lineStart = 0;
+  for (let k = 0; k < position; k++) {
+    if (str[k] === "\n") {
+      line++;
+      lineStart = k + 1;
+    }
+  }
+  return { position, line, column: position - lineStart + 1 };
+}
+
+const describe = (ch) => (ch === undefined ? "Unexpected end of JSON input" : `Unexpected token ${JSON.stringify(ch)}`);
+
+// obj[key] = value would call the __proto__ setter and swap the prototype;
+// JSON.parse creates an ordinary own property instead
+function setOwn(obj, key, value) {
+  if (key === "__proto__") {
+    Object.defineProperty(obj, key, { value, writable: true, enumerable: true, configurable: true });
+  } else {
+    obj[key] = value;
+  }
+}
+
+// Spec InternalizeJSONProperty: children first (post-order), `this` is the
+// holder, returning undefined deletes the property
+function internalize(holder, key, reviver) {
+  const value = holder[key];
+  if (value !== null && typeof value === "object") {
+    const keys = Array.isArray(value) ? Array.from({ length: value.length }, (_, i) => String(i)) : Object.keys(value);
+    for (const k of keys) {
+      const revived = internalize(value, k, reviver);
+      if (revived === undefined) delete value[k];
+      else Object.defineProperty(value, k, { value: revived, writable: true, enumerable: true, configurable: true });
+    }
+  }
+  return reviver.call(holder, key, value);
+}
+
+function parseJSON(text, reviver) {
+  const str = String(text);
   let i = 0;
+  let depth = 0;
 
   function current() { return str[i]; }
   function advance() { return str[i++]; }
+  function isDigit(ch) { return ch >= "0" && ch <= "9"; }
+
+  function fail(message, at = i) {
+    throw new JSONParseError(message, locate(str, at));
+  }
 
   function skipWhitespace() {
-    while (i < str.length && " \t\n\r".includes(str[i])) i++;
+    while (i < str.length && WHITESPACE.includes(str[i])) i++;
   }
 
   function expect(ch) {
     skipWhitespace();
-    if (advance() !== ch) throw new Error(`Expected '${ch}' at position ${i - 1}`);
+    if (current() !== ch) fail(describe(current()));
+    advance();
   }
 
   function parseValue() {
     skipWhitespace();
     const ch = current();
     if (ch === '"') return parseString();
-    if (ch === '{') return parseObject();
-    if (ch === '[') return parseArray();
+    if (ch === '{') return nested(parseObject);
+    if (ch === '[') return nested(parseArray);
     if (ch === 't' || ch === 'f') return parseBoolean();
     if (ch === 'n') return parseNull();
-    if (ch === '-' || (ch >= '0' && ch <= '9')) return parseNumber();
-    throw new Error(`Unexpected character '${ch}' at position ${i}`);
+    if (ch === '-' || isDigit(ch)) return parseNumber();
+    return fail(describe(ch));
+  }
+
+  function nested(parseContainer) {
+    if (++depth > MAX_DEPTH) fail(`Nesting deeper than ${MAX_DEPTH} levels`);
+    const value = parseContainer();
+    depth--;
+    return value;
   }
 
   function parseString() {
     expect('"');
     let result = "";
-    while (i < str.length && current() !== '"') {
-      if (current() === '\\') {
+    let runStart = i; // plain characters are copied in runs, not one by one
+    while (true) {
+      const ch = current();
+      if (ch === '"' || ch === '\\' || ch === undefined || ch < " ") {
+        result += str.slice(runStart, i);
+      }
+      if (ch === undefined) fail("Unterminated string in JSON");
+      if (ch === '"') break;
+      if (ch < " ") fail(`Bad control character in string literal`);
+      if (ch === '\\') {
         advance(); // skip backslash
         const esc = advance();
-        const escMap = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
         if (esc === 'u') {
           const hex = str.slice(i, i + 4);
+          if (hex.length < 4 || ![...hex].every((h) => HEX.test(h))) fail("Bad Unicode escape", i - 2);
+          // A surrogate pair is just two \u escapes in a row - appending both
+          // UTF-16 code units rebuilds the character. Lone surrogates are kept
+          // as-is, like JSON.parse does.
           result += String.fromCharCode(parseInt(hex, 16));
           i += 4;
-        } else if (esc in escMap) {
-          result += escMap[esc];
+        } else if (Object.hasOwn(ESCAPES, esc)) {
+          result += ESCAPES[esc];
         } else {
-          throw new Error(`Invalid escape \\${esc}`);
+          fail(esc === undefined ? "Unterminated string in JSON" : "Bad escaped character", i - 2);
         }
+        runStart = i;
       } else {
-        result += advance();
+        advance();
       }
     }
-    expect('"'); // closing quote
+    advance(); // closing quote
     return result;
   }
 
+  // -?(0|[1-9][0-9]*)(.[0-9]+)?([eE][+-]?[0-9]+)? - no "01", "1.", ".5" or "+1"
   function parseNumber() {
-    let start = i;
+    const start = i;
     if (current() === '-') advance();
-    while (i < str.length && current() >= '0' && current() <= '9') advance();
+    if (current() === '0') advance();
+    else if (isDigit(current())) while (isDigit(current())) advance();
+    else fail("No number after minus sign");
     if (current() === '.') {
       advance();
-      while (i < str.length && current() >= '0' && current() <= '9') advance();
+      if (!isDigit(current())) fail("Unterminated fractional number");
+      while (isDigit(current())) advance();
     }
     if (current() === 'e' || current() === 'E') {
       advance();
       if (current() === '+' || current() === '-') advance();
-      while (i < str.length && current() >= '0' && current() <= '9') advance();
+      if (!isDigit(current())) fail("Exponent part is missing a number");
+      while (isDigit(current())) advance();
     }
+    // Number() rounds the decimal text exactly like JSON.parse (1e400 -> Infinity)
     return Number(str.slice(start, i));
   }
 
+  function parseLiteral(word, value) {
+    for (const ch of word) {
+      if (current() !== ch) fail(describe(current()));
+      advance();
+    }
+    return value;
+  }
+
   function parseBoolean() {
-    if (str.slice(i, i + 4) === 'true') { i += 4; return true; }
-    if (str.slice(i, i + 5) === 'false') { i += 5; return false; }
-    throw new Error(`Invalid boolean at ${i}`);
+    return current() === 't' ? parseLiteral("true", true) : parseLiteral("false", false);
   }
 
   function parseNull() {
-    if (str.slice(i, i + 4) === 'null') { i += 4; return null; }
-    throw new Error(`Invalid null at ${i}`);
+    return parseLiteral("null", null);
   }
 
   function parseArray() {
@@ -134,72 +251,399 @@ function parseJSON(str) {
     skipWhitespace();
     const obj = {};
     if (current() === '}') { advance(); return obj; }
-    const key = parseString();
-    expect(':');
-    obj[key] = parseValue();
     while (true) {
+      skipWhitespace();
+      if (current() !== '"') fail(describe(current()));
+      const key = parseString();
+      expect(':');
+      setOwn(obj, key, parseValue()); // duplicate keys: last one wins
       skipWhitespace();
       if (current() === '}') { advance(); return obj; }
       expect(',');
-      skipWhitespace();
-      const k = parseString();
-      expect(':');
-      obj[k] = parseValue();
     }
   }
 
   const result = parseValue();
   skipWhitespace();
-  if (i < str.length) throw new Error(`Unexpected content at position ${i}`);
-  return result;
+  if (i < str.length) fail(describe(current()));
+  return typeof reviver === "function" ? internalize({ "": result }, "", reviver) : result;
+}
+
+// ─── Streaming parser ────────────────────────────────────────────────────
+//
+//   const parser = new JSONStreamParser({ select: [["users", "*"]] });
+//   parser.on("value", (path, user) => ...);   // one event per user
+//   for await (const chunk of stream) parser.write(chunk);
+//   parser.end();
+//
+// Without `select`, every primitive leaf is emitted with its path and no
+// object or array is ever built. With `select` (paths, "*" matches any key
+// or index, [] is the root), only matching values are emitted - objects and
+// arrays are assembled just for the matching subtree, then dropped.
+
+const LITERALS = { t: ["true", true], f: ["false", false], n: ["null", null] };
+
+const matchesPath = (pattern, path) =>
+  pattern.length === path.length && pattern.every((part, k) => part === "*" || String(part) === String(path[k]));
+
+class JSONStreamParser extends EventEmitter {
+  constructor({ select } = {}) {
+    super();
+    this.select = select || null;
+    this.stack = []; // { type, key, index, value } per open object/array
+    this.expect = "value"; // what the next non-whitespace character may be
+    this.token = null; // string, number or literal cut off by a chunk boundary
+    this.decoder = new StringDecoder("utf8"); // Buffers may split a UTF-8 sequence
+    this.position = 0;
+    this.line = 1;
+    this.column = 1;
+    this.error = null;
+    this.ended = false;
+  }
+
+  write(chunk) {
+    if (this.error) throw this.error;
+    if (this.ended) throw new Error("JSONStreamParser: write after end");
+    this.feed(typeof chunk === "string" ? chunk : this.decoder.write(chunk));
+    return this;
+  }
+
+  end(chunk) {
+    if (chunk !== undefined) this.write(chunk);
+    if (this.error) throw this.error;
+    this.feed(this.decoder.end());
+    if (this.token && this.token.kind === "number") this.finishNumber();
+    if (this.token || this.expect !== "done") this.fail("Unexpected end of JSON input");
+    this.ended = true;
+    this.emit("end");
+    return this;
+  }
+
+  feed(text) {
+    try {
+      for (let k = 0; k < text.length; k++) {
+        const ch = text[k];
+        this.consume(ch);
+        this.position++;
+        if (ch === "\n") {
+          this.line++;
+          this.column = 1;
+        } else {
+          this.column++;
+        }
+      }
+    } catch (err) {
+      this.error = err;
+      throw err;
+    }
+  }
+
+  here() {
+    return { position: this.position, line: this.line, column: this.column };
+  }
+
+  fail(message, at = this.here()) {
+    throw new JSONParseError(message, at);
+  }
+
+  // Path of the value being parsed right now, e.g. ["users", 3, "name"]
+  path() {
+    return this.stack.map((frame) => (frame.type === "object" ? frame.key : frame.index));
+  }
+
+  selects(path, isLeaf) {
+    if (!this.select) return isLeaf;
+    return this.select.some((pattern) => matchesPath(pattern, path));
+  }
+
+  consume(ch) {
+    const token = this.token;
+    if (token) {
+      if (token.kind === "string") return this.stringChar(ch);
+      if (token.kind === "literal") return this.literalChar(ch);
+      // A number has no closing character - it ends at the first
+      // character that can't be part of it, which is then parsed normally
+      if ("0123456789+-.eE".includes(ch)) {
+        token.text += ch;
+        return;
+      }
+      this.finishNumber();
+    }
+    if (WHITESPACE.includes(ch)) return;
+
+    const frame = this.stack[this.stack.length - 1];
+    switch (this.expect) {
+      case "keyOrEnd":
+        if (ch === "}") return this.close();
+      // falls through
+      case "key":
+        if (ch === '"') return this.startString("key");
+        break;
+      case "colon":
+        if (ch === ":") {
+          this.expect = "value";
+          return;
+        }
+        break;
+      case "commaOrEnd":
+        if (ch === ",") {
+          if (frame.type === "array") frame.index++;
+          this.expect = frame.type === "object" ? "key" : "value";
+          return;
+        }
+        if (ch === (frame.type === "object" ? "}" : "]")) return this.close();
+        break;
+      case "valueOrEnd":
+        if (ch === "]") return this.close();
+      // falls through
+      case "value":
+        return this.startValue(ch);
+    }
+    this.fail(describe(ch));
+  }
+
+  startValue(ch) {
+    if (ch === "{" || ch === "[") return this.open(ch === "{" ? "object" : "array");
+    if (ch === '"') return this.startString("value");
+    if (ch === "-" || (ch >= "0" && ch <= "9")) {
+      this.token = { kind: "number", text: ch, start: this.here() };
+      return;
+    }
+    if (Object.hasOwn(LITERALS, ch)) {
+      const [word, value] = LITERALS[ch];
+      this.token = { kind: "literal", text: ch, word, value };
+      return;
+    }
+    this.fail(describe(ch));
+  }
+
+  startString(role) {
+    this.token = { kind: "string", role, text: "", escape: false, hex: null, start: this.here() };
+  }
+
+  stringChar(ch) {
+    const token = this.token;
+    if (token.hex !== null) {
+      if (!HEX.test(ch)) this.fail("Bad Unicode escape");
+      token.hex += ch;
+      if (token.hex.length === 4) {
+        token.text += String.fromCharCode(parseInt(token.hex, 16));
+        token.hex = null;
+      }
+    } else if (token.escape) {
+      token.escape = false;
+      if (ch === "u") token.hex = "";
+      else if (Object.hasOwn(ESCAPES, ch)) token.text += ESCAPES[ch];
+      else this.fail("Bad escaped character");
+    } else if (ch === "\\") {
+      token.escape = true;
+    } else if (ch === '"') {
+      this.token = null;
+      if (token.role === "key") {
+        this.stack[this.stack.length - 1].key = token.text;
+        this.expect = "colon";
+      } else {
+        this.complete(token.text);
+      }
+    } else if (ch < " ") {
+      this.fail("Bad control character in string literal");
+    } else {
+      token.text += ch;
+    }
+  }
+
+  literalChar(ch) {
+    const token = this.token;
+    if (token.word[token.text.length] !== ch) this.fail(describe(ch));
+    token.text += ch;
+    if (token.text === token.word) {
+      this.token = null;
+      this.complete(token.value);
+    }
+  }
+
+  finishNumber() {
+    const { text, start } = this.token;
+    this.token = null;
+    if (!NUMBER.test(text)) this.fail(`Invalid number ${JSON.stringify(text)}`, start);
+    this.complete(Number(text));
+  }
+
+  open(type) {
+    const parent = this.stack[this.stack.length - 1];
+    const assemble = (parent && parent.value !== undefined) || this.selects(this.path(), false);
+    const value = assemble ? (type === "object" ? {} : []) : undefined;
+    this.stack.push({ type, key: undefined, index: 0, value });
+    this.expect = type === "object" ? "keyOrEnd" : "valueOrEnd";
+  }
+
+  close() {
+    const frame = this.stack.pop();
+    this.complete(frame.value, true);
+  }
+
+  // A value just finished: add it to the subtree being assembled, or emit it
+  complete(value, isContainer = false) {
+    const parent = this.stack[this.stack.length - 1];
+    if (parent && parent.value !== undefined) {
+      if (parent.type === "array") parent.value.push(value);
+      else setOwn(parent.value, parent.key, value);
+    } else if (isContainer ? value !== undefined : this.selects(this.path(), true)) {
+      this.emit("value", this.path(), value);
+    }
+    this.expect = parent ? "commaOrEnd" : "done";
+  }
 }
 
+module.exports = { parseJSON, JSONParseError, JSONStreamParser };
+
 // ═══════════════════════════════════════════════════════════════════════════
 // TEST CASES
 // ═══════════════════════════════════════════════════════════════════════════
 
-function test(label, input, expected) {
-  const result = parseJSON(input);
-  const pass = JSON.stringify(result) === JSON.stringify(expected);
-  console.log(`${label}: ${pass ? "PASS" : "FAIL"}`, JSON.stringify(result));
-}
+if (require.main === module) {
+  function test(label, input, expected) {
+    const result = parseJSON(input);
+    const pass = JSON.stringify(result) === JSON.stringify(expected);
+    console.log(`${label}: ${pass ? "PASS" : "FAIL"}`, JSON.stringify(result));
+  }
+
+  console.log("═══ TEST A: Primitives ═══");
+  test("A1: string", '"hello"', "hello");
+  test("A2: number", "42", 42);
+  test("A3: negative", "-3.14", -3.14);
+  test("A4: boolean true", "true", true);
+  test("A5: boolean false", "false", false);
+  test("A6: null", "null", null);
+
+  console.log("\n═══ TEST B: Arrays ═══");
+  test("B1: empty array", "[]", []);
+  test("B2: number array", "[1, 2, 3]", [1, 2, 3]);
+  test("B3: mixed array", '[1, "two", true, null]', [1, "two", true, null]);
+  test("B4: nested array", "[[1, 2], [3, 4]]", [[1, 2], [3, 4]]);
+
+  console.log("\n═══ TEST C: Objects ═══");
+  test("C1: empty object", "{}", {});
+  test("C2: simple object", '{"a": 1, "b": 2}', { a: 1, b: 2 });
+  test("C3: nested object", '{"x": {"y": 1}}', { x: { y: 1 } });
+
+  console.log("\n═══ TEST D: Complex nested ═══");
+  const complex = '{"users": [{"name": "Alice", "age": 30}, {"name": "Bob", "age": 25}], "count": 2}';
+  test("D1: complex", complex, { users: [{ name: "Alice", age: 30 }, { name: "Bob", age: 25 }], count: 2 });
 
-console.log("═══ TEST A: Primitives ═══");
-test("A1: string", '"hello"', "hello");
-test("A2: number", "42", 42);
-test("A3: negative", "-3.14", -3.14);
-test("A4: boolean true", "true", true);
-test("A5: boolean false", "false", false);
-test("A6: null", "null", null);
-
-console.log("\n═══ TEST B: Arrays ═══");
-test("B1: empty array", "[]", []);
-test("B2: number array", "[1, 2, 3]", [1, 2, 3]);
-test("B3: mixed array", '[1, "two", true, null]', [1, "two", true, null]);
-test("B4: nested array", "[[1, 2], [3, 4]]", [[1, 2], [3, 4]]);
-
-console.log("\n═══ TEST C: Objects ═══");
-test("C1: empty object", "{}", {});
-test("C2: simple object", '{"a": 1, "b": 2}', { a: 1, b: 2 });
-test("C3: nested object", '{"x": {"y": 1}}', { x: { y: 1 } });
-
-console.log("\n═══ TEST D: Complex nested ═══");
-const complex = '{"users": [{"name": "Alice", "age": 30}, {"name": "Bob", "age": 25}], "count": 2}';
-test("D1: complex", complex, { users: [{ name: "Alice", age: 30 }, { name: "Bob", age: 25 }], count: 2 });
-
-console.log("\n═══ TEST E: Escape sequences ═══");
-test("E1: newline", '"hello\\nworld"', "hello\nworld");
-test("E2: tab", '"a\\tb"', "a\tb");
-test("E3: escaped quote", '"say \\"hi\\""', 'say "hi"');
-test("E4: unicode", '"\\u0041"', "A");
-
-console.log("\n═══ TEST F: Scientific notation ═══");
-test("F1: exponent", "1e10", 1e10);
-test("F2: negative exp", "2.5e-3", 2.5e-3);
-
-console.log("\n═══ TEST G: Error handling ═══");
-try { parseJSON("{bad}"); } catch (e) { console.log("G1: Error caught:", e.message); }
-try { parseJSON("[1, 2,]"); } catch (e) { console.log("G2: Trailing comma:", e.message); }
+  console.log("\n═══ TEST E: Escape sequences ═══");
+  test("E1: newline", '"hello\\nworld"', "hello\nworld");
+  test("E2: tab", '"a\\tb"', "a\tb");
+  test("E3: escaped quote", '"say \\"hi\\""', 'say "hi"');
+  test("E4: unicode", '"\\u0041"', "A");
+
+  console.log("\n═══ TEST F: Scientific notation ═══");
+  test("F1: exponent", "1e10", 1e10);
+  test("F2: negative exp", "2.5e-3", 2.5e-3);
+
+  console.log("\n═══ TEST G: Error handling ═══");
+  try { parseJSON("{bad}"); } catch (e) { console.log("G1: Error caught:", e.message); }
+  try { parseJSON("[1, 2,]"); } catch (e) { console.log("G2: Trailing comma:", e.message); }
+  // Expected: G1: Error caught: Unexpected token "b" at line 1, column 2
+  // Expected: G2: Trailing comma: Unexpected token "]" at line 1, column 7
+
+  console.log("\n═══ TEST H: Reviver ═══");
+  const calls = [];
+  const revived = parseJSON('{"when": "2024-01-01T00:00:00.000Z", "tags": ["a", "b"], "secret": 1}', function (key, value) {
+    calls.push(key);
+    if (key === "secret") return undefined; // undefined deletes the property
+    if (key === "when") return new Date(value);
+    if (key === "" && this[""] === value) value.revivedAtRoot = true; // `this` is the holder
+    return value;
+  });
+  console.log("H1: order:", calls.join(" | "));
+  // Expected: H1: order: when | 0 | 1 | tags | secret |    (children first, root key "" last)
+  console.log("H2:", revived.when instanceof Date, "secret" in revived, revived.revivedAtRoot);
+  // Expected: H2: true false true
+  const reviver = (k, v) => (typeof v === "number" ? v * 10 : v);
+  const scaled = parseJSON('[1, {"x": 2}]', reviver);
+  console.log("H3: same as JSON.parse:", JSON.stringify(scaled) === JSON.stringify(JSON.parse('[1, {"x": 2}]', reviver)), JSON.stringify(scaled));
+  // Expected: H3: same as JSON.parse: true [10,{"x":20}]
+
+  console.log("\n═══ TEST I: Unicode, surrogates and __proto__ ═══");
+  test("I1: surrogate pair", '"\\ud83d\\ude00"', "😀");
+  console.log("I2: lone surrogate kept:", parseJSON('"\\udead"') === JSON.parse('"\\udead"'));
+  test("I3: raw astral char", '"𝄞"', "𝄞");
+  const proto = parseJSON('{"__proto__": {"polluted": true}}');
+  console.log("I4: own __proto__ key:", Object.keys(proto), Object.getPrototypeOf(proto) === Object.prototype, {}.polluted);
+  // Expected: I4: own __proto__ key: [ '__proto__' ] true undefined
+
+  console.log("\n═══ TEST J: Number grammar ═══");
+  for (const input of ["-0", "0.5", "1E+2", "01", "1.", ".5", "+1", "-", "1e", "0x10", "1e400"]) {
+    let result;
+    try { result = Object.is(parseJSON(input), -0) ? "-0" : String(parseJSON(input)); } catch (e) { result = e.message; }
+    console.log(`J: ${input.padEnd(6)} -> ${result}`);
+  }
+  // Expected: 01 / 1. / .5 / +1 / - / 1e / 0x10 are errors, 1e400 -> Infinity
+
+  console.log("\n═══ TEST K: Error positions ═══");
+  try {
+    parseJSON('{\n  "name": "Ada",\n  "age": 36,\n}');
+  } catch (e) {
+    console.log("K1:", e.name, e.message, e instanceof SyntaxError);
+    // Expected: K1: JSONParseError Unexpected token "}" at line 4, column 1 true
+  }
+  try { parseJSON('["tab\there"]'); } catch (e) { console.log("K2:", e.message); }
+  // Expected: K2: Bad control character in string literal at line 1, column 6
+  try { parseJSON('{"a": [1, 2'); } catch (e) { console.log("K3:", e.message); }
+  // Expected: K3: Unexpected end of JSON input at line 1, column 12
+
+  console.log("\n═══ TEST L: Streaming leaves ═══");
+  const doc = '{"users": [{"name": "Alice", "tags": ["x"]}, {"name": "Bob"}], "count": 2, "ok": true}';
+  const leaves = [];
+  const leafParser = new JSONStreamParser();
+  leafParser.on("value", (path, value) => leaves.push(`${path.join(".")}=${JSON.stringify(value)}`));
+  for (let k = 0; k < doc.length; k += 7) leafParser.write(doc.slice(k, k + 7)); // cuts tokens in half
+  leafParser.end();
+  console.log("L1:", leaves.join("  "));
+  // Expected: L1: users.0.name="Alice"  users.0.tags.0="x"  users.1.name="Bob"  count=2  ok=true
+
+  console.log("\n═══ TEST M: Streaming with select ═══");
+  const users = [];
+  const userParser = new JSONStreamParser({ select: [["users", "*"], ["count"]] });
+  userParser.on("value", (path, value) => users.push([path, value]));
+  userParser.on("end", () => console.log("M2: end event"));
+  for (const ch of doc) userParser.write(ch); // one character at a time
+  userParser.end();
+  console.log("M1:", JSON.stringify(users));
+  // Expected: M1: [[["users",0],{"name":"Alice","tags":["x"]}],[["users",1],{"name":"Bob"}],[["count"],2]]
+
+  console.log("\n═══ TEST N: Big payload from Buffer chunks ═══");
+  // 20k records, fed as Buffers of 1000 bytes: some chunks end in the middle
+  // of a multi-byte "é" and the StringDecoder carries the bytes over
+  const big = JSON.stringify({ items: Array.from({ length: 20000 }, (_, id) => ({ id, label: `café ${id}` })) });
+  const bytes = Buffer.from(big);
+  let count = 0;
+  let idSum = 0;
+  let broken = 0;
+  const bigParser = new JSONStreamParser({ select: [["items", "*"]] });
+  bigParser.on("value", (_, item) => {
+    count++;
+    idSum += item.id;
+    if (item.label !== `café ${item.id}`) broken++;
+  });
+  for (let k = 0; k < bytes.length; k += 1000) bigParser.write(bytes.subarray(k, k + 1000));
+  bigParser.end();
+  console.log(`N1: ${count} items, id sum ${idSum}, broken labels ${broken}`);
+  // Expected: N1: 20000 items, id sum 199990000, broken labels 0
+
+  console.log("\n═══ TEST O: Streaming errors ═══");
+  const bad = new JSONStreamParser();
+  try {
+    bad.write('{"a": 1,\n');
+    bad.write(' "b": 01}');
+  } catch (e) {
+    console.log("O1:", e.message);
+    // Expected: O1: Invalid number "01" at line 2, column 7
+  }
+  try { new JSONStreamParser().write("[1, 2").end(); } catch (e) { console.log("O2:", e.message); }
+  // Expected: O2: Unexpected end of JSON input at line 1, column 6
+}
 
 // ═══════════════════════════════════════════════════════════════════════════
 // FOLLOW-UP QUESTIONS
@@ -210,7 +654,12 @@ try { parseJSON("[1, 2,]"); } catch (e) { console.log("G2: Trailing comma:", e.m
  * 2. How would you handle circular references?
  * 3. What is the time and space complexity?
  * 4. How would you add a reviver function like JSON.parse(str, reviver)?
+ *    -> walk the result children-first, call reviver.call(holder, key, value),
+ *       delete on undefined (TEST H)
  * 5. How does this compare to a tokenizer + parser approach?
+ * 6. Why does a streaming parser need an explicit stack instead of recursion?
+ *    -> a chunk can end anywhere; the state must survive between write() calls
+ * 7. Why is obj[key] = value wrong for a key named "__proto__"?
  */
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -223,6 +672,10 @@ try { parseJSON("[1, 2,]"); } catch (e) { console.log("G2: Trailing comma:", e.m
  * ║  parseValue checks the current char: '"' calls parseString, '{'        ║
  * ║  calls parseObject, '[' calls parseArray, digits call parseNumber,     ║
  * ║  t/f/n call parseLiteral. Each function advances the cursor and        ║
- * ║  returns the parsed JS value. Time: O(n), Space: O(d) for depth d."   ║
+ * ║  returns the parsed JS value. Time: O(n), Space: O(d) for depth d.    ║
+ * ║  Strictness is the hard part: the number grammar, control chars and    ║
+ * ║  \u escapes. A reviver walks the result children-first. For streams    ║
+ * ║  the same grammar becomes a state machine with an explicit stack that  ║
+ * ║  emits (path, value) events and only builds the selected subtrees."    ║
  * ╚══════════════════════════════════════════════════════════════════════════╝
  */
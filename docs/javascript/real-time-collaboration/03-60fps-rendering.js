@@ -68,10 +68,13 @@ crdtWorker.onmessage = (e) => {
 /*
 self.onmessage = (e) => {
   if (e.data.type === 'REMOTE_OP') {
-    crdtDoc.applyRemote(e.data.data);
+    // Binary update from 02-crdt-conflict-resolution.js (delta or snapshot)
+    crdtDoc.applyUpdate(e.data.data);
 
     // Compute minimal diff
-    const patch = computeDiff(previousState, crdtDoc.getState());
+    const text = crdtDoc.getText();
+    const patch = computeDiff(previousText, text);
+    previousText = text;
     self.postMessage({ type: 'STATE_PATCH', patch });
   }
 };
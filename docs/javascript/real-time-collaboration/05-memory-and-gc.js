@@ -8,19 +8,20 @@
 // --- Problem: CRDT tombstones grow forever ---
 
 class GarbageCollector {
-  constructor(crdtDoc, peerClocks) {
+  constructor(crdtDoc, peerStateVectors) {
     this.doc = crdtDoc;
-    this.peerClocks = peerClocks; // Track what each peer has seen
+    this.peerStateVectors = peerStateVectors; // peerId -> last acknowledged state vector
   }
 
   // Safe to GC tombstones that ALL peers have acknowledged
+  // (see CRDTDocument.collectGarbage in 02-crdt-conflict-resolution.js)
   collectTombstones() {
-    const minClock = Math.min(...this.peerClocks.values());
+    return this.doc.collectGarbage(this.peerStateVectors);
+  }
 
-    this.doc.chars = this.doc.chars.filter((char) => {
-      // Keep if: not deleted, OR deleted but some peer hasn't seen it yet
-      return !char.deleted || char.id.clock > minClock;
-    });
+  // Peers piggyback their state vector on every sync message
+  onPeerAck(peerId, stateVector) {
+    this.peerStateVectors.set(peerId, stateVector);
   }
 }
 
@@ -31,9 +31,10 @@
  * └───────────────────────────────────────────────────────┘
  */
 
-// --- A: When do you need Redux? ---
-console.log('A: When to use Redux:');
-console.log(`
+if (require.main === module) {
+  // --- A: When do you need Redux? ---
+  console.log('A: When to use Redux:');
+  console.log(`
   ✅ USE Redux when:
   - Multiple components need same state
   - State is updated frequently
@@ -46,29 +47,30 @@ console.log(`
   - You can solve it with Context + useReducer
 `);
 
-// --- B: Redux vs Context API ---
-console.log('B: Redux vs Context API:');
-const comparison = {
-  Redux: {
-    performance: 'Optimized — only re-renders subscribed components',
-    devTools: 'Time-travel debugging, action log, state diff',
-    middleware: 'Built-in support (thunk, saga, etc.)',
-    boilerplate: 'More setup (reduced with RTK)',
-    bestFor: 'Complex global state, frequent updates'
-  },
-  ContextAPI: {
-    performance: 'All consumers re-render on any change',
-    devTools: 'No built-in dev tools',
-    middleware: 'Manual implementation needed',
-    boilerplate: 'Minimal setup',
-    bestFor: 'Theme, locale, auth — infrequent updates'
-  }
-};
-console.log(JSON.stringify(comparison, null, 2));
+  // --- B: Redux vs Context API ---
+  console.log('B: Redux vs Context API:');
+  const comparison = {
+    Redux: {
+      performance: 'Optimized — only re-renders subscribed components',
+      devTools: 'Time-travel debugging, action log, state diff',
+      middleware: 'Built-in support (thunk, saga, etc.)',
+      boilerplate: 'More setup (reduced with RTK)',
+      bestFor: 'Complex global state, frequent updates'
+    },
+    ContextAPI: {
+      performance: 'All consumers re-render on any change',
+      devTools: 'No built-in dev tools',
+      middleware: 'Manual implementation needed',
+      boilerplate: 'Minimal setup',
+      bestFor: 'Theme, locale, auth — infrequent updates'
+    }
+  };
+  console.log(JSON.stringify(comparison, null, 2));
 
-// --- C: Core concepts in plain JS ---
-console.log('\nC: Building Redux from scratch:');
+  console.log('\nC: Building Redux from scratch:');
+}
 
+// --- C: Core concepts in plain JS ---
 function createStore(reducer, initialState) {
   let state = initialState;
   const listeners = [];
@@ -113,31 +115,35 @@ function counterReducer(state = { count: 0 }, action) {
   }
 }
 
-// --- F: Store in action ---
-const store = createStore(counterReducer, { count: 0 });
+module.exports = { createStore, counterReducer, increment, decrement, addBy };
 
-store.subscribe(() => {
-  console.log(`  [store] count = ${store.getState().count}`);
-});
+if (require.main === module) {
+  // --- F: Store in action ---
+  const store = createStore(counterReducer, { count: 0 });
 
-console.log('\nD: Dispatching actions:');
-store.dispatch(increment());    // count = 1
-store.dispatch(increment());    // count = 2
-store.dispatch(addBy(10));      // count = 12
-store.dispatch(decrement());    // count = 11
+  store.subscribe(() => {
+    console.log(`  [store] count = ${store.getState().count}`);
+  });
 
-// --- G: Why immutability matters ---
-console.log('\nE: Why immutability?');
-const oldState = { count: 5, todos: ['a', 'b'] };
+  console.log('\nD: Dispatching actions:');
+  store.dispatch(increment());    // count = 1
+  store.dispatch(increment());    // count = 2
+  store.dispatch(addBy(10));      // count = 12
+  store.dispatch(decrement());    // count = 11
 
-// ❌ WRONG — mutating state
-// oldState.count = 6;
+  // --- G: Why immutability matters ---
+  console.log('\nE: Why immutability?');
+  const oldState = { count: 5, todos: ['a', 'b'] };
 
-// ✅ RIGHT — new object
-const newState = { ...oldState, count: 6 };
+  // ❌ WRONG — mutating state
+  // oldState.count = 6;
 
-console.log(`  oldState === newState? ${oldState === newState}`); // false
-console.log(`  Redux can detect change via reference comparison`);
+  // ✅ RIGHT — new object
+  const newState = { ...oldState, count: 6 };
+
+  console.log(`  oldState === newState? ${oldState === newState}`); // false
+  console.log(`  Redux can detect change via reference comparison`);
+}
 
 /**
  * OUTPUT:
@@ -19,112 +19,299 @@
  * │   extraReducers(builder) { ... } ← external actions  │
  * │ })                                                    │
  * └───────────────────────────────────────────────────────┘
+ *
+ * ┌── HOW IT FITS TOGETHER ───────────────────────────────┐
+ * │ createAction   type → action creator (+ prepare)      │
+ * │ createReducer  builder cases/matchers, each case run  │
+ * │                inside produce() (02-immer-produce.js) │
+ * │ createSlice    reducers → actions + createReducer     │
+ * └───────────────────────────────────────────────────────┘
  */
 
-// --- Simulating createSlice behavior ---
+const { produce, isDraft, isDraftable, current } = require('./02-immer-produce');
+
+// --- createAction ---
+
+function createAction(type, prepareAction) {
+  function actionCreator(...args) {
+    if (!prepareAction) return { type, payload: args[0] };
+    const prepared = prepareAction(...args);
+    if (!prepared) throw new Error('prepareAction did not return an object');
+    return {
+      type,
+      payload: prepared.payload,
+      ...('meta' in prepared && { meta: prepared.meta }),
+      ...('error' in prepared && { error: prepared.error }),
+    };
+  }
+  actionCreator.type = type;
+  actionCreator.toString = () => type;
+  actionCreator.match = (action) => !!action && action.type === type;
+  return actionCreator;
+}
+
+// Small URL-safe id for prepare callbacks (not crypto-grade)
+const urlAlphabet = 'useandom-26T198340PX75pxJACKVERYMINDBUSHWOLF_GQZbfghjklqvwyzrict';
+
+function nanoid(size = 21) {
+  let id = '';
+  for (let i = 0; i < size; i++) id += urlAlphabet[(Math.random() * 64) | 0];
+  return id;
+}
+
+// --- createReducer with the builder callback ---
+
+function executeReducerBuilderCallback(builderCallback) {
+  const actionsMap = new Map();
+  const matchers = [];
+  let defaultCaseReducer;
+
+  const builder = {
+    addCase(typeOrActionCreator, reducer) {
+      if (matchers.length > 0) {
+        throw new Error('`builder.addCase` should only be called before calling `builder.addMatcher`');
+      }
+      if (defaultCaseReducer) {
+        throw new Error('`builder.addCase` should only be called before calling `builder.addDefaultCase`');
+      }
+      const type = typeof typeOrActionCreator === 'string' ? typeOrActionCreator : typeOrActionCreator.type;
+      if (!type) throw new Error('`builder.addCase` cannot be called with an empty action type');
+      if (actionsMap.has(type)) {
+        throw new Error(`\`builder.addCase\` cannot be called with two reducers for the same action type '${type}'`);
+      }
+      actionsMap.set(type, reducer);
+      return builder;
+    },
+    addMatcher(matcher, reducer) {
+      if (defaultCaseReducer) {
+        throw new Error('`builder.addMatcher` should only be called before calling `builder.addDefaultCase`');
+      }
+      matchers.push({ matcher, reducer });
+      return builder;
+    },
+    addDefaultCase(reducer) {
+      if (defaultCaseReducer) throw new Error('`builder.addDefaultCase` can only be called once');
+      defaultCaseReducer = reducer;
+      return builder;
+    },
+  };
+
+  builderCallback(builder);
+  return [actionsMap, matchers, defaultCaseReducer];
+}
+
+// produce() with an empty recipe deep-freezes the value in development
+const freezeDraftable = (value) => produce(value, () => {});
+
+function createReducer(initialState, builderCallback) {
+  const [actionsMap, matchers, defaultCaseReducer] = executeReducerBuilderCallback(builderCallback);
+  let frozenInitialState;
+  const getInitialState = () => {
+    if (frozenInitialState === undefined) {
+      frozenInitialState = freezeDraftable(typeof initialState === 'function' ? initialState() : initialState);
+    }
+    return frozenInitialState;
+  };
+
+  function reducer(state = getInitialState(), action) {
+    // The exact case first, then every matching matcher, in order
+    let caseReducers = [
+      actionsMap.get(action.type),
+      ...matchers.filter(({ matcher }) => matcher(action)).map(({ reducer: matched }) => matched),
+    ].filter(Boolean);
+    if (caseReducers.length === 0 && defaultCaseReducer) caseReducers = [defaultCaseReducer];
 
-// A: Basic createSlice simulation
-console.log('A: createSlice simulation:');
+    return caseReducers.reduce((previousState, caseReducer) => {
+      if (isDraft(previousState)) {
+        // Already inside someone's produce (a reducer called from a recipe)
+        const result = caseReducer(previousState, action);
+        return result === undefined ? previousState : result;
+      }
+      if (!isDraftable(previousState)) {
+        // Primitives can't be drafted: the case reducer must return the new value
+        const result = caseReducer(previousState, action);
+        if (result === undefined) {
+          if (previousState === null) return previousState;
+          throw new Error('A case reducer on a non-draftable value must not return undefined');
+        }
+        return result;
+      }
+      return produce(previousState, (draft) => caseReducer(draft, action));
+    }, state);
+  }
+
+  reducer.getInitialState = getInitialState;
+  return reducer;
+}
+
+// --- createSlice ---
+
+function createSlice({ name, initialState, reducers = {}, extraReducers }) {
+  if (!name) throw new Error('`name` is a required option for createSlice');
 
-function createSlice({ name, initialState, reducers }) {
   const actions = {};
   const caseReducers = {};
+  const sliceCases = new Map();
 
-  for (const key in reducers) {
+  for (const key of Object.keys(reducers)) {
     const type = `${name}/${key}`;
-    caseReducers[type] = reducers[key];
+    const definition = reducers[key];
+    let caseReducer = definition;
+    let prepare;
 
-    // Auto-generate action creator
-    actions[key] = (payload) => ({ type, payload });
-    actions[key].type = type;
+    // { reducer, prepare } shapes the payload before it reaches the reducer
+    if (typeof definition === 'object' && definition !== null) {
+      caseReducer = definition.reducer;
+      prepare = definition.prepare;
+      if (typeof caseReducer !== 'function' || typeof prepare !== 'function') {
+        throw new Error(`${type}: a case reducer object needs both \`reducer\` and \`prepare\` functions`);
+      }
+    }
+
+    caseReducers[key] = caseReducer;
+    sliceCases.set(type, caseReducer);
+    actions[key] = createAction(type, prepare);
   }
 
-  function reducer(state = initialState, action) {
-    if (caseReducers[action.type]) {
-      // In real RTK, Immer wraps this
-      const draft = JSON.parse(JSON.stringify(state));
-      const result = caseReducers[action.type](draft, action);
-      return result !== undefined ? result : draft;
-    }
-    return state;
+  // Built on first use, so extraReducers may refer to action creators
+  // that are defined after this slice (e.g. circular imports)
+  let sliceReducer;
+  const buildReducer = () =>
+    createReducer(initialState, (builder) => {
+      const [extraCases, extraMatchers, extraDefault] = extraReducers
+        ? executeReducerBuilderCallback(extraReducers)
+        : [new Map(), [], undefined];
+      // The slice's own reducers win over an extra case for the same type
+      new Map([...extraCases, ...sliceCases]).forEach((caseReducer, type) => builder.addCase(type, caseReducer));
+      extraMatchers.forEach(({ matcher, reducer }) => builder.addMatcher(matcher, reducer));
+      if (extraDefault) builder.addDefaultCase(extraDefault);
+    });
+
+  function reducer(state, action) {
+    if (!sliceReducer) sliceReducer = buildReducer();
+    return sliceReducer(state, action);
   }
 
-  return { name, actions, reducer };
+  const getInitialState = () => {
+    if (!sliceReducer) sliceReducer = buildReducer();
+    return sliceReducer.getInitialState();
+  };
+
+  return { name, actions, caseReducers, reducer, getInitialState };
 }
 
-// B: Usage
-const todosSlice = createSlice({
-  name: 'todos',
-  initialState: { items: [], nextId: 1 },
-  reducers: {
-    add(state, action) {
-      state.items.push({
-        id: state.nextId++,
-        text: action.payload,
-        done: false
-      });
-    },
-    toggle(state, action) {
-      const todo = state.items.find(t => t.id === action.payload);
-      if (todo) todo.done = !todo.done;
-    },
-    remove(state, action) {
-      state.items = state.items.filter(t => t.id !== action.payload);
+module.exports = { createAction, createReducer, createSlice, nanoid };
+
+if (require.main === module) {
+  // A: createSlice on top of produce()
+  console.log('A: createSlice with Immer-style drafts:');
+
+  // B: Usage
+  const todosSlice = createSlice({
+    name: 'todos',
+    initialState: { items: [], nextId: 1 },
+    reducers: {
+      add(state, action) {
+        state.items.push({
+          id: state.nextId++,
+          text: action.payload,
+          done: false
+        });
+      },
+      toggle(state, action) {
+        const todo = state.items.find(t => t.id === action.payload);
+        if (todo) todo.done = !todo.done;
+      },
+      remove(state, action) {
+        state.items = state.items.filter(t => t.id !== action.payload);
+      }
     }
-  }
-});
+  });
+
+  const { add, toggle, remove } = todosSlice.actions;
 
-const { add, toggle, remove } = todosSlice.actions;
+  console.log(`  Action type: ${add.type}`);       // todos/add
+  console.log(`  Action: ${JSON.stringify(add('Learn RTK'))}`);
 
-console.log(`  Action type: ${add.type}`);       // todos/add
-console.log(`  Action: ${JSON.stringify(add('Learn RTK'))}`);
+  // Test the reducer
+  let state = todosSlice.reducer(undefined, { type: '@@INIT' });
+  state = todosSlice.reducer(state, add('Learn RTK'));
+  state = todosSlice.reducer(state, add('Build app'));
+  state = todosSlice.reducer(state, toggle(1));
+  console.log(`  State: ${JSON.stringify(state)}`);
 
-// Test the reducer
-let state = todosSlice.reducer(undefined, { type: '@@INIT' });
-state = todosSlice.reducer(state, add('Learn RTK'));
-state = todosSlice.reducer(state, add('Build app'));
-state = todosSlice.reducer(state, toggle(1));
-console.log(`  State: ${JSON.stringify(state)}`);
+  // Only the toggled todo and its parents are new objects
+  const before = state;
+  state = todosSlice.reducer(state, toggle(2));
+  console.log(`  items[0] shared: ${state.items[0] === before.items[0]}, items[1] copied: ${state.items[1] !== before.items[1]}`);
+  console.log(`  unknown action returns same state: ${todosSlice.reducer(state, { type: 'other' }) === state}`);
+  console.log(`  frozen: ${Object.isFrozen(state.items[0])}, match(): ${remove.match(remove(1))}`);
 
-// C: prepare callback pattern (pseudo-code)
-console.log('\nC: prepare callback (pseudo-code):');
-console.log(`
+  // Date/Map/Set survive, unlike a JSON.parse(JSON.stringify(state)) draft
+  const sessionSlice = createSlice({
+    name: 'session',
+    initialState: () => ({ startedAt: new Date('2024-01-01T00:00:00Z'), visits: new Map(), roles: new Set(['guest']) }),
+    reducers: {
+      visit(state, action) {
+        state.visits.set(action.payload, (state.visits.get(action.payload) || 0) + 1);
+        state.roles.add('member');
+      }
+    }
+  });
+  const session = sessionSlice.reducer(undefined, sessionSlice.actions.visit('/home'));
+  console.log(`  Date: ${session.startedAt instanceof Date}, visits: ${JSON.stringify([...session.visits])}, roles: ${[...session.roles]}`);
+
+  // C: prepare callback
+  console.log('\nC: prepare callback:');
   // Use prepare when you need to customize payload shape
-  const todosSlice = createSlice({
-    name: 'todos',
+  const notesSlice = createSlice({
+    name: 'notes',
     initialState: [],
     reducers: {
-      addTodo: {
+      addNote: {
         reducer(state, action) {
           state.push(action.payload);
         },
-        prepare(text) {
+        prepare(text, author = 'anonymous') {
           return {
             payload: {
               id: nanoid(),       // auto-generate ID
               text,
               done: false,
               createdAt: new Date().toISOString()
-            }
+            },
+            meta: { author }
           };
         }
       }
     }
   });
 
-  // dispatch(addTodo('Learn RTK'))
-  // action = { type: 'todos/addTodo', payload: { id: 'abc', text: 'Learn RTK', ... } }
-`);
+  const { addNote } = notesSlice.actions;
+  const noteAction = addNote('Learn RTK', 'ada');
+  console.log(`  action: { type: '${noteAction.type}', payload: { id: <${noteAction.payload.id.length} chars>, text: '${noteAction.payload.text}', ... }, meta: ${JSON.stringify(noteAction.meta)} }`);
+  const notes = notesSlice.reducer(undefined, noteAction);
+  console.log(`  state: ${notes.length} note, text: ${notes[0].text}`);
 
-// D: extraReducers pattern (pseudo-code)
-console.log('D: extraReducers (pseudo-code):');
-console.log(`
-  // Use extraReducers to handle actions from OTHER slices or createAsyncThunk
+  // D: extraReducers
+  console.log('\nD: extraReducers:');
+  // Use extraReducers to handle actions from OTHER slices or createAsyncThunk.
+  // These three are what createAsyncThunk('todos/fetchTodos') generates.
+  const fetchTodos = {
+    pending: createAction('todos/fetchTodos/pending'),
+    fulfilled: createAction('todos/fetchTodos/fulfilled'),
+    rejected: createAction('todos/fetchTodos/rejected', (message) => ({ payload: undefined, error: { message } }))
+  };
+  const userSlice = createSlice({ name: 'user', initialState: { name: 'Ada' }, reducers: { logout: () => null } });
 
-  const todosSlice = createSlice({
-    name: 'todos',
-    initialState: { items: [], status: 'idle' },
-    reducers: { ... },
+  const remoteTodosSlice = createSlice({
+    name: 'remoteTodos',
+    initialState: { items: [], status: 'idle', error: null, failures: 0 },
+    reducers: {
+      clearError(state) {
+        state.error = null;
+      }
+    },
     extraReducers: (builder) => {
       builder
         .addCase(fetchTodos.pending, (state) => {
@@ -141,14 +328,50 @@ console.log(`
         // Listen to another slice's action:
         .addCase(userSlice.actions.logout, (state) => {
           state.items = [];
-        });
+        })
+        // Matchers run after the exact case, for every matching action
+        .addMatcher(
+          (action) => action.type.endsWith('/rejected'),
+          (state) => {
+            state.failures++;
+          }
+        );
     }
   });
-`);
 
-// E: Multiple slices working together
-console.log('\nE: Multiple slices in store:');
-console.log(`
+  let remote = remoteTodosSlice.getInitialState();
+  const trace = [];
+  [
+    fetchTodos.pending(),
+    fetchTodos.rejected('Network down'),
+    remoteTodosSlice.actions.clearError(),
+    fetchTodos.pending(),
+    fetchTodos.fulfilled([{ id: 1, text: 'From server' }]),
+  ].forEach((action) => {
+    remote = remoteTodosSlice.reducer(remote, action);
+    trace.push(`${action.type.split('/').pop()}→${remote.status}`);
+  });
+  console.log(`  ${trace.join(', ')}`);
+  console.log(`  items: ${remote.items.length}, failures: ${remote.failures}, error: ${remote.error}`);
+  remote = remoteTodosSlice.reducer(remote, userSlice.actions.logout());
+  console.log(`  after user/logout: items ${remote.items.length}`);
+
+  // Case reducers can log a readable snapshot of the draft with current()
+  const debugSlice = createSlice({
+    name: 'debug',
+    initialState: { list: [1] },
+    reducers: {
+      push(state, action) {
+        state.list.push(action.payload);
+        console.log(`  current(state) inside a reducer: ${JSON.stringify(current(state))}`);
+      }
+    }
+  });
+  debugSlice.reducer(undefined, debugSlice.actions.push(2));
+
+  // E: Multiple slices working together
+  console.log('\nE: Multiple slices in store:');
+  console.log(`
   // counterSlice.js
   const counterSlice = createSlice({ name: 'counter', ... });
 
@@ -167,6 +390,7 @@ console.log(`
   const count = useSelector(state => state.counter.value);
   const todos = useSelector(state => state.todos.items);
 `);
+}
 
 /**
  * ┌── INTERVIEW ANSWER ───────────────────────────────────┐
@@ -175,6 +399,9 @@ console.log(`
  * │ Use prepare callback for custom payload shapes.        │
  * │ Use extraReducers (builder pattern) for external       │
  * │ actions like createAsyncThunk lifecycle actions.        │
+ * │ Each case reducer runs inside produce(), so "mutating" │
+ * │ the draft yields a new frozen state that shares every  │
+ * │ untouched branch with the old one.                     │
  * └───────────────────────────────────────────────────────┘
  *
  * RUN: node docs/redux/02-createSlice-deep-dive.js
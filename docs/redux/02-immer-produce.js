@@ -0,0 +1,834 @@
+/**
+ * TOPIC: Immer from Scratch — produce() with Proxy Drafts and Patches
+ *
+ * ╔════════════════════════════════════════════════════════╗
+ * ║           THE GOLDEN RULE                             ║
+ * ║  A draft is a Proxy over the base state. Reads hand   ║
+ * ║  out child drafts lazily; the FIRST write to a node   ║
+ * ║  makes a shallow copy of it and marks its parents     ║
+ * ║  modified. Untouched branches stay the SAME objects.  ║
+ * ╚════════════════════════════════════════════════════════╝
+ *
+ * ┌── COPY-ON-WRITE ──────────────────────────────────────┐
+ * │  produce(base, d => { d.todos[1].done = true })       │
+ * │                                                       │
+ * │  base ─┬─ todos ─┬─ [0]    next ─┬─ todos'─┬─ [0]     │
+ * │        │         └─ [1]          │         └─ [1]'    │
+ * │        └─ user                   └─ user              │
+ * │                                                       │
+ * │  Only the path to the write is copied (root', todos', │
+ * │  [1]'); next.todos[0] and next.user are base objects. │
+ * └───────────────────────────────────────────────────────┘
+ *
+ * ┌── FINALIZE ───────────────────────────────────────────┐
+ * │  unmodified draft  → its base (reference kept)        │
+ * │  modified draft    → its copy, children finalized     │
+ * │  then: patches from base vs copy, deep freeze (dev)   │
+ * └───────────────────────────────────────────────────────┘
+ *
+ * Plain objects, arrays, Map and Set are drafted; Date, class instances
+ * and other objects are kept by reference (mark a class [immerable] to
+ * draft it). Patches are RFC 6902 JSON Patch operations with RFC 6901
+ * pointer paths; Map keys become pointer segments, so patch Maps only
+ * with string keys.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const { fromPointer } = require('../javascript/29-machine-coding/05-flatten-array-object');
+
+const DRAFT_STATE = Symbol('immer-state');
+const nothing = Symbol('immer-nothing'); // return it to produce undefined
+const immerable = Symbol('immerable'); // put it on a class to make it draftable
+
+const OBJECT = 'object';
+const ARRAY = 'array';
+const MAP = 'map';
+const SET = 'set';
+
+let autoFreeze = process.env.NODE_ENV !== 'production';
+
+function setAutoFreeze(enabled) {
+  autoFreeze = Boolean(enabled);
+}
+
+// --- Helpers ---
+
+function isDraft(value) {
+  return !!value && typeof value === 'object' && !!value[DRAFT_STATE];
+}
+
+function isDraftable(value) {
+  if (!value || typeof value !== 'object') return false;
+  if (Array.isArray(value) || value instanceof Map || value instanceof Set) return true;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null || !!value[immerable];
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return ARRAY;
+  if (value instanceof Map) return MAP;
+  if (value instanceof Set) return SET;
+  return OBJECT;
+}
+
+const latest = (state) => state.copy || state.base;
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+function each(value, fn) {
+  if (value instanceof Map) value.forEach((child, key) => fn(key, child));
+  else if (Array.isArray(value)) value.forEach((child, index) => fn(index, child));
+  else Reflect.ownKeys(value).forEach((key) => fn(key, value[key]));
+}
+
+function shallowCopy(base, type) {
+  if (type === ARRAY) return Array.prototype.slice.call(base);
+  if (type === MAP) return new Map(base);
+  if (type === SET) return new Set(base);
+  return Object.assign(Object.create(Object.getPrototypeOf(base)), base);
+}
+
+function prepareCopy(state) {
+  if (!state.copy) state.copy = shallowCopy(state.base, state.type);
+}
+
+// A write anywhere below means every ancestor needs a new copy too
+function markChanged(state) {
+  while (state && !state.modified) {
+    state.modified = true;
+    state = state.parent;
+  }
+}
+
+const toPointer = (segments) =>
+  segments.map((segment) => '/' + String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('');
+
+// --- Drafts ---
+
+function createDraft(base, parent, key, scope) {
+  const state = {
+    type: typeOf(base),
+    base,
+    copy: null,
+    parent,
+    key, // where the base lives in the parent; patches recurse only from there
+    scope,
+    modified: false,
+    finalized: false,
+    revoked: false,
+    revoke: null,
+    draft: null,
+  };
+  if (state.type === MAP) {
+    state.draft = new DraftMap(state);
+  } else if (state.type === SET) {
+    state.draft = new DraftSet(state);
+  } else {
+    // An array target keeps Array.isArray(draft) true
+    const target = state.type === ARRAY ? [state] : state;
+    const { proxy, revoke } = Proxy.revocable(target, state.type === ARRAY ? arrayTraps : objectTraps);
+    state.draft = proxy;
+    state.revoke = revoke;
+  }
+  scope.drafts.push(state);
+  return state.draft;
+}
+
+const objectTraps = {
+  get(state, prop) {
+    if (prop === DRAFT_STATE) return state;
+    const source = latest(state);
+    if (!hasOwn(source, prop)) {
+      // Methods and getters from the prototype, with the draft as `this`
+      const proto = Object.getPrototypeOf(state.base);
+      return proto === null ? undefined : Reflect.get(proto, prop, state.draft);
+    }
+    const value = source[prop];
+    if (state.finalized || !isDraftable(value)) return value;
+    // First read of an original child: hand out a draft and remember it
+    if (value === state.base[prop]) {
+      prepareCopy(state);
+      const key = state.type === ARRAY ? Number(prop) : prop;
+      return (state.copy[prop] = createDraft(value, state, key, state.scope));
+    }
+    return value;
+  },
+  set(state, prop, value) {
+    if (!state.modified) {
+      const source = latest(state);
+      const current = source[prop];
+      // Writing what is already there (or a draft's own original back) is a no-op
+      const same = Object.is(current, value) || (isDraft(current) && current[DRAFT_STATE].base === value);
+      if (same && (value !== undefined || hasOwn(source, prop))) return true;
+      prepareCopy(state);
+      markChanged(state);
+    }
+    state.copy[prop] = value;
+    return true;
+  },
+  deleteProperty(state, prop) {
+    if (hasOwn(latest(state), prop)) {
+      prepareCopy(state);
+      markChanged(state);
+      delete state.copy[prop];
+    }
+    return true;
+  },
+  has(state, prop) {
+    return prop in latest(state);
+  },
+  ownKeys(state) {
+    return Reflect.ownKeys(latest(state));
+  },
+  getOwnPropertyDescriptor(state, prop) {
+    const owner = latest(state);
+    const desc = Reflect.getOwnPropertyDescriptor(owner, prop);
+    if (!desc) return desc;
+    // Must stay compatible with the Proxy target: only an array's length
+    // is non-configurable there
+    return {
+      writable: true,
+      configurable: state.type !== ARRAY || prop !== 'length',
+      enumerable: desc.enumerable,
+      value: owner[prop],
+    };
+  },
+  getPrototypeOf(state) {
+    return Object.getPrototypeOf(state.base);
+  },
+  defineProperty() {
+    throw new Error('[Immer] Object.defineProperty() cannot be used on an Immer draft');
+  },
+  setPrototypeOf() {
+    throw new Error('[Immer] Object.setPrototypeOf() cannot be used on an Immer draft');
+  },
+};
+
+// Array drafts proxy [state], so unwrap the target before the object trap
+const arrayTraps = {};
+Object.keys(objectTraps).forEach((name) => {
+  arrayTraps[name] = (target, ...args) => objectTraps[name](target[0], ...args);
+});
+
+function live(draft) {
+  const state = draft[DRAFT_STATE];
+  if (state.revoked) {
+    throw new TypeError(
+      '[Immer] Cannot use a proxy that has been revoked. Did you pass an object from inside an immer function to an async process?'
+    );
+  }
+  return state;
+}
+
+// Map and Set can't be proxied (their methods need the internal slots),
+// so their drafts are subclasses that keep the real data in state
+class DraftMap extends Map {
+  constructor(state) {
+    super();
+    Object.defineProperty(this, DRAFT_STATE, { value: state });
+  }
+
+  get size() {
+    return latest(live(this)).size;
+  }
+
+  has(key) {
+    return latest(live(this)).has(key);
+  }
+
+  get(key) {
+    const state = live(this);
+    const value = latest(state).get(key);
+    if (state.finalized || !isDraftable(value) || value !== state.base.get(key)) return value;
+    prepareCopy(state);
+    const draft = createDraft(value, state, key, state.scope);
+    state.copy.set(key, draft);
+    return draft;
+  }
+
+  set(key, value) {
+    const state = live(this);
+    const source = latest(state);
+    if (!source.has(key) || !Object.is(source.get(key), value)) {
+      prepareCopy(state);
+      markChanged(state);
+      state.copy.set(key, value);
+    }
+    return this;
+  }
+
+  delete(key) {
+    const state = live(this);
+    if (!latest(state).has(key)) return false;
+    prepareCopy(state);
+    markChanged(state);
+    return state.copy.delete(key);
+  }
+
+  clear() {
+    const state = live(this);
+    if (latest(state).size) {
+      prepareCopy(state);
+      markChanged(state);
+      state.copy.clear();
+    }
+  }
+
+  forEach(callback, thisArg) {
+    for (const key of this.keys()) callback.call(thisArg, this.get(key), key, this);
+  }
+
+  keys() {
+    return latest(live(this)).keys();
+  }
+
+  *values() {
+    for (const key of this.keys()) yield this.get(key);
+  }
+
+  *entries() {
+    for (const key of this.keys()) yield [key, this.get(key)];
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+}
+
+// A Set has no keys to hang child drafts on: the copy holds the drafts
+// themselves, and state.drafts maps each original member to its draft
+function prepareSetCopy(state) {
+  if (state.copy) return;
+  state.copy = new Set();
+  state.drafts = new Map();
+  state.base.forEach((value) => {
+    if (isDraftable(value)) {
+      const draft = createDraft(value, state, value, state.scope);
+      state.drafts.set(value, draft);
+      state.copy.add(draft);
+    } else {
+      state.copy.add(value);
+    }
+  });
+}
+
+class DraftSet extends Set {
+  constructor(state) {
+    super();
+    Object.defineProperty(this, DRAFT_STATE, { value: state });
+  }
+
+  get size() {
+    return latest(live(this)).size;
+  }
+
+  has(value) {
+    const state = live(this);
+    if (!state.copy) return state.base.has(value);
+    if (state.copy.has(value)) return true;
+    return state.drafts.has(value) && state.copy.has(state.drafts.get(value));
+  }
+
+  add(value) {
+    const state = live(this);
+    if (!this.has(value)) {
+      prepareSetCopy(state);
+      markChanged(state);
+      state.copy.add(value);
+    }
+    return this;
+  }
+
+  delete(value) {
+    const state = live(this);
+    if (!this.has(value)) return false;
+    prepareSetCopy(state);
+    markChanged(state);
+    return state.copy.delete(value) || (state.drafts.has(value) && state.copy.delete(state.drafts.get(value)));
+  }
+
+  clear() {
+    const state = live(this);
+    if (latest(state).size) {
+      prepareSetCopy(state);
+      markChanged(state);
+      state.copy.clear();
+    }
+  }
+
+  values() {
+    const state = live(this);
+    prepareSetCopy(state);
+    return state.copy.values();
+  }
+
+  *entries() {
+    for (const value of this.values()) yield [value, value];
+  }
+
+  keys() {
+    return this.values();
+  }
+
+  [Symbol.iterator]() {
+    return this.values();
+  }
+
+  forEach(callback, thisArg) {
+    for (const value of this.values()) callback.call(thisArg, value, value, this);
+  }
+}
+
+// --- Finalize: drafts → plain values ---
+
+function finalize(scope, value) {
+  const state = isDraft(value) ? value[DRAFT_STATE] : undefined;
+  if (!state) {
+    // New data from the recipe may still hold drafts somewhere inside
+    if (isDraftable(value) && !Object.isFrozen(value)) finalizeChildren(scope, value, null);
+    return value;
+  }
+  if (state.scope !== scope) return value; // belongs to an outer produce
+  if (!state.modified) return state.base;
+  if (!state.finalized) {
+    state.finalized = true;
+    finalizeChildren(scope, state.copy, state);
+  }
+  return state.copy;
+}
+
+function finalizeChildren(scope, value, state) {
+  if (value instanceof Set) {
+    const members = [...value];
+    value.clear(); // re-add in the same order, drafts swapped for results
+    members.forEach((member) => value.add(finalize(scope, member)));
+    return;
+  }
+  if (state) state.children = new Map();
+  each(value, (key, child) => {
+    if (!child || typeof child !== 'object') return;
+    if (state && isDraft(child)) {
+      const childState = child[DRAFT_STATE];
+      // Still where it was read from: its patches nest under this key
+      if (childState.parent === state && childState.key === key) state.children.set(key, childState);
+    }
+    const result = finalize(scope, child);
+    if (result === child) return;
+    if (value instanceof Map) value.set(key, result);
+    else value[key] = result;
+  });
+}
+
+function throwFrozen() {
+  throw new Error('[Immer] This object has been frozen and should not be mutated');
+}
+
+// Frozen subtrees are already deep-frozen (a previous produce did it)
+function deepFreeze(value) {
+  if (!isDraftable(value) || Object.isFrozen(value)) return;
+  if (value instanceof Map || value instanceof Set) {
+    // Object.freeze doesn't stop Map#set, so the mutators are shadowed
+    const mutators = value instanceof Map ? ['set', 'delete', 'clear'] : ['add', 'delete', 'clear'];
+    mutators.forEach((name) => Object.defineProperty(value, name, { value: throwFrozen }));
+  }
+  Object.freeze(value);
+  if (value instanceof Set) value.forEach(deepFreeze);
+  else each(value, (key, child) => deepFreeze(child));
+}
+
+function revokeAll(scope) {
+  scope.drafts.forEach((state) => {
+    state.revoked = true;
+    if (state.revoke) state.revoke();
+  });
+}
+
+// --- Patches: base vs finalized copy, per modified node ---
+
+function generatePatches(state, path, patches, inverse) {
+  if (!state.modified) return;
+  const { base, copy } = state;
+  const at = (key) => toPointer(path.concat(key));
+
+  if (state.type === SET) {
+    let index = 0;
+    base.forEach((value) => {
+      if (!copy.has(value)) {
+        patches.push({ op: 'remove', path: at(index), value });
+        inverse.push({ op: 'add', path: at(index), value });
+      }
+      index++;
+    });
+    index = 0;
+    copy.forEach((value) => {
+      if (!base.has(value)) {
+        patches.push({ op: 'add', path: at(index), value });
+        inverse.push({ op: 'remove', path: at(index), value });
+      }
+      index++;
+    });
+    return;
+  }
+
+  const isMap = state.type === MAP;
+  const has = (target, key) => (isMap ? target.has(key) : hasOwn(target, key));
+  const get = (target, key) => (isMap ? target.get(key) : target[key]);
+
+  const compare = (key) => {
+    const child = state.children && state.children.get(key);
+    if (child) return generatePatches(child, path.concat(key), patches, inverse);
+    const before = get(base, key);
+    const after = get(copy, key);
+    if (!has(copy, key)) {
+      patches.push({ op: 'remove', path: at(key) });
+      inverse.push({ op: 'add', path: at(key), value: before });
+    } else if (!has(base, key)) {
+      patches.push({ op: 'add', path: at(key), value: after });
+      inverse.push({ op: 'remove', path: at(key) });
+    } else if (!Object.is(before, after)) {
+      patches.push({ op: 'replace', path: at(key), value: after });
+      inverse.push({ op: 'replace', path: at(key), value: before });
+    }
+  };
+
+  if (state.type === ARRAY) {
+    const common = Math.min(base.length, copy.length);
+    for (let i = 0; i < common; i++) compare(i);
+    for (let i = common; i < copy.length; i++) {
+      patches.push({ op: 'add', path: at(i), value: copy[i] });
+      inverse.push({ op: 'remove', path: at(i) });
+    }
+    // Remove from the end so each index is still valid when applied
+    for (let i = base.length - 1; i >= copy.length; i--) {
+      patches.push({ op: 'remove', path: at(i) });
+      inverse.push({ op: 'add', path: at(i), value: base[i] });
+    }
+    return;
+  }
+
+  const keys = isMap ? new Set([...base.keys(), ...copy.keys()]) : new Set([...Object.keys(base), ...Object.keys(copy)]);
+  keys.forEach(compare);
+}
+
+// --- Public API ---
+
+function produce(base, recipe, patchListener) {
+  // Curried: produce(recipe, initialState?) → (state, ...args) => next
+  if (typeof base === 'function' && typeof recipe !== 'function') {
+    const curriedRecipe = base;
+    const initialState = recipe;
+    return function curriedProduce(state = initialState, ...args) {
+      return produce(state, (draft) => curriedRecipe.call(this, draft, ...args));
+    };
+  }
+  if (typeof recipe !== 'function') {
+    throw new TypeError('[Immer] The first or second argument to `produce` must be a function');
+  }
+
+  const rootReplaced = (next) => {
+    if (patchListener) {
+      const changed = next !== base;
+      patchListener(
+        changed ? [{ op: 'replace', path: '', value: next }] : [],
+        changed ? [{ op: 'replace', path: '', value: base }] : []
+      );
+    }
+    if (autoFreeze) deepFreeze(next);
+    return next;
+  };
+
+  if (!isDraftable(base)) {
+    const result = recipe(base);
+    return rootReplaced(result === nothing ? undefined : result === undefined ? base : result);
+  }
+
+  const scope = { drafts: [] };
+  const root = createDraft(base, null, '', scope);
+  let result;
+  try {
+    result = recipe(root);
+  } catch (error) {
+    revokeAll(scope);
+    throw error;
+  }
+  const rootState = root[DRAFT_STATE];
+
+  if (result !== undefined && result !== root) {
+    if (rootState.modified) {
+      revokeAll(scope);
+      throw new Error(
+        '[Immer] An immer producer returned a new value *and* modified its draft. Either return a new value *or* modify the draft.'
+      );
+    }
+    const next = result === nothing ? undefined : finalize(scope, result);
+    revokeAll(scope);
+    return rootReplaced(next);
+  }
+
+  const next = finalize(scope, root);
+  if (patchListener) {
+    const patches = [];
+    const inverse = [];
+    generatePatches(rootState, [], patches, inverse);
+    // Undo runs backwards: the last change is reverted first
+    patchListener(patches, inverse.reverse());
+  }
+  revokeAll(scope);
+  if (autoFreeze) deepFreeze(next);
+  return next;
+}
+
+function produceWithPatches(base, recipe) {
+  let patches = [];
+  let inversePatches = [];
+  const next = produce(base, recipe, (p, inverse) => {
+    patches = p;
+    inversePatches = inverse;
+  });
+  return [next, patches, inversePatches];
+}
+
+function childAt(parent, segment) {
+  switch (typeOf(parent)) {
+    case MAP:
+      return parent.get(segment);
+    case SET:
+      return [...parent][Number(segment)];
+    default:
+      return parent[segment];
+  }
+}
+
+function applyOne(draft, patch) {
+  const segments = fromPointer(patch.path);
+  const key = segments.pop();
+  let parent = draft;
+  segments.forEach((segment) => {
+    parent = childAt(parent, segment);
+    if (!parent || typeof parent !== 'object') {
+      throw new Error(`[Immer] Cannot apply patch, path doesn't resolve: ${patch.path}`);
+    }
+  });
+  const type = typeOf(parent);
+  const { value } = patch;
+
+  switch (patch.op) {
+    case 'add':
+    case 'replace':
+      if (type === ARRAY) {
+        if (key === '-') parent.push(value);
+        else if (patch.op === 'add') parent.splice(Number(key), 0, value);
+        else parent[Number(key)] = value;
+      } else if (type === MAP) {
+        parent.set(key, value);
+      } else if (type === SET) {
+        parent.add(value);
+      } else {
+        parent[key] = value;
+      }
+      return;
+    case 'remove':
+      if (type === ARRAY) {
+        parent.splice(Number(key), 1);
+      } else if (type === MAP) {
+        parent.delete(key);
+      } else if (type === SET) {
+        // Set members are matched by value: the patch may have been through JSON
+        for (const member of parent) {
+          if (Object.is(member, value) || isDeepStrictEqual(isDraft(member) ? current(member) : member, value)) {
+            parent.delete(member);
+            break;
+          }
+        }
+      } else {
+        delete parent[key];
+      }
+      return;
+    default:
+      throw new Error(`[Immer] Unsupported patch operation: ${patch.op}`);
+  }
+}
+
+function applyPatches(base, patches) {
+  // Inside a recipe: patch the draft in place
+  if (isDraft(base)) {
+    patches.forEach((patch) => applyOne(base, patch));
+    return base;
+  }
+  // A whole-state replace makes every earlier patch irrelevant
+  let start = base;
+  let rest = patches;
+  for (let i = patches.length - 1; i >= 0; i--) {
+    if (patches[i].path === '') {
+      start = patches[i].op === 'remove' ? undefined : patches[i].value;
+      rest = patches.slice(i + 1);
+      break;
+    }
+  }
+  if (rest.length === 0) return start;
+  return produce(start, (draft) => {
+    rest.forEach((patch) => applyOne(draft, patch));
+  });
+}
+
+function original(value) {
+  if (!isDraft(value)) throw new Error(`[Immer] 'original' expects a draft, got: ${String(value)}`);
+  return value[DRAFT_STATE].base;
+}
+
+// A snapshot of the draft right now, without finishing the produce
+function currentImpl(value) {
+  if (!isDraft(value) && (!isDraftable(value) || Object.isFrozen(value))) return value;
+  const state = value[DRAFT_STATE];
+  if (state && !state.modified) return state.base;
+  const source = state ? latest(state) : value;
+  if (source instanceof Set) return new Set([...source].map(currentImpl));
+  const copy = shallowCopy(source, typeOf(source));
+  each(copy, (key, child) => {
+    const snapshot = currentImpl(child);
+    if (snapshot === child) return;
+    if (copy instanceof Map) copy.set(key, snapshot);
+    else copy[key] = snapshot;
+  });
+  return copy;
+}
+
+function current(value) {
+  if (!isDraft(value)) throw new Error(`[Immer] 'current' expects a draft, got: ${String(value)}`);
+  return currentImpl(value);
+}
+
+module.exports = {
+  produce,
+  produceWithPatches,
+  applyPatches,
+  original,
+  current,
+  isDraft,
+  isDraftable,
+  nothing,
+  immerable,
+  setAutoFreeze,
+};
+
+// --- Demos ---
+
+if (require.main === module) {
+  const { applyPatch } = require('../javascript/29-machine-coding/05-flatten-array-object');
+
+  const base = {
+    todos: [
+      { id: 1, text: 'Learn Proxies', done: true },
+      { id: 2, text: 'Write produce', done: false },
+    ],
+    user: { name: 'Ada', since: new Date('2024-01-01T00:00:00Z') },
+    tags: new Map([['urgent', { count: 1 }]]),
+    seen: new Set(['a']),
+  };
+
+  // A: Structural sharing
+  console.log('A: copy-on-write with structural sharing:');
+  const next = produce(base, (draft) => {
+    draft.todos[1].done = true;
+  });
+  console.log(`  todos[1].done: ${base.todos[1].done} → ${next.todos[1].done}`);
+  console.log(`  todos copied: ${next.todos !== base.todos}, todos[0] shared: ${next.todos[0] === base.todos[0]}`);
+  console.log(`  user shared: ${next.user === base.user}, Date kept: ${next.user.since instanceof Date}`);
+  console.log(`  no-op returns the same state: ${produce(next, (d) => { d.user.name = 'Ada'; }) === next}`);
+
+  // B: Map and Set drafts
+  console.log('\nB: Map and Set drafts:');
+  const tagged = produce(next, (draft) => {
+    draft.tags.get('urgent').count++;
+    draft.tags.set('later', { count: 0 });
+    draft.seen.add('b');
+  });
+  console.log(`  tags: ${JSON.stringify([...tagged.tags])} (base still ${next.tags.get('urgent').count})`);
+  console.log(`  seen: ${[...tagged.seen]}, still a Map/Set: ${tagged.tags instanceof Map && tagged.seen instanceof Set}`);
+
+  // C: original() and current()
+  console.log('\nC: original / current:');
+  produce(next, (draft) => {
+    draft.todos.push({ id: 3, text: 'Ship it', done: false });
+    console.log(`  original length: ${original(draft.todos).length}, current length: ${current(draft.todos).length}`);
+    console.log(`  current() is a plain snapshot: ${!isDraft(current(draft))}`);
+  });
+
+  // D: Auto-freeze in development
+  console.log('\nD: auto-freeze:');
+  console.log(`  frozen: ${Object.isFrozen(next)}, ${Object.isFrozen(next.todos[1])}, base too: ${Object.isFrozen(base.user)}`);
+  try {
+    tagged.tags.set('oops', 1);
+  } catch (err) {
+    console.log(`  ${err.message}`);
+  }
+
+  // E: Patches and inverse patches
+  console.log('\nE: produceWithPatches:');
+  const [moved, patches, inversePatches] = produceWithPatches(next, (draft) => {
+    draft.todos[0].text = 'Learn Proxies well';
+    draft.todos.pop();
+    draft.user.role = 'admin';
+    draft.tags.delete('urgent');
+  });
+  patches.forEach((p) => console.log(`  ${JSON.stringify(p)}`));
+  console.log(`  inverse: ${inversePatches.map((p) => `${p.op} ${p.path}`).join(', ')}`);
+  console.log(`  applyPatches(next, patches) ≅ moved: ${JSON.stringify([...applyPatches(next, patches).tags]) === JSON.stringify([...moved.tags])}`);
+  console.log(`  applyPatches(moved, inverse) restores todos: ${isDeepStrictEqual(applyPatches(moved, inversePatches).todos, next.todos)}`);
+
+  // Plain JSON data: the patches are valid RFC 6902 for any JSON Patch library
+  const doc = { list: [1, 2, 3], meta: { v: 1 } };
+  const [edited, jsonPatches] = produceWithPatches(doc, (draft) => {
+    draft.list.splice(1, 1);
+    draft.meta.v++;
+    draft.meta.by = 'me';
+  });
+  console.log(`  RFC 6902 applyPatch(doc, patches) equals result: ${isDeepStrictEqual(applyPatch(doc, jsonPatches), edited)}`);
+
+  // F: Returning a new value, nothing, and the misuse error
+  console.log('\nF: replacing the state:');
+  console.log(`  return a value: ${JSON.stringify(produce({ n: 1 }, () => ({ n: 2 })))}`);
+  console.log(`  return nothing: ${produce({ n: 1 }, () => nothing)}`);
+  try {
+    produce({ n: 1 }, (draft) => {
+      draft.n = 2;
+      return { n: 3 };
+    });
+  } catch (err) {
+    console.log(`  ${err.message.slice(0, 62)}...`);
+  }
+
+  // G: Drafts die with their produce
+  console.log('\nG: revoked drafts:');
+  let leaked;
+  produce({ items: [] }, (draft) => {
+    leaked = draft;
+  });
+  try {
+    leaked.items.push(1);
+  } catch (err) {
+    console.log(`  ${err.constructor.name}: ${err.message}`);
+  }
+
+  // H: Curried producer as a reducer
+  console.log('\nH: curried produce:');
+  const increment = produce((draft, by) => {
+    draft.count += by;
+  }, { count: 0 });
+  console.log(`  ${JSON.stringify(increment(undefined, 5))}, ${JSON.stringify(increment({ count: 1 }, 2))}`);
+}
+
+/**
+ * ┌── INTERVIEW ANSWER ───────────────────────────────────┐
+ * │ produce() wraps the base in a Proxy. get() lazily     │
+ * │ wraps children in drafts; the first set() shallow-    │
+ * │ copies that node and marks its ancestors modified.    │
+ * │ Finalize returns base for untouched drafts and copy   │
+ * │ for modified ones, so unchanged branches keep their   │
+ * │ references (cheap === checks in selectors/React).     │
+ * │ Map/Set get subclass drafts since their methods need  │
+ * │ internal slots. Patches come from diffing each        │
+ * │ modified node's base and copy; inverse = undo list.   │
+ * └───────────────────────────────────────────────────────┘
+ *
+ * RUN: node docs/redux/02-immer-produce.js
+ */
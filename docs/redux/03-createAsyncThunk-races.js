@@ -0,0 +1,298 @@
+/**
+ * TOPIC: createAsyncThunk Race Scenarios — Aborts, Stale Responses, Conditions
+ *
+ * ╔════════════════════════════════════════════════════════╗
+ * ║           THE GOLDEN RULE                             ║
+ * ║  Async bugs hide in the ORDER things settle. Control  ║
+ * ║  that order by hand: each fake request waits on a     ║
+ * ║  deferred the scenario resolves when it wants to.     ║
+ * ╚════════════════════════════════════════════════════════╝
+ *
+ * ┌── A SCENARIO ─────────────────────────────────────────┐
+ * │  const a = dispatch(fetchPage(1))   → pending         │
+ * │  const b = dispatch(fetchPage(2))   → pending         │
+ * │  server.reply(b, page2)             → fulfilled (b)   │
+ * │  server.reply(a, page1)             → fulfilled (a)   │
+ * │  expect state.items = page2  (a's requestId is stale) │
+ * └───────────────────────────────────────────────────────┘
+ *
+ * No timers, no browser: the store is 05-middleware's createStore, the
+ * reducers come from createSlice, and a scenario only ends after it has
+ * drained the microtask queue.
+ */
+
+const { isDeepStrictEqual } = require('util');
+const { createStore, thunkMiddleware } = require('./05-middleware');
+const { createSlice } = require('./02-createSlice-deep-dive');
+const { createAsyncThunk, miniSerializeError } = require('./03-createAsyncThunk');
+
+// --- A fake server whose replies the scenario controls ---
+
+function createServer() {
+  const requests = [];
+  const request = (arg, signal) =>
+    new Promise((resolve, reject) => {
+      requests.push({ arg, signal, resolve, reject });
+    });
+  return { requests, request };
+}
+
+// Lets every pending .then() run, several hops deep
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+// --- The store under test ---
+
+function createHarness(thunkOptions = {}) {
+  const server = createServer();
+  const extra = { server };
+
+  const fetchPage = createAsyncThunk(
+    'pages/fetch',
+    (page, { extra: { server: api }, signal }) => api.request(page, signal),
+    thunkOptions
+  );
+
+  const pagesSlice = createSlice({
+    name: 'pages',
+    initialState: { items: [], status: 'idle', error: null, currentRequestId: null },
+    reducers: {},
+    extraReducers: (builder) => {
+      builder
+        .addCase(fetchPage.pending, (state, action) => {
+          state.status = 'loading';
+          state.currentRequestId = action.meta.requestId;
+        })
+        .addCase(fetchPage.fulfilled, (state, action) => {
+          if (action.meta.requestId !== state.currentRequestId) return;
+          state.status = 'succeeded';
+          state.items = action.payload;
+          state.currentRequestId = null;
+        })
+        .addCase(fetchPage.rejected, (state, action) => {
+          if (action.meta.requestId !== state.currentRequestId) return;
+          state.status = action.meta.aborted ? 'idle' : 'failed';
+          state.error = action.meta.aborted ? null : action.error;
+          state.currentRequestId = null;
+        });
+    }
+  });
+
+  const log = [];
+  const recorder = () => (next) => (action) => {
+    if (typeof action !== 'function') log.push(action);
+    return next(action);
+  };
+  const store = createStore(
+    pagesSlice.reducer,
+    pagesSlice.getInitialState(),
+    [thunkMiddleware.withExtraArgument(extra), recorder]
+  );
+  // 'pending' / 'fulfilled' / 'rejected', in dispatch order
+  const types = () => log.map((action) => action.type.split('/').pop());
+
+  return { store, server, extra, fetchPage, log, types };
+}
+
+// --- Scenarios ---
+
+const scenarios = [];
+const scenario = (title, run) => scenarios.push({ title, run });
+
+scenario('a stale response after abort() never reaches state', async (expect) => {
+  const { store, server, fetchPage, types } = createHarness();
+  const request = store.dispatch(fetchPage(1));
+  request.abort('navigated away');
+  const action = await request;
+  server.requests[0].resolve(['late page']);
+  await flush();
+  expect('final action', [action.meta.aborted, action.error.name, action.error.message], [true, 'AbortError', 'navigated away']);
+  expect('dispatched', types(), ['pending', 'rejected']);
+  expect('state', [store.getState().status, store.getState().items], ['idle', []]);
+  expect('signal seen by the payload creator', server.requests[0].signal.aborted, true);
+});
+
+scenario('out-of-order responses: the latest request wins', async (expect) => {
+  const { store, server, fetchPage, types } = createHarness();
+  const first = store.dispatch(fetchPage(1));
+  const second = store.dispatch(fetchPage(2));
+  server.requests[1].resolve(['page 2']);
+  await second;
+  server.requests[0].resolve(['page 1']);
+  await first;
+  expect('dispatched', types(), ['pending', 'pending', 'fulfilled', 'fulfilled']);
+  expect('items', store.getState().items, ['page 2']);
+});
+
+scenario('a stale rejection does not mark a newer request failed', async (expect) => {
+  const { store, server, fetchPage } = createHarness();
+  const first = store.dispatch(fetchPage(1));
+  const second = store.dispatch(fetchPage(2));
+  server.requests[0].reject(new Error('timeout'));
+  await first;
+  expect('still loading page 2', store.getState().status, 'loading');
+  server.requests[1].resolve(['page 2']);
+  await second;
+  expect('state', [store.getState().status, store.getState().error], ['succeeded', null]);
+});
+
+scenario('abort() after the request settled changes nothing', async (expect) => {
+  const { store, server, fetchPage, types } = createHarness();
+  const request = store.dispatch(fetchPage(1));
+  server.requests[0].resolve(['page 1']);
+  await request;
+  request.abort();
+  await flush();
+  expect('dispatched', types(), ['pending', 'fulfilled']);
+  expect('unwrap', await request.unwrap(), ['page 1']);
+});
+
+scenario('a payload creator failing after abort() cannot replace the AbortError', async (expect) => {
+  const { store, server, fetchPage, types } = createHarness();
+  const request = store.dispatch(fetchPage(1));
+  request.abort();
+  server.requests[0].reject(new Error('socket closed'));
+  const action = await request;
+  await flush();
+  expect('error', action.error, { name: 'AbortError', message: 'Aborted' });
+  expect('one rejection only', types(), ['pending', 'rejected']);
+});
+
+scenario('pending is dispatched synchronously when condition is synchronous', async (expect) => {
+  const { store, server, fetchPage } = createHarness();
+  const request = store.dispatch(fetchPage(1));
+  expect('status right after dispatch', store.getState().status, 'loading');
+  server.requests[0].resolve([]);
+  await request;
+});
+
+scenario('condition false: no request, nothing dispatched, unwrap rejects', async (expect) => {
+  const { store, server, fetchPage, types } = createHarness({
+    condition: (page, { getState }) => getState().status !== 'loading'
+  });
+  const first = store.dispatch(fetchPage(1));
+  const skipped = store.dispatch(fetchPage(1));
+  const skippedAction = await skipped;
+  expect('skipped action', [skippedAction.meta.condition, skippedAction.meta.aborted], [true, false]);
+  let thrown;
+  await skipped.unwrap().catch((err) => { thrown = err; });
+  expect('unwrap error', thrown && thrown.name, 'ConditionError');
+  server.requests[0].resolve(['page 1']);
+  await first;
+  expect('requests', server.requests.length, 1);
+  expect('dispatched', types(), ['pending', 'fulfilled']);
+});
+
+scenario('an async condition is awaited before pending', async (expect) => {
+  let allow;
+  const { store, server, fetchPage, types } = createHarness({
+    condition: () => new Promise((resolve) => { allow = resolve; })
+  });
+  const request = store.dispatch(fetchPage(1));
+  await flush();
+  expect('nothing yet', types(), []);
+  allow(true);
+  await flush();
+  expect('then pending', types(), ['pending']);
+  server.requests[0].resolve([]);
+  await request;
+});
+
+scenario('dispatchConditionRejection: true dispatches the skipped rejection', async (expect) => {
+  const { store, fetchPage, types } = createHarness({ condition: () => false, dispatchConditionRejection: true });
+  const action = await store.dispatch(fetchPage(1));
+  expect('dispatched', types(), ['rejected']);
+  expect('meta.condition', action.meta.condition, true);
+});
+
+scenario('an already-aborted outside signal never starts the request', async (expect) => {
+  const { store, server, fetchPage, types } = createHarness();
+  const controller = new AbortController();
+  controller.abort('unmounted');
+  const action = await store.dispatch(fetchPage(1, { signal: controller.signal }));
+  expect('requests', server.requests.length, 0);
+  expect('dispatched', types(), []);
+  expect('treated as a condition rejection', action.meta.condition, true);
+});
+
+scenario('an outside signal aborting mid-flight rejects with its reason', async (expect) => {
+  const { store, fetchPage } = createHarness();
+  const controller = new AbortController();
+  const request = store.dispatch(fetchPage(1, { signal: controller.signal }));
+  controller.abort('unmounted');
+  const action = await request;
+  expect('error', action.error, { name: 'AbortError', message: 'unmounted' });
+});
+
+scenario('getState and extra come from the thunk middleware', async (expect) => {
+  let seen;
+  const { store, extra } = createHarness();
+  const probe = createAsyncThunk('probe/run', (arg, thunkAPI) => {
+    seen = thunkAPI;
+    return thunkAPI.getState().status;
+  });
+  const action = await store.dispatch(probe());
+  expect('extra', seen.extra === extra, true);
+  expect('getState', action.payload, 'idle');
+  expect('requestId matches', seen.requestId, action.meta.requestId);
+});
+
+scenario('rejectWithValue and fulfillWithValue carry payload and meta', async (expect) => {
+  const { store } = createHarness();
+  const save = createAsyncThunk('form/save', (fields, { rejectWithValue, fulfillWithValue }) =>
+    fields.name ? fulfillWithValue(fields, { savedBy: 'me' }) : rejectWithValue({ name: 'required' }, { field: 'name' }));
+  const ok = await store.dispatch(save({ name: 'Ada' }));
+  const bad = store.dispatch(save({}));
+  const badAction = await bad;
+  expect('fulfilled meta', ok.meta.savedBy, 'me');
+  expect('rejected', [badAction.payload, badAction.meta.field, badAction.meta.rejectedWithValue], [{ name: 'required' }, 'name', true]);
+  expect('unwrap throws the value', await bad.unwrap().catch((err) => err), { name: 'required' });
+});
+
+scenario('miniSerializeError keeps only string name/message/stack/code', async (expect) => {
+  const err = new TypeError('bad input');
+  err.code = 'E_INPUT';
+  err.status = 400;
+  const serialized = miniSerializeError(err);
+  expect('Error', Object.keys(serialized), ['name', 'message', 'stack', 'code']);
+  expect('string', miniSerializeError('boom'), { message: 'boom' });
+  expect('plain object', miniSerializeError({ message: 'nope', details: {} }), { message: 'nope' });
+  expect('null', miniSerializeError(null), { message: 'null' });
+});
+
+// --- Run ---
+
+(async () => {
+  console.log('createAsyncThunk race scenarios:');
+  let failed = 0;
+  for (const { title, run } of scenarios) {
+    const problems = [];
+    const expect = (label, actual, expected) => {
+      if (!isDeepStrictEqual(actual, expected)) {
+        problems.push(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+      }
+    };
+    try {
+      await run(expect);
+    } catch (err) {
+      problems.push(`threw ${err && err.stack}`);
+    }
+    if (problems.length) failed++;
+    console.log(`  ${problems.length ? 'FAIL' : 'PASS'}  ${title}`);
+    problems.forEach((problem) => console.log(`        ${problem}`));
+  }
+  console.log(`\n  ${scenarios.length - failed}/${scenarios.length} scenarios passed`);
+  process.exitCode = failed ? 1 : 0;
+})();
+
+/**
+ * ┌── INTERVIEW ANSWER ───────────────────────────────────┐
+ * │ Test async reducers by owning the clock: fake the API │
+ * │ with deferreds, dispatch, then settle responses in    │
+ * │ the worst order. Check three things each time: which  │
+ * │ actions were dispatched, which one the thunk resolved │
+ * │ with, and that state only took the current request's │
+ * │ result (compare meta.requestId).                      │
+ * └───────────────────────────────────────────────────────┘
+ *
+ * RUN: node docs/redux/03-createAsyncThunk-races.js
+ */
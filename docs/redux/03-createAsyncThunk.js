@@ -19,13 +19,184 @@
  * │       └─→ rejected  → { status: 'failed', error }    │
  * │                                                       │
  * └───────────────────────────────────────────────────────┘
+ *
+ * ┌── EVERY ACTION CARRIES meta ──────────────────────────┐
+ * │ meta.arg          what the thunk was called with      │
+ * │ meta.requestId    one id per dispatch(fetchUsers())   │
+ * │ meta.requestStatus 'pending'|'fulfilled'|'rejected'   │
+ * │ rejected also:    error (serialized), payload (from   │
+ * │                   rejectWithValue), meta.aborted,     │
+ * │                   meta.condition, rejectedWithValue   │
+ * │ Reducers compare requestId to drop stale responses.   │
+ * └───────────────────────────────────────────────────────┘
  */
 
-// --- Simulating createAsyncThunk ---
+const { createAction, nanoid } = require('./02-createSlice-deep-dive');
+
+// --- createAsyncThunk ---
+
+// Only these plain string fields survive: an Error instance (or anything
+// else thrown) must not end up in the store
+const commonProperties = ['name', 'message', 'stack', 'code'];
+
+function miniSerializeError(value) {
+  if (typeof value === 'object' && value !== null) {
+    const simpleError = {};
+    for (const property of commonProperties) {
+      if (typeof value[property] === 'string') simpleError[property] = value[property];
+    }
+    return simpleError;
+  }
+  return { message: String(value) };
+}
+
+// Wrappers returned by thunkAPI.rejectWithValue / fulfillWithValue
+class RejectWithValue {
+  constructor(payload, meta) {
+    this.payload = payload;
+    this.meta = meta;
+  }
+}
+
+class FulfillWithMeta {
+  constructor(payload, meta) {
+    this.payload = payload;
+    this.meta = meta;
+  }
+}
+
+function unwrapResult(action) {
+  if (action.meta && action.meta.rejectedWithValue) throw action.payload;
+  if (action.error) throw action.error;
+  return action.payload;
+}
+
+const isThenable = (value) => !!value && typeof value.then === 'function';
+
+function createAsyncThunk(typePrefix, payloadCreator, options = {}) {
+  const serializeError = options.serializeError || miniSerializeError;
+
+  const pending = createAction(`${typePrefix}/pending`, (requestId, arg, meta) => ({
+    payload: undefined,
+    meta: { ...(meta || {}), arg, requestId, requestStatus: 'pending' },
+  }));
+
+  const fulfilled = createAction(`${typePrefix}/fulfilled`, (payload, requestId, arg, meta) => ({
+    payload,
+    meta: { ...(meta || {}), arg, requestId, requestStatus: 'fulfilled' },
+  }));
+
+  const rejected = createAction(`${typePrefix}/rejected`, (error, requestId, arg, payload, meta) => ({
+    payload,
+    error: serializeError(error || 'Rejected'),
+    meta: {
+      ...(meta || {}),
+      arg,
+      requestId,
+      rejectedWithValue: !!payload,
+      requestStatus: 'rejected',
+      aborted: !!error && error.name === 'AbortError',
+      condition: !!error && error.name === 'ConditionError',
+    },
+  }));
+
+  function actionCreator(arg, { signal } = {}) {
+    return (dispatch, getState, extra) => {
+      const requestId = options.idGenerator ? options.idGenerator(arg) : nanoid();
+      const abortController = new AbortController();
+      let abortHandler;
+      let abortReason;
+
+      function abort(reason) {
+        abortReason = reason;
+        abortController.abort();
+      }
+
+      // An outside signal (e.g. a component unmounting) can cancel too
+      if (signal) {
+        if (signal.aborted) abort(signal.reason);
+        else signal.addEventListener('abort', () => abort(signal.reason), { once: true });
+      }
+
+      const promise = (async () => {
+        let finalAction;
+        try {
+          let conditionResult = options.condition && options.condition(arg, { getState, extra });
+          if (isThenable(conditionResult)) conditionResult = await conditionResult;
+          if (conditionResult === false || abortController.signal.aborted) {
+            throw { name: 'ConditionError', message: 'Aborted due to condition callback returning false.' };
+          }
+
+          // Settles first on abort(), whatever the payload creator is doing
+          const abortedPromise = new Promise((resolve, reject) => {
+            abortHandler = () => reject({ name: 'AbortError', message: abortReason || 'Aborted' });
+            abortController.signal.addEventListener('abort', abortHandler);
+          });
+
+          dispatch(pending(requestId, arg, options.getPendingMeta && options.getPendingMeta({ requestId, arg }, { getState, extra })));
+
+          finalAction = await Promise.race([
+            abortedPromise,
+            Promise.resolve(
+              payloadCreator(arg, {
+                dispatch,
+                getState,
+                extra,
+                requestId,
+                signal: abortController.signal,
+                abort,
+                rejectWithValue: (value, meta) => new RejectWithValue(value, meta),
+                fulfillWithValue: (value, meta) => new FulfillWithMeta(value, meta),
+              })
+            ).then((result) => {
+              if (result instanceof RejectWithValue) throw result;
+              if (result instanceof FulfillWithMeta) return fulfilled(result.payload, requestId, arg, result.meta);
+              return fulfilled(result, requestId, arg);
+            }),
+          ]);
+        } catch (err) {
+          finalAction = err instanceof RejectWithValue
+            ? rejected(null, requestId, arg, err.payload, err.meta)
+            : rejected(err, requestId, arg);
+        } finally {
+          if (abortHandler) abortController.signal.removeEventListener('abort', abortHandler);
+        }
+
+        // A condition "no" is silent unless asked for
+        const skipDispatch = !options.dispatchConditionRejection && rejected.match(finalAction) && finalAction.meta.condition;
+        if (!skipDispatch) dispatch(finalAction);
+        return finalAction;
+      })();
+
+      return Object.assign(promise, {
+        abort,
+        requestId,
+        arg,
+        unwrap: () => promise.then(unwrapResult),
+      });
+    };
+  }
+
+  return Object.assign(actionCreator, {
+    pending,
+    rejected,
+    fulfilled,
+    settled: (action) => fulfilled.match(action) || rejected.match(action),
+    typePrefix,
+  });
+}
+
+module.exports = { createAsyncThunk, miniSerializeError, unwrapResult };
+
+if (require.main === module) {
+  const { createStore, thunkMiddleware } = require('./05-middleware');
+  const { createSlice } = require('./02-createSlice-deep-dive');
+
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-// A: Manual thunk (what Redux Thunk middleware enables)
-console.log('A: What is a thunk?');
-console.log(`
+  // A: Manual thunk (what Redux Thunk middleware enables)
+  console.log('A: What is a thunk?');
+  console.log(`
   A thunk is a function that returns a function.
   Redux Thunk middleware lets you dispatch functions
   (instead of plain objects) that can do async work.
@@ -45,16 +216,16 @@ console.log(`
   }
 `);
 
-// B: createAsyncThunk simplifies this
-console.log('B: createAsyncThunk (pseudo-code):');
-console.log(`
+  // B: createAsyncThunk simplifies this
+  console.log('B: createAsyncThunk (with a real fetch):');
+  console.log(`
   import { createAsyncThunk, createSlice } from '@reduxjs/toolkit';
 
   // Define the thunk
   const fetchUsers = createAsyncThunk(
     'users/fetchUsers',          // action type prefix
     async (arg, thunkAPI) => {
-      const response = await fetch('/api/users');
+      const response = await fetch('/api/users', { signal: thunkAPI.signal });
       if (!response.ok) throw new Error('Failed');
       return response.json();    // this becomes action.payload
     }
@@ -66,129 +237,159 @@ console.log(`
   // 'users/fetchUsers/rejected'
 `);
 
-// C: Handling in extraReducers
-console.log('C: extraReducers pattern:');
-console.log(`
+  // An in-memory API client, handed to thunks through the middleware's
+  // extra argument instead of being imported by every thunk
+  const fakeApi = {
+    calls: 0,
+    async getUsers({ signal, delay = 50, fail = false } = {}) {
+      fakeApi.calls++;
+      await sleep(delay);
+      if (signal && signal.aborted) throw new Error('request cancelled');
+      if (fail) {
+        const err = new Error('Service unavailable');
+        err.code = 'E_UNAVAILABLE';
+        err.status = 503; // not a string: dropped by miniSerializeError
+        throw err;
+      }
+      return [
+        { id: 1, name: 'Alice' },
+        { id: 2, name: 'Bob' }
+      ];
+    }
+  };
+
+  const fetchUsers = createAsyncThunk(
+    'users/fetchUsers',
+    async (options, { extra, signal }) => extra.getUsers({ ...options, signal }),
+    {
+      // Don't start a second request while one is running
+      condition: (options, { getState }) => getState().users.status !== 'loading'
+    }
+  );
+
+  const fetchUser = createAsyncThunk(
+    'users/fetchUser',
+    async (userId, { rejectWithValue, getState }) => {
+      await sleep(10);
+      const user = getState().users.items.find((u) => u.id === userId);
+      if (!user) return rejectWithValue({ status: 404, message: `No user ${userId}` });
+      return user;
+    }
+  );
+
+  // C: Handling in extraReducers
+  console.log('C: extraReducers pattern (runnable below):');
   const usersSlice = createSlice({
     name: 'users',
     initialState: {
       items: [],
       status: 'idle',    // 'idle' | 'loading' | 'succeeded' | 'failed'
-      error: null
+      error: null,
+      currentRequestId: null
     },
     reducers: {},
     extraReducers: (builder) => {
       builder
-        .addCase(fetchUsers.pending, (state) => {
+        .addCase(fetchUsers.pending, (state, action) => {
           state.status = 'loading';
           state.error = null;
+          state.currentRequestId = action.meta.requestId;
         })
         .addCase(fetchUsers.fulfilled, (state, action) => {
+          // A response for a request we no longer wait for is stale
+          if (action.meta.requestId !== state.currentRequestId) return;
           state.status = 'succeeded';
           state.items = action.payload;
+          state.currentRequestId = null;
         })
         .addCase(fetchUsers.rejected, (state, action) => {
-          state.status = 'failed';
-          state.error = action.error.message;
+          if (action.meta.requestId !== state.currentRequestId) return;
+          state.status = action.meta.aborted ? 'idle' : 'failed';
+          state.error = action.meta.aborted ? null : action.error.message;
+          state.currentRequestId = null;
+        })
+        .addCase(fetchUser.rejected, (state, action) => {
+          state.error = action.payload ? action.payload.message : action.error.message;
         });
     }
   });
-`);
+  console.log(`  cases: ${[fetchUsers.pending, fetchUsers.fulfilled, fetchUsers.rejected].map(String).join(', ')}`);
 
-// D: Simulating the flow
-console.log('D: Simulating async thunk flow:');
-
-function simulateCreateAsyncThunk(typePrefix, payloadCreator) {
-  const pending = `${typePrefix}/pending`;
-  const fulfilled = `${typePrefix}/fulfilled`;
-  const rejected = `${typePrefix}/rejected`;
-
-  function thunk(arg) {
-    return async (dispatch) => {
-      dispatch({ type: pending });
-      try {
-        const result = await payloadCreator(arg);
-        dispatch({ type: fulfilled, payload: result });
-      } catch (err) {
-        dispatch({ type: rejected, error: { message: err.message } });
-      }
-    };
-  }
-
-  thunk.pending = pending;
-  thunk.fulfilled = fulfilled;
-  thunk.rejected = rejected;
-
-  return thunk;
-}
-
-const fetchUsers = simulateCreateAsyncThunk(
-  'users/fetchUsers',
-  async () => {
-    // Simulating API call
-    return new Promise((resolve) => {
-      setTimeout(() => resolve([
-        { id: 1, name: 'Alice' },
-        { id: 2, name: 'Bob' }
-      ]), 100);
-    });
-  }
-);
-
-console.log(`  Pending type: ${fetchUsers.pending}`);
-console.log(`  Fulfilled type: ${fetchUsers.fulfilled}`);
-console.log(`  Rejected type: ${fetchUsers.rejected}`);
+  const log = [];
+  const recorder = () => (next) => (action) => {
+    if (typeof action !== 'function') log.push(action);
+    return next(action);
+  };
+  const rootReducer = (state = {}, action) => ({ users: usersSlice.reducer(state.users, action) });
+  const store = createStore(
+    rootReducer,
+    rootReducer(undefined, { type: '@@INIT' }),
+    [thunkMiddleware.withExtraArgument(fakeApi), recorder]
+  );
+  const users = () => store.getState().users;
 
-// Simulate dispatch
-const actions = [];
-const fakeDispatch = (action) => {
-  actions.push(action);
-  console.log(`  Dispatched: ${action.type}`, action.payload ? `→ ${JSON.stringify(action.payload)}` : '');
-};
+  (async () => {
+    // D: The real flow through a store
+    console.log('\nD: Dispatching through the thunk middleware:');
+    const request = store.dispatch(fetchUsers());
+    console.log(`  returned promise has requestId (${request.requestId.length} chars), abort(), unwrap()`);
+    console.log(`  status while running: ${users().status}`);
+    const action = await request;
+    log.forEach((a) => console.log(`  Dispatched: ${a.type} → meta.requestStatus=${a.meta.requestStatus}`));
+    console.log(`  same requestId on both: ${log[0].meta.requestId === action.meta.requestId}, users: ${users().items.map((u) => u.name)}`);
 
-fetchUsers()(fakeDispatch).then(() => {
-  console.log(`  Total actions dispatched: ${actions.length}`);
+    // E: thunkAPI — getState, extra, rejectWithValue
+    console.log('\nE: thunkAPI and rejectWithValue:');
+    const found = await store.dispatch(fetchUser(2)).unwrap();
+    console.log(`  fetchUser(2).unwrap() → ${JSON.stringify(found)}`);
+    try {
+      await store.dispatch(fetchUser(9)).unwrap();
+    } catch (err) {
+      console.log(`  fetchUser(9).unwrap() throws the value: ${JSON.stringify(err)}`);
+    }
+    const failedAction = await store.dispatch(fetchUsers({ fail: true }));
+    console.log(`  thrown Error → action.error: ${JSON.stringify({ ...failedAction.error, stack: '...' })}`);
+    console.log(`  state: ${users().status}, "${users().error}"`);
 
-  // E: thunkAPI — what's available inside
-  console.log('\nE: thunkAPI object:');
-  console.log(`
-    createAsyncThunk('type', async (arg, thunkAPI) => {
-      // thunkAPI contains:
-      thunkAPI.dispatch(someAction());     // dispatch other actions
-      thunkAPI.getState();                 // access current state
-      thunkAPI.rejectWithValue('error');   // custom rejection
-      thunkAPI.signal;                     // AbortController signal
-    });
-
-    // rejectWithValue example:
-    const fetchUser = createAsyncThunk('user/fetch',
-      async (userId, { rejectWithValue }) => {
-        const res = await fetch('/api/user/' + userId);
-        if (!res.ok) {
-          return rejectWithValue({ status: res.status, message: 'Not found' });
-        }
-        return res.json();
-      }
-    );
+    // F: condition — skip the request entirely
+    console.log('\nF: condition:');
+    log.length = 0;
+    fakeApi.calls = 0;
+    const first = store.dispatch(fetchUsers());
+    const skipped = await store.dispatch(fetchUsers());
+    console.log(`  second dispatch while loading: condition=${skipped.meta.condition}, nothing dispatched for it`);
+    await first;
+    console.log(`  API calls: ${fakeApi.calls}, actions: ${log.map((a) => a.type.split('/').pop()).join(', ')}`);
 
-    // In extraReducers:
-    .addCase(fetchUser.rejected, (state, action) => {
-      state.error = action.payload;  // { status: 404, message: 'Not found' }
-    })
-  `);
+    // G: abort — a stale response must not land in state
+    console.log('\nG: abort():');
+    log.length = 0;
+    const slow = store.dispatch(fetchUsers({ delay: 80 }));
+    await sleep(10);
+    slow.abort('user left the page');
+    const aborted = await slow;
+    console.log(`  ${aborted.type}: aborted=${aborted.meta.aborted}, error=${JSON.stringify(aborted.error)}`);
+    await sleep(100); // the slow response arrives here and is ignored
+    console.log(`  after the late response: status=${users().status}, actions seen: ${log.length}`);
+    try {
+      await slow.unwrap();
+    } catch (err) {
+      console.log(`  unwrap() rethrows: ${err.name}`);
+    }
 
-  // F: Using in component
-  console.log('F: Using createAsyncThunk in component:');
-  console.log(`
+    // H: Using in component
+    console.log('\nH: Using createAsyncThunk in component:');
+    console.log(`
     function UserList() {
       const dispatch = useDispatch();
       const { items, status, error } = useSelector(state => state.users);
 
       useEffect(() => {
-        if (status === 'idle') {
-          dispatch(fetchUsers());
-        }
-      }, [status, dispatch]);
+        // condition() stops StrictMode's double effect from fetching twice;
+        // abort() cancels when the component unmounts
+        const promise = dispatch(fetchUsers());
+        return () => promise.abort();
+      }, [dispatch]);
 
       if (status === 'loading') return <Spinner />;
       if (status === 'failed') return <Error message={error} />;
@@ -200,13 +401,19 @@ fetchUsers()(fakeDispatch).then(() => {
       );
     }
   `);
-});
+    console.log('  Race scenarios: node docs/redux/03-createAsyncThunk-races.js');
+  })();
+}
 
 /**
  * ┌── INTERVIEW ANSWER ───────────────────────────────────┐
  * │ createAsyncThunk auto-generates pending/fulfilled/    │
  * │ rejected action types. Handle in extraReducers.       │
- * │ thunkAPI gives dispatch, getState, rejectWithValue.   │
+ * │ thunkAPI gives dispatch, getState, extra, signal,     │
+ * │ rejectWithValue. condition() can skip a request;      │
+ * │ abort() rejects at once with meta.aborted. Every      │
+ * │ action has meta.requestId so reducers can ignore      │
+ * │ stale responses. Errors go through miniSerializeError.│
  * │ Pattern: status idle→loading→succeeded/failed.        │
  * └───────────────────────────────────────────────────────┘
  *
@@ -15,139 +15,451 @@
  * │ 3. Compose selectors together                         │
  * │ 4. Reuse across components                            │
  * └───────────────────────────────────────────────────────┘
+ *
+ * ┌── TWO LAYERS OF MEMOIZATION (Reselect 5) ─────────────┐
+ * │ selector(state, id)                                   │
+ * │   argsMemoize: same (state, id) as before? → cached   │
+ * │   else run input selectors → [todos, id]              │
+ * │   memoize: same [todos, id] as before? → cached       │
+ * │   else resultFunc(todos, id)   ← recomputations()++   │
+ * │                                                       │
+ * │ weakMapMemoize (default): a cache per argument chain, │
+ * │   never evicts, objects are held weakly               │
+ * │ lruMemoize: last maxSize argument lists, custom       │
+ * │   equalityCheck / resultEqualityCheck                 │
+ * └───────────────────────────────────────────────────────┘
  */
 
-// --- A: Basic selectors ---
-console.log('A: Basic selectors:');
-
-const state = {
-  todos: {
-    items: [
-      { id: 1, text: 'Learn Redux', done: true, priority: 'high' },
-      { id: 2, text: 'Build app', done: false, priority: 'high' },
-      { id: 3, text: 'Write tests', done: false, priority: 'low' },
-      { id: 4, text: 'Deploy', done: true, priority: 'medium' },
-    ]
-  },
-  filters: {
-    status: 'all',
-    priority: 'all'
+// --- Memoizers ---
+
+const NOT_FOUND = Symbol('NOT_FOUND');
+const referenceEqualityCheck = (a, b) => a === b;
+
+const isDevelopment = () => process.env.NODE_ENV !== 'production';
+
+function createSingletonCache(equals) {
+  let entry;
+  return {
+    get: (key) => (entry && equals(entry.key, key) ? entry.value : NOT_FOUND),
+    put: (key, value) => {
+      entry = { key, value };
+    },
+    getEntries: () => (entry ? [entry] : []),
+    clear: () => {
+      entry = undefined;
+    },
+  };
+}
+
+// Most recently used first; the oldest falls off past maxSize
+function createLruCache(maxSize, equals) {
+  let entries = [];
+  const get = (key) => {
+    const index = entries.findIndex((entry) => equals(key, entry.key));
+    if (index === -1) return NOT_FOUND;
+    const entry = entries[index];
+    if (index > 0) {
+      entries.splice(index, 1);
+      entries.unshift(entry);
+    }
+    return entry.value;
+  };
+  return {
+    get,
+    put: (key, value) => {
+      if (get(key) !== NOT_FOUND) return;
+      entries.unshift({ key, value });
+      if (entries.length > maxSize) entries.pop();
+    },
+    getEntries: () => entries,
+    clear: () => {
+      entries = [];
+    },
+  };
+}
+
+const createCacheKeyComparator = (equalityCheck) => (prev, next) =>
+  prev !== null && next !== null && prev.length === next.length && prev.every((value, i) => equalityCheck(value, next[i]));
+
+// lruMemoize(fn, { maxSize, equalityCheck, resultEqualityCheck }) or
+// lruMemoize(fn, equalityCheck) as in Reselect 4's defaultMemoize
+function lruMemoize(func, equalityCheckOrOptions) {
+  const options = typeof equalityCheckOrOptions === 'object' && equalityCheckOrOptions !== null
+    ? equalityCheckOrOptions
+    : { equalityCheck: equalityCheckOrOptions };
+  const { equalityCheck = referenceEqualityCheck, maxSize = 1, resultEqualityCheck } = options;
+
+  const comparator = createCacheKeyComparator(equalityCheck);
+  let resultsCount = 0;
+  const cache = maxSize <= 1 ? createSingletonCache(comparator) : createLruCache(maxSize, comparator);
+
+  function memoized(...args) {
+    let value = cache.get(args);
+    if (value === NOT_FOUND) {
+      value = func(...args);
+      resultsCount++;
+      // A new result equal to one we already hand out: hand that one out
+      if (resultEqualityCheck) {
+        const matchingEntry = cache.getEntries().find((entry) => resultEqualityCheck(entry.value, value));
+        if (matchingEntry) {
+          value = matchingEntry.value;
+          if (resultsCount !== 0) resultsCount--;
+        }
+      }
+      cache.put(args, value);
+    }
+    return value;
   }
-};
 
-// Simple selectors (input selectors)
-const selectTodos = (state) => state.todos.items;
-const selectStatusFilter = (state) => state.filters.status;
-const selectPriorityFilter = (state) => state.filters.priority;
+  return Object.assign(memoized, {
+    clearCache: () => {
+      cache.clear();
+      memoized.resetResultsCount();
+    },
+    resultsCount: () => resultsCount,
+    resetResultsCount: () => {
+      resultsCount = 0;
+    },
+  });
+}
 
-console.log(`  All todos: ${selectTodos(state).length}`);
-console.log(`  Status filter: ${selectStatusFilter(state)}`);
+// A trie keyed by the arguments: objects/functions index a WeakMap,
+// primitives a Map. Each full argument list ends in a node with the value.
+const UNTERMINATED = 0;
+const TERMINATED = 1;
+const createCacheNode = () => ({ status: UNTERMINATED, value: undefined, objects: null, primitives: null });
 
-// --- B: Derived selectors (computed) ---
-console.log('\nB: Derived selectors:');
+function weakMapMemoize(func, options = {}) {
+  const { resultEqualityCheck } = options;
+  let root = createCacheNode();
+  let lastResult;
+  let resultsCount = 0;
 
-const selectCompletedTodos = (state) =>
-  selectTodos(state).filter(t => t.done);
+  function memoized(...args) {
+    let node = root;
+    for (const arg of args) {
+      const isObject = typeof arg === 'function' || (typeof arg === 'object' && arg !== null);
+      const key = isObject ? 'objects' : 'primitives';
+      if (node[key] === null) node[key] = isObject ? new WeakMap() : new Map();
+      let child = node[key].get(arg);
+      if (child === undefined) {
+        child = createCacheNode();
+        node[key].set(arg, child);
+      }
+      node = child;
+    }
 
-const selectActiveTodos = (state) =>
-  selectTodos(state).filter(t => !t.done);
+    if (node.status === TERMINATED) return node.value;
 
-const selectHighPriority = (state) =>
-  selectTodos(state).filter(t => t.priority === 'high');
+    let result = func(...args);
+    resultsCount++;
+    if (resultEqualityCheck) {
+      // Only the previous result is compared; a WeakRef keeps it collectable
+      const lastResultValue = lastResult instanceof WeakRef ? lastResult.deref() : lastResult;
+      if (lastResultValue != null && resultEqualityCheck(lastResultValue, result)) {
+        result = lastResultValue;
+        if (resultsCount !== 0) resultsCount--;
+      }
+      const needsWeakRef = (typeof result === 'object' && result !== null) || typeof result === 'function';
+      lastResult = needsWeakRef ? new WeakRef(result) : result;
+    }
+    node.status = TERMINATED;
+    node.value = result;
+    return result;
+  }
 
-console.log(`  Completed: ${selectCompletedTodos(state).length}`);
-console.log(`  Active: ${selectActiveTodos(state).length}`);
-console.log(`  High priority: ${selectHighPriority(state).length}`);
+  return Object.assign(memoized, {
+    clearCache: () => {
+      root = createCacheNode();
+      memoized.resetResultsCount();
+    },
+    resultsCount: () => resultsCount,
+    resetResultsCount: () => {
+      resultsCount = 0;
+    },
+  });
+}
 
-// --- C: The problem without memoization ---
-console.log('\nC: Problem without memoization:');
+// --- Development checks ---
 
-let computeCount = 0;
-const selectFilteredTodos = (state) => {
-  computeCount++;
-  return selectTodos(state).filter(t => !t.done);
-};
+// 'once' (first call of each selector), 'always' or 'never'
+const globalDevModeChecks = { inputStabilityCheck: 'once', identityFunctionCheck: 'once' };
 
-// Every call recomputes even with same state
-selectFilteredTodos(state);
-selectFilteredTodos(state);
-selectFilteredTodos(state);
-console.log(`  Computed ${computeCount} times (should be 1 with memoization)`);
-
-// --- D: createSelector (memoization) ---
-console.log('\nD: createSelector simulation:');
-
-function createSelector(...args) {
-  const resultFunc = args.pop();
-  const inputSelectors = args;
-  let lastInputs = null;
-  let lastResult = null;
-
-  return (state) => {
-    const inputs = inputSelectors.map(sel => sel(state));
-
-    // Check if inputs changed (shallow equality)
-    if (lastInputs !== null &&
-        inputs.length === lastInputs.length &&
-        inputs.every((val, i) => val === lastInputs[i])) {
-      return lastResult; // return cached
+function setGlobalDevModeChecks(devModeChecks) {
+  Object.assign(globalDevModeChecks, devModeChecks);
+}
+
+const shouldRunCheck = (setting, firstRun) => setting === 'always' || (setting === 'once' && firstRun);
+
+const captureStack = () => new Error().stack;
+
+// Run the input selectors twice on the same arguments: if the results
+// differ by reference, the result function can never be cached
+function runInputStabilityCheck(inputSelectorResults, inputSelectorResultsCopy, memoize, memoizeOptions, args) {
+  const createAnEmptyObject = memoize(() => ({}), ...memoizeOptions);
+  const areInputSelectorResultsEqual =
+    createAnEmptyObject(...inputSelectorResults) === createAnEmptyObject(...inputSelectorResultsCopy);
+  if (!areInputSelectorResultsEqual) {
+    console.warn(
+      'An input selector returned a different result when passed same arguments.' +
+        '\nThis means your output selector will likely run more frequently than intended.' +
+        '\nAvoid returning a new reference inside your input selector, e.g.' +
+        '\n`createSelector([state => state.todos.map(todo => todo.id)], todoIds => todoIds.length)`',
+      { arguments: args, firstInputs: inputSelectorResults, secondInputs: inputSelectorResultsCopy, stack: captureStack() }
+    );
+  }
+}
+
+// `todos => todos` memoizes nothing: the selector is its input selector
+function runIdentityFunctionCheck(resultFunc, inputSelectorResults, outputSelectorResult) {
+  if (inputSelectorResults.length !== 1 || inputSelectorResults[0] !== outputSelectorResult) return;
+  let isInputSameAsOutput = false;
+  try {
+    const emptyObject = {};
+    if (resultFunc(emptyObject) === emptyObject) isInputSameAsOutput = true;
+  } catch (err) {
+    // A result function that can't take {} isn't an identity
+  }
+  if (isInputSameAsOutput) {
+    console.warn(
+      'The result function returned its own inputs without modification. e.g' +
+        '\n`createSelector([state => state.todos], todos => todos)`' +
+        '\nThis could lead to inefficient memoization and unnecessary re-renders.' +
+        '\nEnsure transformation logic is in the result function, and extraction logic is in the input selectors.',
+      { stack: captureStack() }
+    );
+  }
+}
+
+// --- createSelector ---
+
+const ensureIsArray = (value) => (Array.isArray(value) ? value : [value]);
+
+function getDependencies(createSelectorArgs) {
+  const dependencies = Array.isArray(createSelectorArgs[0]) ? createSelectorArgs[0] : createSelectorArgs;
+  if (!dependencies.every((dep) => typeof dep === 'function')) {
+    const types = dependencies.map((dep) => (typeof dep === 'function' ? `function ${dep.name || 'unnamed'}()` : typeof dep));
+    throw new TypeError(`createSelector expects all input-selectors to be functions, but received the following types: [${types.join(', ')}]`);
+  }
+  return dependencies;
+}
+
+function createSelectorCreator(memoizeOrOptions, ...memoizeOptionsFromArgs) {
+  const creatorOptions = typeof memoizeOrOptions === 'function'
+    ? { memoize: memoizeOrOptions, memoizeOptions: memoizeOptionsFromArgs }
+    : memoizeOrOptions;
+
+  return function createSelector(...createSelectorArgs) {
+    let recomputations = 0;
+    let dependencyRecomputations = 0;
+    let lastResult;
+
+    // An options object may follow the result function
+    let directlyPassedOptions = {};
+    let resultFunc = createSelectorArgs.pop();
+    if (typeof resultFunc === 'object' && resultFunc !== null) {
+      directlyPassedOptions = resultFunc;
+      resultFunc = createSelectorArgs.pop();
     }
+    if (typeof resultFunc !== 'function') {
+      throw new TypeError(`createSelector expects an output function after the inputs, but received: [${typeof resultFunc}]`);
+    }
+
+    const {
+      memoize,
+      memoizeOptions = [],
+      argsMemoize = weakMapMemoize,
+      argsMemoizeOptions = [],
+      devModeChecks = {},
+    } = { ...creatorOptions, ...directlyPassedOptions };
+    const finalMemoizeOptions = ensureIsArray(memoizeOptions);
+    const finalArgsMemoizeOptions = ensureIsArray(argsMemoizeOptions);
+    const dependencies = getDependencies(createSelectorArgs);
+
+    const memoizedResultFunc = memoize(function recomputationWrapper(...inputs) {
+      recomputations++;
+      return resultFunc(...inputs);
+    }, ...finalMemoizeOptions);
 
-    lastInputs = inputs;
-    lastResult = resultFunc(...inputs);
-    return lastResult;
+    let firstRun = true;
+    const selector = argsMemoize(function dependenciesChecker(...args) {
+      dependencyRecomputations++;
+      const inputSelectorResults = dependencies.map((dependency) => dependency(...args));
+      lastResult = memoizedResultFunc(...inputSelectorResults);
+
+      if (isDevelopment()) {
+        const checks = { ...globalDevModeChecks, ...devModeChecks };
+        if (shouldRunCheck(checks.identityFunctionCheck, firstRun)) {
+          runIdentityFunctionCheck(resultFunc, inputSelectorResults, lastResult);
+        }
+        if (shouldRunCheck(checks.inputStabilityCheck, firstRun)) {
+          const inputSelectorResultsCopy = dependencies.map((dependency) => dependency(...args));
+          runInputStabilityCheck(inputSelectorResults, inputSelectorResultsCopy, memoize, finalMemoizeOptions, args);
+        }
+        firstRun = false;
+      }
+      return lastResult;
+    }, ...finalArgsMemoizeOptions);
+
+    return Object.assign(selector, {
+      resultFunc,
+      memoizedResultFunc,
+      dependencies,
+      dependencyRecomputations: () => dependencyRecomputations,
+      resetDependencyRecomputations: () => {
+        dependencyRecomputations = 0;
+      },
+      lastResult: () => lastResult,
+      recomputations: () => recomputations,
+      resetRecomputations: () => {
+        recomputations = 0;
+      },
+      memoize,
+      argsMemoize,
+    });
   };
 }
 
-let memoComputeCount = 0;
-const selectFilteredMemo = createSelector(
-  selectTodos,
-  (todos) => {
-    memoComputeCount++;
-    return todos.filter(t => !t.done);
+const createSelector = createSelectorCreator(weakMapMemoize);
+
+// { a: selectA, b: selectB } → selector returning { a, b }, memoized
+function createStructuredSelector(inputSelectorsObject, selectorCreator = createSelector) {
+  if (typeof inputSelectorsObject !== 'object' || inputSelectorsObject === null) {
+    throw new TypeError(
+      `createStructuredSelector expects first argument to be an object where each property is a selector, instead received a ${typeof inputSelectorsObject}`
+    );
   }
-);
+  const inputSelectorKeys = Object.keys(inputSelectorsObject);
+  const dependencies = inputSelectorKeys.map((key) => inputSelectorsObject[key]);
+  return selectorCreator(dependencies, (...inputSelectorResults) =>
+    inputSelectorResults.reduce((composition, value, index) => {
+      composition[inputSelectorKeys[index]] = value;
+      return composition;
+    }, {})
+  );
+}
+
+module.exports = {
+  createSelector,
+  createSelectorCreator,
+  createStructuredSelector,
+  lruMemoize,
+  weakMapMemoize,
+  referenceEqualityCheck,
+  setGlobalDevModeChecks,
+};
+
+if (require.main === module) {
+  // --- A: Basic selectors ---
+  console.log('A: Basic selectors:');
+
+  const state = {
+    todos: {
+      items: [
+        { id: 1, text: 'Learn Redux', done: true, priority: 'high' },
+        { id: 2, text: 'Build app', done: false, priority: 'high' },
+        { id: 3, text: 'Write tests', done: false, priority: 'low' },
+        { id: 4, text: 'Deploy', done: true, priority: 'medium' },
+      ]
+    },
+    filters: {
+      status: 'all',
+      priority: 'all'
+    }
+  };
 
-const result1 = selectFilteredMemo(state);
-const result2 = selectFilteredMemo(state); // cached!
-const result3 = selectFilteredMemo(state); // cached!
+  // Simple selectors (input selectors)
+  const selectTodos = (state) => state.todos.items;
+  const selectStatusFilter = (state) => state.filters.status;
+  const selectPriorityFilter = (state) => state.filters.priority;
 
-console.log(`  Computed ${memoComputeCount} time(s) — memoized!`);
-console.log(`  Same reference? ${result1 === result2}`); // true
+  console.log(`  All todos: ${selectTodos(state).length}`);
+  console.log(`  Status filter: ${selectStatusFilter(state)}`);
 
-// --- E: Composing selectors ---
-console.log('\nE: Composing selectors:');
+  // --- B: Derived selectors (computed) ---
+  console.log('\nB: Derived selectors:');
 
-const selectActiveHighPriority = createSelector(
-  selectActiveTodos,
-  (activeTodos) => activeTodos.filter(t => t.priority === 'high')
-);
+  const selectCompletedTodos = (state) =>
+    selectTodos(state).filter(t => t.done);
 
-// Pseudo pattern — in real RTK:
-console.log(`
-  // Real RTK with reselect:
-  import { createSelector } from '@reduxjs/toolkit';
+  const selectActiveTodos = (state) =>
+    selectTodos(state).filter(t => !t.done);
 
-  const selectTodos = (state) => state.todos.items;
-  const selectFilter = (state) => state.filters.status;
+  const selectHighPriority = (state) =>
+    selectTodos(state).filter(t => t.priority === 'high');
+
+  console.log(`  Completed: ${selectCompletedTodos(state).length}`);
+  console.log(`  Active: ${selectActiveTodos(state).length}`);
+  console.log(`  High priority: ${selectHighPriority(state).length}`);
+
+  // --- C: The problem without memoization ---
+  console.log('\nC: Problem without memoization:');
+
+  let computeCount = 0;
+  const selectFilteredTodos = (state) => {
+    computeCount++;
+    return selectTodos(state).filter(t => !t.done);
+  };
+
+  // Every call recomputes even with same state
+  selectFilteredTodos(state);
+  selectFilteredTodos(state);
+  selectFilteredTodos(state);
+  console.log(`  Computed ${computeCount} times (should be 1 with memoization)`);
+
+  // --- D: createSelector (memoization) ---
+  console.log('\nD: createSelector:');
+
+  const selectFilteredMemo = createSelector(
+    selectTodos,
+    (todos) => todos.filter(t => !t.done)
+  );
+
+  const result1 = selectFilteredMemo(state);
+  const result2 = selectFilteredMemo(state); // cached!
+  const result3 = selectFilteredMemo(state); // cached!
+
+  console.log(`  Computed ${selectFilteredMemo.recomputations()} time(s) — memoized!`);
+  console.log(`  Same reference? ${result1 === result2 && result2 === result3}`); // true
+
+  // A new root state with the same todos array: the input selector says
+  // "unchanged", so the result function still doesn't run
+  const renamed = { ...state, filters: { ...state.filters, status: 'active' } };
+  console.log(`  New state, same todos → same result: ${selectFilteredMemo(renamed) === result1}, recomputations: ${selectFilteredMemo.recomputations()}`);
+  console.log(`  Input selectors re-ran ${selectFilteredMemo.dependencyRecomputations()} times (once per new state)`);
+
+  // --- E: Composing selectors ---
+  console.log('\nE: Composing selectors:');
 
-  const selectFilteredTodos = createSelector(
-    [selectTodos, selectFilter],
+  const selectVisibleTodos = createSelector(
+    [selectTodos, selectStatusFilter],
     (todos, filter) => {
-      if (filter === 'all') return todos;
+      if (filter === 'all') return todos.slice();
       if (filter === 'active') return todos.filter(t => !t.done);
       if (filter === 'completed') return todos.filter(t => t.done);
+      return [];
     }
   );
 
+  const selectVisibleHighPriority = createSelector(
+    [selectVisibleTodos, selectPriorityFilter],
+    (todos, priority) => (priority === 'all' ? todos.slice() : todos.filter(t => t.priority === priority))
+  );
+
+  const highActive = { ...renamed, filters: { status: 'active', priority: 'high' } };
+  console.log(`  active + high: ${selectVisibleHighPriority(highActive).map(t => t.text)}`);
+  console.log(`
+  // Real RTK with reselect:
+  import { createSelector } from '@reduxjs/toolkit';
+
   // In component:
-  const filteredTodos = useSelector(selectFilteredTodos);
+  const filteredTodos = useSelector(selectVisibleTodos);
   // Only recomputes when todos or filter changes!
 `);
 
-// --- F: useSelector and re-renders ---
-console.log('F: useSelector behavior:');
-console.log(`
+  // --- F: useSelector and re-renders ---
+  console.log('F: useSelector behavior:');
+  console.log(`
   // ❌ BAD — creates new array every render, causes re-render
   const activeTodos = useSelector(state =>
     state.todos.filter(t => !t.done)
@@ -160,6 +472,102 @@ console.log(`
   const count = useSelector(state => state.counter.value);
 `);
 
+  // --- G: Parametric selectors: weakMapMemoize vs lruMemoize ---
+  console.log('G: Parametric selectors (state, id):');
+
+  const selectTodoId = (state, id) => id;
+  const describeTodo = (todos, id) => {
+    const todo = todos.find(t => t.id === id);
+    return { id, label: todo ? `${todo.text} (${todo.priority})` : 'missing' };
+  };
+
+  // Default weakMapMemoize: one cache entry per (state, id) combination
+  const selectTodoById = createSelector([selectTodos, selectTodoId], describeTodo);
+  // lruMemoize with the default maxSize 1: every id switch evicts the other
+  const selectTodoByIdLast = createSelector([selectTodos, selectTodoId], describeTodo, {
+    memoize: lruMemoize,
+    argsMemoize: lruMemoize
+  });
+  const selectTodoByIdLru = createSelector([selectTodos, selectTodoId], describeTodo, {
+    memoize: lruMemoize,
+    memoizeOptions: { maxSize: 10 },
+    argsMemoize: lruMemoize,
+    argsMemoizeOptions: { maxSize: 10 }
+  });
+
+  // Two list rows asking alternately, as a render loop would
+  [1, 2, 1, 2, 1, 2].forEach((id) => {
+    selectTodoById(state, id);
+    selectTodoByIdLast(state, id);
+    selectTodoByIdLru(state, id);
+  });
+  console.log(`  weakMapMemoize:          ${selectTodoById.recomputations()} recomputations`);
+  console.log(`  lruMemoize (maxSize 1):  ${selectTodoByIdLast.recomputations()} recomputations`);
+  console.log(`  lruMemoize (maxSize 10): ${selectTodoByIdLru.recomputations()} recomputations`);
+  selectTodoByIdLast.resetRecomputations();
+  console.log(`  after resetRecomputations(): ${selectTodoByIdLast.recomputations()}`);
+
+  // --- H: createStructuredSelector ---
+  console.log('\nH: createStructuredSelector:');
+
+  const selectTodoStats = createStructuredSelector({
+    visible: selectVisibleTodos,
+    status: selectStatusFilter,
+    total: (state) => state.todos.items.length
+  });
+  const stats = selectTodoStats(renamed);
+  console.log(`  { visible: ${stats.visible.length} todos, status: ${stats.status}, total: ${stats.total} }`);
+  console.log(`  same object next call: ${selectTodoStats({ ...renamed }) === stats}`);
+
+  // --- I: Development checks that flag accidental recomputation ---
+  console.log('\nI: Dev-mode checks:');
+
+  const originalWarn = console.warn;
+  console.warn = (message) => console.log(`    [warn] ${message.split('\n')[0]}`);
+
+  // An input selector that builds a new array: memoization can never hit
+  const selectDoneIdsBad = createSelector(
+    [(state) => state.todos.items.filter(t => t.done).map(t => t.id)],
+    (ids) => ids.join(',')
+  );
+  console.log('  selectDoneIdsBad(state):');
+  selectDoneIdsBad(state);
+
+  // The result function just hands its input back
+  const selectItemsPointless = createSelector([selectTodos], (todos) => todos);
+  console.log('  selectItemsPointless(state):');
+  selectItemsPointless(state);
+
+  // Checks run on the first call by default; opt out per selector
+  const selectQuiet = createSelector([selectTodos], (todos) => todos, {
+    devModeChecks: { identityFunctionCheck: 'never' }
+  });
+  console.log('  selectQuiet(state): (identity check off, no warning)');
+  selectQuiet(state);
+  console.warn = originalWarn;
+
+  // --- J: resultEqualityCheck for large lists ---
+  console.log('\nJ: resultEqualityCheck keeps the old array if nothing visible changed:');
+
+  const shallowEqualArrays = (a, b) => a.length === b.length && a.every((item, i) => item === b[i]);
+  const selectActiveIds = createSelector(
+    [selectTodos],
+    (todos) => todos.filter(t => !t.done).map(t => t.id),
+    { memoizeOptions: { resultEqualityCheck: shallowEqualArrays } }
+  );
+
+  const before = selectActiveIds(state);
+  // Editing a *done* todo's text makes a new items array...
+  const edited = {
+    ...state,
+    todos: { items: state.todos.items.map(t => (t.id === 1 ? { ...t, text: 'Learn Redux well' } : t)) }
+  };
+  const after = selectActiveIds(edited);
+  // ...but the active ids are the same, so components see the same reference
+  console.log(`  ids: [${after}], same reference: ${after === before}`);
+  console.log(`  result function ran ${selectActiveIds.recomputations()} times, distinct results: ${selectActiveIds.memoizedResultFunc.resultsCount()}`);
+}
+
 /**
  * ┌── INTERVIEW ANSWER ───────────────────────────────────┐
  * │ Selectors derive data from state. createSelector from │
@@ -167,6 +575,10 @@ console.log(`
  * │ recomputes when inputs change. Prevents unnecessary   │
  * │ re-renders with useSelector. Compose small selectors  │
  * │ into complex ones. Keep state minimal, derive the rest│
+ * │ Reselect 5 memoizes twice (arguments, then inputs)    │
+ * │ with weakMapMemoize, so (state, id) selectors cache   │
+ * │ every id. recomputations() and the dev-mode checks    │
+ * │ catch input selectors returning new references.       │
  * └───────────────────────────────────────────────────────┘
  *
  * RUN: node docs/redux/04-selectors-reselect.js
@@ -20,7 +20,6 @@
  */
 
 // --- A: Middleware signature ---
-console.log('A: Middleware signature:');
 
 // store => next => action => result
 // Curried function with 3 levels
@@ -62,13 +61,18 @@ function createStore(reducer, initialState, middlewares = []) {
 // --- C: Common middleware examples ---
 
 // Thunk middleware — enables dispatching functions
-const thunkMiddleware = (store) => (next) => (action) => {
+// withExtraArgument(x) hands x to every thunk as a third argument
+// (createAsyncThunk exposes it as thunkAPI.extra, e.g. an API client)
+const createThunkMiddleware = (extraArgument) => (store) => (next) => (action) => {
   if (typeof action === 'function') {
-    return action(store.dispatch, store.getState);
+    return action(store.dispatch, store.getState, extraArgument);
   }
   return next(action);
 };
 
+const thunkMiddleware = createThunkMiddleware();
+thunkMiddleware.withExtraArgument = createThunkMiddleware;
+
 // Crash reporter
 const crashMiddleware = (store) => (next) => (action) => {
   try {
@@ -78,36 +82,41 @@ const crashMiddleware = (store) => (next) => (action) => {
   }
 };
 
-// --- D: Testing our middleware ---
-console.log('\nD: Middleware in action:');
+module.exports = { createStore, loggerMiddleware, thunkMiddleware, crashMiddleware };
+
+if (require.main === module) {
+  console.log('A: Middleware signature:');
+
+  // --- D: Testing our middleware ---
+  console.log('\nD: Middleware in action:');
 
-function reducer(state = { count: 0 }, action) {
-  switch (action.type) {
-    case 'INCREMENT': return { count: state.count + 1 };
-    case 'DECREMENT': return { count: state.count - 1 };
-    default: return state;
+  function reducer(state = { count: 0 }, action) {
+    switch (action.type) {
+      case 'INCREMENT': return { count: state.count + 1 };
+      case 'DECREMENT': return { count: state.count - 1 };
+      default: return state;
+    }
   }
-}
 
-const store = createStore(
-  reducer,
-  { count: 0 },
-  [loggerMiddleware, thunkMiddleware]
-);
-
-store.dispatch({ type: 'INCREMENT' });
-
-console.log('\n  Dispatching thunk:');
-store.dispatch((dispatch, getState) => {
-  console.log(`  [THUNK] current count: ${getState().count}`);
-  dispatch({ type: 'INCREMENT' });
-  dispatch({ type: 'INCREMENT' });
-  console.log(`  [THUNK] final count: ${getState().count}`);
-});
-
-// --- E: RTK default middleware ---
-console.log('\nE: RTK default middleware:');
-console.log(`
+  const store = createStore(
+    reducer,
+    { count: 0 },
+    [loggerMiddleware, thunkMiddleware]
+  );
+
+  store.dispatch({ type: 'INCREMENT' });
+
+  console.log('\n  Dispatching thunk:');
+  store.dispatch((dispatch, getState) => {
+    console.log(`  [THUNK] current count: ${getState().count}`);
+    dispatch({ type: 'INCREMENT' });
+    dispatch({ type: 'INCREMENT' });
+    console.log(`  [THUNK] final count: ${getState().count}`);
+  });
+
+  // --- E: RTK default middleware ---
+  console.log('\nE: RTK default middleware:');
+  console.log(`
   configureStore automatically includes:
 
   1. redux-thunk         — async logic via dispatch(fn)
@@ -130,6 +139,7 @@ console.log(`
       immutableCheck: false,
     }),
 `);
+}
 
 /**
  * ┌── INTERVIEW ANSWER ───────────────────────────────────┐
@@ -0,0 +1,321 @@
+/**
+ * TOPIC: Time-Travel Store Enhancer — Action Log, Jump, Toggle, Replay
+ *
+ * ╔════════════════════════════════════════════════════════╗
+ * ║           THE GOLDEN RULE                             ║
+ * ║  State is a pure function of (initial state, actions).║
+ * ║  Keep the actions and you can rebuild ANY state:      ║
+ * ║  jump to it, skip an action and replay the rest, or   ║
+ * ║  ship the log in a bug report and replay it locally.  ║
+ * ╚════════════════════════════════════════════════════════╝
+ *
+ * ┌── STORE ENHANCER ─────────────────────────────────────┐
+ * │ enhancer = createStore => (reducer, ...args) => store │
+ * │                                                       │
+ * │ const createDevStore = timeTravel()(createStore);     │
+ * │ const store = createDevStore(reducer, initialState);  │
+ * │                                                       │
+ * │ It wraps the REDUCER, so it works with both stores    │
+ * │ (00-redux-basics, 05-middleware) and their middleware │
+ * │ still sees the real app state in getState().          │
+ * └───────────────────────────────────────────────────────┘
+ *
+ * ┌── THE LOG ────────────────────────────────────────────┐
+ * │ index  0        1          2          3               │
+ * │        @@INIT   increment  addBy(10)  decrement       │
+ * │ after  {0}      {1}        {11}       {10}            │
+ * │                            ▲ toggleAction(2): skipped │
+ * │        replay from committed state: {0} {1} {1} {0}   │
+ * └───────────────────────────────────────────────────────┘
+ *
+ * Dispatching while jumped into the past drops the entries after the
+ * current one (like undo/redo). reset() goes back to the state the store
+ * was created with; commit() makes the current state the new starting
+ * point and forgets the log. Exported sessions hold actions, not states:
+ * importing replays them through the reducer.
+ */
+
+const SET_STATE = '@@timeTravel/SET_STATE';
+const INIT = '@@timeTravel/INIT';
+const SESSION_VERSION = 1;
+
+// --- State diff for the terminal ---
+
+const isContainer = (value) => !!value && typeof value === 'object';
+
+function preview(value) {
+  if (value === undefined) return 'undefined';
+  const text = JSON.stringify(value);
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+// Walks both trees together; branches shared by reference (as Immer or
+// spread updates leave them) are skipped at once
+function diffStates(before, after, path = '', lines = []) {
+  if (Object.is(before, after)) return lines;
+  const sameShape = isContainer(before) && isContainer(after) && Array.isArray(before) === Array.isArray(after);
+  if (!sameShape) {
+    lines.push(`~ ${path || '(root)'}: ${preview(before)} → ${preview(after)}`);
+    return lines;
+  }
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  keys.forEach((key) => {
+    const child = Array.isArray(after) ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+    const inBefore = Object.prototype.hasOwnProperty.call(before, key);
+    const inAfter = Object.prototype.hasOwnProperty.call(after, key);
+    if (!inAfter) lines.push(`- ${child}: ${preview(before[key])}`);
+    else if (!inBefore) lines.push(`+ ${child}: ${preview(after[key])}`);
+    else diffStates(before[key], after[key], child, lines);
+  });
+  return lines;
+}
+
+// --- The enhancer ---
+
+function timeTravel({ maxAge = 50, logDiffs = false, log = console.log } = {}) {
+  return (createStore) => (reducer, initialState, ...rest) => {
+    const initEntry = (state) => ({ id: 0, action: { type: INIT }, before: undefined, after: state, skipped: false });
+
+    const createdWith = initialState;
+    let entries = [initEntry(initialState)]; // entries[0].after is the committed state
+    let currentIndex = 0;
+    let nextId = 1;
+    let lastLoggedId = 0;
+
+    // Records real actions; SET_STATE is how jumps and replays reach the store
+    const liftedReducer = (state, action) => {
+      if (action.type === SET_STATE) return action.payload;
+      const next = reducer(state, action);
+      if (currentIndex < entries.length - 1) entries = entries.slice(0, currentIndex + 1);
+      entries.push({ id: nextId++, action, before: state, after: next, skipped: false, timestamp: Date.now() });
+      // Past maxAge the oldest action folds into the committed state
+      if (entries.length - 1 > maxAge) {
+        const [oldest] = entries.splice(1, 1);
+        entries[0] = initEntry(oldest.after);
+      }
+      currentIndex = entries.length - 1;
+      return next;
+    };
+
+    const store = createStore(liftedReducer, initialState, ...rest);
+
+    if (logDiffs) {
+      store.subscribe(() => {
+        entries.filter((entry) => entry.id > lastLoggedId).forEach((entry) => {
+          lastLoggedId = entry.id;
+          printEntry(entry);
+        });
+      });
+    }
+
+    function printEntry(entry) {
+      const lines = diffStates(entry.before, entry.after);
+      log(`  ● #${entry.id} ${entry.action.type}${entry.skipped ? ' (skipped)' : ''}`);
+      (lines.length ? lines : ['(no change)']).forEach((line) => log(`      ${line}`));
+    }
+
+    // Rebuild every state after the committed one from the actions
+    function recompute() {
+      let state = entries[0].after;
+      entries = entries.map((entry, index) => {
+        if (index === 0) return entry;
+        const rebuilt = { ...entry, before: state, error: undefined };
+        if (!entry.skipped) {
+          try {
+            state = reducer(state, entry.action);
+          } catch (err) {
+            rebuilt.error = err.message; // keep replaying: one bad action shouldn't hide the rest
+          }
+        }
+        rebuilt.after = state;
+        return rebuilt;
+      });
+    }
+
+    const show = () => store.dispatch({ type: SET_STATE, payload: entries[currentIndex].after });
+
+    function checkIndex(index, method) {
+      if (!Number.isInteger(index) || index < 0 || index >= entries.length) {
+        throw new RangeError(`${method}: index ${index} is outside the log (0..${entries.length - 1})`);
+      }
+    }
+
+    const timeTravelApi = {
+      history: () =>
+        entries.map((entry, index) => ({
+          index,
+          id: entry.id,
+          type: entry.action.type,
+          skipped: entry.skipped,
+          current: index === currentIndex,
+          ...(entry.error && { error: entry.error }),
+        })),
+      currentIndex: () => currentIndex,
+      stateAt: (index) => {
+        checkIndex(index, 'stateAt');
+        return entries[index].after;
+      },
+      diff: (index) => {
+        checkIndex(index, 'diff');
+        return diffStates(entries[index].before, entries[index].after);
+      },
+      jumpTo(index) {
+        checkIndex(index, 'jumpTo');
+        currentIndex = index;
+        show();
+      },
+      toggleAction(index) {
+        checkIndex(index, 'toggleAction');
+        if (index === 0) throw new RangeError('toggleAction: the initial state is not an action');
+        entries[index] = { ...entries[index], skipped: !entries[index].skipped };
+        recompute();
+        show();
+      },
+      commit() {
+        entries = [initEntry(entries[currentIndex].after)];
+        currentIndex = 0;
+      },
+      reset() {
+        entries = [initEntry(createdWith)];
+        currentIndex = 0;
+        show();
+      },
+      // Actions must be plain JSON (they are, if they'd pass RTK's
+      // serializableCheck); states are rebuilt on import
+      exportSession: () =>
+        JSON.stringify({
+          version: SESSION_VERSION,
+          committedState: entries[0].after,
+          actions: entries.slice(1).map(({ action, skipped, timestamp }) => ({ action, skipped, timestamp })),
+          currentIndex,
+        }),
+      importSession(json) {
+        const session = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!session || session.version !== SESSION_VERSION || !Array.isArray(session.actions)) {
+          throw new TypeError(`importSession: expected a version ${SESSION_VERSION} session with an actions array`);
+        }
+        const last = session.actions.length;
+        const index = session.currentIndex === undefined ? last : session.currentIndex;
+        // Checked before anything changes: a hand-edited report mustn't leave
+        // the store half-imported
+        if (!Number.isInteger(index) || index < 0 || index > last) {
+          throw new RangeError(`importSession: currentIndex ${JSON.stringify(index)} is outside the log (0..${last})`);
+        }
+        entries = [initEntry(session.committedState)].concat(
+          session.actions.map(({ action, skipped = false, timestamp }) => ({ id: nextId++, action, skipped, timestamp }))
+        );
+        lastLoggedId = nextId - 1; // imported actions are replayed, not re-logged
+        recompute();
+        currentIndex = index;
+        show();
+      },
+      printEntry: (index) => {
+        checkIndex(index, 'printEntry');
+        printEntry(entries[index]);
+      },
+    };
+
+    return { ...store, timeTravel: timeTravelApi };
+  };
+}
+
+module.exports = { timeTravel, diffStates };
+
+if (require.main === module) {
+  const basics = require('./00-redux-basics');
+  const { createStore, thunkMiddleware } = require('./05-middleware');
+  const { createSlice } = require('./02-createSlice-deep-dive');
+
+  // A: Wrapping 00-redux-basics' createStore
+  console.log('A: Recording actions (00-redux-basics createStore):');
+  const createCounterStore = timeTravel({ logDiffs: true })(basics.createStore);
+  const counter = createCounterStore(basics.counterReducer, { count: 0 });
+  counter.dispatch(basics.increment());
+  counter.dispatch(basics.addBy(10));
+  counter.dispatch(basics.decrement());
+  const counts = () => counter.timeTravel.history().map(({ index }) => counter.timeTravel.stateAt(index).count);
+  console.log(`  log: ${counter.timeTravel.history().map((h) => h.type).join(' → ')}`);
+
+  // B: jumpTo and toggleAction
+  console.log('\nB: jumpTo / toggleAction:');
+  counter.timeTravel.jumpTo(1);
+  console.log(`  jumpTo(1): count = ${counter.getState().count}`);
+  counter.timeTravel.jumpTo(3);
+  counter.timeTravel.toggleAction(2);
+  console.log(`  toggleAction(2) skips addBy(10): states ${counts().join(', ')}, now ${counter.getState().count}`);
+  counter.timeTravel.toggleAction(2);
+  console.log(`  toggle again: states ${counts().join(', ')}`);
+  counter.timeTravel.jumpTo(1);
+  counter.dispatch(basics.addBy(5)); // from the past: drops addBy(10) and decrement
+  console.log(`  dispatch after jumpTo(1): ${counter.timeTravel.history().map((h) => h.type.split('/').pop()).join(', ')} → ${counter.getState().count}`);
+
+  // C: commit / reset
+  console.log('\nC: commit / reset:');
+  counter.timeTravel.commit();
+  counter.dispatch(basics.increment());
+  console.log(`  after commit + increment: ${counter.timeTravel.history().length} entries, count ${counter.getState().count}`);
+  counter.timeTravel.reset();
+  console.log(`  reset(): back to the creation state, count ${counter.getState().count}`);
+
+  // D: Bug report replay with 05-middleware's store, thunks and a slice
+  console.log('\nD: Export a buggy session, replay it elsewhere:');
+  const cartSlice = createSlice({
+    name: 'cart',
+    initialState: { items: [], coupon: null, total: 0 },
+    reducers: {
+      addItem(state, action) {
+        state.items.push(action.payload);
+        state.total += action.payload.price;
+      },
+      applyCoupon(state, action) {
+        state.coupon = action.payload;
+        state.total = state.total * (1 - action.payload.percent / 100);
+      },
+      removeItem(state, action) {
+        const index = state.items.findIndex((item) => item.sku === action.payload);
+        // BUG: forgets the coupon, subtracts the full price
+        state.total -= state.items[index].price;
+        state.items.splice(index, 1);
+      }
+    }
+  });
+  const { addItem, applyCoupon, removeItem } = cartSlice.actions;
+  const rootReducer = (state = {}, action) => ({ cart: cartSlice.reducer(state.cart, action) });
+
+  // The user's machine: middleware store, a thunk, no logging
+  const createAppStore = timeTravel()(createStore);
+  const userStore = createAppStore(rootReducer, rootReducer(undefined, { type: '@@INIT' }), [thunkMiddleware]);
+  userStore.dispatch((dispatch) => {
+    dispatch(addItem({ sku: 'book', price: 40 }));
+    dispatch(addItem({ sku: 'pen', price: 10 }));
+  });
+  userStore.dispatch(applyCoupon({ code: 'HALF', percent: 50 }));
+  userStore.dispatch(removeItem('pen'));
+  console.log(`  user sees total ${userStore.getState().cart.total} for one 40 book at 50% off`);
+  const report = userStore.timeTravel.exportSession();
+  console.log(`  bug report: ${report.length} bytes of JSON, ${JSON.parse(report).actions.length} actions`);
+
+  // The developer's machine: import, then step through the diffs
+  const devStore = timeTravel()(createStore)(rootReducer, undefined, [thunkMiddleware]);
+  devStore.timeTravel.importSession(report);
+  console.log(`  replayed total: ${devStore.getState().cart.total} (same bug, reproduced)`);
+  devStore.timeTravel.history().slice(1).forEach(({ index }) => devStore.timeTravel.printEntry(index));
+
+  // Which action is at fault? Skip it and see
+  devStore.timeTravel.toggleAction(3);
+  console.log(`  without applyCoupon the total is ${devStore.getState().cart.total}: removeItem ignores the coupon`);
+}
+
+/**
+ * ┌── INTERVIEW ANSWER ───────────────────────────────────┐
+ * │ A store enhancer wraps createStore. This one wraps    │
+ * │ the reducer to log each action with the states before │
+ * │ and after. Jumping just swaps in a logged state;      │
+ * │ toggling an action replays the log from the committed │
+ * │ state through the (pure) reducer. A session export is │
+ * │ committed state + actions, so a bug report replays    │
+ * │ deterministically on another machine.                 │
+ * └───────────────────────────────────────────────────────┘
+ *
+ * RUN: node docs/redux/05-time-travel-enhancer.js
+ */
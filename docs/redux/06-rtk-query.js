@@ -20,91 +20,713 @@
  * │  = ~50 lines per endpoint       = ~5 lines            │
  * │                                                       │
  * └───────────────────────────────────────────────────────┘
+ *
+ * ┌── WHAT THE SIMULATION KEEPS IN STATE ─────────────────┐
+ * │ api: {                                                │
+ * │   queries:  { 'getPost(1)': { status, data, error } } │
+ * │   mutations: { [requestId]: { status, data, error } } │
+ * │   provided: { Post: { 1: ['getPost(1)'], ... } }      │
+ * │   subscriptions: { 'getPost(1)': { [subId]: true } }  │
+ * │ }                                                     │
+ * │ Cache key = endpoint name + serialized args. A query  │
+ * │ with no subscribers is dropped keepUnusedDataFor      │
+ * │ seconds later; a mutation's invalidatesTags refetches │
+ * │ every subscribed query providing one of those tags.   │
+ * └───────────────────────────────────────────────────────┘
  */
 
-// All RTK Query code is pseudo-code (requires npm packages)
+const { createStore, thunkMiddleware } = require('./05-middleware');
+const { createAction, createSlice, nanoid } = require('./02-createSlice-deep-dive');
+const { produceWithPatches, applyPatches } = require('./02-immer-produce');
+const { miniSerializeError } = require('./03-createAsyncThunk');
 
-// --- A: createApi setup ---
-console.log('A: createApi setup:');
-console.log(`
-  import { createApi, fetchBaseQuery } from '@reduxjs/toolkit/query/react';
+// --- Base queries ---
 
-  export const apiSlice = createApi({
-    reducerPath: 'api',
-    baseQuery: fetchBaseQuery({ baseUrl: '/api' }),
-    tagTypes: ['Post', 'User'],     // for cache invalidation
-    endpoints: (builder) => ({
+const isPlainObject = (value) =>
+  !!value && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value));
 
-      // GET request — query endpoint
-      getPosts: builder.query({
-        query: () => '/posts',
-        providesTags: ['Post'],
-      }),
+// Sorted keys: { page, sort } and { sort, page } hit the same cache entry
+function defaultSerializeQueryArgs({ endpointName, queryArgs }) {
+  const serialized = JSON.stringify(queryArgs, (key, value) =>
+    isPlainObject(value)
+      ? Object.keys(value).sort().reduce((sorted, k) => {
+        sorted[k] = value[k];
+        return sorted;
+      }, {})
+      : value
+  );
+  return `${endpointName}(${serialized})`;
+}
 
-      // GET with params
-      getPostById: builder.query({
-        query: (id) => \`/posts/\${id}\`,
-        providesTags: (result, error, id) => [{ type: 'Post', id }],
-      }),
+// The real-network baseQuery. Resolves { data } or { error }, never throws.
+function fetchBaseQuery({ baseUrl = '', fetchFn = globalThis.fetch } = {}) {
+  return async (args) => {
+    const { url, method = 'GET', body, params } = typeof args === 'string' ? { url: args } : args;
+    const query = params ? `?${new URLSearchParams(params)}` : '';
+    let response;
+    try {
+      response = await fetchFn(`${baseUrl}${url}${query}`, {
+        method,
+        headers: body === undefined ? undefined : { 'content-type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+    } catch (err) {
+      return { error: { status: 'FETCH_ERROR', error: String(err) } };
+    }
+    const text = await response.text();
+    let data = null;
+    try {
+      data = text ? JSON.parse(text) : null;
+    } catch (err) {
+      return { error: { status: 'PARSING_ERROR', originalStatus: response.status, data: text } };
+    }
+    return response.ok ? { data } : { error: { status: response.status, data } };
+  };
+}
+
+// --- Tags ---
+
+const WITHOUT_ID = '__internal_without_id';
+
+function calculateTags(description, result, error, arg) {
+  const tags = typeof description === 'function' ? description(result, error, arg) : description;
+  return (tags || []).map((tag) => (typeof tag === 'string' ? { type: tag } : tag));
+}
+
+function removeProvided(provided, queryCacheKey) {
+  Object.values(provided).forEach((byId) => {
+    Object.values(byId).forEach((keys) => {
+      const index = keys.indexOf(queryCacheKey);
+      if (index !== -1) keys.splice(index, 1);
+    });
+  });
+}
+
+function addProvided(provided, queryCacheKey, tags) {
+  removeProvided(provided, queryCacheKey);
+  tags.forEach(({ type, id }) => {
+    const byId = provided[type] || (provided[type] = {});
+    const tagId = id === undefined ? WITHOUT_ID : id;
+    const keys = byId[tagId] || (byId[tagId] = []);
+    if (!keys.includes(queryCacheKey)) keys.push(queryCacheKey);
+  });
+}
+
+// 'Post' invalidates everything tagged Post; { type: 'Post', id: 1 } only
+// the queries that provided that exact id
+function selectInvalidatedKeys(apiState, tags) {
+  const keys = new Set();
+  tags.forEach(({ type, id }) => {
+    const byId = apiState.provided[type] || {};
+    const lists = id === undefined ? Object.values(byId) : [byId[id] || []];
+    lists.forEach((list) => list.forEach((key) => keys.add(key)));
+  });
+  return [...keys];
+}
+
+function withStatusFlags(entry = { status: 'uninitialized' }) {
+  const { status, data } = entry;
+  return {
+    ...entry,
+    isUninitialized: status === 'uninitialized',
+    isLoading: status === 'pending' && data === undefined,
+    isFetching: status === 'pending',
+    isSuccess: status === 'fulfilled' || (status === 'pending' && data !== undefined),
+    isError: status === 'rejected',
+  };
+}
+
+// --- createApi ---
+
+function createApi({
+  reducerPath = 'api',
+  baseQuery,
+  tagTypes = [],
+  endpoints,
+  keepUnusedDataFor = 60,
+  serializeQueryArgs = defaultSerializeQueryArgs,
+}) {
+  const definitions = endpoints({
+    query: (definition) => ({ ...definition, type: 'query' }),
+    mutation: (definition) => ({ ...definition, type: 'mutation' }),
+  });
+
+  // pending/fulfilled/rejected for every request; meta.arg says which
+  // endpoint and cache entry the action belongs to
+  const lifecycle = (typePrefix) => ({
+    pending: createAction(`${typePrefix}/pending`, (arg, requestId) => ({
+      payload: undefined,
+      meta: { arg, requestId, startedTimeStamp: Date.now() },
+    })),
+    fulfilled: createAction(`${typePrefix}/fulfilled`, (data, arg, requestId) => ({
+      payload: data,
+      meta: { arg, requestId, fulfilledTimeStamp: Date.now() },
+    })),
+    rejected: createAction(`${typePrefix}/rejected`, (error, arg, requestId) => ({
+      payload: undefined,
+      error,
+      meta: { arg, requestId },
+    })),
+  });
+  const queryThunk = lifecycle(`${reducerPath}/executeQuery`);
+  const mutationThunk = lifecycle(`${reducerPath}/executeMutation`);
+  const invalidateTags = createAction(`${reducerPath}/invalidateTags`);
+
+  const initialState = { queries: {}, mutations: {}, provided: {}, subscriptions: {} };
+
+  const providedTagsFor = (action, result, error) =>
+    calculateTags(definitions[action.meta.arg.endpointName].providesTags, result, error, action.meta.arg.originalArgs);
+
+  const slice = createSlice({
+    name: reducerPath,
+    initialState,
+    reducers: {
+      subscriptionAdded(state, { payload: { queryCacheKey, subscriptionId } }) {
+        const subscribers = state.subscriptions[queryCacheKey] || (state.subscriptions[queryCacheKey] = {});
+        subscribers[subscriptionId] = true;
+      },
+      subscriptionRemoved(state, { payload: { queryCacheKey, subscriptionId } }) {
+        const subscribers = state.subscriptions[queryCacheKey];
+        if (subscribers) delete subscribers[subscriptionId];
+      },
+      removeQueryResult(state, { payload: { queryCacheKey } }) {
+        delete state.queries[queryCacheKey];
+        delete state.subscriptions[queryCacheKey];
+        removeProvided(state.provided, queryCacheKey);
+      },
+      removeMutationResult(state, { payload: { requestId } }) {
+        delete state.mutations[requestId];
+      },
+      queryResultPatched(state, { payload: { queryCacheKey, patches } }) {
+        const entry = state.queries[queryCacheKey];
+        if (entry && entry.data !== undefined) applyPatches(entry.data, patches);
+      },
+      resetApiState: () => initialState,
+    },
+    extraReducers: (builder) => {
+      builder
+        .addCase(queryThunk.pending, (state, { meta: { arg, requestId, startedTimeStamp } }) => {
+          const entry = state.queries[arg.queryCacheKey] || (state.queries[arg.queryCacheKey] = { endpointName: arg.endpointName });
+          // A refetch keeps the old data on screen while it runs
+          Object.assign(entry, { status: 'pending', originalArgs: arg.originalArgs, requestId, startedTimeStamp });
+        })
+        .addCase(queryThunk.fulfilled, (state, action) => {
+          const { arg, requestId, fulfilledTimeStamp } = action.meta;
+          const entry = state.queries[arg.queryCacheKey];
+          if (!entry || entry.requestId !== requestId) return; // removed or superseded
+          Object.assign(entry, { status: 'fulfilled', data: action.payload, fulfilledTimeStamp });
+          delete entry.error;
+          addProvided(state.provided, arg.queryCacheKey, providedTagsFor(action, action.payload, undefined));
+        })
+        .addCase(queryThunk.rejected, (state, action) => {
+          const { arg, requestId } = action.meta;
+          const entry = state.queries[arg.queryCacheKey];
+          if (!entry || entry.requestId !== requestId) return;
+          Object.assign(entry, { status: 'rejected', error: action.error });
+          addProvided(state.provided, arg.queryCacheKey, providedTagsFor(action, undefined, action.error));
+        })
+        .addCase(mutationThunk.pending, (state, { meta: { arg, requestId, startedTimeStamp } }) => {
+          state.mutations[requestId] = {
+            status: 'pending',
+            endpointName: arg.endpointName,
+            originalArgs: arg.originalArgs,
+            startedTimeStamp,
+          };
+        })
+        .addCase(mutationThunk.fulfilled, (state, { payload, meta }) => {
+          const entry = state.mutations[meta.requestId];
+          if (entry) Object.assign(entry, { status: 'fulfilled', data: payload, fulfilledTimeStamp: meta.fulfilledTimeStamp });
+        })
+        .addCase(mutationThunk.rejected, (state, { error, meta }) => {
+          const entry = state.mutations[meta.requestId];
+          if (entry) Object.assign(entry, { status: 'rejected', error });
+        });
+    },
+  });
+  const { actions } = slice;
+
+  const selectApiState = (rootState) => rootState[reducerPath];
+  const cacheKeyFor = (endpointName, queryArgs) =>
+    serializeQueryArgs({ endpointName, queryArgs, endpointDefinition: definitions[endpointName] });
+
+  // Runs baseQuery (or queryFn) and dispatches the lifecycle around it.
+  // Resolves { data } or { error }; onQueryStarted sees the same outcome
+  // through queryFulfilled.
+  async function execute(kind, endpointName, arg, requestId, { dispatch, getState }) {
+    const definition = definitions[endpointName];
+    const { pending, fulfilled, rejected } = kind === 'query' ? queryThunk : mutationThunk;
+    const metaArg = { type: kind, endpointName, originalArgs: arg };
+    if (kind === 'query') metaArg.queryCacheKey = cacheKeyFor(endpointName, arg);
+
+    dispatch(pending(metaArg, requestId));
+
+    let settle;
+    const queryFulfilled = new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    });
+    queryFulfilled.catch(() => {}); // only onQueryStarted cares about a rejection
+
+    if (definition.onQueryStarted) {
+      // Called synchronously, before the request, so an optimistic update
+      // is in the cache by the time initiate() returns. A lifecycle hook
+      // never decides the outcome: the executor turns a sync throw into a
+      // rejection, and that (like rethrowing queryFulfilled's) is ignored.
+      new Promise((resolve) => {
+        resolve(definition.onQueryStarted(arg, { dispatch, getState, requestId, queryFulfilled }));
+      }).catch(() => {});
+    }
+
+    const baseQueryApi = { dispatch, getState, endpoint: endpointName, type: kind };
+    let outcome;
+    try {
+      outcome = definition.queryFn
+        ? await definition.queryFn(arg, baseQueryApi, definition.extraOptions, (args) =>
+          baseQuery(args, baseQueryApi, definition.extraOptions))
+        : await baseQuery(definition.query(arg), baseQueryApi, definition.extraOptions);
+      if (outcome.error === undefined && definition.transformResponse) {
+        outcome = { ...outcome, data: await definition.transformResponse(outcome.data, outcome.meta, arg) };
+      }
+    } catch (err) {
+      // A throw (not a returned { error }) is a bug in the endpoint: like
+      // RTK, store it serialized instead of leaving the entry pending
+      outcome = { error: miniSerializeError(err) };
+    }
+
+    if (outcome.error !== undefined) {
+      dispatch(rejected(outcome.error, metaArg, requestId));
+      settle.reject({ error: outcome.error });
+      return { error: outcome.error };
+    }
+    const { data } = outcome;
+    dispatch(fulfilled(data, metaArg, requestId));
+    settle.resolve({ data, meta: outcome.meta });
+    return { data };
+  }
 
-      // POST/PUT/DELETE — mutation endpoint
-      addPost: builder.mutation({
-        query: (newPost) => ({
-          url: '/posts',
-          method: 'POST',
-          body: newPost,
+  const runningQueries = new Map(); // queryCacheKey → in-flight request
+
+  function buildQueryEndpoint(endpointName) {
+    const endpoint = {
+      initiate: (arg, { subscribe = true, forceRefetch = false } = {}) => (dispatch, getState) => {
+        const queryCacheKey = cacheKeyFor(endpointName, arg);
+        const subscriptionId = nanoid();
+        if (subscribe) dispatch(actions.subscriptionAdded({ queryCacheKey, subscriptionId }));
+
+        const entry = selectApiState(getState()).queries[queryCacheKey];
+        // Join the request only while its entry is pending: once settled, a
+        // refetch must not wait on the old promise's cleanup
+        let request = entry && entry.status === 'pending' && runningQueries.get(queryCacheKey);
+        if (!request) {
+          if (entry && entry.status === 'fulfilled' && !forceRefetch) {
+            request = Promise.resolve(); // cache hit
+          } else {
+            request = execute('query', endpointName, arg, nanoid(), { dispatch, getState }).finally(() => {
+              if (runningQueries.get(queryCacheKey) === request) runningQueries.delete(queryCacheKey);
+            });
+            runningQueries.set(queryCacheKey, request);
+          }
+        }
+
+        const result = request.then(() => endpoint.select(arg)(getState()));
+        let subscribed = subscribe;
+        return Object.assign(result, {
+          arg,
+          queryCacheKey,
+          unwrap: () =>
+            result.then(({ isError, error, data }) => {
+              if (isError) throw error;
+              return data;
+            }),
+          refetch: () => dispatch(endpoint.initiate(arg, { subscribe: false, forceRefetch: true })),
+          unsubscribe: () => {
+            if (!subscribed) return;
+            subscribed = false;
+            dispatch(actions.subscriptionRemoved({ queryCacheKey, subscriptionId }));
+          },
+        });
+      },
+      select: (arg) => (rootState) => withStatusFlags(selectApiState(rootState).queries[cacheKeyFor(endpointName, arg)]),
+    };
+    return endpoint;
+  }
+
+  function buildMutationEndpoint(endpointName) {
+    return {
+      initiate: (arg) => (dispatch, getState) => {
+        const requestId = nanoid();
+        const result = execute('mutation', endpointName, arg, requestId, { dispatch, getState });
+        return Object.assign(result, {
+          arg,
+          requestId,
+          unwrap: () =>
+            result.then((outcome) => {
+              if ('error' in outcome) throw outcome.error;
+              return outcome.data;
+            }),
+          reset: () => dispatch(actions.removeMutationResult({ requestId })),
+        });
+      },
+      select: (requestId) => (rootState) => withStatusFlags(selectApiState(rootState).mutations[requestId]),
+    };
+  }
+
+  const apiEndpoints = {};
+  Object.keys(definitions).forEach((endpointName) => {
+    apiEndpoints[endpointName] =
+      definitions[endpointName].type === 'query' ? buildQueryEndpoint(endpointName) : buildMutationEndpoint(endpointName);
+  });
+
+  const util = {
+    // Optimistic update: patch the cached data now, keep the inverse to undo
+    updateQueryData: (endpointName, arg, updateRecipe) => (dispatch, getState) => {
+      const queryCacheKey = cacheKeyFor(endpointName, arg);
+      const entry = selectApiState(getState()).queries[queryCacheKey];
+      const patchResult = { patches: [], inversePatches: [], undo: () => {} };
+      if (!entry || entry.data === undefined) return patchResult;
+      const [, patches, inversePatches] = produceWithPatches(entry.data, updateRecipe);
+      dispatch(actions.queryResultPatched({ queryCacheKey, patches }));
+      return Object.assign(patchResult, {
+        patches,
+        inversePatches,
+        undo: () => dispatch(util.patchQueryData(endpointName, arg, inversePatches)),
+      });
+    },
+    patchQueryData: (endpointName, arg, patches) => (dispatch) => {
+      dispatch(actions.queryResultPatched({ queryCacheKey: cacheKeyFor(endpointName, arg), patches }));
+    },
+    invalidateTags: (tags) => invalidateTags(calculateTags(tags)),
+    selectInvalidatedBy: (rootState, tags) => {
+      const apiState = selectApiState(rootState);
+      return selectInvalidatedKeys(apiState, calculateTags(tags)).map((queryCacheKey) => ({
+        queryCacheKey,
+        endpointName: apiState.queries[queryCacheKey].endpointName,
+        originalArgs: apiState.queries[queryCacheKey].originalArgs,
+      }));
+    },
+    resetApiState: actions.resetApiState,
+  };
+
+  // --- The middleware: cache lifetimes and tag invalidation ---
+
+  const middleware = (store) => {
+    const removalTimers = new Map();
+    // RTK 2's default invalidationBehavior: 'delayed'. Tags invalidated
+    // while any query is loading wait until none is, so a first load that
+    // hasn't provided its tags yet is still refetched once it lands.
+    let pendingTagInvalidations = [];
+
+    const subscriberCount = (queryCacheKey) =>
+      Object.keys(selectApiState(store.getState()).subscriptions[queryCacheKey] || {}).length;
+
+    function cancelRemoval(queryCacheKey) {
+      clearTimeout(removalTimers.get(queryCacheKey));
+      removalTimers.delete(queryCacheKey);
+    }
+
+    function scheduleRemoval(queryCacheKey) {
+      const entry = selectApiState(store.getState()).queries[queryCacheKey];
+      if (!entry || subscriberCount(queryCacheKey) > 0) return;
+      const definition = definitions[entry.endpointName];
+      const seconds = definition.keepUnusedDataFor !== undefined ? definition.keepUnusedDataFor : keepUnusedDataFor;
+      if (seconds === Infinity) return;
+      cancelRemoval(queryCacheKey);
+      // setTimeout overflows past ~24.8 days, so clamp
+      const timer = setTimeout(() => {
+        removalTimers.delete(queryCacheKey);
+        if (subscriberCount(queryCacheKey) === 0) store.dispatch(actions.removeQueryResult({ queryCacheKey }));
+      }, Math.min(seconds * 1000, 2147483647));
+      // A cache timer alone shouldn't keep a Node process alive
+      if (timer.unref) timer.unref();
+      removalTimers.set(queryCacheKey, timer);
+    }
+
+    function invalidate(tags) {
+      pendingTagInvalidations.push(...tags);
+      const apiState = selectApiState(store.getState());
+      if (Object.values(apiState.queries).some((entry) => entry.status === 'pending')) return;
+      const queued = pendingTagInvalidations;
+      pendingTagInvalidations = [];
+      selectInvalidatedKeys(apiState, queued).forEach((queryCacheKey) => {
+        const entry = apiState.queries[queryCacheKey];
+        if (!entry) return;
+        if (subscriberCount(queryCacheKey) > 0) {
+          store.dispatch(apiEndpoints[entry.endpointName].initiate(entry.originalArgs, { subscribe: false, forceRefetch: true }));
+        } else {
+          store.dispatch(actions.removeQueryResult({ queryCacheKey }));
+        }
+      });
+    }
+
+    return (next) => (action) => {
+      const result = next(action);
+
+      if (actions.subscriptionAdded.match(action)) {
+        cancelRemoval(action.payload.queryCacheKey);
+      } else if (actions.subscriptionRemoved.match(action)) {
+        scheduleRemoval(action.payload.queryCacheKey);
+      } else if (queryThunk.fulfilled.match(action) || queryThunk.rejected.match(action)) {
+        // Fetched with subscribe: false and nobody else watching
+        scheduleRemoval(action.meta.arg.queryCacheKey);
+        if (pendingTagInvalidations.length) invalidate([]);
+      } else if (mutationThunk.fulfilled.match(action) || mutationThunk.rejected.match(action)) {
+        const { endpointName, originalArgs } = action.meta.arg;
+        invalidate(calculateTags(definitions[endpointName].invalidatesTags, action.payload, action.error, originalArgs));
+      } else if (invalidateTags.match(action)) {
+        invalidate(action.payload);
+      } else if (actions.resetApiState.match(action)) {
+        removalTimers.forEach((timer) => clearTimeout(timer));
+        removalTimers.clear();
+        pendingTagInvalidations = [];
+      }
+
+      return result;
+    };
+  };
+
+  return {
+    reducerPath,
+    tagTypes,
+    reducer: slice.reducer,
+    middleware,
+    endpoints: apiEndpoints,
+    util,
+  };
+}
+
+module.exports = { createApi, fetchBaseQuery, defaultSerializeQueryArgs };
+
+if (require.main === module) {
+  const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+  // In-memory fake server used as the baseQuery: same { data } | { error }
+  // contract as fetchBaseQuery, plus a request log to see what hit the wire
+  function createFakeServer({ latency = 10 } = {}) {
+    const posts = [
+      { id: 1, title: 'Hello RTK Query' },
+      { id: 2, title: 'Proxies all the way down' },
+    ];
+    let nextId = 3;
+    let failures = 0;
+    let nextLatency = null;
+    const log = [];
+
+    const route = ({ url, method = 'GET', body }) => {
+      const [, resource, rawId] = url.split('/');
+      const id = Number(rawId);
+      const index = posts.findIndex((post) => post.id === id);
+      if (resource !== 'posts') return { error: { status: 404, data: 'Not found' } };
+      if (method === 'GET' && !rawId) return { data: posts.map((post) => ({ ...post })) };
+      if (method === 'POST') {
+        const post = { id: nextId++, ...body };
+        posts.push(post);
+        return { data: { ...post } }; // the store freezes what it caches
+      }
+      if (index === -1) return { error: { status: 404, data: `No post ${rawId}` } };
+      if (method === 'GET') return { data: { ...posts[index] } };
+      if (method === 'PATCH') return { data: { ...Object.assign(posts[index], body) } };
+      if (method === 'DELETE') return { data: posts.splice(index, 1)[0] };
+      return { error: { status: 405, data: method } };
+    };
+
+    // Answers from the data as it is when the request arrives, so a slow
+    // response can be out of date by the time it lands
+    const baseQuery = async (args) => {
+      const request = typeof args === 'string' ? { url: args } : args;
+      log.push(`${request.method || 'GET'} ${request.url}`);
+      const wait = nextLatency === null ? latency : nextLatency;
+      nextLatency = null;
+      let response;
+      if (failures > 0) {
+        failures--;
+        response = { error: { status: 500, data: 'Server on fire' } };
+      } else {
+        response = route(request);
+      }
+      await sleep(wait);
+      return response;
+    };
+
+    return {
+      baseQuery,
+      log,
+      failNext: (count = 1) => { failures = count; },
+      slowNext: (ms) => { nextLatency = ms; },
+    };
+  }
+
+  (async () => {
+    // --- A: createApi setup ---
+    console.log('A: createApi setup:');
+    const server = createFakeServer();
+
+    const apiSlice = createApi({
+      reducerPath: 'api',
+      baseQuery: server.baseQuery,
+      tagTypes: ['Post'],     // for cache invalidation
+      keepUnusedDataFor: 0.05, // seconds; RTK's default is 60
+      endpoints: (builder) => ({
+
+        // GET request — query endpoint
+        getPosts: builder.query({
+          query: () => '/posts',
+          providesTags: (result = []) => [...result.map(({ id }) => ({ type: 'Post', id })), { type: 'Post', id: 'LIST' }],
         }),
-        invalidatesTags: ['Post'],   // refetch getPosts
-      }),
 
-      updatePost: builder.mutation({
-        query: ({ id, ...body }) => ({
-          url: \`/posts/\${id}\`,
-          method: 'PUT',
-          body,
+        // GET with params
+        getPostById: builder.query({
+          query: (id) => `/posts/${id}`,
+          providesTags: (result, error, id) => [{ type: 'Post', id }],
         }),
-        invalidatesTags: (result, error, { id }) => [{ type: 'Post', id }],
-      }),
 
-      deletePost: builder.mutation({
-        query: (id) => ({
-          url: \`/posts/\${id}\`,
-          method: 'DELETE',
+        // POST — mutation endpoint
+        addPost: builder.mutation({
+          query: (newPost) => ({ url: '/posts', method: 'POST', body: newPost }),
+          invalidatesTags: [{ type: 'Post', id: 'LIST' }],   // refetch getPosts only
+        }),
+
+        // PATCH with an optimistic update and rollback
+        updatePost: builder.mutation({
+          query: ({ id, ...body }) => ({ url: `/posts/${id}`, method: 'PATCH', body }),
+          invalidatesTags: (result, error, { id }) => [{ type: 'Post', id }],
+          async onQueryStarted({ id, ...changes }, { dispatch, queryFulfilled }) {
+            const patch = dispatch(apiSlice.util.updateQueryData('getPostById', id, (draft) => {
+              Object.assign(draft, changes);
+            }));
+            try {
+              await queryFulfilled;
+            } catch (err) {
+              patch.undo();
+            }
+          },
         }),
-        invalidatesTags: (result, error, id) => [{ type: 'Post', id }],
       }),
-    }),
-  });
+    });
+    console.log(`  endpoints: ${Object.keys(apiSlice.endpoints).join(', ')}`);
 
-  // Auto-generated hooks!
-  export const {
-    useGetPostsQuery,
-    useGetPostByIdQuery,
-    useAddPostMutation,
-    useUpdatePostMutation,
-    useDeletePostMutation,
-  } = apiSlice;
-`);
+    // --- B: Store setup ---
+    console.log('\nB: Store setup with 05-middleware createStore:');
+    const rootReducer = (state = {}, action) => ({
+      [apiSlice.reducerPath]: apiSlice.reducer(state[apiSlice.reducerPath], action),
+    });
+    const store = createStore(rootReducer, rootReducer(undefined, { type: '@@INIT' }), [thunkMiddleware, apiSlice.middleware]);
+    const { getPosts, getPostById, addPost, updatePost } = apiSlice.endpoints;
+    const selectPosts = getPosts.select(undefined);
+    console.log(`  state.api keys: ${Object.keys(store.getState().api).join(', ')}`);
 
-// --- B: Store setup ---
-console.log('B: Store setup with RTK Query:');
-console.log(`
-  import { configureStore } from '@reduxjs/toolkit';
-  import { apiSlice } from './apiSlice';
+    // --- C: Queries, deduplication and the cache ---
+    console.log('\nC: Queries share one request and one cache entry:');
+    const first = store.dispatch(getPosts.initiate());
+    const second = store.dispatch(getPosts.initiate());   // same key while in flight
+    console.log(`  while loading: isLoading=${selectPosts(store.getState()).isLoading}, requests=${server.log.length}`);
+    await Promise.all([first, second]);
+    const third = store.dispatch(getPosts.initiate());     // cache hit
+    const { data: posts } = await third;
+    console.log(`  ${posts.length} posts, requests=${server.log.length}, cache key: ${first.queryCacheKey}`);
+    console.log(`  subscribers: ${Object.keys(store.getState().api.subscriptions['getPosts(undefined)']).length}`);
+    console.log(`  { b: 1, a: 2 } is cached as ${defaultSerializeQueryArgs({ endpointName: 'search', queryArgs: { b: 1, a: 2 } })}`);
 
-  const store = configureStore({
-    reducer: {
-      [apiSlice.reducerPath]: apiSlice.reducer,
-      // ...other reducers
-    },
-    middleware: (getDefault) =>
-      getDefault().concat(apiSlice.middleware),
-  });
+    // --- D: Tag invalidation ---
+    console.log('\nD: Mutation invalidates tags → subscribed queries refetch:');
+    const post1 = store.dispatch(getPostById.initiate(1));
+    await post1;
+    server.log.length = 0;
+    const created = await store.dispatch(addPost.initiate({ title: 'Tags are great' })).unwrap();
+    await sleep(30);
+    console.log(`  created #${created.id}; refetched: ${server.log.slice(1).join(', ')}`);
+    console.log(`  getPosts now has ${selectPosts(store.getState()).data.length} posts, getPostById(1) untouched`);
+
+    // A first load still in flight has provided no tags yet. Like RTK 2's
+    // default invalidationBehavior: 'delayed', the invalidation waits until
+    // no query is loading, then refetches the stale answer.
+    server.log.length = 0;
+    server.slowNext(40);
+    const post3 = store.dispatch(getPostById.initiate(created.id));
+    await store.dispatch(updatePost.initiate({ id: created.id, title: 'Edited mid-load' }));
+    const { data: stale } = await post3;
+    await sleep(30);
+    const fresh = getPostById.select(created.id)(store.getState()).data;
+    console.log(`  mutation during the first load: ${server.log.join(', ')}`);
+    console.log(`  first load answered "${stale.title}", refetch "${fresh.title}"`);
+    post3.unsubscribe();
+
+    // --- E: Cache & Tags ---
+    console.log('\nE: Cache invalidation with tags:');
+    console.log(`
+  ┌─────────────────────────────────────────────┐
+  │ providesTags   → "this query provides data  │
+  │                   tagged as 'Post'"          │
+  │                                              │
+  │ invalidatesTags→ "this mutation invalidates  │
+  │                   cached data tagged 'Post'" │
+  │                                              │
+  │ Flow:                                        │
+  │ 1. getPosts provides ['Post']                │
+  │ 2. addPost invalidates ['Post']              │
+  │ 3. RTK Query auto-refetches getPosts!        │
+  └─────────────────────────────────────────────┘
+
+  // Granular invalidation:
+  providesTags: (result) =>
+    result
+      ? [...result.map(({ id }) => ({ type: 'Post', id })), 'Post']
+      : ['Post'],
+
+  // Only refetch the specific post that changed:
+  invalidatesTags: (result, error, { id }) => [{ type: 'Post', id }],
 `);
 
-// --- C: Using query hooks ---
-console.log('C: Using query hooks in components:');
-console.log(`
+    // --- F: Optimistic updates with rollback ---
+    console.log('F: Optimistic update through onQueryStarted:');
+    const titleOf1 = () => getPostById.select(1)(store.getState()).data.title;
+    const ok = store.dispatch(updatePost.initiate({ id: 1, title: 'Edited instantly' }));
+    console.log(`  before the server answers: "${titleOf1()}"`);
+    await ok;
+    await sleep(30);
+    console.log(`  after success + refetch:   "${titleOf1()}"`);
+
+    server.failNext();
+    const failed = store.dispatch(updatePost.initiate({ id: 1, title: 'Doomed edit' }));
+    console.log(`  optimistic:                "${titleOf1()}"`);
+    try {
+      await failed.unwrap();
+    } catch (err) {
+      console.log(`  server said ${err.status}; rolled back to "${titleOf1()}"`);
+    }
+    await sleep(30);
+
+    // --- G: Subscriptions and keepUnusedDataFor ---
+    console.log('\nG: Reference-counted subscriptions:');
+    const a = store.dispatch(getPostById.initiate(2));
+    const b = store.dispatch(getPostById.initiate(2));
+    await Promise.all([a, b]);
+    const cached = () => getPostById.select(2)(store.getState()).status;
+    a.unsubscribe();
+    await sleep(80);
+    console.log(`  one of two unsubscribed, after 80ms: ${cached()}`);
+    b.unsubscribe();
+    console.log(`  last one gone, right away: ${cached()}`);
+    await sleep(80);
+    console.log(`  after keepUnusedDataFor (50ms): ${cached()}`);
+
+    // Invalidated entries with no subscribers are dropped, not refetched
+    await store.dispatch(getPostById.initiate(2, { subscribe: false }));
+    server.log.length = 0;
+    store.dispatch(apiSlice.util.invalidateTags([{ type: 'Post', id: 1 }, { type: 'Post', id: 2 }]));
+    await sleep(30);
+    console.log(`  invalidate Post 1 and 2 → requests: ${server.log.join(', ')}; getPostById(2): ${cached()}`);
+    first.unsubscribe();
+    second.unsubscribe();
+    third.unsubscribe();
+    post1.unsubscribe();
+    await sleep(80);
+    console.log(`  everything unsubscribed → cached queries: ${Object.keys(store.getState().api.queries).length}`);
+
+    // --- H: Using the generated hooks (React, pseudo-code) ---
+    console.log('\nH: Using query and mutation hooks in components (pseudo-code):');
+    console.log(`
+  // Auto-generated hooks! They wrap initiate/select/unsubscribe above.
+  export const { useGetPostsQuery, useAddPostMutation } = apiSlice;
+
   function PostsList() {
     const {
       data: posts,      // the fetched data
@@ -127,11 +749,7 @@ console.log(`
       </ul>
     );
   }
-`);
 
-// --- D: Using mutation hooks ---
-console.log('D: Using mutation hooks:');
-console.log(`
   function AddPostForm() {
     const [addPost, { isLoading }] = useAddPostMutation();
 
@@ -156,35 +774,9 @@ console.log(`
   }
 `);
 
-// --- E: Cache & Tags ---
-console.log('E: Cache invalidation with tags:');
-console.log(`
-  ┌─────────────────────────────────────────────┐
-  │ providesTags   → "this query provides data  │
-  │                   tagged as 'Post'"          │
-  │                                              │
-  │ invalidatesTags→ "this mutation invalidates  │
-  │                   cached data tagged 'Post'" │
-  │                                              │
-  │ Flow:                                        │
-  │ 1. getPosts provides ['Post']                │
-  │ 2. addPost invalidates ['Post']              │
-  │ 3. RTK Query auto-refetches getPosts!        │
-  └─────────────────────────────────────────────┘
-
-  // Granular invalidation:
-  providesTags: (result) =>
-    result
-      ? [...result.map(({ id }) => ({ type: 'Post', id })), 'Post']
-      : ['Post'],
-
-  // Only refetch the specific post that changed:
-  invalidatesTags: (result, error, { id }) => [{ type: 'Post', id }],
-`);
-
-// --- F: Query options ---
-console.log('F: Useful query options:');
-console.log(`
+    // --- I: Query options ---
+    console.log('I: Useful query options:');
+    console.log(`
   useGetPostsQuery(undefined, {
     pollingInterval: 30000,       // refetch every 30s
     skip: !isLoggedIn,            // skip if condition false
@@ -193,6 +785,8 @@ console.log(`
     refetchOnReconnect: true,     // refetch on network reconnect
   });
 `);
+  })();
+}
 
 /**
  * ┌── INTERVIEW ANSWER ───────────────────────────────────┐
@@ -201,6 +795,10 @@ console.log(`
  * │ Handles loading/error/caching/dedup automatically.    │
  * │ Tags system (providesTags/invalidatesTags) manages    │
  * │ cache invalidation. Replaces manual thunk patterns.   │
+ * │ Under the hood: a slice keyed by endpoint(args), a    │
+ * │ thunk per endpoint that reuses in-flight requests,    │
+ * │ ref-counted subscriptions with a removal timer, and   │
+ * │ a middleware that refetches on invalidated tags.      │
  * └───────────────────────────────────────────────────────┘
  *
  * RUN: node docs/redux/06-rtk-query.js
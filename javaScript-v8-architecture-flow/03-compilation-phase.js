@@ -232,6 +232,7 @@
  *
  *
  * RUN: node javaScript-v8-architecture-flow/03-compilation-phase.js
+ * SEE IT RUN: node javaScript-v8-architecture-flow/09-bytecode-vm.js (real bytecode + feedback)
  */
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -185,6 +185,7 @@
  *
  *
  * RUN: node javaScript-v8-architecture-flow/07-optimization.js
+ * SEE IT RUN: node javaScript-v8-architecture-flow/09-bytecode-vm.js (IC states, deopts)
  */
 
 // ═══════════════════════════════════════════════════════════════════════════════
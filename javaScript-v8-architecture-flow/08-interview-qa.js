@@ -414,4 +414,5 @@ console.log('   04-execution-phase.js  - Context, stack, scope');
 console.log('   05-memory-management.js - Stack, heap, GC');
 console.log('   06-event-loop.js       - Async, event loop');
 console.log('   07-optimization.js     - Hidden classes, IC');
-console.log('   08-interview-qa.js     - Interview questions\n');
+console.log('   08-interview-qa.js     - Interview questions');
+console.log('   09-bytecode-vm.js      - Bytecode, hidden classes, ICs you can run\n');
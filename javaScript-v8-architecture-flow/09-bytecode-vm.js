@@ -0,0 +1,2226 @@
+/**
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║                                                                              ║
+ * ║         JAVASCRIPT V8 ENGINE - PART 9: A BYTECODE VM YOU CAN RUN             ║
+ * ║                                                                              ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ *
+ * ╔══════════════════════════════════════════════════════════════════════════════╗
+ * ║  🎤 1-2 MINUTE INTERVIEW EXPLANATION                                         ║
+ * ╠══════════════════════════════════════════════════════════════════════════════╣
+ * ║                                                                              ║
+ * ║  "Parts 3, 4 and 7 describe Ignition, inline caches and deoptimization.      ║
+ * ║  This file BUILDS a small version of them so you can watch them work:        ║
+ * ║                                                                              ║
+ * ║  COMPILER: takes the AST from docs/javascript/00-javascript-engine/          ║
+ * ║  03-parsing-ast.js, decides which variables live in REGISTERS and which      ║
+ * ║  must live in a heap CONTEXT (the ones a closure captures), and emits        ║
+ * ║  Ignition-style bytecode: one ACCUMULATOR plus registers r0, r1, ...         ║
+ * ║                                                                              ║
+ * ║  VM: runs that bytecode. Objects have HIDDEN CLASSES (shapes) built by       ║
+ * ║  transitions, and every property access site has an INLINE CACHE that      ║
+ * ║  goes monomorphic → polymorphic → megamorphic as it sees more shapes.        ║
+ * ║                                                                              ║
+ * ║  TIERING: hot functions are marked 'optimized' using the feedback so far.    ║
+ * ║  If a later call breaks that feedback (new shape, new operand type) the      ║
+ * ║  function DEOPTIMIZES - the report tells you where and why."                 ║
+ * ║                                                                              ║
+ * ╚══════════════════════════════════════════════════════════════════════════════╝
+ *
+ *
+ * ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │ THE PIPELINE IN THIS FILE                                                    │
+ * └──────────────────────────────────────────────────────────────────────────────┘
+ *
+ *   ┌────────────┐    ┌────────────────┐    ┌──────────────┐    ┌─────────────┐
+ *   │   source   │───▶│ parse() (03)   │───▶│ analyzeScopes│───▶│  compile    │
+ *   └────────────┘    │ AST            │    │ register or  │    │  bytecode + │
+ *                     └────────────────┘    │ context slot?│    │  feedback   │
+ *                                           └──────────────┘    │  slots      │
+ *                                                               └──────┬──────┘
+ *                                                                      ▼
+ *   ┌──────────────────────────────────────────────────────────────────────────┐
+ *   │ VM: execute(frame)                                                       │
+ *   │   accumulator + register file per call, context chain for closures       │
+ *   │   GetNamedProperty → inline cache (feedback slot) → shape check          │
+ *   │   Add / Sub / ... → type feedback (SignedSmall, Number, String, Any)     │
+ *   │   calls + loop back-edges → hotness → 'optimized' → deopt on surprise    │
+ *   └──────────────────────────────────────────────────────────────────────────┘
+ *
+ *
+ * ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │ INLINE CACHE STATES AND THE COST MODEL                                       │
+ * └──────────────────────────────────────────────────────────────────────────────┘
+ *
+ *   ┌─────────────────────┬────────────────────────────────────┬──────────────┐
+ *   │ STATE               │ WHAT THE VM DOES ON A LOAD         │ COST (units) │
+ *   ├─────────────────────┼────────────────────────────────────┼──────────────┤
+ *   │ uninitialized       │ full lookup, then cache the shape  │ miss: 40     │
+ *   │ MONOMORPHIC         │ 1 shape check + load at offset     │ 1            │
+ *   │ POLYMORPHIC (2-4)   │ check cached shapes one by one     │ 1 + position │
+ *   │ MEGAMORPHIC (5+)    │ global stub cache (hash lookup)    │ 10           │
+ *   │ dictionary object   │ each object has its own shape      │ like a miss  │
+ *   │ deoptimization      │ throw away optimized code          │ 200          │
+ *   └─────────────────────┴────────────────────────────────────┴──────────────┘
+ *
+ *   The units are made up, but the ORDER matches V8: that is the whole
+ *   reason "same properties, same order" matters.
+ *
+ *
+ * ┌──────────────────────────────────────────────────────────────────────────────┐
+ * │ WHAT THE COMPILER ACCEPTS                                                    │
+ * └──────────────────────────────────────────────────────────────────────────────┘
+ *
+ *   Everything 03-parsing-ast.js parses except getters/setters, spread and
+ *   destructuring. Code always runs in STRICT mode (no sloppy `this`, an
+ *   assignment to an undeclared name throws). Arrays, strings, Math, Error
+ *   etc. are the host's own objects - only plain objects and instances of
+ *   your functions get hidden classes.
+ *
+ *
+ * RUN: node javaScript-v8-architecture-flow/09-bytecode-vm.js
+ *      node javaScript-v8-architecture-flow/09-bytecode-vm.js <file.js> [--bytecode] [--report]
+ */
+
+const util = require('util');
+const { parse } = require('../docs/javascript/00-javascript-engine/03-parsing-ast');
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//                         SCOPE ANALYSIS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Before emitting a single instruction, V8 resolves every variable: a local
+// nobody else sees lives in a register (gone when the call returns); one an
+// inner function captures must live in a heap-allocated Context.
+
+class Scope {
+  constructor(kind, parent, node) {
+    this.kind = kind; // 'function' | 'block'
+    this.parent = parent;
+    this.node = node;
+    this.arrow = node.type === 'ArrowFunctionExpression';
+    this.fnScope = kind === 'function' ? this : parent.fnScope;
+    this.vars = new Map();
+    this.functions = []; // FunctionDeclarations hoisted to this scope
+    this.contextSlots = 0;
+    this.needsContext = false;
+    if (kind === 'function') this.blocks = [];
+    this.fnScope.blocks.push(this);
+  }
+
+  declare(name, kind, extra = {}) {
+    const existing = this.vars.get(name);
+    if (existing) {
+      if (kind === 'function') existing.kind = 'function';
+      return existing;
+    }
+    const variable = { name, kind, scope: this, captured: false, register: null, slot: null, ...extra };
+    this.vars.set(name, variable);
+    return variable;
+  }
+}
+
+const isLexical = (variable) => variable.kind === 'let' || variable.kind === 'const';
+
+function collectVarNames(node, names) {
+  if (!node) return;
+  switch (node.type) {
+    case 'VariableDeclaration':
+      if (node.kind === 'var') node.declarations.forEach((d) => names.push(d.id.name));
+      break;
+    case 'BlockStatement':
+      node.body.forEach((statement) => collectVarNames(statement, names));
+      break;
+    case 'IfStatement':
+      collectVarNames(node.consequent, names);
+      collectVarNames(node.alternate, names);
+      break;
+    case 'ForStatement':
+      collectVarNames(node.init, names);
+      collectVarNames(node.body, names);
+      break;
+    case 'ForOfStatement':
+    case 'ForInStatement':
+      collectVarNames(node.left, names);
+      collectVarNames(node.body, names);
+      break;
+    case 'WhileStatement':
+    case 'DoWhileStatement':
+      collectVarNames(node.body, names);
+      break;
+    case 'TryStatement':
+      collectVarNames(node.block, names);
+      if (node.handler) collectVarNames(node.handler.body, names);
+      collectVarNames(node.finalizer, names);
+      break;
+  }
+}
+
+function analyzeScopes(program) {
+  const scopes = new Map(); // function / block / loop / catch node -> Scope
+  const refs = new Map(); // Identifier / ThisExpression node -> variable (null = global)
+
+  function declareLexical(statements, scope) {
+    for (const statement of statements) {
+      if (statement.type === 'VariableDeclaration' && statement.kind !== 'var') {
+        statement.declarations.forEach((d) => scope.declare(d.id.name, statement.kind));
+      } else if (statement.type === 'FunctionDeclaration') {
+        scope.declare(statement.id.name, 'function');
+        scope.functions.push(statement);
+      }
+    }
+  }
+
+  function resolve(name, scope) {
+    for (let s = scope; s; s = s.parent) {
+      let variable = s.vars.get(name);
+      if (!variable && name === 'arguments' && s.kind === 'function' && !s.arrow && s.parent) {
+        variable = s.declare('arguments', 'arguments');
+      }
+      if (!variable && name === s.selfName) variable = s.declare(name, 'self');
+      if (variable) {
+        if (variable.scope.fnScope !== scope.fnScope) variable.captured = true;
+        return variable;
+      }
+    }
+    return null;
+  }
+
+  function analyzeFunction(node, parent) {
+    const scope = new Scope('function', parent, node);
+    scopes.set(node, scope);
+    if (!scope.arrow) scope.declare('this', 'this');
+    node.params.forEach((param, index) => {
+      const id = param.type === 'AssignmentPattern' ? param.left : param.type === 'RestElement' ? param.argument : param;
+      scope.declare(id.name, 'param', { paramIndex: index });
+    });
+    if (node.body.type === 'BlockStatement') {
+      const names = [];
+      node.body.body.forEach((statement) => collectVarNames(statement, names));
+      names.forEach((name) => scope.declare(name, 'var'));
+      declareLexical(node.body.body, scope);
+    }
+    // A named function expression can call itself by name
+    if (node.type === 'FunctionExpression' && node.id) scope.selfName = node.id.name;
+    node.params.forEach((param) => {
+      if (param.type === 'AssignmentPattern') walkExpression(param.right, scope);
+    });
+    if (node.body.type === 'BlockStatement') node.body.body.forEach((statement) => walkStatement(statement, scope));
+    else walkExpression(node.body, scope);
+  }
+
+  function walkStatement(node, scope) {
+    if (!node) return;
+    switch (node.type) {
+      case 'VariableDeclaration':
+        for (const declarator of node.declarations) {
+          walkExpression(declarator.init, scope);
+          refs.set(declarator.id, resolve(declarator.id.name, scope));
+        }
+        break;
+      case 'FunctionDeclaration':
+        analyzeFunction(node, scope);
+        break;
+      case 'BlockStatement': {
+        const block = new Scope('block', scope, node);
+        scopes.set(node, block);
+        declareLexical(node.body, block);
+        node.body.forEach((statement) => walkStatement(statement, block));
+        break;
+      }
+      case 'ForStatement': {
+        let loopScope = scope;
+        if (node.init && node.init.type === 'VariableDeclaration' && node.init.kind !== 'var') {
+          loopScope = new Scope('block', scope, node);
+          scopes.set(node, loopScope);
+          declareLexical([node.init], loopScope);
+        }
+        if (node.init && node.init.type === 'VariableDeclaration') walkStatement(node.init, loopScope);
+        else walkExpression(node.init, loopScope);
+        walkExpression(node.test, loopScope);
+        walkExpression(node.update, loopScope);
+        walkStatement(node.body, loopScope);
+        break;
+      }
+      case 'ForOfStatement':
+      case 'ForInStatement': {
+        walkExpression(node.right, scope);
+        let iterationScope = scope;
+        if (node.left.type === 'VariableDeclaration' && node.left.kind !== 'var') {
+          iterationScope = new Scope('block', scope, node);
+          scopes.set(node, iterationScope);
+          declareLexical([node.left], iterationScope);
+        }
+        const id = node.left.type === 'Identifier' ? node.left : node.left.declarations[0].id;
+        refs.set(id, resolve(id.name, iterationScope));
+        walkStatement(node.body, iterationScope);
+        break;
+      }
+      case 'TryStatement':
+        walkStatement(node.block, scope);
+        if (node.handler) {
+          const catchScope = new Scope('block', scope, node.handler);
+          scopes.set(node.handler, catchScope);
+          if (node.handler.param) {
+            catchScope.declare(node.handler.param.name, 'catch');
+            refs.set(node.handler.param, resolve(node.handler.param.name, catchScope));
+          }
+          walkStatement(node.handler.body, catchScope);
+        }
+        walkStatement(node.finalizer, scope);
+        break;
+      case 'IfStatement':
+        walkExpression(node.test, scope);
+        walkStatement(node.consequent, scope);
+        walkStatement(node.alternate, scope);
+        break;
+      case 'WhileStatement':
+      case 'DoWhileStatement':
+        walkExpression(node.test, scope);
+        walkStatement(node.body, scope);
+        break;
+      case 'ExpressionStatement':
+        walkExpression(node.expression, scope);
+        break;
+      case 'ReturnStatement':
+      case 'ThrowStatement':
+        walkExpression(node.argument, scope);
+        break;
+    }
+  }
+
+  function walkExpression(node, scope) {
+    if (!node) return;
+    switch (node.type) {
+      case 'Identifier':
+        refs.set(node, resolve(node.name, scope));
+        break;
+      case 'ThisExpression':
+        refs.set(node, resolve('this', scope));
+        break;
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        analyzeFunction(node, scope);
+        break;
+      case 'MemberExpression':
+        walkExpression(node.object, scope);
+        if (node.computed) walkExpression(node.property, scope);
+        break;
+      case 'ObjectExpression':
+        for (const property of node.properties) {
+          if (property.type === 'SpreadElement') walkExpression(property.argument, scope);
+          else {
+            if (property.computed) walkExpression(property.key, scope);
+            walkExpression(property.value, scope);
+          }
+        }
+        break;
+      case 'ArrayExpression':
+        node.elements.forEach((element) => walkExpression(element, scope));
+        break;
+      case 'CallExpression':
+      case 'NewExpression':
+        walkExpression(node.callee, scope);
+        node.arguments.forEach((arg) => walkExpression(arg, scope));
+        break;
+      case 'TemplateLiteral':
+        node.expressions.forEach((expression) => walkExpression(expression, scope));
+        break;
+      case 'SpreadElement':
+      case 'UnaryExpression':
+      case 'UpdateExpression':
+        walkExpression(node.argument, scope);
+        break;
+      case 'BinaryExpression':
+      case 'LogicalExpression':
+      case 'AssignmentExpression':
+        walkExpression(node.left, scope);
+        walkExpression(node.right, scope);
+        break;
+      case 'ConditionalExpression':
+        walkExpression(node.test, scope);
+        walkExpression(node.consequent, scope);
+        walkExpression(node.alternate, scope);
+        break;
+    }
+  }
+
+  // The script itself is compiled like a function with `this` = undefined
+  const script = new Scope('function', null, program);
+  scopes.set(program, script);
+  script.declare('this', 'this');
+  const names = [];
+  program.body.forEach((statement) => collectVarNames(statement, names));
+  names.forEach((name) => script.declare(name, 'var'));
+  declareLexical(program.body, script);
+  program.body.forEach((statement) => walkStatement(statement, script));
+
+  // Captured variables get context slots; a scope with at least one needs
+  // its own Context object at run time
+  for (const scope of scopes.values()) {
+    for (const variable of scope.vars.values()) {
+      if (variable.captured) variable.slot = scope.contextSlots++;
+    }
+    scope.needsContext = scope.contextSlots > 0;
+  }
+  return { scopes, refs };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//                         BYTECODE + COMPILER
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Operand kinds, used by the disassembler:
+//   reg = register, imm = immediate, const = constant pool index,
+//   slot = feedback slot, label = jump target, list = first register + count
+const OPERANDS = {
+  LdaZero: [], LdaSmi: ['imm'], LdaUndefined: [], LdaNull: [], LdaTrue: [], LdaFalse: [], LdaTheHole: [],
+  LdaConstant: ['const'], Ldar: ['reg'], Star: ['reg'], Mov: ['reg', 'reg'],
+  LdaGlobal: ['const'], LdaGlobalInsideTypeof: ['const'], StaGlobal: ['const'],
+  LdaCurrentContextSlot: ['imm'], StaCurrentContextSlot: ['imm'], LdaContextSlot: ['imm', 'imm'], StaContextSlot: ['imm', 'imm'],
+  CreateFunctionContext: ['imm'], CreateBlockContext: ['imm'], PopContext: [],
+  ThrowReferenceErrorIfHole: ['const'], ThrowConstAssignError: ['const'],
+  Add: ['reg', 'slot'], Sub: ['reg', 'slot'], Mul: ['reg', 'slot'], Div: ['reg', 'slot'], Mod: ['reg', 'slot'], Exp: ['reg', 'slot'],
+  AddSmi: ['imm', 'slot'], SubSmi: ['imm', 'slot'], MulSmi: ['imm', 'slot'], DivSmi: ['imm', 'slot'], ModSmi: ['imm', 'slot'],
+  TestEqual: ['reg', 'slot'], TestEqualStrict: ['reg', 'slot'], TestLessThan: ['reg', 'slot'], TestGreaterThan: ['reg', 'slot'],
+  TestLessThanOrEqual: ['reg', 'slot'], TestGreaterThanOrEqual: ['reg', 'slot'], TestInstanceOf: ['reg', 'slot'], TestIn: ['reg', 'slot'],
+  ToBooleanLogicalNot: [], Negate: ['slot'], BitwiseNot: ['slot'], Inc: ['slot'], Dec: ['slot'], ToNumeric: ['slot'], ToString: [], TypeOf: [],
+  Jump: ['label'], JumpLoop: ['label'], JumpIfToBooleanTrue: ['label'], JumpIfToBooleanFalse: ['label'],
+  JumpIfUndefinedOrNull: ['label'], JumpIfNotUndefined: ['label'],
+  CreateClosure: ['const'], CreateEmptyObjectLiteral: [], CreateArrayLiteral: ['list'], CreateMappedArguments: [], CreateRestParameter: [],
+  GetNamedProperty: ['reg', 'const', 'slot'], SetNamedProperty: ['reg', 'const', 'slot'], DefineNamedOwnProperty: ['reg', 'const', 'slot'],
+  GetKeyedProperty: ['reg', 'slot'], SetKeyedProperty: ['reg', 'reg', 'slot'], DefineKeyedOwnProperty: ['reg', 'reg', 'slot'],
+  DeletePropertyStrict: ['reg'],
+  CallProperty: ['reg', 'list', 'slot'], CallUndefinedReceiver: ['reg', 'list', 'slot'], Construct: ['reg', 'list', 'slot'],
+  GetIterator: ['reg'], ForInPrepare: ['reg'], IteratorNext: ['reg', 'label'],
+  Return: [], Throw: [], ReThrow: [],
+};
+
+// Special register operands (like V8's <this>, <context> and <closure>)
+const THIS_REGISTER = 0;
+const CONTEXT_REGISTER = -1;
+const CLOSURE_REGISTER = -2;
+
+class BytecodeFunction {
+  constructor(name, node) {
+    this.name = name;
+    this.node = node;
+    this.paramCount = node.params ? node.params.length : 0;
+    this.arrow = node.type === 'ArrowFunctionExpression';
+    this.method = false;
+    this.code = []; // [op, ...operands]
+    this.lines = [];
+    this.constants = [];
+    this.feedback = []; // feedback slots = this function's inline caches
+    this.handlers = []; // exception handler table
+    this.children = [];
+    this.registerCount = 1 + this.paramCount;
+    // tiering state, filled in by the VM
+    this.hotness = 0;
+    this.tier = 'ignition';
+    this.deopts = 0;
+  }
+}
+
+const SMI_MIN = -(2 ** 30);
+const SMI_MAX = 2 ** 30 - 1;
+const isSmi = (value) => Number.isInteger(value) && value >= SMI_MIN && value <= SMI_MAX && !Object.is(value, -0);
+
+// a.b, this.x, fn - source-ish text for IC sites and error messages
+function sourceText(node) {
+  switch (node.type) {
+    case 'Identifier': return node.name;
+    case 'ThisExpression': return 'this';
+    case 'Literal': return typeof node.value === 'string' ? `'${node.value}'` : String(node.value);
+    case 'MemberExpression':
+      return node.computed ? `${sourceText(node.object)}[${sourceText(node.property)}]` : `${sourceText(node.object)}.${node.property.name}`;
+    case 'CallExpression': return `${sourceText(node.callee)}(...)`;
+    default: return '(intermediate value)';
+  }
+}
+
+const BINARY_OPS = {
+  '+': 'Add', '-': 'Sub', '*': 'Mul', '/': 'Div', '%': 'Mod', '**': 'Exp',
+  '==': 'TestEqual', '===': 'TestEqualStrict', '<': 'TestLessThan', '>': 'TestGreaterThan',
+  '<=': 'TestLessThanOrEqual', '>=': 'TestGreaterThanOrEqual', 'instanceof': 'TestInstanceOf', 'in': 'TestIn',
+};
+const NEGATED_OPS = { '!=': 'TestEqual', '!==': 'TestEqualStrict' };
+const SMI_OPS = { Add: 'AddSmi', Sub: 'SubSmi', Mul: 'MulSmi', Div: 'DivSmi', Mod: 'ModSmi' };
+
+class FunctionCompiler {
+  constructor(analysis, node, name) {
+    this.analysis = analysis;
+    this.root = analysis.scopes.get(node);
+    this.scope = null; // the scope whose context is current
+    this.fn = new BytecodeFunction(name, node);
+    this.line = node.line || 1;
+    this.control = []; // scopes, loops and finally blocks we're inside
+    this.nextRegister = this.fn.registerCount;
+    this.boundAt = new Set(); // positions some jump lands on
+  }
+
+  // ─── Emission helpers ────────────────────────────────────────────────
+
+  emit(op, ...operands) {
+    if (!OPERANDS[op]) throw new Error(`Unknown bytecode ${op}`);
+    this.fn.code.push([op, ...operands]);
+    this.fn.lines.push(this.line);
+    return this.fn.code.length - 1;
+  }
+
+  label() {
+    return { position: -1, refs: [] };
+  }
+
+  bind(label) {
+    label.position = this.fn.code.length;
+    this.boundAt.add(label.position);
+    for (const [at, operand] of label.refs) this.fn.code[at][operand] = label.position;
+  }
+
+  jump(op, label) {
+    if (label.position !== -1) return this.emit(op === 'Jump' ? 'JumpLoop' : op, label.position);
+    const at = this.emit(op, -1);
+    label.refs.push([at, this.fn.code[at].length - 1]);
+    return at;
+  }
+
+  constant(value) {
+    let index = typeof value === 'object' ? -1 : this.fn.constants.indexOf(value);
+    if (index === -1) index = this.fn.constants.push(value) - 1;
+    return index;
+  }
+
+  slot(kind, text) {
+    return this.fn.feedback.push({ kind, text, line: this.line, state: 'uninitialized', entries: [], hits: 0, misses: 0, generic: 0, type: 'None', target: null, shapes: new Set() }) - 1;
+  }
+
+  temp() {
+    const register = this.nextRegister++;
+    this.fn.registerCount = Math.max(this.fn.registerCount, this.nextRegister);
+    return register;
+  }
+
+  release(register) {
+    this.nextRegister = register;
+  }
+
+  // ─── Variables ───────────────────────────────────────────────────────
+
+  contextDepth(variable) {
+    let depth = 0;
+    for (let s = this.scope; s !== variable.scope; s = s.parent) {
+      if (s.needsContext) depth++;
+    }
+    return depth;
+  }
+
+  loadVariable(variable, name, { insideTypeof = false } = {}) {
+    if (!variable) {
+      if (name === 'undefined') this.emit('LdaUndefined');
+      else this.emit(insideTypeof ? 'LdaGlobalInsideTypeof' : 'LdaGlobal', this.constant(name));
+      return;
+    }
+    if (variable.slot === null) {
+      this.emit('Ldar', variable.register);
+    } else {
+      const depth = this.contextDepth(variable);
+      if (depth === 0) this.emit('LdaCurrentContextSlot', variable.slot);
+      else this.emit('LdaContextSlot', variable.slot, depth);
+    }
+    if (isLexical(variable)) this.emit('ThrowReferenceErrorIfHole', this.constant(name));
+  }
+
+  storeVariable(variable, name, { init = false, checked = false } = {}) {
+    if (!variable) {
+      this.emit('StaGlobal', this.constant(name));
+      return;
+    }
+    if (!init && variable.kind === 'const') {
+      this.emit('ThrowConstAssignError', this.constant(name));
+      return;
+    }
+    if (!init && variable.kind === 'self') return; // silently ignored (throws in V8 strict mode code)
+    if (!init && !checked && variable.kind === 'let') {
+      // still in the TDZ? check the old value first
+      const value = this.temp();
+      this.emit('Star', value);
+      this.loadVariable(variable, name);
+      this.emit('Ldar', value);
+      this.release(value);
+    }
+    if (variable.slot === null) {
+      this.emit('Star', variable.register);
+    } else {
+      const depth = this.contextDepth(variable);
+      if (depth === 0) this.emit('StaCurrentContextSlot', variable.slot);
+      else this.emit('StaContextSlot', variable.slot, depth);
+    }
+  }
+
+  reference(node) {
+    return this.analysis.refs.get(node) || null;
+  }
+
+  // ─── Scopes ──────────────────────────────────────────────────────────
+
+  initializeScope(scope) {
+    for (const variable of scope.vars.values()) {
+      if (isLexical(variable)) {
+        this.emit('LdaTheHole');
+        this.storeVariable(variable, variable.name, { init: true });
+      }
+    }
+    for (const declaration of scope.functions) {
+      this.createClosure(declaration, declaration.id.name);
+      this.storeVariable(scope.vars.get(declaration.id.name), declaration.id.name, { init: true });
+    }
+  }
+
+  enterScope(scope) {
+    if (!scope) return;
+    if (scope.needsContext) this.emit('CreateBlockContext', scope.contextSlots);
+    this.scope = scope;
+    this.control.push({ type: 'scope', scope });
+    this.initializeScope(scope);
+  }
+
+  exitScope(scope) {
+    if (!scope) return;
+    this.control.pop();
+    if (scope.needsContext) this.emit('PopContext');
+    this.scope = scope.parent;
+  }
+
+  // Leaving blocks early (break / continue / return) must pop their
+  // contexts and run any finally blocks on the way out
+  unwind(target, { keepAccumulator = false } = {}) {
+    const control = this.control;
+    const scope = this.scope;
+    for (let i = control.length - 1; i > target; i--) {
+      const entry = control[i];
+      if (entry.type === 'scope') {
+        if (entry.scope.needsContext) this.emit('PopContext');
+        this.scope = entry.scope.parent;
+      } else if (entry.type === 'finally') {
+        this.control = control.slice(0, i);
+        const saved = keepAccumulator ? this.temp() : null;
+        if (keepAccumulator) this.emit('Star', saved);
+        this.visitStatement(entry.node);
+        if (keepAccumulator) {
+          this.emit('Ldar', saved);
+          this.release(saved);
+        }
+      }
+    }
+    this.control = control;
+    this.scope = scope;
+  }
+
+  // ─── Functions ───────────────────────────────────────────────────────
+
+  createClosure(node, name, { method = false } = {}) {
+    const child = new FunctionCompiler(this.analysis, node, name).compileFunction();
+    child.method = method;
+    this.fn.children.push(child);
+    this.emit('CreateClosure', this.constant(child));
+  }
+
+  compileFunction() {
+    const { fn, root } = this;
+    const node = fn.node;
+    const isScript = node.type === 'Program';
+
+    // Registers: <this>, a0..aN, then one per uncaptured local, then temps
+    for (const scope of root.blocks) {
+      for (const variable of scope.vars.values()) {
+        if (variable.captured) continue;
+        if (variable.kind === 'this') variable.register = THIS_REGISTER;
+        else if (variable.kind === 'param') variable.register = 1 + variable.paramIndex;
+        else variable.register = this.temp();
+      }
+    }
+
+    // Prologue
+    if (root.needsContext) this.emit('CreateFunctionContext', root.contextSlots);
+    this.scope = root;
+    for (const variable of root.vars.values()) {
+      if (!variable.captured) continue;
+      if (variable.kind === 'this') this.emit('Ldar', THIS_REGISTER);
+      else if (variable.kind === 'param') this.emit('Ldar', 1 + variable.paramIndex);
+      else continue;
+      this.storeVariable(variable, variable.name, { init: true });
+    }
+    const special = (kind) => [...root.vars.values()].find((v) => v.kind === kind);
+    if (special('arguments')) {
+      this.emit('CreateMappedArguments');
+      this.storeVariable(special('arguments'), 'arguments', { init: true });
+    }
+    if (special('self')) {
+      this.emit('Ldar', CLOSURE_REGISTER);
+      this.storeVariable(special('self'), node.id.name, { init: true });
+    }
+    (node.params || []).forEach((param, index) => {
+      if (param.type === 'RestElement') {
+        fn.restIndex = index;
+        this.emit('CreateRestParameter');
+        this.storeVariable(root.vars.get(param.argument.name), param.argument.name, { init: true });
+      } else if (param.type === 'AssignmentPattern') {
+        const variable = root.vars.get(param.left.name);
+        const done = this.label();
+        this.loadVariable(variable, param.left.name);
+        this.jump('JumpIfNotUndefined', done);
+        this.visitNamed(param.right, param.left.name);
+        this.storeVariable(variable, param.left.name, { init: true });
+        this.bind(done);
+      }
+    });
+    this.initializeScope(root);
+
+    // Body
+    if (node.type === 'Program' || node.body.type === 'BlockStatement') {
+      (isScript ? node.body : node.body.body).forEach((statement) => this.visitStatement(statement));
+      // The implicit `return undefined`, unless the body already returned
+      const last = fn.code[fn.code.length - 1];
+      if (!last || !['Return', 'Throw', 'ReThrow'].includes(last[0]) || this.boundAt.has(fn.code.length)) {
+        this.emit('LdaUndefined');
+        this.emit('Return');
+      }
+    } else {
+      this.visit(node.body);
+      this.emit('Return');
+    }
+
+    for (const handler of fn.handlers) handler.target = handler.label.position;
+    return fn;
+  }
+
+  // ─── Statements ──────────────────────────────────────────────────────
+
+  visitStatement(node) {
+    if (node.line) this.line = node.line;
+    switch (node.type) {
+      case 'EmptyStatement':
+      case 'FunctionDeclaration': // hoisted to the top of its scope
+        return;
+
+      case 'ExpressionStatement':
+        // 'use strict' and other directives compile to nothing
+        if (node.expression.type === 'Literal' && typeof node.expression.value === 'string') return;
+        this.visit(node.expression);
+        return;
+
+      case 'VariableDeclaration':
+        for (const declarator of node.declarations) {
+          if (!declarator.init && node.kind === 'var') continue;
+          if (declarator.init) this.visitNamed(declarator.init, declarator.id.name);
+          else this.emit('LdaUndefined');
+          this.storeVariable(this.reference(declarator.id), declarator.id.name, { init: true });
+        }
+        return;
+
+      case 'ReturnStatement':
+        if (node.argument) this.visit(node.argument);
+        else this.emit('LdaUndefined');
+        if (this.control.some((entry) => entry.type === 'finally')) this.unwind(-1, { keepAccumulator: true });
+        this.emit('Return');
+        return;
+
+      case 'ThrowStatement':
+        this.visit(node.argument);
+        this.emit('Throw');
+        return;
+
+      case 'IfStatement': {
+        const otherwise = this.label();
+        const done = this.label();
+        this.visit(node.test);
+        this.jump('JumpIfToBooleanFalse', otherwise);
+        this.visitStatement(node.consequent);
+        if (node.alternate) this.jump('Jump', done);
+        this.bind(otherwise);
+        if (node.alternate) this.visitStatement(node.alternate);
+        this.bind(done);
+        return;
+      }
+
+      case 'BlockStatement': {
+        const scope = this.analysis.scopes.get(node);
+        this.enterScope(scope);
+        node.body.forEach((statement) => this.visitStatement(statement));
+        this.exitScope(scope);
+        return;
+      }
+
+      case 'WhileStatement': {
+        const loop = { type: 'loop', breakLabel: this.label(), continueLabel: this.label() };
+        this.bind(loop.continueLabel);
+        this.visit(node.test);
+        this.jump('JumpIfToBooleanFalse', loop.breakLabel);
+        this.loopBody(node.body, loop);
+        this.jump('Jump', loop.continueLabel);
+        this.bind(loop.breakLabel);
+        return;
+      }
+
+      case 'DoWhileStatement': {
+        const loop = { type: 'loop', breakLabel: this.label(), continueLabel: this.label() };
+        const top = this.label();
+        this.bind(top);
+        this.loopBody(node.body, loop);
+        this.bind(loop.continueLabel);
+        this.visit(node.test);
+        this.jump('JumpIfToBooleanFalse', loop.breakLabel);
+        this.jump('Jump', top);
+        this.bind(loop.breakLabel);
+        return;
+      }
+
+      case 'ForStatement':
+        return this.visitFor(node);
+
+      case 'ForOfStatement':
+      case 'ForInStatement': {
+        const loop = { type: 'loop', breakLabel: this.label(), continueLabel: this.label() };
+        const iterator = this.temp();
+        this.visit(node.right);
+        this.emit(node.type === 'ForOfStatement' ? 'GetIterator' : 'ForInPrepare', iterator);
+        this.bind(loop.continueLabel);
+        this.jump('IteratorNext', loop.breakLabel);
+        this.fn.code[this.fn.code.length - 1].splice(1, 0, iterator); // IteratorNext rN, @done
+        this.fixLastJump(loop.breakLabel);
+        const value = this.temp();
+        this.emit('Star', value);
+        this.control.push(loop);
+        const scope = this.analysis.scopes.get(node);
+        // With let/const every iteration enters a fresh scope (and context)
+        this.enterScope(scope);
+        const id = node.left.type === 'Identifier' ? node.left : node.left.declarations[0].id;
+        this.emit('Ldar', value);
+        this.storeVariable(this.reference(id), id.name, { init: node.left.type === 'VariableDeclaration' });
+        this.visitStatement(node.body);
+        this.exitScope(scope);
+        this.control.pop();
+        this.jump('Jump', loop.continueLabel);
+        this.bind(loop.breakLabel);
+        this.release(iterator);
+        return;
+      }
+
+      case 'BreakStatement':
+      case 'ContinueStatement': {
+        const index = this.control.map((entry) => entry.type).lastIndexOf('loop');
+        if (index === -1) throw new SyntaxError(`Illegal ${node.type === 'BreakStatement' ? 'break' : 'continue'} statement`);
+        const loop = this.control[index];
+        this.unwind(index);
+        this.jump('Jump', node.type === 'BreakStatement' ? loop.breakLabel : loop.continueLabel);
+        return;
+      }
+
+      case 'TryStatement':
+        return this.visitTry(node);
+
+      default:
+        throw new SyntaxError(`${node.type} is not supported by the bytecode compiler`);
+    }
+  }
+
+  // IteratorNext has its label after the register; re-point the patch ref
+  fixLastJump(label) {
+    const at = this.fn.code.length - 1;
+    const ref = label.refs.find(([index]) => index === at);
+    if (ref) ref[1] = 2;
+  }
+
+  loopBody(body, loop) {
+    this.control.push(loop);
+    this.visitStatement(body);
+    this.control.pop();
+  }
+
+  visitFor(node) {
+    const scope = this.analysis.scopes.get(node);
+    const loop = { type: 'loop', breakLabel: this.label(), continueLabel: this.label() };
+    const top = this.label();
+    this.enterScope(scope);
+    if (node.init && node.init.type === 'VariableDeclaration') this.visitStatement(node.init);
+    else if (node.init) this.visit(node.init);
+    this.bind(top);
+    if (node.test) {
+      this.visit(node.test);
+      this.jump('JumpIfToBooleanFalse', loop.breakLabel);
+    }
+    this.loopBody(node.body, loop);
+    this.bind(loop.continueLabel);
+    if (scope && scope.needsContext && node.init.kind === 'let') {
+      // for (let i ...) with a closure capturing i: copy the context so
+      // every iteration's closures see their own i
+      const saved = [];
+      for (let slot = 0; slot < scope.contextSlots; slot++) {
+        saved.push(this.temp());
+        this.emit('LdaCurrentContextSlot', slot);
+        this.emit('Star', saved[slot]);
+      }
+      this.emit('PopContext');
+      this.emit('CreateBlockContext', scope.contextSlots);
+      saved.forEach((register, slot) => {
+        this.emit('Ldar', register);
+        this.emit('StaCurrentContextSlot', slot);
+      });
+      this.release(saved[0]);
+    }
+    if (node.update) this.visit(node.update);
+    this.jump('Jump', top);
+    this.bind(loop.breakLabel);
+    this.exitScope(scope);
+  }
+
+  visitTry(node) {
+    const done = this.label();
+    const contextRegister = this.temp();
+    this.emit('Mov', CONTEXT_REGISTER, contextRegister);
+
+    const protect = (start, end, label) => this.fn.handlers.push({ start, end, label, contextRegister });
+
+    if (node.finalizer) this.control.push({ type: 'finally', node: node.finalizer });
+    const start = this.fn.code.length;
+    this.visitStatement(node.block);
+    const end = this.fn.code.length;
+    if (node.finalizer) this.control.pop();
+    if (node.finalizer) this.visitStatement(node.finalizer);
+    this.jump('Jump', done);
+
+    let catchStart = end;
+    let catchEnd = end;
+    if (node.handler) {
+      const handlerLabel = this.label();
+      protect(start, end, handlerLabel);
+      this.bind(handlerLabel);
+      catchStart = this.fn.code.length;
+      if (node.finalizer) this.control.push({ type: 'finally', node: node.finalizer });
+      const scope = this.analysis.scopes.get(node.handler);
+      this.enterScope(scope);
+      if (node.handler.param) {
+        this.storeVariable(this.reference(node.handler.param), node.handler.param.name, { init: true });
+      }
+      this.visitStatement(node.handler.body);
+      this.exitScope(scope);
+      if (node.finalizer) this.control.pop();
+      catchEnd = this.fn.code.length;
+      if (node.finalizer) this.visitStatement(node.finalizer);
+      this.jump('Jump', done);
+    }
+
+    if (node.finalizer) {
+      // exception path: run finally, then rethrow
+      const rethrow = this.label();
+      if (node.handler) protect(catchStart, catchEnd, rethrow);
+      else protect(start, end, rethrow);
+      this.bind(rethrow);
+      const exception = this.temp();
+      this.emit('Star', exception);
+      this.visitStatement(node.finalizer);
+      this.emit('Ldar', exception);
+      this.emit('ReThrow');
+      this.release(exception);
+    }
+    this.bind(done);
+    this.release(contextRegister);
+  }
+
+  // ─── Expressions (result in the accumulator) ─────────────────────────
+
+  // Like visit(), but an anonymous function gets the binding's name
+  visitNamed(node, name) {
+    if ((node.type === 'FunctionExpression' && !node.id) || node.type === 'ArrowFunctionExpression') {
+      this.createClosure(node, name);
+    } else {
+      this.visit(node);
+    }
+  }
+
+  // Values already in a register (params, uncaptured locals) are used in
+  // place, exactly like `Add a0, [0]` in 03-compilation-phase.js
+  visitToRegister(node) {
+    if (node.type === 'Identifier') {
+      const variable = this.reference(node);
+      if (variable && variable.slot === null && !isLexical(variable)) return { register: variable.register, temp: false };
+    }
+    if (node.type === 'ThisExpression') {
+      const variable = this.reference(node);
+      if (variable && variable.slot === null) return { register: variable.register, temp: false };
+    }
+    this.visit(node);
+    const register = this.temp();
+    this.emit('Star', register);
+    return { register, temp: true };
+  }
+
+  done(operand) {
+    if (operand.temp) this.release(operand.register);
+  }
+
+  visit(node) {
+    switch (node.type) {
+      case 'Literal': {
+        const { value } = node;
+        if (value === null) this.emit('LdaNull');
+        else if (value === true) this.emit('LdaTrue');
+        else if (value === false) this.emit('LdaFalse');
+        else if (value === 0 && !Object.is(value, -0)) this.emit('LdaZero');
+        else if (typeof value === 'number' && isSmi(value)) this.emit('LdaSmi', value);
+        else this.emit('LdaConstant', this.constant(value));
+        return;
+      }
+
+      case 'Identifier':
+        this.loadVariable(this.reference(node), node.name);
+        return;
+
+      case 'ThisExpression':
+        this.loadVariable(this.reference(node), 'this');
+        return;
+
+      case 'TemplateLiteral': {
+        const result = this.temp();
+        this.emit('LdaConstant', this.constant(node.quasis[0]));
+        this.emit('Star', result);
+        node.expressions.forEach((expression, i) => {
+          this.visit(expression);
+          this.emit('ToString');
+          this.emit('Add', result, this.slot('binary', '`${}`'));
+          this.emit('Star', result);
+          if (node.quasis[i + 1]) {
+            this.emit('LdaConstant', this.constant(node.quasis[i + 1]));
+            this.emit('Add', result, this.slot('binary', '`${}`'));
+            this.emit('Star', result);
+          }
+        });
+        this.emit('Ldar', result);
+        this.release(result);
+        return;
+      }
+
+      case 'ArrayExpression': {
+        const first = this.nextRegister;
+        node.elements.forEach((element) => {
+          if (element.type === 'SpreadElement') throw new SyntaxError('Spread is not supported by the bytecode compiler');
+          this.visit(element);
+          this.emit('Star', this.temp());
+        });
+        this.emit('CreateArrayLiteral', first, node.elements.length);
+        this.release(first);
+        return;
+      }
+
+      case 'ObjectExpression': {
+        const object = this.temp();
+        this.emit('CreateEmptyObjectLiteral');
+        this.emit('Star', object);
+        for (const property of node.properties) {
+          if (property.type === 'SpreadElement' || property.kind !== 'init') {
+            throw new SyntaxError('Spread, getters and setters are not supported by the bytecode compiler');
+          }
+          if (property.computed) {
+            const key = this.visitToRegister(property.key);
+            this.visit(property.value);
+            this.emit('DefineKeyedOwnProperty', object, key.register, this.slot('store', `[${sourceText(property.key)}]`));
+            this.done(key);
+          } else {
+            const name = property.key.type === 'Identifier' ? property.key.name : String(property.key.value);
+            if (property.method) this.createClosure(property.value, name, { method: true });
+            else this.visitNamed(property.value, name);
+            this.emit('DefineNamedOwnProperty', object, this.constant(name), this.slot('store', `{ ${name}: }`));
+          }
+        }
+        this.emit('Ldar', object);
+        this.release(object);
+        return;
+      }
+
+      case 'FunctionExpression':
+        this.createClosure(node, node.id ? node.id.name : '');
+        return;
+
+      case 'ArrowFunctionExpression':
+        this.createClosure(node, '');
+        return;
+
+      case 'UnaryExpression':
+        return this.visitUnary(node);
+
+      case 'UpdateExpression':
+        return this.visitUpdate(node);
+
+      case 'BinaryExpression': {
+        const op = BINARY_OPS[node.operator] || NEGATED_OPS[node.operator];
+        if (!op) throw new SyntaxError(`Operator ${node.operator} is not supported by the bytecode compiler`);
+        const text = `${sourceText(node.left)} ${node.operator} ${sourceText(node.right)}`;
+        const right = node.right;
+        if (SMI_OPS[op] && right.type === 'Literal' && isSmi(right.value)) {
+          this.visit(node.left);
+          this.emit(SMI_OPS[op], right.value, this.slot('binary', text));
+          return;
+        }
+        const left = this.visitToRegister(node.left);
+        this.visit(right);
+        this.emit(op, left.register, this.slot(op.startsWith('Test') ? 'compare' : 'binary', text));
+        if (NEGATED_OPS[node.operator]) this.emit('ToBooleanLogicalNot');
+        this.done(left);
+        return;
+      }
+
+      case 'LogicalExpression': {
+        const done = this.label();
+        this.visit(node.left);
+        if (node.operator === '&&') this.jump('JumpIfToBooleanFalse', done);
+        else if (node.operator === '||') this.jump('JumpIfToBooleanTrue', done);
+        else {
+          const right = this.label();
+          this.jump('JumpIfUndefinedOrNull', right);
+          this.jump('Jump', done);
+          this.bind(right);
+        }
+        this.visit(node.right);
+        this.bind(done);
+        return;
+      }
+
+      case 'ConditionalExpression': {
+        const otherwise = this.label();
+        const done = this.label();
+        this.visit(node.test);
+        this.jump('JumpIfToBooleanFalse', otherwise);
+        this.visit(node.consequent);
+        this.jump('Jump', done);
+        this.bind(otherwise);
+        this.visit(node.alternate);
+        this.bind(done);
+        return;
+      }
+
+      case 'AssignmentExpression':
+        return this.visitAssignment(node);
+
+      case 'MemberExpression': {
+        const object = this.visitToRegister(node.object);
+        if (node.computed) {
+          this.visit(node.property);
+          this.emit('GetKeyedProperty', object.register, this.slot('load', sourceText(node)));
+        } else {
+          this.emit('GetNamedProperty', object.register, this.constant(node.property.name), this.slot('load', sourceText(node)));
+        }
+        this.done(object);
+        return;
+      }
+
+      case 'CallExpression':
+      case 'NewExpression':
+        return this.visitCall(node);
+
+      default:
+        throw new SyntaxError(`${node.type} is not supported by the bytecode compiler`);
+    }
+  }
+
+  visitUnary(node) {
+    const { operator, argument } = node;
+    if (operator === 'typeof') {
+      if (argument.type === 'Identifier') this.loadVariable(this.reference(argument), argument.name, { insideTypeof: true });
+      else this.visit(argument);
+      this.emit('TypeOf');
+      return;
+    }
+    if (operator === 'delete') {
+      if (argument.type !== 'MemberExpression') {
+        this.emit('LdaTrue');
+        return;
+      }
+      const object = this.visitToRegister(argument.object);
+      if (argument.computed) this.visit(argument.property);
+      else this.emit('LdaConstant', this.constant(argument.property.name));
+      this.emit('DeletePropertyStrict', object.register);
+      this.done(object);
+      return;
+    }
+    this.visit(argument);
+    switch (operator) {
+      case '!': this.emit('ToBooleanLogicalNot'); return;
+      case '-': this.emit('Negate', this.slot('binary', `-${sourceText(argument)}`)); return;
+      case '+': this.emit('ToNumeric', this.slot('binary', `+${sourceText(argument)}`)); return;
+      case '~': this.emit('BitwiseNot', this.slot('binary', `~${sourceText(argument)}`)); return;
+      case 'void': this.emit('LdaUndefined'); return;
+    }
+    throw new SyntaxError(`Operator ${operator} is not supported by the bytecode compiler`);
+  }
+
+  // Loads a target (x, obj.x, obj[k]) and returns how to store it back
+  visitTarget(node) {
+    if (node.type === 'Identifier') {
+      const variable = this.reference(node);
+      return {
+        load: () => this.loadVariable(variable, node.name),
+        store: (checked) => this.storeVariable(variable, node.name, { checked }),
+        release: () => {},
+        name: node.name,
+      };
+    }
+    if (node.type === 'MemberExpression') {
+      const object = this.visitToRegister(node.object);
+      const text = sourceText(node);
+      if (node.computed) {
+        const key = this.visitToRegister(node.property);
+        return {
+          load: () => {
+            this.emit('Ldar', key.register);
+            this.emit('GetKeyedProperty', object.register, this.slot('load', text));
+          },
+          store: () => this.emit('SetKeyedProperty', object.register, key.register, this.slot('store', text)),
+          release: () => {
+            this.done(key);
+            this.done(object);
+          },
+        };
+      }
+      const name = this.constant(node.property.name);
+      return {
+        load: () => this.emit('GetNamedProperty', object.register, name, this.slot('load', text)),
+        store: () => this.emit('SetNamedProperty', object.register, name, this.slot('store', text)),
+        release: () => this.done(object),
+      };
+    }
+    throw new SyntaxError('Invalid left-hand side in assignment');
+  }
+
+  visitUpdate(node) {
+    const target = this.visitTarget(node.argument);
+    const text = sourceText(node.argument);
+    target.load();
+    this.emit('ToNumeric', this.slot('binary', text));
+    let old = null;
+    if (!node.prefix) {
+      old = this.temp();
+      this.emit('Star', old);
+    }
+    this.emit(node.operator === '++' ? 'Inc' : 'Dec', this.slot('binary', `${text}${node.operator}`));
+    target.store(true);
+    if (old !== null) {
+      this.emit('Ldar', old);
+      this.release(old);
+    }
+    target.release();
+  }
+
+  visitAssignment(node) {
+    const { operator } = node;
+    const target = this.visitTarget(node.left);
+    if (operator === '=') {
+      if (target.name) this.visitNamed(node.right, target.name);
+      else this.visit(node.right);
+      target.store();
+    } else if (operator === '&&=' || operator === '||=' || operator === '??=') {
+      const done = this.label();
+      target.load();
+      if (operator === '&&=') this.jump('JumpIfToBooleanFalse', done);
+      else if (operator === '||=') this.jump('JumpIfToBooleanTrue', done);
+      else {
+        const assign = this.label();
+        this.jump('JumpIfUndefinedOrNull', assign);
+        this.jump('Jump', done);
+        this.bind(assign);
+      }
+      this.visit(node.right);
+      target.store(true);
+      this.bind(done);
+    } else {
+      const op = BINARY_OPS[operator.slice(0, -1)];
+      if (!op) throw new SyntaxError(`Operator ${operator} is not supported by the bytecode compiler`);
+      const current = this.temp();
+      target.load();
+      this.emit('Star', current);
+      this.visit(node.right);
+      this.emit(op, current, this.slot('binary', `${sourceText(node.left)} ${operator} ${sourceText(node.right)}`));
+      this.release(current);
+      target.store(true);
+    }
+    target.release();
+  }
+
+  visitCall(node) {
+    const text = sourceText(node.callee);
+    const callee = this.temp();
+    const first = this.nextRegister; // receiver (for CallProperty) and args follow callee
+    let count = 0;
+    let op = node.type === 'NewExpression' ? 'Construct' : 'CallUndefinedReceiver';
+    if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression') {
+      op = 'CallProperty';
+      const receiver = this.temp();
+      count++;
+      const member = node.callee;
+      this.visit(member.object);
+      this.emit('Star', receiver);
+      if (member.computed) {
+        this.visit(member.property);
+        this.emit('GetKeyedProperty', receiver, this.slot('load', text));
+      } else {
+        this.emit('GetNamedProperty', receiver, this.constant(member.property.name), this.slot('load', text));
+      }
+    } else {
+      this.visit(node.callee);
+    }
+    this.emit('Star', callee);
+    for (const arg of node.arguments) {
+      if (arg.type === 'SpreadElement') throw new SyntaxError('Spread is not supported by the bytecode compiler');
+      const register = this.temp();
+      count++;
+      this.visit(arg);
+      this.emit('Star', register);
+    }
+    this.emit(op, callee, first, count, this.slot('call', text));
+    this.release(callee);
+  }
+}
+
+// compile(source) -> BytecodeFunction for the script; nested functions are
+// in .children (and in the constant pools that create them)
+function compile(source) {
+  const program = typeof source === 'string' ? parse(source) : source;
+  const analysis = analyzeScopes(program);
+  return new FunctionCompiler(analysis, program, '(script)').compileFunction();
+}
+
+function registerName(fn, register) {
+  if (register === CONTEXT_REGISTER) return '<context>';
+  if (register === CLOSURE_REGISTER) return '<closure>';
+  if (register === THIS_REGISTER) return '<this>';
+  if (register <= fn.paramCount) return `a${register - 1}`;
+  return `r${register - fn.paramCount - 1}`;
+}
+
+function describeConstant(value) {
+  if (value instanceof BytecodeFunction) return `<SharedFunctionInfo ${value.name || '(anonymous)'}>`;
+  return typeof value === 'string' ? JSON.stringify(value) : String(value);
+}
+
+// Output modeled on `node --print-bytecode`
+function disassemble(fn, { recursive = true } = {}) {
+  const lines = [];
+  lines.push(`[generated bytecode for function: ${fn.name || '(anonymous)'}]`);
+  lines.push(`Parameter count ${fn.paramCount + 1}   Register count ${fn.registerCount - fn.paramCount - 1}   Feedback slots ${fn.feedback.length}`);
+  let lastLine = null;
+  fn.code.forEach(([op, ...operands], pc) => {
+    const kinds = OPERANDS[op];
+    const parts = [];
+    let o = 0;
+    for (const kind of kinds) {
+      if (kind === 'list') {
+        const [first, count] = [operands[o], operands[o + 1]];
+        o += 2;
+        parts.push(count === 0 ? 'r(none)' : count === 1 ? registerName(fn, first) : `${registerName(fn, first)}-${registerName(fn, first + count - 1)}`);
+      } else {
+        const value = operands[o++];
+        if (kind === 'reg') parts.push(registerName(fn, value));
+        else if (kind === 'label') parts.push(`@${value}`);
+        else parts.push(`[${value}]`);
+      }
+    }
+    const constIndex = kinds.indexOf('const');
+    const note = constIndex !== -1 ? `    ; ${describeConstant(fn.constants[operands[constIndex]])}` : '';
+    const line = fn.lines[pc] !== lastLine ? `L${fn.lines[pc]}` : '';
+    lastLine = fn.lines[pc];
+    lines.push(`  ${line.padEnd(5)}${String(pc).padStart(3)} : ${op}${parts.length ? ` ${parts.join(', ')}` : ''}${note}`);
+  });
+  if (fn.handlers.length) {
+    lines.push('Handler Table:');
+    for (const h of fn.handlers) lines.push(`  (${h.start}, ${h.end})  ->  @${h.target}  (context in ${registerName(fn, h.contextRegister)})`);
+  }
+  const output = [lines.join('\n')];
+  if (recursive) for (const child of fn.children) output.push(disassemble(child));
+  return output.join('\n\n');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//                         THE VM: SHAPES, INLINE CACHES, TIERING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const COST = { monomorphic: 1, polymorphic: 1, megamorphic: 10, miss: 40, deopt: 200 };
+const MAX_POLYMORPHISM = 4; // V8's default too
+const THE_HOLE = Symbol('the_hole');
+
+class Shape {
+  constructor(id, parent, key, proto, name) {
+    this.id = id;
+    this.parent = parent;
+    this.key = key;
+    this.proto = proto;
+    this.name = name; // constructor name, for printing
+    this.keys = parent ? [...parent.keys, key] : [];
+    this.transitions = new Map();
+    this.dictionary = false;
+  }
+
+  offsetOf(key) {
+    return this.keys.indexOf(key);
+  }
+
+  toString() {
+    const prefix = this.name && this.name !== 'Object' ? ` ${this.name}` : '';
+    return this.dictionary ? `S${this.id}${prefix} (dictionary)` : `S${this.id}${prefix}{${this.keys.join(',')}}`;
+  }
+}
+
+class VMObject {
+  constructor(shape) {
+    this.shape = shape;
+    this.slots = []; // in-object properties, at the offsets the shape says
+    this.dict = null; // Map once the object falls into dictionary mode
+    this.hidden = null; // non-enumerable keys ('constructor' on prototypes)
+    this.isPrototype = false;
+  }
+
+  ownEntries() {
+    return this.dict ? [...this.dict] : this.shape.keys.map((key, i) => [key, this.slots[i]]);
+  }
+
+  [util.inspect.custom](depth, options, inspect) {
+    const view = {};
+    for (const [key, value] of this.ownEntries()) {
+      if (!this.hidden || !this.hidden.has(key)) view[key] = value;
+    }
+    const name = constructorName(this);
+    return `${name && name !== 'Object' ? `${name} ` : ''}${inspect(view, options)}`;
+  }
+}
+
+function lookupChain(object, key) {
+  for (let o = object; o; o = o.shape.proto) {
+    if (o.dict) {
+      if (o.dict.has(key)) return { holder: o, dictionary: true };
+    } else {
+      const offset = o.shape.offsetOf(key);
+      if (offset !== -1) return { holder: o, offset };
+    }
+  }
+  return null;
+}
+
+function constructorName(object) {
+  const found = lookupChain(object, 'constructor');
+  if (!found) return null;
+  const ctor = found.dictionary ? found.holder.dict.get('constructor') : found.holder.slots[found.offset];
+  return typeof ctor === 'function' ? ctor.name : null;
+}
+
+// Plain host value, for JSON.stringify / Object.keys and friends
+function toHost(value, seen = new Map()) {
+  if (value instanceof VMObject) {
+    if (seen.has(value)) return seen.get(value);
+    const plain = {};
+    seen.set(value, plain);
+    for (const [key, v] of value.ownEntries()) {
+      if (!value.hidden || !value.hidden.has(key)) plain[key] = toHost(v, seen);
+    }
+    return plain;
+  }
+  if (Array.isArray(value)) return value.map((v) => toHost(v, seen));
+  return value;
+}
+
+function typeFeedback(a, b, result) {
+  if (isSmi(a) && (b === undefined || isSmi(b)) && (result === undefined || isSmi(result))) return 'SignedSmall';
+  if (typeof a === 'number' && (b === undefined || typeof b === 'number')) return 'Number';
+  if (typeof a === 'string' && (b === undefined || typeof b === 'string')) return 'String';
+  if (typeof a === 'bigint' && (b === undefined || typeof b === 'bigint')) return 'BigInt';
+  return 'Any';
+}
+
+// The feedback lattice only ever moves up: None → SignedSmall → Number → Any
+function combineFeedback(old, next) {
+  if (old === 'None' || old === next) return next;
+  if ((old === 'SignedSmall' && next === 'Number') || (old === 'Number' && next === 'SignedSmall')) return 'Number';
+  return 'Any';
+}
+
+function createVM(options = {}) {
+  const { print = false, optimizeAfter = 200, maxCallDepth = 500 } = options;
+
+  const vm = {
+    logs: [],
+    events: [],
+    shapes: [],
+    functions: [],
+    stats: {
+      instructions: 0, calls: 0, shapes: 0, transitions: 0, dictionaryObjects: 0,
+      icHits: 0, icMisses: 0, megamorphicLookups: 0, optimizations: 0, deopts: 0, cost: 0,
+    },
+  };
+  const { stats, events } = vm;
+  const closures = new WeakMap(); // host wrapper function -> { fn, context }
+  const rootShapes = new Map(); // prototype -> root shape (V8: a constructor's initial map)
+  const stubCache = new Map(); // megamorphic fallback: 'shapeId|key' -> handler
+  const timers = [];
+  let protoEpoch = 0; // bumped when a prototype object changes (V8: validity cell)
+  let depth = 0;
+
+  // ─── Shapes ──────────────────────────────────────────────────────────
+
+  function newShape(parent, key, proto, name) {
+    const shape = new Shape(vm.shapes.length, parent, key, proto, name);
+    vm.shapes.push(shape);
+    stats.shapes++;
+    return shape;
+  }
+
+  function rootShape(proto) {
+    if (!rootShapes.has(proto)) {
+      if (proto) proto.isPrototype = true;
+      const name = proto ? constructorName(proto) : null;
+      rootShapes.set(proto, newShape(null, undefined, proto, name));
+    }
+    return rootShapes.get(proto);
+  }
+
+  function transition(shape, key) {
+    let next = shape.transitions.get(key);
+    if (!next) {
+      next = newShape(shape, key, shape.proto, shape.name);
+      shape.transitions.set(key, next);
+      events.push({ type: 'shape', text: `${shape} --${key}--> ${next}` });
+    }
+    stats.transitions++;
+    return next;
+  }
+
+  function toDictionary(object, why) {
+    const dictShape = newShape(null, undefined, object.shape.proto, object.shape.name);
+    dictShape.dictionary = true;
+    object.dict = new Map(object.ownEntries());
+    object.slots = [];
+    events.push({ type: 'dictionary', text: `${object.shape} → ${dictShape}: ${why}` });
+    object.shape = dictShape;
+    stats.dictionaryObjects++;
+  }
+
+  // Stores with no IC (object setup done by the VM itself)
+  function defineOwn(object, key, value, { hidden = false } = {}) {
+    if (object.dict) object.dict.set(key, value);
+    else {
+      const offset = object.shape.offsetOf(key);
+      if (offset !== -1) object.slots[offset] = value;
+      else if (object.isPrototype) {
+        // Prototypes get maps of their own, outside the transition tree
+        object.shape = newShape(object.shape, key, object.shape.proto, object.shape.name);
+        object.slots.push(value);
+      } else {
+        object.shape = transition(object.shape, key);
+        object.slots.push(value);
+      }
+    }
+    if (hidden) (object.hidden = object.hidden || new Set()).add(key);
+    if (object.isPrototype) protoEpoch++;
+  }
+
+  // ─── Built-ins ───────────────────────────────────────────────────────
+
+  // Object.prototype is a dictionary-mode object in V8 too
+  const objectPrototype = new VMObject(newShape(null, undefined, null, null));
+  objectPrototype.shape.dictionary = true;
+  objectPrototype.dict = new Map();
+  objectPrototype.isPrototype = true;
+  const hasOwn = (object, key) => (object instanceof VMObject
+    ? (object.dict ? object.dict.has(key) : object.shape.offsetOf(key) !== -1)
+    : Object.prototype.hasOwnProperty.call(object, key));
+  defineOwn(objectPrototype, 'hasOwnProperty', function hasOwnProperty(key) { return hasOwn(this, String(key)); }, { hidden: true });
+  defineOwn(objectPrototype, 'toString', function toString() { return '[object Object]'; }, { hidden: true });
+  defineOwn(objectPrototype, 'constructor', Object, { hidden: true });
+
+  const ownKeys = (object) => (object instanceof VMObject
+    ? object.ownEntries().map(([key]) => key).filter((key) => !object.hidden || !object.hidden.has(key))
+    : Object.keys(object));
+
+  const write = (...args) => {
+    const text = util.format(...args);
+    vm.logs.push(text);
+    if (print) console.log(text);
+  };
+
+  const globals = new Map(Object.entries({
+    console: { log: write, info: write, warn: write, error: write },
+    Math, JSON: { stringify: (value, ...rest) => JSON.stringify(toHost(value), ...rest), parse: JSON.parse },
+    Object: {
+      keys: ownKeys,
+      values: (object) => ownKeys(object).map((key) => getProperty(object, key)),
+      entries: (object) => ownKeys(object).map((key) => [key, getProperty(object, key)]),
+      create: (proto) => new VMObject(rootShape(proto)),
+    },
+    Array, String, Number, Boolean, Map, Set, Symbol,
+    Error, TypeError, RangeError, ReferenceError, SyntaxError,
+    parseInt, parseFloat, isNaN, isFinite, NaN, Infinity,
+    setTimeout: (fn, ms = 0, ...args) => timers.push({ fn, args, time: Math.max(1, ms), seq: timers.length }),
+  }));
+  vm.globals = globals;
+
+  // ─── Property access ─────────────────────────────────────────────────
+
+  function getProperty(object, key) {
+    if (object instanceof VMObject) {
+      const found = lookupChain(object, key);
+      if (!found) return undefined;
+      return found.dictionary ? found.holder.dict.get(key) : found.holder.slots[found.offset];
+    }
+    if (object === null || object === undefined) {
+      throw new TypeError(`Cannot read properties of ${object} (reading '${String(key)}')`);
+    }
+    return object[key];
+  }
+
+  function setProperty(object, key, value) {
+    if (object === null || object === undefined) {
+      throw new TypeError(`Cannot set properties of ${object} (setting '${String(key)}')`);
+    }
+    if (object instanceof VMObject) defineOwn(object, key, value);
+    else if (!Reflect.set(Object(object), key, value, object)) {
+      throw new TypeError(`Cannot assign to read only property '${String(key)}' of object`);
+    }
+  }
+
+  function siteName(fn, slot) {
+    return `${fn.name || '(anonymous)'} L${slot.line} ${slot.text}`;
+  }
+
+  function deoptimize(fn, reason) {
+    if (fn.tier !== 'optimized') return;
+    fn.tier = 'ignition';
+    fn.hotness = 0;
+    fn.deopts++;
+    stats.deopts++;
+    stats.cost += COST.deopt;
+    events.push({ type: 'deopt', text: `${fn.name || '(anonymous)'}: ${reason}` });
+    if (fn.deopts >= 3) {
+      fn.neverOptimize = true; // V8 also gives up on functions that keep deoptimizing
+      events.push({ type: 'deopt', text: `${fn.name || '(anonymous)'}: deoptimized ${fn.deopts} times, marked "don't optimize"` });
+    }
+  }
+
+  function optimize(fn) {
+    fn.tier = 'optimized';
+    stats.optimizations++;
+    const assumptions = fn.feedback
+      .filter((slot) => (slot.kind === 'load' || slot.kind === 'store') && slot.state === 'monomorphic')
+      .map((slot) => `${slot.text}: ${slot.entries[0].shape}`)
+      .concat(fn.feedback.filter((slot) => slot.kind === 'binary' && slot.type !== 'None').map((slot) => `${slot.text}: ${slot.type}`));
+    events.push({ type: 'optimize', text: `${fn.name || '(anonymous)'} is hot (${fn.hotness}) → optimized${assumptions.length ? `, assuming ${assumptions.join('; ')}` : ''}` });
+  }
+
+  function tick(fn) {
+    fn.hotness++;
+    if (fn.tier === 'ignition' && !fn.neverOptimize && fn.hotness >= optimizeAfter) optimize(fn);
+  }
+
+  function setState(fn, slot, state) {
+    if (slot.state === state) return;
+    events.push({ type: 'ic', text: `${siteName(fn, slot)}: ${slot.state} → ${state}` });
+    slot.state = state;
+  }
+
+  function addHandler(fn, slot, handler) {
+    slot.shapes.add(handler.shape);
+    if (slot.state === 'megamorphic') {
+      stubCache.set(`${handler.shape.id}|${handler.key}`, handler);
+      return;
+    }
+    const existing = slot.entries.findIndex((e) => e.shape === handler.shape && e.key === handler.key);
+    if (existing !== -1) slot.entries[existing] = handler;
+    else slot.entries.push(handler);
+    if (slot.entries.length === 1) setState(fn, slot, 'monomorphic');
+    else if (slot.entries.length <= MAX_POLYMORPHISM) setState(fn, slot, 'polymorphic');
+    else {
+      setState(fn, slot, 'megamorphic');
+      for (const e of slot.entries) stubCache.set(`${e.shape.id}|${e.key}`, e);
+      slot.entries = [];
+    }
+  }
+
+  // Returns the cached handler for this shape, or null (a miss)
+  function probe(slot, shape, key) {
+    if (slot.state === 'megamorphic') {
+      stats.megamorphicLookups++;
+      const handler = stubCache.get(`${shape.id}|${key}`);
+      if (handler && (handler.epoch === undefined || handler.epoch === protoEpoch)) {
+        stats.cost += COST.megamorphic;
+        return handler;
+      }
+      return null;
+    }
+    for (let i = 0; i < slot.entries.length; i++) {
+      const handler = slot.entries[i];
+      if (handler.shape === shape && handler.key === key && (handler.epoch === undefined || handler.epoch === protoEpoch)) {
+        stats.cost += slot.state === 'monomorphic' ? COST.monomorphic : COST.polymorphic + i;
+        return handler;
+      }
+    }
+    return null;
+  }
+
+  function miss(fn, slot, object) {
+    slot.misses++;
+    stats.icMisses++;
+    stats.cost += COST.miss;
+    if (slot.state !== 'uninitialized' && slot.state !== 'megamorphic') {
+      deoptimize(fn, `wrong map ${object.shape} at L${slot.line} ${slot.text}`);
+    }
+  }
+
+  function loadIC(fn, slot, object, key) {
+    if (!(object instanceof VMObject)) {
+      slot.generic++;
+      return getProperty(object, key);
+    }
+    const { shape } = object;
+    let handler = probe(slot, shape, key);
+    if (handler) {
+      slot.hits++;
+      stats.icHits++;
+    } else {
+      miss(fn, slot, object);
+      const found = lookupChain(object, key);
+      handler = { shape, key };
+      if (!found) handler.absent = true;
+      else if (found.dictionary) handler.dictionary = true;
+      else handler.offset = found.offset;
+      if (found && found.holder !== object) handler.holder = found.holder;
+      // anything that depends on the prototype chain is only valid until a
+      // prototype changes
+      if (!found || found.holder !== object) handler.epoch = protoEpoch;
+      addHandler(fn, slot, handler);
+    }
+    if (handler.absent) return undefined;
+    const holder = handler.holder || object;
+    return handler.dictionary ? holder.dict.get(key) : holder.slots[handler.offset];
+  }
+
+  function storeIC(fn, slot, object, key, value) {
+    if (!(object instanceof VMObject)) {
+      slot.generic++;
+      setProperty(object, key, value);
+      return;
+    }
+    const { shape } = object;
+    let handler = probe(slot, shape, key);
+    if (handler) {
+      slot.hits++;
+      stats.icHits++;
+    } else {
+      miss(fn, slot, object);
+      handler = { shape, key };
+      if (object.dict) handler.dictionary = true;
+      else {
+        const offset = shape.offsetOf(key);
+        if (offset !== -1) handler.offset = offset;
+        else handler.transitionTo = transition(shape, key);
+      }
+      addHandler(fn, slot, handler);
+      if (handler.transitionTo) stats.transitions--; // counted again below
+    }
+    if (handler.dictionary) object.dict.set(key, value);
+    else if (handler.transitionTo) {
+      object.shape = handler.transitionTo; // a transition: the object moves to the next shape
+      object.slots.push(value);
+      stats.transitions++;
+    } else object.slots[handler.offset] = value;
+    if (object.isPrototype) protoEpoch++;
+  }
+
+  function keyOf(value) {
+    return typeof value === 'symbol' ? value : String(value);
+  }
+
+  function deleteProperty(object, key) {
+    if (!(object instanceof VMObject)) {
+      if (!Reflect.deleteProperty(Object(object), key)) throw new TypeError(`Cannot delete property '${String(key)}' of object`);
+      return true;
+    }
+    if (!hasOwn(object, key)) return true;
+    if (object.dict) object.dict.delete(key);
+    else if (object.shape.key === key) {
+      // deleting the LAST property added just walks back up the tree
+      events.push({ type: 'shape', text: `${object.shape} --delete ${key}--> ${object.shape.parent} (last property: back to the parent)` });
+      object.shape = object.shape.parent;
+      object.slots.pop();
+    } else {
+      toDictionary(object, `delete ${key}`);
+      object.dict.delete(key);
+    }
+    if (object.isPrototype) protoEpoch++;
+    return true;
+  }
+
+  // ─── Functions ───────────────────────────────────────────────────────
+
+  function makeClosure(fn, context) {
+    const record = { fn, context, wrapper: null };
+    // Strict wrapper so the host hands `this` over untouched
+    const wrapper = function () {
+      'use strict';
+      if (new.target) return construct(wrapper, [...arguments], 'constructor');
+      return invoke(record, this, [...arguments]);
+    };
+    const length = fn.node.params.findIndex((p) => p.type !== 'Identifier');
+    Object.defineProperty(wrapper, 'name', { value: fn.name });
+    Object.defineProperty(wrapper, 'length', { value: length === -1 ? fn.paramCount : length });
+    if (!fn.arrow && !fn.method) {
+      const prototype = new VMObject(rootShape(objectPrototype));
+      prototype.isPrototype = true;
+      defineOwn(prototype, 'constructor', wrapper, { hidden: true });
+      Object.defineProperty(wrapper, 'prototype', { value: prototype, writable: true });
+    }
+    record.wrapper = wrapper;
+    closures.set(wrapper, record);
+    return wrapper;
+  }
+
+  function construct(callee, args, text) {
+    const record = closures.get(callee);
+    if (!record) {
+      if (typeof callee !== 'function') throw new TypeError(`${text} is not a constructor`);
+      return Reflect.construct(callee, args);
+    }
+    if (record.fn.arrow || record.fn.method) throw new TypeError(`${text} is not a constructor`);
+    const proto = callee.prototype instanceof VMObject ? callee.prototype : objectPrototype;
+    const object = new VMObject(rootShape(proto));
+    const result = invoke(record, object, args);
+    return result !== null && (typeof result === 'object' || typeof result === 'function') ? result : object;
+  }
+
+  function call(callee, thisValue, args, text) {
+    const record = closures.get(callee);
+    if (record) return invoke(record, thisValue, args);
+    if (typeof callee !== 'function') throw new TypeError(`${text} is not a function`);
+    return Reflect.apply(callee, thisValue, args);
+  }
+
+  function invoke(record, thisValue, args) {
+    const { fn } = record;
+    if (depth >= maxCallDepth) throw new RangeError('Maximum call stack size exceeded');
+    stats.calls++;
+    tick(fn);
+    const registers = new Array(fn.registerCount).fill(undefined);
+    registers[THIS_REGISTER] = thisValue;
+    for (let i = 0; i < fn.paramCount; i++) registers[1 + i] = args[i];
+    depth++;
+    try {
+      return execute({ fn, record, registers, args, context: record.context });
+    } finally {
+      depth--;
+    }
+  }
+
+  // ─── The interpreter loop ────────────────────────────────────────────
+
+  function contextAt(frame, hops) {
+    let context = frame.context;
+    for (let i = 0; i < hops; i++) context = context.outer;
+    return context;
+  }
+
+  function binary(fn, slot, op, a, b) {
+    let result;
+    switch (op) {
+      case 'Add': result = a + b; break;
+      case 'Sub': result = a - b; break;
+      case 'Mul': result = a * b; break;
+      case 'Div': result = a / b; break;
+      case 'Mod': result = a % b; break;
+      case 'Exp': result = a ** b; break;
+      case 'TestEqual': result = a == b; break; // eslint-disable-line eqeqeq
+      case 'TestEqualStrict': result = a === b; break;
+      case 'TestLessThan': result = a < b; break;
+      case 'TestGreaterThan': result = a > b; break;
+      case 'TestLessThanOrEqual': result = a <= b; break;
+      case 'TestGreaterThanOrEqual': result = a >= b; break;
+    }
+    recordType(fn, slot, typeFeedback(a, b, slot.kind === 'binary' ? result : undefined));
+    return result;
+  }
+
+  function recordType(fn, slot, seen) {
+    const next = combineFeedback(slot.type, seen);
+    if (next !== slot.type) {
+      if (slot.type !== 'None') deoptimize(fn, `expected ${slot.type}, saw ${seen} at L${slot.line} ${slot.text}`);
+      slot.type = next;
+    }
+  }
+
+  function instanceOf(value, ctor) {
+    if (closures.has(ctor)) {
+      if (!(value instanceof VMObject)) return false;
+      for (let proto = value.shape.proto; proto; proto = proto.shape.proto) {
+        if (proto === ctor.prototype) return true;
+      }
+      return false;
+    }
+    if (value instanceof VMObject) return ctor === Object;
+    return value instanceof ctor;
+  }
+
+  function execute(frame) {
+    const { fn, registers } = frame;
+    const { code, constants, feedback } = fn;
+    let acc;
+    let pc = 0;
+    const read = (r) => (r === CONTEXT_REGISTER ? frame.context : r === CLOSURE_REGISTER ? frame.record.wrapper : registers[r]);
+
+    for (;;) {
+      try {
+        for (;;) {
+          const [op, a, b, c, d] = code[pc++];
+          stats.instructions++;
+          switch (op) {
+            case 'LdaZero': acc = 0; break;
+            case 'LdaSmi': acc = a; break;
+            case 'LdaUndefined': acc = undefined; break;
+            case 'LdaNull': acc = null; break;
+            case 'LdaTrue': acc = true; break;
+            case 'LdaFalse': acc = false; break;
+            case 'LdaTheHole': acc = THE_HOLE; break;
+            case 'LdaConstant': acc = constants[a]; break;
+            case 'Ldar': acc = read(a); break;
+            case 'Star': registers[a] = acc; break;
+            case 'Mov': registers[b] = read(a); break;
+
+            case 'LdaGlobal':
+            case 'LdaGlobalInsideTypeof': {
+              const name = constants[a];
+              if (globals.has(name)) acc = globals.get(name);
+              else if (op === 'LdaGlobalInsideTypeof') acc = undefined;
+              else throw new ReferenceError(`${name} is not defined`);
+              break;
+            }
+            case 'StaGlobal':
+              if (!globals.has(constants[a])) throw new ReferenceError(`${constants[a]} is not defined`);
+              globals.set(constants[a], acc);
+              break;
+
+            case 'LdaCurrentContextSlot': acc = frame.context.slots[a]; break;
+            case 'StaCurrentContextSlot': frame.context.slots[a] = acc; break;
+            case 'LdaContextSlot': acc = contextAt(frame, b).slots[a]; break;
+            case 'StaContextSlot': contextAt(frame, b).slots[a] = acc; break;
+            case 'CreateFunctionContext':
+            case 'CreateBlockContext':
+              frame.context = { slots: new Array(a).fill(undefined), outer: frame.context };
+              break;
+            case 'PopContext': frame.context = frame.context.outer; break;
+
+            case 'ThrowReferenceErrorIfHole':
+              if (acc === THE_HOLE) throw new ReferenceError(`Cannot access '${constants[a]}' before initialization`);
+              break;
+            case 'ThrowConstAssignError':
+              throw new TypeError('Assignment to constant variable.');
+
+            case 'Add': case 'Sub': case 'Mul': case 'Div': case 'Mod': case 'Exp':
+            case 'TestEqual': case 'TestEqualStrict': case 'TestLessThan': case 'TestGreaterThan':
+            case 'TestLessThanOrEqual': case 'TestGreaterThanOrEqual':
+              acc = binary(fn, feedback[b], op, registers[a], acc);
+              break;
+            case 'AddSmi': case 'SubSmi': case 'MulSmi': case 'DivSmi': case 'ModSmi':
+              acc = binary(fn, feedback[b], op.slice(0, 3), acc, a);
+              break;
+            case 'TestInstanceOf': acc = instanceOf(registers[a], acc); break;
+            case 'TestIn': {
+              const key = keyOf(registers[a]);
+              acc = acc instanceof VMObject ? lookupChain(acc, key) !== null : key in acc;
+              break;
+            }
+            case 'ToBooleanLogicalNot': acc = !acc; break;
+            case 'Negate': recordType(fn, feedback[a], typeFeedback(acc)); acc = -acc; break;
+            case 'BitwiseNot': acc = ~acc; break;
+            case 'Inc': recordType(fn, feedback[a], typeFeedback(acc, undefined, acc + 1)); acc += 1; break;
+            case 'Dec': recordType(fn, feedback[a], typeFeedback(acc, undefined, acc - 1)); acc -= 1; break;
+            case 'ToNumeric': acc = typeof acc === 'bigint' ? acc : Number(acc instanceof VMObject ? NaN : acc); break;
+            case 'ToString': acc = acc instanceof VMObject ? '[object Object]' : String(acc); break;
+            case 'TypeOf': acc = acc instanceof VMObject ? 'object' : typeof acc; break;
+
+            case 'Jump': pc = a; break;
+            case 'JumpLoop': tick(fn); pc = a; break; // back edges count as hotness too
+            case 'JumpIfToBooleanTrue': if (acc) pc = a; break;
+            case 'JumpIfToBooleanFalse': if (!acc) pc = a; break;
+            case 'JumpIfUndefinedOrNull': if (acc === undefined || acc === null) pc = a; break;
+            case 'JumpIfNotUndefined': if (acc !== undefined) pc = a; break;
+
+            case 'CreateClosure': acc = makeClosure(constants[a], frame.context); break;
+            case 'CreateEmptyObjectLiteral': acc = new VMObject(rootShape(objectPrototype)); break;
+            case 'CreateArrayLiteral': acc = registers.slice(a, a + b); break;
+            case 'CreateMappedArguments': acc = (function () { return arguments; })(...frame.args); break;
+            case 'CreateRestParameter': acc = frame.args.slice(fn.restIndex); break;
+
+            case 'GetNamedProperty': acc = loadIC(fn, feedback[c], registers[a], constants[b]); break;
+            case 'GetKeyedProperty': acc = loadIC(fn, feedback[b], registers[a], keyOf(acc)); break;
+            case 'SetNamedProperty':
+            case 'DefineNamedOwnProperty':
+              storeIC(fn, feedback[c], registers[a], constants[b], acc);
+              break;
+            case 'SetKeyedProperty':
+            case 'DefineKeyedOwnProperty':
+              storeIC(fn, feedback[c], registers[a], keyOf(registers[b]), acc);
+              break;
+            case 'DeletePropertyStrict': acc = deleteProperty(registers[a], keyOf(acc)); break;
+
+            case 'CallProperty':
+            case 'CallUndefinedReceiver':
+            case 'Construct': {
+              const slot = feedback[d];
+              const callee = registers[a];
+              const target = closures.get(callee) ? callee : null;
+              if (slot.target === null) slot.target = target;
+              else if (slot.target !== target) slot.target = 'megamorphic';
+              if (op === 'Construct') {
+                acc = construct(callee, registers.slice(b, b + c), slot.text);
+              } else if (op === 'CallProperty') {
+                acc = call(callee, registers[b], registers.slice(b + 1, b + c), slot.text);
+              } else {
+                acc = call(callee, undefined, registers.slice(b, b + c), slot.text);
+              }
+              break;
+            }
+
+            case 'GetIterator':
+              if (acc === null || acc === undefined || typeof acc[Symbol.iterator] !== 'function') {
+                throw new TypeError(`${acc instanceof VMObject ? 'object' : String(acc)} is not iterable`);
+              }
+              registers[a] = acc[Symbol.iterator]();
+              break;
+            case 'ForInPrepare': {
+              const keys = [];
+              if (acc instanceof VMObject) {
+                for (let o = acc; o; o = o.shape.proto) {
+                  for (const key of ownKeys(o)) if (!keys.includes(key)) keys.push(key);
+                }
+              } else if (acc !== null && acc !== undefined) {
+                for (const key in acc) keys.push(key); // eslint-disable-line guard-for-in
+              }
+              registers[a] = keys[Symbol.iterator]();
+              break;
+            }
+            case 'IteratorNext': {
+              const step = registers[a].next();
+              if (step.done) pc = b;
+              else acc = step.value;
+              break;
+            }
+
+            case 'Return': return acc;
+            case 'Throw':
+            case 'ReThrow':
+              throw acc;
+
+            default:
+              throw new Error(`Unknown bytecode ${op}`);
+          }
+        }
+      } catch (error) {
+        // Handler table: the innermost try range covering this instruction
+        const at = pc - 1;
+        let handler = null;
+        for (const h of fn.handlers) {
+          if (at >= h.start && at < h.end && (!handler || h.start >= handler.start)) handler = h;
+        }
+        if (!handler) throw error;
+        frame.context = registers[handler.contextRegister];
+        acc = error;
+        pc = handler.target;
+      }
+    }
+  }
+
+  // ─── Running a program ───────────────────────────────────────────────
+
+  function collect(fn) {
+    vm.functions.push(fn);
+    fn.children.forEach(collect);
+  }
+
+  vm.run = function run(source) {
+    let error = null;
+    let result;
+    try {
+      const script = compile(source);
+      collect(script);
+      result = invoke({ fn: script, context: null, wrapper: null }, undefined, []);
+      timers.sort((x, y) => x.time - y.time || x.seq - y.seq);
+      while (timers.length) {
+        const timer = timers.shift();
+        call(timer.fn, undefined, timer.args, 'callback');
+      }
+    } catch (err) {
+      error = err;
+    }
+    return { result, error, logs: vm.logs, stats, events };
+  };
+
+  return vm;
+}
+
+// run(source, options) -> { result, error, logs, stats, events, vm }
+function run(source, options) {
+  const vm = createVM(options);
+  return { ...vm.run(source), vm };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//                         REPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function percent(hits, total) {
+  return total ? `${Math.round((hits / total) * 1000) / 10}%` : '-';
+}
+
+function formatReport(vm, { events = true } = {}) {
+  const lines = [];
+  const { stats } = vm;
+  const sites = [];
+  for (const fn of vm.functions) {
+    for (const slot of fn.feedback) {
+      if ((slot.kind === 'load' || slot.kind === 'store') && slot.hits + slot.misses > 0) sites.push({ fn, slot });
+    }
+  }
+  lines.push('Inline caches:');
+  lines.push(`  ${'site'.padEnd(26)}${'kind'.padEnd(7)}${'state'.padEnd(14)}${'maps'.padEnd(6)}hit rate`);
+  for (const { fn, slot } of sites) {
+    const total = slot.hits + slot.misses;
+    const site = `L${slot.line} ${slot.text}${fn.name && fn.node.type !== 'Program' ? ` (${fn.name})` : ''}`;
+    lines.push(`  ${site.padEnd(26)}${slot.kind.padEnd(7)}${slot.state.toUpperCase().padEnd(14)}${String(slot.shapes.size).padEnd(6)}${percent(slot.hits, total)} (${slot.hits}/${total})`);
+  }
+  const typed = vm.functions.flatMap((fn) => fn.feedback.filter((slot) => slot.kind === 'binary' && slot.type !== 'None'));
+  if (typed.length) {
+    lines.push('Type feedback:');
+    for (const slot of typed) lines.push(`  L${slot.line} ${slot.text.padEnd(24)}${slot.type}`);
+  }
+  lines.push(`Hidden classes: ${stats.shapes} shapes, ${stats.transitions} transitions taken, ${stats.dictionaryObjects} object(s) in dictionary mode`);
+  lines.push(`ICs: ${stats.icHits} hits / ${stats.icMisses} misses (${percent(stats.icHits, stats.icHits + stats.icMisses)}), ${stats.megamorphicLookups} megamorphic stub-cache lookups`);
+  lines.push(`Tiering: ${stats.optimizations} optimization(s), ${stats.deopts} deoptimization(s)`);
+  lines.push(`Cost: ${stats.cost} units for property access + deopts (${stats.instructions} bytecodes executed)`);
+  if (events) {
+    const interesting = vm.events.filter((event) => event.type === 'optimize' || event.type === 'deopt' || event.type === 'dictionary');
+    for (const event of interesting) lines.push(`  ${event.type.padEnd(10)} ${event.text}`);
+  }
+  return lines.join('\n');
+}
+
+// The transition tree, from each root shape down
+function formatShapeTree(vm) {
+  const lines = [];
+  const walk = (shape, prefix, last) => {
+    for (const [key, next] of shape.transitions) {
+      const isLast = [...shape.transitions.values()].pop() === next;
+      lines.push(`${prefix}${isLast ? '└─' : '├─'} +${key} → ${next}`);
+      walk(next, prefix + (isLast ? '   ' : '│  '), isLast);
+    }
+  };
+  for (const shape of vm.shapes) {
+    if (shape.parent || shape.dictionary || !shape.transitions.size) continue;
+    lines.push(`${shape}${shape.name && shape.name !== 'Object' ? `   (new ${shape.name})` : '   (object literals)'}`);
+    walk(shape, '', true);
+  }
+  return lines.join('\n');
+}
+
+module.exports = { compile, disassemble, createVM, run, formatReport, formatShapeTree, analyzeScopes };
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//                         EXECUTABLE EXAMPLES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+if (require.main === module) {
+  const fs = require('fs');
+  const args = process.argv.slice(2);
+
+  if (args.length) {
+    const file = args.find((arg) => !arg.startsWith('--'));
+    const source = fs.readFileSync(file, 'utf8');
+    if (args.includes('--bytecode')) console.log(disassemble(compile(source)) + '\n');
+    const { error, vm } = run(source, { print: true });
+    if (error) console.error(`Uncaught ${error instanceof Error ? `${error.name}: ${error.message}` : util.inspect(error)}`);
+    if (args.includes('--report')) console.log('\n' + formatReport(vm) + '\n\n' + formatShapeTree(vm));
+    return;
+  }
+
+  console.log('═'.repeat(70));
+  console.log('       PART 9: BYTECODE VM - IGNITION, SHAPES & INLINE CACHES');
+  console.log('═'.repeat(70));
+
+  // Demo 1: the add() example from 03-compilation-phase.js
+  console.log('\n1. BYTECODE FOR add(a, b):');
+  console.log('─'.repeat(40));
+  console.log(disassemble(compile('function add(a, b) { return a + b; }').children[0]));
+  // Expected: Ldar a1 / Add a0, [0] / Return - the same three lines V8 prints
+
+  // Demo 2: registers vs context slots
+  console.log('\n2. CLOSURES: REGISTERS vs CONTEXT SLOTS:');
+  console.log('─'.repeat(40));
+  console.log(disassemble(compile(`
+function makeCounter() {
+  let count = 0;
+  let calls = 0;
+  return function increment() {
+    count++;
+    return count;
+  };
+}`).children[0]));
+  console.log('   → count is captured, so it lives in a Context slot (CreateFunctionContext,');
+  console.log('     StaCurrentContextSlot); calls is not, so it stays in register r0.');
+
+  // Demo 3: property order and IC states
+  console.log('\n3. SAME ORDER vs DIFFERENT ORDER (getX IC):');
+  console.log('─'.repeat(40));
+  const orders = {
+    'same order     ': "var points = [{ x: 1, y: 2 }, { x: 3, y: 4 }, { x: 5, y: 6 }];",
+    'two orders     ': "var points = [{ x: 1, y: 2 }, { y: 4, x: 3 }, { x: 5, y: 6 }];",
+    'six shapes     ': "var points = [{ x: 1 }, { x: 1, y: 2 }, { y: 2, x: 1 }, { x: 1, z: 3 }, { z: 3, x: 1 }, { w: 0, x: 1 }];",
+  };
+  for (const [label, setup] of Object.entries(orders)) {
+    const { vm } = run(`${setup}
+function getX(p) { return p.x; }
+var sum = 0;
+for (var i = 0; i < 300; i++) { sum = sum + getX(points[i % points.length]); }`);
+    const slot = vm.functions.find((fn) => fn.name === 'getX').feedback[0];
+    console.log(`   ${label} p.x is ${slot.state.toUpperCase().padEnd(12)} maps ${slot.shapes.size}  hit rate ${percent(slot.hits, slot.hits + slot.misses).padEnd(6)} cost ${vm.stats.cost}`);
+  }
+  // Expected: MONOMORPHIC (cheapest) → POLYMORPHIC → MEGAMORPHIC (most expensive)
+
+  // Demo 4: constructors build one transition chain
+  console.log('\n4. HIDDEN CLASS TRANSITIONS:');
+  console.log('─'.repeat(40));
+  const transitions = run(`
+function PointGood(x, y) { this.x = x; this.y = y; }
+function PointBad(x, y, flip) {
+  if (flip) { this.y = y; this.x = x; } else { this.x = x; this.y = y; }
+}
+var a = new PointGood(1, 2);
+var b = new PointGood(3, 4);
+var c = new PointBad(1, 2, false);
+var d = new PointBad(3, 4, true);
+var o = {};
+o.x = 1;
+o.y = 2;
+delete o.x;`);
+  console.log(formatShapeTree(transitions.vm).split('\n').map((line) => `   ${line}`).join('\n'));
+  transitions.events.filter((event) => event.type === 'dictionary').forEach((event) => console.log(`   ${event.text}`));
+  console.log('   → a and b share one map; c and d end up on two. delete o.x (not the');
+  console.log('     last property added) drops o into slow dictionary mode.');
+
+  // Demo 5: optimize, then deopt on a new shape and on a new type
+  console.log('\n5. OPTIMIZATION AND DEOPTIMIZATION:');
+  console.log('─'.repeat(40));
+  const deopt = run(`
+function getX(p) { return p.x; }
+function add(a, b) { return a + b; }
+for (var i = 0; i < 300; i++) { getX({ x: i, y: i }); add(i, 1); }
+getX({ y: 1, x: 2 });
+add('5', 1);`);
+  console.log(formatReport(deopt.vm).split('\n').map((line) => `   ${line}`).join('\n'));
+
+  console.log('\n' + '═'.repeat(70));
+  console.log('       Try your own: node javaScript-v8-architecture-flow/09-bytecode-vm.js file.js --bytecode --report');
+  console.log('═'.repeat(70) + '\n');
+}
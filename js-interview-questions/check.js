@@ -0,0 +1,492 @@
+/**
+ * Answer Checker for the 50 JavaScript Interview Questions
+ *
+ * Loads a question file (your playground attempt by default), runs every
+ * function it asks for against the table in test-tables.js and prints
+ * PASS/FAIL per case with timing and an expected/actual diff.
+ *
+ * Then it benchmarks the attempt against every approach in the matching
+ * answers/ file on growing inputs, so complexity differences show up:
+ *
+ *   isPalindrome                      10,000         100,000       1,000,000   growth
+ *   attempt                          1.324ms  stack overflow               -
+ *   isPalindrome                     0.506ms         8.867ms        60.910ms   ~n^0.8
+ *   isPalindromeTwoPointer           0.401ms         4.680ms        10.420ms   ~n^0.3
+ *   isPalindromeRecursive            0.392ms  stack overflow               -
+ *
+ * Any top-level function/class in the answers file that passes the whole
+ * table counts as an approach. Each file runs in its own vm sandbox with a
+ * fake clock (setTimeout, setInterval, Date.now), so debounce and promise
+ * questions finish instantly and loops that never end are cut off.
+ *
+ * Usage:
+ *   node js-interview-questions/check.js 01               playground/questions/01-*.js
+ *   node js-interview-questions/check.js two-sum          match by name
+ *   node js-interview-questions/check.js 24 --questions   questions/24-*.js
+ *   node js-interview-questions/check.js 24 --file my.js  any file
+ *   node js-interview-questions/check.js --all            every question, summary only
+ *   node js-interview-questions/check.js --all --answers  self-test the tables
+ *   --no-bench                                            skip the benchmark
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const vm = require('vm');
+const tables = require('./test-tables');
+
+const { AnyOf } = tables;
+const DIRS = {
+    playground: path.join(__dirname, 'playground/questions'),
+    questions: path.join(__dirname, 'questions'),
+    answers: path.join(__dirname, 'answers'),
+};
+const CALL_TIMEOUT = 2000; // per test case
+const BENCH_TIMEOUT = 5000; // per benchmark run
+const ASYNC_TIMEOUT = 2000; // for scenarios that return a promise
+
+// ===================== FAKE CLOCK =====================
+
+// Timers only fire when a scenario calls t.clock.tick(ms)
+function createClock() {
+    let now = 0;
+    let nextId = 1;
+    const timers = new Map();
+
+    const add = (fn, ms, args, repeat) => {
+        const delay = Math.max(0, Number(ms) || 0);
+        const id = nextId++;
+        timers.set(id, { id, at: now + delay, delay, fn, args, repeat });
+        return id;
+    };
+    const nextDue = (end) => {
+        let due = null;
+        for (const timer of timers.values()) {
+            if (timer.at > end) continue;
+            if (!due || timer.at < due.at || (timer.at === due.at && timer.id < due.id)) due = timer;
+        }
+        return due;
+    };
+    const fire = (timer) => {
+        now = timer.at;
+        if (timer.repeat) timer.at = now + Math.max(1, timer.delay);
+        else timers.delete(timer.id);
+        timer.fn(...timer.args);
+    };
+    // Lets promise callbacks run between timers
+    const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+    return {
+        get now() {
+            return now;
+        },
+        setTimeout: (fn, ms, ...args) => add(fn, ms, args, false),
+        setInterval: (fn, ms, ...args) => add(fn, ms, args, true),
+        clearTimeout: (id) => timers.delete(id),
+        tick(ms) {
+            const end = now + ms;
+            for (let timer = nextDue(end); timer; timer = nextDue(end)) fire(timer);
+            now = end;
+        },
+        async tickAsync(ms) {
+            const end = now + ms;
+            await flush();
+            for (let timer = nextDue(end); timer; timer = nextDue(end)) {
+                fire(timer);
+                await flush();
+            }
+            now = end;
+        },
+    };
+}
+
+// ===================== SANDBOX =====================
+
+// Runs inside the sandbox: rebuilds a table value with the sandbox's own
+// Array/Object so `instanceof Array` and friends behave in the solution
+const IMPORT_HELPER = `
+globalThis.__import = function __import(value) {
+    if (Array.isArray(value)) {
+        const out = [];
+        for (let i = 0; i < value.length; i++) out.push(__import(value[i]));
+        return out;
+    }
+    if (value && typeof value === 'object') {
+        const out = {};
+        for (const key of Object.keys(value)) out[key] = __import(value[key]);
+        return out;
+    }
+    return value;
+};
+Date.now = () => __host.clock.now;
+`;
+
+function createSandbox(file) {
+    const host = { clock: createClock(), logs: [] };
+    const context = vm.createContext({
+        __host: host,
+        console: {
+            log: (...args) => host.logs.push(args),
+            info: (...args) => host.logs.push(args),
+            warn: () => {},
+            error: () => {},
+            table: () => {},
+        },
+        setTimeout: (...args) => host.clock.setTimeout(...args),
+        setInterval: (...args) => host.clock.setInterval(...args),
+        clearTimeout: (id) => host.clock.clearTimeout(id),
+        clearInterval: (id) => host.clock.clearTimeout(id),
+        module: { exports: {} },
+        require,
+    });
+    vm.runInContext(IMPORT_HELPER, context);
+
+    let loadError = null;
+    try {
+        vm.runInContext(fs.readFileSync(file, 'utf8'), context, { filename: file, timeout: BENCH_TIMEOUT });
+    } catch (err) {
+        loadError = err;
+    }
+
+    const reset = () => {
+        host.clock = createClock();
+        host.logs = [];
+    };
+    // Names are looked up by evaluating them, which also reaches class and
+    // const declarations (those don't become properties of the global)
+    const lookup = (name) => {
+        try {
+            return vm.runInContext(`typeof ${name.split('.')[0]} === 'undefined' ? undefined : ${name}`, context);
+        } catch {
+            return undefined;
+        }
+    };
+    // Every call goes through runInContext so the timeout also covers it
+    const run = (code, globals, timeout = CALL_TIMEOUT) => {
+        Object.assign(context, globals);
+        return vm.runInContext(code, context, { timeout });
+    };
+    const compile = (fn) => vm.runInContext(`(${fn.toString()})`, context);
+
+    return { host, loadError, reset, lookup, run, compile };
+}
+
+// ===================== COMPARE =====================
+
+// Values come from two realms, so no instanceof / prototype checks
+function isEqual(a, b) {
+    if (a === b || (a !== a && b !== b)) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every((key) => Object.prototype.hasOwnProperty.call(b, key) && isEqual(a[key], b[key]));
+}
+
+const show = (value) => util.inspect(value, { depth: 6, compact: true, breakLength: Infinity, maxArrayLength: 30 });
+
+const sortedCopy = (value) => (Array.isArray(value) ? [...value].sort((a, b) => (show(a) < show(b) ? -1 : 1)) : value);
+
+function matches(actual, expected, spec) {
+    const options = expected instanceof AnyOf ? expected.options : [expected];
+    return options.some((option) =>
+        spec.unordered ? isEqual(sortedCopy(actual), sortedCopy(option)) : isEqual(actual, option)
+    );
+}
+
+const showExpected = (expected) =>
+    expected instanceof AnyOf ? `one of ${expected.options.map(show).join(' | ')}` : show(expected);
+
+const showCall = (name, args) => {
+    const text = `${name}(${args.map(show).join(', ')})`;
+    return text.length > 70 ? `${text.slice(0, 67)}...` : text;
+};
+
+const describeError = (err) => {
+    if (err && err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') return 'timeout';
+    if (err instanceof Error || (err && typeof err.message === 'string')) {
+        return /call stack/i.test(err.message) ? 'stack overflow' : `${err.name}: ${err.message}`;
+    }
+    return `threw ${show(err)}`;
+};
+
+// ===================== RUN A TABLE =====================
+
+const elapsed = (start) => Number(process.hrtime.bigint() - start) / 1e6;
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject({ code: 'ERR_SCRIPT_EXECUTION_TIMEOUT' }), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Rejections nobody handled. Node reports them once the microtask queue
+// drains, so a case waits one macrotask before checking for new ones; a
+// handler attached later (rejectionHandled) takes them back off the list.
+const unhandled = [];
+
+function trackUnhandledRejections() {
+    process.on('unhandledRejection', (reason, promise) => unhandled.push({ reason, promise }));
+    process.on('rejectionHandled', (promise) => {
+        const index = unhandled.findIndex((entry) => entry.promise === promise);
+        if (index !== -1) unhandled.splice(index, 1);
+    });
+}
+
+// Waits for Node to report, then hands back (and clears) what it reported
+async function takeUnhandled() {
+    await new Promise((resolve) => setImmediate(resolve));
+    return unhandled.splice(0).map(({ reason }) => reason);
+}
+
+// Runs one case or scenario; returns { ok, actual, expected, error, ms, label }
+async function runCase(sandbox, name, impl, spec, item) {
+    const result = await runCaseBody(sandbox, name, impl, spec, item);
+    const rejections = await takeUnhandled();
+    if (!rejections.length) return result;
+    // A case that passes but leaves a rejection unhandled still fails
+    const error = `unhandled rejection: ${rejections.map(describeError).join(', ')}`;
+    return { ...result, ok: false, error: result.error ? `${result.error}; ${error}` : error };
+}
+
+async function runCaseBody(sandbox, name, impl, spec, item) {
+    sandbox.reset();
+    const start = process.hrtime.bigint();
+    try {
+        let actual;
+        if (item.scenario) {
+            const t = { clock: sandbox.host.clock, logs: sandbox.host.logs };
+            actual = sandbox.run('__run(__impl, __t)', { __run: sandbox.compile(item.scenario.run), __impl: impl, __t: t });
+            if (actual && typeof actual.then === 'function') actual = await withTimeout(actual, ASYNC_TIMEOUT);
+        } else {
+            actual = sandbox.run('__impl(...__import(__args))', { __impl: impl, __args: item.args });
+            if (actual === undefined && spec.output === 'returnOrLog') {
+                actual = sandbox.host.logs.map((args) => args[0]);
+            }
+        }
+        const ok = matches(actual, item.expected, spec);
+        return { ok, actual, ms: elapsed(start), label: item.label, expected: item.expected };
+    } catch (err) {
+        return { ok: false, error: describeError(err), ms: elapsed(start), label: item.label, expected: item.expected };
+    }
+}
+
+function itemsFor(name, spec) {
+    const shortName = name.split('.').pop();
+    const cases = (spec.cases || []).map(([args, expected]) => ({ args, expected, label: showCall(shortName, args) }));
+    const scenarios = (spec.scenarios || []).map((scenario) => ({
+        scenario,
+        expected: scenario.expected,
+        label: `${shortName}: ${scenario.name}`,
+    }));
+    return [...cases, ...scenarios];
+}
+
+async function runTable(sandbox, name, impl, spec) {
+    const results = [];
+    for (const item of itemsFor(name, spec)) results.push(await runCase(sandbox, name, impl, spec, item));
+    return results;
+}
+
+// ===================== APPROACHES FROM answers/ =====================
+
+// Top-level declarations: function x, class X, const x =, Function.prototype.x =
+function declaredNames(source) {
+    const names = new Set();
+    const pattern = /^(?:async\s+function\s*\*?\s*|function\s*\*?\s*|class\s+|(?:const|let|var)\s+)([A-Za-z_$][\w$]*)|^(Function\.prototype\.[A-Za-z_$][\w$]*)\s*=/gm;
+    for (const m of source.matchAll(pattern)) names.add(m[1] || m[2]);
+    return [...names];
+}
+
+// Every declaration in the answers file that passes the whole table
+async function findApproaches(file, name, spec) {
+    if (!fs.existsSync(file)) return [];
+    const sandbox = createSandbox(file);
+    const approaches = [];
+    const isClassTarget = /^[A-Z]/.test(name);
+    for (const candidate of declaredNames(fs.readFileSync(file, 'utf8'))) {
+        if (name.includes('.') !== candidate.includes('.')) continue;
+        const impl = sandbox.lookup(candidate);
+        if (typeof impl !== 'function') continue;
+        // Class targets need a class, function targets need a non-class
+        const isClass = /^class\b/.test(Function.prototype.toString.call(impl));
+        if (isClassTarget !== isClass && !(isClassTarget && /^[A-Z]/.test(candidate))) continue;
+        const results = await runTable(sandbox, name, impl, spec);
+        if (results.every((r) => r.ok)) approaches.push({ label: candidate, sandbox, impl });
+    }
+    return approaches;
+}
+
+// ===================== BENCHMARK =====================
+
+// One timed call on a fresh input (building the input isn't timed)
+function benchOnce(approach, bench, size) {
+    const { sandbox, impl } = approach;
+    sandbox.reset();
+    sandbox.run('__args = __input(__size)', { __input: sandbox.compile(bench.input), __size: size });
+    const call = bench.call ? sandbox.compile(bench.call) : null;
+    const code = call ? '__call(__impl, ...__args)' : '__impl(...__args)';
+    const start = process.hrtime.bigint();
+    sandbox.run(code, { __call: call, __impl: impl }, BENCH_TIMEOUT);
+    return elapsed(start);
+}
+
+// Best of up to 5 runs, stopping once 100ms have been spent, so fast
+// sizes aren't just measuring JIT warm-up
+function benchOne(approach, bench, size) {
+    try {
+        let best = Infinity;
+        let spent = 0;
+        for (let i = 0; i < 5 && spent < 100; i++) {
+            const ms = benchOnce(approach, bench, size);
+            best = Math.min(best, ms);
+            spent += ms;
+        }
+        return { ms: best };
+    } catch (err) {
+        return { error: describeError(err) };
+    }
+}
+
+// log(t2/t1) / log(n2/n1) over the last two sizes that both finished
+function growth(sizes, runs) {
+    const done = runs.map((r, i) => ({ n: sizes[i], ms: r && r.ms })).filter((r) => r.ms > 0);
+    if (done.length < 2) return '';
+    const [a, b] = done.slice(-2);
+    if (b.ms < 1) return ''; // too fast to tell
+    const exponent = Math.log(b.ms / a.ms) / Math.log(b.n / a.n);
+    return exponent > 4 ? 'exponential?' : `~n^${Math.max(0, exponent).toFixed(1)}`;
+}
+
+function printBench(name, bench, approaches) {
+    const pad = Math.max(12, ...approaches.map((a) => a.label.length)) + 2;
+    const heads = bench.sizes.map((n) => n.toLocaleString('en-US').padStart(16));
+    console.log(`\n  ${name.padEnd(pad)}${heads.join('')}   growth`);
+    for (const approach of approaches) {
+        const runs = [];
+        for (const size of bench.sizes) {
+            // Once a size times out or overflows, bigger ones will too
+            const previous = runs[runs.length - 1];
+            runs.push(previous && previous.error ? null : benchOne(approach, bench, size));
+        }
+        const cells = runs.map((r) => (!r ? '-' : r.error ? r.error : `${r.ms.toFixed(3)}ms`).padStart(16));
+        console.log(`  ${approach.label.padEnd(pad)}${cells.join('')}   ${growth(bench.sizes, runs)}`);
+    }
+}
+
+// ===================== CHECK ONE QUESTION =====================
+
+function resolveQuestion(query) {
+    const slugs = Object.keys(tables).filter((key) => key !== 'AnyOf');
+    const wanted = String(query).toLowerCase().replace(/\.js$/, '');
+    return (
+        slugs.find((slug) => slug === wanted) ||
+        slugs.find((slug) => slug.slice(0, 2) === wanted.padStart(2, '0')) ||
+        slugs.find((slug) => slug.includes(wanted))
+    );
+}
+
+async function checkQuestion(slug, options) {
+    const file = options.file || path.join(DIRS[options.source], `${slug}.js`);
+    const answersFile = path.join(DIRS.answers, `${slug}.js`);
+    const sandbox = createSandbox(file);
+    const summary = { slug, passed: 0, total: 0, missing: [] };
+    const quiet = options.all;
+
+    if (!quiet) console.log(`\n=== ${slug} (${path.relative(process.cwd(), file)}) ===`);
+    if (sandbox.loadError && !quiet) console.log(`  (file threw while loading: ${describeError(sandbox.loadError)})`);
+    // Report these here rather than against the first case
+    const loadRejections = await takeUnhandled();
+    if (loadRejections.length && !quiet) {
+        console.log(`  (file left rejections unhandled while loading: ${loadRejections.map(describeError).join(', ')})`);
+    }
+
+    for (const [name, spec] of Object.entries(tables[slug])) {
+        const impl = sandbox.lookup(name);
+        const items = itemsFor(name, spec);
+        summary.total += items.length;
+        if (typeof impl !== 'function') {
+            summary.missing.push(name);
+            if (!quiet) console.log(`\n  ${name}: not defined in this file`);
+            continue;
+        }
+
+        const results = await runTable(sandbox, name, impl, spec);
+        summary.passed += results.filter((r) => r.ok).length;
+        if (!quiet) console.log(`\n  ${name}`);
+        for (const r of results) {
+            if (quiet && r.ok) continue;
+            if (quiet) console.log(`  ${slug}`);
+            console.log(`    ${r.ok ? 'PASS' : 'FAIL'}  ${r.label.padEnd(60)} ${r.ms.toFixed(3)}ms`);
+            if (r.ok) continue;
+            console.log(`          expected: ${showExpected(r.expected)}`);
+            console.log(`          actual:   ${r.error || show(r.actual)}`);
+        }
+
+        if (options.bench && spec.bench && results.every((r) => r.ok)) {
+            const approaches = await findApproaches(answersFile, name, spec);
+            printBench(name, spec.bench, [{ label: 'attempt', sandbox, impl }, ...approaches]);
+        }
+    }
+
+    if (!quiet) {
+        console.log(`\n  ${summary.passed}/${summary.total} passed`);
+    }
+    return summary;
+}
+
+// ===================== CLI =====================
+
+async function main(argv) {
+    const flag = (name) => argv.includes(name);
+    const fileAt = argv.indexOf('--file');
+    const options = {
+        source: flag('--answers') ? 'answers' : flag('--questions') ? 'questions' : 'playground',
+        file: fileAt !== -1 ? path.resolve(argv[fileAt + 1]) : null,
+        bench: !flag('--no-bench') && !flag('--all'),
+        all: flag('--all'),
+    };
+    const positional = argv.filter((arg, i) => !arg.startsWith('--') && argv[i - 1] !== '--file');
+
+    if (options.all) {
+        const slugs = Object.keys(tables).filter((key) => key !== 'AnyOf');
+        let passed = 0;
+        let total = 0;
+        for (const slug of slugs) {
+            const summary = await checkQuestion(slug, options);
+            passed += summary.passed;
+            total += summary.total;
+            const status = summary.passed === summary.total ? 'ok  ' : 'FAIL';
+            const missing = summary.missing.length ? `  (missing: ${summary.missing.join(', ')})` : '';
+            console.log(`${status} ${slug.padEnd(30)} ${summary.passed}/${summary.total}${missing}`);
+        }
+        console.log(`\n${passed}/${total} cases passed across ${slugs.length} questions (${options.source})`);
+        return passed === total;
+    }
+
+    const query = positional[0] || (options.file && path.basename(options.file));
+    const slug = query && resolveQuestion(query);
+    if (!slug) {
+        console.log('Usage: node js-interview-questions/check.js <number|name> [--questions|--answers] [--file path] [--no-bench]');
+        console.log('       node js-interview-questions/check.js --all [--questions|--answers]');
+        return false;
+    }
+    const summary = await checkQuestion(slug, options);
+    return summary.passed === summary.total;
+}
+
+if (require.main === module) {
+    // Unfinished attempts often leave rejected promises unhandled: record
+    // them and fail the case instead of letting Node crash the run
+    trackUnhandledRejections();
+    main(process.argv.slice(2)).then((ok) => {
+        process.exitCode = ok ? 0 : 1;
+    });
+}
+
+module.exports = { createSandbox, createClock, isEqual, declaredNames };
+
+// RUN: node js-interview-questions/check.js 01
@@ -0,0 +1,1287 @@
+/**
+ * Test Tables for the 50 JavaScript Interview Questions
+ *
+ * One entry per question file, keyed by the file name without `.js`.
+ * Each entry maps the function (or class) the question asks for to:
+ *
+ * - cases:     [args, expected] pairs — the examples from the question
+ *              header first, then edge cases
+ * - scenarios: { name, run, expected } for things that can't be a single
+ *              call (classes, debounce, bind, promises). `run(impl, t)`
+ *              executes INSIDE the question's sandbox, so it must only use
+ *              its parameters. `t.clock` is a fake timer clock and
+ *              `t.logs` holds console.log calls made so far.
+ * - bench:     { input(n) -> args, sizes } — large inputs used to compare
+ *              the attempt against every approach in answers/
+ * - output:    'returnOrLog' when printing the result is also accepted
+ * - unordered: true when the order of the returned array doesn't matter
+ *
+ * Run: node js-interview-questions/check.js <question-number>
+ */
+
+// Marks a case that accepts more than one answer ("Hello" or "world")
+class AnyOf {
+    constructor(options) {
+        this.options = options;
+    }
+}
+const anyOf = (...options) => new AnyOf(options);
+
+module.exports = {
+    AnyOf,
+
+    // ==================== String Manipulation (1-10) ====================
+
+    '01-palindrome': {
+        isPalindrome: {
+            cases: [
+                [["madam"], true],
+                [["racecar"], true],
+                [["hello"], false],
+                [["A man a plan a canal Panama"], true],
+                [[""], true],
+                [["a"], true],
+                [["ab"], false],
+                [["No 'x' in Nixon"], true],
+                [["Was it a car or a cat I saw?"], true],
+                [["12321"], true],
+            ],
+            bench: {
+                input: (n) => {
+                    const half = 'abc'.repeat(Math.floor(n / 6));
+                    return [half + half.split('').reverse().join('')];
+                },
+                sizes: [1e4, 1e5, 1e6],
+            },
+        },
+    },
+
+    '02-anagram': {
+        isAnagram: {
+            cases: [
+                [["listen", "silent"], true],
+                [["triangle", "integral"], true],
+                [["hello", "world"], false],
+                [["Dormitory", "Dirty room"], true],
+                [["Astronomer", "Moon starer"], true],
+                [["", ""], true],
+                [["a", "ab"], false],
+                [["aab", "abb"], false],
+            ],
+            bench: {
+                input: (n) => {
+                    let s = '';
+                    for (let i = 0; i < n; i++) s += String.fromCharCode(97 + ((i * 7) % 26));
+                    return [s, s.split('').reverse().join('')];
+                },
+                sizes: [1e4, 1e5, 1e6],
+            },
+        },
+    },
+
+    '03-prime-number': {
+        isPrime: {
+            cases: [
+                [[2], true],
+                [[7], true],
+                [[10], false],
+                [[1], false],
+                [[97], true],
+                [[0], false],
+                [[-7], false],
+                [[3], true],
+                [[4], false],
+                [[25], false],
+                [[7919], true],
+            ],
+            // 1e6+3, 1e7+19 and 1e8+7 are prime: worst case for trial division
+            bench: { input: (n) => [n], sizes: [1000003, 10000019, 100000007] },
+        },
+        findPrimesUpTo: {
+            cases: [
+                [[30], [2, 3, 5, 7, 11, 13, 17, 19, 23, 29]],
+                [[2], [2]],
+                [[1], []],
+                [[10], [2, 3, 5, 7]],
+            ],
+            bench: { input: (n) => [n], sizes: [1e4, 1e5, 1e6] },
+        },
+    },
+
+    '04-reverse-string': {
+        reverseString: {
+            cases: [
+                [["hello"], "olleh"],
+                [["JavaScript"], "tpircSavaJ"],
+                [["12345"], "54321"],
+                [[""], ""],
+                [["a"], "a"],
+                [["ab c"], "c ba"],
+            ],
+            bench: { input: (n) => ['ab'.repeat(n / 2)], sizes: [1e3, 1e4, 1e5] },
+        },
+    },
+
+    '05-fizzbuzz': {
+        fizzBuzz: {
+            output: 'returnOrLog',
+            cases: [
+                [[15], [1, 2, "Fizz", 4, "Buzz", "Fizz", 7, 8, "Fizz", "Buzz", 11, "Fizz", 13, 14, "FizzBuzz"]],
+                [[5], [1, 2, "Fizz", 4, "Buzz"]],
+                [[1], [1]],
+                [[0], []],
+            ],
+        },
+    },
+
+    '06-vowel-count': {
+        countVowels: {
+            cases: [
+                [["hello"], 2],
+                [["JavaScript"], 3],
+                [["rhythm"], 0],
+                [["AEIOU"], 5],
+                [[""], 0],
+                [["Programming Is Fun"], 5],
+            ],
+            bench: { input: (n) => ['abcde'.repeat(n / 5)], sizes: [1e4, 1e5, 1e6] },
+        },
+    },
+
+    '07-capitalize-words': {
+        capitalizeWords: {
+            cases: [
+                [["hello world"], "Hello World"],
+                [["javascript is awesome"], "Javascript Is Awesome"],
+                [["i love coding"], "I Love Coding"],
+                [["ALREADY CAPS"], anyOf("Already Caps", "ALREADY CAPS")],
+                [["a"], "A"],
+                [[""], ""],
+            ],
+            bench: { input: (n) => ['word '.repeat(n / 5).trim()], sizes: [1e4, 1e5, 1e6] },
+        },
+    },
+
+    '08-longest-word': {
+        findLongestWord: {
+            cases: [
+                [["The quick brown fox"], "quick"],
+                [["I love JavaScript programming"], "programming"],
+                [["Hello, world!"], anyOf("Hello", "world")],
+                [["a"], "a"],
+                [["same size word"], "same"],
+            ],
+            bench: {
+                input: (n) => {
+                    const words = [];
+                    for (let i = 0; i < n / 8; i++) words.push('w'.repeat(1 + (i % 7)));
+                    return [words.join(' ')];
+                },
+                sizes: [1e4, 1e5, 1e6],
+            },
+        },
+    },
+
+    '09-remove-duplicates-string': {
+        removeDuplicates: {
+            cases: [
+                [["hello"], "helo"],
+                [["programming"], "progamin"],
+                [["aabbcc"], "abc"],
+                [["abcABC"], "abcABC"],
+                [[""], ""],
+                [["aaaa"], "a"],
+            ],
+            bench: {
+                input: (n) => {
+                    let s = '';
+                    for (let i = 0; i < n; i++) s += String.fromCharCode(33 + (i % 90));
+                    return [s];
+                },
+                sizes: [1e4, 1e5, 1e6],
+            },
+        },
+    },
+
+    '10-character-frequency': {
+        charFrequency: {
+            cases: [
+                [["hello"], { h: 1, e: 1, l: 2, o: 1 }],
+                [["aabbcc"], { a: 2, b: 2, c: 2 }],
+                [[""], {}],
+                [["aA"], { a: 1, A: 1 }],
+            ],
+            bench: { input: (n) => ['hello world '.repeat(n / 12)], sizes: [1e4, 1e5, 1e6] },
+        },
+        mostFrequentChar: {
+            cases: [
+                [["hello"], "l"],
+                [["aabbbcc"], "b"],
+                [["z"], "z"],
+            ],
+        },
+    },
+
+    // ==================== Number/Math Problems (11-20) ====================
+
+    '11-factorial': {
+        factorial: {
+            cases: [
+                [[5], 120],
+                [[0], 1],
+                [[1], 1],
+                [[10], 3628800],
+                [[3], 6],
+                [[20], 2432902008176640000],
+            ],
+            bench: { input: (n) => [n], sizes: [100, 1000, 10000] },
+        },
+    },
+
+    '12-fibonacci': {
+        fibonacci: {
+            cases: [
+                [[6], 8],
+                [[10], 55],
+                [[0], 0],
+                [[1], 1],
+                [[2], 1],
+                [[20], 6765],
+            ],
+            // Small sizes on purpose: the naive recursive approach is O(2^n)
+            bench: { input: (n) => [n], sizes: [15, 20, 25] },
+        },
+        fibonacciSequence: {
+            cases: [
+                [[7], [0, 1, 1, 2, 3, 5, 8]],
+                [[1], [0]],
+                [[2], [0, 1]],
+                [[0], []],
+            ],
+        },
+    },
+
+    '13-reverse-integer': {
+        reverseInteger: {
+            cases: [
+                [[123], 321],
+                [[-456], -654],
+                [[1200], 21],
+                [[0], 0],
+                [[5], 5],
+                [[-10], -1],
+            ],
+        },
+    },
+
+    '14-armstrong-number': {
+        isArmstrong: {
+            cases: [
+                [[153], true],
+                [[370], true],
+                [[371], true],
+                [[123], false],
+                [[9474], true],
+                [[0], true],
+                [[9], true],
+                [[10], false],
+            ],
+        },
+    },
+
+    '15-gcd-lcm': {
+        gcd: {
+            cases: [
+                [[12, 18], 6],
+                [[48, 18], 6],
+                [[17, 5], 1],
+                [[0, 9], 9],
+                [[9, 0], 9],
+                [[7, 7], 7],
+            ],
+            // Consecutive Fibonacci numbers are the worst case for Euclid
+            bench: {
+                input: (n) => {
+                    let a = 1, b = 1;
+                    for (let i = 0; i < n; i++) [a, b] = [b, a + b];
+                    return [b, a];
+                },
+                sizes: [10, 30, 70],
+            },
+        },
+        lcm: {
+            cases: [
+                [[4, 6], 12],
+                [[3, 5], 15],
+                [[7, 7], 7],
+                [[1, 9], 9],
+            ],
+        },
+    },
+
+    '16-sum-of-digits': {
+        sumOfDigits: {
+            cases: [
+                [[123], 6],
+                [[9999], 36],
+                [[-45], 9],
+                [[0], 0],
+                [[7], 7],
+            ],
+        },
+        digitalRoot: {
+            cases: [
+                [[9999], 9],
+                [[123456], 3],
+                [[0], 0],
+                [[5], 5],
+                [[38], 2],
+            ],
+        },
+    },
+
+    '17-power-of-two': {
+        isPowerOfTwo: {
+            cases: [
+                [[16], true],
+                [[18], false],
+                [[1], true],
+                [[1024], true],
+                [[0], false],
+                [[-8], false],
+                [[6], false],
+            ],
+        },
+        isPowerOf: {
+            cases: [
+                [[27, 3], true],
+                [[1, 5], true],
+                [[28, 3], false],
+                [[125, 5], true],
+                [[0, 2], false],
+            ],
+        },
+    },
+
+    '18-perfect-number': {
+        isPerfectNumber: {
+            cases: [
+                [[6], true],
+                [[28], true],
+                [[12], false],
+                [[496], true],
+                [[8128], true],
+                [[1], false],
+                [[0], false],
+            ],
+            // 33550336 is the 5th perfect number: O(n) vs O(sqrt n) shows up here
+            bench: { input: (n) => [n], sizes: [8128, 33550336, 137438691328] },
+        },
+    },
+
+    '19-binary-decimal': {
+        decimalToBinary: {
+            cases: [
+                [[10], "1010"],
+                [[255], "11111111"],
+                [[0], "0"],
+                [[1], "1"],
+                [[8], "1000"],
+            ],
+        },
+        binaryToDecimal: {
+            cases: [
+                [["1010"], 10],
+                [["11111111"], 255],
+                [["0"], 0],
+                [["1"], 1],
+                [["1000"], 8],
+            ],
+        },
+    },
+
+    '20-missing-number': {
+        findMissingNumber: {
+            cases: [
+                [[[3, 0, 1]], 2],
+                [[[0, 1]], 2],
+                [[[9, 6, 4, 2, 3, 5, 7, 0, 1]], 8],
+                [[[0]], 1],
+                [[[1]], 0],
+            ],
+            bench: {
+                input: (n) => {
+                    const nums = [];
+                    for (let i = n; i >= 0; i--) if (i !== Math.floor(n / 3)) nums.push(i);
+                    return [nums];
+                },
+                sizes: [1e4, 1e5, 1e6],
+            },
+        },
+    },
+
+    // ==================== Array Problems (21-30) ====================
+
+    '21-remove-duplicates-array': {
+        removeDuplicates: {
+            cases: [
+                [[[1, 2, 2, 3, 4, 4, 5]], [1, 2, 3, 4, 5]],
+                [[['a', 'b', 'a', 'c', 'b']], ['a', 'b', 'c']],
+                [[[1, '1', 2, '2']], [1, '1', 2, '2']],
+                [[[]], []],
+                [[[true, false, true]], [true, false]],
+            ],
+            bench: {
+                input: (n) => {
+                    const arr = [];
+                    for (let i = 0; i < n; i++) arr.push(i % (n / 2));
+                    return [arr];
+                },
+                sizes: [1e3, 1e4, 1e5],
+            },
+        },
+    },
+
+    '22-array-flatten': {
+        flattenArray: {
+            cases: [
+                [[[1, [2, 3], [4, [5, 6]]]], [1, 2, 3, 4, 5, 6]],
+                [[[[1, 2], [3, 4]]], [1, 2, 3, 4]],
+                [[[]], []],
+                [[[[[[[1]]]]]], [1]],
+                [[[1, [], [2, []]]], [1, 2]],
+            ],
+            bench: {
+                input: (n) => {
+                    const arr = [];
+                    for (let i = 0; i < n / 4; i++) arr.push([i, [i, [i, i]]]);
+                    return [arr];
+                },
+                sizes: [1e4, 1e5, 1e6],
+            },
+        },
+        flattenToDepth: {
+            cases: [
+                [[[1, [2, [3, [4]]]], 1], [1, 2, [3, [4]]]],
+                [[[1, [2, [3, [4]]]], 2], [1, 2, 3, [4]]],
+                [[[1, [2, [3, [4]]]], 0], [1, [2, [3, [4]]]]],
+                [[[1, [2, [3, [4]]]], Infinity], [1, 2, 3, 4]],
+            ],
+        },
+    },
+
+    '23-array-chunk': {
+        chunkArray: {
+            cases: [
+                [[[1, 2, 3, 4, 5], 2], [[1, 2], [3, 4], [5]]],
+                [[[1, 2, 3, 4], 3], [[1, 2, 3], [4]]],
+                [[[1, 2, 3], 1], [[1], [2], [3]]],
+                [[[1, 2, 3], 5], [[1, 2, 3]]],
+                [[[], 2], []],
+            ],
+            bench: {
+                input: (n) => [Array.from({ length: n }, (_, i) => i), 3],
+                sizes: [1e4, 1e5, 1e6],
+            },
+        },
+    },
+
+    '24-two-sum': {
+        twoSum: {
+            cases: [
+                [[[2, 7, 11, 15], 9], [0, 1]],
+                [[[3, 2, 4], 6], [1, 2]],
+                [[[3, 3], 6], [0, 1]],
+                [[[-1, -2, -3, -4, -5], -8], [2, 4]],
+                [[[0, 4, 3, 0], 0], [0, 3]],
+            ],
+            // The only pair sits at the very end: brute force is O(n^2)
+            bench: {
+                input: (n) => {
+                    const nums = Array.from({ length: n }, (_, i) => i * 2);
+                    return [nums, nums[n - 1] + nums[n - 2]];
+                },
+                sizes: [1e3, 3e3, 1e4],
+            },
+        },
+    },
+
+    '25-max-min-array': {
+        findMax: {
+            cases: [
+                [[[3, 1, 4, 1, 5, 9, 2, 6]], 9],
+                [[[-5, -2, -9]], -2],
+                [[[42]], 42],
+                [[[]], undefined],
+            ],
+            bench: { input: (n) => [Array.from({ length: n }, (_, i) => (i * 7919) % n)], sizes: [1e4, 1e5, 1e6] },
+        },
+        findMin: {
+            cases: [
+                [[[3, 1, 4, 1, 5, 9, 2, 6]], 1],
+                [[[-5, -2, -9]], -9],
+                [[[42]], 42],
+                [[[]], undefined],
+            ],
+        },
+        findMinMax: {
+            cases: [
+                [[[3, 1, 4, 1, 5, 9, 2, 6]], { min: 1, max: 9 }],
+                [[[7]], { min: 7, max: 7 }],
+            ],
+        },
+    },
+
+    '26-array-rotation': {
+        rotateLeft: {
+            cases: [
+                [[[1, 2, 3, 4, 5], 2], [3, 4, 5, 1, 2]],
+                [[[1, 2, 3], 5], [3, 1, 2]],
+                [[[1, 2, 3], 0], [1, 2, 3]],
+                [[[1, 2, 3], 3], [1, 2, 3]],
+                [[[1, 2, 3, 4, 5], -1], [5, 1, 2, 3, 4]],
+            ],
+            bench: {
+                input: (n) => [Array.from({ length: n }, (_, i) => i), Math.floor(n / 3)],
+                sizes: [1e3, 1e4, 1e5],
+            },
+        },
+        rotateRight: {
+            cases: [
+                [[[1, 2, 3, 4, 5], 2], [4, 5, 1, 2, 3]],
+                [[[1, 2, 3], 4], [3, 1, 2]],
+                [[[1, 2, 3], 0], [1, 2, 3]],
+                [[[1, 2, 3, 4, 5], -1], [2, 3, 4, 5, 1]],
+            ],
+        },
+    },
+
+    '27-array-intersection': {
+        intersection: {
+            unordered: true,
+            cases: [
+                [[[1, 2, 3], [2, 3, 4]], [2, 3]],
+                [[[1, 2, 2, 3], [2, 2, 3, 4]], anyOf([2, 2, 3], [2, 3])],
+                [[[1, 2], [3, 4]], []],
+                [[[], [1]], []],
+            ],
+            bench: {
+                input: (n) => [
+                    Array.from({ length: n }, (_, i) => i),
+                    Array.from({ length: n }, (_, i) => i * 2),
+                ],
+                sizes: [1e3, 1e4, 1e5],
+            },
+        },
+        union: {
+            unordered: true,
+            cases: [
+                [[[1, 2, 3], [2, 3, 4]], [1, 2, 3, 4]],
+                [[[], []], []],
+                [[[1, 1], [1]], [1]],
+            ],
+        },
+    },
+
+    '28-sort-array': {
+        bubbleSort: {
+            cases: [
+                [[[64, 34, 25, 12, 22, 11, 90]], [11, 12, 22, 25, 34, 64, 90]],
+                [[[]], []],
+                [[[1]], [1]],
+                [[[3, 3, 1, 2]], [1, 2, 3, 3]],
+                [[[5, -1, 0, -10]], [-10, -1, 0, 5]],
+            ],
+            bench: {
+                input: (n) => [Array.from({ length: n }, (_, i) => (i * 7919) % n)],
+                sizes: [1e3, 3e3, 1e4],
+            },
+        },
+        selectionSort: {
+            cases: [
+                [[[64, 34, 25, 12, 22, 11, 90]], [11, 12, 22, 25, 34, 64, 90]],
+                [[[]], []],
+                [[[3, 3, 1, 2]], [1, 2, 3, 3]],
+            ],
+        },
+        quickSort: {
+            cases: [
+                [[[64, 34, 25, 12, 22, 11, 90]], [11, 12, 22, 25, 34, 64, 90]],
+                [[[]], []],
+                [[[3, 3, 1, 2]], [1, 2, 3, 3]],
+                [[[10, 9, 8, 7, 6, 5]], [5, 6, 7, 8, 9, 10]],
+            ],
+        },
+    },
+
+    '29-binary-search': {
+        binarySearch: {
+            cases: [
+                [[[1, 3, 5, 7, 9, 11], 7], 3],
+                [[[1, 3, 5, 7, 9, 11], 6], -1],
+                [[[1, 3, 5, 7, 9, 11], 1], 0],
+                [[[1, 3, 5, 7, 9, 11], 11], 5],
+                [[[], 1], -1],
+                [[[4], 4], 0],
+            ],
+            bench: {
+                input: (n) => [Array.from({ length: n }, (_, i) => i * 2), n + 1],
+                sizes: [1e4, 1e5, 1e6],
+            },
+        },
+    },
+
+    '30-move-zeros': {
+        moveZeros: {
+            cases: [
+                [[[0, 1, 0, 3, 12]], [1, 3, 12, 0, 0]],
+                [[[1, 2, 0, 0, 3]], [1, 2, 3, 0, 0]],
+                [[[0, 0, 0, 1]], [1, 0, 0, 0]],
+                [[[1, 2, 3]], [1, 2, 3]],
+                [[[]], []],
+            ],
+            bench: {
+                input: (n) => [Array.from({ length: n }, (_, i) => (i % 3 === 0 ? 0 : i))],
+                sizes: [1e4, 1e5, 1e6],
+            },
+        },
+    },
+
+    // ==================== Object/Function Problems (31-40) ====================
+
+    '31-deep-clone': {
+        deepClone: {
+            scenarios: [
+                {
+                    name: 'nested objects and arrays are copied',
+                    run: (deepClone) => {
+                        const original = { a: 1, b: { c: 2 }, d: [1, 2, { e: 3 }] };
+                        const cloned = deepClone(original);
+                        cloned.b.c = 100;
+                        cloned.d[2].e = 300;
+                        return [original.b.c, original.d[2].e, cloned.b.c, Array.isArray(cloned.d)];
+                    },
+                    expected: [2, 3, 100, true],
+                },
+                {
+                    name: 'primitives and null come back as-is',
+                    run: (deepClone) => [deepClone(5), deepClone('s'), deepClone(null), deepClone(undefined)],
+                    expected: [5, 's', null, undefined],
+                },
+                {
+                    name: 'clone is equal but not the same reference',
+                    run: (deepClone) => {
+                        const original = { list: [{ x: 1 }], empty: {} };
+                        const cloned = deepClone(original);
+                        return [
+                            cloned !== original,
+                            cloned.list[0] !== original.list[0],
+                            JSON.stringify(cloned) === JSON.stringify(original),
+                        ];
+                    },
+                    expected: [true, true, true],
+                },
+            ],
+            bench: {
+                input: (n) => {
+                    const root = { items: [] };
+                    for (let i = 0; i < n; i++) root.items.push({ id: i, tags: ['a', 'b'], meta: { ok: true } });
+                    return [root];
+                },
+                sizes: [1e3, 1e4, 1e5],
+            },
+        },
+    },
+
+    '32-object-compare': {
+        deepEqual: {
+            cases: [
+                [[{ a: 1 }, { a: 1 }], true],
+                [[{ a: { b: 2 } }, { a: { b: 2 } }], true],
+                [[[1, 2, 3], [1, 2, 3]], true],
+                [[{ a: 1 }, { a: 2 }], false],
+                [[null, null], true],
+                [[{ a: 1 }, { a: 1, b: 2 }], false],
+                [[{ a: 1, b: 2 }, { b: 2, a: 1 }], true],
+                [[null, {}], false],
+                [[1, '1'], false],
+                [[[1, [2, 3]], [1, [2, 4]]], false],
+            ],
+        },
+    },
+
+    '33-flatten-object': {
+        flattenObject: {
+            cases: [
+                [[{ a: { b: { c: 1 } }, d: 2 }], { 'a.b.c': 1, d: 2 }],
+                [[{ a: [1, 2, { b: 3 }] }], { 'a.0': 1, 'a.1': 2, 'a.2.b': 3 }],
+                [[{}], {}],
+                [[{ x: null }], { x: null }],
+            ],
+        },
+        unflattenObject: {
+            cases: [
+                [[{ 'a.b.c': 1, d: 2 }], { a: { b: { c: 1 } }, d: 2 }],
+                [[{}], {}],
+            ],
+        },
+    },
+
+    '34-merge-objects': {
+        deepMerge: {
+            cases: [
+                [[{ a: 1, b: { c: 2 } }, { b: { d: 3 }, e: 4 }], { a: 1, b: { c: 2, d: 3 }, e: 4 }],
+                [[{ a: 1 }, { a: 2 }], { a: 2 }],
+                [[{ a: { x: 1 } }, { a: { y: 2 } }, { a: { z: 3 } }], { a: { x: 1, y: 2, z: 3 } }],
+                [[{}], {}],
+                [[{ a: { b: 1 } }, { a: 5 }], { a: 5 }],
+            ],
+        },
+    },
+
+    '35-debounce-throttle': {
+        debounce: {
+            scenarios: [
+                {
+                    name: 'burst of calls runs once with the last args',
+                    run: (debounce, t) => {
+                        const calls = [];
+                        const debounced = debounce((x) => calls.push(x), 100);
+                        debounced(1);
+                        t.clock.tick(50);
+                        debounced(2);
+                        t.clock.tick(50);
+                        debounced(3);
+                        t.clock.tick(99);
+                        const before = calls.slice();
+                        t.clock.tick(1);
+                        return { before, after: calls };
+                    },
+                    expected: { before: [], after: [3] },
+                },
+                {
+                    name: 'calls spaced out by more than the delay all run',
+                    run: (debounce, t) => {
+                        const calls = [];
+                        const debounced = debounce((x) => calls.push(x), 100);
+                        debounced('a');
+                        t.clock.tick(150);
+                        debounced('b');
+                        t.clock.tick(150);
+                        return calls;
+                    },
+                    expected: ['a', 'b'],
+                },
+                {
+                    name: 'keeps `this`',
+                    run: (debounce, t) => {
+                        let seen;
+                        const obj = { name: 'obj', fn: debounce(function () { seen = this && this.name; }, 10) };
+                        obj.fn();
+                        t.clock.tick(10);
+                        return seen;
+                    },
+                    expected: 'obj',
+                },
+            ],
+        },
+        throttle: {
+            scenarios: [
+                {
+                    name: 'first call runs immediately, rest are dropped within the limit',
+                    run: (throttle, t) => {
+                        const calls = [];
+                        const throttled = throttle((x) => calls.push(x), 100);
+                        throttled(1);
+                        throttled(2);
+                        t.clock.tick(50);
+                        throttled(3);
+                        const during = calls.slice();
+                        t.clock.tick(60);
+                        throttled(4);
+                        return { during, first: calls[0], ranAgain: calls.includes(4) };
+                    },
+                    expected: { during: [1], first: 1, ranAgain: true },
+                },
+            ],
+        },
+    },
+
+    '36-implement-bind': {
+        'Function.prototype.myBind': {
+            scenarios: [
+                {
+                    name: 'binds this and preset args',
+                    run: (myBind) => {
+                        function add(y, z) { return this.x + y + z; }
+                        return myBind.call(add, { x: 10 }, 5)(3);
+                    },
+                    expected: 18,
+                },
+                {
+                    name: 'all args at call time',
+                    run: (myBind) => {
+                        function greet(greeting, punctuation) { return `${greeting}, ${this.name}${punctuation}`; }
+                        return myBind.call(greet, { name: 'John' })('Hello', '!');
+                    },
+                    expected: 'Hello, John!',
+                },
+                {
+                    name: 'partial application with null this',
+                    run: (myBind) => {
+                        function multiply(a, b) { return a * b; }
+                        return myBind.call(multiply, null, 2)(21);
+                    },
+                    expected: 42,
+                },
+            ],
+        },
+    },
+
+    '37-currying': {
+        curry: {
+            scenarios: [
+                {
+                    name: 'header examples',
+                    run: (curry) => {
+                        const curriedAdd = curry((a, b, c) => a + b + c);
+                        return [curriedAdd(1)(2)(3), curriedAdd(1, 2)(3), curriedAdd(1)(2, 3), curriedAdd(1, 2, 3)];
+                    },
+                    expected: [6, 6, 6, 6],
+                },
+                {
+                    name: 'partially applied functions are reusable',
+                    run: (curry) => {
+                        const multiply = curry((a, b, c) => a * b * c);
+                        const double = multiply(2);
+                        return [double(3)(4), double(5)(1)];
+                    },
+                    expected: [24, 10],
+                },
+                {
+                    name: 'single-argument functions',
+                    run: (curry) => curry((x) => x * 2)(21),
+                    expected: 42,
+                },
+            ],
+        },
+    },
+
+    '38-memoization': {
+        memoize: {
+            scenarios: [
+                {
+                    name: 'computes once per argument',
+                    run: (memoize) => {
+                        let callCount = 0;
+                        const memoized = memoize((n) => {
+                            callCount++;
+                            return n * n;
+                        });
+                        return [memoized(5), memoized(5), memoized(6), callCount];
+                    },
+                    expected: [25, 25, 36, 2],
+                },
+                {
+                    name: 'caches falsy results too',
+                    run: (memoize) => {
+                        let callCount = 0;
+                        const memoized = memoize((n) => {
+                            callCount++;
+                            return n - n;
+                        });
+                        memoized(3);
+                        memoized(3);
+                        return callCount;
+                    },
+                    expected: 1,
+                },
+            ],
+        },
+    },
+
+    '39-event-emitter': {
+        EventEmitter: {
+            scenarios: [
+                {
+                    name: 'on + emit pass arguments to every listener',
+                    run: (EventEmitter) => {
+                        const emitter = new EventEmitter();
+                        const seen = [];
+                        emitter.on('greet', (name) => seen.push(`Hello, ${name}!`));
+                        emitter.on('greet', (name) => seen.push(`Hi, ${name}`));
+                        emitter.emit('greet', 'John');
+                        emitter.emit('greet', 'Jane');
+                        return seen;
+                    },
+                    expected: ['Hello, John!', 'Hi, John', 'Hello, Jane!', 'Hi, Jane'],
+                },
+                {
+                    name: 'off removes a listener',
+                    run: (EventEmitter) => {
+                        const emitter = new EventEmitter();
+                        let count = 0;
+                        const listener = () => count++;
+                        emitter.on('tick', listener);
+                        emitter.emit('tick');
+                        emitter.off('tick', listener);
+                        emitter.emit('tick');
+                        return count;
+                    },
+                    expected: 1,
+                },
+                {
+                    name: 'once fires a single time',
+                    run: (EventEmitter) => {
+                        const emitter = new EventEmitter();
+                        let count = 0;
+                        emitter.once('ready', () => count++);
+                        emitter.emit('ready');
+                        emitter.emit('ready');
+                        return count;
+                    },
+                    expected: 1,
+                },
+                {
+                    name: 'emit without listeners does not throw',
+                    run: (EventEmitter) => {
+                        new EventEmitter().emit('nothing', 1);
+                        return 'ok';
+                    },
+                    expected: 'ok',
+                },
+            ],
+        },
+    },
+
+    '40-promise-all': {
+        promiseAll: {
+            scenarios: [
+                {
+                    name: 'keeps input order, not completion order',
+                    run: async (promiseAll, t) => {
+                        const slow = new Promise((resolve) => setTimeout(() => resolve(3), 100));
+                        const result = promiseAll([Promise.resolve(1), 2, slow]);
+                        await t.clock.tickAsync(100);
+                        return result;
+                    },
+                    expected: [1, 2, 3],
+                },
+                {
+                    name: 'rejects with the first rejection',
+                    run: (promiseAll) =>
+                        promiseAll([Promise.resolve(1), Promise.reject('boom')]).then(
+                            () => 'resolved',
+                            (err) => `rejected: ${err}`
+                        ),
+                    expected: 'rejected: boom',
+                },
+                {
+                    name: 'empty input resolves to []',
+                    run: (promiseAll) => promiseAll([]),
+                    expected: [],
+                },
+            ],
+        },
+        promiseRace: {
+            scenarios: [
+                {
+                    name: 'first settled wins',
+                    run: async (promiseRace, t) => {
+                        const slow = new Promise((resolve) => setTimeout(() => resolve('slow'), 100));
+                        const fast = new Promise((resolve) => setTimeout(() => resolve('fast'), 50));
+                        const result = promiseRace([slow, fast]);
+                        await t.clock.tickAsync(100);
+                        return result;
+                    },
+                    expected: 'fast',
+                },
+                {
+                    name: 'a rejection can win',
+                    run: (promiseRace) =>
+                        promiseRace([new Promise(() => {}), Promise.reject('err')]).catch((e) => `rejected: ${e}`),
+                    expected: 'rejected: err',
+                },
+            ],
+        },
+        promiseAllSettled: {
+            scenarios: [
+                {
+                    name: 'reports every outcome',
+                    run: (promiseAllSettled) => promiseAllSettled([Promise.resolve(1), Promise.reject('no')]),
+                    expected: [
+                        { status: 'fulfilled', value: 1 },
+                        { status: 'rejected', reason: 'no' },
+                    ],
+                },
+            ],
+        },
+    },
+
+    // ==================== Miscellaneous (41-50) ====================
+
+    '41-valid-parentheses': {
+        isValidParentheses: {
+            cases: [
+                [["()"], true],
+                [["()[]{}"], true],
+                [["(]"], false],
+                [["([)]"], false],
+                [["{[]}"], true],
+                [[""], true],
+                [["("], false],
+                [[")("], false],
+                [["(((())))"], true],
+            ],
+            bench: { input: (n) => ['('.repeat(n / 2) + ')'.repeat(n / 2)], sizes: [1e3, 1e4, 1e5] },
+        },
+    },
+
+    '42-string-compression': {
+        compressString: {
+            cases: [
+                [["aabcccccaaa"], "a2b1c5a3"],
+                [["abcd"], "abcd"],
+                [["aaa"], "a3"],
+                [[""], ""],
+                [["aA"], "aA"],
+                [["aabb"], "aabb"],
+            ],
+            bench: { input: (n) => ['aaab'.repeat(n / 4)], sizes: [1e4, 1e5, 1e6] },
+        },
+    },
+
+    '43-longest-substring': {
+        lengthOfLongestSubstring: {
+            cases: [
+                [["abcabcbb"], 3],
+                [["bbbbb"], 1],
+                [["pwwkew"], 3],
+                [[""], 0],
+                [["dvdf"], 3],
+                [["abba"], 2],
+                [[" "], 1],
+            ],
+            bench: {
+                input: (n) => {
+                    let s = '';
+                    for (let i = 0; i < n; i++) s += String.fromCharCode(33 + (i % 60));
+                    return [s];
+                },
+                sizes: [1e3, 1e4, 1e5],
+            },
+        },
+    },
+
+    '44-roman-to-integer': {
+        romanToInt: {
+            cases: [
+                [["III"], 3],
+                [["LVIII"], 58],
+                [["MCMXCIV"], 1994],
+                [["IV"], 4],
+                [["IX"], 9],
+                [["MMMCMXCIX"], 3999],
+            ],
+        },
+        intToRoman: {
+            cases: [
+                [[1994], "MCMXCIV"],
+                [[3], "III"],
+                [[4], "IV"],
+                [[58], "LVIII"],
+                [[3999], "MMMCMXCIX"],
+            ],
+        },
+    },
+
+    '45-pascal-triangle': {
+        generatePascalTriangle: {
+            cases: [
+                [[5], [[1], [1, 1], [1, 2, 1], [1, 3, 3, 1], [1, 4, 6, 4, 1]]],
+                [[1], [[1]]],
+                [[0], []],
+            ],
+            bench: { input: (n) => [n], sizes: [100, 300, 1000] },
+        },
+        getRow: {
+            cases: [
+                [[4], [1, 4, 6, 4, 1]],
+                [[0], [1]],
+                [[1], [1, 1]],
+                [[6], [1, 6, 15, 20, 15, 6, 1]],
+            ],
+        },
+    },
+
+    '46-climbing-stairs': {
+        climbStairs: {
+            cases: [
+                [[2], 2],
+                [[3], 3],
+                [[4], 5],
+                [[5], 8],
+                [[1], 1],
+                [[10], 89],
+            ],
+            // Small sizes on purpose: the naive recursive approach is O(2^n)
+            bench: { input: (n) => [n], sizes: [15, 20, 25] },
+        },
+    },
+
+    '47-max-subarray': {
+        maxSubArray: {
+            cases: [
+                [[[-2, 1, -3, 4, -1, 2, 1, -5, 4]], 6],
+                [[[1]], 1],
+                [[[5, 4, -1, 7, 8]], 23],
+                [[[-1]], -1],
+                [[[-3, -2, -5]], -2],
+            ],
+            bench: {
+                input: (n) => [Array.from({ length: n }, (_, i) => ((i * 7919) % 201) - 100)],
+                sizes: [1e3, 3e3, 1e4],
+            },
+        },
+    },
+
+    '48-linked-list': {
+        LinkedList: {
+            scenarios: [
+                {
+                    name: 'append + print + reverse',
+                    run: (LinkedList, t) => {
+                        const list = new LinkedList();
+                        list.append(1);
+                        list.append(2);
+                        list.append(3);
+                        list.print();
+                        list.reverse();
+                        list.print();
+                        return t.logs.map((args) => args.join(' '));
+                    },
+                    expected: ['1 -> 2 -> 3', '3 -> 2 -> 1'],
+                },
+                {
+                    name: 'prepend, delete and find',
+                    run: (LinkedList) => {
+                        const list = new LinkedList();
+                        list.append(2);
+                        list.append(3);
+                        list.prepend(1);
+                        list.delete(2);
+                        const values = [];
+                        for (let node = list.head; node; node = node.next) values.push(node.value);
+                        return { values, found3: Boolean(list.find(3)), found2: Boolean(list.find(2)) };
+                    },
+                    expected: { values: [1, 3], found3: true, found2: false },
+                },
+                {
+                    name: 'delete the head and the only node',
+                    run: (LinkedList) => {
+                        const list = new LinkedList();
+                        list.append('only');
+                        list.delete('only');
+                        return list.head;
+                    },
+                    expected: null,
+                },
+            ],
+        },
+    },
+
+    '49-stack-queue': {
+        Stack: {
+            scenarios: [
+                {
+                    name: 'LIFO push/pop/peek',
+                    run: (Stack) => {
+                        const stack = new Stack();
+                        stack.push(1);
+                        stack.push(2);
+                        stack.push(3);
+                        return [stack.peek(), stack.pop(), stack.pop(), stack.peek()];
+                    },
+                    expected: [3, 3, 2, 1],
+                },
+                {
+                    name: 'pop on empty stack gives undefined',
+                    run: (Stack) => new Stack().pop(),
+                    expected: undefined,
+                },
+            ],
+        },
+        Queue: {
+            scenarios: [
+                {
+                    name: 'FIFO enqueue/dequeue/front',
+                    run: (Queue) => {
+                        const queue = new Queue();
+                        queue.enqueue(1);
+                        queue.enqueue(2);
+                        queue.enqueue(3);
+                        return [queue.front(), queue.dequeue(), queue.dequeue(), queue.front()];
+                    },
+                    expected: [1, 1, 2, 3],
+                },
+                {
+                    name: 'interleaved enqueue/dequeue',
+                    run: (Queue) => {
+                        const queue = new Queue();
+                        const out = [];
+                        queue.enqueue('a');
+                        queue.enqueue('b');
+                        out.push(queue.dequeue());
+                        queue.enqueue('c');
+                        out.push(queue.dequeue(), queue.dequeue(), queue.dequeue());
+                        return out;
+                    },
+                    expected: ['a', 'b', 'c', undefined],
+                },
+            ],
+            bench: {
+                // Runs inside the sandbox: `Impl` is the Queue class being measured
+                input: (n) => [n],
+                call: (Impl, n) => {
+                    const queue = new Impl();
+                    for (let i = 0; i < n; i++) queue.enqueue(i);
+                    for (let i = 0; i < n; i++) queue.dequeue();
+                },
+                sizes: [1e3, 1e4, 1e5],
+            },
+        },
+    },
+
+    '50-word-count': {
+        wordCount: {
+            cases: [
+                [["The quick brown fox jumps over the lazy dog"], 9],
+                [["The quick brown fox jumps over the lazy dog the fox"], 11],
+                [[""], 0],
+                [["   spaced   out   "], 2],
+            ],
+        },
+        uniqueWords: {
+            cases: [
+                [["The quick brown fox jumps over the lazy dog"], 8],
+                [["The quick brown fox jumps over the lazy dog the fox"], 8],
+                [["a A a"], 1],
+            ],
+        },
+        mostFrequentWords: {
+            cases: [
+                [["The quick brown fox jumps over the lazy dog the fox", 2], [["the", 3], ["fox", 2]]],
+                [["b a b", 1], [["b", 2]]],
+            ],
+        },
+        wordFrequency: {
+            cases: [
+                [["the cat the hat"], { the: 2, cat: 1, hat: 1 }],
+                [["The the"], { the: 2 }],
+            ],
+            bench: { input: (n) => ['lorem ipsum dolor sit amet '.repeat(n / 27)], sizes: [1e4, 1e5, 1e6] },
+        },
+    },
+};
+
+// RUN: node js-interview-questions/check.js --all --answers
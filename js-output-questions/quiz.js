@@ -0,0 +1,336 @@
+/**
+ * Predict-the-Output Quiz
+ *
+ * Shows one "// Question N" snippet at a time, asks what it prints, then runs
+ * it and grades your prediction line by line:
+ *
+ *   Q42 - Promise vs setTimeout
+ *   ────────────────────────────
+ *    1 | console.log("Q42: Start");
+ *    2 | setTimeout(() => console.log("Q42: Timeout"), 0);
+ *    ...
+ *   Your prediction (one line per console.log, empty line to finish):
+ *
+ *   ✓ Q42: Start
+ *   ✓ Q42: End
+ *   ✗ Q42: Promise        you said: Timeout
+ *   ✗ Q42: Timeout        you said: Promise
+ *
+ * The "Q42:" label and quotes are optional when answering.
+ *
+ * Every snippet runs on its own in a fresh vm context with a captured
+ * console, through the deterministic event loop simulator
+ * (docs/javascript/04-event-loop/11-event-loop-simulator.js), so the async
+ * questions print the same order as real Node without waiting on timers.
+ *
+ * After each question the explanation from answers/ is shown and the result
+ * is appended to a history file (~/.js-output-quiz-history.json by default),
+ * which --stats turns into a weakest-category-first report.
+ *
+ * Usage:
+ *   node js-output-questions/quiz.js                     all 100 in order
+ *   node js-output-questions/quiz.js --category this     one category (name or file prefix)
+ *   node js-output-questions/quiz.js --question 42,55    specific questions
+ *   node js-output-questions/quiz.js --weak --count 10   10 questions, weakest categories first
+ *   node js-output-questions/quiz.js --shuffle
+ *   node js-output-questions/quiz.js --stats             history report
+ *   --history <file>                                     use a different history file
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const readline = require("readline");
+const { simulate } = require("../docs/javascript/04-event-loop/11-event-loop-simulator");
+
+const QUESTIONS_DIR = path.join(__dirname, "questions");
+const ANSWERS_DIR = path.join(__dirname, "answers");
+const DEFAULT_HISTORY = path.join(os.homedir(), ".js-output-quiz-history.json");
+
+// ===================== PARSING =====================
+
+// Splits a file into its "// Question N: title" sections
+function splitQuestions(source) {
+    const sections = [];
+    let current = null;
+    for (const line of source.split("\n")) {
+        const header = line.match(/^\/\/ Question (\d+): (.*)$/);
+        if (header) {
+            current = { id: Number(header[1]), title: header[2].trim(), lines: [] };
+            sections.push(current);
+        } else if (current) {
+            // The answers files end with a "=== Summary ===" block of logs
+            if (/^console\.log\("\\n===/.test(line)) current = null;
+            else current.lines.push(line);
+        }
+    }
+    return sections;
+}
+
+// "/**\n * Explanation:\n * text\n */" -> "text"
+function commentBlocks(lines) {
+    const text = lines.join("\n");
+    return [...text.matchAll(/\/\*\*([\s\S]*?)\*\//g)].map((m) =>
+        m[1]
+            .split("\n")
+            .map((line) => line.replace(/^\s*\* ?/, ""))
+            .filter((line) => line.trim() !== "Explanation:")
+            .join("\n")
+            .trim()
+    );
+}
+
+function loadQuestions() {
+    const files = fs.readdirSync(QUESTIONS_DIR).filter((f) => f.endsWith(".js")).sort();
+    const questions = [];
+    for (const file of files) {
+        const source = fs.readFileSync(path.join(QUESTIONS_DIR, file), "utf8");
+        const category = (source.match(/\* Questions? [\d-]+: (.+)/) || [, file])[1].trim();
+        const answerFile = path.join(ANSWERS_DIR, file);
+        const answers = fs.existsSync(answerFile) ? splitQuestions(fs.readFileSync(answerFile, "utf8")) : [];
+
+        for (const section of splitQuestions(source)) {
+            const answer = answers.find((a) => a.id === section.id);
+            const outputLine = answer && answer.lines.find((line) => line.startsWith("// Output:"));
+            questions.push({
+                id: section.id,
+                title: section.title,
+                category,
+                file: file.replace(/\.js$/, ""),
+                code: section.lines.join("\n").trim(),
+                answerKey: outputLine ? outputLine.replace("// Output:", "").trim() : null,
+                explanation: answer ? commentBlocks(answer.lines).join("\n\n") : "",
+            });
+        }
+    }
+    return questions;
+}
+
+// ===================== RUN + GRADE =====================
+
+const label = (id) => `Q${String(id).padStart(2, "0")}`;
+
+function actualOutput(question) {
+    const { logs, error } = simulate(question.code, { filename: `${label(question.id)}.js` });
+    return error ? [...logs, `Uncaught ${error}`] : logs;
+}
+
+// "Q05b: 'hello'  world" -> "hello world"
+const normalise = (line) =>
+    line
+        .replace(/^\s*Q\d+[a-z]?:\s*/i, "")
+        .replace(/["'`]/g, "")
+        .replace(/\s+/g, " ")
+        .trim();
+
+function grade(expected, predicted) {
+    const total = Math.max(expected.length, predicted.length);
+    const lines = [];
+    for (let i = 0; i < total; i++) {
+        const want = expected[i];
+        const got = predicted[i];
+        const ok = want !== undefined && got !== undefined && normalise(want) === normalise(got);
+        lines.push({ ok, expected: want, predicted: got });
+    }
+    const correct = lines.filter((line) => line.ok).length;
+    return { lines, correct, total, allCorrect: total > 0 && correct === total };
+}
+
+// ===================== HISTORY =====================
+
+function readHistory(file) {
+    try {
+        return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch {
+        return [];
+    }
+}
+
+function appendHistory(file, entry) {
+    const history = readHistory(file);
+    history.push(entry);
+    fs.writeFileSync(file, JSON.stringify(history, null, 2));
+}
+
+function categoryStats(history) {
+    const byCategory = new Map();
+    for (const entry of history) {
+        const stats = byCategory.get(entry.category) || { category: entry.category, answered: 0, right: 0, lines: 0, linesRight: 0, recent: [] };
+        stats.answered++;
+        stats.right += entry.allCorrect ? 1 : 0;
+        stats.lines += entry.total;
+        stats.linesRight += entry.correct;
+        stats.recent.push(entry.allCorrect);
+        byCategory.set(entry.category, stats);
+    }
+    return [...byCategory.values()]
+        .map((s) => ({ ...s, accuracy: s.right / s.answered, recent: s.recent.slice(-5) }))
+        .sort((a, b) => a.accuracy - b.accuracy);
+}
+
+function printStats(history, allQuestions) {
+    if (!history.length) {
+        console.log("No history yet - answer a few questions first.");
+        return;
+    }
+    const percent = (n) => `${Math.round(n * 100)}%`.padStart(5);
+    console.log(`\n${history.length} answers since ${history[0].date.slice(0, 10)}\n`);
+    console.log(`  ${"Category".padEnd(34)}${"Questions".padStart(16)}${"Lines".padStart(8)}   Last 5`);
+    for (const s of categoryStats(history)) {
+        const recent = s.recent.map((ok) => (ok ? "✓" : "✗")).join("");
+        const questions = `${percent(s.accuracy)} (${s.right}/${s.answered})`;
+        console.log(`  ${s.category.padEnd(34)}${questions.padStart(16)}${percent(s.linesRight / s.lines).padStart(8)}   ${recent}`);
+    }
+
+    // Questions whose most recent attempt was wrong
+    const latest = new Map();
+    for (const entry of history) latest.set(entry.question, entry);
+    const missed = [...latest.values()].filter((e) => !e.allCorrect).map((e) => e.question).sort((a, b) => a - b);
+    if (missed.length) console.log(`\n  Still wrong: ${missed.map(label).join(", ")}`);
+
+    const seen = new Set(history.map((e) => e.question));
+    console.log(`  Never answered: ${allQuestions.filter((q) => !seen.has(q.id)).length}/${allQuestions.length}`);
+}
+
+// ===================== PICKING QUESTIONS =====================
+
+function shuffle(list) {
+    const copy = [...list];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+// Weakest categories first; inside a category, questions last answered
+// wrong, then never answered, then the rest
+function weakestFirst(questions, history) {
+    const accuracy = new Map(categoryStats(history).map((s) => [s.category, s.accuracy]));
+    const latest = new Map();
+    for (const entry of history) latest.set(entry.question, entry.allCorrect);
+    const rank = (q) => (latest.get(q.id) === false ? 0 : latest.has(q.id) ? 2 : 1);
+    return shuffle(questions).sort((a, b) => {
+        const byCategory = (accuracy.has(a.category) ? accuracy.get(a.category) : 0.5) -
+            (accuracy.has(b.category) ? accuracy.get(b.category) : 0.5);
+        return byCategory || rank(a) - rank(b);
+    });
+}
+
+function selectQuestions(all, options, history) {
+    let picked = all;
+    if (options.category) {
+        const wanted = options.category.toLowerCase();
+        picked = picked.filter((q) => q.category.toLowerCase().includes(wanted) || q.file.includes(wanted));
+    }
+    if (options.questions) picked = picked.filter((q) => options.questions.includes(q.id));
+    if (options.weak) picked = weakestFirst(picked, history);
+    else if (options.shuffle) picked = shuffle(picked);
+    return options.count ? picked.slice(0, options.count) : picked;
+}
+
+// ===================== TERMINAL =====================
+
+function createPrompt() {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+    const lines = rl[Symbol.asyncIterator]();
+    return {
+        // Resolves to null once input ends (Ctrl+D or end of piped input)
+        async next() {
+            const { value, done } = await lines.next();
+            return done ? null : value;
+        },
+        close: () => rl.close(),
+    };
+}
+
+function showQuestion(question, index, count) {
+    const heading = `${label(question.id)} - ${question.title}  (${question.category}, ${index + 1}/${count})`;
+    console.log(`\n${heading}\n${"─".repeat(heading.length)}`);
+    question.code.split("\n").forEach((line, i) => console.log(`${String(i + 1).padStart(3)} | ${line}`));
+}
+
+function showResult(result, question) {
+    console.log("");
+    const width = Math.max(...result.lines.map((l) => (l.expected || "").length), 10) + 4;
+    for (const line of result.lines) {
+        if (line.ok) console.log(`  ✓ ${line.expected}`);
+        else if (line.expected === undefined) console.log(`  ✗ ${"(nothing)".padEnd(width)}you said: ${line.predicted}`);
+        else console.log(`  ✗ ${line.expected.padEnd(width)}${line.predicted === undefined ? "(missing)" : `you said: ${line.predicted}`}`);
+    }
+    console.log(`\n  ${result.correct}/${result.total} lines correct`);
+    if (question.explanation) {
+        console.log(`\n  Answer key: ${question.answerKey || "-"}`);
+        console.log(question.explanation.split("\n").map((line) => `  │ ${line}`.trimEnd()).join("\n"));
+    }
+}
+
+async function runQuiz(questions, historyFile) {
+    const prompt = createPrompt();
+    let right = 0;
+    let answered = 0;
+
+    for (const [index, question] of questions.entries()) {
+        showQuestion(question, index, questions.length);
+        console.log("\nYour prediction (one line per console.log, empty line to finish, :q to quit):");
+        const predicted = [];
+        let line;
+        while ((line = await prompt.next()) !== null && line.trim() !== "" && line.trim() !== ":q") {
+            predicted.push(line);
+        }
+        if (line === null || line.trim() === ":q") break;
+
+        const result = grade(actualOutput(question), predicted);
+        showResult(result, question);
+        appendHistory(historyFile, {
+            date: new Date().toISOString(),
+            question: question.id,
+            category: question.category,
+            correct: result.correct,
+            total: result.total,
+            allCorrect: result.allCorrect,
+        });
+        answered++;
+        if (result.allCorrect) right++;
+    }
+
+    prompt.close();
+    console.log(`\nScore: ${right}/${answered} questions fully correct. Run with --stats to see weak categories.`);
+}
+
+// ===================== CLI =====================
+
+function parseArgs(argv) {
+    const value = (name) => {
+        const at = argv.indexOf(name);
+        return at === -1 ? undefined : argv[at + 1];
+    };
+    const questions = value("--question");
+    return {
+        category: value("--category"),
+        questions: questions ? questions.split(",").map(Number) : null,
+        count: Number(value("--count")) || 0,
+        weak: argv.includes("--weak"),
+        shuffle: argv.includes("--shuffle"),
+        stats: argv.includes("--stats"),
+        history: value("--history") ? path.resolve(value("--history")) : DEFAULT_HISTORY,
+    };
+}
+
+if (require.main === module) {
+    const options = parseArgs(process.argv.slice(2));
+    const all = loadQuestions();
+    const history = readHistory(options.history);
+
+    if (options.stats) {
+        printStats(history, all);
+    } else {
+        const questions = selectQuestions(all, options, history);
+        if (!questions.length) console.log("No questions match those options.");
+        else runQuiz(questions, options.history);
+    }
+}
+
+module.exports = { loadQuestions, actualOutput, grade, categoryStats };
+
+// RUN: node js-output-questions/quiz.js --weak --count 10
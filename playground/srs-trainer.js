@@ -0,0 +1,368 @@
+// SPACED-REPETITION TRAINER for the playground challenges
+//
+// Every file in playground/NN-*/ becomes a flashcard:
+//
+//   front: the "CHALLENGE NN: title" header, its question
+//          ("What prints for A, B, C?") and the snippet
+//   back:  what the snippet really prints, computed by running it
+//
+// Running uses the deterministic event loop simulator
+// (docs/javascript/04-event-loop/11-event-loop-simulator.js): each snippet
+// gets a fresh vm context and a virtual clock, so timer challenges answer
+// instantly and every output line is stamped with the time it printed.
+//
+// Cards are scheduled with SM-2 (the SuperMemo 2 algorithm behind Anki):
+//
+//   quality 0-5   how well you recalled it (suggested from the grading)
+//   q >= 3        interval: 1 day -> 6 days -> interval * ease
+//   q < 3         back to 1 day, counted as a lapse
+//   ease          starts at 2.5, moves with each q, never below 1.3
+//
+// The schedule lives in ~/.js-playground-srs.json (or --store <file>).
+// Cards are rebuilt from the folders on every run, so a new file in any
+// playground/NN-* folder shows up as a new card automatically.
+//
+// Commented snippets:
+//   - If the code right under the header is commented out (you wrote your
+//     own version below it), the card uses the uncommented original.
+//   - A block marked "uncomment to test" / "if uncommented" becomes an
+//     extra card with that block switched on.
+//
+// Usage:
+//   node playground/srs-trainer.js                    review due cards + up to 10 new
+//   node playground/srs-trainer.js --topic closures   only playground/NN-*closures*
+//   node playground/srs-trainer.js --new 5            cap new cards per session
+//   node playground/srs-trainer.js --stats            due/new/learning/mature per topic
+//   node playground/srs-trainer.js --show 02-closures/02-loop-closure-problem.js
+//   --store <file>   --date YYYY-MM-DD (pretend today is another day)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const readline = require('readline');
+const { simulate } = require('../docs/javascript/04-event-loop/11-event-loop-simulator');
+
+const PLAYGROUND = __dirname;
+const DEFAULT_STORE = path.join(os.homedir(), '.js-playground-srs.json');
+const DAY = 24 * 60 * 60 * 1000;
+
+// ===================== CARDS =====================
+
+// "// CHALLENGE 02: Title\n//\n// What prints?" or "/**\n * CHALLENGE 05: Title\n * ...\n */"
+function parseHeader(lines) {
+  let end = 0;
+  let text = [];
+  if (/^\s*\/\*\*/.test(lines[0] || '')) {
+    while (end < lines.length && !lines[end].includes('*/')) end++;
+    text = lines.slice(1, end).map((l) => l.replace(/^\s*\* ?/, ''));
+    end++;
+  } else {
+    while (end < lines.length && /^\s*\/\//.test(lines[end])) end++;
+    text = lines.slice(0, end).map((l) => l.replace(/^\s*\/\/ ?/, ''));
+  }
+  const at = text.findIndex((l) => /CHALLENGE\b/.test(l));
+  if (at === -1) return null;
+  const match = text[at].match(/CHALLENGE\s*(\d+)?\s*:\s*(.*)/);
+  return {
+    number: match && match[1] ? match[1] : null,
+    title: match ? match[2].trim() : text[at].trim(),
+    question: text.slice(at + 1).map((l) => l.trim()).filter(Boolean).join(' '),
+    end,
+  };
+}
+
+const uncomment = (line) => line.replace(/^(\s*)\/\/ ?/, '$1');
+
+const compiles = (code) => {
+  try {
+    new vm.Script(code);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// A run of "//" lines (blank lines allowed inside) that is real code once
+// uncommented - prose comments don't compile or don't log anything
+function commentedCode(lines, start) {
+  let end = start;
+  while (end < lines.length && (/^\s*\/\//.test(lines[end]) || !lines[end].trim())) end++;
+  while (end > start && !lines[end - 1].trim()) end--;
+  const code = lines.slice(start, end).map(uncomment).join('\n');
+  return end > start && /console\.log/.test(code) && compiles(code) ? { start, end, code } : null;
+}
+
+function buildCards(file) {
+  const rel = path.relative(PLAYGROUND, file).split(path.sep).join('/');
+  const source = fs.readFileSync(file, 'utf8');
+  const lines = source.split('\n');
+  const header = parseHeader(lines);
+  const title = header ? header.title : path.basename(file, '.js').replace(/^\d+-/, '').replace(/-/g, ' ');
+  const question = (header && header.question) || 'What prints?';
+  const topic = rel.split('/')[0];
+
+  let bodyStart = header ? header.end : 0;
+  while (bodyStart < lines.length && !lines[bodyStart].trim()) bodyStart++;
+
+  // Original challenge commented out with the reader's own attempt below it
+  const original = /^\s*\/\//.test(lines[bodyStart] || '') && commentedCode(lines, bodyStart);
+  const code = original ? original.code : lines.slice(bodyStart).join('\n').trimEnd();
+  const cards = [{ id: rel, topic, title, question, code }];
+  if (original) return cards;
+
+  // "uncomment to test" blocks: the marker is either the comment line just
+  // above the block or a trailing comment on a single commented line
+  let variant = 0;
+  for (let i = bodyStart; i < lines.length; i++) {
+    const line = lines[i];
+    if (!/uncomment/i.test(line)) continue;
+    const isCode = compiles(uncomment(line)) && /^\s*\/\/\s*\S+\(/.test(line);
+    const block = isCode ? { start: i, end: i + 1 } : commentedCode(lines, i + 1);
+    if (!block) continue;
+    const switchedOn = lines.map((l, n) => (n >= block.start && n < block.end ? uncomment(l) : l));
+    variant++;
+    cards.push({
+      id: `${rel}#uncommented-${variant}`,
+      topic,
+      title: `${title} (lines ${block.start + 1}-${block.end} uncommented)`,
+      question,
+      code: switchedOn.slice(bodyStart).join('\n').trimEnd(),
+    });
+  }
+  return cards;
+}
+
+// Rescanned on every run, so new files become new cards
+function loadCards() {
+  const topics = fs
+    .readdirSync(PLAYGROUND, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && /^\d\d-/.test(entry.name))
+    .map((entry) => entry.name)
+    .sort();
+  const cards = [];
+  for (const topic of topics) {
+    const dir = path.join(PLAYGROUND, topic);
+    for (const name of fs.readdirSync(dir).filter((f) => f.endsWith('.js')).sort()) {
+      cards.push(...buildCards(path.join(dir, name)));
+    }
+  }
+  return cards;
+}
+
+// The back of the card: every log line with its virtual time
+function answerFor(card) {
+  const { trace, error } = simulate(card.code, { filename: card.id.split('/').pop() });
+  const lines = trace.filter((t) => t.event === 'log').map((t) => ({ text: t.detail, time: t.time }));
+  if (error) lines.push({ text: `Uncaught ${String(error)}`, time: null });
+  return lines;
+}
+
+// ===================== SM-2 =====================
+
+function newState() {
+  return { ease: 2.5, reps: 0, interval: 0, due: null, lapses: 0, reviews: [] };
+}
+
+function schedule(state, quality, today) {
+  const next = { ...state, reviews: [...state.reviews, { date: today, quality }] };
+  if (quality >= 3) {
+    next.interval = state.reps === 0 ? 1 : state.reps === 1 ? 6 : Math.round(state.interval * state.ease);
+    next.reps = state.reps + 1;
+  } else {
+    next.interval = 1;
+    next.reps = 0;
+    next.lapses = state.lapses + 1;
+  }
+  next.ease = Math.max(1.3, state.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+  next.due = addDays(today, next.interval);
+  return next;
+}
+
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY).toISOString().slice(0, 10);
+
+// ===================== STORE =====================
+
+function readStore(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return { version: 1, cards: {} };
+  }
+}
+
+function writeStore(file, store) {
+  fs.writeFileSync(file, JSON.stringify(store, null, 2));
+}
+
+// new: never reviewed, learning: interval under 21 days, mature: the rest
+function stageOf(state) {
+  if (!state) return 'new';
+  return state.interval >= 21 ? 'mature' : 'learning';
+}
+
+// ===================== GRADING =====================
+
+// "A: 'hello'  world" and "hello world" are the same answer
+const normalise = (line) =>
+  line
+    .replace(/^\s*[A-Z]\d*:\s*/, '')
+    .replace(/["'`]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+function grade(expected, predicted) {
+  const total = Math.max(expected.length, predicted.length);
+  let correct = 0;
+  const rows = [];
+  for (let i = 0; i < total; i++) {
+    const want = expected[i];
+    const got = predicted[i];
+    const ok = want !== undefined && got !== undefined && normalise(want.text) === normalise(got);
+    if (ok) correct++;
+    rows.push({ ok, want, got });
+  }
+  // All right -> 4 ("good"), most right -> 2, some -> 1, none -> 0
+  const ratio = total ? correct / total : 1;
+  const suggested = ratio === 1 ? 4 : ratio >= 0.5 ? 2 : ratio > 0 ? 1 : 0;
+  return { rows, correct, total, suggested };
+}
+
+// ===================== SESSION =====================
+
+function createPrompt() {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+  const lines = rl[Symbol.asyncIterator]();
+  return {
+    async next() {
+      const { value, done } = await lines.next();
+      return done ? null : value;
+    },
+    close: () => rl.close(),
+  };
+}
+
+function showFront(card, index, count) {
+  const heading = `[${index + 1}/${count}] ${card.topic} - ${card.title}`;
+  console.log(`\n${heading}\n${'-'.repeat(heading.length)}`);
+  card.code.split('\n').forEach((line, i) => console.log(`${String(i + 1).padStart(3)} | ${line}`));
+  console.log(`\n${card.question}`);
+  console.log('Your prediction (one line per console.log, empty line to finish, :q to quit):');
+}
+
+function showBack(result) {
+  const timed = result.rows.some((r) => r.want && r.want.time);
+  const width = Math.max(10, ...result.rows.map((r) => (r.want ? r.want.text.length : 0))) + 2;
+  for (const { ok, want, got } of result.rows) {
+    const text = want ? want.text : '(nothing)';
+    const at = timed && want && want.time !== null ? `@${want.time}ms `.padStart(9) : '';
+    const note = ok ? '' : got === undefined ? '(missing)' : `you said: ${got}`;
+    console.log(`  ${ok ? '✓' : '✗'} ${at}${text.padEnd(width)}${note}`);
+  }
+  console.log(`\n  ${result.correct}/${result.total} lines correct`);
+}
+
+async function review(cards, store, options) {
+  const prompt = createPrompt();
+  let reviewed = 0;
+
+  for (const [index, card] of cards.entries()) {
+    showFront(card, index, cards.length);
+    const predicted = [];
+    let line;
+    while ((line = await prompt.next()) !== null && line.trim() !== '' && line.trim() !== ':q') {
+      predicted.push(line);
+    }
+    if (line === null || line.trim() === ':q') break;
+
+    const result = grade(answerFor(card), predicted);
+    showBack(result);
+
+    console.log(`  Rate your recall 0-5 (enter = ${result.suggested}):`);
+    const rating = await prompt.next();
+    if (rating === null) break;
+    const quality = /^[0-5]$/.test(rating.trim()) ? Number(rating.trim()) : result.suggested;
+
+    const state = schedule(store.cards[card.id] || newState(), quality, options.today);
+    store.cards[card.id] = state;
+    writeStore(options.store, store);
+    reviewed++;
+    console.log(`  Next review in ${state.interval} day${state.interval === 1 ? '' : 's'} (${state.due}), ease ${state.ease.toFixed(2)}`);
+  }
+
+  prompt.close();
+  console.log(`\nReviewed ${reviewed} card${reviewed === 1 ? '' : 's'}.`);
+}
+
+// Due cards oldest first, then new cards in folder order
+function pickSession(cards, store, options) {
+  const due = cards
+    .filter((card) => store.cards[card.id] && store.cards[card.id].due <= options.today)
+    .sort((a, b) => store.cards[a.id].due.localeCompare(store.cards[b.id].due));
+  const fresh = cards.filter((card) => !store.cards[card.id]).slice(0, options.newLimit);
+  return [...due, ...fresh];
+}
+
+function printStats(cards, store, today) {
+  const byTopic = new Map();
+  for (const card of cards) {
+    const row = byTopic.get(card.topic) || { new: 0, due: 0, learning: 0, mature: 0 };
+    const state = store.cards[card.id];
+    row[stageOf(state)]++;
+    if (state && state.due <= today) row.due++;
+    byTopic.set(card.topic, row);
+  }
+  console.log(`\n${'Topic'.padEnd(32)}${['new', 'due', 'learning', 'mature'].map((h) => h.padStart(10)).join('')}`);
+  for (const [topic, row] of byTopic) {
+    console.log(`${topic.padEnd(32)}${[row.new, row.due, row.learning, row.mature].map((n) => String(n).padStart(10)).join('')}`);
+  }
+  const upcoming = Object.values(store.cards).map((s) => s.due).filter((d) => d > today).sort();
+  console.log(`\n${cards.length} cards. ${upcoming.length ? `Next due after today: ${upcoming[0]}` : ''}`);
+}
+
+// ===================== CLI =====================
+
+function parseArgs(argv) {
+  const value = (name) => {
+    const at = argv.indexOf(name);
+    return at === -1 ? undefined : argv[at + 1];
+  };
+  return {
+    topic: value('--topic'),
+    newLimit: value('--new') !== undefined ? Number(value('--new')) : 10,
+    stats: argv.includes('--stats'),
+    show: value('--show'),
+    store: value('--store') ? path.resolve(value('--store')) : DEFAULT_STORE,
+    today: value('--date') || new Date().toISOString().slice(0, 10),
+  };
+}
+
+if (require.main === module) {
+  const options = parseArgs(process.argv.slice(2));
+  const store = readStore(options.store);
+  let cards = loadCards();
+  if (options.topic) cards = cards.filter((card) => card.topic.includes(options.topic));
+
+  if (options.show) {
+    for (const card of cards.filter((c) => c.id === options.show || c.id.startsWith(`${options.show}#`))) {
+      console.log(`\n${card.id}: ${card.title}`);
+      const answer = answerFor(card);
+      const timed = answer.some((line) => line.time);
+      for (const line of answer) {
+        console.log(`  ${timed ? (line.time !== null ? `@${line.time}ms ` : '').padStart(9) : ''}${line.text}`);
+      }
+    }
+  } else if (options.stats) {
+    printStats(cards, store, options.today);
+  } else {
+    const added = cards.filter((card) => !store.cards[card.id]).length;
+    if (added) console.log(`${added} card${added === 1 ? '' : 's'} not reviewed yet.`);
+    const session = pickSession(cards, store, options);
+    if (!session.length) console.log('Nothing due today.');
+    else review(session, store, options);
+  }
+}
+
+module.exports = { loadCards, buildCards, answerFor, schedule, newState };
+
+// RUN: node playground/srs-trainer.js